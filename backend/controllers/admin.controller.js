@@ -1,12 +1,14 @@
-import Admin from '../models/admin.model.js';
+import mongoose from 'mongoose';
+import Admin, { ADMIN_ROLES } from '../models/admin.model.js';
 import Student from '../models/student.model.js';
+import AttendanceRecord from '../models/attendanceRecord.model.js';
+import LeaveRequest from '../models/leaveRequest.model.js';
 import jwt from 'jsonwebtoken';
 import multer from 'multer';
 import csvParser from 'csv-parser';
 import fs from 'fs';
 import path from 'path';
 import xlsx from 'xlsx';
-import ExcelJS from 'exceljs';
 import bcrypt from 'bcryptjs';
 import crypto from 'crypto';
 import dotenv from 'dotenv';
@@ -18,19 +20,58 @@ import {
   sendBulkMessages 
 } from '../services/whatsapp.service.js';
 import { DateTime } from 'luxon';
-import { generateStylishQRCode } from '../utils/qrGenerator.js';
+import { generateStudentQRCode as signStudentQRCode, recordQrIssue } from '../services/qrCode.service.js';
+import { removeStudentPhoto } from '../services/studentPhoto.service.js';
+import { calculateDuration, formatDuration, getRecordSessions, summarizeSessions, parseDayString, parseDateParam, getSchoolTimezone, toSchoolTime } from '../utils/dateUtils.js';
+import { loadSchoolCalendar } from '../services/calendar.service.js';
+import { autoMarkAbsences, recomputeAttendanceStats } from '../services/autoAttendanceService.js';
+import { isPresentRecord, countPresentSchoolDays, countExcusedSchoolDays, getAttendancePercentage } from '../services/attendanceStats.service.js';
+import { applyLeaveRequest } from '../services/leave.service.js';
+import { snapshotRecord, recordRevisions } from '../services/attendanceAudit.service.js';
+import AttendanceRevision from '../models/attendanceRevision.model.js';
+import { getSectionDetails, getClassLabel, addClassSummarySheet } from '../services/class.service.js';
+import { resolveScanLocation, getLocationBreakdown, addLocationSheet } from '../services/location.service.js';
+import { getReportBranding, getReportTitle, createReportWorkbook, addReportLogo } from '../services/branding.service.js';
+import AppError from '../utils/appError.js';
 
 // Load environment variables
 dotenv.config();
 
-// Create Attendance reference from Student model since there's no separate Attendance model
-const Attendance = Student;
-
 // Helper function to get date range
 const getDateRange = (date = new Date()) => {
-  const startOfDay = DateTime.fromJSDate(new Date(date)).startOf('day').toJSDate();
-  const endOfDay = DateTime.fromJSDate(new Date(date)).endOf('day').toJSDate();
-  return { startOfDay, endOfDay };
+  const day = toSchoolTime(parseDateParam(date) || new Date());
+  return { startOfDay: day.startOf('day').toJSDate(), endOfDay: day.endOf('day').toJSDate() };
+};
+
+// Student query for the class or section picked with ?classId= or ?sectionId=
+const getClassQuery = (req) => req.classFilter?.studentQuery || {};
+
+// Entries and exits at each gate over a report's period, for the students it covers
+const getReportLocationBreakdown = async (req, start, end) => getLocationBreakdown(start, end, {
+  studentIds: req.classFilter ? await Student.distinct('_id', req.classFilter.studentQuery) : undefined
+});
+
+// Populate a student's section with its class, for the class label
+const SECTION_POPULATE = { path: 'section', select: 'name schoolClass', populate: { path: 'schoolClass', select: 'name gradeLevel' } };
+
+// Reason an admin gives for changing attendance, stored on the revisions it creates
+const getChangeReason = (req) => (req.body?.reason || req.body?.adminNote || '').trim();
+
+const reasonRequired = (res) => res.status(400).json({
+  status: 'error',
+  message: 'A reason is required to change attendance records'
+});
+
+// Find students with attendance records on the school days from start (a
+// midnight in school time) to end, populating only those records; records are
+// matched on their indexed day rather than loading each student's history
+const findStudentsWithAttendance = async (start, end, fields, filter = {}) => {
+  const dayRange = { $gte: start, $lte: end };
+  const studentIds = await AttendanceRecord.distinct('student', { day: dayRange });
+  return Student.find({ $and: [filter, { _id: { $in: studentIds } }] })
+    .select(fields)
+    .populate({ path: 'attendanceHistory', match: { day: dayRange } })
+    .lean();
 };
 
 // Set up file upload storage
@@ -148,34 +189,13 @@ export const registerStudent = async (req, res) => {
     // Save the student to the database
     await newStudent.save()
       .then(async (savedStudent) => {
-        // Generate a comprehensive QR code with complete student details
-        const qrCodeData = JSON.stringify({
-          id: savedStudent._id,
-          name: savedStudent.name,
-          indexNumber: savedStudent.indexNumber,
-          email: savedStudent.student_email,
-          address: savedStudent.address,
-          age: savedStudent.age,
-          timestamp: new Date().toISOString(),
-          secureHash: crypto.createHash('sha256')
-            .update(`${savedStudent._id}${savedStudent.indexNumber}${process.env.JWT_SECRET || 'qrattend-secret'}`)
-            .digest('hex').substring(0, 16)
-        });
-
         try {
-          // Generate a stylish QR code with a dinosaur logo in the center
-          const qrCode = await generateStylishQRCode(qrCodeData, {
-            errorCorrectionLevel: 'H',
-            margin: 1,
-            color: {
-              dark: '#000000',  // Black QR code
-              light: '#FFFFFF'  // White background
-            },
-            width: 400
-          });
+          // The QR code carries a signed token only, no personal data
+          const qrCode = await signStudentQRCode(savedStudent);
           
           // Update the saved student with the QR code
           savedStudent.qrCode = qrCode;
+          recordQrIssue(savedStudent, 'issued', { adminId: req.admin?._id || null });
           await savedStudent.save();
 
           // Respond with the student data and QR code URL
@@ -205,7 +225,7 @@ export const registerStudent = async (req, res) => {
 };
 
 export const registerAdmin = async (req, res) => {
-  const { name, email, password, role } = req.body;
+  const { name, email, password } = req.body;
 
   // Validate input
   if (!name || !email || !password) {
@@ -218,12 +238,13 @@ export const registerAdmin = async (req, res) => {
     return res.status(400).json({ message: 'Admin already exists.' });
   }
 
-  // Create a new admin instance
+  // Create a new admin instance; anyone can sign up, so new accounts start as
+  // gatekeepers until an admin gives them more access
   const newAdmin = new Admin({
     name,
     email,
     password,
-    role,
+    role: 'gatekeeper',
   });
 
   try {
@@ -323,6 +344,84 @@ export const getAdminDetails = async (req, res) => {
   }
 };
 
+/**
+ * List the accounts that can sign in, for admins to manage their roles
+ */
+export const getAdminAccounts = async (req, res) => {
+  try {
+    const accounts = await Admin.find({})
+      .select('name email role isActive lastLogin createdAt')
+      .sort({ name: 1 })
+      .lean();
+
+    res.status(200).json({
+      status: 'success',
+      results: accounts.length,
+      data: { accounts }
+    });
+  } catch (error) {
+    console.error('Error fetching accounts:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch accounts',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Change the role of an account
+ * Only a superadmin can make or change a superadmin, and nobody changes their
+ * own role, so the last admin cannot lock themselves out.
+ * Body: role (gatekeeper, admin or superadmin)
+ */
+export const updateAdminRole = async (req, res) => {
+  try {
+    const { role } = req.body;
+    if (!ADMIN_ROLES.includes(role)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Role must be one of: ${ADMIN_ROLES.join(', ')}`
+      });
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ status: 'error', message: 'Invalid account ID' });
+    }
+    if (req.admin._id.equals(req.params.id)) {
+      return res.status(400).json({ status: 'error', message: 'You cannot change your own role' });
+    }
+
+    const account = await Admin.findById(req.params.id);
+    if (!account) {
+      return res.status(404).json({ status: 'error', message: 'Account not found' });
+    }
+    if ((role === 'superadmin' || account.role === 'superadmin') && req.admin.role !== 'superadmin') {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Only a superadmin can make or change a superadmin'
+      });
+    }
+
+    account.role = role;
+    await account.save();
+
+    res.status(200).json({
+      status: 'success',
+      message: `${account.name} is now ${role === 'admin' ? 'an admin' : `a ${role}`}`,
+      data: {
+        account: { _id: account._id, name: account.name, email: account.email, role: account.role }
+      }
+    });
+  } catch (error) {
+    console.error('Error updating account role:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update account role',
+      error: error.message
+    });
+  }
+};
+
 export const createStudent = async (req, res) => {
   const { name, indexNumber } = req.body;
   const newStudent = new Student({ name, indexNumber });
@@ -337,7 +436,7 @@ export const createStudent = async (req, res) => {
 
 export const getStudents = async (req, res) => {
   try {
-    const students = await Student.find();
+    const students = await Student.find(getClassQuery(req)).populate(SECTION_POPULATE);
     res.status(200).json({ students });
   } catch (err) {
     res.status(500).json({ message: 'Error fetching students', error: err });
@@ -380,6 +479,7 @@ export const deleteStudent = async (req, res) => {
     if (!student) {
       return res.status(404).json({ message: 'Student not found' });
     }
+    removeStudentPhoto(student);
     res.status(200).json({ message: 'Student deleted successfully' });
   } catch (err) {
     res.status(500).json({ message: 'Error deleting student', error: err });
@@ -388,40 +488,12 @@ export const deleteStudent = async (req, res) => {
 
 export const getAllStudents = async (req, res) => {
   try {
-    // Fetch all students
-    const students = await Student.find();
-    
-    // Process each student to ensure lastAttendance is set correctly
-    const processedStudents = await Promise.all(students.map(async (student) => {
-      // Convert to plain object so we can modify it
-      const studentObj = student.toObject();
-      
-      // If the student has attendance records but lastAttendance is not set
-      if (studentObj.attendanceHistory && studentObj.attendanceHistory.length > 0 && !studentObj.lastAttendance) {
-        // Find the most recent attendance record
-        const sortedAttendance = [...studentObj.attendanceHistory].sort(
-          (a, b) => DateTime.fromJSDate(b.date).ts - DateTime.fromJSDate(a.date).ts
-        );
-        
-        // Set lastAttendance to the date of the most recent record
-        if (sortedAttendance.length > 0) {
-          // Update the student in the database
-          await Student.findByIdAndUpdate(
-            studentObj._id, 
-            { lastAttendance: sortedAttendance[0].date }
-          );
-          
-          // Update the object we're returning
-          studentObj.lastAttendance = sortedAttendance[0].date;
-        }
-      }
-      
-      return studentObj;
-    }));
+    // Fetch all students, or those of one class
+    const students = await Student.find(getClassQuery(req)).populate(SECTION_POPULATE);
     
     res.status(200).json({
       message: "All students fetched successfully.",
-      students: processedStudents,
+      students,
     });
   } catch (error) {
     console.error('Error fetching all students:', error);
@@ -431,20 +503,16 @@ export const getAllStudents = async (req, res) => {
 
 export const getScannedStudentsToday = async (req, res) => {
   try {
-    // Get today's date range (from start of day to current time)
-    const today = new Date();
-    today.setUTCHours(0, 0, 0, 0);
+    // Get today's date boundaries in school time
+    const { startOfDay: today, endOfDay } = getDateRange();
     
-    // Get all active students first
-    const allStudents = await Student.find({ status: 'active' })
-      .select('_id name firstName lastName indexNumber status email student_email parent_email parent_telephone class attendanceHistory')
+    // Get all active students first, with today's attendance records
+    const allStudents = await Student.find({ status: 'active', ...getClassQuery(req) })
+      .select('_id name firstName lastName indexNumber status email student_email parent_email parent_telephone section')
+      .populate({ path: 'attendanceHistory', match: { day: { $gte: today, $lte: endOfDay } } })
       .sort('indexNumber')
       .lean();
     
-    // Set today's date boundaries
-    const endOfDay = new Date(today);
-    endOfDay.setUTCHours(23, 59, 59, 999);
-    
     // Create a map of student attendance
     const studentAttendanceMap = {};
     
@@ -543,23 +611,17 @@ export const getAttendanceReport = async (req, res) => {
       return res.status(400).json({ message: 'Date parameter is required' });
     }
 
-    const { startOfDay, endOfDay } = getDateRange(new Date(date));
+    const { startOfDay, endOfDay } = getDateRange(date);
 
     try {
-      // Get all students first
-      const allStudents = await Student.find().lean();
+      // Get all students first, or those of one class
+      const allStudents = await Student.find(getClassQuery(req)).lean();
       
       // Get attendance records for the specified date
-      const attendanceRecords = await Student.aggregate([
-        {
-          $unwind: {
-            path: "$attendanceHistory",
-            preserveNullAndEmptyArrays: true
-          }
-        },
+      const attendanceRecords = await AttendanceRecord.aggregate([
         {
           $match: {
-            "attendanceHistory.date": {
+            date: {
               $gte: startOfDay,
               $lt: endOfDay
             }
@@ -567,11 +629,8 @@ export const getAttendanceReport = async (req, res) => {
         },
         {
           $group: {
-            _id: "$_id",
-            name: { $first: "$name" },
-            indexNumber: { $first: "$indexNumber" },
-            student_email: { $first: "$student_email" },
-            records: { $push: "$attendanceHistory" }
+            _id: "$student",
+            records: { $push: "$$ROOT" }
           }
         }
       ]);
@@ -579,6 +638,10 @@ export const getAttendanceReport = async (req, res) => {
       // Create a map of students who have attendance records
       const attendanceMap = new Map(attendanceRecords.map(record => [record._id.toString(), record]));
 
+      // Students without records are only absent on school days
+      const calendar = await loadSchoolCalendar(startOfDay, endOfDay);
+      const noRecordStatus = calendar.isSchoolDay(startOfDay) ? 'absent' : 'no_school';
+
       // Process all students to include both present and absent
       const processedStudents = allStudents.map(student => {
         const attendance = attendanceMap.get(student._id.toString());
@@ -587,24 +650,33 @@ export const getAttendanceReport = async (req, res) => {
           // Student has attendance records for this day
           const records = attendance.records || [];
           const entryRecord = records.find(r => r.status === 'entered' || r.status === 'present');
-          const leaveRecord = records.find(r => r.status === 'left');
-          const lateRecord = records.find(r => r.status === 'late');
+          const lateRecord = records.find(r => r.isLate || r.status === 'late');
+          const excusedRecord = records.find(r => r.status === 'excused');
+          const sessions = records.flatMap(getRecordSessions);
+          const status = lateRecord ? 'late' : (entryRecord ? 'present' : (excusedRecord ? 'excused' : 'absent'));
 
           return {
             ...student,
+            status,
+            sessions,
+            isLate: Boolean(lateRecord),
+            minutesLate: lateRecord?.minutesLate || 0,
             attendanceHistory: [{
-              status: lateRecord ? 'late' : (entryRecord ? 'present' : 'absent'),
+              status,
               date: startOfDay,
-              entryTime: entryRecord?.timestamp || null,
-              leaveTime: leaveRecord?.timestamp || null
+              entryTime: entryRecord?.entryTime || null,
+              leaveTime: records.find(r => r.leaveTime)?.leaveTime || null,
+              sessions
             }]
           };
         } else {
-          // Student was absent
+          // Student was absent, unless there was no school that day
           return {
             ...student,
+            status: noRecordStatus,
+            sessions: [],
             attendanceHistory: [{
-              status: 'absent',
+              status: noRecordStatus,
               date: startOfDay,
               entryTime: null,
               leaveTime: null
@@ -614,7 +686,8 @@ export const getAttendanceReport = async (req, res) => {
       });
 
       // Create Excel report
-      const excelBuffer = await createExcelReport(processedStudents, 'daily');
+      const locationBreakdown = await getReportLocationBreakdown(req, startOfDay, endOfDay);
+      const excelBuffer = await createExcelReport(processedStudents, 'daily', req.classFilter?.label, locationBreakdown);
 
       // Set response headers
       res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
@@ -644,20 +717,18 @@ const formatTime = (time) => {
   try {
     // Try parsing as Date object first
     if (time instanceof Date) {
-      return DateTime.fromJSDate(time)
-        .setZone('Asia/Colombo')
+      return toSchoolTime(time)
         .toLocaleString(DateTime.TIME_WITH_SECONDS);
     }
     
     // Then try as ISO string
-    const parsedTime = DateTime.fromISO(time);
+    const parsedTime = DateTime.fromISO(time, { zone: getSchoolTimezone() });
     if (parsedTime.isValid) {
-      return parsedTime.setZone('Asia/Colombo').toLocaleString(DateTime.TIME_WITH_SECONDS);
+      return parsedTime.toLocaleString(DateTime.TIME_WITH_SECONDS);
     }
     
     // Last resort, try as JS Date constructor
-    return DateTime.fromJSDate(new Date(time))
-      .setZone('Asia/Colombo')
+    return toSchoolTime(new Date(time))
       .toLocaleString(DateTime.TIME_WITH_SECONDS);
   } catch (e) {
     console.warn(`Invalid time format: ${time}`);
@@ -676,50 +747,82 @@ const normalizeStatus = (status) => {
   if (statusLower === 'left') return 'Left';
   if (statusLower === 'late') return 'Late';
   if (statusLower === 'absent') return 'Absent';
+  if (statusLower === 'excused') return 'Excused';
+  if (statusLower === 'no_school') return 'No School';
   
   return status.charAt(0).toUpperCase() + status.slice(1);
 };
 
+// Attendance of one report row as counted in the class summary sheet
+const toClassSummaryRow = (reportType) => (row) => {
+  if (reportType === 'daily') {
+    const status = row.status?.toLowerCase();
+    return {
+      student: row,
+      present: ['present', 'entered', 'late', 'left'].includes(status) ? 1 : 0,
+      late: row.isLate || status === 'late' ? 1 : 0,
+      excused: status === 'excused' ? 1 : 0,
+      absent: status === 'absent' ? 1 : 0,
+      schoolDays: status === 'no_school' ? 0 : 1
+    };
+  }
+
+  return {
+    student: row,
+    present: row.daysPresent || 0,
+    late: row.daysLate || row.lateDays || 0,
+    excused: row.daysExcused || 0,
+    absent: row.daysAbsent || 0,
+    schoolDays: (row.daysPresent || 0) + (row.daysExcused || 0) + (row.daysAbsent || 0)
+  };
+};
+
 // Helper function to create Excel report
-const createExcelReport = (data, reportType) => {
-  const workbook = new ExcelJS.Workbook();
+// Reports covering many students get a Class column and a per-class summary sheet,
+// and a sheet of entries and exits by gate when a location breakdown is given
+const createExcelReport = async (data, reportType, classLabel = null, locationBreakdown = null) => {
+  const branding = await getReportBranding();
+  const workbook = createReportWorkbook(branding);
+  const byClass = reportType !== 'individual';
+  const sectionDetails = byClass ? await getSectionDetails(data || []) : new Map();
   const worksheet = workbook.addWorksheet('Attendance Report', {
     properties: {
-      tabColor: { argb: '1E88E5' },
+      tabColor: { argb: branding.headerColor },
       defaultRowHeight: 25,
       defaultColWidth: 15
     }
   });
 
   // Add title
-  const titleRow = worksheet.addRow(['Attendance Report']);
+  const titleRow = worksheet.addRow([getReportTitle(branding, classLabel ? `Attendance Report - ${classLabel}` : 'Attendance Report')]);
   titleRow.font = { bold: true, size: 16 };
-  titleRow.alignment = { horizontal: 'center' };
-  worksheet.mergeCells('A1:G1');
+  titleRow.alignment = { horizontal: 'center', vertical: 'middle' };
+  worksheet.mergeCells('A1:I1');
+  addReportLogo(workbook, worksheet, branding);
 
   // Add date range
-  const dateRangeRow = worksheet.addRow([`Generated on: ${DateTime.now().setZone('Asia/Colombo').toLocaleString(DateTime.DATETIME_FULL)}`]);
+  const dateRangeRow = worksheet.addRow([`Generated on: ${toSchoolTime().toLocaleString(DateTime.DATETIME_FULL)}`]);
   dateRangeRow.font = { italic: true };
   dateRangeRow.alignment = { horizontal: 'center' };
-  worksheet.mergeCells('A2:G2');
+  worksheet.mergeCells('A2:I2');
 
   // Add headers based on report type
   let headers;
   switch (reportType) {
     case 'daily':
-      headers = ['Student Name', 'Index Number', 'Email', 'Status', 'Entry Time', 'Leave Time', 'Duration'];
+      headers = ['Student Name', 'Index Number', 'Class', 'Email', 'Status', 'First In', 'Last Out', 'Exits', 'Time on Campus', 'Minutes Late'];
       break;
     case 'weekly':
-      headers = ['Student Name', 'Index Number', 'Email', 'Week', 'Days Present', 'Days Absent', 'Attendance Rate'];
+      headers = ['Student Name', 'Index Number', 'Class', 'Email', 'Week', 'Days Present', 'Days Excused', 'Days Absent', 'Attendance Rate'];
       break;
     case 'monthly':
-      headers = ['Student Name', 'Index Number', 'Email', 'Month', 'Attendance Rate', 'Average Duration', 'Late Days'];
+      headers = ['Student Name', 'Index Number', 'Class', 'Email', 'Month', 'Attendance Rate', 'Days Excused', 'Days Absent', 'Average Duration', 'Exits', 'Late Days'];
       break;
     case 'individual':
-      headers = ['Date', 'Status', 'Entry Time', 'Leave Time', 'Duration'];
+      headers = ['Date', 'Status', 'First In', 'Last Out', 'Exits', 'Time on Campus', 'Minutes Late'];
       break;
     default:
-      headers = ['Student Name', 'Index Number', 'Email', 'Status', 'Entry Time', 'Leave Time', 'Duration'];
+      headers = ['Student Name', 'Index Number', 'Class', 'Email', 'Status', 'First In', 'Last Out', 'Exits', 'Time on Campus', 'Minutes Late'];
   }
 
   const headerRow = worksheet.addRow(headers);
@@ -727,7 +830,7 @@ const createExcelReport = (data, reportType) => {
   headerRow.fill = {
       type: 'pattern',
       pattern: 'solid',
-    fgColor: { argb: '1E88E5' }
+    fgColor: { argb: branding.headerColor }
   };
   headerRow.font = { color: { argb: 'FFFFFF' } };
 
@@ -743,35 +846,14 @@ const createExcelReport = (data, reportType) => {
                           (row.attendanceHistory && row.attendanceHistory[0]?.email) || 
                           'N/A';
       
-      // Format times
-      const formattedEntryTime = formatTime(row.entryTime);
-      const formattedLeaveTime = formatTime(row.leaveTime);
+      // Summarise the day's in/out sessions
+      const sessions = row.sessions || getRecordSessions(row);
+      const { firstIn, lastOut, exitCount } = summarizeSessions(sessions);
       
-      // Calculate duration
-      let duration = 'N/A';
-      if (row.entryTime && row.leaveTime) {
-        try {
-          const entryTime = row.entryTime instanceof Date 
-            ? row.entryTime 
-            : new Date(row.entryTime);
-            
-          const leaveTime = row.leaveTime instanceof Date 
-            ? row.leaveTime 
-            : new Date(row.leaveTime);
-          
-          if (!isNaN(entryTime.getTime()) && !isNaN(leaveTime.getTime())) {
-            const durationMs = leaveTime.getTime() - entryTime.getTime();
-            if (durationMs > 0) {
-              const durationHours = Math.floor(durationMs / (1000 * 60 * 60));
-              const durationMinutes = Math.floor((durationMs % (1000 * 60 * 60)) / (1000 * 60));
-              
-              duration = `${durationHours}h ${durationMinutes}m`;
-            }
-          }
-        } catch (e) {
-          console.warn('Error calculating duration');
-        }
-      }
+      // Format times
+      const formattedEntryTime = formatTime(firstIn || row.entryTime);
+      const formattedLeaveTime = formatTime(lastOut);
+      const duration = calculateDuration(sessions);
       
       // Normalize status 
       const displayStatus = normalizeStatus(row.status);
@@ -787,23 +869,27 @@ const createExcelReport = (data, reportType) => {
             return name;
           case 'Index Number':
             return (row.indexNumber || 'N/A').toUpperCase();
+          case 'Class':
+            return getClassLabel(sectionDetails, row);
           case 'Email':
             return studentEmail;
           case 'Date':
             if (row.date) {
               if (row.date instanceof Date) {
-                return DateTime.fromJSDate(row.date).setZone('Asia/Colombo').toFormat('MMM d, yyyy');
+                return toSchoolTime(row.date).toFormat('MMM d, yyyy');
               } 
-              return DateTime.fromISO(row.date).setZone('Asia/Colombo').toFormat('MMM d, yyyy');
+              return DateTime.fromISO(row.date, { zone: getSchoolTimezone() }).toFormat('MMM d, yyyy');
             }
             return 'N/A';
           case 'Status':
             return displayStatus;
-          case 'Entry Time':
+          case 'First In':
             return formattedEntryTime;
-          case 'Leave Time':
+          case 'Last Out':
             return formattedLeaveTime;
-          case 'Duration':
+          case 'Exits':
+            return row.exitCount ?? exitCount;
+          case 'Time on Campus':
             return duration;
           case 'Week':
             return row.week || 'N/A';
@@ -811,6 +897,8 @@ const createExcelReport = (data, reportType) => {
             return row.month || 'N/A';
           case 'Days Present':
             return row.daysPresent || 0;
+          case 'Days Excused':
+            return row.daysExcused || 0;
           case 'Days Absent':
             return row.daysAbsent || 0;
           case 'Attendance Rate':
@@ -818,7 +906,9 @@ const createExcelReport = (data, reportType) => {
           case 'Average Duration':
             return row.averageDuration || 'N/A';
           case 'Late Days': 
-            return row.lateDays || 0;
+            return row.lateDays || row.daysLate || 0;
+          case 'Minutes Late':
+            return row.isLate ? row.minutesLate : '';
           default:
             return row[header] || 'N/A';
         }
@@ -848,6 +938,7 @@ const createExcelReport = (data, reportType) => {
             fgColor: {
               argb: status.includes('present') ? 'E8F5E9' :
                     status.includes('absent') ? 'FFEBEE' :
+                    status.includes('excused') ? 'EDE7F6' :
                     status.includes('late') ? 'FFF3E0' :
                     status.includes('left') ? 'E3F2FD' :
                     'F5F5F5'
@@ -876,6 +967,10 @@ const createExcelReport = (data, reportType) => {
       row.status?.toLowerCase() === 'absent'
     ).length;
     
+    const excusedCount = data.filter(row => 
+      row.status?.toLowerCase() === 'excused'
+    ).length;
+    
     const lateCount = data.filter(row => 
       row.status?.toLowerCase() === 'late'
     ).length;
@@ -884,7 +979,15 @@ const createExcelReport = (data, reportType) => {
     worksheet.addRow(['Present', presentCount]);
     worksheet.addRow(['Left', leftCount]);
     worksheet.addRow(['Absent', absentCount]);
+    worksheet.addRow(['Excused', excusedCount]);
     worksheet.addRow(['Late', lateCount]);
+
+    if (byClass) {
+      addClassSummarySheet(workbook, sectionDetails, data.map(toClassSummaryRow(reportType)), branding.headerColor);
+    }
+    if (locationBreakdown) {
+      addLocationSheet(workbook, locationBreakdown, branding.headerColor);
+    }
       } else {
     // Add a message when no data is available
     worksheet.addRow(['No attendance records found for the specified period']);
@@ -918,7 +1021,8 @@ const createExcelReport = (data, reportType) => {
 };
 export const markStudentAttendance = async (req, res) => {
   try {
-    const { studentId, status, date, adminNote, scanLocation, deviceInfo, sendNotification } = req.body;
+    const { studentId, status, date, adminNote, scanLocation, locationId, deviceInfo, sendNotification } = req.body;
+    const reason = getChangeReason(req);
 
     if (!studentId) {
       return res.status(400).json({
@@ -927,6 +1031,10 @@ export const markStudentAttendance = async (req, res) => {
       });
     }
 
+    if (!reason) {
+      return reasonRequired(res);
+    }
+
     // Find the student
     const student = await Student.findById(studentId);
     
@@ -938,23 +1046,90 @@ export const markStudentAttendance = async (req, res) => {
     }
 
     // Valid status values
-    const validStatus = ['entered', 'left', 'present', 'absent'];
+    const validStatus = ['entered', 'left', 'present', 'absent', 'excused'];
     
     if (!validStatus.includes(status)) {
       return res.status(400).json({
         status: 'error',
-        message: 'Invalid status. Must be one of: entered, left, present, absent'
+        message: 'Invalid status. Must be one of: entered, left, present, absent, excused'
+      });
+    }
+
+    // Excusing a student records an approved leave request, today unless a range is given
+    if (status === 'excused') {
+      const startDate = req.body.startDate ? parseDayString(req.body.startDate) : getDateRange().startOfDay;
+      const endDate = req.body.endDate ? parseDayString(req.body.endDate) : startDate;
+
+      if (!startDate || !endDate) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Dates must be in YYYY-MM-DD format'
+        });
+      }
+
+      const leaveRequest = await LeaveRequest.create({
+        student: student._id,
+        startDate,
+        endDate,
+        category: req.body.category || 'other',
+        note: adminNote || '',
+        status: 'approved',
+        requestedBy: req.admin?._id || null,
+        reviewedBy: req.admin?._id || null,
+        reviewedAt: new Date()
+      });
+      const excusedDays = await applyLeaveRequest(leaveRequest, req.admin?._id || null, reason);
+
+      return res.status(200).json({
+        status: 'success',
+        message: 'Student marked as excused successfully',
+        data: {
+          student: {
+            id: student._id,
+            name: student.name,
+            indexNumber: student.indexNumber
+          },
+          leaveRequestId: leaveRequest._id,
+          excusedDays
+        }
       });
     }
 
-    // Mark attendance with the provided status
+    // Manual entries are recorded at the admin portal unless a registered location is given
+    let place = { location: null, name: 'Admin Portal' };
+    if (locationId || scanLocation) {
+      try {
+        place = await resolveScanLocation({ locationId, scanLocation });
+      } catch (error) {
+        if (error instanceof AppError) {
+          return res.status(error.statusCode).json({ status: 'error', message: error.message });
+        }
+        throw error;
+      }
+    }
+
+    // Mark attendance with the provided status, keeping a revision of today's record
+    const day = getDateRange().startOfDay;
+    const recordBefore = await AttendanceRecord.findOne({ student: student._id, day }).lean();
+
     await student.markAttendance(
       status, 
-      req.user?._id || null, 
+      req.admin?._id || null, 
       deviceInfo || 'Manual entry by admin',
-      scanLocation || 'Admin Portal'
+      place.name,
+      place.location?._id || null
     );
 
+    const recordAfter = await AttendanceRecord.findOne({ student: student._id, day }).lean();
+    if (recordAfter) {
+      await recordRevisions([{
+        record: recordAfter,
+        action: recordBefore ? 'update' : 'create',
+        before: snapshotRecord(recordBefore),
+        after: snapshotRecord(recordAfter)
+      }], { reason, adminId: req.admin?._id || null });
+    }
+
     // If notification is requested, send WhatsApp message
     if (sendNotification !== false && student.parent_telephone) {
       try {
@@ -996,6 +1171,13 @@ export const markStudentAttendance = async (req, res) => {
       }
     });
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+
     console.error('Error marking student attendance:', error);
     return res.status(500).json({
       status: 'error',
@@ -1069,37 +1251,25 @@ export const getAutoCheckoutSettings = async (req, res) => {
 // Run auto checkout for all students who haven't checked out
 export const runAutoCheckout = async (req, res) => {
   try {
-    // Get current date
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    
-    // Get all students who checked in today but didn't check out
-    const students = await Student.find({
-      'attendanceHistory.date': {
-        $gte: today
-      },
-      'attendanceHistory.status': 'entered',
-      'attendanceHistory.leaveTime': null
-    });
+    // Get midnight of today in school time
+    const today = getDateRange().startOfDay;
+    
+    // Get today's records for students who checked in but didn't check out
+    const openRecords = await AttendanceRecord.find({
+      day: today,
+      status: 'entered',
+      leaveTime: null
+    }).populate('student');
     
-    console.log(`Found ${students.length} students who need auto checkout`);
+    console.log(`Found ${openRecords.length} students who need auto checkout`);
     
     let processed = 0;
     let failed = 0;
     
     // Process each student
-    for (const student of students) {
+    for (const { student } of openRecords) {
       try {
-        // Find today's attendance record
-        const todayRecord = student.attendanceHistory.find(record => {
-          const recordDate = new Date(record.date);
-          recordDate.setHours(0, 0, 0, 0);
-          return recordDate.getTime() === today.getTime() && 
-                 record.status === 'entered' && 
-                 !record.leaveTime;
-        });
-        
-        if (todayRecord) {
+        if (student) {
           // Mark the student as left
           await student.markAttendance(
             'left',
@@ -1152,6 +1322,99 @@ export const runAutoCheckout = async (req, res) => {
   }
 };
 
+// Longest range absence marking will backfill in one request
+const MAX_ABSENCE_BACKFILL_DAYS = 366;
+
+// Mark students with no scan as absent for a day or a range of past days
+export const runAbsenceMarking = async (req, res) => {
+  try {
+    const { startDate, endDate, notifyParents = false } = req.body;
+    const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+
+    if ((startDate && !dateRegex.test(startDate)) || (endDate && !dateRegex.test(endDate))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid date format. Please use YYYY-MM-DD format'
+      });
+    }
+
+    const start = startDate ? DateTime.fromISO(startDate, { zone: getSchoolTimezone() }).startOf('day') : toSchoolTime().startOf('day');
+    const end = endDate ? DateTime.fromISO(endDate, { zone: getSchoolTimezone() }).startOf('day') : start;
+
+    if (end < start) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'End date must not be before start date'
+      });
+    }
+
+    if (start > toSchoolTime()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Cannot mark absences for future dates'
+      });
+    }
+
+    if (end.diff(start, 'days').days + 1 > MAX_ABSENCE_BACKFILL_DAYS) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Date range too large. Please limit to ${MAX_ABSENCE_BACKFILL_DAYS} days or less`
+      });
+    }
+
+    const summary = await autoMarkAbsences({
+      startDate: start.toJSDate(),
+      endDate: end.toJSDate(),
+      notifyParents: Boolean(notifyParents),
+      adminId: req.admin?._id || null
+    });
+
+    return res.status(200).json({
+      status: 'success',
+      message: `Absence marking completed: ${summary.marked} students marked absent over ${summary.days.length} school days`,
+      data: summary
+    });
+  } catch (error) {
+    console.error('Error running absence marking:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to run absence marking',
+      error: error.message
+    });
+  }
+};
+
+// Recalculate the attendance stats stored on every student, or on one
+export const runStatsRecompute = async (req, res) => {
+  try {
+    const { studentId } = req.body;
+
+    if (studentId) {
+      if (!mongoose.Types.ObjectId.isValid(studentId) || !(await Student.exists({ _id: studentId }))) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Student not found'
+        });
+      }
+    }
+
+    const summary = await recomputeAttendanceStats({ studentId: studentId || null });
+
+    return res.status(200).json({
+      status: 'success',
+      message: `Attendance stats recalculated: ${summary.updated} of ${summary.checked} students updated`,
+      data: summary
+    });
+  } catch (error) {
+    console.error('Error recalculating attendance stats:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to recalculate attendance stats',
+      error: error.message
+    });
+  }
+};
+
 export const forgotPassword = async (req, res) => {
   try {
     const { email } = req.body;
@@ -1383,16 +1646,7 @@ export const getAttendanceByDate = async (req, res) => {
     const { startOfDay, endOfDay } = getDateRange(date);
     logInfo(`Fetching attendance records for date: ${date}`);
 
-    const students = await Student.find({
-      "attendanceHistory": {
-        $elemMatch: {
-          date: {
-            $gte: startOfDay,
-            $lt: endOfDay
-          }
-        }
-      }
-    }).select('name indexNumber student_email attendanceHistory');
+    const students = await findStudentsWithAttendance(startOfDay, endOfDay, 'name indexNumber student_email section', getClassQuery(req));
 
     if (!students || students.length === 0) {
       logInfo(`No attendance records found for date: ${date}`);
@@ -1405,16 +1659,18 @@ export const getAttendanceByDate = async (req, res) => {
             totalCount: 0,
             presentCount: 0,
             absentCount: 0,
+            excusedCount: 0,
             lateCount: 0
           }
         }
       });
     }
 
+    const sectionDetails = await getSectionDetails(students);
     const processedStudents = students.map(student => {
       const dateAttendance = student.attendanceHistory.find(record => {
-        const recordDate = DateTime.fromJSDate(record.date);
-        const targetDate = DateTime.fromJSDate(startOfDay);
+        const recordDate = toSchoolTime(record.date);
+        const targetDate = toSchoolTime(startOfDay);
         return recordDate.hasSame(targetDate, 'day');
       });
 
@@ -1422,10 +1678,13 @@ export const getAttendanceByDate = async (req, res) => {
         id: student._id,
         name: student.name,
         indexNumber: student.indexNumber.toUpperCase(), // Ensure uppercase as per memory
+        className: getClassLabel(sectionDetails, student),
         email: student.student_email,
         status: dateAttendance?.status || 'absent',
         entryTime: dateAttendance?.entryTime || null,
-        leaveTime: dateAttendance?.leaveTime || null
+        leaveTime: dateAttendance?.leaveTime || null,
+        isLate: dateAttendance?.isLate || false,
+        minutesLate: dateAttendance?.minutesLate || 0
       };
     });
 
@@ -1441,9 +1700,15 @@ export const getAttendanceByDate = async (req, res) => {
         case 'absent':
           acc.absentCount++;
           break;
+        case 'excused':
+          acc.excusedCount++;
+          break;
+      }
+      if (student.isLate && student.status !== 'late') {
+        acc.lateCount++;
       }
       return acc;
-    }, { totalCount: 0, presentCount: 0, absentCount: 0, lateCount: 0 });
+    }, { totalCount: 0, presentCount: 0, absentCount: 0, excusedCount: 0, lateCount: 0 });
 
     logSuccess(`Successfully fetched ${stats.totalCount} attendance records for date: ${date}`);
     res.status(200).json({
@@ -1690,6 +1955,12 @@ export const sendAttendanceNotification = async (studentId, status, timestamp) =
     // Get current time if timestamp not provided
     const scanTime = timestamp || new Date();
     
+    // Today's record says whether the student arrived late
+    const todayRecord = await AttendanceRecord.findOne({
+      student: student._id,
+      day: getDateRange(scanTime).startOfDay
+    }).select('isLate minutesLate').lean();
+    
     // Create student data object for WhatsApp message
     const studentData = {
       name: student.name,
@@ -1698,7 +1969,9 @@ export const sendAttendanceNotification = async (studentId, status, timestamp) =
       address: student.address,
       parent_telephone: student.parent_telephone,
       status: status,
-      timestamp: scanTime
+      timestamp: scanTime,
+      isLate: todayRecord?.isLate || false,
+      minutesLate: todayRecord?.minutesLate || 0
     };
     
     // Clean phone number
@@ -1734,7 +2007,7 @@ export const sendAttendanceNotification = async (studentId, status, timestamp) =
 };
 
 /**
- * Generate a stylish QR code for a student with pixel art dinosaur logo
+ * Generate a QR code for a student in the school's QR style
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
@@ -1748,28 +2021,12 @@ export const generateStudentQRCode = async (req, res) => {
       return res.status(404).json({ message: 'Student not found' });
     }
     
-    // Generate QR code data with secure hash
-    const qrCodeData = JSON.stringify({
-      id: student._id,
-      name: student.name,
-      indexNumber: student.indexNumber,
-      email: student.student_email,
-      timestamp: new Date().toISOString(),
-      secureHash: crypto.createHash('sha256')
-        .update(`${student._id}${student.indexNumber}${process.env.JWT_SECRET || 'qrattend-secret'}`)
-        .digest('hex').substring(0, 16)
-    });
-    
-    // Generate stylish QR code with dinosaur logo
-    const qrCode = await generateStylishQRCode(qrCodeData, {
-      errorCorrectionLevel: 'H',
-      margin: 1,
-      color: {
-        dark: '#000000',  // Black QR code
-        light: '#FFFFFF'  // White background
-      },
-      width: 400
-    });
+    // Sign a fresh code with the current key and keep it as the student's code
+    // A new key in between makes this a fresh code, which goes in the history
+    const qrCode = await signStudentQRCode(student);
+    student.qrCode = qrCode;
+    recordQrIssue(student, student.qrHistory.length ? 'key_rotation' : 'issued', { adminId: req.admin?._id || null });
+    await student.save();
     
     // Convert base64 data URL to buffer
     const base64Data = qrCode.replace(/^data:image\/png;base64,/, '');
@@ -1802,7 +2059,7 @@ const logError = (message) => {
 export const getRecentAttendance = async (req, res) => {
   try {
     // Get today's date range in Sri Lanka timezone
-    const now = DateTime.now().setZone('Asia/Colombo');
+    const now = toSchoolTime();
     const startOfDay = now.startOf('day').toJSDate();
     const endOfDay = now.endOf('day').toJSDate();
 
@@ -1813,18 +2070,7 @@ export const getRecentAttendance = async (req, res) => {
     });
 
     // Find students with attendance records for today
-    const students = await Student.find({
-      "attendanceHistory": {
-        $elemMatch: {
-          date: {
-            $gte: startOfDay,
-            $lte: endOfDay
-          }
-        }
-      }
-    })
-    .select('name indexNumber student_email attendanceHistory status messages')
-    .lean();
+    const students = await findStudentsWithAttendance(startOfDay, endOfDay, 'name indexNumber student_email status messages', getClassQuery(req));
 
     // Process attendance records
     const processedRecords = students.map(student => {
@@ -1870,6 +2116,7 @@ export const getRecentAttendance = async (req, res) => {
       totalCount: processedRecords.length,
       presentCount: processedRecords.filter(r => r.status === 'entered' || r.status === 'present').length,
       absentCount: processedRecords.filter(r => r.status === 'absent').length,
+      excusedCount: processedRecords.filter(r => r.status === 'excused').length,
       leftCount: processedRecords.filter(r => r.status === 'left').length
     };
 
@@ -1883,6 +2130,7 @@ export const getRecentAttendance = async (req, res) => {
           totalCount: 0,
           presentCount: 0,
           absentCount: 0,
+          excusedCount: 0,
           leftCount: 0
         },
         timestamp: now.toJSDate()
@@ -1928,13 +2176,19 @@ export const generateDailyReport = async (req, res) => {
     }
 
     // Convert date to Date object and timezone
-    const targetDate = DateTime.fromISO(date).setZone('Asia/Colombo').startOf('day').toJSDate();
-    const endOfDay = DateTime.fromISO(date).setZone('Asia/Colombo').endOf('day').toJSDate();
+    const targetDate = DateTime.fromISO(date, { zone: getSchoolTimezone() }).startOf('day').toJSDate();
+    const endOfDay = DateTime.fromISO(date, { zone: getSchoolTimezone() }).endOf('day').toJSDate();
 
     console.log(`Generating daily report for ${date} from ${targetDate} to ${endOfDay}`);
 
-    // Get all students with their attendance history
-    const students = await Student.find().lean();
+    // Students without a record are only absent on school days
+    const calendar = await loadSchoolCalendar(targetDate, endOfDay);
+    const noRecordStatus = calendar.isSchoolDay(targetDate) ? 'absent' : 'no_school';
+
+    // Get all students, or those of one class, with their attendance records for the day
+    const students = await Student.find(getClassQuery(req))
+      .populate({ path: 'attendanceHistory', match: { day: { $gte: targetDate, $lte: endOfDay } } })
+      .lean();
     
     // Process student records similar to DashboardPage
     const processedStudents = students.map(student => {
@@ -1960,7 +2214,7 @@ export const generateDailyReport = async (req, res) => {
       
       if (dateAttendance?.entryTime) {
         try {
-          const parsedEntry = DateTime.fromISO(dateAttendance.entryTime);
+          const parsedEntry = DateTime.fromISO(dateAttendance.entryTime, { zone: getSchoolTimezone() });
           if (parsedEntry.isValid) {
             entryTimeObj = parsedEntry.toJSDate();
           }
@@ -1971,7 +2225,7 @@ export const generateDailyReport = async (req, res) => {
       
       if (dateAttendance?.leaveTime) {
         try {
-          const parsedLeave = DateTime.fromISO(dateAttendance.leaveTime);
+          const parsedLeave = DateTime.fromISO(dateAttendance.leaveTime, { zone: getSchoolTimezone() });
           if (parsedLeave.isValid) {
             leaveTimeObj = parsedLeave.toJSDate();
           }
@@ -1980,8 +2234,9 @@ export const generateDailyReport = async (req, res) => {
         }
       }
       
-      // Normalize status for display like in Dashboard
-      const status = dateAttendance?.status?.toLowerCase() || 'absent';
+      // Normalize status for display like in Dashboard, showing late arrivals still on campus as late
+      const recordStatus = dateAttendance?.status?.toLowerCase() || noRecordStatus;
+      const status = dateAttendance?.isLate && recordStatus === 'entered' ? 'late' : recordStatus;
       
       // Handle student name combining all possible variations like Dashboard
       let studentName;
@@ -2005,10 +2260,14 @@ export const generateDailyReport = async (req, res) => {
       return {
         name: studentName,
         indexNumber: student.indexNumber || 'N/A',
+        section: student.section,
         student_email: studentEmail,
         status: status,
         entryTime: entryTimeObj,
         leaveTime: leaveTimeObj,
+        sessions: getRecordSessions(dateAttendance),
+        isLate: dateAttendance?.isLate || false,
+        minutesLate: dateAttendance?.minutesLate || 0,
         date: targetDate
       };
     });
@@ -2016,7 +2275,8 @@ export const generateDailyReport = async (req, res) => {
     console.log(`Processed ${processedStudents.length} student records for report`);
 
     // Create Excel report
-    const excelBuffer = await createExcelReport(processedStudents, 'daily');
+    const locationBreakdown = await getReportLocationBreakdown(req, targetDate, endOfDay);
+    const excelBuffer = await createExcelReport(processedStudents, 'daily', req.classFilter?.label, locationBreakdown);
 
     // Set response headers
     res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
@@ -2054,21 +2314,12 @@ export const generateWeeklyReport = async (req, res) => {
     }
 
     // Get the week's start and end dates
-    const targetDate = DateTime.fromISO(date);
+    const targetDate = DateTime.fromISO(date, { zone: getSchoolTimezone() });
     const weekStart = targetDate.startOf('week').toJSDate();
     const weekEnd = targetDate.endOf('week').toJSDate();
 
     // Get all students with attendance records for the week
-    const students = await Student.find({
-      "attendanceHistory": {
-        $elemMatch: {
-          date: {
-            $gte: weekStart,
-            $lte: weekEnd
-          }
-        }
-      }
-    }).select('name indexNumber student_email attendanceHistory').lean();
+    const students = await findStudentsWithAttendance(weekStart, weekEnd, 'name indexNumber student_email section', getClassQuery(req));
 
     if (!students || students.length === 0) {
       return res.status(404).json({
@@ -2077,33 +2328,40 @@ export const generateWeeklyReport = async (req, res) => {
       });
     }
 
+    // Only school days in the week count towards presence and absence
+    const calendar = await loadSchoolCalendar(weekStart, weekEnd);
+    const totalDays = calendar.countSchoolDays(weekStart, weekEnd);
+
     // Process student records
     const processedStudents = students.map(student => {
       const weekAttendance = student.attendanceHistory.filter(record => {
-        const recordDate = DateTime.fromJSDate(record.date);
+        const recordDate = toSchoolTime(record.date);
         return recordDate >= weekStart && recordDate <= weekEnd;
       });
 
-      const daysPresent = weekAttendance.filter(r => r.status === 'present' || r.status === 'entered').length;
-      const daysAbsent = weekAttendance.filter(r => r.status === 'absent').length;
-      const daysLate = weekAttendance.filter(r => r.status === 'late').length;
-      const totalDays = 5; // Assuming 5 working days per week
+      const daysPresent = countPresentSchoolDays(calendar, weekAttendance);
+      const daysExcused = countExcusedSchoolDays(calendar, weekAttendance);
+      const daysAbsent = Math.max(0, totalDays - daysPresent - daysExcused);
+      const daysLate = weekAttendance.filter(r => isPresentRecord(r) && r.isLate && calendar.isSchoolDay(r.date)).length;
 
       return {
         name: student.name || 'N/A',
         indexNumber: student.indexNumber || 'N/A',
+        section: student.section,
         student_email: student.student_email || 'N/A',
         weekStart: weekStart,
         weekEnd: weekEnd,
         daysPresent,
+        daysExcused,
         daysAbsent,
         daysLate,
-        attendanceRate: (daysPresent / totalDays) * 100
+        attendanceRate: getAttendancePercentage(daysPresent, totalDays)
       };
     });
 
     // Create Excel report
-    const excelBuffer = await createExcelReport(processedStudents, 'weekly');
+    const locationBreakdown = await getReportLocationBreakdown(req, weekStart, weekEnd);
+    const excelBuffer = await createExcelReport(processedStudents, 'weekly', req.classFilter?.label, locationBreakdown);
 
     // Set response headers
     res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
@@ -2141,21 +2399,12 @@ export const generateMonthlyReport = async (req, res) => {
     }
 
     // Get the month's start and end dates
-    const targetDate = DateTime.fromISO(date);
+    const targetDate = DateTime.fromISO(date, { zone: getSchoolTimezone() });
     const monthStart = targetDate.startOf('month').toJSDate();
     const monthEnd = targetDate.endOf('month').toJSDate();
 
     // Get all students with attendance records for the month
-    const students = await Student.find({
-      "attendanceHistory": {
-        $elemMatch: {
-          date: {
-            $gte: monthStart,
-            $lte: monthEnd
-          }
-        }
-      }
-    }).select('name indexNumber student_email attendanceHistory').lean();
+    const students = await findStudentsWithAttendance(monthStart, monthEnd, 'name indexNumber student_email section', getClassQuery(req));
 
     if (!students || students.length === 0) {
       return res.status(404).json({
@@ -2164,44 +2413,44 @@ export const generateMonthlyReport = async (req, res) => {
       });
     }
 
+    // Only school days in the month count towards presence and absence
+    const calendar = await loadSchoolCalendar(monthStart, monthEnd);
+    const totalDays = calendar.countSchoolDays(monthStart, monthEnd);
+
     // Process student records
     const processedStudents = students.map(student => {
       const monthAttendance = student.attendanceHistory.filter(record => {
-        const recordDate = DateTime.fromJSDate(record.date);
+        const recordDate = toSchoolTime(record.date);
         return recordDate >= monthStart && recordDate <= monthEnd;
       });
 
-      const daysPresent = monthAttendance.filter(r => r.status === 'present' || r.status === 'entered').length;
-      const daysAbsent = monthAttendance.filter(r => r.status === 'absent').length;
-      const daysLate = monthAttendance.filter(r => r.status === 'late').length;
-      const totalDays = monthAttendance.length;
+      const daysPresent = countPresentSchoolDays(calendar, monthAttendance);
+      const daysExcused = countExcusedSchoolDays(calendar, monthAttendance);
+      const daysAbsent = Math.max(0, totalDays - daysPresent - daysExcused);
+      const daysLate = monthAttendance.filter(r => isPresentRecord(r) && r.isLate && calendar.isSchoolDay(r.date)).length;
 
-      // Calculate average duration
-      const totalDuration = monthAttendance.reduce((sum, record) => {
-        if (record.entryTime && record.leaveTime) {
-          return sum + DateTime.fromJSDate(record.leaveTime)
-            .diff(DateTime.fromJSDate(record.entryTime), 'hours')
-            .toObject()
-            .hours;
-        }
-        return sum;
-      }, 0);
+      // Add up time and exits across every day's in/out sessions
+      const monthSummary = summarizeSessions(monthAttendance.flatMap(getRecordSessions));
 
       return {
         name: student.name || 'N/A',
         indexNumber: student.indexNumber || 'N/A',
+        section: student.section,
         student_email: student.student_email || 'N/A',
         month: targetDate.toFormat('MMMM yyyy'),
         daysPresent,
+        daysExcused,
         daysAbsent,
         daysLate,
-        attendanceRate: (daysPresent / totalDays) * 100,
-        averageDuration: daysPresent > 0 ? totalDuration / daysPresent : 0
+        attendanceRate: getAttendancePercentage(daysPresent, totalDays),
+        averageDuration: daysPresent > 0 ? formatDuration(monthSummary.totalMs / daysPresent) : 'N/A',
+        exitCount: monthSummary.exitCount
       };
     });
 
     // Create Excel report
-    const excelBuffer = await createExcelReport(processedStudents, 'monthly');
+    const locationBreakdown = await getReportLocationBreakdown(req, monthStart, monthEnd);
+    const excelBuffer = await createExcelReport(processedStudents, 'monthly', req.classFilter?.label, locationBreakdown);
 
     // Set response headers
     res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
@@ -2239,22 +2488,12 @@ export const generateIndividualReport = async (req, res) => {
     }
 
     // Get the month's start and end dates
-    const targetDate = DateTime.fromISO(date);
+    const targetDate = DateTime.fromISO(date, { zone: getSchoolTimezone() });
     const monthStart = targetDate.startOf('month').toJSDate();
     const monthEnd = targetDate.endOf('month').toJSDate();
 
     // Get student with attendance records for the month
-    const student = await Student.findOne({
-      _id: studentId,
-      "attendanceHistory": {
-        $elemMatch: {
-          date: {
-            $gte: monthStart,
-            $lte: monthEnd
-          }
-        }
-      }
-    }).select('name indexNumber student_email attendanceHistory').lean();
+    const [student] = await findStudentsWithAttendance(monthStart, monthEnd, 'name indexNumber student_email', { _id: studentId });
 
     if (!student) {
       return res.status(404).json({
@@ -2265,7 +2504,7 @@ export const generateIndividualReport = async (req, res) => {
 
     // Process attendance records
     const monthAttendance = student.attendanceHistory.filter(record => {
-      const recordDate = DateTime.fromJSDate(record.date);
+      const recordDate = toSchoolTime(record.date);
       return recordDate >= monthStart && recordDate <= monthEnd;
     });
 
@@ -2277,11 +2516,9 @@ export const generateIndividualReport = async (req, res) => {
       status: record.status || 'absent',
       entryTime: record.entryTime || null,
       leaveTime: record.leaveTime || null,
-      duration: record.entryTime && record.leaveTime ? 
-        DateTime.fromJSDate(record.leaveTime)
-          .diff(DateTime.fromJSDate(record.entryTime), 'hours')
-          .toObject()
-          .hours : null
+      sessions: getRecordSessions(record),
+      isLate: record.isLate || false,
+      minutesLate: record.minutesLate || 0
     }));
 
     // Create Excel report
@@ -2310,7 +2547,7 @@ const processStudentData = (student) => {
   
   if (student.entryTime) {
     try {
-      const parsedEntry = DateTime.fromISO(student.entryTime);
+      const parsedEntry = DateTime.fromISO(student.entryTime, { zone: getSchoolTimezone() });
       if (parsedEntry.isValid) {
         entryTimeObj = parsedEntry.toJSDate();
       }
@@ -2321,7 +2558,7 @@ const processStudentData = (student) => {
   
   if (student.leaveTime) {
     try {
-      const parsedLeave = DateTime.fromISO(student.leaveTime);
+      const parsedLeave = DateTime.fromISO(student.leaveTime, { zone: getSchoolTimezone() });
       if (parsedLeave.isValid) {
         leaveTimeObj = parsedLeave.toJSDate();
       }
@@ -2343,6 +2580,8 @@ const processStudentData = (student) => {
     displayStatus = 'Late';
   } else if (normalizedStatus === 'absent') {
     displayStatus = 'Absent';
+  } else if (normalizedStatus === 'excused') {
+    displayStatus = 'Excused';
   } else {
     displayStatus = student.status || 'Unknown';
   }
@@ -2389,8 +2628,8 @@ export const getDailyReportPreview = async (req, res) => {
     const { startDate, endDate, limit = 10, includeAllStudents = false, showAbsentStudents = true } = req.query;
     
     // Validate dates
-    const start = DateTime.fromFormat(startDate, 'yyyy-MM-dd');
-    const end = DateTime.fromFormat(endDate, 'yyyy-MM-dd');
+    const start = DateTime.fromFormat(startDate, 'yyyy-MM-dd', { zone: getSchoolTimezone() });
+    const end = DateTime.fromFormat(endDate, 'yyyy-MM-dd', { zone: getSchoolTimezone() });
     
     if (!start.isValid || !end.isValid) {
       return res.status(400).json({ 
@@ -2407,21 +2646,28 @@ export const getDailyReportPreview = async (req, res) => {
     console.log(`Getting daily report preview for date range: ${startDate} to ${endDate}`);
     console.log(`Converted date range: ${startOfDay} to ${endOfDay}`);
     
+    // Students without a record are only absent on school days
+    const calendar = await loadSchoolCalendar(startOfDay, endOfDay);
+    const noRecordStatus = calendar.isSchoolDay(startOfDay) ? 'Absent' : 'No School';
+    
     // Find students with attendance history for the specified date
-    const students = await Student.find({
-      "attendanceHistory.date": {
+    const studentIds = await AttendanceRecord.distinct('student', {
+      day: {
         $gte: startOfDay,
         $lte: endOfDay
       }
-    })
-    .select('name indexNumber student_email attendanceHistory status')
+    });
+    const students = await Student.find({ ...getClassQuery(req), _id: { $in: studentIds } })
+    .select('name indexNumber student_email status')
+    .populate({ path: 'attendanceHistory', match: { day: { $gte: startOfDay, $lte: endOfDay } } })
     .sort({ indexNumber: 1 })
     .limit(Number(limit));
     
     // If no students with attendance found, get any students
     if (!students || students.length === 0) {
-      const anyStudents = await Student.find()
-        .select('name indexNumber student_email attendanceHistory status')
+      const anyStudents = await Student.find(getClassQuery(req))
+        .select('name indexNumber student_email status')
+        .populate({ path: 'attendanceHistory', match: { day: { $gte: startOfDay, $lte: endOfDay } } })
         .sort({ indexNumber: 1 })
         .limit(Number(limit));
         
@@ -2433,16 +2679,16 @@ export const getDailyReportPreview = async (req, res) => {
         });
       }
       
-      // For students without attendance, mark them as absent but include their full attendance history
+      // For students without attendance, mark them as absent with their records in the range
       const previewData = anyStudents.map(student => ({
         name: student.name,
         indexNumber: student.indexNumber,
-        status: 'Absent',
+        status: noRecordStatus,
         entryTime: null,
         leaveTime: null,
         student_email: student.student_email,
         date: startOfDay,
-        attendanceHistory: student.attendanceHistory || [] // Include full attendance history
+        attendanceHistory: student.attendanceHistory || [] // Records in the range
       }));
       
       // Set headers to preserve MongoDB format
@@ -2465,15 +2711,18 @@ export const getDailyReportPreview = async (req, res) => {
         return recordDate >= startOfDay && recordDate <= endOfDay;
       });
       
-      let status = 'Absent';
+      let status = noRecordStatus;
       let entryTime = null;
       let leaveTime = null;
+      const sessions = getRecordSessions(attendanceRecord);
+      const { exitCount } = summarizeSessions(sessions);
       
       if (attendanceRecord) {
         // Set status based on attendance record
-        status = attendanceRecord.status === 'entered' ? 'Present' : 
+        status = attendanceRecord.status === 'entered' ? (attendanceRecord.isLate ? 'Late' : 'Present') : 
                 attendanceRecord.status === 'left' ? 'Left' : 
-                attendanceRecord.status === 'late' ? 'Late' : 'Absent';
+                attendanceRecord.status === 'late' ? 'Late' :
+                attendanceRecord.status === 'excused' ? 'Excused' : 'Absent';
         
         entryTime = attendanceRecord.entryTime;
         leaveTime = attendanceRecord.leaveTime;
@@ -2492,14 +2741,18 @@ export const getDailyReportPreview = async (req, res) => {
         status,
         entryTime,
         leaveTime,
+        sessions,
+        exitCount,
+        timeOnCampus: calculateDuration(sessions),
+        minutesLate: attendanceRecord?.isLate ? attendanceRecord.minutesLate : 0,
         student_email: student.student_email,
         date: startOfDay,
-        attendanceHistory: student.attendanceHistory || [] // Include full attendance history
+        attendanceHistory: student.attendanceHistory || [] // Records in the range
       };
     });
     
-    // Log the full attendance history for debugging
-    console.log("Full attendance history for students:");
+    // Log the records in the range for debugging
+    console.log("Attendance records in the range for students:");
     previewData.forEach(student => {
       console.log(`${student.name} (${student.indexNumber}): ${student.attendanceHistory.length} attendance records`);
       student.attendanceHistory.forEach((record, index) => {
@@ -2507,6 +2760,8 @@ export const getDailyReportPreview = async (req, res) => {
       });
     });
     
+    const byLocation = await getReportLocationBreakdown(req, startOfDay, endOfDay);
+    
     // Set headers to preserve MongoDB format
     res.setHeader('Content-Type', 'application/json');
     res.setHeader('MongoDB-Date-Format', 'true');
@@ -2514,7 +2769,8 @@ export const getDailyReportPreview = async (req, res) => {
     res.status(200).json({
       success: true,
       message: 'Preview data for daily report',
-      data: previewData
+      data: previewData,
+      byLocation
     });
   } catch (error) {
     console.error('Error generating daily report preview:', error);
@@ -2531,10 +2787,10 @@ export const getWeeklyReportPreview = async (req, res) => {
     const { startDate, endDate, limit = 20 } = req.query;
     
     // Validate dates
-    const start = new Date(startDate);
-    const end = new Date(endDate);
+    const firstDay = parseDateParam(startDate);
+    const lastDay = parseDateParam(endDate);
     
-    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+    if (!firstDay || !lastDay) {
       return res.status(400).json({ 
         success: false,
         message: 'Invalid date format',
@@ -2542,27 +2798,30 @@ export const getWeeklyReportPreview = async (req, res) => {
       });
     }
     
-    // Set time to start and end of day
-    start.setUTCHours(0, 0, 0, 0);
-    end.setUTCHours(23, 59, 59, 999);
+    // Cover the first and last day in full, in school time
+    const { startOfDay: start } = getDateRange(firstDay);
+    const { endOfDay: end } = getDateRange(lastDay);
     
-    // Calculate total days in date range
-    const totalDays = Math.round((end - start) / (1000 * 60 * 60 * 24)) + 1;
+    // Only school days in the range count towards presence and absence
+    const calendar = await loadSchoolCalendar(start, end);
+    const totalDays = calendar.countSchoolDays(start, end);
     
     // Find students with attendance records in the date range
-    const students = await Student.find({
-      'attendanceHistory.date': {
+    const studentIds = await AttendanceRecord.distinct('student', {
+      day: {
         $gte: start,
         $lte: end
       }
-    })
-    .select('name indexNumber student_email attendanceHistory status')
+    });
+    const students = await Student.find({ ...getClassQuery(req), _id: { $in: studentIds } })
+    .select('name indexNumber student_email status')
+    .populate({ path: 'attendanceHistory', match: { day: { $gte: start, $lte: end } } })
     .sort({ indexNumber: 1 })
     .limit(parseInt(limit));
     
     if (!students || students.length === 0) {
       // If no students with attendance, get a sample of students
-      const anyStudents = await Student.find()
+      const anyStudents = await Student.find(getClassQuery(req))
         .select('name indexNumber student_email status')
         .sort({ indexNumber: 1 })
         .limit(parseInt(limit));
@@ -2604,26 +2863,17 @@ export const getWeeklyReportPreview = async (req, res) => {
         return recordDate >= start && recordDate <= end;
       });
       
-      // Count unique days present using Set to avoid duplicates
-      const uniqueDaysPresent = new Set();
-      
-      recordsInRange.forEach(record => {
-        if (record.status === 'entered' || record.status === 'left' || record.status === 'late') {
-          // Use date string as key for the Set
-          const dateString = new Date(record.date).toISOString().split('T')[0];
-          uniqueDaysPresent.add(dateString);
-        }
-      });
-      
-      const daysPresent = uniqueDaysPresent.size;
-      const daysAbsent = totalDays - daysPresent;
-      const attendanceRate = totalDays > 0 ? (daysPresent / totalDays) * 100 : 0;
+      const daysPresent = countPresentSchoolDays(calendar, recordsInRange);
+      const daysExcused = countExcusedSchoolDays(calendar, recordsInRange);
+      const daysAbsent = Math.max(0, totalDays - daysPresent - daysExcused);
+      const attendanceRate = getAttendancePercentage(daysPresent, totalDays);
       
       return {
         name: student.name,
         indexNumber: student.indexNumber,
         email: student.student_email || 'N/A',
         daysPresent,
+        daysExcused,
         daysAbsent,
         attendanceRate
       };
@@ -2653,10 +2903,10 @@ export const getMonthlyReportPreview = async (req, res) => {
     const { startDate, endDate, limit = 20 } = req.query;
     
     // Validate dates
-    const start = new Date(startDate);
-    const end = new Date(endDate);
+    const firstDay = parseDateParam(startDate);
+    const lastDay = parseDateParam(endDate);
     
-    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+    if (!firstDay || !lastDay) {
       return res.status(400).json({ 
         success: false,
         message: 'Invalid date format',
@@ -2664,27 +2914,30 @@ export const getMonthlyReportPreview = async (req, res) => {
       });
     }
     
-    // Set time to start and end of day
-    start.setUTCHours(0, 0, 0, 0);
-    end.setUTCHours(23, 59, 59, 999);
+    // Cover the first and last day in full, in school time
+    const { startOfDay: start } = getDateRange(firstDay);
+    const { endOfDay: end } = getDateRange(lastDay);
     
-    // Calculate total days in date range
-    const totalDays = Math.round((end - start) / (1000 * 60 * 60 * 24)) + 1;
+    // Only school days in the range count towards presence and absence
+    const calendar = await loadSchoolCalendar(start, end);
+    const totalDays = calendar.countSchoolDays(start, end);
     
     // Find students with attendance records in the date range
-    const students = await Student.find({
-      'attendanceHistory.date': {
+    const studentIds = await AttendanceRecord.distinct('student', {
+      day: {
         $gte: start,
         $lte: end
       }
-    })
-    .select('name indexNumber student_email attendanceHistory status')
+    });
+    const students = await Student.find({ ...getClassQuery(req), _id: { $in: studentIds } })
+    .select('name indexNumber student_email status')
+    .populate({ path: 'attendanceHistory', match: { day: { $gte: start, $lte: end } } })
     .sort({ indexNumber: 1 })
     .limit(parseInt(limit));
     
     if (!students || students.length === 0) {
       // If no students with attendance, get a sample of students
-      const anyStudents = await Student.find()
+      const anyStudents = await Student.find(getClassQuery(req))
         .select('name indexNumber student_email status')
         .sort({ indexNumber: 1 })
         .limit(parseInt(limit));
@@ -2702,7 +2955,7 @@ export const getMonthlyReportPreview = async (req, res) => {
         name: student.name,
         indexNumber: student.indexNumber,
         email: student.student_email,
-        month: new Date().toLocaleString('default', { month: 'long', year: 'numeric' }),
+        month: toSchoolTime().toFormat('MMMM yyyy'),
           daysPresent: 0,
         daysAbsent: totalDays,
         attendanceRate: 0,
@@ -2721,7 +2974,7 @@ export const getMonthlyReportPreview = async (req, res) => {
     }
     
     // Get month and year from the date range for display
-    const month = start.toLocaleString('default', { month: 'long', year: 'numeric' });
+    const month = toSchoolTime(start).toFormat('MMMM yyyy');
     
     // Process student data to calculate monthly attendance stats
     const processedStudents = students.map(student => {
@@ -2731,34 +2984,18 @@ export const getMonthlyReportPreview = async (req, res) => {
         return recordDate >= start && recordDate <= end;
       });
       
-      // Count unique days present and late days
-      const uniqueDaysPresent = new Set();
-      let lateDays = 0;
-      
-      recordsInRange.forEach(record => {
-        if (record.status === 'entered' || record.status === 'left') {
-          // Use date string as key for the Set
-          const dateString = new Date(record.date).toISOString().split('T')[0];
-          uniqueDaysPresent.add(dateString);
-        }
-        
-        if (record.status === 'late') {
-          lateDays++;
-          // Also count late days as present
-          const dateString = new Date(record.date).toISOString().split('T')[0];
-          uniqueDaysPresent.add(dateString);
-        }
-      });
-      
-      const daysPresent = uniqueDaysPresent.size;
-      const daysAbsent = totalDays - daysPresent;
-      const attendanceRate = totalDays > 0 ? (daysPresent / totalDays) * 100 : 0;
+      const daysPresent = countPresentSchoolDays(calendar, recordsInRange);
+      const lateDays = recordsInRange.filter(record => isPresentRecord(record) && record.isLate && calendar.isSchoolDay(record.date)).length;
+      const daysExcused = countExcusedSchoolDays(calendar, recordsInRange);
+      const daysAbsent = Math.max(0, totalDays - daysPresent - daysExcused);
+      const attendanceRate = getAttendancePercentage(daysPresent, totalDays);
       
       return {
         name: student.name,
         indexNumber: student.indexNumber,
         month,
         daysPresent,
+        daysExcused,
         daysAbsent,
         attendanceRate,
         lateDays
@@ -2797,10 +3034,10 @@ export const getIndividualReportPreview = async (req, res) => {
     }
     
     // Validate dates
-    const start = new Date(startDate);
-    const end = new Date(endDate);
+    const firstDay = parseDateParam(startDate);
+    const lastDay = parseDateParam(endDate);
     
-    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+    if (!firstDay || !lastDay) {
       return res.status(400).json({ 
         success: false,
         message: 'Invalid date format',
@@ -2808,12 +3045,13 @@ export const getIndividualReportPreview = async (req, res) => {
       });
     }
     
-    // Set time to start and end of day
-    start.setUTCHours(0, 0, 0, 0);
-    end.setUTCHours(23, 59, 59, 999);
+    // Cover the first and last day in full, in school time
+    const { startOfDay: start } = getDateRange(firstDay);
+    const { endOfDay: end } = getDateRange(lastDay);
     
     // Find the student
-    const student = await Student.findById(studentId);
+    const student = await Student.findById(studentId)
+      .populate({ path: 'attendanceHistory', match: { day: { $gte: start, $lte: end } } });
     if (!student) {
       return res.status(404).json({
         success: false,
@@ -2832,11 +3070,15 @@ export const getIndividualReportPreview = async (req, res) => {
         // Format the record for display
       return {
           date: record.date,
-          status: record.status === 'entered' ? 'Present' : 
+          status: record.status === 'entered' ? (record.isLate ? 'Late' : 'Present') : 
                  record.status === 'left' ? 'Left' : 
-                 record.status === 'late' ? 'Late' : 'Absent',
+                 record.status === 'late' ? 'Late' :
+                 record.status === 'excused' ? 'Excused' : 'Absent',
           entryTime: record.entryTime,
           leaveTime: record.leaveTime,
+          exitCount: summarizeSessions(getRecordSessions(record)).exitCount,
+          minutesLate: record.isLate ? record.minutesLate : 0,
+          timeOnCampus: calculateDuration(getRecordSessions(record)),
           scanLocation: record.scanLocation || 'Main Entrance'
       };
     })
@@ -2889,11 +3131,16 @@ export const clearStudentAttendanceHistory = async (req, res) => {
       });
     }
 
+    const reason = getChangeReason(req);
+    if (!reason) {
+      return reasonRequired(res);
+    }
+
     // Save original count for response
-    const originalCount = student.attendanceHistory.length;
+    const originalCount = await AttendanceRecord.countDocuments({ student: student._id });
     
-    // Use the new model method to clear attendance history
-    await student.clearAttendanceHistory();
+    // Soft delete every record, keeping a revision of each
+    await student.clearAttendanceHistory(req.admin?._id || null, reason);
     
     return res.status(200).json({
       status: 'success',
@@ -2939,9 +3186,14 @@ export const deleteAttendanceRecord = async (req, res) => {
       });
     }
     
+    const reason = getChangeReason(req);
+    if (!reason) {
+      return reasonRequired(res);
+    }
+    
     // Use the new model method to delete the record
     try {
-      const { deletedRecord, updatedStudent } = await student.deleteAttendanceRecord(recordId);
+      const { deletedRecord, updatedStudent } = await student.deleteAttendanceRecord(recordId, req.admin?._id || null, reason);
       
       return res.status(200).json({
         status: 'success',
@@ -2958,7 +3210,7 @@ export const deleteAttendanceRecord = async (req, res) => {
             indexNumber: updatedStudent.indexNumber,
             attendanceCount: updatedStudent.attendanceCount,
             attendancePercentage: updatedStudent.attendancePercentage,
-            attendanceHistoryCount: updatedStudent.attendanceHistory.length
+            attendanceHistoryCount: await AttendanceRecord.countDocuments({ student: updatedStudent._id })
           }
         }
       });
@@ -2981,7 +3233,7 @@ export const deleteAttendanceRecord = async (req, res) => {
 export const getStudentAttendanceHistory = async (req, res) => {
   try {
     const { studentId } = req.params;
-    const { startDate, endDate, limit, offset, sortBy, sortOrder } = req.query;
+    const { startDate, endDate, limit, offset, sortBy, sortOrder, includeDeleted } = req.query;
     
     if (!studentId) {
       return res.status(400).json({
@@ -3001,13 +3253,14 @@ export const getStudentAttendanceHistory = async (req, res) => {
     }
     
     // Use the new model method to get filtered attendance history
-    const { records, totalRecords, stats } = student.getFilteredAttendanceHistory({
+    const { records, totalRecords, stats } = await student.getFilteredAttendanceHistory({
       startDate,
       endDate,
       limit,
       offset,
       sortBy,
-      sortOrder
+      sortOrder,
+      includeDeleted: includeDeleted === 'true'
     });
     
     // Return the attendance history
@@ -3033,4 +3286,120 @@ export const getStudentAttendanceHistory = async (req, res) => {
       error: error.message
     });
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Get an attendance record, including a deleted one, with its revision history
+ */
+export const getAttendanceRecordRevisions = async (req, res) => {
+  try {
+    const { studentId, recordId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(studentId) || !mongoose.Types.ObjectId.isValid(recordId)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid student or attendance record ID'
+      });
+    }
+
+    const record = await AttendanceRecord.findOne({ _id: recordId, student: studentId })
+      .setOptions({ withDeleted: true })
+      .populate('deletedBy', 'name')
+      .lean();
+
+    if (!record) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Attendance record not found'
+      });
+    }
+
+    const revisions = await AttendanceRevision.find({ record: record._id })
+      .sort({ createdAt: -1, _id: -1 })
+      .populate('changedBy', 'name')
+      .lean();
+
+    return res.status(200).json({
+      status: 'success',
+      results: revisions.length,
+      data: { record, revisions }
+    });
+  } catch (error) {
+    console.error('Error fetching attendance record revisions:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch attendance record history',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Restore an attendance record to the state it had before a revision
+ * Without a revisionId the record's latest change is undone, so a deleted
+ * record comes back as it was.
+ */
+export const restoreAttendanceRecord = async (req, res) => {
+  try {
+    const { studentId, recordId } = req.params;
+    const { revisionId } = req.body;
+    const reason = getChangeReason(req);
+
+    if (!reason) {
+      return reasonRequired(res);
+    }
+
+    const student = await Student.findById(studentId);
+
+    if (!student) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Student not found'
+      });
+    }
+
+    try {
+      const { record, revision, updatedStudent } = await student.restoreAttendanceRecord(
+        recordId,
+        revisionId || null,
+        req.admin?._id || null,
+        reason
+      );
+
+      return res.status(200).json({
+        status: 'success',
+        message: record.deletedAt ? 'Attendance record change undone, record is deleted' : 'Attendance record restored',
+        data: {
+          record,
+          revision,
+          student: {
+            id: updatedStudent._id,
+            name: updatedStudent.name,
+            indexNumber: updatedStudent.indexNumber,
+            attendanceCount: updatedStudent.attendanceCount,
+            attendancePercentage: updatedStudent.attendancePercentage
+          }
+        }
+      });
+    } catch (modelError) {
+      if (modelError.name === 'ValidationError') {
+        return res.status(400).json({
+          status: 'error',
+          message: Object.values(modelError.errors).map(err => err.message).join(', ')
+        });
+      }
+
+      return res.status(404).json({
+        status: 'error',
+        message: modelError.message
+      });
+    }
+  } catch (error) {
+    console.error('Error restoring attendance record:', error);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to restore attendance record',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,265 @@
+import CalendarEntry, { CALENDAR_ENTRY_TYPES } from '../models/calendarEntry.model.js';
+import { loadSchoolCalendar } from '../services/calendar.service.js';
+import { parseDayString, toDayKey, addDays } from '../utils/dateUtils.js';
+
+// Longest range the school day listing will expand
+const MAX_CALENDAR_DAYS = 366;
+
+// Shape a calendar entry for the client, with plain YYYY-MM-DD dates
+const formatEntry = (entry) => ({
+  _id: entry._id,
+  type: entry.type,
+  name: entry.name,
+  description: entry.description,
+  startDate: toDayKey(entry.startDate),
+  endDate: toDayKey(entry.endDate),
+  createdAt: entry.createdAt,
+  updatedAt: entry.updatedAt
+});
+
+// Turn the YYYY-MM-DD dates in a request body into local midnights
+const parseEntryDates = (body) => {
+  const dates = {};
+
+  if (body.startDate !== undefined) {
+    dates.startDate = parseDayString(body.startDate);
+    if (!dates.startDate) return { error: 'Start date must be in YYYY-MM-DD format' };
+  }
+
+  if (body.endDate !== undefined) {
+    dates.endDate = parseDayString(body.endDate);
+    if (!dates.endDate) return { error: 'End date must be in YYYY-MM-DD format' };
+  }
+
+  return { dates };
+};
+
+const sendValidationError = (res, error) => res.status(400).json({
+  status: 'error',
+  message: Object.values(error.errors).map(err => err.message).join(', ')
+});
+
+/**
+ * List calendar entries, optionally limited to a date range and type
+ */
+export const getCalendarEntries = async (req, res) => {
+  try {
+    const { from, to, type } = req.query;
+    const query = {};
+
+    if (type) {
+      if (!CALENDAR_ENTRY_TYPES.includes(type)) {
+        return res.status(400).json({
+          status: 'error',
+          message: `Type must be one of: ${CALENDAR_ENTRY_TYPES.join(', ')}`
+        });
+      }
+      query.type = type;
+    }
+
+    if (from || to) {
+      const start = from ? parseDayString(from) : null;
+      const end = to ? parseDayString(to) : null;
+
+      if ((from && !start) || (to && !end)) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Dates must be in YYYY-MM-DD format'
+        });
+      }
+
+      if (start) query.endDate = { $gte: start };
+      if (end) query.startDate = { $lte: end };
+    }
+
+    const entries = await CalendarEntry.find(query).sort({ startDate: 1 }).lean();
+
+    res.status(200).json({
+      status: 'success',
+      results: entries.length,
+      data: { entries: entries.map(formatEntry) }
+    });
+  } catch (error) {
+    console.error('Error fetching calendar entries:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch calendar entries',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Add a term, holiday, closure or make-up day
+ * A single-day entry can leave out endDate
+ */
+export const createCalendarEntry = async (req, res) => {
+  try {
+    const { type, name, description } = req.body;
+    const { dates, error } = parseEntryDates({
+      startDate: req.body.startDate,
+      endDate: req.body.endDate ?? req.body.startDate
+    });
+
+    if (error) {
+      return res.status(400).json({ status: 'error', message: error });
+    }
+
+    const entry = await CalendarEntry.create({
+      type,
+      name,
+      description,
+      ...dates,
+      createdBy: req.admin?._id || null
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Calendar entry created successfully',
+      data: { entry: formatEntry(entry) }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+
+    console.error('Error creating calendar entry:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to create calendar entry',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update a calendar entry; fields left out of the request are unchanged
+ */
+export const updateCalendarEntry = async (req, res) => {
+  try {
+    const entry = await CalendarEntry.findById(req.params.id);
+
+    if (!entry) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Calendar entry not found'
+      });
+    }
+
+    const { dates, error } = parseEntryDates(req.body);
+    if (error) {
+      return res.status(400).json({ status: 'error', message: error });
+    }
+
+    ['type', 'name', 'description'].forEach(field => {
+      if (req.body[field] !== undefined) entry[field] = req.body[field];
+    });
+    entry.set(dates);
+
+    await entry.save();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Calendar entry updated successfully',
+      data: { entry: formatEntry(entry) }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+
+    console.error('Error updating calendar entry:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update calendar entry',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Remove a calendar entry
+ */
+export const deleteCalendarEntry = async (req, res) => {
+  try {
+    const entry = await CalendarEntry.findByIdAndDelete(req.params.id);
+
+    if (!entry) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Calendar entry not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Calendar entry deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting calendar entry:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to delete calendar entry',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * List every day in a range with whether it is a school day and why
+ */
+export const getSchoolDays = async (req, res) => {
+  try {
+    const start = parseDayString(req.query.from);
+    const end = parseDayString(req.query.to);
+
+    if (!start || !end) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'from and to dates are required in YYYY-MM-DD format'
+      });
+    }
+
+    if (start > end) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'from date must be before to date'
+      });
+    }
+
+    const dayCount = Math.round((end - start) / (1000 * 60 * 60 * 24)) + 1;
+    if (dayCount > MAX_CALENDAR_DAYS) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Date range too large. Please limit to ${MAX_CALENDAR_DAYS} days or less.`
+      });
+    }
+
+    const calendar = await loadSchoolCalendar(start, end);
+    const days = [];
+    for (let day = start; day <= end; day = addDays(day, 1)) {
+      const info = calendar.getDayInfo(day);
+      days.push({
+        date: toDayKey(info.date),
+        isSchoolDay: info.isSchoolDay,
+        reason: info.reason,
+        name: info.entry?.name || null
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        schoolDayCount: days.filter(day => day.isSchoolDay).length,
+        days
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching school days:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch school days',
+      error: error.message
+    });
+  }
+};
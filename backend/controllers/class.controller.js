@@ -0,0 +1,374 @@
+import mongoose from 'mongoose';
+import Admin from '../models/admin.model.js';
+import SchoolClass from '../models/schoolClass.model.js';
+import Section, { formatSectionLabel } from '../models/section.model.js';
+import Student from '../models/student.model.js';
+import TimetableEntry from '../models/timetableEntry.model.js';
+
+// Shape a section for the client, with its student count
+const formatSection = (section, studentCounts) => ({
+  _id: section._id,
+  name: section.name,
+  label: formatSectionLabel(section),
+  room: section.room,
+  homeroomTeacher: section.homeroomTeacher || null,
+  studentCount: studentCounts.get(section._id.toString()) || 0
+});
+
+const sendValidationError = (res, error) => res.status(400).json({
+  status: 'error',
+  message: Object.values(error.errors).map(err => err.message).join(', ')
+});
+
+const sendDuplicateError = (res, message) => res.status(409).json({ status: 'error', message });
+
+// A homeroom teacher must be an existing staff account; null clears it
+const checkHomeroomTeacher = async (teacherId) => {
+  if (!teacherId) return null;
+  if (!mongoose.Types.ObjectId.isValid(teacherId) || !await Admin.exists({ _id: teacherId })) {
+    return 'Homeroom teacher not found';
+  }
+  return null;
+};
+
+/**
+ * List classes by grade level with their sections, homeroom teachers and student counts
+ */
+export const getClasses = async (req, res) => {
+  try {
+    const [classes, sections, counts] = await Promise.all([
+      SchoolClass.find().sort({ gradeLevel: 1, name: 1 }).lean(),
+      Section.find()
+        .populate('schoolClass', 'name')
+        .populate('homeroomTeacher', 'name email')
+        .sort({ name: 1 })
+        .lean(),
+      Student.aggregate([{ $group: { _id: '$section', count: { $sum: 1 } } }])
+    ]);
+
+    const studentCounts = new Map(counts.map(count => [String(count._id), count.count]));
+
+    res.status(200).json({
+      status: 'success',
+      results: classes.length,
+      data: {
+        classes: classes.map(schoolClass => ({
+          _id: schoolClass._id,
+          name: schoolClass.name,
+          gradeLevel: schoolClass.gradeLevel,
+          description: schoolClass.description,
+          sections: sections
+            .filter(section => section.schoolClass?._id.equals(schoolClass._id))
+            .map(section => formatSection(section, studentCounts))
+        })),
+        unassignedCount: studentCounts.get('null') || 0
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching classes:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch classes',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Add a class, e.g. Grade 10
+ */
+export const createClass = async (req, res) => {
+  try {
+    const { name, gradeLevel, description } = req.body;
+    const schoolClass = await SchoolClass.create({ name, gradeLevel, description });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Class created successfully',
+      data: { schoolClass }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+    if (error.code === 11000) {
+      return sendDuplicateError(res, 'A class with this name already exists');
+    }
+
+    console.error('Error creating class:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to create class',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update a class; fields left out of the request are unchanged
+ */
+export const updateClass = async (req, res) => {
+  try {
+    const schoolClass = await SchoolClass.findById(req.params.id);
+    if (!schoolClass) {
+      return res.status(404).json({ status: 'error', message: 'Class not found' });
+    }
+
+    ['name', 'gradeLevel', 'description'].forEach(field => {
+      if (req.body[field] !== undefined) schoolClass[field] = req.body[field];
+    });
+    await schoolClass.save();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Class updated successfully',
+      data: { schoolClass }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+    if (error.code === 11000) {
+      return sendDuplicateError(res, 'A class with this name already exists');
+    }
+
+    console.error('Error updating class:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update class',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Delete a class, its sections and their timetables
+ * Students in those sections are left without a class rather than deleted.
+ */
+export const deleteClass = async (req, res) => {
+  try {
+    const schoolClass = await SchoolClass.findById(req.params.id);
+    if (!schoolClass) {
+      return res.status(404).json({ status: 'error', message: 'Class not found' });
+    }
+
+    const sectionIds = await Section.distinct('_id', { schoolClass: schoolClass._id });
+    const { modifiedCount } = await Student.updateMany(
+      { section: { $in: sectionIds } },
+      { $set: { section: null } }
+    );
+    await TimetableEntry.deleteMany({ section: { $in: sectionIds } });
+    await Section.deleteMany({ _id: { $in: sectionIds } });
+    await schoolClass.deleteOne();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Class deleted successfully',
+      data: { unassignedStudents: modifiedCount }
+    });
+  } catch (error) {
+    console.error('Error deleting class:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to delete class',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Add a section to a class, optionally with a homeroom teacher
+ */
+export const createSection = async (req, res) => {
+  try {
+    const { name, homeroomTeacher, room } = req.body;
+
+    if (!await SchoolClass.exists({ _id: req.params.id })) {
+      return res.status(404).json({ status: 'error', message: 'Class not found' });
+    }
+
+    const teacherError = await checkHomeroomTeacher(homeroomTeacher);
+    if (teacherError) {
+      return res.status(400).json({ status: 'error', message: teacherError });
+    }
+
+    const section = await Section.create({
+      schoolClass: req.params.id,
+      name,
+      homeroomTeacher: homeroomTeacher || null,
+      room
+    });
+    await section.populate([
+      { path: 'schoolClass', select: 'name' },
+      { path: 'homeroomTeacher', select: 'name email' }
+    ]);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Section created successfully',
+      data: { section: formatSection(section, new Map()) }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+    if (error.code === 11000) {
+      return sendDuplicateError(res, 'This class already has a section with this name');
+    }
+
+    console.error('Error creating section:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to create section',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Rename a section or change its homeroom teacher or room
+ */
+export const updateSection = async (req, res) => {
+  try {
+    const section = await Section.findById(req.params.id);
+    if (!section) {
+      return res.status(404).json({ status: 'error', message: 'Section not found' });
+    }
+
+    if (req.body.homeroomTeacher !== undefined) {
+      const teacherError = await checkHomeroomTeacher(req.body.homeroomTeacher);
+      if (teacherError) {
+        return res.status(400).json({ status: 'error', message: teacherError });
+      }
+      section.homeroomTeacher = req.body.homeroomTeacher || null;
+    }
+
+    ['name', 'room'].forEach(field => {
+      if (req.body[field] !== undefined) section[field] = req.body[field];
+    });
+    await section.save();
+    await section.populate([
+      { path: 'schoolClass', select: 'name' },
+      { path: 'homeroomTeacher', select: 'name email' }
+    ]);
+
+    const studentCount = await Student.countDocuments({ section: section._id });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Section updated successfully',
+      data: { section: formatSection(section, new Map([[section._id.toString(), studentCount]])) }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+    if (error.code === 11000) {
+      return sendDuplicateError(res, 'This class already has a section with this name');
+    }
+
+    console.error('Error updating section:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update section',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Delete a section and its timetable, leaving its students without a class
+ */
+export const deleteSection = async (req, res) => {
+  try {
+    const section = await Section.findByIdAndDelete(req.params.id);
+    if (!section) {
+      return res.status(404).json({ status: 'error', message: 'Section not found' });
+    }
+
+    const { modifiedCount } = await Student.updateMany(
+      { section: section._id },
+      { $set: { section: null } }
+    );
+    await TimetableEntry.deleteMany({ section: section._id });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Section deleted successfully',
+      data: { unassignedStudents: modifiedCount }
+    });
+  } catch (error) {
+    console.error('Error deleting section:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to delete section',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Move students into a section, or out of any section when sectionId is null
+ */
+export const assignStudentsToSection = async (req, res) => {
+  try {
+    const { studentIds, sectionId = null } = req.body;
+
+    if (!Array.isArray(studentIds) || studentIds.length === 0 ||
+        !studentIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'studentIds must be a non-empty list of student IDs'
+      });
+    }
+
+    if (sectionId && (!mongoose.Types.ObjectId.isValid(sectionId) || !await Section.exists({ _id: sectionId }))) {
+      return res.status(404).json({ status: 'error', message: 'Section not found' });
+    }
+
+    const { matchedCount, modifiedCount } = await Student.updateMany(
+      { _id: { $in: studentIds } },
+      { $set: { section: sectionId } }
+    );
+
+    res.status(200).json({
+      status: 'success',
+      message: sectionId
+        ? `${matchedCount} students assigned to the section`
+        : `${matchedCount} students removed from their section`,
+      data: { matched: matchedCount, modified: modifiedCount }
+    });
+  } catch (error) {
+    console.error('Error assigning students to section:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to assign students',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * List the staff accounts that can be made homeroom teachers
+ */
+export const getHomeroomTeachers = async (req, res) => {
+  try {
+    const teachers = await Admin.find({ isActive: { $ne: false }, role: { $ne: 'gatekeeper' } })
+      .select('name email role')
+      .sort({ name: 1 })
+      .lean();
+
+    res.status(200).json({
+      status: 'success',
+      results: teachers.length,
+      data: { teachers }
+    });
+  } catch (error) {
+    console.error('Error fetching homeroom teachers:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch teachers',
+      error: error.message
+    });
+  }
+};
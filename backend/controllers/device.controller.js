@@ -0,0 +1,284 @@
+import mongoose from 'mongoose';
+import Location from '../models/location.model.js';
+import ScannerDevice from '../models/scannerDevice.model.js';
+
+// Devices send a heartbeat every minute; one missing a few is shown offline
+const ONLINE_WINDOW_MS = 3 * 60 * 1000;
+
+const sendValidationError = (res, error) => res.status(400).json({
+  status: 'error',
+  message: Object.values(error.errors).map(err => err.message).join(', ')
+});
+
+const sendDuplicateError = (res) => res.status(409).json({
+  status: 'error',
+  message: 'A device with this name already exists'
+});
+
+/**
+ * @param {Object} device - Scanner device
+ * @returns {string} 'revoked', 'online', 'offline' or 'never_seen'
+ */
+const getDeviceHealth = (device) => {
+  if (device.revokedAt) return 'revoked';
+  if (!device.lastHeartbeatAt) return 'never_seen';
+  return Date.now() - new Date(device.lastHeartbeatAt).getTime() <= ONLINE_WINDOW_MS ? 'online' : 'offline';
+};
+
+// Shape a device for the client; the token hash never leaves the server
+const formatDevice = (device) => {
+  const { tokenHash, ...fields } = device.toObject ? device.toObject() : device;
+  return { ...fields, health: getDeviceHealth(device) };
+};
+
+// A device can only be bound to a location that exists; null unbinds it
+const checkLocation = async (locationId) => {
+  if (!locationId) return null;
+  if (!mongoose.Types.ObjectId.isValid(locationId) || !await Location.exists({ _id: locationId })) {
+    return 'Location not found';
+  }
+  return null;
+};
+
+const findDevice = (id) => (mongoose.Types.ObjectId.isValid(id) ? ScannerDevice.findById(id) : null);
+
+/**
+ * List enrolled scanner devices with their location and health
+ */
+export const getDevices = async (req, res) => {
+  try {
+    const devices = await ScannerDevice.find()
+      .populate('location', 'name type direction active')
+      .populate('enrolledBy', 'name')
+      .sort({ revokedAt: 1, name: 1 })
+      .lean();
+
+    res.status(200).json({
+      status: 'success',
+      results: devices.length,
+      data: { devices: devices.map(formatDevice) }
+    });
+  } catch (error) {
+    console.error('Error fetching devices:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch devices',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Enroll a scanner device and issue its token
+ * The token is only ever returned here and when it is replaced.
+ */
+export const enrollDevice = async (req, res) => {
+  try {
+    const { name, location, scansPerMinute } = req.body;
+
+    const locationError = await checkLocation(location);
+    if (locationError) {
+      return res.status(404).json({ status: 'error', message: locationError });
+    }
+
+    const device = new ScannerDevice({
+      name,
+      location: location || null,
+      scansPerMinute,
+      enrolledBy: req.admin?._id || null
+    });
+    const token = device.issueToken();
+    await device.save();
+    await device.populate('location', 'name type direction active');
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Device enrolled. Copy its token now; it will not be shown again.',
+      data: { device: formatDevice(device), token }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+    if (error.code === 11000) {
+      return sendDuplicateError(res);
+    }
+
+    console.error('Error enrolling device:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to enroll device',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Rename a device, bind it to another location or change its scan limit
+ */
+export const updateDevice = async (req, res) => {
+  try {
+    const device = await findDevice(req.params.id);
+    if (!device) {
+      return res.status(404).json({ status: 'error', message: 'Device not found' });
+    }
+
+    if (req.body.location !== undefined) {
+      const locationError = await checkLocation(req.body.location);
+      if (locationError) {
+        return res.status(404).json({ status: 'error', message: locationError });
+      }
+      device.location = req.body.location || null;
+    }
+    ['name', 'scansPerMinute'].forEach(field => {
+      if (req.body[field] !== undefined) device[field] = req.body[field];
+    });
+
+    await device.save();
+    await device.populate('location', 'name type direction active');
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Device updated successfully',
+      data: { device: formatDevice(device) }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+    if (error.code === 11000) {
+      return sendDuplicateError(res);
+    }
+
+    console.error('Error updating device:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update device',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Issue a device a new token; the old one stops working at once
+ * Also re-enables a revoked device.
+ */
+export const rotateDeviceToken = async (req, res) => {
+  try {
+    const device = await findDevice(req.params.id);
+    if (!device) {
+      return res.status(404).json({ status: 'error', message: 'Device not found' });
+    }
+
+    const token = device.issueToken();
+    await device.save();
+    await device.populate('location', 'name type direction active');
+
+    res.status(200).json({
+      status: 'success',
+      message: 'New token issued. Copy it now; it will not be shown again.',
+      data: { device: formatDevice(device), token }
+    });
+  } catch (error) {
+    console.error('Error issuing device token:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to issue device token',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Revoke a device so its token no longer works
+ */
+export const revokeDevice = async (req, res) => {
+  try {
+    const device = await findDevice(req.params.id);
+    if (!device) {
+      return res.status(404).json({ status: 'error', message: 'Device not found' });
+    }
+
+    if (!device.revokedAt) {
+      device.revokedAt = new Date();
+      device.revokedBy = req.admin?._id || null;
+      await device.save();
+    }
+    await device.populate('location', 'name type direction active');
+
+    res.status(200).json({
+      status: 'success',
+      message: `${device.name} revoked`,
+      data: { device: formatDevice(device) }
+    });
+  } catch (error) {
+    console.error('Error revoking device:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to revoke device',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Remove a device from the registry
+ */
+export const deleteDevice = async (req, res) => {
+  try {
+    const device = await findDevice(req.params.id);
+    if (!device) {
+      return res.status(404).json({ status: 'error', message: 'Device not found' });
+    }
+
+    await device.deleteOne();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Device removed successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting device:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to remove device',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Record that an enrolled device is up, and tell it how it is set up
+ * Body: { appVersion } (optional)
+ */
+export const deviceHeartbeat = async (req, res) => {
+  try {
+    const device = req.device;
+    device.lastHeartbeatAt = new Date();
+    device.lastIp = req.ip;
+    device.userAgent = req.headers['user-agent'] || device.userAgent;
+    if (req.body?.appVersion) device.appVersion = String(req.body.appVersion).substring(0, 40);
+    await device.save();
+    await device.populate('location', 'name type direction active');
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        device: {
+          _id: device._id,
+          name: device.name,
+          location: device.location,
+          scansPerMinute: device.scansPerMinute
+        },
+        serverTime: new Date()
+      }
+    });
+  } catch (error) {
+    console.error('Error recording device heartbeat:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to record heartbeat',
+      error: error.message
+    });
+  }
+};
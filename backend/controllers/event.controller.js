@@ -0,0 +1,348 @@
+import mongoose from 'mongoose';
+import { DateTime } from 'luxon';
+import Event from '../models/event.model.js';
+import EventAttendance, { EVENT_ATTENDANCE_STATUSES } from '../models/eventAttendance.model.js';
+import Location from '../models/location.model.js';
+import Section from '../models/section.model.js';
+import Student from '../models/student.model.js';
+import {
+  EVENT_POPULATE,
+  findEvent,
+  checkInManually,
+  getEventRoster,
+  buildEventReport
+} from '../services/event.service.js';
+import { startOfDay, endOfDay, addDays, parseDateParam, getSchoolTimezone } from '../utils/dateUtils.js';
+import AppError from '../utils/appError.js';
+
+const EVENT_FIELDS = ['name', 'type', 'description', 'checkInOpensMinutes', 'lateAfterMinutes', 'venue', 'capacity'];
+
+// How far back the event list goes when no dates are asked for
+const RECENT_EVENT_DAYS = 7;
+
+// Errors the event service raises carry their own status code
+const sendError = (res, error, message) => {
+  if (error instanceof AppError) {
+    return res.status(error.statusCode).json({ status: 'error', message: error.message });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      status: 'error',
+      message: Object.values(error.errors).map(err => err.message).join(', ')
+    });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    status: 'error',
+    message,
+    error: error.message
+  });
+};
+
+// Event times are given in school time, e.g. 2025-03-14T15:30, unless they carry an offset
+const parseEventTime = (value, field) => {
+  const time = DateTime.fromISO(String(value || ''), { zone: getSchoolTimezone() });
+  if (!time.isValid) throw new AppError(`${field} must be a date and time, e.g. 2025-03-14T15:30`, 400);
+  return time.toJSDate();
+};
+
+// Ids in a list must all be valid and exist
+const checkIds = async (Model, ids, label) => {
+  if (!Array.isArray(ids)) throw new AppError(`${label} must be a list`, 400);
+  const unique = [...new Set(ids.map(String))];
+  if (unique.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+    throw new AppError(`Invalid ${label.toLowerCase()} ID`, 400);
+  }
+  if (await Model.countDocuments({ _id: { $in: unique } }) !== unique.length) {
+    throw new AppError(`Some ${label.toLowerCase()} were not found`, 400);
+  }
+  return unique;
+};
+
+// Copy the fields an admin may set from the body onto an event
+const applyEventFields = async (event, body) => {
+  EVENT_FIELDS.forEach(field => {
+    if (body[field] !== undefined) event[field] = body[field] === '' && field === 'capacity' ? null : body[field];
+  });
+
+  if (body.startTime !== undefined) event.startTime = parseEventTime(body.startTime, 'Start time');
+  if (body.endTime !== undefined) event.endTime = parseEventTime(body.endTime, 'End time');
+
+  if (body.location !== undefined) {
+    if (body.location && !(mongoose.Types.ObjectId.isValid(body.location) && await Location.exists({ _id: body.location }))) {
+      throw new AppError('Location not found', 400);
+    }
+    event.location = body.location || null;
+  }
+  if (body.sections !== undefined) event.sections = await checkIds(Section, body.sections, 'Sections');
+  if (body.students !== undefined) event.students = await checkIds(Student, body.students, 'Students');
+};
+
+/**
+ * List events with their check-in counts
+ * ?date= lists the events of one day, ?from= and ?to= those of a range, and
+ * ?open=true those taking check-ins now; by default recent and upcoming events.
+ */
+export const getEvents = async (req, res) => {
+  try {
+    const { date, from, to, open } = req.query;
+    const query = {};
+
+    if (open === 'true') {
+      // Check-in opens up to four hours early, see the event model
+      const now = new Date();
+      query.cancelledAt = null;
+      query.startTime = { $lte: new Date(now.getTime() + 4 * 60 * 60 * 1000) };
+      query.endTime = { $gte: now };
+    } else if (date || from || to) {
+      const start = parseDateParam(date || from);
+      const end = parseDateParam(date || to);
+      if (((date || from) && !start) || ((date || to) && !end)) {
+        return res.status(400).json({ status: 'error', message: 'Invalid date format. Please use YYYY-MM-DD format.' });
+      }
+      if (start) query.endTime = { $gte: startOfDay(start) };
+      if (end) query.startTime = { $lte: endOfDay(end) };
+    } else {
+      query.endTime = { $gte: startOfDay(addDays(new Date(), -RECENT_EVENT_DAYS)) };
+    }
+
+    let events = await Event.find(query).populate(EVENT_POPULATE).sort({ startTime: 1 }).lean();
+
+    // Only events whose own check-in window has opened
+    if (open === 'true') {
+      const now = Date.now();
+      events = events.filter(event => event.startTime.getTime() - event.checkInOpensMinutes * 60 * 1000 <= now);
+    }
+
+    const counts = await EventAttendance.aggregate([
+      { $match: { event: { $in: events.map(event => event._id) } } },
+      { $group: { _id: { event: '$event', status: '$status' }, count: { $sum: 1 } } }
+    ]);
+    const countsByEvent = new Map();
+    counts.forEach(({ _id, count }) => {
+      const key = _id.event.toString();
+      if (!countsByEvent.has(key)) countsByEvent.set(key, { present: 0, late: 0, excused: 0 });
+      countsByEvent.get(key)[_id.status] = count;
+    });
+
+    res.status(200).json({
+      status: 'success',
+      results: events.length,
+      data: {
+        events: events.map(event => ({
+          ...event,
+          checkIns: countsByEvent.get(event._id.toString()) || { present: 0, late: 0, excused: 0 }
+        }))
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch events');
+  }
+};
+
+/**
+ * Get an event with its roster and everyone's check-in
+ */
+export const getEvent = async (req, res) => {
+  try {
+    const event = await findEvent(req.params.id);
+    const roster = await getEventRoster(event);
+
+    res.status(200).json({
+      status: 'success',
+      data: { event, ...roster }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch event');
+  }
+};
+
+/**
+ * Create an event
+ * Body: name, type, startTime, endTime, location or venue, sections and
+ * students for the roster, capacity, and the check-in window settings.
+ */
+export const createEvent = async (req, res) => {
+  try {
+    if (!req.body.startTime || !req.body.endTime) {
+      return res.status(400).json({ status: 'error', message: 'Start and end times are required' });
+    }
+
+    const event = new Event({ createdBy: req.admin?._id || null });
+    await applyEventFields(event, req.body);
+    await event.save();
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Event created successfully',
+      data: { event: await findEvent(event._id) }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to create event');
+  }
+};
+
+/**
+ * Change an event; fields left out are unchanged
+ * { cancelled: true } cancels it and { cancelled: false } reinstates it.
+ * Check-ins already taken are kept when the roster changes.
+ */
+export const updateEvent = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ status: 'error', message: 'Invalid event ID' });
+    }
+
+    const event = await Event.findById(req.params.id);
+    if (!event) {
+      return res.status(404).json({ status: 'error', message: 'Event not found' });
+    }
+
+    await applyEventFields(event, req.body);
+    if (req.body.cancelled !== undefined) {
+      event.cancelledAt = req.body.cancelled ? (event.cancelledAt || new Date()) : null;
+    }
+    await event.save();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Event updated successfully',
+      data: { event: await findEvent(event._id) }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to update event');
+  }
+};
+
+/**
+ * Delete an event nobody has checked in to
+ * Events with check-ins are cancelled instead so their reports are kept.
+ */
+export const deleteEvent = async (req, res) => {
+  try {
+    const event = await findEvent(req.params.id);
+
+    if (await EventAttendance.exists({ event: event._id })) {
+      await Event.updateOne({ _id: event._id }, { $set: { cancelledAt: event.cancelledAt || new Date() } });
+      return res.status(200).json({
+        status: 'success',
+        message: 'Event has check-ins, so it was cancelled instead of deleted',
+        data: { cancelled: true }
+      });
+    }
+
+    await Event.deleteOne({ _id: event._id });
+    res.status(200).json({
+      status: 'success',
+      message: 'Event deleted successfully',
+      data: { cancelled: false }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete event');
+  }
+};
+
+/**
+ * List the students on an event's roster who did not check in
+ * Before the event ends these are the students still expected.
+ */
+export const getEventNoShows = async (req, res) => {
+  try {
+    const event = await findEvent(req.params.id);
+    const { rows, ended } = await getEventRoster(event);
+    const noShows = rows.filter(row => row.onRoster && (row.status === 'no_show' || row.status === 'expected'));
+
+    res.status(200).json({
+      status: 'success',
+      results: noShows.length,
+      data: { ended, noShows }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch no-shows');
+  }
+};
+
+/**
+ * Download the roster report of an event as an Excel workbook
+ */
+export const downloadEventReport = async (req, res) => {
+  try {
+    const event = await findEvent(req.params.id);
+    const roster = await getEventRoster(event);
+    const buffer = await buildEventReport(event, roster);
+
+    const fileName = `event_${event.name.replace(/[^A-Za-z0-9]+/g, '_')}_${DateTime.fromJSDate(event.startTime, { zone: getSchoolTimezone() }).toISODate()}.xlsx`;
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename=${fileName}`);
+    return res.send(buffer);
+  } catch (error) {
+    sendError(res, error, 'Failed to generate event report');
+  }
+};
+
+/**
+ * Check a student in by hand, or correct their check-in
+ * Body: { studentId, status, minutesLate }. Students off the roster can be
+ * added, and capacity does not apply.
+ */
+export const markEventCheckIn = async (req, res) => {
+  try {
+    const { studentId, status = 'present', minutesLate = 0 } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(studentId)) {
+      return res.status(400).json({ status: 'error', message: 'Invalid student ID' });
+    }
+    if (!EVENT_ATTENDANCE_STATUSES.includes(status)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Status must be one of: ${EVENT_ATTENDANCE_STATUSES.join(', ')}`
+      });
+    }
+    if (!Number.isInteger(Number(minutesLate)) || minutesLate < 0 || minutesLate > 600) {
+      return res.status(400).json({ status: 'error', message: 'Minutes late must be a whole number from 0 to 600' });
+    }
+
+    const event = await findEvent(req.params.id);
+    const student = await Student.findById(studentId).select('name indexNumber section').lean();
+    if (!student) {
+      return res.status(404).json({ status: 'error', message: 'Student not found' });
+    }
+
+    const checkIn = await checkInManually(event, student, { status, minutesLate: Number(minutesLate) }, {
+      adminId: req.admin?._id || null
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: `${student.name} marked ${status} at ${event.name}`,
+      data: { checkIn }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to check in student');
+  }
+};
+
+/**
+ * Remove a student's check-in from an event
+ */
+export const removeEventCheckIn = async (req, res) => {
+  try {
+    const event = await findEvent(req.params.id);
+    if (!mongoose.Types.ObjectId.isValid(req.params.studentId)) {
+      return res.status(400).json({ status: 'error', message: 'Invalid student ID' });
+    }
+
+    const { deletedCount } = await EventAttendance.deleteOne({ event: event._id, student: req.params.studentId });
+    if (!deletedCount) {
+      return res.status(404).json({ status: 'error', message: 'This student has not checked in' });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Check-in removed'
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to remove check-in');
+  }
+};
@@ -0,0 +1,98 @@
+import mongoose from 'mongoose';
+import Settings from '../models/settings.model.js';
+import Student from '../models/student.model.js';
+import { getSectionDetails } from '../services/class.service.js';
+import { getCurrentStudentCode } from '../services/qrCode.service.js';
+import { buildIdCardSheets } from '../services/idCard.service.js';
+import { readStudentPhoto } from '../services/studentPhoto.service.js';
+import { readSchoolLogo } from '../services/branding.service.js';
+import { logInfo } from '../utils/terminal.js';
+import AppError from '../utils/appError.js';
+
+// Cards in one download; a class or two is far below this
+const MAX_CARDS = 1000;
+
+// Errors the class filter and QR code service raise carry their own status code
+const sendError = (res, error, message) => {
+  if (error instanceof AppError) {
+    return res.status(error.statusCode).json({ status: 'error', message: error.message });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    status: 'error',
+    message,
+    error: error.message
+  });
+};
+
+/**
+ * Download printable ID cards as a PDF of A4 sheets with crop marks
+ * Cards are made for the students in body.studentIds, or else for the active
+ * students of the class or section in the classId or sectionId query. Each
+ * card carries the school name, the student's photo (or a frame to stick one
+ * in), name, index number, class and QR code, signed again first if it is not
+ * on the current key.
+ */
+export const downloadIdCards = async (req, res) => {
+  try {
+    const { studentIds } = req.body;
+
+    let query;
+    if (Array.isArray(studentIds) && studentIds.length) {
+      if (!studentIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+        return res.status(400).json({ status: 'error', message: 'Invalid student ID' });
+      }
+      query = { _id: { $in: studentIds } };
+    } else if (req.classFilter) {
+      query = { ...req.classFilter.studentQuery, status: 'active' };
+    } else {
+      return res.status(400).json({ status: 'error', message: 'Pick a class or the students to print cards for' });
+    }
+
+    const count = await Student.countDocuments(query);
+    if (count === 0) {
+      return res.status(404).json({ status: 'error', message: 'No students to print cards for' });
+    }
+    if (count > MAX_CARDS) {
+      return res.status(400).json({
+        status: 'error',
+        message: `At most ${MAX_CARDS} cards can be printed at once; pick a smaller class`
+      });
+    }
+
+    const [students, settings] = await Promise.all([
+      Student.find(query).sort({ name: 1 }),
+      Settings.getSettings()
+    ]);
+    const sections = await getSectionDetails(students);
+
+    const cards = [];
+    for (const student of students) {
+      cards.push({
+        name: student.name,
+        indexNumber: student.indexNumber,
+        classLabel: sections.get(student.section?.toString())?.label || '',
+        qrCode: await getCurrentStudentCode(student),
+        photo: await readStudentPhoto(student)
+      });
+    }
+    // Sheets go out class by class so they can be handed to each class teacher
+    cards.sort((a, b) => a.classLabel.localeCompare(b.classLabel) || a.name.localeCompare(b.name));
+
+    const { branding } = settings;
+    const buffer = await buildIdCardSheets(cards, {
+      schoolName: branding.schoolName || 'Student Identity Card',
+      color: branding.primaryColor,
+      logo: await readSchoolLogo(branding)
+    });
+    logInfo(`ID cards printed for ${cards.length} students`);
+
+    const label = req.classFilter?.label && !studentIds?.length ? req.classFilter.label : 'students';
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="id_cards_${label.replace(/[^\w-]+/g, '_')}.pdf"`);
+    return res.send(buffer);
+  } catch (error) {
+    sendError(res, error, 'Failed to generate ID cards');
+  }
+};
@@ -0,0 +1,299 @@
+import fs from 'fs';
+import path from 'path';
+import mongoose from 'mongoose';
+import LeaveRequest, { LEAVE_STATUSES } from '../models/leaveRequest.model.js';
+import Student from '../models/student.model.js';
+import { applyLeaveRequest, revokeLeaveRequest } from '../services/leave.service.js';
+import { parseDayString, toDayKey } from '../utils/dateUtils.js';
+
+// Shape a leave request for the client, with plain YYYY-MM-DD dates
+const formatLeaveRequest = (request) => ({
+  _id: request._id,
+  student: request.student,
+  startDate: toDayKey(request.startDate),
+  endDate: toDayKey(request.endDate),
+  category: request.category,
+  note: request.note,
+  document: request.document
+    ? { originalName: request.document.originalName, mimeType: request.document.mimeType, size: request.document.size }
+    : null,
+  status: request.status,
+  requestedBy: request.requestedBy,
+  reviewedBy: request.reviewedBy,
+  reviewedAt: request.reviewedAt,
+  reviewNote: request.reviewNote,
+  createdAt: request.createdAt,
+  updatedAt: request.updatedAt
+});
+
+const populateLeaveRequest = (query) => query
+  .populate('student', 'name indexNumber')
+  .populate('requestedBy', 'name')
+  .populate('reviewedBy', 'name');
+
+// Remove an uploaded document that is no longer needed
+const removeDocument = (filePath) => {
+  if (!filePath) return;
+  fs.unlink(filePath, (err) => {
+    if (err && err.code !== 'ENOENT') {
+      console.error('Error deleting leave document:', err);
+    }
+  });
+};
+
+const sendValidationError = (res, error) => res.status(400).json({
+  status: 'error',
+  message: Object.values(error.errors).map(err => err.message).join(', ')
+});
+
+/**
+ * List leave requests, optionally by status, student and date range
+ */
+export const getLeaveRequests = async (req, res) => {
+  try {
+    const { status, studentId, from, to } = req.query;
+    const query = {};
+
+    if (status) {
+      if (!LEAVE_STATUSES.includes(status)) {
+        return res.status(400).json({
+          status: 'error',
+          message: `Status must be one of: ${LEAVE_STATUSES.join(', ')}`
+        });
+      }
+      query.status = status;
+    }
+
+    if (studentId) {
+      if (!mongoose.Types.ObjectId.isValid(studentId)) {
+        return res.status(400).json({ status: 'error', message: 'Invalid student ID' });
+      }
+      query.student = studentId;
+    }
+
+    if (from || to) {
+      const start = from ? parseDayString(from) : null;
+      const end = to ? parseDayString(to) : null;
+
+      if ((from && !start) || (to && !end)) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Dates must be in YYYY-MM-DD format'
+        });
+      }
+
+      if (start) query.endDate = { $gte: start };
+      if (end) query.startDate = { $lte: end };
+    }
+
+    const requests = await populateLeaveRequest(
+      LeaveRequest.find(query).sort({ startDate: -1, createdAt: -1 })
+    ).lean();
+
+    res.status(200).json({
+      status: 'success',
+      results: requests.length,
+      data: { leaveRequests: requests.map(formatLeaveRequest) }
+    });
+  } catch (error) {
+    console.error('Error fetching leave requests:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch leave requests',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Submit a leave request for a student, with an optional supporting document
+ * A single-day request can leave out endDate. New requests wait for review.
+ */
+export const createLeaveRequest = async (req, res) => {
+  try {
+    const { studentId, category, note } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(studentId)) {
+      removeDocument(req.file?.path);
+      return res.status(400).json({ status: 'error', message: 'A valid student ID is required' });
+    }
+
+    const startDate = parseDayString(req.body.startDate);
+    const endDate = parseDayString(req.body.endDate || req.body.startDate);
+
+    if (!startDate || !endDate) {
+      removeDocument(req.file?.path);
+      return res.status(400).json({
+        status: 'error',
+        message: 'Dates must be in YYYY-MM-DD format'
+      });
+    }
+
+    if (!await Student.exists({ _id: studentId })) {
+      removeDocument(req.file?.path);
+      return res.status(404).json({ status: 'error', message: 'Student not found' });
+    }
+
+    const request = await LeaveRequest.create({
+      student: studentId,
+      startDate,
+      endDate,
+      category,
+      note,
+      document: req.file
+        ? {
+            path: req.file.path,
+            originalName: req.file.originalname,
+            mimeType: req.file.mimetype,
+            size: req.file.size
+          }
+        : null,
+      requestedBy: req.admin?._id || null
+    });
+
+    const populated = await populateLeaveRequest(LeaveRequest.findById(request._id)).lean();
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Leave request submitted successfully',
+      data: { leaveRequest: formatLeaveRequest(populated) }
+    });
+  } catch (error) {
+    removeDocument(req.file?.path);
+
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+
+    console.error('Error creating leave request:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to create leave request',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Approve or reject a leave request
+ * Approving records the student's school days in the range as excused; rejecting
+ * a request that was approved turns those days back into absences.
+ */
+export const reviewLeaveRequest = async (req, res) => {
+  try {
+    const { status, reviewNote } = req.body;
+
+    if (!['approved', 'rejected'].includes(status)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Status must be either approved or rejected'
+      });
+    }
+
+    const request = await LeaveRequest.findById(req.params.id);
+    if (!request) {
+      return res.status(404).json({ status: 'error', message: 'Leave request not found' });
+    }
+
+    const wasApproved = request.status === 'approved';
+
+    request.status = status;
+    request.reviewedBy = req.admin?._id || null;
+    request.reviewedAt = new Date();
+    if (reviewNote !== undefined) request.reviewNote = reviewNote;
+    await request.save();
+
+    let excusedDays = 0;
+    let revertedDays = 0;
+
+    if (status === 'approved') {
+      excusedDays = await applyLeaveRequest(request, req.admin?._id || null);
+    } else if (wasApproved) {
+      revertedDays = await revokeLeaveRequest(
+        request,
+        req.admin?._id || null,
+        reviewNote ? `Leave rejected: ${reviewNote}` : 'Leave rejected'
+      );
+    }
+
+    const populated = await populateLeaveRequest(LeaveRequest.findById(request._id)).lean();
+
+    res.status(200).json({
+      status: 'success',
+      message: `Leave request ${status}`,
+      data: {
+        leaveRequest: formatLeaveRequest(populated),
+        excusedDays,
+        revertedDays
+      }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+
+    console.error('Error reviewing leave request:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to review leave request',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Delete a leave request and its document
+ * Excused days from an approved request go back to being absences.
+ */
+export const deleteLeaveRequest = async (req, res) => {
+  try {
+    const request = await LeaveRequest.findById(req.params.id);
+    if (!request) {
+      return res.status(404).json({ status: 'error', message: 'Leave request not found' });
+    }
+
+    if (request.status === 'approved') {
+      await revokeLeaveRequest(request, req.admin?._id || null, 'Leave request deleted');
+    }
+
+    await request.deleteOne();
+    removeDocument(request.document?.path);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Leave request deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting leave request:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to delete leave request',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Download the document attached to a leave request
+ */
+export const downloadLeaveDocument = async (req, res) => {
+  try {
+    const request = await LeaveRequest.findById(req.params.id).select('document').lean();
+
+    if (!request?.document?.path || !fs.existsSync(request.document.path)) {
+      return res.status(404).json({ status: 'error', message: 'Document not found' });
+    }
+
+    res.download(
+      path.resolve(request.document.path),
+      request.document.originalName || path.basename(request.document.path)
+    );
+  } catch (error) {
+    console.error('Error downloading leave document:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to download document',
+      error: error.message
+    });
+  }
+};
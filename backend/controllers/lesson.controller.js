@@ -0,0 +1,216 @@
+import mongoose from 'mongoose';
+import Student from '../models/student.model.js';
+import { LESSON_STATUSES } from '../models/lessonAttendance.model.js';
+import {
+  findLesson,
+  getLessonsForDay,
+  getLessonRegister,
+  markLessonAttendance,
+  getLessonLateness,
+  getMissedLessons
+} from '../services/lesson.service.js';
+import { readScannedCode } from '../services/qrCode.service.js';
+import { startOfDay, parseDateParam, toDayKey, getWeekday } from '../utils/dateUtils.js';
+import AppError from '../utils/appError.js';
+
+// Errors the lesson service raises carry their own status code
+const sendError = (res, error, message) => {
+  if (error instanceof AppError) {
+    return res.status(error.statusCode).json({ status: 'error', message: error.message });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    status: 'error',
+    message,
+    error: error.message
+  });
+};
+
+// Day a request is about, from ?date= or the body, defaulting to today
+const getRequestDay = (value) => {
+  if (!value) return startOfDay();
+  const date = parseDateParam(value);
+  if (!date) throw new AppError('Invalid date format. Please use YYYY-MM-DD format.', 400);
+  return startOfDay(date);
+};
+
+// A register can only be taken on a day the lesson is timetabled
+const checkLessonDay = (entry, day) => {
+  if (entry.weekday !== getWeekday(day)) {
+    throw new AppError('This lesson is not timetabled on that day', 400);
+  }
+};
+
+/**
+ * List the lessons of a day with how much of each register has been taken
+ * ?mine=true limits them to the lessons the signed-in teacher teaches; the
+ * class filter limits them to one class or section.
+ */
+export const getLessons = async (req, res) => {
+  try {
+    const day = getRequestDay(req.query.date);
+    const lessons = await getLessonsForDay(day, {
+      teacherId: req.query.mine === 'true' ? req.admin._id : undefined,
+      sectionIds: req.classFilter?.sectionIds
+    });
+
+    res.status(200).json({
+      status: 'success',
+      results: lessons.length,
+      data: { date: toDayKey(day), lessons }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch lessons');
+  }
+};
+
+/**
+ * Get the register of a lesson on a day, with each student's gate attendance
+ */
+export const getRegister = async (req, res) => {
+  try {
+    const day = getRequestDay(req.query.date);
+    const entry = await findLesson(req.params.id);
+    checkLessonDay(entry, day);
+
+    const register = await getLessonRegister(entry, day);
+
+    res.status(200).json({
+      status: 'success',
+      data: { ...register, date: toDayKey(day) }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch register');
+  }
+};
+
+/**
+ * Mark a student present at a lesson from their QR code, scanned in class
+ * Scans count for today's lesson only; scans after the grace period are late.
+ */
+export const scanLessonAttendance = async (req, res) => {
+  try {
+    const { qrCodeData } = req.body;
+    if (!qrCodeData) {
+      return res.status(400).json({ status: 'error', message: "QR code didn't scan correctly." });
+    }
+
+    const scanned = await readScannedCode(qrCodeData, {
+      source: 'lesson',
+      deviceInfo: req.headers['user-agent'],
+      scannedBy: req.admin?._id
+    });
+    if (scanned.kind !== 'student') {
+      return res.status(400).json({ status: 'error', message: 'Only student QR codes can be scanned in class' });
+    }
+    const { student } = scanned;
+
+    const scanTime = new Date();
+    const entry = await findLesson(req.params.id);
+    checkLessonDay(entry, scanTime);
+
+    if (!student.section || !student.section.equals(entry.section._id)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `${student.name} is not in this class`
+      });
+    }
+
+    const { status, minutesLate } = await getLessonLateness(entry, scanTime);
+    await markLessonAttendance(entry, scanTime, [{ studentId: student._id, status, minutesLate }], {
+      method: 'scan',
+      adminId: req.admin?._id || null,
+      markedAt: scanTime
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: status === 'late'
+        ? `${student.name} marked late (${minutesLate} minutes)`
+        : `${student.name} marked present`,
+      data: {
+        student: { _id: student._id, name: student.name, indexNumber: student.indexNumber },
+        status,
+        minutesLate,
+        timestamp: scanTime
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to record lesson attendance');
+  }
+};
+
+/**
+ * Take or correct the register of a lesson by roll call
+ * Body: { date, records: [{ studentId, status, minutesLate }] }. Students left
+ * out keep whatever was marked for them before.
+ */
+export const submitRollCall = async (req, res) => {
+  try {
+    const { records } = req.body;
+    const day = getRequestDay(req.body.date);
+
+    if (day > startOfDay()) {
+      return res.status(400).json({ status: 'error', message: 'Cannot take a register for a future date' });
+    }
+
+    if (!Array.isArray(records) || records.length === 0) {
+      return res.status(400).json({ status: 'error', message: 'records must be a non-empty list' });
+    }
+
+    const invalid = records.find(record =>
+      !mongoose.Types.ObjectId.isValid(record.studentId) || !LESSON_STATUSES.includes(record.status)
+    );
+    if (invalid) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Each record needs a student ID and a status of ${LESSON_STATUSES.join(', ')}`
+      });
+    }
+
+    const entry = await findLesson(req.params.id);
+    checkLessonDay(entry, day);
+
+    const inSection = await Student.countDocuments({
+      _id: { $in: records.map(record => record.studentId) },
+      section: entry.section._id
+    });
+    if (inSection !== new Set(records.map(record => String(record.studentId))).size) {
+      return res.status(400).json({ status: 'error', message: 'Some students are not in this class' });
+    }
+
+    await markLessonAttendance(entry, day, records, {
+      method: 'roll_call',
+      adminId: req.admin?._id || null
+    });
+
+    const register = await getLessonRegister(entry, day);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Register saved',
+      data: { ...register, date: toDayKey(day) }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to save register');
+  }
+};
+
+/**
+ * List students who came through the gate but were absent from a lesson on a day
+ */
+export const getMissedLessonFlags = async (req, res) => {
+  try {
+    const day = getRequestDay(req.query.date);
+    const flags = await getMissedLessons(day, { sectionIds: req.classFilter?.sectionIds });
+
+    res.status(200).json({
+      status: 'success',
+      results: flags.length,
+      data: { date: toDayKey(day), flags }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch missed lessons');
+  }
+};
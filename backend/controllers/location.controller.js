@@ -0,0 +1,177 @@
+import mongoose from 'mongoose';
+import AttendanceRecord from '../models/attendanceRecord.model.js';
+import Location from '../models/location.model.js';
+import ScannerDevice from '../models/scannerDevice.model.js';
+
+const LOCATION_FIELDS = ['name', 'type', 'direction', 'description', 'active', 'isDefault'];
+
+const sendValidationError = (res, error) => res.status(400).json({
+  status: 'error',
+  message: Object.values(error.errors).map(err => err.message).join(', ')
+});
+
+const sendDuplicateError = (res) => res.status(409).json({
+  status: 'error',
+  message: 'A location with this name already exists'
+});
+
+// Only one location can be the default; an inactive one cannot be
+const clearOtherDefaults = async (location) => {
+  if (location.isDefault && location.active) {
+    await Location.updateMany({ _id: { $ne: location._id }, isDefault: true }, { isDefault: false });
+  }
+};
+
+/**
+ * List scan locations by type and name; ?active=true lists only those in use
+ */
+export const getLocations = async (req, res) => {
+  try {
+    const query = req.query.active === 'true' ? { active: true } : {};
+    const locations = await Location.find(query).sort({ type: 1, name: 1 }).lean();
+
+    res.status(200).json({
+      status: 'success',
+      results: locations.length,
+      data: { locations }
+    });
+  } catch (error) {
+    console.error('Error fetching locations:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch locations',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Register a gate, building or zone where attendance is scanned
+ * The first location registered becomes the default.
+ */
+export const createLocation = async (req, res) => {
+  try {
+    const fields = {};
+    LOCATION_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) fields[field] = req.body[field];
+    });
+    if (!await Location.exists({})) fields.isDefault = true;
+
+    const location = await Location.create(fields);
+    await clearOtherDefaults(location);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Location created successfully',
+      data: { location }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+    if (error.code === 11000) {
+      return sendDuplicateError(res);
+    }
+
+    console.error('Error creating location:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to create location',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Change a location; fields left out are unchanged
+ * Renaming a location does not change the name on scans already recorded there.
+ */
+export const updateLocation = async (req, res) => {
+  try {
+    const location = await Location.findById(req.params.id);
+    if (!location) {
+      return res.status(404).json({ status: 'error', message: 'Location not found' });
+    }
+
+    LOCATION_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) location[field] = req.body[field];
+    });
+    if (!location.active) location.isDefault = false;
+
+    await location.save();
+    await clearOtherDefaults(location);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Location updated successfully',
+      data: { location }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+    if (error.code === 11000) {
+      return sendDuplicateError(res);
+    }
+
+    console.error('Error updating location:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update location',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Delete a location nothing has been scanned at
+ * Locations with scans are deactivated instead so reports keep their names.
+ */
+export const deleteLocation = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ status: 'error', message: 'Invalid location ID' });
+    }
+
+    const location = await Location.findById(req.params.id);
+    if (!location) {
+      return res.status(404).json({ status: 'error', message: 'Location not found' });
+    }
+
+    const used = await AttendanceRecord.exists({
+      $or: [
+        { location: location._id },
+        { 'sessions.location': location._id },
+        { 'sessions.exitLocation': location._id }
+      ]
+    }).setOptions({ withDeleted: true });
+    if (used) {
+      return res.status(409).json({
+        status: 'error',
+        message: `Attendance has been scanned at ${location.name}. Deactivate it instead.`
+      });
+    }
+
+    const devices = await ScannerDevice.countDocuments({ location: location._id });
+    if (devices > 0) {
+      return res.status(409).json({
+        status: 'error',
+        message: `${devices} scanner devices are bound to ${location.name}. Move them first.`
+      });
+    }
+
+    await location.deleteOne();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Location deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting location:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to delete location',
+      error: error.message
+    });
+  }
+};
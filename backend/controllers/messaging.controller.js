@@ -9,6 +9,7 @@ import {
 } from '../services/whatsapp.service.js';
 import Student from '../models/student.model.js';
 import { DateTime } from 'luxon';
+import { formatSchoolTime } from '../utils/dateUtils.js';
 
 /**
  * Get WhatsApp connection status 
@@ -154,10 +155,8 @@ export const sendQrCodeScanMessage = async (studentData) => {
       };
     }
 
-    // Format time for Sri Lanka timezone
-    const time = DateTime.fromJSDate(timestamp)
-      .setZone('Asia/Colombo')
-      .toFormat('hh:mm a');
+    // Format time in the school timezone
+    const time = formatSchoolTime(timestamp, 'hh:mm a');
 
     // Create message content
     const message = `Dear Parent,\n\nThis is to inform you that your child ${name} (${indexNumber}) has ${status === 'entered' ? 'entered' : 'left'} the school at ${time}.\n\nThank you,\nSchool Administration`;
@@ -342,7 +341,7 @@ export const testWhatsAppMessage = async (req, res) => {
 
       // Record test message
       student.messages.push({
-        content: `Test attendance alert sent at ${DateTime.now().toLocaleString(DateTime.DATETIME_FULL)}`,
+        content: `Test attendance alert sent at ${formatSchoolTime(new Date(), DateTime.DATETIME_FULL)}`,
         sentAt: new Date(),
         type: 'test',
         status: messageResult.success ? 'sent' : 'failed',
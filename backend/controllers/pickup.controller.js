@@ -0,0 +1,294 @@
+import fs from 'fs';
+import path from 'path';
+import mongoose from 'mongoose';
+import PickupPerson from '../models/pickupPerson.model.js';
+import EarlyDismissal, { DISMISSAL_OUTCOMES } from '../models/earlyDismissal.model.js';
+import Student from '../models/student.model.js';
+import { DISMISSAL_POPULATE, dismissEarly } from '../services/pickup.service.js';
+import { resolveScanLocation } from '../services/location.service.js';
+import { startOfDay, endOfDay, parseDayString } from '../utils/dateUtils.js';
+import AppError from '../utils/appError.js';
+
+const PICKUP_FIELDS = ['name', 'relationship', 'phone', 'idType', 'idNumber', 'active'];
+
+// Errors the pickup service raises carry their own status code
+const sendError = (res, error, message) => {
+  if (error instanceof AppError) {
+    return res.status(error.statusCode).json({ status: 'error', message: error.message });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      status: 'error',
+      message: Object.values(error.errors).map(err => err.message).join(', ')
+    });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    status: 'error',
+    message,
+    error: error.message
+  });
+};
+
+// Remove an uploaded photo that is no longer needed
+const removePhoto = (filePath) => {
+  if (!filePath) return;
+  fs.unlink(filePath, (err) => {
+    if (err && err.code !== 'ENOENT') {
+      console.error('Error deleting pickup person photo:', err);
+    }
+  });
+};
+
+// The photo path stays on the server; clients load it through the photo route
+const formatPickupPerson = (person) => {
+  const { photo, ...rest } = person.toObject ? person.toObject() : person;
+  return { ...rest, hasPhoto: Boolean(photo?.path) };
+};
+
+const findStudentDocument = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new AppError('Invalid student ID', 400);
+  }
+  const student = await Student.findById(id);
+  if (!student) {
+    throw new AppError('Student not found', 404);
+  }
+  return student;
+};
+
+const findPickupPersonDocument = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new AppError('Invalid pickup person ID', 400);
+  }
+  const person = await PickupPerson.findById(id);
+  if (!person) {
+    throw new AppError('Pickup person not found', 404);
+  }
+  return person;
+};
+
+/**
+ * List a student's pickup persons
+ * Only the active ones unless ?all=true.
+ */
+export const getPickupPersons = async (req, res) => {
+  try {
+    const student = await findStudentDocument(req.params.id);
+    const query = { student: student._id };
+    if (req.query.all !== 'true') query.active = true;
+
+    const persons = await PickupPerson.find(query).sort({ active: -1, name: 1 }).lean();
+
+    res.status(200).json({
+      status: 'success',
+      results: persons.length,
+      data: { pickupPersons: persons.map(formatPickupPerson) }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch pickup persons');
+  }
+};
+
+/**
+ * Add an authorized pickup person to a student, with an optional photo
+ */
+export const createPickupPerson = async (req, res) => {
+  try {
+    const student = await findStudentDocument(req.params.id);
+
+    const person = new PickupPerson({ student: student._id, createdBy: req.admin?._id || null });
+    PICKUP_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) person[field] = req.body[field];
+    });
+    if (req.file) {
+      person.photo = { path: req.file.path, mimeType: req.file.mimetype };
+    }
+    await person.save();
+
+    res.status(201).json({
+      status: 'success',
+      message: `${person.name} can now collect ${student.name}`,
+      data: { pickupPerson: formatPickupPerson(person) }
+    });
+  } catch (error) {
+    removePhoto(req.file?.path);
+    sendError(res, error, 'Failed to add pickup person');
+  }
+};
+
+/**
+ * Change a pickup person; a new photo replaces the old one
+ */
+export const updatePickupPerson = async (req, res) => {
+  try {
+    const person = await findPickupPersonDocument(req.params.id);
+    const previousPhoto = person.photo?.path;
+
+    PICKUP_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) person[field] = req.body[field];
+    });
+    if (req.file) {
+      person.photo = { path: req.file.path, mimeType: req.file.mimetype };
+    }
+    await person.save();
+
+    if (req.file) removePhoto(previousPhoto);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Pickup person updated successfully',
+      data: { pickupPerson: formatPickupPerson(person) }
+    });
+  } catch (error) {
+    removePhoto(req.file?.path);
+    sendError(res, error, 'Failed to update pickup person');
+  }
+};
+
+/**
+ * Remove a pickup person
+ * Persons who collected or tried to collect the student are made inactive
+ * instead, so the dismissal log keeps them.
+ */
+export const deletePickupPerson = async (req, res) => {
+  try {
+    const person = await findPickupPersonDocument(req.params.id);
+
+    if (await EarlyDismissal.exists({ pickupPerson: person._id })) {
+      person.active = false;
+      await person.save();
+      return res.status(200).json({
+        status: 'success',
+        message: 'Pickup person is in the dismissal log, so was made inactive instead of deleted',
+        data: { deactivated: true }
+      });
+    }
+
+    await PickupPerson.deleteOne({ _id: person._id });
+    removePhoto(person.photo?.path);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Pickup person deleted successfully',
+      data: { deactivated: false }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete pickup person');
+  }
+};
+
+/**
+ * Send a pickup person's photo, for the gatekeeper to compare with the collector
+ */
+export const getPickupPersonPhoto = async (req, res) => {
+  try {
+    const person = await findPickupPersonDocument(req.params.id);
+
+    if (!person.photo?.path || !fs.existsSync(person.photo.path)) {
+      return res.status(404).json({ status: 'error', message: 'Photo not found' });
+    }
+
+    res.type(person.photo.mimeType || path.extname(person.photo.path));
+    res.sendFile(path.resolve(person.photo.path));
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch photo');
+  }
+};
+
+/**
+ * List early dismissals and refused pickup attempts
+ * ?date= gives the day (today by default); ?outcome= and ?studentId= narrow it.
+ */
+export const getEarlyDismissals = async (req, res) => {
+  try {
+    const { date, outcome, studentId } = req.query;
+    const day = date ? parseDayString(date) : startOfDay();
+    if (!day) {
+      return res.status(400).json({ status: 'error', message: 'Invalid date format. Please use YYYY-MM-DD format.' });
+    }
+
+    const query = { day: { $gte: startOfDay(day), $lte: endOfDay(day) } };
+    if (outcome) {
+      if (!DISMISSAL_OUTCOMES.includes(outcome)) {
+        return res.status(400).json({ status: 'error', message: `Outcome must be one of: ${DISMISSAL_OUTCOMES.join(', ')}` });
+      }
+      query.outcome = outcome;
+    }
+    if (studentId) {
+      if (!mongoose.Types.ObjectId.isValid(studentId)) {
+        return res.status(400).json({ status: 'error', message: 'Invalid student ID' });
+      }
+      query.student = studentId;
+    }
+
+    const dismissals = await EarlyDismissal.find(query)
+      .populate(DISMISSAL_POPULATE)
+      .sort({ time: -1 })
+      .lean();
+
+    res.status(200).json({
+      status: 'success',
+      results: dismissals.length,
+      data: {
+        dismissals,
+        counts: {
+          released: dismissals.filter(dismissal => dismissal.outcome === 'released').length,
+          refused: dismissals.filter(dismissal => dismissal.outcome === 'refused').length
+        }
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch early dismissals');
+  }
+};
+
+/**
+ * Dismiss a student early
+ * Body: studentId, pickupPersonId of the authorized person collecting them and
+ * idVerified once the gatekeeper checked their ID, or collector
+ * ({ name, relationship, idNumber }) for someone not on the list; reason and
+ * locationId are optional. A collector who is not allowed is refused, the
+ * attempt is logged and the parent alerted.
+ */
+export const createEarlyDismissal = async (req, res) => {
+  try {
+    const { studentId, pickupPersonId, collector, idVerified, reason, locationId } = req.body;
+    const student = await findStudentDocument(studentId);
+
+    let pickupPerson = null;
+    if (pickupPersonId) {
+      pickupPerson = await findPickupPersonDocument(pickupPersonId);
+    } else if (!collector?.name?.trim()) {
+      return res.status(400).json({ status: 'error', message: 'Choose who is collecting the student' });
+    }
+
+    const dismissal = await dismissEarly(student, {
+      pickupPerson,
+      collector: pickupPerson ? undefined : {
+        name: collector.name,
+        relationship: collector.relationship,
+        idNumber: collector.idNumber
+      },
+      idVerified: idVerified === true || idVerified === 'true',
+      reason,
+      gatekeeper: req.admin?._id || null,
+      location: await resolveScanLocation({ locationId })
+    });
+    const released = dismissal.outcome === 'released';
+
+    res.status(201).json({
+      status: 'success',
+      message: released
+        ? `${student.name} released to ${dismissal.collector.name}`
+        : `${student.name} was not released: ${dismissal.refusalReason}${dismissal.parentNotified ? '. The parent has been alerted.' : ''}`,
+      data: {
+        released,
+        dismissal: await EarlyDismissal.findById(dismissal._id).populate(DISMISSAL_POPULATE).lean()
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to record early dismissal');
+  }
+};
@@ -0,0 +1,207 @@
+import mongoose from 'mongoose';
+import SecurityEvent, { SECURITY_EVENT_TYPES } from '../models/securityEvent.model.js';
+import Student from '../models/student.model.js';
+import {
+  listSigningKeys,
+  rotateSigningKey,
+  retireSigningKey,
+  reissueOutdatedCodes,
+  reissueStudentCode
+} from '../services/qrCode.service.js';
+import { startOfDay, parseDateParam } from '../utils/dateUtils.js';
+import AppError from '../utils/appError.js';
+
+// Errors the QR code service raises carry their own status code
+const sendError = (res, error, message) => {
+  if (error instanceof AppError) {
+    return res.status(error.statusCode).json({ status: 'error', message: error.message });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    status: 'error',
+    message,
+    error: error.message
+  });
+};
+
+/**
+ * List the QR signing keys, with how many student and staff codes each signed
+ * and how many codes are still legacy JSON
+ */
+export const getSigningKeys = async (req, res) => {
+  try {
+    const { keys, legacy } = await listSigningKeys();
+
+    res.status(200).json({
+      status: 'success',
+      data: { keys, legacy }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch signing keys');
+  }
+};
+
+/**
+ * Sign new QR codes with a fresh key
+ * Codes signed before keep working until their key is retired.
+ */
+export const rotateKey = async (req, res) => {
+  try {
+    const key = await rotateSigningKey(req.admin?._id || null);
+
+    res.status(201).json({
+      status: 'success',
+      message: `New QR codes are now signed with key ${key.kid}`,
+      data: { key }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to rotate signing key');
+  }
+};
+
+/**
+ * Retire a signing key; the codes it signed stop working at the gate
+ */
+export const retireKey = async (req, res) => {
+  try {
+    const key = await retireSigningKey(req.params.kid);
+
+    res.status(200).json({
+      status: 'success',
+      message: `Key ${key.kid} retired; codes it signed are no longer accepted`,
+      data: { key }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to retire signing key');
+  }
+};
+
+/**
+ * Re-sign every student and staff QR code not signed with the current key
+ * Run after rotating a key, or before refusing legacy codes, then reprint the cards.
+ */
+export const reissueCodes = async (req, res) => {
+  try {
+    const result = await reissueOutdatedCodes();
+
+    res.status(200).json({
+      status: 'success',
+      message: `Reissued the QR codes of ${result.students} students and ${result.staff} staff`
+        + (result.failed ? `; ${result.failed} failed` : ''),
+      data: result
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to reissue QR codes');
+  }
+};
+
+/**
+ * Replace a student's QR code after a lost, stolen or damaged card
+ * Every code issued to the student before stops working at once.
+ * Body: reason ('lost', 'stolen', 'damaged' or 'other') and an optional note
+ */
+export const reissueStudentQRCode = async (req, res) => {
+  try {
+    const student = mongoose.Types.ObjectId.isValid(req.params.id) ? await Student.findById(req.params.id) : null;
+    if (!student) {
+      return res.status(404).json({ status: 'error', message: 'Student not found' });
+    }
+
+    const qrCode = await reissueStudentCode(student, {
+      reason: req.body.reason,
+      note: req.body.note,
+      adminId: req.admin?._id || null
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: `New QR code issued to ${student.name}; earlier codes no longer work`,
+      data: { qrCode, qrVersion: student.qrVersion }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to reissue QR code');
+  }
+};
+
+/**
+ * The QR codes issued to a student, latest first, with the refused scans of
+ * their old codes
+ */
+export const getStudentQrHistory = async (req, res) => {
+  try {
+    const student = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Student.findById(req.params.id)
+        .select('name indexNumber qrVersion qrKid qrHistory')
+        .populate('qrHistory.issuedBy', 'name')
+        .lean()
+      : null;
+    if (!student) {
+      return res.status(404).json({ status: 'error', message: 'Student not found' });
+    }
+
+    const events = await SecurityEvent.find({ student: student._id })
+      .sort({ scannedAt: -1 })
+      .limit(50)
+      .lean();
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        qrVersion: student.qrVersion || 1,
+        qrKid: student.qrKid,
+        history: [...student.qrHistory].reverse(),
+        events
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch QR code history');
+  }
+};
+
+/**
+ * List the refused scans of revoked, retired and forged QR codes on a day,
+ * latest first
+ * Query: date (defaults to today) and type
+ */
+export const getSecurityEvents = async (req, res) => {
+  try {
+    const { date, type } = req.query;
+
+    const day = date ? parseDateParam(date) : new Date();
+    if (!day) {
+      return res.status(400).json({ status: 'error', message: 'Invalid date' });
+    }
+    if (type && !SECURITY_EVENT_TYPES.includes(type)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Type must be one of: ${SECURITY_EVENT_TYPES.join(', ')}`
+      });
+    }
+
+    const query = { day: startOfDay(day) };
+    if (type) query.type = type;
+
+    const events = await SecurityEvent.find(query)
+      .populate('student', 'name indexNumber')
+      .populate('staff', 'name staffId')
+      .populate('device', 'name')
+      .populate('scannedBy', 'name')
+      .sort({ scannedAt: -1 })
+      .limit(500)
+      .lean();
+
+    const counts = SECURITY_EVENT_TYPES.reduce((totals, name) => ({
+      ...totals,
+      [name]: events.filter(event => event.type === name).length
+    }), {});
+
+    res.status(200).json({
+      status: 'success',
+      results: events.length,
+      data: { events, counts }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch security events');
+  }
+};
@@ -0,0 +1,58 @@
+import RejectedScan, { REJECTION_REASONS } from '../models/rejectedScan.model.js';
+import Student from '../models/student.model.js';
+import { startOfDay, parseDateParam } from '../utils/dateUtils.js';
+
+/**
+ * List the gate scans turned away by the scan rules on a day, latest first
+ * Query: date (defaults to today), reason ('duplicate' or 'passback'), and the
+ * class filter. Scans of staff are listed for admins only, like the staff
+ * hours report.
+ */
+export const getRejectedScans = async (req, res) => {
+  try {
+    const { date, reason } = req.query;
+
+    const day = date ? parseDateParam(date) : new Date();
+    if (!day) {
+      return res.status(400).json({ status: 'error', message: 'Invalid date' });
+    }
+    if (reason && !REJECTION_REASONS.includes(reason)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Reason must be one of: ${REJECTION_REASONS.join(', ')}`
+      });
+    }
+
+    const query = { day: startOfDay(day) };
+    if (reason) query.reason = reason;
+    if (!['admin', 'superadmin'].includes(req.admin.role)) query.staff = null;
+    if (req.classFilter) query.student = { $in: await Student.distinct('_id', req.classFilter.studentQuery) };
+
+    const scans = await RejectedScan.find(query)
+      .populate('student', 'name indexNumber')
+      .populate('staff', 'name staffId')
+      .populate('location', 'name direction')
+      .populate('device', 'name')
+      .sort({ scannedAt: -1 })
+      .limit(500)
+      .lean();
+
+    const counts = REJECTION_REASONS.reduce((totals, name) => ({
+      ...totals,
+      [name]: scans.filter(scan => scan.reason === name).length
+    }), {});
+
+    res.status(200).json({
+      status: 'success',
+      results: scans.length,
+      data: { scans, counts }
+    });
+  } catch (error) {
+    console.error('Error fetching rejected scans:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch rejected scans',
+      error: error.message
+    });
+  }
+};
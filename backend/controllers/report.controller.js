@@ -1,7 +1,11 @@
 // controllers/report.controller.js
-import ExcelJS from 'exceljs';
-import { parseMongoDate, formatTimeFromDate, calculateDuration } from '../utils/dateUtils.js';
+import { parseMongoDate, formatTimeFromDate, calculateDuration, formatDuration, getRecordSessions, summarizeSessions, startOfDay, endOfDay, addDays, toDayKey, parseDateParam, parseDayString, toSchoolTime, formatSchoolTime, getSchoolTimezone } from '../utils/dateUtils.js';
 import Student from '../models/student.model.js';
+import { loadSchoolCalendar } from '../services/calendar.service.js';
+import { isPresentRecord, isExcusedRecord, countPresentSchoolDays, countExcusedSchoolDays, summarizeAttendance, getAttendancePercentage } from '../services/attendanceStats.service.js';
+import { getSectionDetails, getClassLabel, addClassSummarySheet } from '../services/class.service.js';
+import { getLocationBreakdown, addLocationSheet } from '../services/location.service.js';
+import { getReportBranding, getReportTitle, createReportWorkbook, addReportLogo } from '../services/branding.service.js';
 import { logInfo, logError } from '../utils/terminal.js';
 
 /**
@@ -20,12 +24,11 @@ export const generateDailyAttendanceReport = async (req, res) => {
       });
     }
 
-    // Parse date
-    const reportDate = new Date(date);
-    reportDate.setHours(0, 0, 0, 0);
+    // Parse date as midnight of that day in school time
+    const parsedDate = parseDateParam(date);
     
     // Validate date format
-    if (isNaN(reportDate.getTime())) {
+    if (!parsedDate) {
       return res.status(400).json({ 
         success: false, 
         message: 'Invalid date format. Please use YYYY-MM-DD format.',
@@ -33,6 +36,8 @@ export const generateDailyAttendanceReport = async (req, res) => {
       });
     }
     
+    const reportDate = startOfDay(parsedDate);
+
     // Check if date is in the future
     if (reportDate > new Date()) {
       return res.status(400).json({ 
@@ -47,9 +52,10 @@ export const generateDailyAttendanceReport = async (req, res) => {
     const preserveTimeFormat = req.headers['time-format'] === 'preserve-null' || preserveFormat === 'true';
     const handleMongoDBTimestamps = handleTimestamps === 'true';
 
-    // Find all students
-    const students = await Student.find()
-      .select('name indexNumber student_email attendanceHistory status')
+    // Find all students, or those of the requested class
+    const students = await Student.find(req.classFilter?.studentQuery)
+      .select('name indexNumber student_email status section')
+      .populate({ path: 'attendanceHistory', match: { day: reportDate } })
       .sort({ indexNumber: 1 });
 
     if (!students || students.length === 0) {
@@ -60,47 +66,49 @@ export const generateDailyAttendanceReport = async (req, res) => {
       });
     }
 
+    // Students without a record are only absent on school days
+    const calendar = await loadSchoolCalendar(reportDate, endOfDay(reportDate));
+    const dayInfo = calendar.getDayInfo(reportDate);
+    const noRecordStatus = dayInfo.isSchoolDay ? 'Absent' : 'No School';
+    const sectionDetails = await getSectionDetails(students);
+    const classSummaryRows = [];
+
     // Create Excel workbook
-    const workbook = new ExcelJS.Workbook();
-    workbook.creator = 'QR Attend System V2';
-    workbook.created = new Date();
+    const branding = await getReportBranding();
+    const workbook = createReportWorkbook(branding);
     
     // Add a worksheet
     const worksheet = workbook.addWorksheet('Attendance Report');
     
     // Set up title
-    worksheet.mergeCells('A1:G1');
+    worksheet.mergeCells('A1:J1');
     const titleCell = worksheet.getCell('A1');
-    titleCell.value = 'Attendance Report';
+    titleCell.value = getReportTitle(branding, req.classFilter ? `Attendance Report - ${req.classFilter.label}` : 'Attendance Report');
     titleCell.font = { size: 16, bold: true };
-    titleCell.alignment = { horizontal: 'center' };
+    titleCell.alignment = { horizontal: 'center', vertical: 'middle' };
+    addReportLogo(workbook, worksheet, branding);
     
     // Add report generation info
-    worksheet.mergeCells('A2:G2');
+    worksheet.mergeCells('A2:J2');
     const infoCell = worksheet.getCell('A2');
-    infoCell.value = `Generated on: ${new Date().toLocaleString('en-US', { 
-      timeZone: 'Asia/Kolkata',
-      hour12: true,
-      year: 'numeric',
-      month: 'long',
-      day: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit',
-      second: '2-digit'
-    })} GMT+5:30`;
+    infoCell.value = `Generated on: ${formatSchoolTime(new Date(), 'MMMM d, yyyy, hh:mm:ss a')} (${getSchoolTimezone()})`;
     infoCell.font = { size: 10, italic: true };
     infoCell.alignment = { horizontal: 'center' };
     
     // Set up header row with formatting
-    worksheet.addRow([]);  // Empty row for spacing
+    // The spacing row notes days the school is closed
+    worksheet.addRow(dayInfo.isSchoolDay ? [] : [`Not a school day${dayInfo.entry ? `: ${dayInfo.entry.name}` : ''}`]);
     const headerRow = worksheet.addRow([
       'Student Name',
       'Index Number',
+      'Class',
       'Email',
       'Status',
-      'Entry Time',
-      'Leave Time',
-      'Duration'
+      'First In',
+      'Last Out',
+      'Exits',
+      'Time on Campus',
+      'Minutes Late'
     ]);
     
     // Style the header row
@@ -109,7 +117,7 @@ export const generateDailyAttendanceReport = async (req, res) => {
       cell.fill = {
       type: 'pattern',
       pattern: 'solid',
-        fgColor: { argb: 'FF4472C4' }
+        fgColor: { argb: branding.headerColor }
       };
       cell.border = {
         top: { style: 'thin' },
@@ -125,6 +133,7 @@ export const generateDailyAttendanceReport = async (req, res) => {
     let totalRecords = 0;
     let presentCount = 0;
     let absentCount = 0;
+    let excusedCount = 0;
     let leftCount = 0;
     let lateCount = 0;
     
@@ -137,9 +146,8 @@ export const generateDailyAttendanceReport = async (req, res) => {
           return false;
         }
         
-        // Reset time to start of day for comparison
-        recordDate.setHours(0, 0, 0, 0);
-        return recordDate.getTime() === reportDate.getTime();
+        // Compare school days rather than instants
+        return toDayKey(recordDate) === toDayKey(reportDate);
       });
       
       return attendanceRecord;
@@ -152,19 +160,24 @@ export const generateDailyAttendanceReport = async (req, res) => {
       // Find the student's attendance record for the report date
       const attendanceRecord = findAttendanceRecord(student);
       
-      let status = 'Absent';
-      let entryTime = null;
-      let leaveTime = null;
-      let duration = null;
+      let status = noRecordStatus;
+      const sessions = getRecordSessions(attendanceRecord);
+      const { firstIn, lastOut, exitCount } = summarizeSessions(sessions);
+      const counts = { present: 0, late: 0, excused: 0, absent: 0 };
       
-      if (attendanceRecord) {
-        // Use values from the attendance record
-        entryTime = attendanceRecord.entryTime;
-        leaveTime = attendanceRecord.leaveTime;
-        
+      if (attendanceRecord?.status === 'absent') {
+        status = 'Absent';
+        absentCount++;
+        counts.absent = 1;
+      } else if (attendanceRecord?.status === 'excused') {
+        // Approved leave is counted apart from unexcused absences
+        status = 'Excused';
+        excusedCount++;
+        counts.excused = 1;
+      } else if (attendanceRecord) {        
         // Format the status based on the attendance record
         if (attendanceRecord.status === 'entered') {
-          status = 'Present';
+          status = attendanceRecord.isLate ? 'Late' : 'Present';
         } else if (attendanceRecord.status === 'left') {
           status = 'Left';
         } else if (attendanceRecord.status === 'late') {
@@ -174,31 +187,39 @@ export const generateDailyAttendanceReport = async (req, res) => {
           status = attendanceRecord.status || 'Absent';
         }
         
+        if (attendanceRecord.isLate && attendanceRecord.status !== 'late') {
+          lateCount++;
+        }
+        
         presentCount++;
-      } else {
+        counts.present = 1;
+        counts.late = attendanceRecord.isLate || attendanceRecord.status === 'late' ? 1 : 0;
+      } else if (dayInfo.isSchoolDay) {
         absentCount++;
+        counts.absent = 1;
       }
       
+      classSummaryRows.push({ student, ...counts, schoolDays: dayInfo.isSchoolDay ? 1 : 0 });
+      
       // Format times for display, handling MongoDB date formats
-      const formattedEntryTime = entryTime ? formatTimeFromDate(entryTime, preserveTimeFormat) : 'N/A';
-      const formattedLeaveTime = leaveTime ? formatTimeFromDate(leaveTime, preserveTimeFormat) : 'N/A';
+      const formattedEntryTime = firstIn ? formatTimeFromDate(firstIn, preserveTimeFormat) : 'N/A';
+      const formattedLeaveTime = lastOut ? formatTimeFromDate(lastOut, preserveTimeFormat) : 'N/A';
       
-      // Calculate duration if entry and leave times are available
-      if (entryTime && leaveTime) {
-        duration = calculateDuration(entryTime, leaveTime);
-      } else {
-        duration = 'N/A';
-      }
+      // Total time across all of the day's in/out sessions
+      const duration = calculateDuration(sessions);
       
       // Add the student data to the worksheet
       const dataRow = worksheet.addRow([
         student.name,
         student.indexNumber,
+        getClassLabel(sectionDetails, student),
         student.student_email,
         status,
         formattedEntryTime,
         formattedLeaveTime,
-        duration
+        exitCount,
+        duration,
+        attendanceRecord?.isLate ? attendanceRecord.minutesLate : ''
       ]);
       
       // Apply styles to the data row
@@ -213,7 +234,7 @@ export const generateDailyAttendanceReport = async (req, res) => {
       });
       
       // Apply conditional formatting based on status
-      const statusCell = dataRow.getCell(4);
+      const statusCell = dataRow.getCell(5);
       if (status === 'Present') {
         statusCell.fill = {
               type: 'pattern',
@@ -227,6 +248,12 @@ export const generateDailyAttendanceReport = async (req, res) => {
           fgColor: { argb: 'FFFF0000' } // Red
         };
         statusCell.font = { color: { argb: 'FFFFFFFF' } };
+      } else if (status === 'Excused') {
+        statusCell.fill = {
+          type: 'pattern',
+          pattern: 'solid',
+          fgColor: { argb: 'FFB4A7D6' } // Lavender
+        };
       } else if (status === 'Late') {
         statusCell.fill = {
           type: 'pattern',
@@ -261,11 +288,12 @@ export const generateDailyAttendanceReport = async (req, res) => {
     worksheet.addRow(['Total Students', totalRecords, '', '', '', '', '']);
     worksheet.addRow(['Present', presentCount, '', '', '', '', '']);
     worksheet.addRow(['Absent', absentCount, '', '', '', '', '']);
+    worksheet.addRow(['Excused', excusedCount, '', '', '', '', '']);
     worksheet.addRow(['Late', lateCount, '', '', '', '', '']);
     worksheet.addRow(['Left Early', leftCount, '', '', '', '', '']);
     
     // Format the summary section
-    for (let i = 0; i < 6; i++) {
+    for (let i = 0; i < 7; i++) {
       const row = worksheet.getRow(startingRow + students.length + 1 + i);
       if (i === 0) {
         const cell = row.getCell(1);
@@ -279,7 +307,7 @@ export const generateDailyAttendanceReport = async (req, res) => {
     }
     
     // Calculate attendance percentage
-    const percentagePresent = totalRecords > 0 ? (presentCount / totalRecords) * 100 : 0;
+    const percentagePresent = dayInfo.isSchoolDay && totalRecords > 0 ? (presentCount / totalRecords) * 100 : 0;
     worksheet.addRow(['Attendance Percentage', `${percentagePresent.toFixed(2)}%`, '', '', '', '', '']);
     const percentageRow = worksheet.lastRow;
     percentageRow.getCell(1).font = { bold: true };
@@ -290,8 +318,13 @@ export const generateDailyAttendanceReport = async (req, res) => {
       column.width = 20;
     });
     
+    addClassSummarySheet(workbook, sectionDetails, classSummaryRows, branding.headerColor);
+    addLocationSheet(workbook, await getLocationBreakdown(reportDate, endOfDay(reportDate), {
+      studentIds: req.classFilter ? students.map(student => student._id) : undefined
+    }), branding.headerColor);
+    
     // Generate a unique file name based on the date
-    const formattedDate = reportDate.toISOString().split('T')[0];
+    const formattedDate = toDayKey(reportDate);
     const fileName = `attendance_report_${formattedDate}.xlsx`;
     
     // Set content type and disposition
@@ -327,18 +360,21 @@ export const generateStudentSummaryReport = async (req, res) => {
       });
     }
 
-    // Parse dates
-    const start = new Date(startDate);
-    const end = new Date(endDate);
+    // Parse dates, covering the first and last day in full in school time
+    const firstDay = parseDateParam(startDate);
+    const lastDay = parseDateParam(endDate);
     
     // Validate date range
-    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+    if (!firstDay || !lastDay) {
       return res.status(400).json({ 
         success: false, 
         message: 'Invalid date format. Please use YYYY-MM-DD format.' 
       });
     }
     
+    const start = startOfDay(firstDay);
+    const end = endOfDay(lastDay);
+    
     if (start > end) {
       return res.status(400).json({ 
         success: false, 
@@ -346,9 +382,10 @@ export const generateStudentSummaryReport = async (req, res) => {
       });
     }
 
-    // Find all students
-    const students = await Student.find()
-      .select('name indexNumber age status attendanceHistory attendanceCount attendancePercentage')
+    // Find all students, or those of the requested class
+    const students = await Student.find(req.classFilter?.studentQuery)
+      .select('name indexNumber age status attendanceCount attendancePercentage section')
+      .populate({ path: 'attendanceHistory', match: { day: { $gte: start, $lte: end } } })
       .sort({ indexNumber: 1 });
 
     if (!students || students.length === 0) {
@@ -359,9 +396,8 @@ export const generateStudentSummaryReport = async (req, res) => {
     }
 
     // Create Excel workbook
-    const workbook = new ExcelJS.Workbook();
-    workbook.creator = 'QR Attend System V2';
-    workbook.created = new Date();
+    const branding = await getReportBranding();
+    const workbook = createReportWorkbook(branding);
     
     // Add worksheet
     const worksheet = workbook.addWorksheet('Student Summary');
@@ -370,25 +406,32 @@ export const generateStudentSummaryReport = async (req, res) => {
     worksheet.columns = [
       { header: 'Index Number', key: 'indexNumber', width: 15 },
       { header: 'Name', key: 'name', width: 30 },
+      { header: 'Class', key: 'className', width: 18 },
       { header: 'Age', key: 'age', width: 10 },
       { header: 'Status', key: 'status', width: 12 },
       { header: 'Total Days Present', key: 'daysPresent', width: 15 },
+      { header: 'Total Days Excused', key: 'daysExcused', width: 15 },
       { header: 'Total Days Absent', key: 'daysAbsent', width: 15 },
       { header: 'Attendance %', key: 'attendancePercentage', width: 15 },
       { header: 'Avg. Hours per Day', key: 'avgHours', width: 15 },
+      { header: 'Time on Campus', key: 'totalTime', width: 15 },
+      { header: 'Total Exits', key: 'totalExits', width: 12 },
       { header: 'Last Attendance', key: 'lastAttendance', width: 20 }
     ];
     
     // Style header row
-    worksheet.getRow(1).font = { bold: true, size: 12 };
+    worksheet.getRow(1).font = { bold: true, size: 12, color: { argb: 'FFFFFFFF' } };
     worksheet.getRow(1).fill = {
       type: 'pattern',
       pattern: 'solid',
-      fgColor: { argb: 'FFD3D3D3' }
+      fgColor: { argb: branding.headerColor }
     };
     
-    // Calculate the number of business days in the date range
-    const totalDays = getBusinessDaysBetweenDates(start, end);
+    // Only school days count towards presence and absence
+    const calendar = await loadSchoolCalendar(start, end);
+    const totalDays = calendar.countSchoolDays(start, end);
+    const sectionDetails = await getSectionDetails(students);
+    const classSummaryRows = [];
     
     // Add data rows for each student
     let rowCount = 1;
@@ -399,51 +442,62 @@ export const generateStudentSummaryReport = async (req, res) => {
         return recordDate >= start && recordDate <= end;
       });
       
-      // Count unique days present
-      const uniqueDaysPresent = new Set();
-      let totalHours = 0;
+      // Days present, late, excused by approved leave and absent over the school days
+      const {
+        present: daysPresent,
+        late: daysLate,
+        excused: daysExcused,
+        absent: daysAbsent,
+        percentage: presentRate
+      } = summarizeAttendance(calendar, attendanceRecords, start, end);
+      const attendancePercentage = presentRate.toFixed(2);
       
-      attendanceRecords.forEach(record => {
-        if (record.entryTime) {
-          // Extract the date part only for uniqueness check
-          const dateString = new Date(record.date).toDateString();
-          uniqueDaysPresent.add(dateString);
-          
-          // Calculate hours if both entry and leave times exist
-          if (record.entryTime && record.leaveTime) {
-            const entryTime = new Date(record.entryTime);
-            const leaveTime = new Date(record.leaveTime);
-            const durationHours = (leaveTime - entryTime) / (1000 * 60 * 60);
-            totalHours += durationHours;
-          }
-        }
+      // Add up time across all of the in/out sessions
+      let totalMs = 0;
+      let totalExits = 0;
+      attendanceRecords.filter(record => record.entryTime).forEach(record => {
+        const summary = summarizeSessions(getRecordSessions(record));
+        totalMs += summary.totalMs;
+        totalExits += summary.exitCount;
       });
       
-      const daysPresent = uniqueDaysPresent.size;
-      const daysAbsent = totalDays - daysPresent;
-      const attendancePercentage = totalDays > 0 ? ((daysPresent / totalDays) * 100).toFixed(2) : 0;
+      const totalHours = totalMs / (1000 * 60 * 60);
+      
       const avgHoursPerDay = daysPresent > 0 ? (totalHours / daysPresent).toFixed(2) : 0;
       
       // Format last attendance date
       const lastAttendance = student.lastAttendance 
-        ? new Date(student.lastAttendance).toLocaleString() 
+        ? formatSchoolTime(student.lastAttendance, 'M/d/yyyy, h:mm:ss a') 
         : 'Never';
       
+      classSummaryRows.push({
+        student,
+        present: daysPresent,
+        late: daysLate,
+        excused: daysExcused,
+        absent: daysAbsent,
+        schoolDays: totalDays
+      });
+      
       rowCount++;
       worksheet.addRow({
         indexNumber: student.indexNumber,
         name: student.name,
+        className: getClassLabel(sectionDetails, student),
         age: student.age || 'N/A',
         status: student.status,
         daysPresent: daysPresent,
+        daysExcused: daysExcused,
         daysAbsent: daysAbsent,
         attendancePercentage: `${attendancePercentage}%`,
         avgHours: avgHoursPerDay,
+        totalTime: formatDuration(totalMs),
+        totalExits,
         lastAttendance: lastAttendance
       });
       
       // Add conditional formatting for attendance percentage
-      const percentCell = worksheet.getCell(`G${rowCount}`);
+      const percentCell = worksheet.getCell(`I${rowCount}`);
       const percentage = parseFloat(attendancePercentage);
       
       if (percentage >= 90) {
@@ -468,7 +522,7 @@ export const generateStudentSummaryReport = async (req, res) => {
       
       // Highlight inactive students
       if (student.status !== 'active') {
-        worksheet.getCell(`D${rowCount}`).fill = {
+        worksheet.getCell(`E${rowCount}`).fill = {
           type: 'pattern',
           pattern: 'solid',
           fgColor: { argb: 'FFA9A9A9' } // Dark gray
@@ -476,6 +530,8 @@ export const generateStudentSummaryReport = async (req, res) => {
       }
     });
     
+    addClassSummarySheet(workbook, sectionDetails, classSummaryRows, branding.headerColor);
+    
     // Write workbook to response
     const buffer = await workbook.xlsx.writeBuffer();
     
@@ -518,13 +574,14 @@ export const generateMonthlyAnalysisReport = async (req, res) => {
       });
     }
     
-    // Calculate start and end dates for the month
-    const startDate = new Date(yearNum, monthNum - 1, 1);
-    const endDate = new Date(yearNum, monthNum, 0); // Last day of the month
+    // Calculate start and end dates for the month, as midnight school time
+    const startDate = parseDayString(`${yearNum}-${String(monthNum).padStart(2, '0')}-01`);
+    const endDate = toSchoolTime(startDate).endOf('month').startOf('day').toJSDate(); // Last day of the month
     
-    // Find all active students
-    const students = await Student.find({ status: 'active' })
-      .select('name indexNumber age attendanceHistory')
+    // Find all active students, or those of the requested class
+    const students = await Student.find({ status: 'active', ...req.classFilter?.studentQuery })
+      .select('name indexNumber age section')
+      .populate({ path: 'attendanceHistory', match: { day: { $gte: startDate, $lte: endDate } } })
       .sort({ indexNumber: 1 });
 
     if (!students || students.length === 0) {
@@ -533,29 +590,31 @@ export const generateMonthlyAnalysisReport = async (req, res) => {
         message: 'No active students found' 
       });
     }
+    
+    // Only school days get a column; weekends, holidays and closures are left out
+    const calendar = await loadSchoolCalendar(startDate, endDate);
+    const schoolDays = calendar.getSchoolDays(startDate, endDate).map(date => toSchoolTime(date).day);
+    const sectionDetails = await getSectionDetails(students);
+    const classSummaryRows = [];
 
     // Create a new Excel workbook
-    const workbook = new ExcelJS.Workbook();
-    workbook.creator = 'QR Attend System V2';
-    workbook.created = new Date();
+    const branding = await getReportBranding();
+    const workbook = createReportWorkbook(branding);
     
     // Add a worksheet for the monthly calendar view
     const worksheet = workbook.addWorksheet('Monthly Calendar');
     
-    // Get number of days in the month
-    const daysInMonth = endDate.getDate();
-    
     // Prepare headers with day numbers
     const headers = [
       { header: 'Index Number', key: 'indexNumber', width: 15 },
       { header: 'Name', key: 'name', width: 25 },
+      { header: 'Class', key: 'className', width: 18 },
       { header: 'Age', key: 'age', width: 10 },
     ];
     
-    // Add a column for each day of the month
-    for (let day = 1; day <= daysInMonth; day++) {
-      const date = new Date(yearNum, monthNum - 1, day);
-      const dayOfWeek = date.toLocaleDateString('en-US', { weekday: 'short' });
+    // Add a column for each school day of the month
+    schoolDays.forEach(day => {
+      const dayOfWeek = toSchoolTime(startDate).set({ day }).toFormat('ccc');
       const dayHeader = `${day} (${dayOfWeek})`;
       
       headers.push({
@@ -563,101 +622,111 @@ export const generateMonthlyAnalysisReport = async (req, res) => {
         key: `day${day}`,
         width: 10
       });
-    }
+    });
     
     // Add summary columns
     headers.push(
       { header: 'Present', key: 'presentDays', width: 10 },
+      { header: 'Excused', key: 'excusedDays', width: 10 },
       { header: 'Absent', key: 'absentDays', width: 10 },
-      { header: '%', key: 'percentage', width: 8 }
+      { header: '%', key: 'percentage', width: 8 },
+      { header: 'Time on Campus', key: 'totalTime', width: 15 },
+      { header: 'Exits', key: 'totalExits', width: 8 },
+      { header: 'Late', key: 'lateDays', width: 8 },
+      { header: 'Minutes Late', key: 'minutesLate', width: 12 }
     );
     
     worksheet.columns = headers;
     
     // Style the header row
-    worksheet.getRow(1).font = { bold: true, size: 12 };
+    worksheet.getRow(1).font = { bold: true, size: 12, color: { argb: 'FFFFFFFF' } };
     worksheet.getRow(1).fill = {
       type: 'pattern',
       pattern: 'solid',
-      fgColor: { argb: 'FFD3D3D3' }
+      fgColor: { argb: branding.headerColor }
     };
     
-    // Helper to check if date is a weekend
-    const isWeekend = (date) => {
-      const day = date.getDay();
-      return day === 0 || day === 6; // 0 is Sunday, 6 is Saturday
-    };
-    
-    // Mark weekend columns with different color (but still count them)
-    for (let day = 1; day <= daysInMonth; day++) {
-      const date = new Date(yearNum, monthNum - 1, day);
-      if (isWeekend(date)) {
-        const colIndex = day + 2; // Offset for index, name columns
-        worksheet.getColumn(colIndex).fill = {
-          type: 'pattern',
-          pattern: 'solid',
-          fgColor: { argb: 'FFF0F0F0' } // Light gray for weekend days
-        };
-      }
-    }
-    
     // Add data for each student
     students.forEach((student, index) => {
       const rowData = {
         indexNumber: student.indexNumber,
         name: student.name,
+        className: getClassLabel(sectionDetails, student),
         age: student.age || 'N/A',
         presentDays: 0,
+        excusedDays: 0,
         absentDays: 0,
-        percentage: '0%'
+        percentage: '0%',
+        totalTime: 'N/A',
+        totalExits: 0,
+        lateDays: 0,
+        minutesLate: 0
       };
+      let totalMs = 0;
       
-      // Initialize attendance status for each day
-      for (let day = 1; day <= daysInMonth; day++) {
+      // Initialize attendance status for each school day
+      schoolDays.forEach(day => {
         rowData[`day${day}`] = '';
-      }
+      });
       
       // Map attendance data to days
       student.attendanceHistory.forEach(record => {
         const recordDate = new Date(record.date);
         
         // Check if record falls within the month
-        if (recordDate >= startDate && recordDate <= endDate) {
-          const day = recordDate.getDate();
+        if (recordDate >= startDate && recordDate <= endOfDay(endDate)) {
+          const day = toSchoolTime(recordDate).day;
           
-          // Mark as present if there's an entry time
-          if (record.entryTime) {
-            rowData[`day${day}`] = '✓';
+          // Mark as present, or late if the first entry was after the grace period
+          // Scans on days without school still add to time on campus but not to the day columns
+          if (isPresentRecord(record) && schoolDays.includes(day)) {
+            rowData[`day${day}`] = record.isLate ? 'L' : '✓';
             rowData.presentDays++;
+          } else if (isExcusedRecord(record) && schoolDays.includes(day)) {
+            rowData[`day${day}`] = 'E';
+            rowData.excusedDays++;
+          }
+          
+          if (isPresentRecord(record) && record.isLate) {
+            rowData.lateDays++;
+            rowData.minutesLate += record.minutesLate || 0;
           }
+          
+          const summary = summarizeSessions(getRecordSessions(record));
+          totalMs += summary.totalMs;
+          rowData.totalExits += summary.exitCount;
         }
       });
+      rowData.totalTime = formatDuration(totalMs);
       
-      // Calculate absent days (including weekends)
-      let workingDays = 0;
-      for (let day = 1; day <= daysInMonth; day++) {
-        const date = new Date(yearNum, monthNum - 1, day);
-        // Include all days, including weekends
-        workingDays++;
+      // Calculate absent days over school days only
+      schoolDays.forEach(day => {
         if (!rowData[`day${day}`]) {
           rowData[`day${day}`] = '✗';
           rowData.absentDays++;
         }
-      }
+      });
       
-      // Calculate attendance percentage for all days
-      const attendancePercentage = workingDays > 0 
-        ? ((rowData.presentDays / workingDays) * 100).toFixed(2) 
-        : 0;
+      // Calculate attendance percentage for school days
+      const attendancePercentage = getAttendancePercentage(rowData.presentDays, schoolDays.length).toFixed(2);
       rowData.percentage = `${attendancePercentage}%`;
       
+      classSummaryRows.push({
+        student,
+        present: rowData.presentDays,
+        late: schoolDays.filter(day => rowData[`day${day}`] === 'L').length,
+        excused: rowData.excusedDays,
+        absent: rowData.absentDays,
+        schoolDays: schoolDays.length
+      });
+      
       // Add the row to the worksheet
       const row = worksheet.addRow(rowData);
       
       // Apply conditional formatting for present/absent
-      for (let day = 1; day <= daysInMonth; day++) {
+      schoolDays.forEach(day => {
         const cellValue = rowData[`day${day}`];
-        const cellRef = worksheet.getCell(`${String.fromCharCode(day + 67)}${index + 2}`);
+        const cellRef = row.getCell(`day${day}`);
         
         if (cellValue === '✓') {
           cellRef.fill = {
@@ -665,6 +734,18 @@ export const generateMonthlyAnalysisReport = async (req, res) => {
             pattern: 'solid',
             fgColor: { argb: 'FF90EE90' } // Light green for present
           };
+        } else if (cellValue === 'L') {
+          cellRef.fill = {
+            type: 'pattern',
+            pattern: 'solid',
+            fgColor: { argb: 'FFFFC000' } // Orange for late
+          };
+        } else if (cellValue === 'E') {
+          cellRef.fill = {
+            type: 'pattern',
+            pattern: 'solid',
+            fgColor: { argb: 'FFB4A7D6' } // Lavender for excused
+          };
         } else if (cellValue === '✗') {
           cellRef.fill = {
             type: 'pattern',
@@ -672,14 +753,16 @@ export const generateMonthlyAnalysisReport = async (req, res) => {
             fgColor: { argb: 'FFFF6347' } // Tomato for absent
           };
         }
-      }
+      });
     });
     
+    addClassSummarySheet(workbook, sectionDetails, classSummaryRows, branding.headerColor);
+    
     // Generate Excel file
     const buffer = await workbook.xlsx.writeBuffer();
     
     // Format month name
-    const monthName = new Date(yearNum, monthNum - 1, 1).toLocaleString('default', { month: 'long' });
+    const monthName = toSchoolTime(startDate).toFormat('MMMM');
     
     // Set headers for file download
     res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
@@ -698,19 +781,6 @@ export const generateMonthlyAnalysisReport = async (req, res) => {
   }
 };
 
-function getBusinessDaysBetweenDates(startDate, endDate) {
-  let count = 0;
-  const currentDate = new Date(startDate);
-  
-  while (currentDate <= endDate) {
-    // Count all days including weekends
-    count++;
-    currentDate.setDate(currentDate.getDate() + 1);
-  }
-  
-  return count;
-}
-
 export const generateWeeklyAttendanceReport = async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
@@ -725,11 +795,11 @@ export const generateWeeklyAttendanceReport = async (req, res) => {
     }
     
     // Parse dates
-    const start = new Date(startDate);
-    const end = new Date(endDate);
+    const firstDay = parseDateParam(startDate);
+    const lastDay = parseDateParam(endDate);
     
     // Validate date format
-    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+    if (!firstDay || !lastDay) {
       return res.status(400).json({
         success: false,
         message: 'Invalid date format. Please use YYYY-MM-DD format.',
@@ -737,9 +807,9 @@ export const generateWeeklyAttendanceReport = async (req, res) => {
       });
     }
     
-    // Set time to start and end of day
-    start.setUTCHours(0, 0, 0, 0);
-    end.setUTCHours(23, 59, 59, 999);
+    // Cover the first and last day in full, in school time
+    const start = startOfDay(firstDay);
+    const end = endOfDay(lastDay);
     
     // Check if date range is valid (start before end, not future dates)
     if (start > end) {
@@ -761,8 +831,9 @@ export const generateWeeklyAttendanceReport = async (req, res) => {
     }
     
     // Get all active students
-    const students = await Student.find({ status: 'active' })
-      .select('_id name indexNumber student_email status attendanceHistory')
+    const students = await Student.find({ status: 'active', ...req.classFilter?.studentQuery })
+      .select('_id name indexNumber student_email status section')
+      .populate({ path: 'attendanceHistory', match: { day: { $gte: start, $lte: end } } })
       .sort('indexNumber')
       .lean();
     
@@ -775,23 +846,23 @@ export const generateWeeklyAttendanceReport = async (req, res) => {
     }
     
     // Create Excel workbook
-    const workbook = new ExcelJS.Workbook();
-    workbook.creator = 'Attendance System';
+    const branding = await getReportBranding();
+    const workbook = createReportWorkbook(branding);
     workbook.lastModifiedBy = 'Report Generator';
-    workbook.created = new Date();
     workbook.modified = new Date();
     
     // Add worksheet
     const worksheet = workbook.addWorksheet('Weekly Attendance');
     
     // Format title and info
-    worksheet.mergeCells('A1:G1');
+    worksheet.mergeCells('A1:L1');
     const titleCell = worksheet.getCell('A1');
-    titleCell.value = 'Weekly Attendance Report';
+    titleCell.value = getReportTitle(branding, req.classFilter ? `Weekly Attendance Report - ${req.classFilter.label}` : 'Weekly Attendance Report');
     titleCell.font = { bold: true, size: 16 };
-    titleCell.alignment = { horizontal: 'center' };
+    titleCell.alignment = { horizontal: 'center', vertical: 'middle' };
+    addReportLogo(workbook, worksheet, branding);
     
-    worksheet.mergeCells('A2:G2');
+    worksheet.mergeCells('A2:L2');
     const infoCell = worksheet.getCell('A2');
     infoCell.value = `Period: ${startDate} to ${endDate}`;
     infoCell.font = { size: 12 };
@@ -802,11 +873,16 @@ export const generateWeeklyAttendanceReport = async (req, res) => {
     const headerRow = worksheet.addRow([
       'Student Name',
       'Index Number',
+      'Class',
       'Email',
       'Days Present',
+      'Days Excused',
       'Days Absent',
       'Late Days',
-      'Attendance Rate (%)'
+      'Attendance Rate (%)',
+      'Time on Campus',
+      'Exits',
+      'Minutes Late'
     ]);
     
     // Style the header row
@@ -815,7 +891,7 @@ export const generateWeeklyAttendanceReport = async (req, res) => {
       cell.fill = {
         type: 'pattern',
         pattern: 'solid',
-        fgColor: { argb: 'FF4472C4' }
+        fgColor: { argb: branding.headerColor }
       };
       cell.border = {
         top: { style: 'thin' },
@@ -826,65 +902,57 @@ export const generateWeeklyAttendanceReport = async (req, res) => {
       cell.alignment = { horizontal: 'center', vertical: 'middle' };
     });
     
-    // Get business days in the date range
-    const workingDays = getBusinessDaysBetweenDates(start, end);
+    // Only school days in the range count towards presence and absence
+    const calendar = await loadSchoolCalendar(start, end);
+    const dateRange = [];
+    for (let d = start; d <= end; d = addDays(d, 1)) {
+      if (calendar.isSchoolDay(d)) dateRange.push(d);
+    }
+    const workingDays = dateRange.length;
+    const sectionDetails = await getSectionDetails(students);
+    const classSummaryRows = [];
     
     // Process each student's attendance
     students.forEach((student, index) => {
       // Initialize counters
       let presentDays = 0;
+      let excusedDays = 0;
       let absentDays = 0;
       let lateDays = 0;
+      let totalMinutesLate = 0;
+      let totalMs = 0;
+      let totalExits = 0;
       
-      // Generate an array of dates in the range
-      const dateRange = [];
-      for (let d = new Date(start); d <= end; d.setDate(d.getDate() + 1)) {
-        dateRange.push(new Date(d));
-      }
-      
-      // Check each date for attendance
+      // Check each school day for attendance
       dateRange.forEach(date => {
-        const dateStartTime = new Date(date);
-        dateStartTime.setUTCHours(0, 0, 0, 0);
-        
-        const dateEndTime = new Date(date);
-        dateEndTime.setUTCHours(23, 59, 59, 999);
+        const dateKey = toDayKey(date);
         
-        // Find any attendance record for this date
-        const hasAttendance = student.attendanceHistory?.some(record => {
+        // Find the attendance records for this date
+        const dayRecords = (student.attendanceHistory || []).filter(record => {
           // Use parseMongoDate to properly handle MongoDB date format
           const recordDate = parseMongoDate(record.date);
-          if (!recordDate) return false;
-          
-          // Reset time to start of day for comparison
-          recordDate.setHours(0, 0, 0, 0);
-          return recordDate.getTime() === dateStartTime.getTime();
+          return recordDate ? toDayKey(recordDate) === dateKey : false;
         });
         
-        if (hasAttendance) {
+        // Absence and leave records carry no scans, so only a recorded entry counts as present
+        if (dayRecords.some(record => record.entryTime)) {
           presentDays++;
           
-          // Check if the student was late (entry time after 9 AM)
-          const entryRecord = student.attendanceHistory?.find(record => {
-            const recordDate = parseMongoDate(record.date);
-            if (!recordDate) return false;
-            
-            recordDate.setHours(0, 0, 0, 0);
-            return recordDate.getTime() === dateStartTime.getTime() && record.status === 'entered';
+          // Add up time across all of the day's in/out sessions
+          dayRecords.forEach(record => {
+            const summary = summarizeSessions(getRecordSessions(record));
+            totalMs += summary.totalMs;
+            totalExits += summary.exitCount;
           });
           
-          if (entryRecord?.entryTime) {
-            const entryTime = parseMongoDate(entryRecord.entryTime);
-            if (entryTime) {
-              const entryHour = entryTime.getHours();
-              const entryMinute = entryTime.getMinutes();
-              
-              // Check if entry time is after 9:00 AM
-              if (entryHour > 9 || (entryHour === 9 && entryMinute > 0)) {
-                lateDays++;
-              }
-            }
+          // Late arrivals are flagged against the school hours when the student enters
+          const lateRecord = dayRecords.find(record => record.isLate);
+          if (lateRecord) {
+            lateDays++;
+            totalMinutesLate += lateRecord.minutesLate || 0;
           }
+        } else if (dayRecords.some(record => record.status === 'excused')) {
+          excusedDays++;
         } else {
           absentDays++;
         }
@@ -893,15 +961,29 @@ export const generateWeeklyAttendanceReport = async (req, res) => {
       // Calculate attendance rate
       const attendanceRate = workingDays > 0 ? (presentDays / workingDays) * 100 : 0;
       
+      classSummaryRows.push({
+        student,
+        present: presentDays,
+        late: lateDays,
+        excused: excusedDays,
+        absent: absentDays,
+        schoolDays: workingDays
+      });
+      
       // Add the data row
       const dataRow = worksheet.addRow([
         student.name || 'N/A',
         student.indexNumber || 'N/A',
+        getClassLabel(sectionDetails, student),
         student.student_email || 'N/A',
         presentDays,
+        excusedDays,
         absentDays,
         lateDays,
-        `${attendanceRate.toFixed(1)}%`
+        `${attendanceRate.toFixed(1)}%`,
+        formatDuration(totalMs),
+        totalExits,
+        totalMinutesLate
       ]);
       
       // Apply styles to the data row
@@ -916,7 +998,7 @@ export const generateWeeklyAttendanceReport = async (req, res) => {
       });
       
       // Apply conditional formatting to attendance rate
-      const rateCell = dataRow.getCell(7);
+      const rateCell = dataRow.getCell(9);
       if (attendanceRate >= 90) {
         rateCell.fill = {
           type: 'pattern',
@@ -941,7 +1023,7 @@ export const generateWeeklyAttendanceReport = async (req, res) => {
       // Zebra striping for rows
       if (index % 2 !== 0) {
         dataRow.eachCell((cell, colIndex) => {
-          if (colIndex !== 7) { // Skip attendance rate cell which has its own color
+          if (colIndex !== 9) { // Skip attendance rate cell which has its own color
             cell.fill = {
               type: 'pattern',
               pattern: 'solid',
@@ -957,6 +1039,11 @@ export const generateWeeklyAttendanceReport = async (req, res) => {
       column.width = 18;
     });
     
+    addClassSummarySheet(workbook, sectionDetails, classSummaryRows, branding.headerColor);
+    addLocationSheet(workbook, await getLocationBreakdown(start, end, {
+      studentIds: req.classFilter ? students.map(student => student._id) : undefined
+    }), branding.headerColor);
+    
     // Write to buffer
     const buffer = await workbook.xlsx.writeBuffer();
     
@@ -997,11 +1084,11 @@ export const generateIndividualStudentReport = async (req, res) => {
     }
     
     // Parse dates
-    const start = new Date(startDate);
-    const end = new Date(endDate);
+    const firstDay = parseDateParam(startDate);
+    const lastDay = parseDateParam(endDate);
     
     // Validate date format
-    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+    if (!firstDay || !lastDay) {
       return res.status(400).json({
         success: false,
         message: 'Invalid date format. Please use YYYY-MM-DD format.',
@@ -1009,12 +1096,13 @@ export const generateIndividualStudentReport = async (req, res) => {
       });
     }
     
-    // Set time to start and end of day
-    start.setUTCHours(0, 0, 0, 0);
-    end.setUTCHours(23, 59, 59, 999);
+    // Cover the first and last day in full, in school time
+    const start = startOfDay(firstDay);
+    const end = endOfDay(lastDay);
     
     // Find the student
-    const student = await Student.findById(studentId);
+    const student = await Student.findById(studentId)
+      .populate({ path: 'attendanceHistory', match: { day: { $gte: start, $lte: end } } });
     if (!student) {
       return res.status(404).json({
         success: false,
@@ -1024,10 +1112,9 @@ export const generateIndividualStudentReport = async (req, res) => {
     }
     
     // Create a new workbook
-    const workbook = new ExcelJS.Workbook();
-    workbook.creator = 'Attendance System';
+    const branding = await getReportBranding();
+    const workbook = createReportWorkbook(branding);
     workbook.lastModifiedBy = 'Report Generator';
-    workbook.created = new Date();
     workbook.modified = new Date();
     
     // Add a worksheet
@@ -1037,21 +1124,23 @@ export const generateIndividualStudentReport = async (req, res) => {
     worksheet.columns = [
       { header: 'Date', key: 'date', width: 15 },
       { header: 'Status', key: 'status', width: 15 },
-      { header: 'Entry Time', key: 'entryTime', width: 15 },
-      { header: 'Leave Time', key: 'leaveTime', width: 15 },
-      { header: 'Duration', key: 'duration', width: 15 },
+      { header: 'First In', key: 'entryTime', width: 15 },
+      { header: 'Last Out', key: 'leaveTime', width: 15 },
+      { header: 'Exits', key: 'exits', width: 10 },
+      { header: 'Time on Campus', key: 'duration', width: 15 },
       { header: 'Location', key: 'location', width: 20 }
     ];
     
     // Add title and student info
-    worksheet.mergeCells('A1:F1');
+    worksheet.mergeCells('A1:G1');
     const titleCell = worksheet.getCell('A1');
-    titleCell.value = `Attendance Report for ${student.name} (${student.indexNumber})`;
+    titleCell.value = getReportTitle(branding, `Attendance Report for ${student.name} (${student.indexNumber})`);
     titleCell.font = { bold: true, size: 16 };
-    titleCell.alignment = { horizontal: 'center' };
+    titleCell.alignment = { horizontal: 'center', vertical: 'middle' };
+    addReportLogo(workbook, worksheet, branding);
     
     // Add report metadata
-    worksheet.mergeCells('A2:F2');
+    worksheet.mergeCells('A2:G2');
     const infoCell = worksheet.getCell('A2');
     infoCell.value = `Report Period: ${startDate} to ${endDate}`;
     infoCell.font = { size: 12 };
@@ -1063,7 +1152,7 @@ export const generateIndividualStudentReport = async (req, res) => {
       cell.fill = {
         type: 'pattern',
         pattern: 'solid',
-        fgColor: { argb: 'FF4472C4' }
+        fgColor: { argb: branding.headerColor }
       };
       cell.border = {
         top: { style: 'thin' },
@@ -1091,36 +1180,29 @@ export const generateIndividualStudentReport = async (req, res) => {
     
     // Get unique dates in the range
     const dateRange = [];
-    for (let d = new Date(start); d <= end; d.setDate(d.getDate() + 1)) {
-      dateRange.push(new Date(d));
+    for (let d = start; d <= end; d = addDays(d, 1)) {
+      dateRange.push(d);
     }
     
+    // Days without school are listed but never count as absences
+    const calendar = await loadSchoolCalendar(start, end);
+    
     // Generate a record for each date in range
     let rowIndex = 4; // Start from row 4 (after headers)
     
     dateRange.forEach(date => {
-      const dateStr = date.toISOString().split('T')[0];
-      const dateStartTime = new Date(date);
-      dateStartTime.setUTCHours(0, 0, 0, 0);
-      
-      const dateEndTime = new Date(date);
-      dateEndTime.setUTCHours(23, 59, 59, 999);
+      const dateStr = toDayKey(date);
       
       // Find record for this date
       const record = attendanceRecords.find(r => {
         const recordDate = parseMongoDate(r.date);
-        if (!recordDate) return false;
-        
-        // Reset time to start of day for comparison
-        const recordDay = new Date(recordDate);
-        recordDay.setUTCHours(0, 0, 0, 0);
-        
-        return recordDay.getTime() === dateStartTime.getTime();
+        return recordDate ? toDayKey(recordDate) === dateStr : false;
       });
       
-      let status = 'Absent';
+      let status = calendar.isSchoolDay(date) ? 'Absent' : 'No School';
       let entryTime = 'N/A';
       let leaveTime = 'N/A';
+      let exits = 0;
       let duration = 'N/A';
       let location = 'N/A';
       
@@ -1133,50 +1215,23 @@ export const generateIndividualStudentReport = async (req, res) => {
           status = 'Present';
         } else if (record.status === 'left') {
           status = 'Left';
+        } else if (record.status === 'excused') {
+          status = 'Excused';
         }
         
-        // Format entry time
-        if (record.entryTime) {
-          const entryDate = parseMongoDate(record.entryTime);
-          if (entryDate && !isNaN(entryDate.getTime())) {
-            entryTime = entryDate.toLocaleTimeString('en-US', {
-              hour: '2-digit',
-              minute: '2-digit',
-              second: '2-digit',
-              hour12: true
-            });
-          }
+        // Summarise the day's in/out sessions
+        const sessions = getRecordSessions(record);
+        const { firstIn, lastOut, exitCount } = summarizeSessions(sessions);
+        if (firstIn) {
+          entryTime = formatSchoolTime(firstIn, 'hh:mm:ss a');
         }
         
-        // Format leave time
-        if (record.leaveTime) {
-          const leaveDate = parseMongoDate(record.leaveTime);
-          if (leaveDate && !isNaN(leaveDate.getTime())) {
-            leaveTime = leaveDate.toLocaleTimeString('en-US', {
-              hour: '2-digit',
-              minute: '2-digit',
-              second: '2-digit',
-              hour12: true
-            });
-          }
+        if (lastOut) {
+          leaveTime = formatSchoolTime(lastOut, 'hh:mm:ss a');
         }
         
-        // Calculate duration
-        if (record.entryTime && record.leaveTime) {
-          const entryDate = parseMongoDate(record.entryTime);
-          const leaveDate = parseMongoDate(record.leaveTime);
-          
-          if (entryDate && leaveDate && !isNaN(entryDate.getTime()) && !isNaN(leaveDate.getTime())) {
-            const durationMs = leaveDate - entryDate;
-            
-            if (durationMs > 0) {
-              // Format as hours and minutes
-              const hours = Math.floor(durationMs / (1000 * 60 * 60));
-              const minutes = Math.floor((durationMs % (1000 * 60 * 60)) / (1000 * 60));
-              duration = `${hours}h ${minutes}m`;
-            }
-          }
-        }
+        exits = exitCount;
+        duration = calculateDuration(sessions);
         
         // Get scan location
         location = record.scanLocation || 'Main Entrance';
@@ -1190,6 +1245,7 @@ export const generateIndividualStudentReport = async (req, res) => {
         status,
         entryTime,
         leaveTime,
+        exits,
         duration,
         location
       });
@@ -1220,6 +1276,12 @@ export const generateIndividualStudentReport = async (req, res) => {
           fgColor: { argb: 'FFFF0000' } // Red
         };
         statusCell.font = { color: { argb: 'FFFFFFFF' } };
+      } else if (status === 'Excused') {
+        statusCell.fill = {
+          type: 'pattern',
+          pattern: 'solid',
+          fgColor: { argb: 'FFB4A7D6' } // Lavender
+        };
       } else if (status === 'Late') {
         statusCell.fill = {
           type: 'pattern',
@@ -1252,23 +1314,28 @@ export const generateIndividualStudentReport = async (req, res) => {
     
     // Add summary section
     worksheet.addRow([]);
-    const presentDays = attendanceRecords.filter(r => r.status === 'entered' || r.status === 'left').length;
-    const totalDays = dateRange.length;
-    const attendanceRate = totalDays > 0 ? (presentDays / totalDays) * 100 : 0;
+    const presentDays = countPresentSchoolDays(calendar, attendanceRecords);
+    const excusedDays = countExcusedSchoolDays(calendar, attendanceRecords);
+    const totalDays = dateRange.filter(date => calendar.isSchoolDay(date)).length;
+    const attendanceRate = getAttendancePercentage(presentDays, totalDays);
+    const periodSummary = summarizeSessions(attendanceRecords.flatMap(getRecordSessions));
     
     // Add summary rows
     const summaryStartRow = rowIndex + 2;
-    worksheet.mergeCells(`A${summaryStartRow}:F${summaryStartRow}`);
+    worksheet.mergeCells(`A${summaryStartRow}:G${summaryStartRow}`);
     const summaryTitle = worksheet.getCell(`A${summaryStartRow}`);
     summaryTitle.value = 'Summary';
     summaryTitle.font = { bold: true, size: 14 };
     summaryTitle.alignment = { horizontal: 'center' };
     
     const summaryRows = [
-      ['Total Days in Period', totalDays],
+      ['School Days in Period', totalDays],
       ['Days Present', presentDays],
-      ['Days Absent', totalDays - presentDays],
-      ['Attendance Rate', `${attendanceRate.toFixed(2)}%`]
+      ['Days Excused', excusedDays],
+      ['Days Absent', Math.max(0, totalDays - presentDays - excusedDays)],
+      ['Attendance Rate', `${attendanceRate.toFixed(2)}%`],
+      ['Total Time on Campus', formatDuration(periodSummary.totalMs)],
+      ['Total Exits', periodSummary.exitCount]
     ];
     
     summaryRows.forEach((data, index) => {
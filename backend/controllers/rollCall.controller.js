@@ -0,0 +1,153 @@
+import mongoose from 'mongoose';
+import Student from '../models/student.model.js';
+import AppError from '../utils/appError.js';
+import { startOfDay, toDayKey, parseDateParam } from '../utils/dateUtils.js';
+import {
+  ROLL_CALL_STATUSES,
+  getRollCall,
+  applyRollCall,
+  notifyParentsOfRollCall
+} from '../services/rollCall.service.js';
+
+// Most students one roll call can mark
+const MAX_ROLL_CALL_SIZE = 2000;
+
+const sendError = (res, error, message) => {
+  if (error instanceof AppError) {
+    return res.status(error.statusCode).json({ status: 'error', message: error.message });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    status: 'error',
+    message,
+    error: error.message
+  });
+};
+
+// Day a roll call is for, today unless a date is given; never in the future
+const getRollCallDay = (value) => {
+  const date = value ? parseDateParam(value) : new Date();
+  if (!date) throw new AppError('Invalid date format. Please use YYYY-MM-DD format.', 400);
+
+  const day = startOfDay(date);
+  if (day > startOfDay()) throw new AppError('Cannot take a roll call for a future date', 400);
+  return day;
+};
+
+// Check every mark before any is applied; returns the first problem found
+const validateMarks = (records) => {
+  if (!Array.isArray(records) || records.length === 0) {
+    return 'records must be a non-empty list';
+  }
+  if (records.length > MAX_ROLL_CALL_SIZE) {
+    return `A roll call can mark at most ${MAX_ROLL_CALL_SIZE} students`;
+  }
+
+  const seen = new Set();
+  for (const record of records) {
+    if (!mongoose.Types.ObjectId.isValid(record?.studentId) || !ROLL_CALL_STATUSES.includes(record.status)) {
+      return `Each record needs a student ID and a status of ${ROLL_CALL_STATUSES.join(', ')}`;
+    }
+    if (record.minutesLate !== undefined &&
+        (!Number.isInteger(record.minutesLate) || record.minutesLate < 0 || record.minutesLate > 600)) {
+      return 'Minutes late must be a whole number between 0 and 600';
+    }
+    if (seen.has(String(record.studentId))) {
+      return 'Each student can only be marked once';
+    }
+    seen.add(String(record.studentId));
+  }
+  return null;
+};
+
+/**
+ * List active students with their attendance on a day, for a roll call
+ * Query: date (defaults to today), search, and the class filter
+ */
+export const getRollCallSheet = async (req, res) => {
+  try {
+    const day = getRollCallDay(req.query.date);
+    const rows = await getRollCall(day, {
+      studentQuery: req.classFilter?.studentQuery,
+      search: req.query.search
+    });
+
+    res.status(200).json({
+      status: 'success',
+      results: rows.length,
+      data: { date: toDayKey(day), classLabel: req.classFilter?.label || null, rows }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch roll call');
+  }
+};
+
+/**
+ * Save a roll call: mark many students present, late, absent or excused at once
+ * Body: { date, records: [{ studentId, status, minutesLate }], reason, notifyParents }
+ * Every mark is checked before any is applied, and all are written together.
+ * Parents are messaged afterwards, one message per phone number.
+ */
+export const saveRollCall = async (req, res) => {
+  try {
+    const { records, notifyParents = false } = req.body;
+    const day = getRollCallDay(req.body.date);
+
+    const invalid = validateMarks(records);
+    if (invalid) {
+      return res.status(400).json({ status: 'error', message: invalid });
+    }
+
+    const found = await Student.countDocuments({
+      _id: { $in: records.map(record => record.studentId) },
+      status: 'active'
+    });
+    if (found !== records.length) {
+      return res.status(400).json({
+        status: 'error',
+        message: `${records.length - found} of the students were not found or are no longer active`
+      });
+    }
+
+    const note = (req.body.reason || '').trim();
+    const changes = await applyRollCall(day, records, {
+      adminId: req.admin?._id || null,
+      reason: note ? `Roll call: ${note}` : 'Roll call'
+    });
+
+    // Messages go out in the background so a large class does not hold up the response
+    const notifying = Boolean(notifyParents) && changes.length > 0;
+    if (notifying) {
+      notifyParentsOfRollCall(changes, day)
+        .catch(error => console.error('Error sending roll call notifications:', error));
+    }
+
+    const counts = ROLL_CALL_STATUSES.reduce((totals, status) => ({
+      ...totals,
+      [status]: changes.filter(change => change.to === status).length
+    }), {});
+
+    res.status(200).json({
+      status: 'success',
+      message: changes.length > 0
+        ? `Roll call saved: ${changes.length} ${changes.length === 1 ? 'student' : 'students'} updated`
+        : 'Roll call saved: nothing had changed',
+      data: {
+        date: toDayKey(day),
+        updated: changes.length,
+        unchanged: records.length - changes.length,
+        counts,
+        notifying
+      }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+    sendError(res, error, 'Failed to save roll call');
+  }
+};
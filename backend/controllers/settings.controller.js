@@ -0,0 +1,526 @@
+import fs from 'fs';
+import path from 'path';
+import Settings from '../models/settings.model.js';
+import { scheduleAbsenceMarking, scheduleAutoCheckout } from '../services/schedulerService.js';
+import { saveSchoolLogo, removeSchoolLogo, toPublicBranding } from '../services/branding.service.js';
+import { moveStoredDays } from '../services/schoolDays.service.js';
+import { toSchoolTime } from '../utils/dateUtils.js';
+import AppError from '../utils/appError.js';
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Shape school hours for the client, always Sunday to Saturday
+const formatSchoolHours = (settings) => WEEKDAY_NAMES.map((name, weekday) => {
+  const schoolDay = settings.getWeekdayHours(weekday);
+  return {
+    weekday,
+    name,
+    isSchoolDay: schoolDay.isSchoolDay,
+    startTime: schoolDay.startTime,
+    graceMinutes: schoolDay.graceMinutes
+  };
+});
+
+/**
+ * Get the school start time and grace period for each weekday
+ */
+export const getSchoolHours = async (req, res) => {
+  try {
+    const settings = await Settings.getSettings();
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        schoolHours: formatSchoolHours(settings),
+        updatedAt: settings.updatedAt
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching school hours:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch school hours',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update the school start time and grace period for one or more weekdays
+ * Weekdays left out of the request keep their current settings
+ */
+export const updateSchoolHours = async (req, res) => {
+  try {
+    const { schoolHours } = req.body;
+
+    if (!Array.isArray(schoolHours) || schoolHours.length === 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'schoolHours must be a non-empty array'
+      });
+    }
+
+    const settings = await Settings.getSettings();
+
+    schoolHours.forEach(update => {
+      const weekday = Number(update.weekday);
+      const existing = settings.schoolHours.find(day => day.weekday === weekday);
+      const values = {
+        weekday,
+        isSchoolDay: update.isSchoolDay ?? existing?.isSchoolDay,
+        startTime: update.startTime ?? existing?.startTime,
+        graceMinutes: update.graceMinutes !== undefined ? Number(update.graceMinutes) : existing?.graceMinutes
+      };
+
+      if (existing) {
+        existing.set(values);
+      } else {
+        settings.schoolHours.push(values);
+      }
+    });
+
+    await settings.save();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'School hours updated successfully',
+      data: {
+        schoolHours: formatSchoolHours(settings),
+        updatedAt: settings.updatedAt
+      }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+
+    console.error('Error updating school hours:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update school hours',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get the end-of-day absence marking settings
+ */
+export const getAbsenceMarkingSettings = async (req, res) => {
+  try {
+    const settings = await Settings.getSettings();
+
+    res.status(200).json({
+      status: 'success',
+      data: settings.absenceMarking
+    });
+  } catch (error) {
+    console.error('Error fetching absence marking settings:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch absence marking settings',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update the end-of-day absence marking settings and move the next scheduled run
+ */
+export const updateAbsenceMarkingSettings = async (req, res) => {
+  try {
+    const { enabled, time, notifyParents } = req.body;
+    const settings = await Settings.getSettings();
+
+    if (enabled !== undefined) settings.absenceMarking.enabled = Boolean(enabled);
+    if (time !== undefined) settings.absenceMarking.time = time;
+    if (notifyParents !== undefined) settings.absenceMarking.notifyParents = Boolean(notifyParents);
+
+    await settings.save();
+    await scheduleAbsenceMarking();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Absence marking settings updated successfully',
+      data: settings.absenceMarking
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+
+    console.error('Error updating absence marking settings:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update absence marking settings',
+      error: error.message
+    });
+  }
+};
+
+// Shape the timezone setting for the client, with the current school time as a check
+const formatTimezone = (settings) => {
+  const now = toSchoolTime();
+  return {
+    timezone: settings.timezone,
+    utcOffset: now.toFormat('ZZ'),
+    currentTime: now.toISO()
+  };
+};
+
+/**
+ * Get the school timezone
+ */
+export const getTimezone = async (req, res) => {
+  try {
+    const settings = await Settings.getSettings();
+
+    res.status(200).json({
+      status: 'success',
+      data: formatTimezone(settings)
+    });
+  } catch (error) {
+    console.error('Error fetching school timezone:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch school timezone',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update the school timezone and move the scheduled jobs to the new school clock
+ * Stored days are moved to midnight in the new timezone so they keep their
+ * dates; the timezone is saved only once they are.
+ */
+export const updateTimezone = async (req, res) => {
+  try {
+    const { timezone } = req.body;
+
+    if (!timezone) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Timezone is required'
+      });
+    }
+
+    const settings = await Settings.getSettings();
+    const previousTimezone = settings.timezone;
+    settings.timezone = timezone;
+    await settings.validate();
+
+    // Stored days are moved before the new timezone is saved, so the setting
+    // never names a timezone the days are not in; a failed move is undone and
+    // the timezone stays as it was
+    if (settings.timezone !== previousTimezone) {
+      await moveStoredDays(previousTimezone, settings.timezone);
+    }
+    await settings.save();
+
+    // Days written by scans while the move ran are still in the old timezone;
+    // the timezone is saved by now, so these are not moved back on failure
+    if (settings.timezone !== previousTimezone) {
+      await moveStoredDays(previousTimezone, settings.timezone, { undoOnError: false });
+    }
+
+    scheduleAutoCheckout();
+    await scheduleAbsenceMarking();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'School timezone updated successfully',
+      data: formatTimezone(settings)
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+
+    console.error('Error updating school timezone:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update school timezone',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get the duplicate-scan and anti-passback rules for gate scans
+ */
+export const getScanRules = async (req, res) => {
+  try {
+    const settings = await Settings.getSettings();
+
+    res.status(200).json({
+      status: 'success',
+      data: settings.scanRules
+    });
+  } catch (error) {
+    console.error('Error fetching scan rules:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch scan rules',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update the duplicate-scan and anti-passback rules for gate scans
+ */
+export const updateScanRules = async (req, res) => {
+  try {
+    const { minScanIntervalSeconds, enforceDirection } = req.body;
+    const settings = await Settings.getSettings();
+
+    if (minScanIntervalSeconds !== undefined) settings.scanRules.minScanIntervalSeconds = minScanIntervalSeconds;
+    if (enforceDirection !== undefined) settings.scanRules.enforceDirection = Boolean(enforceDirection);
+
+    await settings.save();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Scan rules updated successfully',
+      data: settings.scanRules
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({
+        status: 'error',
+        message: error.errors
+          ? Object.values(error.errors).map(err => err.message).join(', ')
+          : 'Minimum scan interval must be a number of seconds'
+      });
+    }
+
+    console.error('Error updating scan rules:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update scan rules',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get whether plain JSON QR codes from before signed tokens are refused
+ */
+export const getQrCodeSettings = async (req, res) => {
+  try {
+    const settings = await Settings.getSettings();
+
+    res.status(200).json({
+      status: 'success',
+      data: settings.qrCodes
+    });
+  } catch (error) {
+    console.error('Error fetching QR code settings:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch QR code settings',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Refuse or accept plain JSON QR codes from before signed tokens
+ */
+export const updateQrCodeSettings = async (req, res) => {
+  try {
+    const { rejectLegacy } = req.body;
+    const settings = await Settings.getSettings();
+
+    if (rejectLegacy !== undefined) settings.qrCodes.rejectLegacy = Boolean(rejectLegacy);
+
+    await settings.save();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'QR code settings updated successfully',
+      data: settings.qrCodes
+    });
+  } catch (error) {
+    console.error('Error updating QR code settings:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update QR code settings',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get the school's branding: name, logo, colors and QR code style
+ */
+export const getBrandingSettings = async (req, res) => {
+  try {
+    const settings = await Settings.getSettings();
+
+    res.status(200).json({
+      status: 'success',
+      data: toPublicBranding(settings.branding)
+    });
+  } catch (error) {
+    console.error('Error fetching branding settings:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch branding settings',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Change the school name, colors or QR code style
+ * QR codes made from now on are drawn in the new style; codes already issued
+ * keep theirs until they are generated again.
+ */
+export const updateBrandingSettings = async (req, res) => {
+  try {
+    const { schoolName, primaryColor, secondaryColor, qrModuleStyle } = req.body;
+    const settings = await Settings.getSettings();
+
+    if (schoolName !== undefined) settings.branding.schoolName = schoolName;
+    if (primaryColor !== undefined) settings.branding.primaryColor = primaryColor;
+    if (secondaryColor !== undefined) settings.branding.secondaryColor = secondaryColor;
+    if (qrModuleStyle !== undefined) settings.branding.qrModuleStyle = qrModuleStyle;
+
+    await settings.save();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Branding settings updated successfully',
+      data: toPublicBranding(settings.branding)
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+
+    console.error('Error updating branding settings:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update branding settings',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Upload the school logo, replacing the one before
+ * Expects the image in the multipart field 'logo'.
+ */
+export const uploadSchoolLogo = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ status: 'error', message: 'Please choose a logo' });
+    }
+
+    const settings = await Settings.getSettings();
+    await saveSchoolLogo(settings, req.file.buffer);
+    await settings.save();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'School logo saved',
+      data: toPublicBranding(settings.branding)
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ status: 'error', message: error.message });
+    }
+
+    console.error('Error saving school logo:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to save school logo',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Remove the school logo
+ */
+export const deleteSchoolLogo = async (req, res) => {
+  try {
+    const settings = await Settings.getSettings();
+    removeSchoolLogo(settings);
+    await settings.save();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'School logo removed',
+      data: toPublicBranding(settings.branding)
+    });
+  } catch (error) {
+    console.error('Error removing school logo:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to remove school logo',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get the school name, colors and whether there is a logo, without signing
+ * in, so the login page can show them
+ */
+export const getPublicBranding = async (req, res) => {
+  try {
+    const settings = await Settings.getSettings();
+
+    res.status(200).json({
+      status: 'success',
+      data: toPublicBranding(settings.branding)
+    });
+  } catch (error) {
+    console.error('Error fetching branding:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch branding',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Send the school logo, also without signing in
+ */
+export const getSchoolLogo = async (req, res) => {
+  try {
+    const settings = await Settings.getSettings();
+    const { logoPath } = settings.branding;
+
+    if (!logoPath || !fs.existsSync(logoPath)) {
+      return res.status(404).json({ status: 'error', message: 'No school logo' });
+    }
+
+    res.set('Cache-Control', 'public, max-age=3600');
+    res.type('png');
+    res.sendFile(path.resolve(logoPath));
+  } catch (error) {
+    console.error('Error fetching school logo:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch school logo',
+      error: error.message
+    });
+  }
+};
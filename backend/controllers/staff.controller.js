@@ -0,0 +1,265 @@
+import mongoose from 'mongoose';
+import Staff, { STAFF_TYPES } from '../models/staff.model.js';
+import StaffAttendance from '../models/staffAttendance.model.js';
+import { generateStaffQRCode, getStaffHours, buildStaffHoursReport } from '../services/staff.service.js';
+import { startOfDay, endOfDay, toDayKey, parseDayString, getRecordSessions, summarizeSessions } from '../utils/dateUtils.js';
+
+const STAFF_FIELDS = ['name', 'staffId', 'type', 'department', 'position', 'email', 'phone', 'status'];
+
+const sendValidationError = (res, error) => res.status(400).json({
+  status: 'error',
+  message: Object.values(error.errors).map(err => err.message).join(', ')
+});
+
+const sendDuplicateError = (res) => res.status(409).json({
+  status: 'error',
+  message: 'A staff member with this staff ID already exists'
+});
+
+const findStaff = (id) => (mongoose.Types.ObjectId.isValid(id) ? Staff.findById(id) : null);
+
+// Read ?from= and ?to= (YYYY-MM-DD), each today when left out
+const parseRange = (query) => {
+  const start = query.from ? parseDayString(query.from) : startOfDay();
+  const end = query.to ? parseDayString(query.to) : start;
+  if (!start || !end) return { error: 'Dates must be in YYYY-MM-DD format' };
+  if (end < start) return { error: 'The end date must not be before the start date' };
+  return { start: startOfDay(start), end: endOfDay(end) };
+};
+
+/**
+ * List staff, optionally by ?type= and ?status=
+ */
+export const getStaff = async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.type) query.type = req.query.type;
+    if (req.query.status) query.status = req.query.status;
+
+    const staff = await Staff.find(query).select('-qrCode').sort({ name: 1 }).lean();
+
+    res.status(200).json({
+      status: 'success',
+      results: staff.length,
+      data: { staff }
+    });
+  } catch (error) {
+    console.error('Error fetching staff:', error);
+    res.status(500).json({ status: 'error', message: 'Failed to fetch staff', error: error.message });
+  }
+};
+
+/**
+ * Add a staff member and generate their QR code
+ */
+export const createStaff = async (req, res) => {
+  try {
+    const staff = new Staff();
+    STAFF_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) staff[field] = req.body[field];
+    });
+    await staff.validate();
+    staff.qrCode = await generateStaffQRCode(staff);
+    await staff.save();
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Staff member added successfully',
+      data: { staff }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') return sendValidationError(res, error);
+    if (error.code === 11000) return sendDuplicateError(res);
+    console.error('Error adding staff member:', error);
+    res.status(500).json({ status: 'error', message: 'Failed to add staff member', error: error.message });
+  }
+};
+
+/**
+ * Change a staff member
+ * Their QR code carries only a signed reference to them, so it stays the same.
+ */
+export const updateStaff = async (req, res) => {
+  try {
+    const staff = await findStaff(req.params.id);
+    if (!staff) {
+      return res.status(404).json({ status: 'error', message: 'Staff member not found' });
+    }
+
+    STAFF_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) staff[field] = req.body[field];
+    });
+    await staff.save();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Staff member updated successfully',
+      data: { staff }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') return sendValidationError(res, error);
+    if (error.code === 11000) return sendDuplicateError(res);
+    console.error('Error updating staff member:', error);
+    res.status(500).json({ status: 'error', message: 'Failed to update staff member', error: error.message });
+  }
+};
+
+/**
+ * Delete a staff member who never clocked in
+ * Staff with recorded hours are made inactive instead so the hours are kept.
+ */
+export const deleteStaff = async (req, res) => {
+  try {
+    const staff = await findStaff(req.params.id);
+    if (!staff) {
+      return res.status(404).json({ status: 'error', message: 'Staff member not found' });
+    }
+
+    if (await StaffAttendance.exists({ staff: staff._id })) {
+      staff.status = 'inactive';
+      await staff.save();
+      return res.status(200).json({
+        status: 'success',
+        message: 'Staff member has recorded hours, so was made inactive instead of deleted',
+        data: { deactivated: true }
+      });
+    }
+
+    await Staff.deleteOne({ _id: staff._id });
+    res.status(200).json({
+      status: 'success',
+      message: 'Staff member deleted successfully',
+      data: { deactivated: false }
+    });
+  } catch (error) {
+    console.error('Error deleting staff member:', error);
+    res.status(500).json({ status: 'error', message: 'Failed to delete staff member', error: error.message });
+  }
+};
+
+/**
+ * Download a staff member's QR code as a PNG file
+ */
+export const downloadStaffQRCode = async (req, res) => {
+  try {
+    const staff = await findStaff(req.params.id);
+    if (!staff) {
+      return res.status(404).json({ status: 'error', message: 'Staff member not found' });
+    }
+
+    if (!staff.qrCode) {
+      staff.qrCode = await generateStaffQRCode(staff);
+      await staff.save();
+    }
+
+    const imageBuffer = Buffer.from(staff.qrCode.replace(/^data:image\/png;base64,/, ''), 'base64');
+    res.set('Content-Type', 'image/png');
+    res.set('Content-Disposition', `attachment; filename="staff-qrcode-${staff.staffId}.png"`);
+    return res.send(imageBuffer);
+  } catch (error) {
+    console.error('Error generating staff QR code:', error);
+    res.status(500).json({ status: 'error', message: 'Failed to generate QR code', error: error.message });
+  }
+};
+
+/**
+ * Staff clock-ins of a day (?date=, today by default), with who is on campus
+ */
+export const getStaffDay = async (req, res) => {
+  try {
+    const day = req.query.date ? parseDayString(req.query.date) : startOfDay();
+    if (!day) {
+      return res.status(400).json({ status: 'error', message: 'Invalid date format. Please use YYYY-MM-DD format.' });
+    }
+
+    const [staff, records] = await Promise.all([
+      Staff.find({ status: 'active' }).select('name staffId type department position').sort({ name: 1 }).lean(),
+      StaffAttendance.find({ day: startOfDay(day) })
+        .populate('sessions.location sessions.exitLocation', 'name')
+        .lean()
+    ]);
+    const recordByStaff = new Map(records.map(record => [record.staff.toString(), record]));
+
+    const rows = staff.map(member => {
+      const record = recordByStaff.get(member._id.toString());
+      const sessions = getRecordSessions(record);
+      const summary = summarizeSessions(sessions);
+      return {
+        staff: member,
+        clockedIn: Boolean(summary.firstIn),
+        onCampus: summary.onCampus,
+        firstIn: summary.firstIn,
+        lastOut: summary.lastOut,
+        totalMs: summary.totalMs,
+        sessions
+      };
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        date: toDayKey(day),
+        rows,
+        counts: {
+          staff: rows.length,
+          clockedIn: rows.filter(row => row.clockedIn).length,
+          onCampus: rows.filter(row => row.onCampus).length
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching staff attendance:', error);
+    res.status(500).json({ status: 'error', message: 'Failed to fetch staff attendance', error: error.message });
+  }
+};
+
+/**
+ * Staff hours over ?from= to ?to=, optionally for one ?type= of staff
+ */
+export const getStaffHoursReport = async (req, res) => {
+  try {
+    const { start, end, error } = parseRange(req.query);
+    if (error) {
+      return res.status(400).json({ status: 'error', message: error });
+    }
+    if (req.query.type && !STAFF_TYPES.includes(req.query.type)) {
+      return res.status(400).json({ status: 'error', message: `Type must be one of: ${STAFF_TYPES.join(', ')}` });
+    }
+
+    const hours = await getStaffHours(start, end, { type: req.query.type });
+
+    res.status(200).json({
+      status: 'success',
+      data: { from: toDayKey(start), to: toDayKey(end), hours }
+    });
+  } catch (error) {
+    console.error('Error fetching staff hours:', error);
+    res.status(500).json({ status: 'error', message: 'Failed to fetch staff hours', error: error.message });
+  }
+};
+
+/**
+ * Download the staff hours of ?from= to ?to= as an Excel workbook
+ */
+export const downloadStaffHoursReport = async (req, res) => {
+  try {
+    const { start, end, error } = parseRange(req.query);
+    if (error) {
+      return res.status(400).json({ status: 'error', message: error });
+    }
+    if (req.query.type && !STAFF_TYPES.includes(req.query.type)) {
+      return res.status(400).json({ status: 'error', message: `Type must be one of: ${STAFF_TYPES.join(', ')}` });
+    }
+
+    const hours = await getStaffHours(start, end, { type: req.query.type });
+    const period = toDayKey(start) === toDayKey(end) ? toDayKey(start) : `${toDayKey(start)} to ${toDayKey(end)}`;
+    const buffer = await buildStaffHoursReport(hours, period);
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename=staff_hours_${period.replace(/ to /, '_to_')}.xlsx`);
+    return res.send(buffer);
+  } catch (error) {
+    console.error('Error generating staff hours report:', error);
+    res.status(500).json({ status: 'error', message: 'Failed to generate staff hours report', error: error.message });
+  }
+};
@@ -0,0 +1,97 @@
+import fs from 'fs';
+import path from 'path';
+import mongoose from 'mongoose';
+import Student from '../models/student.model.js';
+import { saveStudentPhoto, removeStudentPhoto } from '../services/studentPhoto.service.js';
+import AppError from '../utils/appError.js';
+
+// Errors the photo service raises carry their own status code
+const sendError = (res, error, message) => {
+  if (error instanceof AppError) {
+    return res.status(error.statusCode).json({ status: 'error', message: error.message });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    status: 'error',
+    message,
+    error: error.message
+  });
+};
+
+const findStudentDocument = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new AppError('Invalid student ID', 400);
+  }
+  const student = await Student.findById(id);
+  if (!student) {
+    throw new AppError('Student not found', 404);
+  }
+  return student;
+};
+
+/**
+ * Upload or capture a student's photo, replacing the one before
+ * Expects the image in the multipart field 'photo'.
+ */
+export const uploadStudentPhoto = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ status: 'error', message: 'Please choose a photo' });
+    }
+
+    const student = await findStudentDocument(req.params.id);
+    await saveStudentPhoto(student, req.file.buffer);
+    await student.save();
+
+    res.status(200).json({
+      status: 'success',
+      message: `Photo of ${student.name} saved`,
+      data: { photoUpdatedAt: student.photo.updatedAt }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to save photo');
+  }
+};
+
+/**
+ * Remove a student's photo
+ */
+export const deleteStudentPhoto = async (req, res) => {
+  try {
+    const student = await findStudentDocument(req.params.id);
+    removeStudentPhoto(student);
+    await student.save();
+
+    res.status(200).json({
+      status: 'success',
+      message: `Photo of ${student.name} removed`
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to remove photo');
+  }
+};
+
+/**
+ * Send a student's photo, or its thumbnail with ?size=thumb, for the
+ * gatekeeper to compare with the student at the gate
+ */
+export const getStudentPhoto = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ status: 'error', message: 'Invalid student ID' });
+    }
+    const student = await Student.findById(req.params.id).select('photo').lean();
+    const filePath = req.query.size === 'thumb' ? student?.photo?.thumbnailPath : student?.photo?.path;
+
+    if (!filePath || !fs.existsSync(filePath)) {
+      return res.status(404).json({ status: 'error', message: 'Photo not found' });
+    }
+
+    res.set('Cache-Control', 'private, max-age=300');
+    res.type('jpg');
+    res.sendFile(path.resolve(filePath));
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch photo');
+  }
+};
@@ -1,5 +1,18 @@
 import Student from '../models/student.model.js';
+import AttendanceRecord from '../models/attendanceRecord.model.js';
+import ScannerDevice from '../models/scannerDevice.model.js';
+import Settings from '../models/settings.model.js';
+import StaffAttendance from '../models/staffAttendance.model.js';
+import { startOfDay, endOfDay, addDays, toDayKey, parseDateParam, formatSchoolTime } from '../utils/dateUtils.js';
+import { loadSchoolCalendar } from '../services/calendar.service.js';
 import { sendAttendanceAlert } from '../services/whatsapp.service.js';
+import { resolveScanLocation, getScanStatus, getLocationBreakdown } from '../services/location.service.js';
+import { checkScanRules, logRejectedScan, resolveScanTime } from '../services/scanRules.service.js';
+import { findEvent, checkInByScan } from '../services/event.service.js';
+import { scanVisitorPass } from '../services/visitor.service.js';
+import { clockStaff } from '../services/staff.service.js';
+import { readScannedCode } from '../services/qrCode.service.js';
+import AppError from '../utils/appError.js';
 
 /**
  * Download a student's QR code as a PNG file
@@ -70,109 +83,346 @@ export const searchQRCode = async (req, res) => {
   }
 };
 
+// Check a scanned student in to an event rather than through the gate. Event
+// check-ins send no message to parents and leave the day's gate attendance alone.
+const checkInAtEvent = async (req, res, student, { eventId, scannedAt, deviceInfo }) => {
+  const studentInfo = {
+    id: student._id,
+    name: student.name,
+    indexNumber: student.indexNumber,
+    hasPhoto: Boolean(student.photo?.path)
+  };
+
+  try {
+    const event = await findEvent(eventId);
+    const checkInTime = resolveScanTime(scannedAt);
+    const userAgent = req.device
+      ? `Scanner: ${req.device.name}`
+      : deviceInfo || req.headers['user-agent'] || 'Unknown Device';
+
+    const { attendance, alreadyCheckedIn } = await checkInByScan(event, student, {
+      checkInTime,
+      device: req.device?._id || null,
+      deviceInfo: userAgent
+    });
+
+    if (alreadyCheckedIn) {
+      return res.status(409).json({
+        message: `${student.name} already checked in to ${event.name} at ${formatSchoolTime(attendance.checkedInAt, 'hh:mm a')}`,
+        rejected: true,
+        reason: 'duplicate',
+        lastScanAt: attendance.checkedInAt,
+        studentInfo: { ...studentInfo, status: 'Checked In' }
+      });
+    }
+
+    if (req.device) {
+      await ScannerDevice.updateOne(
+        { _id: req.device._id },
+        { $set: { lastScanAt: checkInTime, lastIp: req.ip }, $inc: { scanCount: 1 } }
+      );
+    }
+
+    const isLate = attendance.status === 'late';
+    return res.status(200).json({
+      message: isLate
+        ? `${student.name} checked in to ${event.name}, ${attendance.minutesLate} minutes late`
+        : `${student.name} checked in to ${event.name}`,
+      attendanceStatus: attendance.status,
+      scannedAt: checkInTime,
+      event: {
+        _id: event._id,
+        name: event.name
+      },
+      studentInfo: {
+        ...studentInfo,
+        status: 'Checked In',
+        isLate,
+        minutesLate: attendance.minutesLate,
+        time: formatSchoolTime(checkInTime, 'hh:mm a'),
+        date: formatSchoolTime(checkInTime, 'MMM d, yyyy')
+      },
+      eventAttendance: attendance
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ message: error.message, studentInfo });
+    }
+    throw error;
+  }
+};
+
+// Sign a visitor in or out from a scan of their pass at the gate
+const scanVisitorAtGate = async (req, res, { visitorPass, scanLocation, locationId, scannedAt }) => {
+  try {
+    const { location } = await resolveScanLocation(req.device?.location
+      ? { locationId: req.device.location }
+      : { locationId, scanLocation });
+    const scanTime = resolveScanTime(scannedAt);
+
+    const { visitor, action } = await scanVisitorPass(visitorPass, { scanTime, location });
+
+    if (req.device) {
+      await ScannerDevice.updateOne(
+        { _id: req.device._id },
+        { $set: { lastScanAt: scanTime, lastIp: req.ip }, $inc: { scanCount: 1 } }
+      );
+    }
+
+    return res.status(200).json({
+      message: `Visitor ${visitor.name} signed ${action === 'signed_in' ? 'in' : 'out'}`,
+      attendanceStatus: action,
+      scannedAt: scanTime,
+      visitorInfo: {
+        id: visitor._id,
+        name: visitor.name,
+        host: visitor.host,
+        purpose: visitor.purpose,
+        status: action === 'signed_in' ? 'Signed In' : 'Signed Out',
+        time: formatSchoolTime(scanTime, 'hh:mm a'),
+        date: formatSchoolTime(scanTime, 'MMM d, yyyy')
+      }
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ message: error.message, rejected: error.statusCode === 409 });
+    }
+    throw error;
+  }
+};
+
+// Clock a staff member in or out at the gate, under the same location and
+// scan rules as students. The response says only which way they clocked, as
+// scanners are run by gatekeepers who may not see staff hours.
+const clockStaffAtGate = async (req, res, staff, { scanLocation, locationId, scannedAt, deviceInfo }) => {
+  if (staff.status !== 'active') {
+    return res.status(403).json({ message: `${staff.name} is no longer active staff` });
+  }
+
+  let scanPlace;
+  let scanTime;
+  try {
+    scanPlace = await resolveScanLocation(req.device?.location
+      ? { locationId: req.device.location }
+      : { locationId, scanLocation });
+    scanTime = resolveScanTime(scannedAt);
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    throw error;
+  }
+
+  const record = await StaffAttendance.findOne({ staff: staff._id, day: startOfDay(scanTime) }).lean();
+  const status = getScanStatus(record, scanPlace.location?.direction);
+
+  const { scanRules } = await Settings.getSettings();
+  const rejection = checkScanRules({
+    student: staff,
+    record,
+    status,
+    direction: scanPlace.location?.direction,
+    scanTime
+  }, scanRules);
+  if (rejection) {
+    await logRejectedScan({
+      staff,
+      rejection,
+      attemptedStatus: status,
+      scanTime,
+      scanLocation: scanPlace.name,
+      location: scanPlace.location?._id,
+      device: req.device?._id,
+      deviceInfo: req.device ? `Scanner: ${req.device.name}` : deviceInfo || req.headers['user-agent'] || 'Unknown Device'
+    });
+
+    return res.status(409).json({
+      message: rejection.message,
+      rejected: true,
+      reason: rejection.reason,
+      staffInfo: { name: staff.name, staffId: staff.staffId }
+    });
+  }
+
+  await clockStaff(staff, status, {
+    time: scanTime,
+    scanLocation: scanPlace.name,
+    location: scanPlace.location?._id || null,
+    device: req.device?._id || null,
+    deviceInfo: req.device ? `Scanner: ${req.device.name}` : deviceInfo || req.headers['user-agent'] || 'Unknown Device'
+  });
+
+  if (req.device) {
+    await ScannerDevice.updateOne(
+      { _id: req.device._id },
+      { $set: { lastScanAt: scanTime, lastIp: req.ip }, $inc: { scanCount: 1 } }
+    );
+  }
+
+  return res.status(200).json({
+    message: `${staff.name} clocked ${status === 'entered' ? 'in' : 'out'}`,
+    attendanceStatus: status,
+    scannedAt: scanTime,
+    staffInfo: {
+      name: staff.name,
+      staffId: staff.staffId,
+      status: status === 'entered' ? 'Clocked In' : 'Clocked Out',
+      time: formatSchoolTime(scanTime, 'hh:mm a')
+    }
+  });
+};
+
 /**
  * Mark student attendance via QR code scan
- * Handles both entry and exit scans
+ * Handles both entry and exit scans. The scan is made at the registered location
+ * given by locationId or scanLocation (its name), or at the default location;
+ * entry-only and exit-only gates decide the direction of the scan. Scans come
+ * from an enrolled device (req.device), which always scans at the location it
+ * is bound to, or from a signed-in admin. Scans turned away by the scan rules
+ * get a 409 with rejected: true and are logged for review. Scanners that
+ * queued a scan offline send the time it was taken as scannedAt, and an
+ * idempotencyKey so that replaying it is safe. Scanners set to an event send
+ * its eventId, and the scan checks the student in to the event instead.
+ * Codes are read by readScannedCode: student and staff codes carry a signed
+ * token, and plain JSON codes printed before are accepted unless the school
+ * refuses them. Revoked, retired and forged codes are refused with a 403 and
+ * logged as security events. Visitor passes sign the visitor in or out, and
+ * staff codes clock the staff member in or out.
  */
 export const markAttendance = async (req, res) => {
-  const { qrCodeData, deviceInfo, scanLocation } = req.body;
+  const { qrCodeData, deviceInfo, scanLocation, locationId, scannedAt, eventId } = req.body;
 
   if (!qrCodeData) {
     return res.status(400).json({ message: "QR code didn't scan correctly." });
   }
 
   try {
-    // Handle different data formats
-    let studentData = qrCodeData;
-    
-    // If qrCodeData is a string, try to parse it
-    if (typeof qrCodeData === 'string') {
-      try {
-        studentData = JSON.parse(qrCodeData);
-      } catch (error) {
-        return res.status(400).json({ message: "Invalid QR code data format." });
+    // Signed tokens and legacy codes are checked in one place
+    let scanned;
+    try {
+      scanned = await readScannedCode(qrCodeData, {
+        source: 'gate',
+        scanLocation,
+        device: req.device?._id,
+        deviceInfo: req.device ? `Scanner: ${req.device.name}` : deviceInfo || req.headers['user-agent'],
+        scannedBy: req.admin?._id
+      });
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.statusCode).json({ message: error.message });
       }
+      throw error;
     }
-    
-    // Extract student information
-    const { indexNumber, name, id, secureHash } = studentData;
 
-    if (!indexNumber || !name) {
-      return res.status(400).json({ message: 'Student information (indexNumber and name) are required.' });
+    if (scanned.kind === 'visitor') {
+      return await scanVisitorAtGate(req, res, {
+        visitorPass: scanned.visitorPass,
+        scanLocation,
+        locationId,
+        scannedAt
+      });
     }
 
-    // Find the student by ID if available, otherwise by indexNumber and name
-    let student;
-    if (id) {
-      student = await Student.findById(id);
-    }
-    
-    if (!student) {
-      student = await Student.findOne({ indexNumber, name });
+    if (scanned.kind === 'staff') {
+      return await clockStaffAtGate(req, res, scanned.staff, { scanLocation, locationId, scannedAt, deviceInfo });
     }
 
-    if (!student) {
-      return res.status(404).json({ message: 'Student not found' });
+    const { student } = scanned;
+
+    // Scanners set to an event check students in to it instead of the gate
+    if (eventId) {
+      return await checkInAtEvent(req, res, student, { eventId, scannedAt, deviceInfo });
     }
-    
-    // Validate the secure hash if provided (additional security check)
-    if (secureHash) {
-      const expectedHash = require('crypto').createHash('sha256')
-        .update(`${student._id}${student.indexNumber}${process.env.JWT_SECRET || 'qrattend-secret'}`)
-        .digest('hex').substring(0, 16);
-      
-      if (secureHash !== expectedHash) {
-        return res.status(401).json({ 
-          message: 'Invalid QR code authentication',
-          studentInfo: {
-            name: student.name,
-            indexNumber: student.indexNumber
-          }
-        });
+
+    // Only scans at registered locations are accepted, and offline scans only
+    // within limits of the time they were taken
+    let scanPlace;
+    let currentScanTime;
+    try {
+      scanPlace = await resolveScanLocation(req.device?.location
+        ? { locationId: req.device.location }
+        : { locationId, scanLocation });
+      currentScanTime = resolveScanTime(scannedAt);
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.statusCode).json({ message: error.message });
       }
+      throw error;
     }
 
-    // Get the current date and time for marking attendance
-    const currentScanTime = new Date();
-    const todayDate = currentScanTime.toISOString().split('T')[0];
+    // Attendance is marked on the day the scan was taken
+    const today = startOfDay(currentScanTime);
 
     // Check if the student has attendance for today
-    const todayAttendanceIndex = student.attendanceHistory.findIndex(
-      (entry) => entry.date.toISOString().split('T')[0] === todayDate
-    );
+    const todayRecord = await AttendanceRecord.findOne({ student: student._id, day: today });
 
-    // Determine status based on whether they already have a record for today
-    let statusToSave;
-    
-    if (todayAttendanceIndex === -1) {
-      // No record for today, this is an entry
-      statusToSave = 'entered';
-    } else {
-      const todayRecord = student.attendanceHistory[todayAttendanceIndex];
-      
-      // If they already have a leave time, this is a re-entry
-      // If they have an entry time but no leave time, this is a departure
-      if (todayRecord.leaveTime) {
-        statusToSave = 'entered'; // Re-entry
-      } else if (todayRecord.entryTime) {
-        statusToSave = 'left'; // Leaving
-      } else {
-        statusToSave = 'entered'; // Record exists but no entry time (unusual case)
-      }
-    }
+    // Entry or exit, from the gate's direction or whether the student is on campus
+    const statusToSave = getScanStatus(todayRecord, scanPlace.location?.direction);
     
     // Get device info from the request
-    const userAgent = deviceInfo || req.headers['user-agent'] || 'Unknown Device';
-    const location = scanLocation || req.body.scanLocation || 'Main Entrance';
+    const userAgent = req.device
+      ? `Scanner: ${req.device.name}`
+      : deviceInfo || req.headers['user-agent'] || 'Unknown Device';
+
+    // Turn away repeat scans and, with anti-passback, scans the wrong way through a gate
+    const { scanRules } = await Settings.getSettings();
+    const rejection = checkScanRules({
+      student,
+      record: todayRecord,
+      status: statusToSave,
+      direction: scanPlace.location?.direction,
+      scanTime: currentScanTime
+    }, scanRules);
+
+    if (rejection) {
+      await logRejectedScan({
+        student,
+        rejection,
+        attemptedStatus: statusToSave,
+        scanTime: currentScanTime,
+        scanLocation: scanPlace.name,
+        location: scanPlace.location?._id,
+        device: req.device?._id,
+        deviceInfo: userAgent
+      });
+
+      return res.status(409).json({
+        message: rejection.message,
+        rejected: true,
+        reason: rejection.reason,
+        lastScanAt: rejection.lastScanAt,
+        studentInfo: {
+          id: student._id,
+          name: student.name,
+          indexNumber: student.indexNumber,
+          status: todayRecord?.entryTime && !todayRecord.leaveTime ? 'On Campus'
+            : todayRecord?.leaveTime ? 'Left Campus' : 'Not Scanned In'
+        }
+      });
+    }
     
     // Use the model's markAttendance method to handle the record
     await student.markAttendance(
       statusToSave, 
       null, // adminId is null for student scans
       userAgent,
-      location
+      scanPlace.name,
+      scanPlace.location?._id || null,
+      currentScanTime
     );
 
+    if (req.device) {
+      await ScannerDevice.updateOne(
+        { _id: req.device._id },
+        { $set: { lastScanAt: currentScanTime, lastIp: req.ip }, $inc: { scanCount: 1 } }
+      );
+    }
+
+    // Find the updated attendance record, which carries the late flag
+    const latestAttendanceRecord = await AttendanceRecord.findOne({ student: student._id, day: today });
+    const isLate = Boolean(latestAttendanceRecord?.isLate);
+    const minutesLate = latestAttendanceRecord?.minutesLate || 0;
+
     // Send WhatsApp notification if parent phone number exists
     let whatsappResult = null;
     if (student.parent_telephone) {
@@ -185,7 +435,9 @@ export const markAttendance = async (req, res) => {
           address: student.address,
           parent_telephone: student.parent_telephone,
           status: statusToSave,
-          timestamp: currentScanTime
+          timestamp: currentScanTime,
+          isLate,
+          minutesLate
         };
 
         // Format phone number - remove spaces
@@ -224,35 +476,24 @@ export const markAttendance = async (req, res) => {
       console.log('No parent telephone number available for student:', student.indexNumber);
     }
     
-    // Find the updated attendance record to return in the response
-    const updatedStudent = await Student.findById(student._id);
-    const latestAttendanceRecord = updatedStudent.attendanceHistory.find(
-      record => record.date.toISOString().split('T')[0] === todayDate
-    );
-    
     // Return the updated student info with attendance details
     return res.status(200).json({
       message: `Attendance ${statusToSave === 'left' ? 'exit' : 'entry'} recorded successfully`,
       attendanceStatus: statusToSave,
+      scannedAt: currentScanTime,
       studentInfo: {
         id: student._id,
         name: student.name,
         indexNumber: student.indexNumber,
+        hasPhoto: Boolean(student.photo?.path),
         student_email: student.student_email,
         address: student.address,
         parent_telephone: student.parent_telephone || '',
         status: statusToSave === 'left' ? 'Left Campus' : 'On Campus',
-        time: currentScanTime.toLocaleTimeString('en-US', { 
-          hour: '2-digit', 
-          minute: '2-digit',
-          hour12: true,
-          timeZone: 'Asia/Colombo'
-        }),
-        date: currentScanTime.toLocaleDateString('en-US', {
-          year: 'numeric',
-          month: 'short',
-          day: 'numeric'
-        }),
+        isLate,
+        minutesLate,
+        time: formatSchoolTime(currentScanTime, 'hh:mm a'),
+        date: formatSchoolTime(currentScanTime, 'MMM d, yyyy'),
         messageStatus: whatsappResult?.success ? 'sent' : 'failed'
       },
       student: {
@@ -264,6 +505,11 @@ export const markAttendance = async (req, res) => {
         parent_telephone: student.parent_telephone || '',
         status: student.status
       },
+      location: {
+        _id: scanPlace.location?._id || null,
+        name: scanPlace.name,
+        direction: scanPlace.location?.direction || 'both'
+      },
       attendanceRecord: latestAttendanceRecord,
       messageDetails: whatsappResult?.success ? {
         messageId: whatsappResult.messageId,
@@ -338,28 +584,28 @@ export const getAttendanceHistory = async (req, res) => {
     const { studentId } = req.params;
     const { startDate, endDate } = req.query;
 
-    const query = { _id: studentId };
-    if (startDate && endDate) {
-      query['attendanceHistory.date'] = {
-        $gte: new Date(startDate),
-        $lte: new Date(endDate)
-      };
-    }
-
-    const student = await Student.findOne(query)
-      .select('name indexNumber attendanceHistory')
-      .sort({ 'attendanceHistory.date': -1 });
+    const student = await Student.findById(studentId).select('name indexNumber');
 
     if (!student) {
       return res.status(404).json({ message: 'Student not found' });
     }
 
+    const recordQuery = { student: student._id };
+    if (startDate && endDate) {
+      recordQuery.date = {
+        $gte: startOfDay(parseDateParam(startDate)),
+        $lte: endOfDay(parseDateParam(endDate))
+      };
+    }
+
+    const attendanceHistory = await AttendanceRecord.find(recordQuery).sort({ date: -1 });
+
     res.status(200).json({
       message: 'Attendance history retrieved successfully',
       student: {
         name: student.name,
         indexNumber: student.indexNumber,
-        attendanceHistory: student.attendanceHistory
+        attendanceHistory
       }
     });
   } catch (error) {
@@ -368,6 +614,14 @@ export const getAttendanceHistory = async (req, res) => {
   }
 };
 
+/**
+ * Count active students that have at least one attendance record matching a filter
+ */
+const countActiveStudentsWithRecords = async (recordFilter, studentFilter = { status: 'active' }) => {
+  const studentIds = await AttendanceRecord.distinct('student', recordFilter);
+  return Student.countDocuments({ ...studentFilter, _id: { $in: studentIds } });
+};
+
 /**
  * Get dashboard statistics for attendance visualization
  * Includes metrics for present/absent students and attendance trends
@@ -378,56 +632,80 @@ export const getDashboardStats = async (req, res) => {
     const { startDate, endDate } = req.query;
     
     // Default to today if no date range provided
-    const start = startDate ? new Date(startDate) : new Date();
-    start.setHours(0, 0, 0, 0); // Start of day
+    const start = startOfDay(parseDateParam(startDate) || new Date());
+    const end = endOfDay(parseDateParam(endDate) || new Date());
     
-    const end = endDate ? new Date(endDate) : new Date();
-    end.setHours(23, 59, 59, 999); // End of day
+    // Only count the students of one class when a class filter is given
+    const studentFilter = { status: 'active', ...req.classFilter?.studentQuery };
+    const countStudentsWithRecords = (recordFilter) => countActiveStudentsWithRecords(recordFilter, studentFilter);
     
     // Get total student count
-    const totalStudents = await Student.countDocuments({ status: 'active' });
+    const totalStudents = await Student.countDocuments(studentFilter);
     
     // Get students present today (those with entry time records for today)
-    const studentsPresent = await Student.countDocuments({
-      'attendanceHistory.entryTime': { $gte: start, $lte: end },
-      status: 'active'
+    const studentsPresent = await countStudentsWithRecords({
+      entryTime: { $gte: start, $lte: end }
+    });
+    
+    // Get students on approved leave, who are excused rather than absent
+    const studentsExcused = await countStudentsWithRecords({
+      day: { $gte: start, $lte: end },
+      status: 'excused'
     });
     
-    // Get students absent today
-    const studentsAbsent = totalStudents - studentsPresent;
+    // Get students absent today; nobody is absent when there is no school
+    const last7Start = startOfDay(addDays(new Date(), -6));
+    const calendar = await loadSchoolCalendar(start < last7Start ? start : last7Start, end > endOfDay() ? end : endOfDay());
+    const schoolDays = calendar.countSchoolDays(start, end);
+    const studentsAbsent = schoolDays > 0 ? Math.max(0, totalStudents - studentsPresent - studentsExcused) : 0;
+    
+    // Get late arrivals and how late they were on average
+    const activeStudentIds = await Student.distinct('_id', studentFilter);
+    const [lateSummary] = await AttendanceRecord.aggregate([
+      {
+        $match: {
+          day: { $gte: start, $lte: end },
+          isLate: true,
+          student: { $in: activeStudentIds }
+        }
+      },
+      {
+        $group: {
+          _id: null,
+          students: { $addToSet: '$student' },
+          averageMinutesLate: { $avg: '$minutesLate' }
+        }
+      }
+    ]);
+    const studentsLate = lateSummary ? lateSummary.students.length : 0;
+    const averageMinutesLate = lateSummary ? Math.round(lateSummary.averageMinutesLate) : 0;
     
     // Get students currently in school (entered but not left)
-    const studentsInSchool = await Student.countDocuments({
-      'attendanceHistory.entryTime': { $gte: start, $lte: end },
-      'attendanceHistory.leaveTime': null,
-      status: 'active'
+    const studentsInSchool = await countStudentsWithRecords({
+      entryTime: { $gte: start, $lte: end },
+      leaveTime: null
     });
     
     // Get students who have left (both entered and left)
-    const studentsLeft = await Student.countDocuments({
-      'attendanceHistory.entryTime': { $gte: start, $lte: end },
-      'attendanceHistory.leaveTime': { $ne: null },
-      status: 'active'
+    const studentsLeft = await countStudentsWithRecords({
+      entryTime: { $gte: start, $lte: end },
+      leaveTime: { $ne: null }
     });
     
     // Get attendance over time (last 7 days)
     const last7Days = [];
     for (let i = 6; i >= 0; i--) {
-      const day = new Date();
-      day.setDate(day.getDate() - i);
-      day.setHours(0, 0, 0, 0);
-      
-      const nextDay = new Date(day);
-      nextDay.setDate(nextDay.getDate() + 1);
+      const day = startOfDay(addDays(new Date(), -i));
       
-      const count = await Student.countDocuments({
-        'attendanceHistory.date': { $gte: day, $lt: nextDay },
-        status: 'active'
-      });
+      // Absence and leave records have no entry, so they are not counted as attendance
+      const count = await countStudentsWithRecords({ day, entryTime: { $ne: null } });
+      const lateCount = await countStudentsWithRecords({ day, isLate: true });
       
       last7Days.push({
-        date: day.toISOString().split('T')[0],
-        count
+        date: toDayKey(day),
+        count,
+        lateCount,
+        isSchoolDay: calendar.isSchoolDay(day)
       });
     }
     
@@ -436,8 +714,13 @@ export const getDashboardStats = async (req, res) => {
       ? Math.round((studentsPresent / totalStudents) * 100) 
       : 0;
     
+    // Entries and exits at each gate over the period
+    const byLocation = await getLocationBreakdown(start, end, {
+      studentIds: req.classFilter ? activeStudentIds : undefined
+    });
+    
     // Get top 5 students with highest attendance
-    const topAttenders = await Student.find({ status: 'active' })
+    const topAttenders = await Student.find(studentFilter)
       .select('name indexNumber attendanceCount attendancePercentage')
       .sort({ attendanceCount: -1, attendancePercentage: -1 })
       .limit(5);
@@ -450,13 +733,18 @@ export const getDashboardStats = async (req, res) => {
         totalStudents,
         studentsPresent,
         studentsAbsent,
+        studentsExcused,
         studentsInSchool,
         studentsLeft,
-        attendanceRate
+        studentsLate,
+        averageMinutesLate,
+        attendanceRate,
+        schoolDays
       },
       trends: {
         last7Days
       },
+      byLocation,
       topAttenders: topAttenders.map(student => ({
         name: student.name,
         indexNumber: student.indexNumber,
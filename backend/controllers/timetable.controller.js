@@ -0,0 +1,341 @@
+import mongoose from 'mongoose';
+import Admin from '../models/admin.model.js';
+import Period from '../models/period.model.js';
+import Section, { formatSectionLabel } from '../models/section.model.js';
+import TimetableEntry from '../models/timetableEntry.model.js';
+import LessonAttendance from '../models/lessonAttendance.model.js';
+
+const sendValidationError = (res, error) => res.status(400).json({
+  status: 'error',
+  message: Object.values(error.errors).map(err => err.message).join(', ')
+});
+
+const ENTRY_POPULATE = [
+  { path: 'period', select: 'name startTime endTime' },
+  { path: 'section', select: 'name schoolClass', populate: { path: 'schoolClass', select: 'name gradeLevel' } },
+  { path: 'teacher', select: 'name email' }
+];
+
+const formatEntry = (entry) => ({
+  ...(entry.toObject ? entry.toObject() : entry),
+  sectionLabel: formatSectionLabel(entry.section)
+});
+
+/**
+ * Check the section, period and teacher a timetable entry refers to, and that
+ * the teacher is not already teaching another section in that slot
+ * @returns {Promise<Object|null>} { statusCode, message } of the first problem, or null
+ */
+const checkEntryReferences = async ({ section, period, teacher, weekday }, entryId = null) => {
+  const isId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+  if (section !== undefined && (!isId(section) || !await Section.exists({ _id: section }))) {
+    return { statusCode: 404, message: 'Section not found' };
+  }
+  if (period !== undefined && (!isId(period) || !await Period.exists({ _id: period }))) {
+    return { statusCode: 404, message: 'Period not found' };
+  }
+  if (teacher) {
+    if (!isId(teacher) || !await Admin.exists({ _id: teacher })) {
+      return { statusCode: 400, message: 'Teacher not found' };
+    }
+    const clash = await TimetableEntry.findOne({ teacher, weekday, period, _id: { $ne: entryId } })
+      .populate(ENTRY_POPULATE[1])
+      .lean();
+    if (clash) {
+      return { statusCode: 409, message: `This teacher already has ${formatSectionLabel(clash.section)} in this period` };
+    }
+  }
+  return null;
+};
+
+/**
+ * List the periods of the bell schedule in time order
+ */
+export const getPeriods = async (req, res) => {
+  try {
+    const periods = await Period.find().sort({ startTime: 1 }).lean();
+
+    res.status(200).json({
+      status: 'success',
+      results: periods.length,
+      data: { periods }
+    });
+  } catch (error) {
+    console.error('Error fetching periods:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch periods',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Add a period to the bell schedule
+ */
+export const createPeriod = async (req, res) => {
+  try {
+    const { name, startTime, endTime } = req.body;
+    const period = await Period.create({ name, startTime, endTime });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Period created successfully',
+      data: { period }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({ status: 'error', message: 'A period with this name already exists' });
+    }
+
+    console.error('Error creating period:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to create period',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Rename a period or change its times; fields left out are unchanged
+ */
+export const updatePeriod = async (req, res) => {
+  try {
+    const period = await Period.findById(req.params.id);
+    if (!period) {
+      return res.status(404).json({ status: 'error', message: 'Period not found' });
+    }
+
+    ['name', 'startTime', 'endTime'].forEach(field => {
+      if (req.body[field] !== undefined) period[field] = req.body[field];
+    });
+    await period.save();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Period updated successfully',
+      data: { period }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({ status: 'error', message: 'A period with this name already exists' });
+    }
+
+    console.error('Error updating period:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update period',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Delete a period that no lesson is timetabled in
+ */
+export const deletePeriod = async (req, res) => {
+  try {
+    const period = await Period.findById(req.params.id);
+    if (!period) {
+      return res.status(404).json({ status: 'error', message: 'Period not found' });
+    }
+
+    const lessons = await TimetableEntry.countDocuments({ period: period._id });
+    if (lessons > 0) {
+      return res.status(409).json({
+        status: 'error',
+        message: `${lessons} lessons are timetabled in this period. Remove them first.`
+      });
+    }
+
+    await period.deleteOne();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Period deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting period:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to delete period',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get the weekly timetable, optionally for one section, teacher or weekday
+ */
+export const getTimetable = async (req, res) => {
+  try {
+    const { sectionId, teacherId, weekday } = req.query;
+    const query = {};
+
+    if (sectionId) {
+      if (!mongoose.Types.ObjectId.isValid(sectionId)) {
+        return res.status(400).json({ status: 'error', message: 'Invalid section ID' });
+      }
+      query.section = sectionId;
+    }
+    if (teacherId) {
+      if (!mongoose.Types.ObjectId.isValid(teacherId)) {
+        return res.status(400).json({ status: 'error', message: 'Invalid teacher ID' });
+      }
+      query.teacher = teacherId;
+    }
+    if (weekday !== undefined && weekday !== '') {
+      query.weekday = Number(weekday);
+    }
+
+    const entries = await TimetableEntry.find(query).populate(ENTRY_POPULATE).lean();
+    entries.sort((a, b) => a.weekday - b.weekday ||
+      (a.period?.startTime || '').localeCompare(b.period?.startTime || ''));
+
+    res.status(200).json({
+      status: 'success',
+      results: entries.length,
+      data: { entries: entries.map(formatEntry) }
+    });
+  } catch (error) {
+    console.error('Error fetching timetable:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch timetable',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Timetable a lesson for a section in one period of a weekday
+ */
+export const createTimetableEntry = async (req, res) => {
+  try {
+    const { section, weekday, period, subject, teacher, room } = req.body;
+
+    const problem = await checkEntryReferences({ section, period, teacher, weekday });
+    if (problem) {
+      return res.status(problem.statusCode).json({ status: 'error', message: problem.message });
+    }
+
+    const entry = await TimetableEntry.create({
+      section,
+      weekday,
+      period,
+      subject,
+      teacher: teacher || null,
+      room
+    });
+    await entry.populate(ENTRY_POPULATE);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Lesson added to the timetable',
+      data: { entry: formatEntry(entry) }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({ status: 'error', message: 'This section already has a lesson in this period' });
+    }
+
+    console.error('Error creating timetable entry:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to add lesson',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Change a timetabled lesson; fields left out are unchanged
+ */
+export const updateTimetableEntry = async (req, res) => {
+  try {
+    const entry = await TimetableEntry.findById(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ status: 'error', message: 'Lesson not found' });
+    }
+
+    ['section', 'weekday', 'period', 'subject', 'room'].forEach(field => {
+      if (req.body[field] !== undefined) entry[field] = req.body[field];
+    });
+    if (req.body.teacher !== undefined) entry.teacher = req.body.teacher || null;
+
+    const problem = await checkEntryReferences({
+      section: req.body.section,
+      period: entry.period,
+      teacher: entry.teacher,
+      weekday: entry.weekday
+    }, entry._id);
+    if (problem) {
+      return res.status(problem.statusCode).json({ status: 'error', message: problem.message });
+    }
+
+    await entry.save();
+    await entry.populate(ENTRY_POPULATE);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Lesson updated successfully',
+      data: { entry: formatEntry(entry) }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({ status: 'error', message: 'This section already has a lesson in this period' });
+    }
+
+    console.error('Error updating timetable entry:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update lesson',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Remove a lesson from the timetable
+ * Attendance already taken for it is kept unless ?deleteAttendance=true.
+ */
+export const deleteTimetableEntry = async (req, res) => {
+  try {
+    const entry = await TimetableEntry.findByIdAndDelete(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ status: 'error', message: 'Lesson not found' });
+    }
+
+    let deletedAttendance = 0;
+    if (req.query.deleteAttendance === 'true') {
+      ({ deletedCount: deletedAttendance } = await LessonAttendance.deleteMany({ timetableEntry: entry._id }));
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Lesson removed from the timetable',
+      data: { deletedAttendance }
+    });
+  } catch (error) {
+    console.error('Error deleting timetable entry:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to remove lesson',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,308 @@
+import mongoose from 'mongoose';
+import Visitor from '../models/visitor.model.js';
+import {
+  VISITOR_POPULATE,
+  createPassCode,
+  getPassExpiry,
+  generateVisitorPass,
+  signInVisitor,
+  signOutVisitor,
+  buildVisitorLog
+} from '../services/visitor.service.js';
+import { resolveScanLocation } from '../services/location.service.js';
+import { startOfDay, endOfDay, toDayKey, parseDayString } from '../utils/dateUtils.js';
+import AppError from '../utils/appError.js';
+
+const VISITOR_FIELDS = ['name', 'type', 'phone', 'company', 'host', 'purpose', 'notes'];
+
+// Errors the visitor service raises carry their own status code
+const sendError = (res, error, message) => {
+  if (error instanceof AppError) {
+    return res.status(error.statusCode).json({ status: 'error', message: error.message });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      status: 'error',
+      message: Object.values(error.errors).map(err => err.message).join(', ')
+    });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    status: 'error',
+    message,
+    error: error.message
+  });
+};
+
+// Days are sent as YYYY-MM-DD; a missing day is today
+const parseDay = (value, field = 'Date') => {
+  if (!value) return startOfDay();
+  const day = parseDayString(value);
+  if (!day) throw new AppError(`${field} must be in YYYY-MM-DD format`, 400);
+  return day;
+};
+
+const findVisitorDocument = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new AppError('Invalid visitor ID', 400);
+  }
+  const visitor = await Visitor.findById(id);
+  if (!visitor) {
+    throw new AppError('Visitor not found', 404);
+  }
+  return visitor;
+};
+
+// Location of a sign-in or sign-out at the desk; none when not given
+const resolveDeskLocation = async (locationId) => (locationId
+  ? (await resolveScanLocation({ locationId })).location
+  : null);
+
+/**
+ * List visitors
+ * ?date= lists the visitors of one day (today by default), ?from= and ?to=
+ * those of a range; ?status= and ?search= (name, company or host) narrow it.
+ */
+export const getVisitors = async (req, res) => {
+  try {
+    const { date, from, to, status, search } = req.query;
+    const start = parseDay(from || date);
+    const end = parseDay(to || date);
+
+    const query = { visitDate: { $gte: startOfDay(start), $lte: endOfDay(end) } };
+    if (status) query.status = status;
+    if (search?.trim()) {
+      const pattern = new RegExp(search.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      query.$or = [{ name: pattern }, { company: pattern }, { host: pattern }];
+    }
+
+    const visitors = await Visitor.find(query)
+      .populate(VISITOR_POPULATE)
+      .sort({ visitDate: -1, signedInAt: -1, createdAt: -1 })
+      .lean();
+
+    res.status(200).json({
+      status: 'success',
+      results: visitors.length,
+      data: { visitors }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch visitors');
+  }
+};
+
+/**
+ * List the visitors on site now
+ * Visitors who stayed past the day of their pass are flagged as overstayed.
+ */
+export const getVisitorsOnSite = async (req, res) => {
+  try {
+    const now = new Date();
+    const visitors = await Visitor.find({ status: 'on_site' })
+      .populate(VISITOR_POPULATE)
+      .sort({ signedInAt: 1 })
+      .lean();
+
+    res.status(200).json({
+      status: 'success',
+      results: visitors.length,
+      data: {
+        visitors: visitors.map(visitor => ({ ...visitor, overstayed: visitor.passExpiresAt < now }))
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch visitors on site');
+  }
+};
+
+/**
+ * Pre-register a visitor, or sign in a walk-in
+ * Body: name, type, phone, company, host, purpose, notes, and visitDate
+ * (YYYY-MM-DD, today by default). { signIn: true } signs the visitor in now,
+ * at locationId if given. The pass QR code is returned with the visitor.
+ */
+export const createVisitor = async (req, res) => {
+  try {
+    const visitDate = parseDay(req.body.visitDate, 'Visit date');
+    if (visitDate < startOfDay()) {
+      return res.status(400).json({ status: 'error', message: 'Visits cannot be registered for a past day' });
+    }
+    if (req.body.signIn && toDayKey(visitDate) !== toDayKey(new Date())) {
+      return res.status(400).json({ status: 'error', message: 'Walk-in visitors can only be signed in for today' });
+    }
+
+    const visitor = new Visitor({
+      visitDate,
+      passCode: createPassCode(),
+      passExpiresAt: getPassExpiry(visitDate),
+      createdBy: req.admin?._id || null
+    });
+    VISITOR_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) visitor[field] = req.body[field];
+    });
+
+    if (req.body.signIn) {
+      await visitor.validate();
+      await signInVisitor(visitor, { location: await resolveDeskLocation(req.body.locationId) });
+    } else {
+      await visitor.save();
+    }
+
+    res.status(201).json({
+      status: 'success',
+      message: req.body.signIn ? `${visitor.name} signed in` : `${visitor.name} registered`,
+      data: {
+        visitor: await Visitor.findById(visitor._id).populate(VISITOR_POPULATE).lean(),
+        qrCode: await generateVisitorPass(visitor)
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to register visitor');
+  }
+};
+
+/**
+ * Change a visitor's details
+ * The day of the visit, and with it the pass expiry, can only change before they arrive.
+ */
+export const updateVisitor = async (req, res) => {
+  try {
+    const visitor = await findVisitorDocument(req.params.id);
+
+    VISITOR_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) visitor[field] = req.body[field];
+    });
+
+    if (req.body.visitDate !== undefined) {
+      if (visitor.status !== 'expected') {
+        return res.status(400).json({ status: 'error', message: 'The visit day cannot change once the visitor has arrived' });
+      }
+      const visitDate = parseDay(req.body.visitDate, 'Visit date');
+      if (visitDate < startOfDay()) {
+        return res.status(400).json({ status: 'error', message: 'Visits cannot be moved to a past day' });
+      }
+      visitor.visitDate = visitDate;
+      visitor.passExpiresAt = getPassExpiry(visitDate);
+    }
+
+    await visitor.save();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Visitor updated successfully',
+      data: { visitor: await Visitor.findById(visitor._id).populate(VISITOR_POPULATE).lean() }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to update visitor');
+  }
+};
+
+/**
+ * Sign a visitor in at the desk, at locationId if given
+ */
+export const signInVisitorAtDesk = async (req, res) => {
+  try {
+    const visitor = await findVisitorDocument(req.params.id);
+    await signInVisitor(visitor, { location: await resolveDeskLocation(req.body.locationId) });
+
+    res.status(200).json({
+      status: 'success',
+      message: `${visitor.name} signed in`,
+      data: { visitor }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to sign visitor in');
+  }
+};
+
+/**
+ * Sign a visitor out at the desk, for visitors who leave without scanning their pass
+ */
+export const signOutVisitorAtDesk = async (req, res) => {
+  try {
+    const visitor = await findVisitorDocument(req.params.id);
+    await signOutVisitor(visitor, {
+      location: await resolveDeskLocation(req.body.locationId),
+      method: 'manual'
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: `${visitor.name} signed out`,
+      data: { visitor }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to sign visitor out');
+  }
+};
+
+/**
+ * Delete a pre-registered visitor who has not arrived
+ * Visitors who came on site stay in the log.
+ */
+export const deleteVisitor = async (req, res) => {
+  try {
+    const visitor = await findVisitorDocument(req.params.id);
+    if (visitor.status !== 'expected') {
+      return res.status(400).json({ status: 'error', message: 'Visitors who came on site stay in the visitor log' });
+    }
+
+    await Visitor.deleteOne({ _id: visitor._id });
+    res.status(200).json({
+      status: 'success',
+      message: 'Visitor deleted successfully'
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete visitor');
+  }
+};
+
+/**
+ * Get the QR code of a visitor's pass, to show or print again
+ */
+export const getVisitorPass = async (req, res) => {
+  try {
+    const visitor = await findVisitorDocument(req.params.id);
+    if (visitor.status === 'signed_out') {
+      return res.status(400).json({ status: 'error', message: 'This visit is over; its pass no longer works' });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        qrCode: await generateVisitorPass(visitor),
+        expiresAt: visitor.passExpiresAt
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to generate visitor pass');
+  }
+};
+
+/**
+ * Download the visitor log as an Excel workbook
+ * ?from= and ?to= (YYYY-MM-DD) give the days, today by default.
+ */
+export const exportVisitorLog = async (req, res) => {
+  try {
+    const start = parseDay(req.query.from);
+    const end = parseDay(req.query.to || req.query.from);
+    if (end < start) {
+      return res.status(400).json({ status: 'error', message: 'The end date must not be before the start date' });
+    }
+
+    const visitors = await Visitor.find({ visitDate: { $gte: startOfDay(start), $lte: endOfDay(end) } })
+      .populate(VISITOR_POPULATE)
+      .sort({ visitDate: 1, signedInAt: 1, createdAt: 1 })
+      .lean();
+    const buffer = await buildVisitorLog(visitors);
+
+    const fileName = `visitor_log_${toDayKey(start)}${end > start ? `_to_${toDayKey(end)}` : ''}.xlsx`;
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename=${fileName}`);
+    return res.send(buffer);
+  } catch (error) {
+    sendError(res, error, 'Failed to export visitor log');
+  }
+};
@@ -0,0 +1,15 @@
+import { getClassFilter } from '../services/class.service.js';
+
+/**
+ * Resolve the classId and sectionId query parameters into req.classFilter
+ * Leaves req.classFilter null when neither is given, so handlers can spread
+ * req.classFilter?.studentQuery into their student queries either way.
+ */
+export const resolveClassFilter = async (req, res, next) => {
+  try {
+    req.classFilter = await getClassFilter(req.query);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,36 @@
+import ScannerDevice from '../models/scannerDevice.model.js';
+import AppError from '../utils/appError.js';
+import { protect } from './authMiddleware.js';
+
+const getDeviceToken = (req) => req.headers['x-device-token'];
+
+// Authenticate an enrolled scanner device by the token in the X-Device-Token header
+export const authenticateDevice = async (req, res, next) => {
+  try {
+    const token = getDeviceToken(req);
+    if (!token) {
+      return next(new AppError('This scanner is not enrolled. A device token is required.', 401));
+    }
+
+    const device = await ScannerDevice.findByToken(token);
+    if (!device) {
+      return next(new AppError('Unknown device token.', 401));
+    }
+    if (device.revokedAt) {
+      return next(new AppError('This scanner has been revoked. Ask an admin to enroll it again.', 401));
+    }
+
+    req.device = device;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Scans come from an enrolled device, or from a signed-in admin scanning in the browser
+export const authenticateScanner = (req, res, next) => {
+  if (getDeviceToken(req)) {
+    return authenticateDevice(req, res, next);
+  }
+  return protect(req, res, next);
+};
@@ -0,0 +1,78 @@
+import ScanReceipt from '../models/scanReceipt.model.js';
+
+// A claim this old was left behind by a request that never finished, e.g. a restart
+const STALE_CLAIM_MS = 2 * 60 * 1000;
+
+const IDEMPOTENCY_KEY_PATTERN = /^[A-Za-z0-9_-]{8,100}$/;
+
+// Whose keys a request's key is kept among: the device's, or the admin's
+const getKeyOwner = (req) => (req.device
+  ? { device: req.device._id, admin: null }
+  : { device: null, admin: req.admin?._id || null });
+
+// Take up a key, or return the receipt of the request that already has it
+const claimKey = async (receiptKey) => {
+  try {
+    const existing = await ScanReceipt.findOneAndUpdate(
+      receiptKey,
+      { $setOnInsert: { ...receiptKey, claimedAt: new Date() } },
+      { upsert: true, new: false }
+    ).lean();
+    if (!existing || existing.statusCode) return existing;
+
+    const taken = await ScanReceipt.updateOne(
+      { ...receiptKey, statusCode: null, claimedAt: { $lte: new Date(Date.now() - STALE_CLAIM_MS) } },
+      { $set: { claimedAt: new Date() } }
+    );
+    return taken.modifiedCount === 1 ? null : existing;
+  } catch (error) {
+    // Two upserts of the same new key at once: one of them wins
+    if (error.code === 11000) return ScanReceipt.findOne(receiptKey).lean();
+    throw error;
+  }
+};
+
+/**
+ * Make scans sent with an idempotencyKey in the body safe to replay
+ * The first request with a key is processed and its answer kept; later ones
+ * from the same device or admin get the same answer with replayed: true.
+ * Requests without a key are processed as before.
+ */
+export const idempotentScan = async (req, res, next) => {
+  const key = req.body?.idempotencyKey;
+  if (key === undefined || key === null || key === '') return next();
+
+  if (typeof key !== 'string' || !IDEMPOTENCY_KEY_PATTERN.test(key)) {
+    return res.status(400).json({ message: 'Invalid idempotency key.' });
+  }
+
+  const receiptKey = { key, ...getKeyOwner(req) };
+
+  try {
+    const receipt = await claimKey(receiptKey);
+    if (receipt) {
+      if (receipt.statusCode) {
+        return res.status(receipt.statusCode).json({ ...receipt.response, replayed: true });
+      }
+      // Not an answer to the scan: the client sends it again later
+      return res.status(409).json({ message: 'This scan is already being processed.', replayed: true, processing: true });
+    }
+  } catch (error) {
+    return next(error);
+  }
+
+  // Keep the answer once it is sent; a failed request gives up its key so it can be retried
+  const sendJson = res.json.bind(res);
+  res.json = (body) => {
+    const saved = res.statusCode >= 500
+      ? ScanReceipt.deleteOne(receiptKey)
+      : ScanReceipt.updateOne(
+        receiptKey,
+        { $set: { statusCode: res.statusCode, response: body, completedAt: new Date() } }
+      );
+    saved.catch(error => console.error('Error saving scan receipt:', error));
+    return sendJson(body);
+  };
+
+  next();
+};
@@ -30,10 +30,6 @@ export const validateAdminInput = [
     .matches(/[a-z]/).withMessage('Password must contain at least one lowercase letter')
     .matches(/[A-Z]/).withMessage('Password must contain at least one uppercase letter'),
   
-  body('role')
-    .optional()
-    .isIn(['admin', 'superadmin']).withMessage('Invalid role'),
-  
   validateRequest
 ];
 // Student input validation
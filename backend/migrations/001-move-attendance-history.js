@@ -0,0 +1,74 @@
+import Student from '../models/student.model.js';
+import AttendanceRecord from '../models/attendanceRecord.model.js';
+import { logInfo } from '../utils/terminal.js';
+
+export const name = '001-move-attendance-history';
+
+// Days were midnight in the server's local time when this migration was written;
+// 002-school-timezone-days moves them to the school timezone afterwards
+const localMidnight = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+/**
+ * Move the attendance history embedded in each student document into the
+ * AttendanceRecord collection. Record ids are kept so existing links to a
+ * record still resolve, and re-running the migration is safe.
+ */
+export const up = async () => {
+  // A server started on the new code may already have built the unique
+  // student and day index, which legacy histories with two entries on one day
+  // would break; 003-unique-attendance-days builds it again
+  await AttendanceRecord.collection.dropIndex('student_1_day_1').catch(() => {});
+
+  const cursor = Student.collection.find(
+    { 'attendanceHistory.0': { $exists: true } },
+    { projection: { attendanceHistory: 1 } }
+  );
+
+  let studentCount = 0;
+  let recordCount = 0;
+
+  for await (const student of cursor) {
+    const operations = student.attendanceHistory
+      .filter(record => record && record.date)
+      .map(record => ({
+        updateOne: {
+          filter: { _id: record._id },
+          update: {
+            $setOnInsert: {
+              student: student._id,
+              day: localMidnight(record.date),
+              date: record.date,
+              status: record.status || 'entered',
+              entryTime: record.entryTime || null,
+              leaveTime: record.leaveTime || null,
+              verifiedBy: record.verifiedBy || null,
+              scanLocation: record.scanLocation || 'Main Entrance',
+              deviceInfo: record.deviceInfo || null,
+              createdAt: record.date,
+              updatedAt: new Date()
+            }
+          },
+          upsert: true
+        }
+      }));
+
+    if (operations.length > 0) {
+      await AttendanceRecord.collection.bulkWrite(operations, { ordered: false });
+      recordCount += operations.length;
+    }
+
+    await Student.collection.updateOne(
+      { _id: student._id },
+      { $unset: { attendanceHistory: '' } }
+    );
+    studentCount++;
+  }
+
+  await Student.collection.dropIndex('attendanceHistory.date_1').catch(() => {});
+
+  logInfo(`Moved ${recordCount} attendance records from ${studentCount} students`);
+};
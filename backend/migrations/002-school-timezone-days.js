@@ -0,0 +1,37 @@
+import AttendanceRecord from '../models/attendanceRecord.model.js';
+import CalendarEntry from '../models/calendarEntry.model.js';
+import LeaveRequest from '../models/leaveRequest.model.js';
+import Settings from '../models/settings.model.js';
+import { moveDayFields } from '../services/schoolDays.service.js';
+import { parseDayString } from '../utils/dateUtils.js';
+import { logInfo } from '../utils/terminal.js';
+
+export const name = '002-school-timezone-days';
+
+// Midnight stored in the server's local time, moved to the same day at midnight school time
+const toSchoolMidnight = (date) => {
+  const local = new Date(date);
+  const dayString = [
+    local.getFullYear(),
+    String(local.getMonth() + 1).padStart(2, '0'),
+    String(local.getDate()).padStart(2, '0')
+  ].join('-');
+  return parseDayString(dayString);
+};
+
+/**
+ * Days used to be stored as midnight in the server's local time. Run this on
+ * the server that wrote them to move each stored day to midnight in the school
+ * timezone, so day lookups keep matching once the server timezone no longer matters.
+ */
+export const up = async () => {
+  // Loading the settings puts the date helpers on the school timezone
+  const { timezone } = await Settings.getSettings();
+  logInfo(`Moving stored days to midnight in ${timezone}`);
+
+  const records = await moveDayFields(AttendanceRecord, ['day'], toSchoolMidnight);
+  const entries = await moveDayFields(CalendarEntry, ['startDate', 'endDate'], toSchoolMidnight);
+  const leaveRequests = await moveDayFields(LeaveRequest, ['startDate', 'endDate'], toSchoolMidnight);
+
+  logInfo(`Moved days on ${records} attendance records, ${entries} calendar entries and ${leaveRequests} leave requests`);
+};
@@ -0,0 +1,39 @@
+import AttendanceRecord from '../models/attendanceRecord.model.js';
+import { snapshotRecord, recordRevisions } from '../services/attendanceAudit.service.js';
+import { logInfo } from '../utils/terminal.js';
+
+export const name = '003-unique-attendance-days';
+
+/**
+ * A student now has one attendance record per day. Scans that arrived at the
+ * same moment could have made two; keep the first record of each such day and
+ * soft delete the rest, with a revision each, then rebuild the student and day
+ * index as unique.
+ */
+export const up = async () => {
+  const duplicates = await AttendanceRecord.aggregate([
+    { $sort: { createdAt: 1, _id: 1 } },
+    { $group: { _id: { student: '$student', day: '$day' }, ids: { $push: '$_id' } } },
+    { $match: { 'ids.1': { $exists: true } } }
+  ]).allowDiskUse(true);
+
+  const extraIds = duplicates.flatMap(group => group.ids.slice(1));
+  if (extraIds.length > 0) {
+    const records = await AttendanceRecord.find({ _id: { $in: extraIds } });
+    const deletedAt = new Date();
+
+    const changes = records.map(record => {
+      const before = snapshotRecord(record);
+      record.deletedAt = deletedAt;
+      return { record, action: 'delete', before, after: snapshotRecord(record) };
+    });
+
+    await AttendanceRecord.updateMany({ _id: { $in: extraIds } }, { $set: { deletedAt } });
+    await recordRevisions(changes, { reason: 'Second attendance record for the same day' });
+  }
+
+  // The old index has the same keys, so it is dropped and built again as unique
+  await AttendanceRecord.syncIndexes();
+
+  logInfo(`Deleted ${extraIds.length} duplicate attendance records`);
+};
@@ -0,0 +1,16 @@
+import ScanReceipt from '../models/scanReceipt.model.js';
+import { logInfo } from '../utils/terminal.js';
+
+export const name = '004-scoped-scan-receipts';
+
+/**
+ * Idempotency keys of scans are now kept per device or admin. The unique index
+ * on the key alone is replaced by one on the key and its owner; receipts from
+ * before have no owner and simply expire.
+ */
+export const up = async () => {
+  await ScanReceipt.collection.dropIndex('key_1').catch(() => {});
+  await ScanReceipt.syncIndexes();
+
+  logInfo('Scan receipts are now kept per device or admin');
+};
@@ -0,0 +1,54 @@
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { connectDB, closeDB } from '../config/database.js';
+import { logInfo, logSuccess, logError, logSection } from '../utils/terminal.js';
+import * as moveAttendanceHistory from './001-move-attendance-history.js';
+import * as schoolTimezoneDays from './002-school-timezone-days.js';
+import * as uniqueAttendanceDays from './003-unique-attendance-days.js';
+import * as scopedScanReceipts from './004-scoped-scan-receipts.js';
+
+dotenv.config();
+
+// Migrations in the order they must be applied
+const migrations = [
+  moveAttendanceHistory,
+  schoolTimezoneDays,
+  uniqueAttendanceDays,
+  scopedScanReceipts
+];
+
+/**
+ * Apply every migration that has not been recorded in the migrations collection yet
+ */
+const runMigrations = async () => {
+  logSection('Migrations');
+
+  // Indexes are built by the migrations that need them; building them all on
+  // connect would fail on the unique ones while the data is not yet clean
+  mongoose.set('autoIndex', false);
+  await connectDB();
+
+  const applied = mongoose.connection.db.collection('migrations');
+
+  for (const migration of migrations) {
+    const alreadyApplied = await applied.findOne({ name: migration.name });
+    if (alreadyApplied) {
+      logInfo(`Skipping ${migration.name} (applied ${alreadyApplied.appliedAt.toISOString()})`);
+      continue;
+    }
+
+    logInfo(`Applying ${migration.name}...`);
+    await migration.up();
+    await applied.insertOne({ name: migration.name, appliedAt: new Date() });
+    logSuccess(`Applied ${migration.name}`);
+  }
+};
+
+runMigrations()
+  .then(() => closeDB())
+  .then(() => process.exit(0))
+  .catch(async (error) => {
+    logError(`Migration failed: ${error.message}`);
+    await closeDB();
+    process.exit(1);
+  });
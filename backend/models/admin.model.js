@@ -4,6 +4,9 @@ import validator from 'validator';
 import crypto from 'crypto';
 
 // Define the Admin schema
+// Roles from least to most access
+export const ADMIN_ROLES = ['gatekeeper', 'admin', 'superadmin'];
+
 const adminSchema = new mongoose.Schema(
   {
     name: {
@@ -27,11 +30,13 @@ const adminSchema = new mongoose.Schema(
       minlength: [8, 'Password must be at least 8 characters long'],
       select: false // Don't return password in queries by default
     },
+    // Gatekeepers run the scanners and sign visitors in; they cannot see
+    // staff records or change settings
     role: {
       type: String,
       enum: {
-        values: ['admin', 'superadmin'],
-        message: 'Role must be either admin or superadmin'
+        values: ADMIN_ROLES,
+        message: 'Role must be gatekeeper, admin or superadmin'
       },
       default: 'admin'
     },
@@ -0,0 +1,195 @@
+import mongoose from 'mongoose';
+
+// One continuous stay on campus; leaveTime stays null while the student is inside
+const sessionSchema = new mongoose.Schema({
+  entryTime: {
+    type: Date,
+    default: null
+  },
+  leaveTime: {
+    type: Date,
+    default: null
+  },
+  scanLocation: {
+    type: String,
+    default: null
+  },
+  // Registered locations the student came in and went out through; sessions
+  // recorded before the location registry only have the scanLocation name
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    default: null
+  },
+  exitLocation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    default: null
+  }
+}, { _id: false });
+
+const attendanceRecordSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: [true, 'Student is required']
+  },
+  // Midnight of the day this record belongs to, used for per-day lookups
+  day: {
+    type: Date,
+    required: [true, 'Attendance day is required']
+  },
+  date: {
+    type: Date,
+    default: Date.now,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['present', 'absent', 'left', 'entered', 'excused'],
+      message: 'Status must be one of: present, absent, left, entered, excused'
+    },
+    default: 'entered',
+    required: true
+  },
+  // First entry of the day
+  entryTime: {
+    type: Date,
+    default: null
+  },
+  // Last exit of the day, null while the student is on campus
+  leaveTime: {
+    type: Date,
+    default: null
+  },
+  // Set from the first entry of the day against the configured school hours
+  isLate: {
+    type: Boolean,
+    default: false
+  },
+  minutesLate: {
+    type: Number,
+    default: 0
+  },
+  // Ordered in/out sessions for the day
+  sessions: {
+    type: [sessionSchema],
+    default: []
+  },
+  // Approved leave request behind an excused record
+  leaveRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LeaveRequest',
+    default: null
+  },
+  verifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  },
+  scanLocation: {
+    type: String,
+    default: 'Main Entrance'
+  },
+  // Registered location of the last scan
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    default: null
+  },
+  deviceInfo: {
+    type: String,
+    default: null
+  },
+  // Soft delete: deleted records are hidden from queries but kept for restoring
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Fields captured in the before/after snapshots of an attendance revision
+export const AUDITED_FIELDS = [
+  'status', 'entryTime', 'leaveTime', 'isLate', 'minutesLate', 'sessions',
+  'leaveRequest', 'verifiedBy', 'scanLocation', 'location', 'deviceInfo', 'deletedAt', 'deletedBy'
+];
+
+// Indexes for per-student day lookups and daily status reports; a student has
+// one record per day, soft-deleted records aside
+attendanceRecordSchema.index({ student: 1, day: 1 }, { unique: true, partialFilterExpression: { deletedAt: null } });
+attendanceRecordSchema.index({ day: 1, status: 1 });
+attendanceRecordSchema.index({ day: 1, isLate: 1 });
+attendanceRecordSchema.index({ leaveRequest: 1 });
+
+// Hide soft-deleted records unless a query asks for them with the withDeleted
+// option, or filters on deletedAt itself
+const QUERIES_HIDING_DELETED = ['find', 'findOne', 'countDocuments', 'distinct', 'findOneAndUpdate', 'updateOne', 'updateMany'];
+
+attendanceRecordSchema.pre(QUERIES_HIDING_DELETED, function() {
+  if (this.getOptions().withDeleted || 'deletedAt' in this.getFilter()) return;
+  this.where({ deletedAt: null });
+});
+
+attendanceRecordSchema.pre('aggregate', function() {
+  if (this.options.withDeleted) return;
+  this.pipeline().unshift({ $match: { deletedAt: null } });
+});
+
+// Records written before sessions existed only have a single entry/leave pair
+const seedLegacySession = (record) => {
+  if (record.sessions.length === 0 && (record.entryTime || record.leaveTime)) {
+    record.sessions.push({ entryTime: record.entryTime, leaveTime: record.leaveTime });
+  }
+};
+
+// Open a new session unless the student is already inside
+attendanceRecordSchema.methods.recordEntry = function(time = new Date(), scanLocation = null, locationId = null) {
+  seedLegacySession(this);
+
+  const lastSession = this.sessions[this.sessions.length - 1];
+  if (!lastSession || lastSession.leaveTime) {
+    this.sessions.push({ entryTime: time, scanLocation, location: locationId });
+  }
+
+  if (!this.entryTime) this.entryTime = time;
+  this.leaveTime = null;
+  return this;
+};
+
+// Close the open session, or record a bare exit if the entry was never scanned
+attendanceRecordSchema.methods.recordExit = function(time = new Date(), scanLocation = null, locationId = null) {
+  seedLegacySession(this);
+
+  const lastSession = this.sessions[this.sessions.length - 1];
+  if (lastSession && !lastSession.leaveTime) {
+    lastSession.leaveTime = time;
+    lastSession.exitLocation = locationId;
+  } else {
+    this.sessions.push({ entryTime: null, leaveTime: time, scanLocation, exitLocation: locationId });
+  }
+
+  this.leaveTime = time;
+  return this;
+};
+
+/**
+ * Get the ids of students that have at least one record between two days
+ * @param {Date} start - First day (inclusive)
+ * @param {Date} end - Last day (inclusive)
+ * @returns {Promise<Array>} Student ObjectIds
+ */
+attendanceRecordSchema.statics.findStudentIdsInRange = function(start, end) {
+  return this.distinct('student', { day: { $gte: start, $lte: end } });
+};
+
+const AttendanceRecord = mongoose.model('AttendanceRecord', attendanceRecordSchema);
+
+export default AttendanceRecord;
@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+
+export const REVISION_ACTIONS = ['create', 'update', 'delete', 'restore'];
+
+// One admin change to an attendance record. Revisions are never edited: the
+// before and after snapshots hold the audited fields of the record, so any
+// earlier state can be put back.
+const attendanceRevisionSchema = new mongoose.Schema({
+  record: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AttendanceRecord',
+    required: [true, 'Attendance record is required']
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: [true, 'Student is required']
+  },
+  action: {
+    type: String,
+    enum: {
+      values: REVISION_ACTIONS,
+      message: 'Action must be one of: create, update, delete, restore'
+    },
+    required: [true, 'Action is required']
+  },
+  // Snapshot before the change, null when the change created the record
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  reason: {
+    type: String,
+    required: [true, 'A reason is required'],
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  // Revision whose earlier state a restore put back
+  restoredFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AttendanceRevision',
+    default: null
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+attendanceRevisionSchema.index({ record: 1, createdAt: -1 });
+attendanceRevisionSchema.index({ student: 1, createdAt: -1 });
+
+const AttendanceRevision = mongoose.model('AttendanceRevision', attendanceRevisionSchema);
+
+export default AttendanceRevision;
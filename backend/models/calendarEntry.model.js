@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+
+export const CALENDAR_ENTRY_TYPES = ['term', 'holiday', 'closure', 'makeup_day'];
+
+// A dated entry in the academic calendar. Terms bound the school year, holidays
+// and closures remove days from it, and make-up days add otherwise closed days back.
+const calendarEntrySchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: {
+      values: CALENDAR_ENTRY_TYPES,
+      message: 'Type must be one of: term, holiday, closure, makeup_day'
+    },
+    required: [true, 'Entry type is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  // Both dates are midnight of the first and last day the entry covers
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required'],
+    validate: {
+      validator: function(value) {
+        return !this.startDate || value >= this.startDate;
+      },
+      message: 'End date cannot be before start date'
+    }
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+calendarEntrySchema.index({ startDate: 1, endDate: 1 });
+calendarEntrySchema.index({ type: 1 });
+
+/**
+ * Find entries that cover at least one day between two dates
+ * @param {Date} start - First day (inclusive)
+ * @param {Date} end - Last day (inclusive)
+ * @returns {Query} Matching entries ordered by start date
+ */
+calendarEntrySchema.statics.findOverlapping = function(start, end) {
+  return this.find({ startDate: { $lte: end }, endDate: { $gte: start } }).sort({ startDate: 1 });
+};
+
+const CalendarEntry = mongoose.model('CalendarEntry', calendarEntrySchema);
+
+export default CalendarEntry;
@@ -0,0 +1,80 @@
+import mongoose from 'mongoose';
+
+export const DISMISSAL_OUTCOMES = ['released', 'refused'];
+
+// A student collected from school before the end of the day, or an attempt
+// to collect one that the gatekeeper refused because the collector is not
+// an authorized pickup person.
+const earlyDismissalSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: [true, 'Student is required']
+  },
+  // Midnight of the day of the dismissal, used for per-day lookups
+  day: {
+    type: Date,
+    required: [true, 'Dismissal day is required']
+  },
+  time: {
+    type: Date,
+    default: Date.now
+  },
+  outcome: {
+    type: String,
+    enum: DISMISSAL_OUTCOMES,
+    required: [true, 'Outcome is required']
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Reason cannot exceed 200 characters'],
+    default: ''
+  },
+  // The authorized pickup person who collected the student; null when the
+  // collector is not on the student's list
+  pickupPerson: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PickupPerson',
+    default: null
+  },
+  // The collector as they were at the gate, kept even if the pickup person changes later
+  collector: {
+    name: { type: String, trim: true, required: [true, 'Collector name is required'] },
+    relationship: { type: String, trim: true, default: '' },
+    idNumber: { type: String, trim: true, uppercase: true, default: '' }
+  },
+  // Whether the gatekeeper checked the collector's ID against the one on file
+  idVerified: {
+    type: Boolean,
+    default: false
+  },
+  // Why the collector was refused
+  refusalReason: {
+    type: String,
+    default: null
+  },
+  gatekeeper: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  },
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    default: null
+  },
+  parentNotified: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+earlyDismissalSchema.index({ day: -1, outcome: 1 });
+earlyDismissalSchema.index({ student: 1, day: -1 });
+
+const EarlyDismissal = mongoose.model('EarlyDismissal', earlyDismissalSchema);
+
+export default EarlyDismissal;
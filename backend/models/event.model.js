@@ -0,0 +1,100 @@
+import mongoose from 'mongoose';
+
+export const EVENT_TYPES = ['sports', 'exam', 'assembly', 'field_trip', 'club', 'other'];
+
+// A school activity outside the daily gate flow that takes its own attendance,
+// such as a practice, an exam sitting, an assembly or a field trip
+const eventSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Event name is required'],
+    trim: true,
+    maxlength: [100, 'Event name cannot exceed 100 characters']
+  },
+  type: {
+    type: String,
+    enum: {
+      values: EVENT_TYPES,
+      message: `Type must be one of: ${EVENT_TYPES.join(', ')}`
+    },
+    default: 'other'
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters'],
+    default: ''
+  },
+  startTime: {
+    type: Date,
+    required: [true, 'Start time is required']
+  },
+  endTime: {
+    type: Date,
+    required: [true, 'End time is required'],
+    validate: {
+      validator: function(value) {
+        return !this.startTime || value > this.startTime;
+      },
+      message: 'End time must be after the start time'
+    }
+  },
+  // Check-in opens this long before the start; check-ins after the grace period are late
+  checkInOpensMinutes: {
+    type: Number,
+    min: [0, 'Check-in cannot open after the start'],
+    max: [240, 'Check-in cannot open more than 4 hours early'],
+    default: 30
+  },
+  lateAfterMinutes: {
+    type: Number,
+    min: [0, 'Grace period cannot be negative'],
+    max: [240, 'Grace period cannot exceed 4 hours'],
+    default: 5
+  },
+  // Registered location the event is held at, or a free-text place such as a trip destination
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    default: null
+  },
+  venue: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Venue cannot exceed 100 characters'],
+    default: ''
+  },
+  // Eligible roster: students of these sections plus these students. With
+  // neither, every active student may check in.
+  sections: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Section'
+  }],
+  students: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student'
+  }],
+  // Most students that can check in; null for no limit
+  capacity: {
+    type: Number,
+    min: [1, 'Capacity must be at least 1'],
+    default: null
+  },
+  cancelledAt: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+eventSchema.index({ startTime: 1, endTime: 1 });
+
+const Event = mongoose.model('Event', eventSchema);
+
+export default Event;
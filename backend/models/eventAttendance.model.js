@@ -0,0 +1,64 @@
+import mongoose from 'mongoose';
+
+export const EVENT_ATTENDANCE_STATUSES = ['present', 'late', 'excused'];
+
+// A student's check-in at an event. Students on the roster without one are
+// no-shows once the event has ended. Kept apart from AttendanceRecord, which
+// is the gate attendance for the whole day.
+const eventAttendanceSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: [true, 'Event is required']
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: [true, 'Student is required']
+  },
+  status: {
+    type: String,
+    enum: {
+      values: EVENT_ATTENDANCE_STATUSES,
+      message: `Status must be one of: ${EVENT_ATTENDANCE_STATUSES.join(', ')}`
+    },
+    required: [true, 'Status is required']
+  },
+  minutesLate: {
+    type: Number,
+    default: 0
+  },
+  checkedInAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Scanned from the student's QR code or added by hand
+  method: {
+    type: String,
+    enum: ['scan', 'manual'],
+    default: 'scan'
+  },
+  device: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ScannerDevice',
+    default: null
+  },
+  deviceInfo: {
+    type: String,
+    default: null
+  },
+  markedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+eventAttendanceSchema.index({ event: 1, student: 1 }, { unique: true });
+eventAttendanceSchema.index({ student: 1, checkedInAt: -1 });
+
+const EventAttendance = mongoose.model('EventAttendance', eventAttendanceSchema);
+
+export default EventAttendance;
@@ -0,0 +1,117 @@
+import mongoose from 'mongoose';
+
+export const LEAVE_CATEGORIES = ['medical', 'family', 'school_activity', 'religious', 'other'];
+export const LEAVE_STATUSES = ['pending', 'approved', 'rejected'];
+
+// A supporting document uploaded with a request, stored under uploads/
+const leaveDocumentSchema = new mongoose.Schema({
+  path: {
+    type: String,
+    required: true
+  },
+  originalName: {
+    type: String,
+    default: null
+  },
+  mimeType: {
+    type: String,
+    default: null
+  },
+  size: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+// A request to excuse a student for one or more days. Once approved, the
+// student's school days in the range are recorded as excused rather than absent.
+const leaveRequestSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: [true, 'Student is required']
+  },
+  // Both dates are midnight of the first and last day the leave covers
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required'],
+    validate: {
+      validator: function(value) {
+        return !this.startDate || value >= this.startDate;
+      },
+      message: 'End date cannot be before start date'
+    }
+  },
+  category: {
+    type: String,
+    enum: {
+      values: LEAVE_CATEGORIES,
+      message: 'Category must be one of: medical, family, school_activity, religious, other'
+    },
+    required: [true, 'Reason category is required']
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters'],
+    default: ''
+  },
+  document: {
+    type: leaveDocumentSchema,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: {
+      values: LEAVE_STATUSES,
+      message: 'Status must be one of: pending, approved, rejected'
+    },
+    default: 'pending'
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  reviewNote: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Made by a roll call that marked the student excused for the one day
+  fromRollCall: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+leaveRequestSchema.index({ student: 1, startDate: 1, endDate: 1 });
+leaveRequestSchema.index({ status: 1, startDate: 1 });
+
+/**
+ * Find approved leave covering a day
+ * @param {Date} day - Midnight of the day
+ * @returns {Query} Approved requests whose range includes the day
+ */
+leaveRequestSchema.statics.findApprovedOn = function(day) {
+  return this.find({ status: 'approved', startDate: { $lte: day }, endDate: { $gte: day } });
+};
+
+const LeaveRequest = mongoose.model('LeaveRequest', leaveRequestSchema);
+
+export default LeaveRequest;
@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+
+export const LESSON_STATUSES = ['present', 'late', 'absent', 'excused'];
+
+// Whether a student attended one lesson of the timetable on one day. Kept apart
+// from AttendanceRecord, which is the gate attendance for the whole day.
+const lessonAttendanceSchema = new mongoose.Schema({
+  timetableEntry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TimetableEntry',
+    required: [true, 'Lesson is required']
+  },
+  // Midnight of the lesson's day, as on attendance records
+  day: {
+    type: Date,
+    required: [true, 'Lesson day is required']
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: [true, 'Student is required']
+  },
+  status: {
+    type: String,
+    enum: {
+      values: LESSON_STATUSES,
+      message: `Status must be one of: ${LESSON_STATUSES.join(', ')}`
+    },
+    required: [true, 'Status is required']
+  },
+  minutesLate: {
+    type: Number,
+    default: 0
+  },
+  // Scanned in class or taken by roll call
+  method: {
+    type: String,
+    enum: ['scan', 'roll_call'],
+    default: 'roll_call'
+  },
+  markedAt: {
+    type: Date,
+    default: Date.now
+  },
+  markedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+lessonAttendanceSchema.index({ timetableEntry: 1, day: 1, student: 1 }, { unique: true });
+lessonAttendanceSchema.index({ day: 1, status: 1 });
+lessonAttendanceSchema.index({ student: 1, day: 1 });
+
+const LessonAttendance = mongoose.model('LessonAttendance', lessonAttendanceSchema);
+
+export default LessonAttendance;
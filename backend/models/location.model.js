@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+
+export const LOCATION_TYPES = ['gate', 'building', 'zone'];
+
+// Which way a scanner at the location counts people: 'both' toggles between
+// entry and exit as the main entrance always has
+export const LOCATION_DIRECTIONS = ['entry', 'exit', 'both'];
+
+// A place on campus where attendance is scanned. Scans name one of these
+// instead of a free-text location so reports can break attendance down by gate.
+const locationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Location name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [60, 'Location name cannot exceed 60 characters']
+  },
+  type: {
+    type: String,
+    enum: {
+      values: LOCATION_TYPES,
+      message: `Type must be one of: ${LOCATION_TYPES.join(', ')}`
+    },
+    default: 'gate'
+  },
+  direction: {
+    type: String,
+    enum: {
+      values: LOCATION_DIRECTIONS,
+      message: `Direction must be one of: ${LOCATION_DIRECTIONS.join(', ')}`
+    },
+    default: 'both'
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Inactive locations are kept for the scans already recorded at them but
+  // cannot be scanned at
+  active: {
+    type: Boolean,
+    default: true
+  },
+  // Used for scans that do not name a location
+  isDefault: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+locationSchema.index({ active: 1, type: 1, name: 1 });
+
+const Location = mongoose.model('Location', locationSchema);
+
+export default Location;
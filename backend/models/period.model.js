@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+
+const TIME_FORMAT = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// One slot of the school's bell schedule, such as Period 1 from 07:50 to 08:30.
+// Periods are the same on every school day; the timetable fills them per section.
+const periodSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Period name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [30, 'Period name cannot exceed 30 characters']
+  },
+  startTime: {
+    type: String,
+    required: [true, 'Start time is required'],
+    match: [TIME_FORMAT, 'Start time must be in HH:mm format']
+  },
+  endTime: {
+    type: String,
+    required: [true, 'End time is required'],
+    match: [TIME_FORMAT, 'End time must be in HH:mm format'],
+    validate: {
+      // HH:mm strings compare in time order
+      validator: function(endTime) {
+        return !this.startTime || endTime > this.startTime;
+      },
+      message: 'End time must be after the start time'
+    }
+  }
+}, {
+  timestamps: true
+});
+
+periodSchema.index({ startTime: 1 });
+
+const Period = mongoose.model('Period', periodSchema);
+
+export default Period;
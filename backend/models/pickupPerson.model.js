@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+
+export const PICKUP_ID_TYPES = ['national_id', 'passport', 'driving_licence', 'other'];
+
+// Someone a student's parents allow to collect the student from school. The
+// photo and ID details let the gatekeeper check the person at the gate.
+const pickupPersonSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: [true, 'Student is required'],
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  // How the person is related to the student, e.g. Mother or Driver
+  relationship: {
+    type: String,
+    required: [true, 'Relationship is required'],
+    trim: true,
+    maxlength: [50, 'Relationship cannot exceed 50 characters']
+  },
+  phone: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  idType: {
+    type: String,
+    enum: {
+      values: PICKUP_ID_TYPES,
+      message: `ID type must be one of: ${PICKUP_ID_TYPES.join(', ')}`
+    },
+    default: 'national_id'
+  },
+  idNumber: {
+    type: String,
+    required: [true, 'ID number is required'],
+    trim: true,
+    uppercase: true,
+    maxlength: [50, 'ID number cannot exceed 50 characters']
+  },
+  // Photo uploaded with the person, stored under uploads/
+  photo: {
+    path: { type: String },
+    mimeType: { type: String }
+  },
+  // Persons who may no longer collect the student are kept for the dismissal log
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+const PickupPerson = mongoose.model('PickupPerson', pickupPersonSchema);
+
+export default PickupPerson;
@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+
+// A key that signs the tokens in student and staff QR codes. New codes are
+// signed with the current key; codes signed with an older key keep working
+// until that key is retired, so keys can be rotated without reprinting every
+// card at once.
+const qrSigningKeySchema = new mongoose.Schema({
+  // Key id carried in each token, naming the key that signed it
+  kid: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // The key new codes are signed with; only one key is current at a time
+  current: {
+    type: Boolean,
+    default: false
+  },
+  retiredAt: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+const QrSigningKey = mongoose.model('QrSigningKey', qrSigningKeySchema);
+
+export default QrSigningKey;
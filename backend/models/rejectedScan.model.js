@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+
+export const REJECTION_REASONS = ['duplicate', 'passback', 'out_of_order'];
+
+// A gate scan that the scan rules turned away, kept for review; the scan is
+// of a student's code or of a staff member's
+const rejectedScanSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    default: null,
+    required: [function() { return !this.staff; }, 'Student or staff member is required']
+  },
+  staff: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff',
+    default: null
+  },
+  // Midnight of the day of the scan, used for per-day lookups
+  day: {
+    type: Date,
+    required: [true, 'Scan day is required']
+  },
+  scannedAt: {
+    type: Date,
+    default: Date.now
+  },
+  reason: {
+    type: String,
+    enum: {
+      values: REJECTION_REASONS,
+      message: 'Reason must be one of: duplicate, passback, out_of_order'
+    },
+    required: [true, 'Reason is required']
+  },
+  message: {
+    type: String,
+    default: ''
+  },
+  // What the scan would have recorded, 'entered' or 'left'
+  attemptedStatus: {
+    type: String,
+    default: null
+  },
+  // Time of the scan it came too soon after, or of the scan that put the
+  // student on their current side of the gate
+  lastScanAt: {
+    type: Date,
+    default: null
+  },
+  scanLocation: {
+    type: String,
+    default: null
+  },
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    default: null
+  },
+  device: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ScannerDevice',
+    default: null
+  },
+  deviceInfo: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+rejectedScanSchema.index({ day: 1, reason: 1 });
+rejectedScanSchema.index({ student: 1, day: 1 });
+
+const RejectedScan = mongoose.model('RejectedScan', rejectedScanSchema);
+
+export default RejectedScan;
@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+
+// How long a scan's idempotency key is remembered; offline scanners sync well within this
+const RECEIPT_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+// The answer given to a scan sent with an idempotency key, so that a scanner
+// replaying it after a dropped connection gets the same answer instead of a
+// second entry or exit. Keys belong to the device or admin that sent them, so
+// nobody else is answered with the receipt.
+const scanReceiptSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Idempotency key is required']
+  },
+  // Who sent the scan: an enrolled device, or an admin scanning in the browser
+  device: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ScannerDevice',
+    default: null
+  },
+  admin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  },
+  // When the scan was taken up; a claim without a status code is still being processed
+  claimedAt: {
+    type: Date,
+    default: Date.now
+  },
+  statusCode: {
+    type: Number,
+    default: null
+  },
+  response: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  }
+});
+
+scanReceiptSchema.index({ key: 1, device: 1, admin: 1 }, { unique: true });
+scanReceiptSchema.index({ claimedAt: 1 }, { expireAfterSeconds: RECEIPT_TTL_SECONDS });
+
+const ScanReceipt = mongoose.model('ScanReceipt', scanReceiptSchema);
+
+export default ScanReceipt;
@@ -0,0 +1,115 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+export const DEFAULT_SCANS_PER_MINUTE = 120;
+
+// A kiosk or phone enrolled to scan attendance. It signs its scans with a
+// device token; only a hash of the token is stored, so a lost token can be
+// revoked or replaced but never read back.
+const scannerDeviceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Device name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [60, 'Device name cannot exceed 60 characters']
+  },
+  // Scans from a device bound to a location are always made there
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    default: null
+  },
+  tokenHash: {
+    type: String,
+    select: false
+  },
+  // First characters of the token, to tell tokens apart in the admin list
+  tokenPrefix: {
+    type: String,
+    default: ''
+  },
+  tokenIssuedAt: {
+    type: Date,
+    default: null
+  },
+  scansPerMinute: {
+    type: Number,
+    default: DEFAULT_SCANS_PER_MINUTE,
+    min: [1, 'Scans per minute must be at least 1'],
+    max: [1000, 'Scans per minute cannot exceed 1000']
+  },
+  enrolledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  },
+  // Health, reported by the device itself
+  lastHeartbeatAt: {
+    type: Date,
+    default: null
+  },
+  lastScanAt: {
+    type: Date,
+    default: null
+  },
+  lastIp: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  appVersion: {
+    type: String,
+    default: null
+  },
+  scanCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+scannerDeviceSchema.index({ tokenHash: 1 }, { unique: true, sparse: true });
+scannerDeviceSchema.index({ location: 1 });
+
+scannerDeviceSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Find the device a token was issued to
+ * @param {string} token - Device token as sent by the device
+ * @returns {Promise<Document|null>} The device, revoked or not
+ */
+scannerDeviceSchema.statics.findByToken = function(token) {
+  if (!token) return Promise.resolve(null);
+  return this.findOne({ tokenHash: this.hashToken(token) });
+};
+
+// Issue a new token, replacing any earlier one, and return it; it is not kept
+scannerDeviceSchema.methods.issueToken = function() {
+  const token = `qrd_${crypto.randomBytes(32).toString('hex')}`;
+  this.tokenHash = this.constructor.hashToken(token);
+  this.tokenPrefix = token.substring(0, 12);
+  this.tokenIssuedAt = new Date();
+  this.revokedAt = null;
+  this.revokedBy = null;
+  return token;
+};
+
+const ScannerDevice = mongoose.model('ScannerDevice', scannerDeviceSchema);
+
+export default ScannerDevice;
@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+
+// A class is one grade level of the school, such as Grade 10. Students are
+// never assigned to a class directly but to one of its sections.
+const schoolClassSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Class name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [50, 'Class name cannot exceed 50 characters']
+  },
+  gradeLevel: {
+    type: Number,
+    required: [true, 'Grade level is required'],
+    min: [0, 'Grade level cannot be negative'],
+    max: [20, 'Grade level cannot exceed 20'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Grade level must be a whole number'
+    }
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+schoolClassSchema.index({ gradeLevel: 1, name: 1 });
+
+const SchoolClass = mongoose.model('SchoolClass', schoolClassSchema);
+
+export default SchoolClass;
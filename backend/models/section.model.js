@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+// A section of a class, such as the B in Grade 10-B. Students belong to one
+// section, and the homeroom teacher is the staff account responsible for it.
+const sectionSchema = new mongoose.Schema({
+  schoolClass: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SchoolClass',
+    required: [true, 'Class is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Section name is required'],
+    trim: true,
+    uppercase: true,
+    maxlength: [20, 'Section name cannot exceed 20 characters']
+  },
+  homeroomTeacher: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  },
+  room: {
+    type: String,
+    trim: true,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+sectionSchema.index({ schoolClass: 1, name: 1 }, { unique: true });
+sectionSchema.index({ homeroomTeacher: 1 });
+
+/**
+ * Display label of a section, e.g. "Grade 10-B"
+ * @param {Object} section - Section with its class populated
+ * @returns {string} Class and section name
+ */
+export const formatSectionLabel = (section) => (
+  section?.schoolClass?.name ? `${section.schoolClass.name}-${section.name}` : section?.name || ''
+);
+
+const Section = mongoose.model('Section', sectionSchema);
+
+export default Section;
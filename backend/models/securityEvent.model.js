@@ -0,0 +1,93 @@
+import mongoose from 'mongoose';
+
+// revoked_code: a code replaced by a reissued one, e.g. a lost card
+// retired_key: a genuine code signed with a key that was retired
+// forged_code: a code whose signature or key does not check out
+export const SECURITY_EVENT_TYPES = ['revoked_code', 'retired_key', 'forged_code'];
+
+// A scanned QR code that was refused because it must not work any more, or
+// never did. Kept so the office can follow up on lost and copied cards.
+const securityEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: {
+      values: SECURITY_EVENT_TYPES,
+      message: 'Type must be one of: revoked_code, retired_key, forged_code'
+    },
+    required: [true, 'Type is required']
+  },
+  // Who the code belongs to; unknown for forged codes
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    default: null
+  },
+  staff: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff',
+    default: null
+  },
+  // Version and key of the scanned code, and the version that is valid now
+  codeVersion: {
+    type: Number,
+    default: null
+  },
+  currentVersion: {
+    type: Number,
+    default: null
+  },
+  kid: {
+    type: String,
+    default: null
+  },
+  legacy: {
+    type: Boolean,
+    default: false
+  },
+  message: {
+    type: String,
+    default: ''
+  },
+  // Midnight of the day of the scan, used for per-day lookups
+  day: {
+    type: Date,
+    required: [true, 'Scan day is required']
+  },
+  scannedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Where the code was scanned: 'gate' or 'lesson'
+  source: {
+    type: String,
+    default: 'gate'
+  },
+  scanLocation: {
+    type: String,
+    default: null
+  },
+  device: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ScannerDevice',
+    default: null
+  },
+  deviceInfo: {
+    type: String,
+    default: null
+  },
+  // Who was signed in on the scanner
+  scannedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+securityEventSchema.index({ day: 1, type: 1 });
+securityEventSchema.index({ student: 1, scannedAt: -1 });
+
+const SecurityEvent = mongoose.model('SecurityEvent', securityEventSchema);
+
+export default SecurityEvent;
@@ -0,0 +1,211 @@
+import mongoose from 'mongoose';
+import { DEFAULT_TIMEZONE, isValidTimezone, setSchoolTimezone, getWeekday, atTimeOfDay } from '../utils/dateUtils.js';
+
+// School hours for one day of the week (0 = Sunday ... 6 = Saturday)
+const schoolDaySchema = new mongoose.Schema({
+  weekday: {
+    type: Number,
+    required: [true, 'Weekday is required'],
+    min: [0, 'Weekday must be between 0 (Sunday) and 6 (Saturday)'],
+    max: [6, 'Weekday must be between 0 (Sunday) and 6 (Saturday)']
+  },
+  isSchoolDay: {
+    type: Boolean,
+    default: true
+  },
+  startTime: {
+    type: String,
+    match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Start time must be in HH:mm format'],
+    default: '07:30'
+  },
+  graceMinutes: {
+    type: Number,
+    min: [0, 'Grace period cannot be negative'],
+    max: [240, 'Grace period cannot exceed 240 minutes'],
+    default: 10
+  }
+}, { _id: false });
+
+// Monday to Friday from 07:30 with a 10 minute grace period
+const defaultSchoolHours = () => [0, 1, 2, 3, 4, 5, 6].map(weekday => ({
+  weekday,
+  isSchoolDay: weekday >= 1 && weekday <= 5,
+  startTime: '07:30',
+  graceMinutes: 10
+}));
+
+const settingsSchema = new mongoose.Schema({
+  // There is a single settings document for the school
+  key: {
+    type: String,
+    default: 'school',
+    unique: true,
+    immutable: true
+  },
+  // IANA timezone the school runs on; days and school hours are read in this zone
+  timezone: {
+    type: String,
+    trim: true,
+    default: DEFAULT_TIMEZONE,
+    validate: {
+      validator: isValidTimezone,
+      message: props => `${props.value} is not a valid timezone`
+    }
+  },
+  schoolHours: {
+    type: [schoolDaySchema],
+    default: defaultSchoolHours,
+    validate: {
+      validator: function(days) {
+        const weekdays = days.map(day => day.weekday);
+        return new Set(weekdays).size === weekdays.length;
+      },
+      message: 'Each weekday can only be configured once'
+    }
+  },
+  // End-of-day job that records students with no scan on a school day as absent
+  absenceMarking: {
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    time: {
+      type: String,
+      match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Absence marking time must be in HH:mm format'],
+      default: '19:00'
+    },
+    notifyParents: {
+      type: Boolean,
+      default: false
+    },
+    lastRun: {
+      type: Date,
+      default: null
+    }
+  },
+  // Rules that turn away gate scans which would flip a student in or out by mistake
+  scanRules: {
+    // Scans of a student this soon after their last one are ignored; 0 turns this off
+    minScanIntervalSeconds: {
+      type: Number,
+      min: [0, 'Minimum scan interval cannot be negative'],
+      max: [3600, 'Minimum scan interval cannot exceed an hour'],
+      default: 60
+    },
+    // Anti-passback: entry gates only let in students who are off campus and
+    // exit gates only let out students who are on campus
+    enforceDirection: {
+      type: Boolean,
+      default: false
+    }
+  },
+  // Student and staff QR codes carry a signed token; codes printed before
+  // that carry plain JSON and are accepted until this is turned on
+  qrCodes: {
+    rejectLegacy: {
+      type: Boolean,
+      default: false
+    }
+  },
+  // How the school presents itself on printed ID cards
+  branding: {
+    schoolName: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'School name cannot exceed 100 characters'],
+      default: ''
+    },
+    // Uploaded school logo, stored as PNG under uploads/branding
+    logoPath: {
+      type: String,
+      default: null
+    },
+    logoUpdatedAt: {
+      type: Date,
+      default: null
+    },
+    primaryColor: {
+      type: String,
+      match: [/^#[0-9a-fA-F]{6}$/, 'Primary color must be a hex color like #2563eb'],
+      default: '#2563eb'
+    },
+    secondaryColor: {
+      type: String,
+      match: [/^#[0-9a-fA-F]{6}$/, 'Secondary color must be a hex color like #0891b2'],
+      default: '#0891b2'
+    },
+    // How the modules of generated QR codes are drawn
+    qrModuleStyle: {
+      type: String,
+      enum: {
+        values: ['dots', 'squares'],
+        message: 'QR module style must be dots or squares'
+      },
+      default: 'dots'
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Keep the date helpers on the configured timezone whenever settings are read or saved
+const syncTimezone = (settings) => {
+  if (settings?.timezone && isValidTimezone(settings.timezone)) {
+    setSchoolTimezone(settings.timezone);
+  }
+};
+
+settingsSchema.post('save', syncTimezone);
+settingsSchema.post('findOneAndUpdate', syncTimezone);
+
+/**
+ * Get the school settings, creating them with defaults on first use
+ * @returns {Promise<Document>} The settings document
+ */
+settingsSchema.statics.getSettings = function() {
+  return this.findOneAndUpdate(
+    { key: 'school' },
+    { $setOnInsert: { key: 'school' } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Get the configured hours for a weekday, falling back to the defaults
+settingsSchema.methods.getWeekdayHours = function(weekday) {
+  return this.schoolHours.find(day => day.weekday === weekday) ||
+    defaultSchoolHours().find(day => day.weekday === weekday);
+};
+
+// Get the configured hours for the weekday a date falls on
+settingsSchema.methods.getSchoolDay = function(date = new Date()) {
+  return this.getWeekdayHours(getWeekday(date));
+};
+
+/**
+ * Work out whether an arrival is late for its weekday
+ * Minutes late are counted from the start time, once the grace period has passed
+ * @param {Date} arrivalTime - Time of the first entry of the day
+ * @param {boolean} [isSchoolDay] - Overrides the weekly schedule, e.g. for calendar holidays or make-up days
+ * @returns {Object} isLate and minutesLate
+ */
+settingsSchema.methods.getLateness = function(arrivalTime = new Date(), isSchoolDay) {
+  const schoolDay = this.getSchoolDay(arrivalTime);
+
+  if (!schoolDay || !(isSchoolDay ?? schoolDay.isSchoolDay)) {
+    return { isLate: false, minutesLate: 0 };
+  }
+
+  const startTime = atTimeOfDay(arrivalTime, schoolDay.startTime);
+
+  const minutesAfterStart = Math.floor((arrivalTime - startTime) / (1000 * 60));
+
+  if (minutesAfterStart <= schoolDay.graceMinutes) {
+    return { isLate: false, minutesLate: 0 };
+  }
+
+  return { isLate: true, minutesLate: minutesAfterStart };
+};
+
+const Settings = mongoose.model('Settings', settingsSchema);
+
+export default Settings;
@@ -0,0 +1,79 @@
+import mongoose from 'mongoose';
+
+export const STAFF_TYPES = ['teacher', 'non_academic'];
+
+// A teacher or non-academic staff member who clocks in and out at the gates
+// with their own QR code. Staff are kept apart from students, and their
+// records are only open to admins.
+const staffSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  staffId: {
+    type: String,
+    required: [true, 'Staff ID is required'],
+    unique: true,
+    trim: true,
+    uppercase: true,
+    maxlength: [30, 'Staff ID cannot exceed 30 characters']
+  },
+  type: {
+    type: String,
+    enum: {
+      values: STAFF_TYPES,
+      message: `Type must be one of: ${STAFF_TYPES.join(', ')}`
+    },
+    default: 'teacher'
+  },
+  department: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  position: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: ''
+  },
+  phone: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Inactive staff keep their hours but their QR code no longer scans
+  status: {
+    type: String,
+    enum: ['active', 'inactive'],
+    default: 'active'
+  },
+  qrCode: {
+    type: String,
+    default: null
+  },
+  // Version of the staff member's QR code; raising it revokes the codes issued before
+  qrVersion: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  // Key id of the key that signed the current QR code; null for a legacy code
+  qrKid: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+const Staff = mongoose.model('Staff', staffSchema);
+
+export default Staff;
@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+
+// One stretch on campus between clocking in and clocking out
+const staffSessionSchema = new mongoose.Schema({
+  entryTime: {
+    type: Date,
+    default: null
+  },
+  leaveTime: {
+    type: Date,
+    default: null
+  },
+  scanLocation: {
+    type: String,
+    default: null
+  },
+  location: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    default: null
+  },
+  exitLocation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    default: null
+  }
+}, { _id: false });
+
+// A staff member's clock-ins for a day. Sessions are shaped like a student's
+// attendance record so that the gate scan rules apply to both.
+const staffAttendanceSchema = new mongoose.Schema({
+  staff: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff',
+    required: [true, 'Staff member is required']
+  },
+  // Midnight of the day this record belongs to
+  day: {
+    type: Date,
+    required: [true, 'Attendance day is required']
+  },
+  // First clock-in and, once off campus, last clock-out of the day
+  entryTime: {
+    type: Date,
+    default: null
+  },
+  leaveTime: {
+    type: Date,
+    default: null
+  },
+  sessions: {
+    type: [staffSessionSchema],
+    default: []
+  },
+  device: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ScannerDevice',
+    default: null
+  },
+  deviceInfo: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+staffAttendanceSchema.index({ staff: 1, day: 1 }, { unique: true });
+staffAttendanceSchema.index({ day: 1 });
+
+const StaffAttendance = mongoose.model('StaffAttendance', staffAttendanceSchema);
+
+export default StaffAttendance;
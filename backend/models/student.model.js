@@ -1,5 +1,15 @@
 import mongoose from 'mongoose'
 import validator from 'validator'
+import AttendanceRecord from './attendanceRecord.model.js'
+import AttendanceRevision from './attendanceRevision.model.js'
+import Settings from './settings.model.js'
+import { loadSchoolCalendar } from '../services/calendar.service.js'
+import { PRESENT_STATUSES, summarizeAttendance, calculateStudentStats } from '../services/attendanceStats.service.js'
+import { snapshotRecord, recordRevisions, restoreRecord } from '../services/attendanceAudit.service.js'
+import { startOfDay, endOfDay, parseDateParam } from '../utils/dateUtils.js'
+
+// Why a QR code was issued; 'issued' is the first code of a new student
+export const QR_ISSUE_REASONS = ['issued', 'lost', 'stolen', 'damaged', 'key_rotation', 'other']
 
 const studentSchema = new mongoose.Schema({
   name: {
@@ -80,52 +90,84 @@ const studentSchema = new mongoose.Schema({
     },
     default: 0 // Default for QR scans
   },
+  // Section of a class the student belongs to, e.g. Grade 10-B
+  section: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Section',
+    default: null,
+    index: true
+  },
   qrCode: {
     type: String,
     required: false
   },
-  attendanceCount: {
+  // Version of the student's QR code; raising it revokes the codes issued before
+  qrVersion: {
     type: Number,
-    default: 0,
-    min: [0, 'Attendance count cannot be negative']
+    default: 1,
+    min: 1
   },
-  attendanceHistory: [{
-    date: { 
-      type: Date, 
-      default: Date.now,
+  // Key id of the key that signed the current QR code; null for a legacy code
+  qrKid: {
+    type: String,
+    default: null
+  },
+  // Every QR code issued to the student, oldest first. Codes with a lower
+  // version than qrVersion are revoked.
+  qrHistory: [{
+    version: {
+      type: Number,
       required: true
     },
-    status: { 
-      type: String, 
+    kid: {
+      type: String,
+      default: null
+    },
+    reason: {
+      type: String,
       enum: {
-        values: ['present', 'absent', 'left', 'entered'],
-        message: 'Status must be one of: present, absent, left, entered'
+        values: QR_ISSUE_REASONS,
+        message: `Reason must be one of: ${QR_ISSUE_REASONS.join(', ')}`
       },
-      default: 'entered',
       required: true
     },
-    entryTime: { 
-      type: Date,
-      default: null
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Note cannot exceed 200 characters'],
+      default: ''
     },
-    leaveTime: { 
+    issuedAt: {
       type: Date,
-      default: null
+      default: Date.now
     },
-    verifiedBy: {
+    issuedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Admin',
       default: null
-    },
-    scanLocation: {
+    }
+  }],
+  // Photo shown to the gatekeeper on every scan, resized on upload, and its
+  // thumbnail for lists
+  photo: {
+    path: {
       type: String,
-      default: 'Main Entrance'
+      default: null
     },
-    deviceInfo: {
+    thumbnailPath: {
       type: String,
       default: null
+    },
+    updatedAt: {
+      type: Date,
+      default: null
     }
-  }],
+  },
+  attendanceCount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Attendance count cannot be negative']
+  },
   status: {
     type: String,
     enum: {
@@ -193,130 +235,149 @@ studentSchema.pre('save', function(next) {
   next();
 });
 
-// Index for attendance history dates
-studentSchema.index({ 'attendanceHistory.date': 1 });
-
-// Virtual for calculating attendance percentage
-studentSchema.virtual('calculateAttendancePercentage').get(function() {
-  if (this.attendanceHistory.length === 0) return 0;
-  const presentCount = this.attendanceHistory.filter(record => record.status === 'present').length;
-  return (presentCount / this.attendanceHistory.length) * 100;
+// Attendance records live in their own collection; populate this to get them
+studentSchema.virtual('attendanceHistory', {
+  ref: 'AttendanceRecord',
+  localField: '_id',
+  foreignField: 'student',
+  options: { sort: { date: 1 } }
 });
 
-// Method to mark attendance
-studentSchema.methods.markAttendance = async function(status, adminId = null, deviceInfo = null, scanLocation = 'Main Entrance') {
-  const now = new Date();
-  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+// Recalculate the attendance count, percentage and last attendance from the records
+// What counts as present is defined once, in the attendance stats service
+studentSchema.methods.refreshAttendanceStats = async function() {
+  const stats = await calculateStudentStats(this);
+  this.attendanceCount = stats.attendanceCount;
+  this.attendancePercentage = stats.attendancePercentage;
+  this.lastAttendance = stats.lastAttendance;
+  return stats;
+};
+
+// Flag a record as late when its first entry falls after the grace period
+// Holidays and closures are never late, make-up days use that weekday's hours
+const applyLateness = async (record, arrivalTime) => {
+  const [settings, calendar] = await Promise.all([
+    Settings.getSettings(),
+    loadSchoolCalendar(arrivalTime, endOfDay(arrivalTime))
+  ]);
+  const { isLate, minutesLate } = settings.getLateness(arrivalTime, calendar.isSchoolDay(arrivalTime));
+  record.isLate = isLate;
+  record.minutesLate = minutesLate;
+};
+
+// Method to mark attendance; locationId is the registered location scanLocation names, if any,
+// and scanTime when the scan was taken, which is earlier for scans synced by an offline scanner
+studentSchema.methods.markAttendance = async function(status, adminId = null, deviceInfo = null, scanLocation = 'Main Entrance', locationId = null, scanTime = new Date()) {
+  const now = scanTime;
+  const today = startOfDay(now);
   
-  // Find index of today's attendance record if it exists
-  const todayAttendanceIndex = this.attendanceHistory.findIndex(
-    record => record.date.toDateString() === today.toDateString()
+  // Find today's attendance record, creating it if there is none; records are
+  // unique per student and day, so two scans at once share one record
+  const { value: todayRecord, lastErrorObject } = await AttendanceRecord.findOneAndUpdate(
+    { student: this._id, day: today },
+    {
+      $setOnInsert: {
+        date: now,
+        status: status,
+        verifiedBy: adminId,
+        scanLocation: scanLocation || 'Main Entrance',
+        location: locationId,
+        deviceInfo: deviceInfo
+      }
+    },
+    { upsert: true, new: true, includeResultMetadata: true }
   );
 
-  // If no attendance record exists for today, create a new one
-  if (todayAttendanceIndex === -1) {
-    // Create a new attendance record with both entry and leave time fields
-    const newRecord = {
-      date: now,
-      status: status,
-      verifiedBy: adminId,
-      scanLocation: scanLocation || 'Main Entrance',
-      deviceInfo: deviceInfo,
-      entryTime: null,
-      leaveTime: null
-    };
-    
+  // If the record was just created, start its session list
+  if (!lastErrorObject?.updatedExisting) {
     // Set appropriate time based on status
     if (status === 'entered' || status === 'present') {
-      newRecord.entryTime = now;
-      
-      if (status === 'present') {
-        this.attendanceCount += 1;
-      }
+      todayRecord.recordEntry(now, scanLocation, locationId);
+      await applyLateness(todayRecord, now);
     } else if (status === 'left') {
-      newRecord.leaveTime = now;
+      todayRecord.recordExit(now, scanLocation, locationId);
     }
     
-    this.attendanceHistory.push(newRecord);
+    await todayRecord.save();
   } 
-  // If an attendance record for today already exists, update it
+  // If an attendance record for today already exists, add to its sessions
   else {
-    const todayRecord = this.attendanceHistory[todayAttendanceIndex];
-    
-    // Update the record based on the current status
     if (status === 'left') {
-      todayRecord.leaveTime = now;
+      todayRecord.recordExit(now, scanLocation, locationId);
       todayRecord.status = status;
     } 
     else if (status === 'entered' || status === 'present') {
+      // Only check lateness once, on the first entry
       if (!todayRecord.entryTime) {
-        todayRecord.entryTime = now;
-      }
-      
-      // Only update status if we're not overwriting a 'left' status with 'entered'
-      // This ensures that if a student has already left, we don't change status back to entered
-      if (todayRecord.status !== 'left') {
-        todayRecord.status = status;
-      }
-      
-      if (status === 'present' && !todayRecord.leaveTime) {
-        this.attendanceCount += 1;
+        await applyLateness(todayRecord, now);
       }
+
+      // A re-entry after leaving opens a new session
+      todayRecord.recordEntry(now, scanLocation, locationId);
+      todayRecord.status = status;
     }
     
     // Update additional fields regardless of status
     todayRecord.verifiedBy = adminId || todayRecord.verifiedBy;
-    if (scanLocation) todayRecord.scanLocation = scanLocation;
+    if (scanLocation) {
+      todayRecord.scanLocation = scanLocation;
+      todayRecord.location = locationId;
+    }
     if (deviceInfo) todayRecord.deviceInfo = deviceInfo;
+
+    await todayRecord.save();
   }
 
-  // Update last attendance
-  this.lastAttendance = now;
-  
-  // Update attendance percentage - consider 'entered' and 'present' as present
-  const totalRecords = this.attendanceHistory.length;
-  const presentRecords = this.attendanceHistory.filter(record => 
-    record.status === 'present' || record.status === 'entered'
-  ).length;
-  
-  this.attendancePercentage = totalRecords > 0 
-    ? (presentRecords / totalRecords) * 100 
-    : 0;
+  // Count, percentage and last attendance follow the records; a scan synced
+  // late from an offline scanner never moves the last attendance back
+  await this.refreshAttendanceStats();
 
   await this.save();
   return this;
 };
 
-// Method to get attendance statistics
-studentSchema.methods.getAttendanceStats = function(startDate, endDate) {
-  const records = this.attendanceHistory.filter(record => 
-    record.date >= startDate && record.date <= endDate
-  );
+// Method to get attendance statistics, counted over school days only
+studentSchema.methods.getAttendanceStats = async function(startDate, endDate) {
+  const start = startOfDay(startDate);
+  const end = endOfDay(endDate);
+  const calendar = await loadSchoolCalendar(start, end);
 
-  const stats = {
-    total: records.length,
-    present: 0,
-    absent: 0,
-    percentage: 0
+  const records = await AttendanceRecord.find({ student: this._id, day: { $gte: start, $lte: end } })
+    .select('day date status isLate')
+    .lean();
+  const summary = summarizeAttendance(calendar, records, start, end);
+
+  return {
+    total: summary.schoolDays,
+    present: summary.present,
+    late: summary.late,
+    excused: summary.excused,
+    absent: summary.absent,
+    percentage: summary.percentage
   };
+};
 
-  records.forEach(record => {
-    switch(record.status) {
-      case 'present': stats.present++; break;
-      case 'absent': stats.absent++; break;
-    }
-  });
+// Method to clear all attendance history
+// Records are soft deleted, each with a revision, so they can be restored
+studentSchema.methods.clearAttendanceHistory = async function(adminId = null, reason) {
+  const records = await AttendanceRecord.find({ student: this._id });
+  const deletedAt = new Date();
 
-  stats.percentage = stats.total > 0 
-    ? (stats.present / stats.total) * 100 
-    : 0;
+  const changes = records.map(record => {
+    const before = snapshotRecord(record);
+    record.deletedAt = deletedAt;
+    record.deletedBy = adminId;
+    return { record, action: 'delete', before, after: snapshotRecord(record) };
+  });
 
-  return stats;
-};
+  await AttendanceRecord.bulkWrite(records.map(record => ({
+    updateOne: {
+      filter: { _id: record._id },
+      update: { $set: { deletedAt, deletedBy: adminId } }
+    }
+  })), { ordered: false });
+  await recordRevisions(changes, { reason, adminId });
 
-// Method to clear all attendance history
-studentSchema.methods.clearAttendanceHistory = async function() {
-  this.attendanceHistory = [];
   this.attendanceCount = 0;
   this.attendancePercentage = 0;
   this.lastAttendance = null;
@@ -325,120 +386,134 @@ studentSchema.methods.clearAttendanceHistory = async function() {
 };
 
 // Method to delete a specific attendance record
-studentSchema.methods.deleteAttendanceRecord = async function(recordId) {
-  // Find the record index
-  const recordIndex = this.attendanceHistory.findIndex(
-    record => record._id.toString() === recordId
-  );
-  
-  if (recordIndex === -1) {
+// The record is soft deleted and a revision keeps what it held
+studentSchema.methods.deleteAttendanceRecord = async function(recordId, adminId = null, reason) {
+  if (!mongoose.Types.ObjectId.isValid(recordId)) {
     throw new Error('Attendance record not found');
   }
+
+  const deletedRecord = await AttendanceRecord.findOne({
+    _id: recordId,
+    student: this._id
+  });
   
-  // Get the record to be deleted
-  const deletedRecord = this.attendanceHistory[recordIndex];
+  if (!deletedRecord) {
+    throw new Error('Attendance record not found');
+  }
+
+  const before = snapshotRecord(deletedRecord);
+  deletedRecord.deletedAt = new Date();
+  deletedRecord.deletedBy = adminId;
+  await deletedRecord.save();
+  await recordRevisions([{ record: deletedRecord, action: 'delete', before, after: snapshotRecord(deletedRecord) }], { reason, adminId });
   
-  // Remove the record
-  this.attendanceHistory.splice(recordIndex, 1);
+  // Recalculate the stats from the remaining records
+  await this.refreshAttendanceStats();
   
-  // Update attendance count if necessary
-  if (deletedRecord.status === 'present' || deletedRecord.status === 'entered') {
-    this.attendanceCount = Math.max(0, this.attendanceCount - 1);
+  await this.save();
+  return { deletedRecord, updatedStudent: this };
+};
+
+// Method to put an attendance record back into the state it had before a revision
+// Without a revisionId the latest revision of the record is undone
+studentSchema.methods.restoreAttendanceRecord = async function(recordId, revisionId = null, adminId = null, reason) {
+  if (!mongoose.Types.ObjectId.isValid(recordId) || (revisionId && !mongoose.Types.ObjectId.isValid(revisionId))) {
+    throw new Error('Attendance record not found');
   }
-  
-  // Recalculate attendance percentage
-  if (this.attendanceHistory.length > 0) {
-    const presentCount = this.attendanceHistory.filter(
-      record => record.status === 'present' || record.status === 'entered'
-    ).length;
-    this.attendancePercentage = (presentCount / this.attendanceHistory.length) * 100;
-  } else {
-    this.attendancePercentage = 0;
+
+  const record = await AttendanceRecord.findOne({ _id: recordId, student: this._id })
+    .setOptions({ withDeleted: true });
+  if (!record) {
+    throw new Error('Attendance record not found');
   }
-  
-  // Update last attendance if needed
-  if (this.attendanceHistory.length > 0) {
-    // Sort by date descending and take the first one
-    const sortedHistory = [...this.attendanceHistory].sort(
-      (a, b) => new Date(b.date) - new Date(a.date)
-    );
-    this.lastAttendance = sortedHistory[0].date;
-  } else {
-    this.lastAttendance = null;
+
+  const revision = revisionId
+    ? await AttendanceRevision.findOne({ _id: revisionId, record: record._id })
+    : await AttendanceRevision.findOne({ record: record._id }).sort({ createdAt: -1, _id: -1 });
+  if (!revision) {
+    throw new Error('Revision not found');
   }
-  
+
+  const restoreRevision = await restoreRecord(record, revision, { reason, adminId });
+  await this.refreshAttendanceStats();
+
   await this.save();
-  return { deletedRecord, updatedStudent: this };
+  return { record, revision: restoreRevision, updatedStudent: this };
 };
 
+// Fields the attendance history can be sorted by
+const HISTORY_SORT_FIELDS = ['date', 'status', 'entryTime', 'leaveTime', 'scanLocation'];
+
 // Method to get filtered attendance history with pagination
-studentSchema.methods.getFilteredAttendanceHistory = function(options = {}) {
+studentSchema.methods.getFilteredAttendanceHistory = async function(options = {}) {
   const { 
     startDate = null, 
     endDate = null, 
     limit = null, 
     offset = 0, 
     sortBy = 'date', 
-    sortOrder = 'desc' 
+    sortOrder = 'desc',
+    includeDeleted = false
   } = options;
   
-  let filteredHistory = [...this.attendanceHistory];
+  const query = { student: this._id };
   
   // Apply date filters
-  if (startDate) {
-    const start = new Date(startDate);
-    filteredHistory = filteredHistory.filter(record => 
-      new Date(record.date) >= start
-    );
-  }
-  
-  if (endDate) {
-    const end = new Date(endDate);
-    end.setHours(23, 59, 59, 999); // End of the day
-    filteredHistory = filteredHistory.filter(record => 
-      new Date(record.date) <= end
-    );
+  if (startDate || endDate) {
+    query.date = {};
+    if (startDate) query.date.$gte = startOfDay(parseDateParam(startDate));
+    if (endDate) query.date.$lte = endOfDay(parseDateParam(endDate)); // End of the day
   }
   
   // Apply sorting
   const order = sortOrder === 'asc' ? 1 : -1;
+  const sortField = HISTORY_SORT_FIELDS.includes(sortBy) ? sortBy : 'date';
   
-  filteredHistory.sort((a, b) => {
-    if (sortBy === 'date') {
-      return order * (new Date(a.date) - new Date(b.date));
-    }
-    if (a[sortBy] < b[sortBy]) return -1 * order;
-    if (a[sortBy] > b[sortBy]) return 1 * order;
-    return 0;
-  });
-  
-  // Get total count before pagination
-  const totalCount = filteredHistory.length;
+  // Deleted records are only listed when asked for and never count in the stats
+  const listOptions = { withDeleted: Boolean(includeDeleted) };
+  let recordsQuery = AttendanceRecord.find(query).setOptions(listOptions).sort({ [sortField]: order, _id: order });
   
   // Apply pagination
-  let paginatedHistory = filteredHistory;
-  if (limit !== null) {
-    const start = parseInt(offset, 10) || 0;
-    const size = parseInt(limit, 10);
-    paginatedHistory = filteredHistory.slice(start, start + size);
+  if (limit !== null && limit !== undefined) {
+    recordsQuery = recordsQuery
+      .skip(parseInt(offset, 10) || 0)
+      .limit(parseInt(limit, 10));
   }
   
+  const [records, filteredCount, totalCount, presentCount, absentCount, excusedCount] = await Promise.all([
+    recordsQuery.lean(),
+    AttendanceRecord.countDocuments(query).setOptions(listOptions),
+    AttendanceRecord.countDocuments({ student: this._id }),
+    AttendanceRecord.countDocuments({ student: this._id, status: { $in: PRESENT_STATUSES } }),
+    AttendanceRecord.countDocuments({ student: this._id, status: 'absent' }),
+    AttendanceRecord.countDocuments({ student: this._id, status: 'excused' })
+  ]);
+  
   // Calculate statistics
   const stats = {
-    totalCount: this.attendanceHistory.length,
-    filteredCount: totalCount,
-    presentCount: this.attendanceHistory.filter(r => r.status === 'present' || r.status === 'entered').length,
-    absentCount: this.attendanceHistory.filter(r => r.status === 'absent').length,
+    totalCount,
+    filteredCount,
+    presentCount,
+    absentCount,
+    excusedCount,
     attendancePercentage: this.attendancePercentage
   };
   
   return {
-    records: paginatedHistory,
-    totalRecords: totalCount,
+    records,
+    totalRecords: filteredCount,
     stats
   };
 };
 
+// Remove attendance records and their revisions together with the student
+studentSchema.post('findOneAndDelete', async function(doc) {
+  if (doc) {
+    await AttendanceRecord.deleteMany({ student: doc._id });
+    await AttendanceRevision.deleteMany({ student: doc._id });
+  }
+});
+
 const Student = mongoose.model('Student', studentSchema);
 
 export default Student;
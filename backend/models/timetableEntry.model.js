@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+// A lesson in the weekly timetable: what a section has in one period of one
+// weekday, who teaches it and where.
+const timetableEntrySchema = new mongoose.Schema({
+  section: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Section',
+    required: [true, 'Section is required']
+  },
+  // 0 = Sunday ... 6 = Saturday, as in the school hours settings
+  weekday: {
+    type: Number,
+    required: [true, 'Weekday is required'],
+    min: [0, 'Weekday must be between 0 (Sunday) and 6 (Saturday)'],
+    max: [6, 'Weekday must be between 0 (Sunday) and 6 (Saturday)']
+  },
+  period: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Period',
+    required: [true, 'Period is required']
+  },
+  subject: {
+    type: String,
+    required: [true, 'Subject is required'],
+    trim: true,
+    maxlength: [60, 'Subject cannot exceed 60 characters']
+  },
+  teacher: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  },
+  room: {
+    type: String,
+    trim: true,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+timetableEntrySchema.index({ section: 1, weekday: 1, period: 1 }, { unique: true });
+timetableEntrySchema.index({ teacher: 1, weekday: 1 });
+timetableEntrySchema.index({ weekday: 1, period: 1 });
+
+const TimetableEntry = mongoose.model('TimetableEntry', timetableEntrySchema);
+
+export default TimetableEntry;
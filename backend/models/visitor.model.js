@@ -0,0 +1,112 @@
+import mongoose from 'mongoose';
+
+export const VISITOR_TYPES = ['parent', 'contractor', 'guest', 'other'];
+
+export const VISITOR_STATUSES = ['expected', 'on_site', 'signed_out'];
+
+// A visit to campus by a parent, contractor or guest. Visitors are
+// pre-registered or signed in as walk-ins, and carry a QR pass that is good
+// for the day of their visit only.
+const visitorSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Visitor name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  type: {
+    type: String,
+    enum: {
+      values: VISITOR_TYPES,
+      message: `Type must be one of: ${VISITOR_TYPES.join(', ')}`
+    },
+    default: 'guest'
+  },
+  phone: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  company: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Company cannot exceed 100 characters'],
+    default: ''
+  },
+  // Person on campus the visitor is here to see
+  host: {
+    type: String,
+    required: [true, 'Host is required'],
+    trim: true,
+    maxlength: [100, 'Host cannot exceed 100 characters']
+  },
+  purpose: {
+    type: String,
+    required: [true, 'Purpose of the visit is required'],
+    trim: true,
+    maxlength: [200, 'Purpose cannot exceed 200 characters']
+  },
+  status: {
+    type: String,
+    enum: VISITOR_STATUSES,
+    default: 'expected'
+  },
+  // Day of the visit; the pass stops working at the end of it
+  visitDate: {
+    type: Date,
+    required: [true, 'Visit date is required']
+  },
+  passCode: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  passExpiresAt: {
+    type: Date,
+    required: true
+  },
+  signedInAt: {
+    type: Date,
+    default: null
+  },
+  signedInLocation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    default: null
+  },
+  signedOutAt: {
+    type: Date,
+    default: null
+  },
+  signedOutLocation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Location',
+    default: null
+  },
+  // How the visitor signed out: their pass scanned at the gate, or by hand
+  signOutMethod: {
+    type: String,
+    enum: ['scan', 'manual', null],
+    default: null
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters'],
+    default: ''
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+visitorSchema.index({ status: 1, visitDate: 1 });
+visitorSchema.index({ visitDate: -1 });
+
+const Visitor = mongoose.model('Visitor', visitorSchema);
+
+export default Visitor;
@@ -2,13 +2,16 @@ import express from 'express';
 import multer from 'multer';
 import path from 'path';
 import rateLimit from 'express-rate-limit';
-import { protect } from '../middleware/authMiddleware.js';
+import { protect, restrictTo } from '../middleware/authMiddleware.js';
 import { validateAdminInput } from '../middleware/validationMiddleware.js';
 import { validateStudentInput } from '../middleware/validationMiddleware.js';
+import { resolveClassFilter } from '../middleware/classFilterMiddleware.js';
 import {
   registerAdmin,
   loginAdmin,
   getAdminDetails,
+  getAdminAccounts,
+  updateAdminRole,
   getStudents,
   markStudentAttendance,
   updateStudent,
@@ -37,9 +40,156 @@ import {
   logoutAdmin,
   clearStudentAttendanceHistory,
   deleteAttendanceRecord,
-  getStudentAttendanceHistory
+  getStudentAttendanceHistory,
+  getAttendanceRecordRevisions,
+  restoreAttendanceRecord,
+  runAbsenceMarking,
+  runStatsRecompute
 } from '../controllers/admin.controller.js';
 
+import {
+  getSchoolHours,
+  updateSchoolHours,
+  getAbsenceMarkingSettings,
+  updateAbsenceMarkingSettings,
+  getTimezone,
+  updateTimezone,
+  getScanRules,
+  updateScanRules,
+  getQrCodeSettings,
+  updateQrCodeSettings,
+  getBrandingSettings,
+  updateBrandingSettings,
+  uploadSchoolLogo,
+  deleteSchoolLogo,
+  getPublicBranding,
+  getSchoolLogo
+} from '../controllers/settings.controller.js';
+
+import {
+  getSigningKeys,
+  rotateKey,
+  retireKey,
+  reissueCodes,
+  reissueStudentQRCode,
+  getStudentQrHistory,
+  getSecurityEvents
+} from '../controllers/qrCode.controller.js';
+import { downloadIdCards } from '../controllers/idCard.controller.js';
+import { uploadStudentPhoto, deleteStudentPhoto } from '../controllers/studentPhoto.controller.js';
+
+import { getRejectedScans } from '../controllers/rejectedScan.controller.js';
+
+import { getRollCallSheet, saveRollCall } from '../controllers/rollCall.controller.js';
+
+import {
+  getEvents,
+  getEvent,
+  createEvent,
+  updateEvent,
+  deleteEvent,
+  getEventNoShows,
+  downloadEventReport,
+  markEventCheckIn,
+  removeEventCheckIn
+} from '../controllers/event.controller.js';
+
+import {
+  getVisitors,
+  getVisitorsOnSite,
+  createVisitor,
+  updateVisitor,
+  signInVisitorAtDesk,
+  signOutVisitorAtDesk,
+  deleteVisitor,
+  getVisitorPass,
+  exportVisitorLog
+} from '../controllers/visitor.controller.js';
+
+import {
+  getStaff,
+  createStaff,
+  updateStaff,
+  deleteStaff,
+  downloadStaffQRCode,
+  getStaffDay,
+  getStaffHoursReport,
+  downloadStaffHoursReport
+} from '../controllers/staff.controller.js';
+
+import {
+  getPickupPersons,
+  createPickupPerson,
+  updatePickupPerson,
+  deletePickupPerson,
+  getPickupPersonPhoto,
+  getEarlyDismissals,
+  createEarlyDismissal
+} from '../controllers/pickup.controller.js';
+
+import {
+  getCalendarEntries,
+  createCalendarEntry,
+  updateCalendarEntry,
+  deleteCalendarEntry,
+  getSchoolDays
+} from '../controllers/calendar.controller.js';
+
+import {
+  getClasses,
+  createClass,
+  updateClass,
+  deleteClass,
+  createSection,
+  updateSection,
+  deleteSection,
+  assignStudentsToSection,
+  getHomeroomTeachers
+} from '../controllers/class.controller.js';
+
+import {
+  getPeriods,
+  createPeriod,
+  updatePeriod,
+  deletePeriod,
+  getTimetable,
+  createTimetableEntry,
+  updateTimetableEntry,
+  deleteTimetableEntry
+} from '../controllers/timetable.controller.js';
+
+import {
+  getLessons,
+  getRegister,
+  scanLessonAttendance,
+  submitRollCall,
+  getMissedLessonFlags
+} from '../controllers/lesson.controller.js';
+
+import {
+  getLocations,
+  createLocation,
+  updateLocation,
+  deleteLocation
+} from '../controllers/location.controller.js';
+
+import {
+  getDevices,
+  enrollDevice,
+  updateDevice,
+  rotateDeviceToken,
+  revokeDevice,
+  deleteDevice
+} from '../controllers/device.controller.js';
+
+import {
+  getLeaveRequests,
+  createLeaveRequest,
+  reviewLeaveRequest,
+  deleteLeaveRequest,
+  downloadLeaveDocument
+} from '../controllers/leave.controller.js';
+
 import {
   getWhatsAppStatus,
   testWhatsAppMessage,
@@ -88,6 +238,70 @@ const upload = multer({
     }
   } 
 });
+
+// Supporting documents for leave requests, such as doctor's notes
+const leaveDocumentUpload = multer({
+  storage,
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB
+  fileFilter: (req, file, cb) => {
+    const filetypes = /pdf|jpeg|jpg|png/;
+    const extname = filetypes.test(path.extname(file.originalname).toLowerCase());
+    const mimetype = filetypes.test(file.mimetype);
+
+    if (mimetype && extname) {
+      return cb(null, true);
+    }
+    cb(new Error('Only PDF and image files are allowed!'));
+  }
+});
+
+// Photos of authorized pickup persons
+const pickupPhotoUpload = multer({
+  storage,
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB
+  fileFilter: (req, file, cb) => {
+    const filetypes = /jpeg|jpg|png|webp/;
+    const extname = filetypes.test(path.extname(file.originalname).toLowerCase());
+    const mimetype = filetypes.test(file.mimetype);
+
+    if (mimetype && extname) {
+      return cb(null, true);
+    }
+    cb(new Error('Only image files are allowed!'));
+  }
+});
+
+// School logos are resized before they are stored, so they stay in memory
+const schoolLogoUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 2 * 1024 * 1024 }, // 2MB
+  fileFilter: (req, file, cb) => {
+    const filetypes = /jpeg|jpg|png|webp/;
+    const extname = filetypes.test(path.extname(file.originalname).toLowerCase());
+    const mimetype = filetypes.test(file.mimetype);
+
+    if (mimetype && extname) {
+      return cb(null, true);
+    }
+    cb(new Error('Only image files are allowed!'));
+  }
+});
+
+// Student photos are resized before they are stored, so they stay in memory
+const studentPhotoUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 8 * 1024 * 1024 }, // 8MB
+  fileFilter: (req, file, cb) => {
+    const filetypes = /jpeg|jpg|png|webp/;
+    const extname = filetypes.test(path.extname(file.originalname).toLowerCase());
+    const mimetype = filetypes.test(file.mimetype);
+
+    if (mimetype && extname) {
+      return cb(null, true);
+    }
+    cb(new Error('Only image files are allowed!'));
+  }
+});
                             
 // Authentication routes
 router.post('/register', validateAdminInput, registerAdmin);
@@ -100,39 +314,52 @@ router.patch('/profile', protect, updateProfile);
 
 // Admin routes
 router.get('/me', protect, getAdminDetails);
-router.get('/students', protect, getStudents);
-router.get('/students/all', protect, getAllStudents);
-router.get('/students/scanned-today', protect, getScannedStudentsToday);
+// Accounts and their roles; sign-ups start as gatekeepers
+router.get('/accounts', protect, restrictTo('admin', 'superadmin'), getAdminAccounts);
+router.patch('/accounts/:id/role', protect, restrictTo('admin', 'superadmin'), updateAdminRole);
+router.get('/students', protect, resolveClassFilter, getStudents);
+router.get('/students/all', protect, resolveClassFilter, getAllStudents);
+router.get('/students/scanned-today', protect, resolveClassFilter, getScannedStudentsToday);
 
 // Attendance routes
-router.get('/attendance/today', protect, getScannedStudentsToday);
-router.get('/attendance/recent', protect, getRecentAttendance);
-router.get('/attendance/report', protect, getAttendanceReport);
-router.get('/attendance/:date', protect, getAttendanceByDate);
+router.get('/attendance/today', protect, resolveClassFilter, getScannedStudentsToday);
+router.get('/attendance/recent', protect, resolveClassFilter, getRecentAttendance);
+router.get('/attendance/report', protect, resolveClassFilter, getAttendanceReport);
+router.get('/attendance/:date', protect, resolveClassFilter, getAttendanceByDate);
 router.post('/attendance', protect, markStudentAttendance);
+router.post('/attendance/mark-absences', protect, restrictTo('admin', 'superadmin'), runAbsenceMarking);
+router.post('/attendance/recompute-stats', protect, restrictTo('admin', 'superadmin'), runStatsRecompute);
 
 // Reports routes
-router.get('/reports/daily/preview', protect, getDailyReportPreview);
-router.get('/reports/weekly/preview', protect, getWeeklyReportPreview);
-router.get('/reports/monthly/preview', protect, getMonthlyReportPreview);
+router.get('/reports/daily/preview', protect, resolveClassFilter, getDailyReportPreview);
+router.get('/reports/weekly/preview', protect, resolveClassFilter, getWeeklyReportPreview);
+router.get('/reports/monthly/preview', protect, resolveClassFilter, getMonthlyReportPreview);
 router.get('/reports/individual/preview', protect, getIndividualReportPreview);
 
-router.get('/reports/daily', protect, generateDailyReport);
-router.get('/reports/weekly', protect, generateWeeklyReport);
-router.get('/reports/monthly', protect, generateMonthlyReport);
+router.get('/reports/daily', protect, resolveClassFilter, generateDailyReport);
+router.get('/reports/weekly', protect, resolveClassFilter, generateWeeklyReport);
+router.get('/reports/monthly', protect, resolveClassFilter, generateMonthlyReport);
 router.get('/reports/individual', protect, generateIndividualReport);
 
 // Student management
-router.post('/students', protect, validateStudentInput, registerStudent);
-router.put('/students/:id', protect, updateStudent);
-router.delete('/students/:id', protect, deleteStudent);
+router.post('/students', protect, restrictTo('admin', 'superadmin'), validateStudentInput, registerStudent);
+router.put('/students/:id', protect, restrictTo('admin', 'superadmin'), updateStudent);
+router.delete('/students/:id', protect, restrictTo('admin', 'superadmin'), deleteStudent);
 
 // QR Code routes
 router.get('/students/:id/qr-code', protect, (req, res) => generateStudentQRCode(req, res));
+// Replacing a lost card revokes every code the student had before
+router.post('/students/:id/qr-code/reissue', protect, restrictTo('admin', 'superadmin'), reissueStudentQRCode);
+router.get('/students/:id/qr-history', protect, restrictTo('admin', 'superadmin'), getStudentQrHistory);
+// Photos the gatekeeper compares with the student on every scan
+router.post('/students/:id/photo', protect, restrictTo('admin', 'superadmin'), studentPhotoUpload.single('photo'), uploadStudentPhoto);
+router.delete('/students/:id/photo', protect, restrictTo('admin', 'superadmin'), deleteStudentPhoto);
+// Printable ID cards for a class (classId or sectionId query) or a list of students
+router.post('/id-cards', protect, restrictTo('admin', 'superadmin'), resolveClassFilter, downloadIdCards);
 
 // Messaging routes
 router.post('/messages', protect, apiLimiter, sendMessage);
-router.post('/messages/bulk', protect, apiLimiter, adminSendBulkMessages);
+router.post('/messages/bulk', protect, restrictTo('admin', 'superadmin'), apiLimiter, adminSendBulkMessages);
 
 // WhatsApp status and testing
 router.get('/whatsapp/status', protect, getWhatsAppStatus);
@@ -141,6 +368,7 @@ router.post('/whatsapp/test', protect, apiLimiter, testWhatsAppMessage);
 router.post(
   '/bulk-import',
   protect,
+  restrictTo('admin', 'superadmin'),
   upload.single('file'),
   (req, res, next) => {
     if (!req.file) {
@@ -154,9 +382,142 @@ router.post(
   bulkImportStudents
 );
 
+// School settings
+router.get('/settings/school-hours', protect, getSchoolHours);
+router.put('/settings/school-hours', protect, restrictTo('admin', 'superadmin'), updateSchoolHours);
+router.get('/settings/absence-marking', protect, getAbsenceMarkingSettings);
+router.put('/settings/absence-marking', protect, restrictTo('admin', 'superadmin'), updateAbsenceMarkingSettings);
+router.get('/settings/timezone', protect, getTimezone);
+router.put('/settings/timezone', protect, restrictTo('admin', 'superadmin'), updateTimezone);
+router.get('/settings/scan-rules', protect, getScanRules);
+router.put('/settings/scan-rules', protect, restrictTo('admin', 'superadmin'), updateScanRules);
+router.get('/settings/qr-codes', protect, restrictTo('admin', 'superadmin'), getQrCodeSettings);
+router.put('/settings/qr-codes', protect, restrictTo('admin', 'superadmin'), updateQrCodeSettings);
+router.get('/settings/branding', protect, restrictTo('admin', 'superadmin'), getBrandingSettings);
+router.put('/settings/branding', protect, restrictTo('admin', 'superadmin'), updateBrandingSettings);
+router.post('/settings/branding/logo', protect, restrictTo('admin', 'superadmin'), schoolLogoUpload.single('logo'), uploadSchoolLogo);
+router.delete('/settings/branding/logo', protect, restrictTo('admin', 'superadmin'), deleteSchoolLogo);
+// The login page shows the school's branding before anyone signs in
+router.get('/branding', getPublicBranding);
+router.get('/branding/logo', getSchoolLogo);
+
+// Academic calendar
+router.get('/calendar', protect, getCalendarEntries);
+router.get('/calendar/school-days', protect, getSchoolDays);
+router.post('/calendar', protect, restrictTo('admin', 'superadmin'), createCalendarEntry);
+router.patch('/calendar/:id', protect, restrictTo('admin', 'superadmin'), updateCalendarEntry);
+router.delete('/calendar/:id', protect, restrictTo('admin', 'superadmin'), deleteCalendarEntry);
+
+// Classes, sections and homeroom teachers
+router.get('/classes', protect, getClasses);
+router.get('/classes/teachers', protect, getHomeroomTeachers);
+router.put('/classes/assignments', protect, restrictTo('admin', 'superadmin'), assignStudentsToSection);
+router.post('/classes', protect, restrictTo('admin', 'superadmin'), createClass);
+router.patch('/classes/:id', protect, restrictTo('admin', 'superadmin'), updateClass);
+router.delete('/classes/:id', protect, restrictTo('admin', 'superadmin'), deleteClass);
+router.post('/classes/:id/sections', protect, restrictTo('admin', 'superadmin'), createSection);
+router.patch('/sections/:id', protect, restrictTo('admin', 'superadmin'), updateSection);
+router.delete('/sections/:id', protect, restrictTo('admin', 'superadmin'), deleteSection);
+
+// Bell schedule and weekly timetable
+router.get('/periods', protect, getPeriods);
+router.post('/periods', protect, restrictTo('admin', 'superadmin'), createPeriod);
+router.patch('/periods/:id', protect, restrictTo('admin', 'superadmin'), updatePeriod);
+router.delete('/periods/:id', protect, restrictTo('admin', 'superadmin'), deletePeriod);
+router.get('/timetable', protect, getTimetable);
+router.post('/timetable', protect, restrictTo('admin', 'superadmin'), createTimetableEntry);
+router.patch('/timetable/:id', protect, restrictTo('admin', 'superadmin'), updateTimetableEntry);
+router.delete('/timetable/:id', protect, restrictTo('admin', 'superadmin'), deleteTimetableEntry);
+
+// Lesson registers, taken by scanning in class or by roll call
+router.get('/lessons', protect, resolveClassFilter, getLessons);
+router.get('/lessons/missed', protect, resolveClassFilter, getMissedLessonFlags);
+router.get('/lessons/:id/register', protect, getRegister);
+router.post('/lessons/:id/scan', protect, scanLessonAttendance);
+router.post('/lessons/:id/roll-call', protect, submitRollCall);
+
+// Scan locations: gates, buildings and zones
+router.get('/locations', protect, getLocations);
+router.post('/locations', protect, restrictTo('admin', 'superadmin'), createLocation);
+router.patch('/locations/:id', protect, restrictTo('admin', 'superadmin'), updateLocation);
+router.delete('/locations/:id', protect, restrictTo('admin', 'superadmin'), deleteLocation);
+
+// Daily roll call for a class or any group of students
+router.get('/roll-call', protect, resolveClassFilter, getRollCallSheet);
+router.post('/roll-call', protect, saveRollCall);
+
+// Events with their own check-in, roster report and no-shows
+router.get('/events', protect, getEvents);
+router.post('/events', protect, restrictTo('admin', 'superadmin'), createEvent);
+router.get('/events/:id', protect, getEvent);
+router.patch('/events/:id', protect, restrictTo('admin', 'superadmin'), updateEvent);
+router.delete('/events/:id', protect, restrictTo('admin', 'superadmin'), deleteEvent);
+router.get('/events/:id/no-shows', protect, getEventNoShows);
+router.get('/events/:id/report', protect, downloadEventReport);
+router.post('/events/:id/check-ins', protect, markEventCheckIn);
+router.delete('/events/:id/check-ins/:studentId', protect, removeEventCheckIn);
+
+// Visitor sign-in log with day passes
+router.get('/visitors', protect, getVisitors);
+router.get('/visitors/on-site', protect, getVisitorsOnSite);
+router.get('/visitors/export', protect, exportVisitorLog);
+router.post('/visitors', protect, createVisitor);
+router.patch('/visitors/:id', protect, updateVisitor);
+router.delete('/visitors/:id', protect, restrictTo('admin', 'superadmin'), deleteVisitor);
+router.get('/visitors/:id/pass', protect, getVisitorPass);
+router.post('/visitors/:id/sign-in', protect, signInVisitorAtDesk);
+router.post('/visitors/:id/sign-out', protect, signOutVisitorAtDesk);
+
+// Staff clock-ins; admins only, as gatekeepers may not see staff hours
+router.get('/staff', protect, restrictTo('admin', 'superadmin'), getStaff);
+router.post('/staff', protect, restrictTo('admin', 'superadmin'), createStaff);
+router.get('/staff/attendance', protect, restrictTo('admin', 'superadmin'), getStaffDay);
+router.get('/staff/hours', protect, restrictTo('admin', 'superadmin'), getStaffHoursReport);
+router.get('/staff/hours/download', protect, restrictTo('admin', 'superadmin'), downloadStaffHoursReport);
+router.patch('/staff/:id', protect, restrictTo('admin', 'superadmin'), updateStaff);
+router.delete('/staff/:id', protect, restrictTo('admin', 'superadmin'), deleteStaff);
+router.get('/staff/:id/qr-code', protect, restrictTo('admin', 'superadmin'), downloadStaffQRCode);
+
+// Authorized pickup persons and early dismissals
+router.get('/students/:id/pickup-persons', protect, getPickupPersons);
+router.post('/students/:id/pickup-persons', protect, restrictTo('admin', 'superadmin'), pickupPhotoUpload.single('photo'), createPickupPerson);
+router.patch('/pickup-persons/:id', protect, restrictTo('admin', 'superadmin'), pickupPhotoUpload.single('photo'), updatePickupPerson);
+router.delete('/pickup-persons/:id', protect, restrictTo('admin', 'superadmin'), deletePickupPerson);
+router.get('/pickup-persons/:id/photo', protect, getPickupPersonPhoto);
+router.get('/early-dismissals', protect, getEarlyDismissals);
+router.post('/early-dismissals', protect, createEarlyDismissal);
+
+// Gate scans turned away by the scan rules
+router.get('/rejected-scans', protect, resolveClassFilter, getRejectedScans);
+
+// Keys that sign student and staff QR codes
+router.get('/qr-keys', protect, restrictTo('admin', 'superadmin'), getSigningKeys);
+router.post('/qr-keys/rotate', protect, restrictTo('admin', 'superadmin'), rotateKey);
+router.delete('/qr-keys/:kid', protect, restrictTo('admin', 'superadmin'), retireKey);
+router.post('/qr-codes/reissue', protect, restrictTo('admin', 'superadmin'), reissueCodes);
+// Refused scans of revoked, retired and forged QR codes
+router.get('/security-events', protect, restrictTo('admin', 'superadmin'), getSecurityEvents);
+
+// Scanner devices and their tokens
+router.get('/devices', protect, restrictTo('admin', 'superadmin'), getDevices);
+router.post('/devices', protect, restrictTo('admin', 'superadmin'), enrollDevice);
+router.patch('/devices/:id', protect, restrictTo('admin', 'superadmin'), updateDevice);
+router.post('/devices/:id/token', protect, restrictTo('admin', 'superadmin'), rotateDeviceToken);
+router.post('/devices/:id/revoke', protect, restrictTo('admin', 'superadmin'), revokeDevice);
+router.delete('/devices/:id', protect, restrictTo('admin', 'superadmin'), deleteDevice);
+
+// Leave requests and excused absences
+router.get('/leave-requests', protect, getLeaveRequests);
+router.post('/leave-requests', protect, leaveDocumentUpload.single('document'), createLeaveRequest);
+router.patch('/leave-requests/:id/review', protect, restrictTo('admin', 'superadmin'), reviewLeaveRequest);
+router.delete('/leave-requests/:id', protect, restrictTo('admin', 'superadmin'), deleteLeaveRequest);
+router.get('/leave-requests/:id/document', protect, downloadLeaveDocument);
+
 // Student attendance history management
 router.get('/students/:studentId/attendance', protect, getStudentAttendanceHistory);
-router.delete('/students/:studentId/attendance/clear', protect, clearStudentAttendanceHistory);
-router.delete('/students/:studentId/attendance/:recordId', protect, deleteAttendanceRecord);
+router.delete('/students/:studentId/attendance/clear', protect, restrictTo('admin', 'superadmin'), clearStudentAttendanceHistory);
+router.delete('/students/:studentId/attendance/:recordId', protect, restrictTo('admin', 'superadmin'), deleteAttendanceRecord);
+router.get('/students/:studentId/attendance/:recordId/revisions', protect, getAttendanceRecordRevisions);
+router.post('/students/:studentId/attendance/:recordId/restore', protect, restrictTo('admin', 'superadmin'), restoreAttendanceRecord);
 
 export default router;
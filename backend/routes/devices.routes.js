@@ -0,0 +1,17 @@
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import { authenticateDevice } from '../middleware/deviceAuthMiddleware.js';
+import { deviceHeartbeat } from '../controllers/device.controller.js';
+
+const router = express.Router();
+
+const heartbeatLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 30,
+  message: 'Too many heartbeats. Please try again later.'
+});
+
+// Enrolled scanner devices report in here; they are managed under /api/admin/devices
+router.post('/heartbeat', heartbeatLimiter, authenticateDevice, deviceHeartbeat);
+
+export default router;
@@ -1,6 +1,7 @@
 import express from 'express';
 import rateLimit from 'express-rate-limit';
 import { protect, restrictTo } from '../middleware/authMiddleware.js';
+import { resolveClassFilter } from '../middleware/classFilterMiddleware.js';
 import {
   generateDailyAttendanceReport,
   generateStudentSummaryReport,
@@ -46,6 +47,7 @@ router.get(
   protect,
   restrictTo('admin'),
   handleMongodbFormat,
+  resolveClassFilter,
   reportLimiter,
   generateDailyAttendanceReport
 );
@@ -56,6 +58,7 @@ router.get(
   protect,
   restrictTo('admin'),
   handleMongodbFormat,
+  resolveClassFilter,
   async (req, res) => {
     try {
       // Convert single date parameter to startDate and endDate parameters
@@ -92,6 +95,7 @@ router.get(
   protect,
   restrictTo('admin'),
   handleMongodbFormat,
+  resolveClassFilter,
   reportLimiter,
   generateWeeklyAttendanceReport
 );
@@ -102,6 +106,7 @@ router.get(
   protect,
   restrictTo('admin'),
   handleMongodbFormat,
+  resolveClassFilter,
   getWeeklyReportPreview
 );
 
@@ -111,6 +116,7 @@ router.get(
   protect,
   restrictTo('admin'),
   handleMongodbFormat,
+  resolveClassFilter,
   reportLimiter,
   generateMonthlyAnalysisReport
 );
@@ -121,6 +127,7 @@ router.get(
   protect,
   restrictTo('admin'),
   handleMongodbFormat,
+  resolveClassFilter,
   getMonthlyReportPreview
 );
 
@@ -130,6 +137,7 @@ router.get(
   protect,
   restrictTo('admin'),
   handleMongodbFormat,
+  resolveClassFilter,
   reportLimiter,
   generateIndividualStudentReport
 );
@@ -140,6 +148,7 @@ router.get(
   protect,
   restrictTo('admin'),
   handleMongodbFormat,
+  resolveClassFilter,
   getIndividualReportPreview
 );
 
@@ -149,6 +158,7 @@ router.get(
   protect,
   restrictTo('admin'),
   handleMongodbFormat,
+  resolveClassFilter,
   reportLimiter,
   generateStudentSummaryReport
 );
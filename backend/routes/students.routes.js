@@ -2,6 +2,10 @@ import express from 'express';
 import rateLimit from 'express-rate-limit';
 import { validateStudentInput } from '../middleware/validationMiddleware.js';
 import { protect, restrictTo } from '../middleware/authMiddleware.js';
+import { resolveClassFilter } from '../middleware/classFilterMiddleware.js';
+import { authenticateScanner } from '../middleware/deviceAuthMiddleware.js';
+import { idempotentScan } from '../middleware/idempotencyMiddleware.js';
+import { DEFAULT_SCANS_PER_MINUTE } from '../models/scannerDevice.model.js';
 import {
   downloadQRCode,
   searchQRCode,
@@ -11,6 +15,7 @@ import {
   getAttendanceHistory,
   getDashboardStats
 } from '../controllers/students.controller.js';
+import { getStudentPhoto } from '../controllers/studentPhoto.controller.js';
 
 const router = express.Router();
 
@@ -20,12 +25,22 @@ const qrLimiter = rateLimit({
   message: 'Too many QR code requests. Please try again later.'
 });
 
+// Per address, before the scanner is authenticated; only there to slow down
+// guessing device tokens, since a whole school may scan from one address
 const attendanceLimiter = rateLimit({
   windowMs: 60 * 1000, // 1 minute
-  max: 10, 
+  max: 600, 
   message: 'Too many attendance attempts. Please try again later.'
 });
 
+// Per enrolled device at the rate set for it, or per admin scanning in the browser
+const scannerLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: (req) => req.device?.scansPerMinute || DEFAULT_SCANS_PER_MINUTE,
+  keyGenerator: (req) => (req.device ? `device:${req.device._id}` : `admin:${req.admin._id}`),
+  message: 'Too many scans from this scanner. Please try again later.'
+});
+
 // Student registration and profile routes
 router.get('/profile', protect, restrictTo('admin'), getStudentProfile);
 router.patch('/profile', protect, restrictTo('admin'), validateStudentInput, updateStudentProfile);
@@ -35,8 +50,11 @@ router.get('/download-qr-code', qrLimiter, downloadQRCode);
 router.get('/search-qr', qrLimiter, searchQRCode);
 
 // Attendance routes
-router.post('/mark-attendance', attendanceLimiter, markAttendance); 
+router.post('/mark-attendance', attendanceLimiter, authenticateScanner, scannerLimiter, idempotentScan, markAttendance);
 router.get('/attendance-history', protect, restrictTo('admin'), getAttendanceHistory);
-router.get('/dashboard-stats', protect, restrictTo('admin'), getDashboardStats);
+router.get('/dashboard-stats', protect, restrictTo('admin'), resolveClassFilter, getDashboardStats);
+
+// Student photos, for scanner devices as well as signed-in staff
+router.get('/:id/photo', authenticateScanner, getStudentPhoto);
 
 export default router;
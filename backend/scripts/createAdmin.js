@@ -0,0 +1,46 @@
+import dotenv from 'dotenv';
+import { connectDB, closeDB } from '../config/database.js';
+import Admin, { ADMIN_ROLES } from '../models/admin.model.js';
+import { logSuccess, logError, logSection } from '../utils/terminal.js';
+
+dotenv.config();
+
+/**
+ * Create an account with any role, or give an existing account a new role
+ * Sign-ups through the app start as gatekeepers, so the first admin of a new
+ * school is made here:
+ *   npm run create-admin -- <email> <role> [name] [password]
+ * Name and password are needed only when the account does not exist yet.
+ */
+const createAdmin = async () => {
+  const [email, role, name, password] = process.argv.slice(2);
+  if (!email || !ADMIN_ROLES.includes(role)) {
+    throw new Error(`Usage: npm run create-admin -- <email> <${ADMIN_ROLES.join('|')}> [name] [password]`);
+  }
+
+  logSection('Accounts');
+  await connectDB();
+
+  const existing = await Admin.findOne({ email });
+  if (existing) {
+    existing.role = role;
+    await existing.save();
+    logSuccess(`${existing.name} (${email}) is now ${role}`);
+    return;
+  }
+
+  if (!name || !password) {
+    throw new Error(`No account for ${email}; give a name and password to create it`);
+  }
+  await Admin.create({ name, email, password, role });
+  logSuccess(`Created ${role} account for ${name} (${email})`);
+};
+
+createAdmin()
+  .then(() => closeDB())
+  .then(() => process.exit(0))
+  .catch(async (error) => {
+    logError(`Could not save the account: ${error.message}`);
+    await closeDB();
+    process.exit(1);
+  });
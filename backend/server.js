@@ -8,11 +8,13 @@ import studentRoutes from './routes/students.routes.js';
 import adminRoutes from './routes/admin.routes.js';
 import reportsRoutes from './routes/reports.routes.js';
 import whatsappRoutes from './routes/whatsapp.routes.js';
+import deviceRoutes from './routes/devices.routes.js';
 import { errorHandler } from './middleware/authMiddleware.js';
 import { printBanner, logInfo, logSuccess, logWarning, logError, logSection, logServerStart, startSpinner, succeedSpinner, stopSpinner } from './utils/terminal.js';
 import { connectDB, closeDB } from './config/database.js';
 import mongoose from 'mongoose';
 import { startScheduler } from './services/schedulerService.js';
+import Settings from './models/settings.model.js';
 
 
 dotenv.config();
@@ -36,14 +38,15 @@ const allowedOrigins = [
 
 app.use(cors({
   origin: allowedOrigins,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: [
     'Content-Type', 
     'Authorization', 
     'mongodb-date-format',
     'preserve-mongodb-format',
     'time-format',
-    'Accept'
+    'Accept',
+    'X-Device-Token'
   ],
   exposedHeaders: ['Content-Disposition'],
   preflightContinue: false,
@@ -83,6 +86,7 @@ app.use('/api/students', studentRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/reports', reportsRoutes);
 app.use('/api/whatsapp', whatsappRoutes);  
+app.use('/api/devices', deviceRoutes);
 app.use('/api/public', express.static('public'));
 
 app.get('/api/health', (req, res) => {
@@ -131,6 +135,10 @@ const startServer = async () => {
     await connectDB();
     succeedSpinner('db', 'Connected to MongoDB successfully');
     
+    // Loading the settings puts the date helpers on the school timezone
+    const { timezone } = await Settings.getSettings();
+    logInfo(`School timezone: ${timezone}`);
+    
     logSection('API Routes');
     logInfo('GET  /api/health - Health check endpoint');
     logInfo('POST /api/students/* - Student management endpoints');
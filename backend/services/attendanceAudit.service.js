@@ -0,0 +1,78 @@
+import AttendanceRecord, { AUDITED_FIELDS } from '../models/attendanceRecord.model.js';
+import AttendanceRevision from '../models/attendanceRevision.model.js';
+
+/**
+ * Copy the audited fields of an attendance record for a revision
+ * @param {Document|Object} record - Attendance record, as a document or a lean object
+ * @returns {Object|null} Snapshot, or null when there is no record
+ */
+export const snapshotRecord = (record) => {
+  if (!record) return null;
+  const plain = typeof record.toObject === 'function' ? record.toObject({ depopulate: true }) : record;
+  return Object.fromEntries(AUDITED_FIELDS.map(field => [field, plain[field] ?? null]));
+};
+
+/**
+ * Store one revision per changed attendance record
+ * @param {Array} changes - Objects with record, action, before and after
+ * @param {Object} options
+ * @param {string} options.reason - Why the records were changed
+ * @param {string} [options.adminId] - Admin who made the change
+ * @returns {Promise<Array>} Created revisions
+ */
+export const recordRevisions = async (changes, { reason, adminId = null }) => {
+  if (changes.length === 0) return [];
+
+  return AttendanceRevision.insertMany(changes.map(({ record, action, before, after, restoredFrom = null }) => ({
+    record: record._id,
+    student: record.student?._id ?? record.student,
+    action,
+    before,
+    after,
+    reason,
+    restoredFrom,
+    changedBy: adminId
+  })));
+};
+
+/**
+ * Put an attendance record back into the state it had before a revision
+ * Undoing a delete brings the record back; undoing the change that created
+ * a record deletes it again. The restore is itself stored as a revision.
+ * @param {Document} record - Attendance record, which may be deleted
+ * @param {Document} revision - Revision to undo
+ * @param {Object} options
+ * @param {string} options.reason - Why the record is being restored
+ * @param {string} [options.adminId] - Admin restoring the record
+ * @returns {Promise<Document>} The restore revision
+ */
+export const restoreRecord = async (record, revision, { reason, adminId = null }) => {
+  const before = snapshotRecord(record);
+
+  if (revision.before) {
+    record.set(revision.before);
+  } else {
+    record.deletedAt = new Date();
+    record.deletedBy = adminId;
+  }
+
+  // A student has one record per day, so a deleted record only comes back
+  // while its day has no other
+  if (before.deletedAt && !record.deletedAt) {
+    const taken = await AttendanceRecord.exists({ student: record.student, day: record.day, _id: { $ne: record._id } });
+    if (taken) {
+      throw new Error('Another attendance record exists for this day; delete it before restoring this one');
+    }
+  }
+  await record.save();
+
+  const [restoreRevision] = await recordRevisions([{
+    record,
+    action: 'restore',
+    before,
+    after: snapshotRecord(record),
+    restoredFrom: revision._id
+  }], { reason, adminId });
+
+  return restoreRevision;
+};
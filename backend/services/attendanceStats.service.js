@@ -0,0 +1,131 @@
+import AttendanceRecord from '../models/attendanceRecord.model.js';
+import { loadSchoolCalendar } from './calendar.service.js';
+import { startOfDay, endOfDay, toDayKey } from '../utils/dateUtils.js';
+
+/**
+ * Attendance statistics
+ *
+ * Everything that counts days present, excused or absent goes through here,
+ * so a student's stored percentage, the dashboard and the reports agree.
+ * A day counts as present when its record shows the student came in, whether
+ * they are still on campus or have left; only school days are counted.
+ */
+
+// Record statuses that mean the student was at school that day
+export const PRESENT_STATUSES = ['present', 'entered', 'left'];
+
+/**
+ * @param {Object} record - Attendance record
+ * @returns {boolean} Whether the record counts as a day present
+ */
+export const isPresentRecord = (record) => Boolean(record) && !record.deletedAt && PRESENT_STATUSES.includes(record.status);
+
+/**
+ * @param {Object} record - Attendance record
+ * @returns {boolean} Whether the record counts as a day excused
+ */
+export const isExcusedRecord = (record) => Boolean(record) && !record.deletedAt && record.status === 'excused';
+
+const recordDay = (record) => record.day || record.date;
+
+// Distinct school days among the records that match
+const getSchoolDaysWhere = (calendar, records, matches) => new Set(
+  records
+    .filter(record => matches(record) && calendar.isSchoolDay(recordDay(record)))
+    .map(record => toDayKey(recordDay(record)))
+);
+
+const countSchoolDaysWhere = (calendar, records, matches) => getSchoolDaysWhere(calendar, records, matches).size;
+
+/**
+ * @param {Object} calendar - School calendar, see loadSchoolCalendar
+ * @param {Array} records - A student's attendance records
+ * @returns {number} School days the student was present on
+ */
+export const countPresentSchoolDays = (calendar, records) => countSchoolDaysWhere(calendar, records, isPresentRecord);
+
+/**
+ * @param {Object} calendar - School calendar, see loadSchoolCalendar
+ * @param {Array} records - A student's attendance records
+ * @returns {number} School days the student was excused on
+ */
+export const countExcusedSchoolDays = (calendar, records) => countSchoolDaysWhere(calendar, records, isExcusedRecord);
+
+/**
+ * @param {number} present - School days present
+ * @param {number} schoolDays - School days in the period
+ * @returns {number} Attendance percentage, 0 when there were no school days
+ */
+export const getAttendancePercentage = (present, schoolDays) => (
+  schoolDays > 0 ? Math.min(100, (present / schoolDays) * 100) : 0
+);
+
+/**
+ * Summarise a student's attendance over a period
+ * Days without a present or excused record are absent, whether or not an
+ * absence has been recorded for them yet.
+ * @param {Object} calendar - School calendar covering the period
+ * @param {Array} records - The student's records in the period
+ * @param {Date} start - First day of the period
+ * @param {Date} end - Last day of the period
+ * @returns {Object} { schoolDays, present, late, excused, absent, percentage }
+ */
+export const summarizeAttendance = (calendar, records, start, end) => {
+  const schoolDays = calendar.countSchoolDays(start, end);
+  const presentDays = getSchoolDaysWhere(calendar, records, isPresentRecord);
+  const late = countSchoolDaysWhere(calendar, records, record => isPresentRecord(record) && record.isLate);
+  // A day the student came in counts as present even if it was also excused
+  const excused = [...getSchoolDaysWhere(calendar, records, isExcusedRecord)]
+    .filter(day => !presentDays.has(day)).length;
+
+  return {
+    schoolDays,
+    present: presentDays.size,
+    late,
+    excused,
+    absent: Math.max(0, schoolDays - presentDays.size - excused),
+    percentage: getAttendancePercentage(presentDays.size, schoolDays)
+  };
+};
+
+// Latest time a record shows the student at school
+const getLastSeen = (record) => {
+  const times = [record.date, record.entryTime, record.leaveTime,
+    ...(record.sessions || []).flatMap(session => [session.entryTime, session.leaveTime])];
+  return new Date(Math.max(...times.filter(Boolean).map(time => new Date(time).getTime())));
+};
+
+/**
+ * Work out the attendance stats stored on a student
+ * The percentage is taken over the school days since the student was
+ * registered, or since their first record when imported history is older.
+ * @param {Object} student - Student with _id and createdAt
+ * @param {Object} [options]
+ * @param {Object} [options.calendar] - School calendar covering the student's history, loaded when not given
+ * @param {Date} [options.now] - End of the period, defaults to now
+ * @returns {Promise<Object>} { attendanceCount, attendancePercentage, lastAttendance }
+ */
+export const calculateStudentStats = async (student, { calendar = null, now = new Date() } = {}) => {
+  const records = await AttendanceRecord.find({ student: student._id })
+    .select('day date status isLate entryTime leaveTime sessions')
+    .sort({ day: 1 })
+    .lean();
+
+  const candidates = [student.createdAt, records[0]?.day].filter(Boolean);
+  const since = startOfDay(candidates.length > 0 ? new Date(Math.min(...candidates)) : now);
+  const until = endOfDay(now);
+
+  const schoolCalendar = calendar || await loadSchoolCalendar(since, until);
+  const { present, percentage } = summarizeAttendance(schoolCalendar, records, since, until);
+
+  const presentRecords = records.filter(isPresentRecord);
+  const lastAttendance = presentRecords.length > 0
+    ? new Date(Math.max(...presentRecords.map(record => getLastSeen(record).getTime())))
+    : null;
+
+  return {
+    attendanceCount: present,
+    attendancePercentage: percentage,
+    lastAttendance
+  };
+};
@@ -1,6 +1,13 @@
 import { logInfo, logWarning, logError } from '../utils/terminal.js';
 import Student from '../models/student.model.js';
+import AttendanceRecord from '../models/attendanceRecord.model.js';
+import Settings from '../models/settings.model.js';
 import { sendTextMessage } from './whatsapp.service.js';
+import { loadSchoolCalendar } from './calendar.service.js';
+import { getApprovedLeaveByStudent } from './leave.service.js';
+import { snapshotRecord, recordRevisions } from './attendanceAudit.service.js';
+import { calculateStudentStats } from './attendanceStats.service.js';
+import { startOfDay, endOfDay, toDayKey, atTimeOfDay, formatSchoolTime } from '../utils/dateUtils.js';
 
 /**
  * Automatically mark students as having left at 6:30 PM
@@ -11,63 +18,46 @@ export const autoMarkLeaveAttendance = async () => {
   try {
     logInfo('Starting automatic leave attendance marking process...');
     
-    // Get today's date at midnight for comparison
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
+    // Midnight of today in school time
+    const today = startOfDay();
     
-    // Find all students who have marked attendance today but haven't left
-    const students = await Student.find({
-      'attendanceHistory.date': {
-        $gte: today,
-        $lt: new Date(today.getTime() + 24 * 60 * 60 * 1000)
-      },
-      'attendanceHistory.status': { $in: ['entered', 'present'] },
-      'attendanceHistory.leaveTime': null
-    });
-
-    if (!students.length) {
+    // Find today's attendance records for students who entered but haven't left
+    const records = await AttendanceRecord.find({
+      day: today,
+      status: { $in: ['entered', 'present'] },
+      leaveTime: null
+    }).populate('student');
+
+    if (!records.length) {
       logInfo('No students found who need automatic leave marking');
       return;
     }
 
-    logInfo(`Found ${students.length} students who need automatic leave marking`);
+    logInfo(`Found ${records.length} students who need automatic leave marking`);
 
-    // Set leave time to 6:30 PM
-    const leaveTime = new Date();
-    leaveTime.setHours(18, 30, 0, 0);
+    // Set leave time to 6:30 PM school time
+    const leaveTime = atTimeOfDay(today, '18:30');
 
-    // Process each student
-    for (const student of students) {
-      try {
-        // Find today's attendance record that doesn't have a leave time
-        const todayAttendanceIndex = student.attendanceHistory.findIndex(
-          record => record.date.toDateString() === today.toDateString() &&
-                   ['entered', 'present'].includes(record.status) &&
-                   !record.leaveTime
-        );
-
-        if (todayAttendanceIndex === -1) {
-          logWarning(`No eligible attendance record found for student: ${student.name}`);
-          continue;
-        }
+    // Process each record
+    for (const record of records) {
+      const student = record.student;
+      if (!student) {
+        logWarning(`Attendance record ${record._id} has no matching student`);
+        continue;
+      }
 
-        // Update the student's attendance record
-        student.attendanceHistory[todayAttendanceIndex].leaveTime = leaveTime;
-        student.attendanceHistory[todayAttendanceIndex].status = 'left';
-        
-        // Update lastAttendance field
-        student.lastAttendance = leaveTime;
-        
-        // Recalculate attendance percentage
-        const totalRecords = student.attendanceHistory.length;
-        const presentRecords = student.attendanceHistory.filter(record => 
-          record.status === 'present' || record.status === 'entered'
-        ).length;
-        
-        student.attendancePercentage = totalRecords > 0 
-          ? (presentRecords / totalRecords) * 100 
-          : 0;
+      try {
+        // Close the open session on the attendance record
+        const before = snapshotRecord(record);
+        record.recordExit(leaveTime, 'Auto Checkout');
+        record.status = 'left';
+        await record.save();
+        await recordRevisions([{ record, action: 'update', before, after: snapshotRecord(record) }], {
+          reason: 'Automatic checkout'
+        });
         
+        // The day stays a day present; last attendance moves to the checkout
+        await student.refreshAttendanceStats();
         await student.save();
 
         // Prepare message for parent notification
@@ -104,4 +94,202 @@ Thank you.`;
     logError(`Error in autoMarkLeaveAttendance: ${error.message}`);
     throw error;
   }
-}; 
\ No newline at end of file
+};
+
+// Tell a parent their child was recorded absent
+const notifyParentOfAbsence = async (student, day) => {
+  if (!student.parent_telephone) {
+    logWarning(`No parent telephone found for student: ${student.name}`);
+    return false;
+  }
+
+  const formattedDay = formatSchoolTime(day, 'cccc, MMMM d, yyyy');
+
+  const messageText = `🏫 Attendance Update
+
+Dear Parent,
+Your child ${student.name} (Index: ${student.indexNumber}) was not recorded at school on ${formattedDay} and has been marked absent.
+If you believe this is a mistake, please contact the school office.
+
+Thank you.`;
+
+  const result = await sendTextMessage(student.parent_telephone, messageText);
+  if (!result.success) {
+    logWarning(`Failed to send absence notification to parent of ${student.name}: ${result.error}`);
+  }
+  return result.success;
+};
+
+/**
+ * Mark active students with no scan on a school day as absent
+ * Safe to run more than once for the same day: a student who already has a
+ * record for the day, scanned or absent, is left untouched. Days that are not
+ * school days, and days before a student was registered, are skipped.
+ * Students on approved leave are recorded as excused instead, and their
+ * parents are not notified.
+ * @param {Object} options
+ * @param {Date} [options.startDate] - First day to mark, defaults to today
+ * @param {Date} [options.endDate] - Last day to mark, defaults to startDate; never later than today
+ * @param {boolean} [options.notifyParents] - Send a WhatsApp message for each new absence
+ * @param {string} [options.adminId] - Admin who ran the job, if run by hand
+ * @returns {Promise<Object>} Per-day counts of absences and excused days created
+ */
+export const autoMarkAbsences = async ({ startDate = new Date(), endDate = startDate, notifyParents = false, adminId = null } = {}) => {
+  try {
+    const start = startOfDay(startDate);
+    const lastDay = endOfDay(endDate) > endOfDay() ? endOfDay() : endOfDay(endDate);
+
+    logInfo(`Starting absence marking from ${toDayKey(start)} to ${toDayKey(lastDay)}...`);
+
+    const calendar = await loadSchoolCalendar(start, lastDay);
+    const summary = { marked: 0, excused: 0, notified: 0, days: [] };
+
+    for (const day of calendar.getSchoolDays(start, lastDay)) {
+      // Only students registered by the end of the day can be absent on it
+      const [students, studentsWithRecords, leaveByStudent] = await Promise.all([
+        Student.find({ status: 'active', createdAt: { $lte: endOfDay(day) } })
+          .select('_id name indexNumber parent_telephone')
+          .lean(),
+        AttendanceRecord.distinct('student', { day }),
+        getApprovedLeaveByStudent(day)
+      ]);
+
+      const recorded = new Set(studentsWithRecords.map(id => id.toString()));
+      const missing = students.filter(student => !recorded.has(student._id.toString()));
+
+      if (missing.length === 0) {
+        summary.days.push({ date: toDayKey(day), marked: 0, excused: 0 });
+        continue;
+      }
+
+      // Upserts only insert where no record exists, so a scan landing in between is never overwritten
+      const result = await AttendanceRecord.bulkWrite(missing.map(student => {
+        const leaveRequest = leaveByStudent.get(student._id.toString()) || null;
+
+        return {
+          updateOne: {
+            filter: { student: student._id, day, deletedAt: null },
+            update: {
+              $setOnInsert: {
+                student: student._id,
+                day,
+                date: day,
+                status: leaveRequest ? 'excused' : 'absent',
+                leaveRequest,
+                verifiedBy: adminId,
+                scanLocation: null,
+                deviceInfo: leaveRequest ? 'Leave request' : 'Absence marking'
+              }
+            },
+            upsert: true
+          }
+        };
+      }), { ordered: false });
+
+      // upsertedIds is keyed by operation index, so it maps back onto missing
+      const upserted = Object.entries(result.upsertedIds || {});
+      const created = upserted.map(([index]) => missing[index]);
+
+      await recordRevisions(upserted.map(([index, recordId]) => {
+        const student = missing[index];
+        const leaveRequest = leaveByStudent.get(student._id.toString()) || null;
+        const record = {
+          _id: recordId,
+          student: student._id,
+          status: leaveRequest ? 'excused' : 'absent',
+          leaveRequest,
+          verifiedBy: adminId,
+          scanLocation: null,
+          deviceInfo: leaveRequest ? 'Leave request' : 'Absence marking'
+        };
+        return { record, action: 'create', before: null, after: snapshotRecord(record) };
+      }), { reason: 'Automatic absence marking', adminId });
+      const absent = created.filter(student => !leaveByStudent.has(student._id.toString()));
+      const excused = created.length - absent.length;
+
+      summary.marked += absent.length;
+      summary.excused += excused;
+      summary.days.push({ date: toDayKey(day), marked: absent.length, excused });
+      logInfo(`Marked ${absent.length} students absent and ${excused} excused on ${toDayKey(day)}`);
+
+      if (notifyParents) {
+        for (const student of absent) {
+          try {
+            if (await notifyParentOfAbsence(student, day)) summary.notified++;
+          } catch (error) {
+            logError(`Error notifying parent of ${student.name}: ${error.message}`);
+          }
+        }
+      }
+    }
+
+    const settings = await Settings.getSettings();
+    settings.absenceMarking.lastRun = new Date();
+    await settings.save();
+
+    logInfo(`Completed absence marking: ${summary.marked} absences over ${summary.days.length} school days`);
+    return summary;
+  } catch (error) {
+    logError(`Error in autoMarkAbsences: ${error.message}`);
+    throw error;
+  }
+};
+
+// Whether stored stats already match freshly calculated ones
+const statsMatch = (student, stats) => (
+  student.attendanceCount === stats.attendanceCount &&
+  Math.abs((student.attendancePercentage || 0) - stats.attendancePercentage) < 1e-9 &&
+  (student.lastAttendance?.getTime() ?? null) === (stats.lastAttendance?.getTime() ?? null)
+);
+
+/**
+ * Recalculate the attendance stats stored on students from their records
+ * Runs nightly so percentages take in the school day just ended, and can be
+ * run by hand after the school calendar changes. Only students whose stats
+ * differ are written.
+ * @param {Object} [options]
+ * @param {string} [options.studentId] - Recalculate this student only
+ * @returns {Promise<Object>} Counts of students checked, updated and failed
+ */
+export const recomputeAttendanceStats = async ({ studentId = null } = {}) => {
+  try {
+    const query = studentId ? { _id: studentId } : {};
+    const now = new Date();
+
+    // One calendar covers every student, from the oldest registration or record
+    const [oldestStudent, oldestRecord] = await Promise.all([
+      Student.findOne(query).sort({ createdAt: 1 }).select('createdAt').lean(),
+      AttendanceRecord.findOne(studentId ? { student: studentId } : {}).sort({ day: 1 }).select('day').lean()
+    ]);
+    const summary = { checked: 0, updated: 0, failed: 0 };
+    if (!oldestStudent) return summary;
+
+    const candidates = [oldestStudent.createdAt, oldestRecord?.day].filter(Boolean);
+    const calendar = await loadSchoolCalendar(startOfDay(new Date(Math.min(...candidates))), endOfDay(now));
+
+    const cursor = Student.find(query)
+      .select('name createdAt attendanceCount attendancePercentage lastAttendance')
+      .lean()
+      .cursor();
+
+    for await (const student of cursor) {
+      summary.checked++;
+      try {
+        const stats = await calculateStudentStats(student, { calendar, now });
+        if (statsMatch(student, stats)) continue;
+
+        await Student.updateOne({ _id: student._id }, { $set: stats });
+        summary.updated++;
+      } catch (error) {
+        summary.failed++;
+        logError(`Error recalculating attendance stats for ${student.name}: ${error.message}`);
+      }
+    }
+
+    logInfo(`Recalculated attendance stats: ${summary.updated} of ${summary.checked} students updated`);
+    return summary;
+  } catch (error) {
+    logError(`Error in recomputeAttendanceStats: ${error.message}`);
+    throw error;
+  }
+};
@@ -0,0 +1,161 @@
+import fs from 'fs';
+import path from 'path';
+import sharp from 'sharp';
+import ExcelJS from 'exceljs';
+import Settings from '../models/settings.model.js';
+import { logError } from '../utils/terminal.js';
+import AppError from '../utils/appError.js';
+
+const LOGO_DIR = path.join('uploads', 'branding');
+
+// Logos are kept square so they drop into QR codes, ID cards and reports
+// without stretching; large enough for the login page
+const LOGO_SIZE = 512;
+
+// Author of reports before a school name is set
+const DEFAULT_REPORT_CREATOR = 'Attendance System';
+
+// ExcelJS wants colors as ARGB without the '#'
+export const toArgb = (hexColor) => `FF${hexColor.replace('#', '').toUpperCase()}`;
+
+// Remove a logo file that is no longer needed
+const removeFile = (filePath) => {
+  if (!filePath) return;
+  fs.unlink(filePath, (err) => {
+    if (err && err.code !== 'ENOENT') {
+      logError(`Error deleting school logo ${filePath}: ${err.message}`);
+    }
+  });
+};
+
+/**
+ * Store a new school logo, replacing the one before
+ * The upload is fitted into a LOGO_SIZE square, padded with transparency,
+ * and saved as PNG. The caller saves the settings.
+ * @param {Document} settings - The settings document
+ * @param {Buffer} upload - The uploaded image
+ * @throws {AppError} 400 when the upload is not an image
+ */
+export const saveSchoolLogo = async (settings, upload) => {
+  let logo;
+  try {
+    logo = await sharp(upload)
+      .rotate()
+      .resize(LOGO_SIZE, LOGO_SIZE, { fit: 'contain', background: { r: 0, g: 0, b: 0, alpha: 0 } })
+      .png()
+      .toBuffer();
+  } catch (error) {
+    throw new AppError('The logo could not be read as an image', 400);
+  }
+
+  await fs.promises.mkdir(LOGO_DIR, { recursive: true });
+  const logoPath = path.join(LOGO_DIR, `logo-${Date.now()}.png`);
+  await fs.promises.writeFile(logoPath, logo);
+
+  removeFile(settings.branding.logoPath);
+  settings.branding.logoPath = logoPath;
+  settings.branding.logoUpdatedAt = new Date();
+};
+
+/**
+ * Remove the school logo; the caller saves the settings
+ * @param {Document} settings - The settings document
+ */
+export const removeSchoolLogo = (settings) => {
+  removeFile(settings.branding.logoPath);
+  settings.branding.logoPath = null;
+  settings.branding.logoUpdatedAt = null;
+};
+
+/**
+ * Read the school logo
+ * @param {Object} branding - The branding settings
+ * @returns {Promise<Buffer|null>} The logo as PNG, or null when there is none
+ */
+export const readSchoolLogo = async (branding) => {
+  if (!branding?.logoPath) return null;
+  try {
+    return await fs.promises.readFile(branding.logoPath);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Branding that anyone may see, for the login page and the main layout
+ * @param {Object} branding - The branding settings
+ * @returns {Object} School name, colors and when the logo last changed
+ */
+export const toPublicBranding = (branding) => ({
+  schoolName: branding.schoolName || '',
+  primaryColor: branding.primaryColor,
+  secondaryColor: branding.secondaryColor,
+  qrModuleStyle: branding.qrModuleStyle,
+  hasLogo: Boolean(branding.logoPath),
+  logoUpdatedAt: branding.logoUpdatedAt
+});
+
+/**
+ * Options for generateStylishQRCode that draw codes in the school's style
+ * @returns {Promise<Object>} The module style and the logo for the middle
+ */
+export const getQrBranding = async () => {
+  const { branding } = await Settings.getSettings();
+  return {
+    moduleStyle: branding.qrModuleStyle,
+    logo: await readSchoolLogo(branding)
+  };
+};
+
+/**
+ * Branding for Excel reports
+ * @returns {Promise<Object>} The school name ('' when not set), header row
+ *   color as ARGB and logo
+ */
+export const getReportBranding = async () => {
+  const { branding } = await Settings.getSettings();
+  return {
+    schoolName: branding.schoolName || '',
+    headerColor: toArgb(branding.primaryColor),
+    logo: await readSchoolLogo(branding)
+  };
+};
+
+/**
+ * Title of a report, led by the school name when there is one
+ * @param {Object} reportBranding - Result of getReportBranding
+ * @param {string} title - Title of the report
+ * @returns {string} The title
+ */
+export const getReportTitle = (reportBranding, title) =>
+  reportBranding.schoolName ? `${reportBranding.schoolName} - ${title}` : title;
+
+/**
+ * Start an Excel workbook made by the school
+ * @param {Object} reportBranding - Result of getReportBranding
+ * @returns {ExcelJS.Workbook} The empty workbook
+ */
+export const createReportWorkbook = (reportBranding) => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = reportBranding.schoolName || DEFAULT_REPORT_CREATOR;
+  workbook.company = reportBranding.schoolName;
+  workbook.created = new Date();
+  return workbook;
+};
+
+/**
+ * Put the school logo in the top left corner of a report's title row
+ * @param {ExcelJS.Workbook} workbook - The workbook
+ * @param {ExcelJS.Worksheet} worksheet - The sheet, with its title in row 1
+ * @param {Object} reportBranding - Result of getReportBranding
+ */
+export const addReportLogo = (workbook, worksheet, reportBranding) => {
+  if (!reportBranding.logo) return;
+  const imageId = workbook.addImage({ buffer: reportBranding.logo, extension: 'png' });
+  worksheet.getRow(1).height = 42;
+  worksheet.addImage(imageId, {
+    tl: { col: 0.1, row: 0.1 },
+    ext: { width: 48, height: 48 },
+    editAs: 'oneCell'
+  });
+};
@@ -0,0 +1,76 @@
+import Settings from '../models/settings.model.js';
+import CalendarEntry from '../models/calendarEntry.model.js';
+import { startOfDay, addDays } from '../utils/dateUtils.js';
+
+const coversDay = (entry, day) => entry.startDate <= day && entry.endDate >= day;
+
+/**
+ * Build a school calendar from the school hours and the calendar entries
+ * A day is a school day when a make-up day covers it, or when it is a school
+ * weekday inside a term (if any terms exist) that no holiday or closure covers.
+ * @param {Document} settings - School settings with weekly school hours
+ * @param {Array} entries - Calendar entries overlapping the period of interest
+ * @param {boolean} hasTerms - Whether any term has been defined at all
+ * @returns {Object} Calendar helpers
+ */
+export const createSchoolCalendar = (settings, entries = [], hasTerms = false) => {
+  const ofType = (...types) => entries.filter(entry => types.includes(entry.type));
+  const terms = ofType('term');
+  const closures = ofType('holiday', 'closure');
+  const makeupDays = ofType('makeup_day');
+
+  const getDayInfo = (date) => {
+    const day = startOfDay(date);
+
+    const makeupDay = makeupDays.find(entry => coversDay(entry, day));
+    if (makeupDay) {
+      return { date: day, isSchoolDay: true, reason: 'makeup_day', entry: makeupDay };
+    }
+
+    const closure = closures.find(entry => coversDay(entry, day));
+    if (closure) {
+      return { date: day, isSchoolDay: false, reason: closure.type, entry: closure };
+    }
+
+    if (hasTerms && !terms.some(entry => coversDay(entry, day))) {
+      return { date: day, isSchoolDay: false, reason: 'term_break', entry: null };
+    }
+
+    if (!settings.getSchoolDay(day).isSchoolDay) {
+      return { date: day, isSchoolDay: false, reason: 'day_off', entry: null };
+    }
+
+    return { date: day, isSchoolDay: true, reason: 'school_day', entry: null };
+  };
+
+  const getSchoolDays = (start, end) => {
+    const days = [];
+    for (let day = startOfDay(start); day <= end; day = addDays(day, 1)) {
+      if (getDayInfo(day).isSchoolDay) days.push(day);
+    }
+    return days;
+  };
+
+  return {
+    getDayInfo,
+    isSchoolDay: (date) => getDayInfo(date).isSchoolDay,
+    getSchoolDays,
+    countSchoolDays: (start, end) => getSchoolDays(start, end).length
+  };
+};
+
+/**
+ * Load the school calendar for a period
+ * @param {Date} start - First day of the period
+ * @param {Date} end - Last day of the period
+ * @returns {Promise<Object>} Calendar helpers, see createSchoolCalendar
+ */
+export const loadSchoolCalendar = async (start, end) => {
+  const [settings, entries, term] = await Promise.all([
+    Settings.getSettings(),
+    CalendarEntry.findOverlapping(startOfDay(start), end).lean(),
+    CalendarEntry.exists({ type: 'term' })
+  ]);
+
+  return createSchoolCalendar(settings, entries, Boolean(term));
+};
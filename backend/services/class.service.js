@@ -0,0 +1,182 @@
+import mongoose from 'mongoose';
+import SchoolClass from '../models/schoolClass.model.js';
+import Section, { formatSectionLabel } from '../models/section.model.js';
+import AppError from '../utils/appError.js';
+
+export const UNASSIGNED_LABEL = 'Unassigned';
+
+/**
+ * Work out which students a class filter covers
+ * A sectionId selects one section; a classId selects every section of the class.
+ * @param {Object} query - Request query with optional classId and sectionId
+ * @returns {Promise<Object|null>} null when there is no filter, otherwise the
+ *   label of the class or section, its section ids and a Student query for them
+ * @throws {AppError} When an id is malformed or does not exist
+ */
+export const getClassFilter = async ({ classId, sectionId } = {}) => {
+  if (!classId && !sectionId) return null;
+
+  if ((classId && !mongoose.Types.ObjectId.isValid(classId)) ||
+      (sectionId && !mongoose.Types.ObjectId.isValid(sectionId))) {
+    throw new AppError('Invalid class or section ID', 400);
+  }
+
+  let label;
+  let sectionIds;
+
+  if (sectionId) {
+    const section = await Section.findById(sectionId).populate('schoolClass', 'name').lean();
+    if (!section) throw new AppError('Section not found', 404);
+    if (classId && section.schoolClass?._id.toString() !== classId) {
+      throw new AppError('Section does not belong to this class', 400);
+    }
+
+    label = formatSectionLabel(section);
+    sectionIds = [section._id];
+  } else {
+    const schoolClass = await SchoolClass.findById(classId).select('name').lean();
+    if (!schoolClass) throw new AppError('Class not found', 404);
+
+    label = schoolClass.name;
+    sectionIds = await Section.distinct('_id', { schoolClass: schoolClass._id });
+  }
+
+  return { label, sectionIds, studentQuery: { section: { $in: sectionIds } } };
+};
+
+/**
+ * Look up the class label and homeroom teacher of each section some students are in
+ * @param {Array<Object>} students - Students with a section id or populated section
+ * @returns {Promise<Map>} Section id string to { label, homeroomTeacher }
+ */
+export const getSectionDetails = async (students) => {
+  const ids = [...new Set(students
+    .map(student => (student.section?._id ?? student.section)?.toString())
+    .filter(Boolean))];
+  if (ids.length === 0) return new Map();
+
+  const sections = await Section.find({ _id: { $in: ids } })
+    .populate('schoolClass', 'name gradeLevel')
+    .populate('homeroomTeacher', 'name')
+    .lean();
+
+  return new Map(sections.map(section => [section._id.toString(), {
+    label: formatSectionLabel(section),
+    gradeLevel: section.schoolClass?.gradeLevel ?? null,
+    homeroomTeacher: section.homeroomTeacher?.name || ''
+  }]));
+};
+
+/**
+ * @param {Map} sectionDetails - Result of getSectionDetails
+ * @param {Object} student - Student with a section id or populated section
+ * @returns {string} Class label of the student, or "Unassigned"
+ */
+export const getClassLabel = (sectionDetails, student) => {
+  const id = (student.section?._id ?? student.section)?.toString();
+  return (id && sectionDetails.get(id)?.label) || UNASSIGNED_LABEL;
+};
+
+/**
+ * Add a worksheet with one row of attendance totals per class section
+ * Rows are per student; on a daily report each counts a single day, on longer
+ * reports the totals are student-days.
+ * @param {ExcelJS.Workbook} workbook - Workbook to add the sheet to
+ * @param {Map} sectionDetails - Result of getSectionDetails for the students
+ * @param {Array<Object>} rows - { student, present, late, excused, absent, schoolDays }
+ * @param {string} [headerColor] - Header row color as ARGB, the school's primary color
+ * @returns {ExcelJS.Worksheet} The summary sheet
+ */
+export const addClassSummarySheet = (workbook, sectionDetails, rows, headerColor = 'FF4472C4') => {
+  const worksheet = workbook.addWorksheet('Class Summary');
+
+  worksheet.columns = [
+    { header: 'Class', key: 'label', width: 20 },
+    { header: 'Homeroom Teacher', key: 'homeroomTeacher', width: 25 },
+    { header: 'Students', key: 'students', width: 12 },
+    { header: 'Present', key: 'present', width: 12 },
+    { header: 'Late', key: 'late', width: 12 },
+    { header: 'Excused', key: 'excused', width: 12 },
+    { header: 'Absent', key: 'absent', width: 12 },
+    { header: 'Attendance %', key: 'percentage', width: 15 }
+  ];
+
+  const headerRow = worksheet.getRow(1);
+  headerRow.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+  headerRow.fill = {
+    type: 'pattern',
+    pattern: 'solid',
+    fgColor: { argb: headerColor }
+  };
+
+  const emptyTotals = () => ({ students: 0, present: 0, late: 0, excused: 0, absent: 0, schoolDays: 0 });
+  const addTo = (totals, row) => {
+    totals.students++;
+    totals.present += row.present || 0;
+    totals.late += row.late || 0;
+    totals.excused += row.excused || 0;
+    totals.absent += row.absent || 0;
+    totals.schoolDays += row.schoolDays || 0;
+  };
+
+  const byClass = new Map();
+  const overall = emptyTotals();
+  rows.forEach(row => {
+    const label = getClassLabel(sectionDetails, row.student);
+    if (!byClass.has(label)) {
+      const id = (row.student.section?._id ?? row.student.section)?.toString();
+      byClass.set(label, { ...emptyTotals(), ...(id ? sectionDetails.get(id) : null), label });
+    }
+    addTo(byClass.get(label), row);
+    addTo(overall, row);
+  });
+
+  const formatPercentage = (totals) => (
+    totals.schoolDays > 0 ? `${((totals.present / totals.schoolDays) * 100).toFixed(1)}%` : 'N/A'
+  );
+
+  // Lower grades first, unassigned students last
+  const classes = [...byClass.values()].sort((a, b) => {
+    if (a.label === UNASSIGNED_LABEL) return 1;
+    if (b.label === UNASSIGNED_LABEL) return -1;
+    return (a.gradeLevel ?? 0) - (b.gradeLevel ?? 0) || a.label.localeCompare(b.label, undefined, { numeric: true });
+  });
+
+  classes.forEach(totals => {
+    worksheet.addRow({
+      label: totals.label,
+      homeroomTeacher: totals.homeroomTeacher || '',
+      students: totals.students,
+      present: totals.present,
+      late: totals.late,
+      excused: totals.excused,
+      absent: totals.absent,
+      percentage: formatPercentage(totals)
+    });
+  });
+
+  const totalRow = worksheet.addRow({
+    label: 'All Classes',
+    homeroomTeacher: '',
+    students: overall.students,
+    present: overall.present,
+    late: overall.late,
+    excused: overall.excused,
+    absent: overall.absent,
+    percentage: formatPercentage(overall)
+  });
+  totalRow.font = { bold: true };
+
+  worksheet.eachRow(row => {
+    row.eachCell(cell => {
+      cell.border = {
+        top: { style: 'thin' },
+        left: { style: 'thin' },
+        bottom: { style: 'thin' },
+        right: { style: 'thin' }
+      };
+    });
+  });
+
+  return worksheet;
+};
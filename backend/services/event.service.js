@@ -0,0 +1,313 @@
+import mongoose from 'mongoose';
+import Event from '../models/event.model.js';
+import EventAttendance from '../models/eventAttendance.model.js';
+import Student from '../models/student.model.js';
+import { getSectionDetails, getClassLabel } from './class.service.js';
+import { getReportBranding, createReportWorkbook } from './branding.service.js';
+import { formatSchoolTime } from '../utils/dateUtils.js';
+import AppError from '../utils/appError.js';
+
+// Populate an event with everything shown about it
+export const EVENT_POPULATE = [
+  { path: 'location', select: 'name' },
+  { path: 'sections', select: 'name schoolClass', populate: { path: 'schoolClass', select: 'name gradeLevel' } }
+];
+
+// Statuses that take up a place at the event
+const ATTENDING_STATUSES = ['present', 'late'];
+
+/**
+ * Load an event
+ * @param {string} eventId - Event id
+ * @returns {Promise<Object>} The event, lean, with its location and sections populated
+ * @throws {AppError} When the id is malformed or there is no such event
+ */
+export const findEvent = async (eventId) => {
+  if (!mongoose.Types.ObjectId.isValid(eventId)) {
+    throw new AppError('Invalid event ID', 400);
+  }
+
+  const event = await Event.findById(eventId).populate(EVENT_POPULATE).lean();
+  if (!event) {
+    throw new AppError('Event not found', 404);
+  }
+  return event;
+};
+
+/**
+ * When check-in opens, when check-ins become late and when it closes
+ * @param {Object} event - The event
+ * @returns {Object} opensAt, lateAfter and closesAt Dates
+ */
+export const getCheckInWindow = (event) => ({
+  opensAt: new Date(event.startTime.getTime() - event.checkInOpensMinutes * 60 * 1000),
+  lateAfter: new Date(event.startTime.getTime() + event.lateAfterMinutes * 60 * 1000),
+  closesAt: event.endTime
+});
+
+/**
+ * Student query for the eligible roster of an event
+ * An event without sections or students is open to every active student.
+ * @param {Object} event - The event
+ * @returns {Object} Student query
+ */
+export const getRosterQuery = (event) => {
+  const sectionIds = (event.sections || []).map(section => section._id ?? section);
+  const studentIds = event.students || [];
+  if (sectionIds.length === 0 && studentIds.length === 0) return { status: 'active' };
+
+  const eligible = [];
+  if (sectionIds.length > 0) eligible.push({ section: { $in: sectionIds } });
+  if (studentIds.length > 0) eligible.push({ _id: { $in: studentIds } });
+  return { status: 'active', $or: eligible };
+};
+
+/**
+ * @param {Object} event - The event
+ * @param {Object} student - Student with _id and section
+ * @returns {boolean} Whether the student is on the event's roster
+ */
+export const isOnRoster = (event, student) => {
+  const sectionIds = (event.sections || []).map(section => (section._id ?? section).toString());
+  const studentIds = (event.students || []).map(id => id.toString());
+  if (sectionIds.length === 0 && studentIds.length === 0) return true;
+
+  const sectionId = (student.section?._id ?? student.section)?.toString();
+  return studentIds.includes(student._id.toString()) || (Boolean(sectionId) && sectionIds.includes(sectionId));
+};
+
+/**
+ * Status of a check-in at a time, going by the event's grace period
+ * @param {Object} event - The event
+ * @param {Date} checkInTime - Time of the check-in
+ * @returns {Object} status ('present' or 'late') and minutesLate
+ */
+export const getCheckInLateness = (event, checkInTime) => {
+  const { lateAfter } = getCheckInWindow(event);
+  if (checkInTime <= lateAfter) return { status: 'present', minutesLate: 0 };
+  return {
+    status: 'late',
+    minutesLate: Math.round((checkInTime.getTime() - event.startTime.getTime()) / (60 * 1000))
+  };
+};
+
+/**
+ * Check a student in to an event from a scan of their QR code
+ * Scans count only while check-in is open, from students on the roster, and
+ * while the event has places left. A student checks in once; a repeat scan
+ * returns the first check-in.
+ * @param {Object} event - The event
+ * @param {Object} student - The student
+ * @param {Object} [options] - checkInTime, device and deviceInfo
+ * @returns {Promise<Object>} { attendance, alreadyCheckedIn }
+ * @throws {AppError} When the event is cancelled, closed, full or the student is not on the roster
+ */
+export const checkInByScan = async (event, student, { checkInTime = new Date(), device = null, deviceInfo = null } = {}) => {
+  if (event.cancelledAt) {
+    throw new AppError(`${event.name} has been cancelled`, 400);
+  }
+
+  const { opensAt, closesAt } = getCheckInWindow(event);
+  if (checkInTime < opensAt) {
+    throw new AppError(`Check-in for ${event.name} opens at ${formatSchoolTime(opensAt, 'hh:mm a')}`, 400);
+  }
+  if (checkInTime > closesAt) {
+    throw new AppError(`${event.name} has ended`, 400);
+  }
+
+  if (student.status !== 'active' || !isOnRoster(event, student)) {
+    throw new AppError(`${student.name} is not on the roster for ${event.name}`, 403);
+  }
+
+  const existing = await EventAttendance.findOne({ event: event._id, student: student._id }).lean();
+  if (existing) return { attendance: existing, alreadyCheckedIn: true };
+
+  if (event.capacity) {
+    const taken = await EventAttendance.countDocuments({ event: event._id, status: { $in: ATTENDING_STATUSES } });
+    if (taken >= event.capacity) {
+      throw new AppError(`${event.name} is full (${event.capacity} places)`, 409);
+    }
+  }
+
+  const { status, minutesLate } = getCheckInLateness(event, checkInTime);
+
+  // The unique index settles two scans of one card arriving together
+  const before = await EventAttendance.findOneAndUpdate(
+    { event: event._id, student: student._id },
+    {
+      $setOnInsert: {
+        event: event._id,
+        student: student._id,
+        status,
+        minutesLate,
+        checkedInAt: checkInTime,
+        method: 'scan',
+        device,
+        deviceInfo
+      }
+    },
+    { upsert: true, new: false }
+  ).lean();
+  if (before) return { attendance: before, alreadyCheckedIn: true };
+
+  const attendance = await EventAttendance.findOne({ event: event._id, student: student._id }).lean();
+  return { attendance, alreadyCheckedIn: false };
+};
+
+/**
+ * Check a student in, or correct their check-in, by hand
+ * Organisers can add students who are not on the roster and go over capacity;
+ * excusing a student marks them as not expected.
+ * @param {Object} event - The event
+ * @param {Object} student - The student
+ * @param {Object} mark - status and minutesLate
+ * @param {Object} [options] - adminId and checkInTime
+ * @returns {Promise<Object>} The check-in
+ */
+export const checkInManually = async (event, student, { status, minutesLate = 0 }, { adminId = null, checkInTime = new Date() } = {}) => {
+  if (event.cancelledAt) {
+    throw new AppError(`${event.name} has been cancelled`, 400);
+  }
+
+  return EventAttendance.findOneAndUpdate(
+    { event: event._id, student: student._id },
+    {
+      $set: {
+        status,
+        minutesLate: status === 'late' ? minutesLate : 0,
+        method: 'manual',
+        markedBy: adminId
+      },
+      $setOnInsert: { event: event._id, student: student._id, checkedInAt: checkInTime }
+    },
+    { upsert: true, new: true, runValidators: true }
+  ).lean();
+};
+
+/**
+ * Roster of an event with each student's check-in
+ * Students on the roster who have not checked in are 'expected' until the
+ * event ends and a 'no_show' after. Students checked in by hand from outside
+ * the roster are listed too.
+ * @param {Object} event - The event
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Object>} { rows, counts, ended }
+ */
+export const getEventRoster = async (event, now = new Date()) => {
+  const checkIns = await EventAttendance.find({ event: event._id }).lean();
+  const checkInByStudent = new Map(checkIns.map(checkIn => [checkIn.student.toString(), checkIn]));
+
+  const students = await Student.find({
+    $or: [getRosterQuery(event), { _id: { $in: checkIns.map(checkIn => checkIn.student) } }]
+  })
+    .select('name indexNumber section status')
+    .sort({ indexNumber: 1 })
+    .lean();
+  const sectionDetails = await getSectionDetails(students);
+
+  const ended = now > event.endTime;
+  const counts = { roster: 0, present: 0, late: 0, excused: 0, expected: 0, no_show: 0 };
+
+  const rows = students.map(student => {
+    const checkIn = checkInByStudent.get(student._id.toString());
+    const onRoster = student.status === 'active' && isOnRoster(event, student);
+    const status = checkIn?.status || (ended ? 'no_show' : 'expected');
+
+    if (onRoster) counts.roster++;
+    counts[status]++;
+
+    return {
+      student: {
+        _id: student._id,
+        name: student.name,
+        indexNumber: student.indexNumber,
+        classLabel: getClassLabel(sectionDetails, student)
+      },
+      onRoster,
+      status,
+      checkedInAt: checkIn?.checkedInAt || null,
+      minutesLate: checkIn?.minutesLate || 0,
+      method: checkIn?.method || null
+    };
+  });
+
+  return { rows, counts, ended };
+};
+
+const STATUS_LABELS = {
+  present: 'Present',
+  late: 'Late',
+  excused: 'Excused',
+  expected: 'Not checked in',
+  no_show: 'No-show'
+};
+
+/**
+ * Build the roster report of an event as an Excel workbook
+ * @param {Object} event - The event
+ * @param {Object} roster - Result of getEventRoster
+ * @returns {Promise<Buffer>} The workbook
+ */
+export const buildEventReport = async (event, { rows, counts }) => {
+  const branding = await getReportBranding();
+  const workbook = createReportWorkbook(branding);
+
+  const addHeader = (worksheet) => {
+    const headerRow = worksheet.getRow(1);
+    headerRow.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+    headerRow.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: branding.headerColor } };
+  };
+
+  const addRosterSheet = (title, sheetRows) => {
+    const worksheet = workbook.addWorksheet(title);
+    worksheet.columns = [
+      { header: 'Index Number', key: 'indexNumber', width: 15 },
+      { header: 'Name', key: 'name', width: 30 },
+      { header: 'Class', key: 'classLabel', width: 20 },
+      { header: 'Status', key: 'status', width: 16 },
+      { header: 'Checked In', key: 'checkedInAt', width: 14 },
+      { header: 'Minutes Late', key: 'minutesLate', width: 14 },
+      { header: 'Method', key: 'method', width: 10 },
+      { header: 'On Roster', key: 'onRoster', width: 11 }
+    ];
+    addHeader(worksheet);
+
+    sheetRows.forEach(row => {
+      worksheet.addRow({
+        indexNumber: row.student.indexNumber?.toUpperCase(),
+        name: row.student.name,
+        classLabel: row.student.classLabel,
+        status: STATUS_LABELS[row.status],
+        checkedInAt: row.checkedInAt ? formatSchoolTime(row.checkedInAt, 'hh:mm a') : '',
+        minutesLate: row.status === 'late' ? row.minutesLate : '',
+        method: row.method || '',
+        onRoster: row.onRoster ? 'Yes' : 'No'
+      });
+    });
+    return worksheet;
+  };
+
+  const summary = workbook.addWorksheet('Summary');
+  summary.columns = [
+    { header: event.name, key: 'label', width: 25 },
+    { header: '', key: 'value', width: 40 }
+  ];
+  addHeader(summary);
+  summary.addRows([
+    { label: 'Starts', value: formatSchoolTime(event.startTime, 'MMM d, yyyy hh:mm a') },
+    { label: 'Ends', value: formatSchoolTime(event.endTime, 'MMM d, yyyy hh:mm a') },
+    { label: 'Venue', value: event.location?.name || event.venue || '' },
+    { label: 'Capacity', value: event.capacity || 'No limit' },
+    { label: 'On roster', value: counts.roster },
+    { label: 'Present', value: counts.present },
+    { label: 'Late', value: counts.late },
+    { label: 'Excused', value: counts.excused },
+    { label: 'No-shows', value: counts.no_show + counts.expected }
+  ]);
+  if (event.cancelledAt) summary.addRow({ label: 'Cancelled', value: formatSchoolTime(event.cancelledAt, 'MMM d, yyyy hh:mm a') });
+
+  addRosterSheet('Roster', rows);
+  addRosterSheet('No-shows', rows.filter(row => row.onRoster && (row.status === 'no_show' || row.status === 'expected')));
+
+  return workbook.xlsx.writeBuffer();
+};
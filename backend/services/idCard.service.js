@@ -0,0 +1,142 @@
+import PDFDocument from 'pdfkit';
+
+// PDF points in a millimetre
+const MM = 72 / 25.4;
+
+// ID-1 cards, the size of a bank card, ten to an A4 sheet. Cards touch, so
+// each cut is shared by two cards, and the crop marks sit in the margins.
+const PAGE_WIDTH = 210 * MM;
+const PAGE_HEIGHT = 297 * MM;
+const CARD_WIDTH = 85.6 * MM;
+const CARD_HEIGHT = 54 * MM;
+const COLUMNS = 2;
+const ROWS = 5;
+const CROP_MARK_OFFSET = 2 * MM;
+const CROP_MARK_LENGTH = 5 * MM;
+
+const SHEET_LEFT = (PAGE_WIDTH - COLUMNS * CARD_WIDTH) / 2;
+const SHEET_TOP = (PAGE_HEIGHT - ROWS * CARD_HEIGHT) / 2;
+
+// Band color when the school has not chosen one
+const DEFAULT_BRAND_COLOR = '#1e3a8a';
+const MUTED_COLOR = '#64748b';
+const TEXT_COLOR = '#0f172a';
+
+export const CARDS_PER_SHEET = COLUMNS * ROWS;
+
+const dataUrlToBuffer = (dataUrl) => Buffer.from(dataUrl.replace(/^data:image\/\w+;base64,/, ''), 'base64');
+
+// Short lines just outside the sheet of cards, in line with every cut
+const drawCropMarks = (doc) => {
+  const right = SHEET_LEFT + COLUMNS * CARD_WIDTH;
+  const bottom = SHEET_TOP + ROWS * CARD_HEIGHT;
+
+  doc.save().lineWidth(0.5).strokeColor('#000000');
+  for (let column = 0; column <= COLUMNS; column++) {
+    const x = SHEET_LEFT + column * CARD_WIDTH;
+    doc.moveTo(x, SHEET_TOP - CROP_MARK_OFFSET).lineTo(x, SHEET_TOP - CROP_MARK_OFFSET - CROP_MARK_LENGTH).stroke();
+    doc.moveTo(x, bottom + CROP_MARK_OFFSET).lineTo(x, bottom + CROP_MARK_OFFSET + CROP_MARK_LENGTH).stroke();
+  }
+  for (let row = 0; row <= ROWS; row++) {
+    const y = SHEET_TOP + row * CARD_HEIGHT;
+    doc.moveTo(SHEET_LEFT - CROP_MARK_OFFSET, y).lineTo(SHEET_LEFT - CROP_MARK_OFFSET - CROP_MARK_LENGTH, y).stroke();
+    doc.moveTo(right + CROP_MARK_OFFSET, y).lineTo(right + CROP_MARK_OFFSET + CROP_MARK_LENGTH, y).stroke();
+  }
+  doc.restore();
+};
+
+// One line of text cut short with an ellipsis when it does not fit
+const drawLine = (doc, text, x, y, { width, size, font = 'Helvetica', color = TEXT_COLOR, align = 'left' }) => {
+  doc.font(font).fontSize(size).fillColor(color)
+    .text(text || '', x, y, { width, height: size * 1.2, align, ellipsis: true });
+};
+
+const drawPhoto = (doc, photo, x, y, width, height) => {
+  if (photo) {
+    doc.save().rect(x, y, width, height).clip();
+    doc.image(photo, x, y, { cover: [width, height], align: 'center', valign: 'center' });
+    doc.restore();
+    return;
+  }
+
+  // A frame to stick a printed photo into
+  doc.save().rect(x, y, width, height).fillAndStroke('#f1f5f9', '#cbd5e1').restore();
+  drawLine(doc, 'PHOTO', x, y + height / 2 - 4, { width, size: 7, color: MUTED_COLOR, align: 'center' });
+};
+
+const drawCard = (doc, card, x, y, { schoolName, color, logo }) => {
+  const padding = 3 * MM;
+  const headerHeight = 9 * MM;
+  const photoWidth = 20 * MM;
+  const photoHeight = 25 * MM;
+  const qrSize = 25 * MM;
+  const bodyTop = y + headerHeight + 2 * MM;
+
+  // School name on a coloured band across the top, with the logo on its left
+  doc.save().rect(x, y, CARD_WIDTH, headerHeight).fill(color).restore();
+  const logoSize = headerHeight - 2 * MM;
+  const nameInset = logo ? logoSize + 2 * MM : 0;
+  if (logo) {
+    doc.image(logo, x + padding, y + MM, { fit: [logoSize, logoSize] });
+  }
+  drawLine(doc, schoolName, x + padding + nameInset, y + (headerHeight - 11) / 2, {
+    width: CARD_WIDTH - 2 * padding - 2 * nameInset, size: 10, font: 'Helvetica-Bold', color: '#ffffff', align: 'center'
+  });
+
+  drawPhoto(doc, card.photo, x + padding, bodyTop, photoWidth, photoHeight);
+  doc.image(dataUrlToBuffer(card.qrCode), x + CARD_WIDTH - padding - qrSize, bodyTop, { width: qrSize, height: qrSize });
+
+  // Index number and class between the photo and the QR code
+  const detailsLeft = x + padding + photoWidth + 2 * MM;
+  const detailsWidth = CARD_WIDTH - 2 * padding - photoWidth - qrSize - 4 * MM;
+  drawLine(doc, 'STUDENT ID CARD', detailsLeft, bodyTop, { width: detailsWidth, size: 6, font: 'Helvetica-Bold', color });
+  drawLine(doc, 'Index No.', detailsLeft, bodyTop + 5 * MM, { width: detailsWidth, size: 6, color: MUTED_COLOR });
+  drawLine(doc, card.indexNumber, detailsLeft, bodyTop + 8 * MM, { width: detailsWidth, size: 9, font: 'Helvetica-Bold' });
+  drawLine(doc, 'Class', detailsLeft, bodyTop + 13 * MM, { width: detailsWidth, size: 6, color: MUTED_COLOR });
+  drawLine(doc, card.classLabel || '-', detailsLeft, bodyTop + 16 * MM, { width: detailsWidth, size: 9, font: 'Helvetica-Bold' });
+
+  // Name across the card under the photo and the code
+  drawLine(doc, card.name, x + padding, bodyTop + photoHeight + 2 * MM, {
+    width: CARD_WIDTH - 2 * padding, size: 11, font: 'Helvetica-Bold'
+  });
+
+  doc.save().rect(x, y + CARD_HEIGHT - 1.5 * MM, CARD_WIDTH, 1.5 * MM).fill(color).restore();
+};
+
+/**
+ * Lay student ID cards out on A4 sheets, ten to a sheet, with crop marks
+ * @param {Array<Object>} cards - name, indexNumber, classLabel, qrCode (data
+ *   URL) and photo (image buffer, or null for an empty photo frame)
+ * @param {Object} options - schoolName printed at the top of every card, and
+ *   the school's color for the bands and logo (PNG buffer) when it has them
+ * @returns {Promise<Buffer>} The PDF document
+ */
+export const buildIdCardSheets = (cards, { schoolName, color = DEFAULT_BRAND_COLOR, logo = null }) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: 0,
+    autoFirstPage: false,
+    info: { Title: `${schoolName} student ID cards` }
+  });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  try {
+    cards.forEach((card, index) => {
+      const position = index % CARDS_PER_SHEET;
+      if (position === 0) {
+        doc.addPage();
+        drawCropMarks(doc);
+      }
+
+      const column = position % COLUMNS;
+      const row = Math.floor(position / COLUMNS);
+      drawCard(doc, card, SHEET_LEFT + column * CARD_WIDTH, SHEET_TOP + row * CARD_HEIGHT, { schoolName, color, logo });
+    });
+    doc.end();
+  } catch (error) {
+    reject(error);
+  }
+});
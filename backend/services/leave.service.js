@@ -0,0 +1,120 @@
+import mongoose from 'mongoose';
+import AttendanceRecord from '../models/attendanceRecord.model.js';
+import LeaveRequest from '../models/leaveRequest.model.js';
+import Student from '../models/student.model.js';
+import { loadSchoolCalendar } from './calendar.service.js';
+import { snapshotRecord, recordRevisions } from './attendanceAudit.service.js';
+import { endOfDay } from '../utils/dateUtils.js';
+import { logInfo } from '../utils/terminal.js';
+
+/**
+ * Record an approved leave request as excused attendance
+ * Covers the school days in the request up to today; later days are excused by
+ * absence marking when they arrive. Days the student scanned in on keep their
+ * scans, and absences already recorded in the range become excused.
+ * Every record written gets a revision with the given reason.
+ * @param {Document} leaveRequest - Approved leave request
+ * @param {string} [adminId] - Admin who approved it
+ * @param {string} [reason] - Reason stored on the revisions
+ * @returns {Promise<number>} Number of days recorded as excused
+ */
+export const applyLeaveRequest = async (leaveRequest, adminId = null, reason = `Leave approved (${leaveRequest.category})`) => {
+  const lastDay = leaveRequest.endDate > endOfDay() ? endOfDay() : endOfDay(leaveRequest.endDate);
+  if (leaveRequest.startDate > lastDay) return 0;
+
+  const calendar = await loadSchoolCalendar(leaveRequest.startDate, lastDay);
+  const days = calendar.getSchoolDays(leaveRequest.startDate, lastDay);
+  if (days.length === 0) return 0;
+
+  const existing = await AttendanceRecord.find({ student: leaveRequest.student, day: { $in: days } })
+    .lean();
+  const existingByDay = new Map(existing.map(record => [record.day.getTime(), record]));
+
+  const operations = [];
+  const changes = [];
+  for (const day of days) {
+    const record = existingByDay.get(day.getTime());
+
+    if (!record) {
+      const document = {
+        _id: new mongoose.Types.ObjectId(),
+        student: leaveRequest.student,
+        day,
+        date: day,
+        status: 'excused',
+        leaveRequest: leaveRequest._id,
+        verifiedBy: adminId,
+        scanLocation: null,
+        deviceInfo: 'Leave request'
+      };
+      operations.push({ insertOne: { document } });
+      changes.push({ record: document, action: 'create', before: null, after: snapshotRecord(document) });
+    } else if (!record.entryTime && ['absent', 'excused'].includes(record.status)) {
+      // A day the student actually attended keeps its scans
+      const update = { status: 'excused', leaveRequest: leaveRequest._id, verifiedBy: adminId };
+      operations.push({
+        updateOne: {
+          filter: { _id: record._id, deletedAt: null },
+          update: { $set: update }
+        }
+      });
+      changes.push({
+        record,
+        action: 'update',
+        before: snapshotRecord(record),
+        after: snapshotRecord({ ...record, ...update })
+      });
+    }
+  }
+
+  if (operations.length === 0) return 0;
+
+  await AttendanceRecord.bulkWrite(operations, { ordered: false });
+  await recordRevisions(changes, { reason, adminId });
+  logInfo(`Recorded ${operations.length} excused days for leave request ${leaveRequest._id}`);
+
+  const student = await Student.findById(leaveRequest.student);
+  if (student) {
+    await student.refreshAttendanceStats();
+    await student.save();
+  }
+
+  return operations.length;
+};
+
+/**
+ * Turn the excused days of a leave request that is no longer approved back into absences
+ * @param {Document} leaveRequest - Rejected or withdrawn leave request
+ * @param {string} [adminId] - Admin who rejected or deleted it
+ * @param {string} [reason] - Reason stored on the revisions
+ * @returns {Promise<number>} Number of days reverted
+ */
+export const revokeLeaveRequest = async (leaveRequest, adminId = null, reason = 'Leave no longer approved') => {
+  const records = await AttendanceRecord.find({ leaveRequest: leaveRequest._id, status: 'excused' }).lean();
+  if (records.length === 0) return 0;
+
+  const update = { status: 'absent', leaveRequest: null };
+  const result = await AttendanceRecord.updateMany(
+    { _id: { $in: records.map(record => record._id) } },
+    { $set: update }
+  );
+
+  await recordRevisions(records.map(record => ({
+    record,
+    action: 'update',
+    before: snapshotRecord(record),
+    after: snapshotRecord({ ...record, ...update })
+  })), { reason, adminId });
+
+  return result.modifiedCount || 0;
+};
+
+/**
+ * Map students on approved leave for a day to their leave request
+ * @param {Date} day - Midnight of the day
+ * @returns {Promise<Map>} Student id string to leave request id
+ */
+export const getApprovedLeaveByStudent = async (day) => {
+  const requests = await LeaveRequest.findApprovedOn(day).select('_id student').lean();
+  return new Map(requests.map(request => [request.student.toString(), request._id]));
+};
@@ -0,0 +1,241 @@
+import mongoose from 'mongoose';
+import AttendanceRecord from '../models/attendanceRecord.model.js';
+import LessonAttendance from '../models/lessonAttendance.model.js';
+import Settings from '../models/settings.model.js';
+import Student from '../models/student.model.js';
+import TimetableEntry from '../models/timetableEntry.model.js';
+import { formatSectionLabel } from '../models/section.model.js';
+import { loadSchoolCalendar } from './calendar.service.js';
+import { startOfDay, endOfDay, getWeekday, atTimeOfDay, getRecordSessions } from '../utils/dateUtils.js';
+import AppError from '../utils/appError.js';
+
+// Populate a timetable entry with everything shown about a lesson
+const LESSON_POPULATE = [
+  { path: 'period', select: 'name startTime endTime' },
+  { path: 'section', select: 'name schoolClass', populate: { path: 'schoolClass', select: 'name gradeLevel' } },
+  { path: 'teacher', select: 'name email' }
+];
+
+/**
+ * Start and end of a lesson on a day
+ * @param {Object} entry - Timetable entry with its period populated
+ * @param {Date} day - Day of the lesson
+ * @returns {Object} start and end Dates
+ */
+export const getLessonTimes = (entry, day) => ({
+  start: atTimeOfDay(day, entry.period.startTime),
+  end: atTimeOfDay(day, entry.period.endTime)
+});
+
+/**
+ * Where a student was, going by the gate, while a lesson was on
+ * @param {Object} [record] - The student's gate attendance record for the day
+ * @param {Object} times - Lesson start and end, see getLessonTimes
+ * @returns {string} 'on_campus', 'off_campus', 'absent', 'excused' or 'not_scanned'
+ */
+export const getGateStatus = (record, { start, end }) => {
+  if (!record) return 'not_scanned';
+  if (record.status === 'excused') return 'excused';
+
+  const sessions = getRecordSessions(record).filter(session => session.entryTime);
+  if (sessions.length === 0) return 'absent';
+
+  // Any stay on campus that overlaps the lesson counts
+  const overlaps = sessions.some(session =>
+    new Date(session.entryTime) <= end && (!session.leaveTime || new Date(session.leaveTime) >= start)
+  );
+  return overlaps ? 'on_campus' : 'off_campus';
+};
+
+/**
+ * Load a timetable entry as a lesson
+ * @param {string} entryId - Timetable entry id
+ * @returns {Promise<Object>} The entry, lean, with period, section and teacher populated
+ * @throws {AppError} When the id is malformed or there is no such lesson
+ */
+export const findLesson = async (entryId) => {
+  if (!mongoose.Types.ObjectId.isValid(entryId)) {
+    throw new AppError('Invalid lesson ID', 400);
+  }
+
+  const entry = await TimetableEntry.findById(entryId).populate(LESSON_POPULATE).lean();
+  if (!entry || !entry.period || !entry.section) {
+    throw new AppError('Lesson not found', 404);
+  }
+  return entry;
+};
+
+/**
+ * List the lessons taught on a day, in period order
+ * Days that are not school days have no lessons.
+ * @param {Date} date - Day to list
+ * @param {Object} [filter] - Optional teacherId and sectionIds
+ * @returns {Promise<Array>} Lessons with their section label and register counts
+ */
+export const getLessonsForDay = async (date, { teacherId, sectionIds } = {}) => {
+  const day = startOfDay(date);
+  const calendar = await loadSchoolCalendar(day, endOfDay(day));
+  if (!calendar.isSchoolDay(day)) return [];
+
+  const query = { weekday: getWeekday(day) };
+  if (teacherId) query.teacher = teacherId;
+  if (sectionIds) query.section = { $in: sectionIds };
+
+  const entries = await TimetableEntry.find(query).populate(LESSON_POPULATE).lean();
+  const lessons = entries.filter(entry => entry.period && entry.section);
+
+  const counts = await LessonAttendance.aggregate([
+    { $match: { day, timetableEntry: { $in: lessons.map(entry => entry._id) } } },
+    { $group: { _id: { entry: '$timetableEntry', status: '$status' }, count: { $sum: 1 } } }
+  ]);
+  const countsByEntry = new Map();
+  counts.forEach(({ _id, count }) => {
+    const key = _id.entry.toString();
+    countsByEntry.set(key, { ...countsByEntry.get(key), [_id.status]: count });
+  });
+
+  return lessons
+    .sort((a, b) => a.period.startTime.localeCompare(b.period.startTime) ||
+      formatSectionLabel(a.section).localeCompare(formatSectionLabel(b.section), undefined, { numeric: true }))
+    .map(entry => ({
+      ...entry,
+      sectionLabel: formatSectionLabel(entry.section),
+      marked: countsByEntry.get(entry._id.toString()) || {}
+    }));
+};
+
+/**
+ * Build the register of a lesson: every student of the section with their gate
+ * and lesson attendance
+ * Once the register has been started and the lesson is over, students nobody
+ * marked count as absent, or excused when the gate has them on approved leave.
+ * A student the gate has on campus during the lesson but who is absent from it
+ * is flagged.
+ * @param {Object} entry - Lesson, see findLesson
+ * @param {Date} date - Day of the lesson
+ * @returns {Promise<Object>} The lesson, its times and the register rows
+ */
+export const getLessonRegister = async (entry, date) => {
+  const day = startOfDay(date);
+  const times = getLessonTimes(entry, day);
+
+  const students = await Student.find({ section: entry.section._id, status: 'active' })
+    .select('name indexNumber')
+    .sort({ indexNumber: 1 })
+    .lean();
+  const studentIds = students.map(student => student._id);
+
+  const [gateRecords, lessonRecords] = await Promise.all([
+    AttendanceRecord.find({ student: { $in: studentIds }, day }).lean(),
+    LessonAttendance.find({ timetableEntry: entry._id, day }).populate('markedBy', 'name').lean()
+  ]);
+  const gateByStudent = new Map(gateRecords.map(record => [record.student.toString(), record]));
+  const lessonByStudent = new Map(lessonRecords.map(record => [record.student.toString(), record]));
+
+  const registerClosed = lessonRecords.length > 0 && new Date() > times.end;
+
+  const rows = students.map(student => {
+    const id = student._id.toString();
+    const gateStatus = getGateStatus(gateByStudent.get(id), times);
+    const lesson = lessonByStudent.get(id);
+
+    let lessonStatus = lesson?.status || null;
+    if (!lessonStatus && registerClosed) {
+      lessonStatus = gateStatus === 'excused' ? 'excused' : 'absent';
+    }
+
+    return {
+      student,
+      gateStatus,
+      lessonStatus,
+      minutesLate: lesson?.minutesLate || 0,
+      method: lesson?.method || null,
+      markedAt: lesson?.markedAt || null,
+      markedBy: lesson?.markedBy?.name || null,
+      flagged: gateStatus === 'on_campus' && lessonStatus === 'absent'
+    };
+  });
+
+  return {
+    lesson: { ...entry, sectionLabel: formatSectionLabel(entry.section) },
+    date: day,
+    startTime: times.start,
+    endTime: times.end,
+    rows
+  };
+};
+
+/**
+ * Record students' attendance of a lesson, replacing anything marked before
+ * @param {Object} entry - Lesson, see findLesson
+ * @param {Date} date - Day of the lesson
+ * @param {Array<Object>} marks - { studentId, status, minutesLate }
+ * @param {Object} [options] - method ('scan' or 'roll_call'), adminId and markedAt
+ * @returns {Promise<Object>} Result of the bulk write
+ */
+export const markLessonAttendance = async (entry, date, marks, { method = 'roll_call', adminId = null, markedAt = new Date() } = {}) => {
+  const day = startOfDay(date);
+
+  return LessonAttendance.bulkWrite(marks.map(mark => ({
+    updateOne: {
+      filter: { timetableEntry: entry._id, day, student: mark.studentId },
+      update: {
+        $set: {
+          status: mark.status,
+          minutesLate: mark.status === 'late' ? mark.minutesLate || 0 : 0,
+          method,
+          markedAt,
+          markedBy: adminId
+        }
+      },
+      upsert: true
+    }
+  })));
+};
+
+/**
+ * Work out whether a scan in class is on time for the lesson
+ * The grace period is the same as for arriving at the gate that weekday.
+ * @param {Object} entry - Lesson, see findLesson
+ * @param {Date} scanTime - Time of the scan
+ * @returns {Promise<Object>} status ('present' or 'late') and minutesLate
+ */
+export const getLessonLateness = async (entry, scanTime = new Date()) => {
+  const settings = await Settings.getSettings();
+  const { graceMinutes } = settings.getSchoolDay(scanTime);
+  const { start } = getLessonTimes(entry, scanTime);
+  const minutesAfterStart = Math.floor((scanTime - start) / (1000 * 60));
+
+  return minutesAfterStart > graceMinutes
+    ? { status: 'late', minutesLate: minutesAfterStart }
+    : { status: 'present', minutesLate: 0 };
+};
+
+/**
+ * Find students who came through the gate but missed a lesson on a day
+ * Only lessons whose register has been taken are checked.
+ * @param {Date} date - Day to check
+ * @param {Object} [filter] - Optional sectionIds, see getLessonsForDay
+ * @returns {Promise<Array>} One entry per student and missed lesson
+ */
+export const getMissedLessons = async (date, filter = {}) => {
+  const lessons = await getLessonsForDay(date, filter);
+  const taken = lessons.filter(lesson => Object.keys(lesson.marked).length > 0);
+
+  const registers = await Promise.all(taken.map(lesson => getLessonRegister(lesson, date)));
+
+  return registers.flatMap(register => register.rows
+    .filter(row => row.flagged)
+    .map(row => ({
+      student: row.student,
+      gateStatus: row.gateStatus,
+      lesson: {
+        _id: register.lesson._id,
+        subject: register.lesson.subject,
+        period: register.lesson.period,
+        sectionLabel: register.lesson.sectionLabel,
+        teacher: register.lesson.teacher,
+        room: register.lesson.room
+      }
+    })));
+};
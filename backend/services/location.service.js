@@ -0,0 +1,195 @@
+import mongoose from 'mongoose';
+import AttendanceRecord from '../models/attendanceRecord.model.js';
+import Location from '../models/location.model.js';
+import AppError from '../utils/appError.js';
+
+// Location recorded for scans while no locations are registered, as before the registry
+export const LEGACY_LOCATION = 'Main Entrance';
+
+export const UNRECORDED_LOCATION = 'Not recorded';
+
+/**
+ * Work out where a scan was made
+ * A scan names a registered location by id or by name; scans that name none are
+ * made at the default location. Until any location is registered, scans are
+ * accepted as before under the name they give.
+ * @param {Object} scan - locationId and/or scanLocation (a location name)
+ * @returns {Promise<Object>} { location, name }: the lean Location, or null
+ *   before the registry is set up, and the name to record
+ * @throws {AppError} When the location is unknown or no longer in use
+ */
+export const resolveScanLocation = async ({ locationId, scanLocation } = {}) => {
+  let location = null;
+
+  if (locationId) {
+    if (!mongoose.Types.ObjectId.isValid(locationId)) {
+      throw new AppError('Invalid location ID', 400);
+    }
+    location = await Location.findById(locationId).lean();
+    if (!location) throw new AppError('Scan location not found', 404);
+  } else if (scanLocation) {
+    location = await Location.findOne({ name: scanLocation.trim() })
+      .collation({ locale: 'en', strength: 2 })
+      .lean();
+  } else {
+    location = await Location.findOne({ isDefault: true, active: true }).lean();
+  }
+
+  if (!location) {
+    if (!await Location.exists({})) {
+      return { location: null, name: scanLocation?.trim() || LEGACY_LOCATION };
+    }
+    if (scanLocation) {
+      throw new AppError(`Unknown scan location "${scanLocation}"`, 400);
+    }
+    // With a single location in use there is nothing to choose
+    const active = await Location.find({ active: true }).limit(2).lean();
+    if (active.length !== 1) {
+      throw new AppError('Choose the location this scanner is at', 400);
+    }
+    location = active[0];
+  }
+
+  if (!location.active) {
+    throw new AppError(`${location.name} is no longer in use for scanning`, 400);
+  }
+
+  return { location, name: location.name };
+};
+
+/**
+ * Decide whether a gate scan is an entry or an exit
+ * Entry-only and exit-only gates always count one way; other locations toggle
+ * on whether the student is on campus.
+ * @param {Object} [record] - The student's attendance record for today
+ * @param {string} [direction] - Direction of the scan location, 'both' if unset
+ * @returns {string} 'entered' or 'left'
+ */
+export const getScanStatus = (record, direction = 'both') => {
+  if (direction === 'entry') return 'entered';
+  if (direction === 'exit') return 'left';
+
+  // No record yet, a re-entry after leaving, or a record without an entry
+  // such as an absence: all entries. Only a student on campus is leaving.
+  return record?.entryTime && !record.leaveTime ? 'left' : 'entered';
+};
+
+/**
+ * Count entries and exits at each location over a period
+ * Scans recorded before the registry are counted under the name they were
+ * recorded with.
+ * @param {Date} start - Start of the period
+ * @param {Date} end - End of the period
+ * @param {Object} [filter] - Optional studentIds to count
+ * @returns {Promise<Array>} { locationId, name, type, direction, entries, exits },
+ *   busiest first
+ */
+export const getLocationBreakdown = async (start, end, { studentIds } = {}) => {
+  const match = { day: { $gte: start, $lte: end } };
+  if (studentIds) match.student = { $in: studentIds };
+
+  const groupBy = (timeField, locationField) => [
+    { $match: { [`sessions.${timeField}`]: { $gte: start, $lte: end } } },
+    {
+      $group: {
+        _id: { $ifNull: [`$sessions.${locationField}`, { $ifNull: ['$sessions.scanLocation', UNRECORDED_LOCATION] }] },
+        count: { $sum: 1 }
+      }
+    }
+  ];
+
+  const [{ entries, exits }] = await AttendanceRecord.aggregate([
+    { $match: match },
+    { $unwind: '$sessions' },
+    {
+      $facet: {
+        entries: groupBy('entryTime', 'location'),
+        exits: groupBy('leaveTime', 'exitLocation')
+      }
+    }
+  ]);
+
+  const locations = await Location.find().lean();
+  const byId = new Map(locations.map(location => [location._id.toString(), location]));
+
+  const rows = new Map();
+  const rowFor = (key) => {
+    const location = byId.get(String(key));
+    const id = location ? location._id.toString() : String(key);
+    if (!rows.has(id)) {
+      rows.set(id, {
+        locationId: location?._id || null,
+        name: location?.name || (key instanceof mongoose.Types.ObjectId ? UNRECORDED_LOCATION : key),
+        type: location?.type || null,
+        direction: location?.direction || null,
+        entries: 0,
+        exits: 0
+      });
+    }
+    return rows.get(id);
+  };
+
+  entries.forEach(({ _id, count }) => { rowFor(_id).entries += count; });
+  exits.forEach(({ _id, count }) => { rowFor(_id).exits += count; });
+
+  return [...rows.values()].sort((a, b) => (b.entries + b.exits) - (a.entries + a.exits));
+};
+
+/**
+ * Add a worksheet with the entries and exits at each location
+ * @param {ExcelJS.Workbook} workbook - Workbook to add the sheet to
+ * @param {Array<Object>} breakdown - Result of getLocationBreakdown
+ * @param {string} [headerColor] - Header row color as ARGB, the school's primary color
+ * @returns {ExcelJS.Worksheet} The breakdown sheet
+ */
+export const addLocationSheet = (workbook, breakdown, headerColor = 'FF4472C4') => {
+  const worksheet = workbook.addWorksheet('By Gate');
+
+  worksheet.columns = [
+    { header: 'Location', key: 'name', width: 25 },
+    { header: 'Type', key: 'type', width: 12 },
+    { header: 'Direction', key: 'direction', width: 12 },
+    { header: 'Entries', key: 'entries', width: 12 },
+    { header: 'Exits', key: 'exits', width: 12 }
+  ];
+
+  const headerRow = worksheet.getRow(1);
+  headerRow.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+  headerRow.fill = {
+    type: 'pattern',
+    pattern: 'solid',
+    fgColor: { argb: headerColor }
+  };
+
+  breakdown.forEach(row => {
+    worksheet.addRow({
+      name: row.name,
+      type: row.type || '',
+      direction: row.direction || '',
+      entries: row.entries,
+      exits: row.exits
+    });
+  });
+
+  const totalRow = worksheet.addRow({
+    name: 'All Locations',
+    type: '',
+    direction: '',
+    entries: breakdown.reduce((sum, row) => sum + row.entries, 0),
+    exits: breakdown.reduce((sum, row) => sum + row.exits, 0)
+  });
+  totalRow.font = { bold: true };
+
+  worksheet.eachRow(row => {
+    row.eachCell(cell => {
+      cell.border = {
+        top: { style: 'thin' },
+        left: { style: 'thin' },
+        bottom: { style: 'thin' },
+        right: { style: 'thin' }
+      };
+    });
+  });
+
+  return worksheet;
+};
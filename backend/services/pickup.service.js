@@ -0,0 +1,148 @@
+import AttendanceRecord from '../models/attendanceRecord.model.js';
+import EarlyDismissal from '../models/earlyDismissal.model.js';
+import { sendTextMessage } from './whatsapp.service.js';
+import { startOfDay, formatSchoolTime, getRecordSessions, summarizeSessions } from '../utils/dateUtils.js';
+import { logWarning, logError } from '../utils/terminal.js';
+import AppError from '../utils/appError.js';
+
+// Device recorded on the exit of an early dismissal
+const DISMISSAL_DEVICE = 'Early Dismissal';
+
+// Populate a dismissal with who was involved and where
+export const DISMISSAL_POPULATE = [
+  { path: 'student', select: 'name indexNumber' },
+  { path: 'pickupPerson', select: 'name relationship idType idNumber' },
+  { path: 'gatekeeper', select: 'name' },
+  { path: 'location', select: 'name' }
+];
+
+/**
+ * Decide whether a collector may take a student
+ * Only an active pickup person of the student whose ID the gatekeeper checked
+ * is allowed.
+ * @param {Object} student - The student being collected
+ * @param {Object|null} pickupPerson - The pickup person the gatekeeper picked, if any
+ * @param {boolean} idVerified - Whether the collector's ID matched the one on file
+ * @returns {string|null} Why the collector is refused, or null when they are allowed
+ */
+export const getRefusalReason = (student, pickupPerson, idVerified) => {
+  if (!pickupPerson || pickupPerson.student.toString() !== student._id.toString()) {
+    return 'Not an authorized pickup person for this student';
+  }
+  if (!pickupPerson.active) return 'No longer authorized to collect this student';
+  if (!idVerified) return 'ID did not match the one on file';
+  return null;
+};
+
+// Send a message to a student's parent and keep it in the student's message history
+const messageParent = async (student, messageText, time) => {
+  if (!student.parent_telephone) {
+    logWarning(`No parent telephone found for student: ${student.name}`);
+    return false;
+  }
+
+  try {
+    const result = await sendTextMessage(student.parent_telephone.replace(/\s+/g, ''), messageText);
+    if (!result.success) {
+      logWarning(`Failed to send dismissal message to parent of ${student.name}: ${result.error}`);
+      return false;
+    }
+
+    student.messages = student.messages || [];
+    student.messages.push({
+      content: messageText,
+      sentAt: time,
+      type: 'notification',
+      status: 'sent',
+      messageId: result.messageId,
+      recipient: student.parent_telephone
+    });
+    await student.save();
+    return true;
+  } catch (error) {
+    logError(`Error sending dismissal message to parent of ${student.name}: ${error.message}`);
+    return false;
+  }
+};
+
+const describeCollector = (collector) => (collector.relationship
+  ? `${collector.name} (${collector.relationship})`
+  : collector.name);
+
+/**
+ * Release a student early, or record a refused attempt to collect them
+ * A released student is recorded as having left, and their parent is told who
+ * collected them. A refused attempt leaves the student at school and alerts
+ * the parent.
+ * @param {Object} student - The student being collected
+ * @param {Object} dismissal - pickupPerson (document or null), collector
+ *   ({ name, relationship, idNumber }, for someone not on the list), idVerified,
+ *   reason, gatekeeper id, location ({ location, name } from resolveScanLocation) and time
+ * @returns {Promise<Object>} The saved early dismissal
+ */
+export const dismissEarly = async (student, {
+  pickupPerson = null,
+  collector = {},
+  idVerified = false,
+  reason = '',
+  gatekeeper = null,
+  location = { location: null, name: null },
+  time = new Date()
+}) => {
+  const day = startOfDay(time);
+  const refusalReason = getRefusalReason(student, pickupPerson, idVerified);
+
+  if (!refusalReason) {
+    const record = await AttendanceRecord.findOne({ student: student._id, day }).lean();
+    if (!summarizeSessions(getRecordSessions(record)).onCampus) {
+      throw new AppError(`${student.name} is not on campus`, 409);
+    }
+  }
+
+  const dismissal = new EarlyDismissal({
+    student: student._id,
+    day,
+    time,
+    outcome: refusalReason ? 'refused' : 'released',
+    reason,
+    pickupPerson: pickupPerson?._id || null,
+    collector: pickupPerson
+      ? { name: pickupPerson.name, relationship: pickupPerson.relationship, idNumber: pickupPerson.idNumber }
+      : collector,
+    idVerified: Boolean(idVerified),
+    refusalReason,
+    gatekeeper,
+    location: location.location?._id || null
+  });
+  await dismissal.validate();
+
+  const formattedTime = formatSchoolTime(time, 'hh:mm a');
+  let messageText;
+
+  if (refusalReason) {
+    logWarning(`Unauthorized pickup attempt for ${student.name} by ${describeCollector(dismissal.collector)}: ${refusalReason}`);
+    messageText = `⚠️ Pickup Alert
+
+Dear Parent,
+At ${formattedTime} today, ${describeCollector(dismissal.collector)} tried to collect your child ${student.name} (Index: ${student.indexNumber}) from school.
+Your child was not released and remains at school.
+Reason: ${refusalReason}
+If you know this person, please contact the school office.
+
+Thank you.`;
+  } else {
+    await student.markAttendance('left', gatekeeper, DISMISSAL_DEVICE, location.name, location.location?._id || null, time);
+    messageText = `🏫 Early Dismissal
+
+Dear Parent,
+Your child ${student.name} (Index: ${student.indexNumber}) left school early at ${formattedTime} today.
+Collected by: ${describeCollector(dismissal.collector)}${reason ? `\nReason: ${reason}` : ''}
+
+If you did not expect this, please contact the school office immediately.
+
+Thank you.`;
+  }
+
+  dismissal.parentNotified = await messageParent(student, messageText, time);
+  return dismissal.save();
+};
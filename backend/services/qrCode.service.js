@@ -0,0 +1,447 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import QrSigningKey from '../models/qrSigningKey.model.js';
+import SecurityEvent from '../models/securityEvent.model.js';
+import Settings from '../models/settings.model.js';
+import Staff from '../models/staff.model.js';
+import Student from '../models/student.model.js';
+import { generateStylishQRCode } from '../utils/qrGenerator.js';
+import { getQrBranding } from './branding.service.js';
+import { startOfDay } from '../utils/dateUtils.js';
+import { logInfo, logWarning, logError } from '../utils/terminal.js';
+import AppError from '../utils/appError.js';
+
+// Tokens look like QA1.<kid>.<subject>.<version>.<signature>, where the
+// subject is a one-letter kind followed by the record's id. They carry no
+// personal data: the scanner learns who the code belongs to from the server.
+const TOKEN_PREFIX = 'QA1';
+
+const SUBJECT_CODES = {
+  student: 's',
+  staff: 'f'
+};
+
+const SUBJECT_MODELS = {
+  student: Student,
+  staff: Staff
+};
+
+const QR_IMAGE_OPTIONS = {
+  errorCorrectionLevel: 'H',
+  margin: 1,
+  color: {
+    dark: '#000000',
+    light: '#FFFFFF'
+  },
+  width: 400
+};
+
+// Reasons an admin can give for replacing a student's code
+export const REISSUE_REASONS = ['lost', 'stolen', 'damaged', 'other'];
+
+// Secret the hashes in legacy JSON codes were made with
+const LEGACY_SECRET = () => process.env.JWT_SECRET || 'qrattend-secret';
+
+// Signing keys change rarely, so they are kept in memory after the first scan
+let keyCache = null;
+
+const loadKeys = async () => {
+  if (!keyCache) {
+    const keys = await QrSigningKey.find({}).select('+secret').sort({ createdAt: 1 }).lean();
+    keyCache = new Map(keys.map(key => [key.kid, key]));
+  }
+  return keyCache;
+};
+
+const createKey = (adminId = null) => QrSigningKey.create({
+  kid: crypto.randomBytes(3).toString('hex'),
+  secret: crypto.randomBytes(32).toString('base64url'),
+  current: true,
+  createdBy: adminId
+});
+
+// The key new codes are signed with; the first key is made on first use
+const getCurrentKey = async () => {
+  const keys = [...(await loadKeys()).values()].filter(key => key.current && !key.retiredAt);
+  if (keys.length) return keys.at(-1);
+
+  await createKey();
+  keyCache = null;
+  return getCurrentKey();
+};
+
+const signBody = (secret, body) => crypto.createHmac('sha256', secret)
+  .update(body)
+  .digest()
+  .subarray(0, 12)
+  .toString('base64url');
+
+const encodeId = (id) => Buffer.from(id.toString(), 'hex').toString('base64url');
+
+const decodeId = (value) => {
+  const id = Buffer.from(value, 'base64url').toString('hex');
+  return mongoose.Types.ObjectId.isValid(id) && id.length === 24 ? id : null;
+};
+
+/**
+ * Sign a QR token for a student or staff member
+ * @param {string} kind - 'student' or 'staff'
+ * @param {Object} subject - The student or staff member, with _id and qrVersion
+ * @returns {Promise<Object>} { token, kid }
+ */
+export const signQrToken = async (kind, subject) => {
+  const key = await getCurrentKey();
+  const body = [TOKEN_PREFIX, key.kid, `${SUBJECT_CODES[kind]}${encodeId(subject._id)}`, subject.qrVersion || 1].join('.');
+  return { token: `${body}.${signBody(key.secret, body)}`, kid: key.kid };
+};
+
+/**
+ * Generate the QR code image of a student or staff member
+ * The image is drawn in the school's QR style. The subject's qrKid is set to
+ * the key that signed it; the caller saves it with the image.
+ * @param {string} kind - 'student' or 'staff'
+ * @param {Object} subject - The student or staff member document
+ * @returns {Promise<string>} Base64 data URL of the QR code
+ */
+export const generateSignedQRCode = async (kind, subject) => {
+  const { token, kid } = await signQrToken(kind, subject);
+  subject.qrKid = kid;
+  return generateStylishQRCode(token, { ...QR_IMAGE_OPTIONS, ...await getQrBranding() });
+};
+
+/**
+ * Generate the QR code image of a student
+ * @param {Object} student - The student document
+ * @returns {Promise<string>} Base64 data URL of the QR code
+ */
+export const generateStudentQRCode = (student) => generateSignedQRCode('student', student);
+
+/**
+ * Add the student's current QR code to their code history
+ * Nothing is added when the last entry already is this code, so it is safe
+ * to call whenever a code is signed. The caller saves the student.
+ * @param {Document} student - Student whose qrVersion and qrKid were just set
+ * @param {string} reason - One of QR_ISSUE_REASONS
+ * @param {Object} [options] - note and adminId
+ */
+export const recordQrIssue = (student, reason, { note = '', adminId = null } = {}) => {
+  const version = student.qrVersion || 1;
+  const last = student.qrHistory.at(-1);
+  if (last && last.version === version && last.kid === student.qrKid) return;
+
+  student.qrHistory.push({ version, kid: student.qrKid, reason, note, issuedBy: adminId });
+};
+
+/**
+ * Get the student's QR code, signing it again when it is a legacy code or
+ * was signed with a key other than the current one
+ * Used for codes about to be printed, so new cards never carry a code that is
+ * on its way out. The student is saved when the code changes.
+ * @param {Document} student - The student
+ * @returns {Promise<string>} Base64 data URL of the QR code
+ */
+export const getCurrentStudentCode = async (student) => {
+  const key = await getCurrentKey();
+  if (student.qrCode && student.qrKid === key.kid) return student.qrCode;
+
+  student.qrCode = await generateStudentQRCode(student);
+  recordQrIssue(student, student.qrHistory.length ? 'key_rotation' : 'issued');
+  await student.save();
+  return student.qrCode;
+};
+
+/**
+ * Replace a student's QR code, revoking every code issued to them before
+ * Used when a card is lost, stolen or damaged. Scans of the old codes are
+ * refused and logged as security events.
+ * @param {Document} student - The student
+ * @param {Object} options - reason (one of REISSUE_REASONS), note and adminId
+ * @returns {Promise<string>} Base64 data URL of the new QR code
+ * @throws {AppError} 400 for an unknown reason
+ */
+export const reissueStudentCode = async (student, { reason, note = '', adminId = null }) => {
+  if (!REISSUE_REASONS.includes(reason)) {
+    throw new AppError(`Reason must be one of: ${REISSUE_REASONS.join(', ')}`, 400);
+  }
+
+  // Cards issued before the history was kept still count as the first code
+  if (!student.qrHistory.length) {
+    recordQrIssue(student, 'issued');
+  }
+
+  student.qrVersion = (student.qrVersion || 1) + 1;
+  student.qrCode = await generateStudentQRCode(student);
+  recordQrIssue(student, reason, { note, adminId });
+  await student.save();
+
+  logInfo(`QR code of ${student.name} (${student.indexNumber}) reissued as version ${student.qrVersion}: ${reason}`);
+  return student.qrCode;
+};
+
+// Keep a refused scan of a code that must not work; a failure to log never
+// changes the scan response
+const logSecurityEvent = async (event, scan = {}) => {
+  const scannedAt = scan.scannedAt || new Date();
+  try {
+    await SecurityEvent.create({
+      ...event,
+      day: startOfDay(scannedAt),
+      scannedAt,
+      source: scan.source || 'gate',
+      scanLocation: scan.scanLocation || null,
+      device: scan.device || null,
+      deviceInfo: scan.deviceInfo || null,
+      scannedBy: scan.scannedBy || null
+    });
+    logWarning(`QR security event (${event.type}): ${event.message}`);
+  } catch (error) {
+    logError(`Error logging QR security event: ${error.message}`);
+  }
+};
+
+// Check a signed token and find who it belongs to
+const verifyToken = async (token, scan) => {
+  const parts = token.split('.');
+  if (parts.length !== 5) throw new AppError('QR code not recognised', 400);
+
+  const [, kid, subject, version, signature] = parts;
+  const key = (await loadKeys()).get(kid);
+  if (!key) {
+    const message = 'QR code was signed with an unknown key';
+    await logSecurityEvent({ type: 'forged_code', kid, message }, scan);
+    throw new AppError(message, 403);
+  }
+
+  const expected = Buffer.from(signBody(key.secret, parts.slice(0, 4).join('.')));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    const message = 'Invalid QR code signature';
+    await logSecurityEvent({ type: 'forged_code', kid, message }, scan);
+    throw new AppError(message, 403);
+  }
+
+  const kind = Object.keys(SUBJECT_CODES).find(name => SUBJECT_CODES[name] === subject[0]);
+  const id = kind && decodeId(subject.slice(1));
+  if (!id) throw new AppError('QR code not recognised', 400);
+
+  if (key.retiredAt) {
+    const message = 'This QR code was signed with a retired key; ask the office for a new card';
+    await logSecurityEvent({ type: 'retired_key', [kind]: id, kid, codeVersion: Number(version), message }, scan);
+    throw new AppError(message, 403);
+  }
+
+  const record = await SUBJECT_MODELS[kind].findById(id);
+  if (!record) {
+    throw new AppError(kind === 'student' ? 'Student not found' : 'Staff QR code not recognised', 404);
+  }
+  if (Number(version) !== (record.qrVersion || 1)) {
+    const message = 'This QR code has been replaced by a newer one';
+    await logSecurityEvent({
+      type: 'revoked_code',
+      [kind]: record._id,
+      kid,
+      codeVersion: Number(version),
+      currentVersion: record.qrVersion || 1,
+      message: `${message} (${record.name}, version ${version} of ${record.qrVersion || 1})`
+    }, scan);
+    throw new AppError(message, 403);
+  }
+
+  return { kind, [kind]: record, legacy: false };
+};
+
+const legacyHash = (value) => crypto.createHash('sha256')
+  .update(`${value}${LEGACY_SECRET()}`)
+  .digest('hex').substring(0, 16);
+
+// Find who a plain JSON code from before signed tokens belongs to
+const readLegacyCode = async (qrData, scan) => {
+  if (qrData.staffId) {
+    const staff = await Staff.findOne({ staffId: String(qrData.staffId).toUpperCase() });
+    if (!staff || (qrData.id && staff._id.toString() !== String(qrData.id))) {
+      throw new AppError('Staff QR code not recognised', 404);
+    }
+    if (qrData.secureHash !== legacyHash(`staff${staff._id}${staff.staffId}`)) {
+      throw new AppError('Staff QR code not recognised', 404);
+    }
+    return { kind: 'staff', staff, legacy: true };
+  }
+
+  const { indexNumber, name, id, secureHash } = qrData;
+  if (!indexNumber || !name) {
+    throw new AppError('Student information (indexNumber and name) are required.', 400);
+  }
+
+  let student = null;
+  if (id && mongoose.Types.ObjectId.isValid(id)) {
+    student = await Student.findById(id);
+  }
+  if (!student) {
+    student = await Student.findOne({ indexNumber, name });
+  }
+  if (!student) {
+    throw new AppError('Student not found', 404);
+  }
+
+  // Codes without a hash predate it and are let through while legacy codes are accepted
+  if (secureHash && secureHash !== legacyHash(`${student._id}${student.indexNumber}`)) {
+    const message = 'Invalid QR code authentication';
+    await logSecurityEvent({ type: 'forged_code', student: student._id, legacy: true, message }, scan);
+    throw new AppError(message, 403);
+  }
+
+  return { kind: 'student', student, legacy: true };
+};
+
+/**
+ * Read a scanned QR code
+ * This is the one place scanned codes are checked. Signed tokens are verified
+ * against their key and the version of the code; plain JSON codes from before
+ * are accepted unless the school requires signed codes, and only while the
+ * code of the student or staff member was never revoked.
+ * @param {string|Object} qrCodeData - The scanned text, or the parsed code
+ *   ({ token } for a signed code)
+ * @param {Object} [scan] - Where the code was scanned, kept with security
+ *   events: source ('gate' or 'lesson'), scanLocation, device, deviceInfo,
+ *   scannedBy and scannedAt
+ * @returns {Promise<Object>} { kind: 'student', student }, { kind: 'staff', staff }
+ *   or { kind: 'visitor', visitorPass }, with legacy set for plain JSON codes
+ * @throws {AppError} 400 for an unreadable code, 403 for a forged, revoked
+ *   or refused code and 404 when nobody has the code
+ */
+export const readScannedCode = async (qrCodeData, scan = {}) => {
+  const text = typeof qrCodeData === 'string' ? qrCodeData.trim() : qrCodeData?.token;
+  if (typeof text === 'string' && text.startsWith(`${TOKEN_PREFIX}.`)) {
+    return verifyToken(text, scan);
+  }
+
+  let qrData = qrCodeData;
+  if (typeof qrCodeData === 'string') {
+    try {
+      qrData = JSON.parse(qrCodeData);
+    } catch (error) {
+      throw new AppError('Invalid QR code data format.', 400);
+    }
+  }
+  if (!qrData || typeof qrData !== 'object') {
+    throw new AppError('Invalid QR code data format.', 400);
+  }
+
+  // Visitor passes are random codes that expire with the visit
+  if (qrData.visitorPass) {
+    return { kind: 'visitor', visitorPass: qrData.visitorPass, legacy: false };
+  }
+
+  const { qrCodes } = await Settings.getSettings();
+  if (qrCodes?.rejectLegacy) {
+    throw new AppError('Old-style QR codes are no longer accepted; ask the office for a new card', 403);
+  }
+
+  const scanned = await readLegacyCode(qrData, scan);
+  const record = scanned[scanned.kind];
+  if ((record.qrVersion || 1) > 1) {
+    const message = 'This QR code has been replaced by a newer one';
+    await logSecurityEvent({
+      type: 'revoked_code',
+      [scanned.kind]: record._id,
+      codeVersion: 1,
+      currentVersion: record.qrVersion,
+      legacy: true,
+      message: `${message} (${record.name}, version 1 of ${record.qrVersion})`
+    }, scan);
+    throw new AppError(message, 403);
+  }
+  return scanned;
+};
+
+/**
+ * List the signing keys, with how many codes each one signed
+ * @returns {Promise<Array>} { kid, current, retiredAt, createdAt, students, staff }
+ */
+export const listSigningKeys = async () => {
+  await getCurrentKey();
+  const [keys, studentCounts, staffCounts] = await Promise.all([
+    QrSigningKey.find({}).populate('createdBy', 'name').sort({ createdAt: -1 }).lean(),
+    Student.aggregate([{ $group: { _id: '$qrKid', count: { $sum: 1 } } }]),
+    Staff.aggregate([{ $group: { _id: '$qrKid', count: { $sum: 1 } } }])
+  ]);
+  const studentsByKid = new Map(studentCounts.map(row => [row._id, row.count]));
+  const staffByKid = new Map(staffCounts.map(row => [row._id, row.count]));
+
+  return {
+    keys: keys.map(key => ({
+      ...key,
+      students: studentsByKid.get(key.kid) || 0,
+      staff: staffByKid.get(key.kid) || 0
+    })),
+    legacy: {
+      students: studentsByKid.get(null) || 0,
+      staff: staffByKid.get(null) || 0
+    }
+  };
+};
+
+/**
+ * Make a new key the one new codes are signed with
+ * Codes signed with the keys before keep working until those are retired.
+ * @param {string} [adminId] - Admin rotating the key
+ * @returns {Promise<Object>} The new key, without its secret
+ */
+export const rotateSigningKey = async (adminId = null) => {
+  const key = await createKey(adminId);
+  await QrSigningKey.updateMany({ _id: { $ne: key._id } }, { $set: { current: false } });
+  keyCache = null;
+
+  logInfo(`QR signing key rotated to ${key.kid}`);
+  const { secret, ...rest } = key.toObject();
+  return rest;
+};
+
+/**
+ * Retire a signing key; codes it signed stop working
+ * @param {string} kid - Id of the key
+ * @returns {Promise<Object>} The retired key
+ */
+export const retireSigningKey = async (kid) => {
+  const key = await QrSigningKey.findOne({ kid });
+  if (!key) throw new AppError('Signing key not found', 404);
+  if (key.current) throw new AppError('Rotate to a new key before retiring the current one', 400);
+  if (key.retiredAt) throw new AppError('This key is already retired', 400);
+
+  key.retiredAt = new Date();
+  await key.save();
+  keyCache = null;
+
+  logInfo(`QR signing key ${kid} retired`);
+  return key;
+};
+
+/**
+ * Re-sign the codes not signed with the current key
+ * Legacy codes and codes of older keys get a fresh image signed with the
+ * current key. Versions are kept, so cards already printed keep working
+ * until legacy codes are refused or their key is retired.
+ * @returns {Promise<Object>} Counts of students and staff reissued, and failures
+ */
+export const reissueOutdatedCodes = async () => {
+  const key = await getCurrentKey();
+  const result = { students: 0, staff: 0, failed: 0 };
+
+  for (const [kind, Model] of Object.entries(SUBJECT_MODELS)) {
+    const subjects = await Model.find({ qrKid: { $ne: key.kid } });
+    for (const subject of subjects) {
+      try {
+        subject.qrCode = await generateSignedQRCode(kind, subject);
+        if (kind === 'student') recordQrIssue(subject, 'key_rotation');
+        await subject.save();
+        result[kind === 'student' ? 'students' : 'staff']++;
+      } catch (error) {
+        result.failed++;
+        logError(`Error reissuing QR code of ${kind} ${subject._id}: ${error.message}`);
+      }
+    }
+  }
+
+  logInfo(`QR codes reissued: ${result.students} students, ${result.staff} staff, ${result.failed} failed`);
+  return result;
+};
@@ -0,0 +1,338 @@
+import mongoose from 'mongoose';
+import AttendanceRecord from '../models/attendanceRecord.model.js';
+import LeaveRequest from '../models/leaveRequest.model.js';
+import Settings from '../models/settings.model.js';
+import Student from '../models/student.model.js';
+import { sendTextMessage } from './whatsapp.service.js';
+import { getSectionDetails, getClassLabel } from './class.service.js';
+import { snapshotRecord, recordRevisions } from './attendanceAudit.service.js';
+import { startOfDay, endOfDay, atTimeOfDay, formatSchoolTime } from '../utils/dateUtils.js';
+import { logInfo, logWarning, logError } from '../utils/terminal.js';
+
+export const ROLL_CALL_STATUSES = ['present', 'late', 'absent', 'excused'];
+
+// Location recorded on entries made by roll call
+const ROLL_CALL_LOCATION = 'Roll Call';
+
+const STATUS_LABELS = {
+  present: 'Present',
+  late: 'Late',
+  absent: 'Absent',
+  excused: 'Excused'
+};
+
+/**
+ * Read a day's attendance record as a roll-call status
+ * @param {Object} [record] - The student's attendance record for the day
+ * @returns {string|null} present, late, absent or excused; null without a record
+ */
+export const getRollCallStatus = (record) => {
+  if (!record) return null;
+  if (record.status === 'excused') return 'excused';
+  if (record.status === 'absent' && !record.entryTime) return 'absent';
+  return record.isLate ? 'late' : 'present';
+};
+
+/**
+ * List students with their attendance for a day, for taking a roll call
+ * @param {Date} day - Any time on the day
+ * @param {Object} [filter] - studentQuery from the class filter, and a search on name or index number
+ * @returns {Promise<Array>} { student, status, recordId, entryTime, leaveTime, minutesLate, scanned }
+ */
+export const getRollCall = async (day, { studentQuery = {}, search } = {}) => {
+  const query = { status: 'active', createdAt: { $lte: endOfDay(day) }, ...studentQuery };
+  if (search) {
+    const pattern = new RegExp(search.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    query.$or = [{ name: pattern }, { indexNumber: pattern }];
+  }
+
+  const students = await Student.find(query)
+    .select('name indexNumber section')
+    .sort({ indexNumber: 1 })
+    .lean();
+
+  const [records, sectionDetails] = await Promise.all([
+    AttendanceRecord.find({
+      student: { $in: students.map(student => student._id) },
+      day: startOfDay(day)
+    }).lean(),
+    getSectionDetails(students)
+  ]);
+  const recordByStudent = new Map(records.map(record => [record.student.toString(), record]));
+
+  return students.map(student => {
+    const record = recordByStudent.get(student._id.toString());
+    return {
+      student: {
+        _id: student._id,
+        name: student.name,
+        indexNumber: student.indexNumber,
+        classLabel: getClassLabel(sectionDetails, student)
+      },
+      status: getRollCallStatus(record),
+      recordId: record?._id || null,
+      entryTime: record?.entryTime || null,
+      leaveTime: record?.leaveTime || null,
+      minutesLate: record?.minutesLate || 0,
+      // Came through a gate rather than being marked by hand
+      scanned: Boolean(record?.entryTime && record.scanLocation !== ROLL_CALL_LOCATION)
+    };
+  });
+};
+
+// Entry time for a student marked present by roll call without a scan: now
+// for today, or the start of school (plus any minutes late) for a past day
+const getRollCallEntryTime = (day, settings, minutesLate, markedAt) => {
+  if (startOfDay(markedAt).getTime() === day.getTime()) return markedAt;
+
+  const start = atTimeOfDay(day, settings.getSchoolDay(day).startTime);
+  return new Date(start.getTime() + minutesLate * 60 * 1000);
+};
+
+/**
+ * Apply a whole roll call to a day's attendance in one bulk write
+ * Marks that match what is already recorded are skipped. Present and late
+ * keep any gate scans and only set the late flag; a student with no entry is
+ * given one. Absent clears the day's scans. Excused records an approved
+ * one-day leave request, as excusing a single student does, approving again
+ * the one an earlier roll call made for the day if there is one; a student
+ * marked otherwise has that request rejected. Every change gets a revision
+ * with the given reason. Attendance records are saved before leave requests.
+ * @param {Date} day - Any time on the day
+ * @param {Array<Object>} marks - { studentId, status, minutesLate }, already validated
+ * @param {Object} options - adminId, reason, and markedAt (now)
+ * @returns {Promise<Array>} Changes made: { studentId, from, to }
+ * @throws {mongoose.Error.ValidationError} When any record or leave request
+ *   would be invalid; nothing is saved then
+ */
+export const applyRollCall = async (day, marks, { adminId = null, reason = 'Roll call', markedAt = new Date() } = {}) => {
+  const recordDay = startOfDay(day);
+  const [settings, existing] = await Promise.all([
+    Settings.getSettings(),
+    AttendanceRecord.find({ student: { $in: marks.map(mark => mark.studentId) }, day: recordDay }).lean()
+  ]);
+  const recordByStudent = new Map(existing.map(record => [record.student.toString(), record]));
+
+  const pending = marks
+    .map(mark => ({ mark, record: recordByStudent.get(String(mark.studentId)) }))
+    .filter(({ mark, record }) => {
+      const current = getRollCallStatus(record);
+      if (current !== mark.status) return true;
+      return mark.status === 'late' && mark.minutesLate !== undefined && mark.minutesLate !== record.minutesLate;
+    });
+  if (pending.length === 0) return [];
+
+  // Excused students get an approved leave request for the day, as when excused one at a time;
+  // a request an earlier roll call made for the student and day is approved again instead
+  const rollCallLeave = await LeaveRequest.find({
+    student: { $in: pending.map(({ mark }) => mark.studentId) },
+    startDate: recordDay,
+    endDate: recordDay,
+    fromRollCall: true
+  }).select('_id student status').lean();
+  const rollCallLeaveByStudent = new Map(rollCallLeave.map(request => [request.student.toString(), request]));
+
+  const review = { reviewedBy: adminId, reviewedAt: markedAt };
+  const excused = pending.filter(({ mark }) => mark.status === 'excused');
+  const reused = excused
+    .map(({ mark }) => rollCallLeaveByStudent.get(String(mark.studentId)))
+    .filter(Boolean);
+  // New requests get their ids now so the records can point at them before they are saved
+  const created = excused
+    .filter(({ mark }) => !rollCallLeaveByStudent.has(String(mark.studentId)))
+    .map(({ mark }) => new LeaveRequest({
+      student: mark.studentId,
+      startDate: recordDay,
+      endDate: recordDay,
+      category: 'other',
+      note: reason,
+      status: 'approved',
+      requestedBy: adminId,
+      fromRollCall: true,
+      ...review
+    }));
+  const leaveByStudent = new Map([...reused, ...created].map(request => [request.student.toString(), request._id]));
+
+  // Students no longer excused stop being covered by the roll call's leave for the day
+  const noLongerExcused = new Set(pending
+    .filter(({ mark }) => mark.status !== 'excused')
+    .map(({ mark }) => String(mark.studentId)));
+  const revoked = rollCallLeave.filter(request => request.status === 'approved' && noLongerExcused.has(request.student.toString()));
+
+  const operations = [];
+  const changes = [];
+  const summary = [];
+
+  for (const { mark, record } of pending) {
+    const isLate = mark.status === 'late';
+    const minutesLate = isLate ? (mark.minutesLate ?? record?.minutesLate ?? 0) : 0;
+    let update;
+
+    if (mark.status === 'absent') {
+      update = {
+        status: 'absent', entryTime: null, leaveTime: null, sessions: [],
+        isLate: false, minutesLate: 0, leaveRequest: null
+      };
+    } else if (mark.status === 'excused') {
+      update = { status: 'excused', isLate: false, minutesLate: 0, leaveRequest: leaveByStudent.get(String(mark.studentId)) };
+    } else if (record?.entryTime) {
+      update = { isLate, minutesLate };
+      if (record.status === 'excused') {
+        update.status = record.leaveTime ? 'left' : 'entered';
+        update.leaveRequest = null;
+      }
+    } else {
+      const entryTime = getRollCallEntryTime(recordDay, settings, minutesLate, markedAt);
+      update = {
+        status: 'present',
+        entryTime,
+        leaveTime: null,
+        sessions: [{ entryTime, leaveTime: null, scanLocation: ROLL_CALL_LOCATION, location: null, exitLocation: null }],
+        isLate,
+        minutesLate,
+        leaveRequest: null,
+        scanLocation: ROLL_CALL_LOCATION,
+        location: null
+      };
+    }
+    update.verifiedBy = adminId;
+    update.deviceInfo = 'Roll call';
+
+    if (!record) {
+      const document = {
+        _id: new mongoose.Types.ObjectId(),
+        student: mark.studentId,
+        day: recordDay,
+        date: markedAt,
+        ...update
+      };
+      // An upsert, so a scan that made the record in the meantime is
+      // overwritten by the roll call rather than failing the whole save
+      operations.push({
+        updateOne: {
+          filter: { student: mark.studentId, day: recordDay, deletedAt: null },
+          update: {
+            $set: update,
+            $setOnInsert: { _id: document._id, student: mark.studentId, day: recordDay, date: markedAt }
+          },
+          upsert: true
+        }
+      });
+      changes.push({ record: document, action: 'create', before: null, after: snapshotRecord(document) });
+    } else {
+      operations.push({
+        updateOne: {
+          filter: { _id: record._id, deletedAt: null },
+          update: { $set: update }
+        }
+      });
+      changes.push({
+        record,
+        action: 'update',
+        before: snapshotRecord(record),
+        after: snapshotRecord({ ...record, ...update })
+      });
+    }
+    summary.push({ studentId: mark.studentId, from: getRollCallStatus(record), to: mark.status });
+  }
+
+  // Check every record and leave request before anything is saved, so a bad
+  // row fails the roll call as a whole instead of leaving it half applied
+  const invalid = [
+    ...changes.map(({ action, record, after }) => new AttendanceRecord(action === 'create' ? record : { ...record, ...after })),
+    ...created
+  ].map(document => document.validateSync()).find(Boolean);
+  if (invalid) throw invalid;
+
+  // Records are written first; leave requests follow once they are saved, as
+  // the records are what attendance is read from
+  await AttendanceRecord.bulkWrite(operations, { ordered: true });
+
+  if (reused.length > 0) {
+    await LeaveRequest.updateMany(
+      { _id: { $in: reused.map(request => request._id) } },
+      { $set: { status: 'approved', reviewNote: '', ...review } }
+    );
+  }
+  if (created.length > 0) {
+    await LeaveRequest.insertMany(created);
+  }
+  if (revoked.length > 0) {
+    await LeaveRequest.updateMany(
+      { _id: { $in: revoked.map(request => request._id) } },
+      { $set: { status: 'rejected', reviewNote: reason, ...review } }
+    );
+  }
+
+  await recordRevisions(changes, { reason, adminId });
+  logInfo(`Roll call recorded ${operations.length} changes for ${formatSchoolTime(recordDay, 'yyyy-MM-dd')}`);
+
+  // Attendance stats follow the new records
+  const students = await Student.find({ _id: { $in: summary.map(change => change.studentId) } });
+  for (const student of students) {
+    await student.refreshAttendanceStats();
+    await student.save();
+  }
+
+  return summary;
+};
+
+/**
+ * Tell parents about a roll call, one message per phone number
+ * Brothers and sisters sharing a parent's number are listed in a single
+ * message, and messages are sent one after another rather than all at once.
+ * @param {Array<Object>} changes - Result of applyRollCall
+ * @param {Date} day - Day of the roll call
+ * @returns {Promise<Object>} Counts of parents messaged and failed
+ */
+export const notifyParentsOfRollCall = async (changes, day) => {
+  const students = await Student.find({ _id: { $in: changes.map(change => change.studentId) } })
+    .select('name indexNumber parent_telephone')
+    .lean();
+  const statusByStudent = new Map(changes.map(change => [String(change.studentId), change.to]));
+
+  const byPhone = new Map();
+  students.forEach(student => {
+    if (!student.parent_telephone) {
+      logWarning(`No parent telephone found for student: ${student.name}`);
+      return;
+    }
+    const phone = student.parent_telephone.replace(/\s+/g, '');
+    if (!byPhone.has(phone)) byPhone.set(phone, []);
+    byPhone.get(phone).push(student);
+  });
+
+  const formattedDay = formatSchoolTime(day, 'cccc, MMMM d, yyyy');
+  const result = { sent: 0, failed: 0 };
+
+  for (const [phone, children] of byPhone) {
+    const lines = children.map(child =>
+      `• ${child.name} (Index: ${child.indexNumber}): ${STATUS_LABELS[statusByStudent.get(child._id.toString())]}`
+    );
+    const messageText = `🏫 Attendance Update
+
+Dear Parent,
+Attendance for ${formattedDay} has been recorded:
+${lines.join('\n')}
+
+If you believe this is a mistake, please contact the school office.
+
+Thank you.`;
+
+    try {
+      const sent = await sendTextMessage(phone, messageText);
+      if (sent.success) {
+        result.sent++;
+      } else {
+        result.failed++;
+        logWarning(`Failed to send roll call notification to ${phone}: ${sent.error}`);
+      }
+    } catch (error) {
+      result.failed++;
+      logError(`Error sending roll call notification to ${phone}: ${error.message}`);
+    }
+  }
+
+  logInfo(`Roll call notifications: ${result.sent} sent, ${result.failed} failed`);
+  return result;
+};
@@ -0,0 +1,142 @@
+import RejectedScan from '../models/rejectedScan.model.js';
+import AppError from '../utils/appError.js';
+import { startOfDay, getRecordSessions, formatSchoolTime, parseDateParam } from '../utils/dateUtils.js';
+
+// Scans queued by an offline scanner are accepted up to a day late
+export const MAX_SCAN_AGE_MS = 24 * 60 * 60 * 1000;
+
+// Scanner clocks may run a little ahead of the server's
+const MAX_CLOCK_AHEAD_MS = 2 * 60 * 1000;
+
+const formatScanTime = (date) => formatSchoolTime(date, 'hh:mm a');
+
+const isOnCampus = (record) => Boolean(record?.entryTime && !record.leaveTime);
+
+/**
+ * Time of the last entry or exit recorded for a student's day
+ * @param {Object} [record] - The student's attendance record for the day
+ * @returns {Date|null} Latest entry or leave time, or null before any scan
+ */
+export const getLastScanTime = (record) => {
+  const times = getRecordSessions(record)
+    .flatMap(session => [session.entryTime, session.leaveTime])
+    .filter(Boolean)
+    .map(time => new Date(time).getTime());
+
+  return times.length > 0 ? new Date(Math.max(...times)) : null;
+};
+
+/**
+ * Work out when a scan was made
+ * Scanners that queued a scan while offline send the time it was taken; it is
+ * trusted within limits. Without one the scan is made now.
+ * @param {*} scannedAt - Time the scanner took the scan, if sent
+ * @param {Date} [now] - Server time the scan arrived
+ * @returns {Date} Time to record the scan at
+ * @throws {AppError} When the time is invalid, in the future or too old
+ */
+export const resolveScanTime = (scannedAt, now = new Date()) => {
+  if (scannedAt === undefined || scannedAt === null || scannedAt === '') return now;
+
+  const scanTime = parseDateParam(scannedAt);
+  if (!scanTime) {
+    throw new AppError('Invalid scan time.', 400);
+  }
+  if (scanTime - now > MAX_CLOCK_AHEAD_MS) {
+    throw new AppError("The scan time is in the future. Check the scanner's clock.", 400);
+  }
+  if (now - scanTime > MAX_SCAN_AGE_MS) {
+    throw new AppError('This scan is more than a day old and can no longer be recorded.', 400);
+  }
+
+  // A scanner running slightly ahead is taken to have scanned just now
+  return scanTime > now ? now : scanTime;
+};
+
+/**
+ * Check a gate scan against the school's scan rules
+ * A scan too soon after the student's last one is a duplicate, such as a card
+ * held in front of the camera. With anti-passback on, an entry gate turns
+ * away a student already on campus and an exit gate one who is not. A scan
+ * synced late from an offline scanner that is older than the student's last
+ * recorded scan cannot be fitted into the day and is turned away too.
+ * @param {Object} scan - student, record (today's, if any), status the scan
+ *   would record, direction of the scan location and scanTime
+ * @param {Object} rules - The scanRules settings
+ * @returns {Object|null} { reason, message, lastScanAt } when the scan is
+ *   rejected, null when it may be recorded
+ */
+export const checkScanRules = ({ student, record, status, direction = 'both', scanTime = new Date() }, rules = {}) => {
+  const lastScanAt = getLastScanTime(record);
+  const onCampus = isOnCampus(record);
+
+  const minInterval = (rules.minScanIntervalSeconds || 0) * 1000;
+  if (minInterval > 0 && lastScanAt && Math.abs(scanTime - lastScanAt) < minInterval) {
+    return {
+      reason: 'duplicate',
+      message: `${student.name} was already scanned ${onCampus ? 'in' : 'out'} at ${formatScanTime(lastScanAt)}`,
+      lastScanAt
+    };
+  }
+
+  if (lastScanAt && scanTime < lastScanAt) {
+    return {
+      reason: 'out_of_order',
+      message: `${student.name} was scanned at ${formatScanTime(scanTime)} while offline, but a later scan at ${formatScanTime(lastScanAt)} is already recorded`,
+      lastScanAt
+    };
+  }
+
+  if (rules.enforceDirection) {
+    if (direction === 'entry' && status === 'entered' && onCampus) {
+      const lastEntry = getRecordSessions(record).at(-1)?.entryTime || record.entryTime;
+      return {
+        reason: 'passback',
+        message: `${student.name} is already on campus since ${formatScanTime(lastEntry)} and must leave through an exit gate first`,
+        lastScanAt: lastEntry
+      };
+    }
+    if (direction === 'exit' && status === 'left' && !onCampus) {
+      return {
+        reason: 'passback',
+        message: record?.leaveTime
+          ? `${student.name} already left at ${formatScanTime(record.leaveTime)} and must come in through an entry gate first`
+          : `${student.name} has not been scanned in today`,
+        lastScanAt: record?.leaveTime || null
+      };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Keep a rejected scan for review
+ * A failure to log is reported but never stops the scan response.
+ * @param {Object} scan - student or staff, rejection (from checkScanRules),
+ *   attemptedStatus, scanTime, scanLocation, location, device and deviceInfo
+ * @returns {Promise<Document|null>} The logged scan
+ */
+export const logRejectedScan = async ({
+  student, staff, rejection, attemptedStatus, scanTime = new Date(), scanLocation, location, device, deviceInfo
+}) => {
+  try {
+    return await RejectedScan.create({
+      student: student?._id || null,
+      staff: staff?._id || null,
+      day: startOfDay(scanTime),
+      scannedAt: scanTime,
+      reason: rejection.reason,
+      message: rejection.message,
+      attemptedStatus,
+      lastScanAt: rejection.lastScanAt || null,
+      scanLocation: scanLocation || null,
+      location: location || null,
+      device: device || null,
+      deviceInfo: deviceInfo || null
+    });
+  } catch (error) {
+    console.error('Error logging rejected scan:', error);
+    return null;
+  }
+};
@@ -1,48 +1,110 @@
 import { logInfo, logError } from '../utils/terminal.js';
-import { autoMarkLeaveAttendance } from './autoAttendanceService.js';
+import { autoMarkLeaveAttendance, autoMarkAbsences, recomputeAttendanceStats } from './autoAttendanceService.js';
+import Settings from '../models/settings.model.js';
+import { addDays, atTimeOfDay, formatSchoolTime } from '../utils/dateUtils.js';
+
+// Pending absence marking timer, replaced whenever the configured time changes
+let absenceMarkingTimer = null;
+
+// Next time a school clock time comes round, today or tomorrow
+const nextRunAt = (time, now = new Date()) => {
+  const targetTime = atTimeOfDay(now, time);
+  return now > targetTime ? atTimeOfDay(addDays(now, 1), time) : targetTime;
+};
+
+/**
+ * Schedule the end-of-day absence marking at the time set in the school settings
+ * Call again after the settings change to move the next run
+ */
+export const scheduleAbsenceMarking = async () => {
+  if (absenceMarkingTimer) {
+    clearTimeout(absenceMarkingTimer);
+    absenceMarkingTimer = null;
+  }
+
+  try {
+    const { absenceMarking } = await Settings.getSettings();
+
+    const now = new Date();
+    const targetTime = nextRunAt(absenceMarking.time, now);
+
+    absenceMarkingTimer = setTimeout(async () => {
+      absenceMarkingTimer = null;
+      try {
+        // Settings are read again so a job disabled since scheduling does not run
+        const { absenceMarking: current } = await Settings.getSettings();
+        if (current.enabled) {
+          await autoMarkAbsences({ notifyParents: current.notifyParents });
+        } else {
+          logInfo('Absence marking is disabled, skipping scheduled run');
+        }
+      } catch (error) {
+        logError(`Error in scheduled absence marking task: ${error.message}`);
+      }
+
+      // Percentages count the school days up to today, so they move every day
+      try {
+        await recomputeAttendanceStats();
+      } catch (error) {
+        logError(`Error in scheduled attendance stats task: ${error.message}`);
+      }
+
+      // Reschedule for next day after completion
+      scheduleAbsenceMarking();
+    }, targetTime.getTime() - now.getTime());
+
+    logInfo(`Next absence marking task scheduled for: ${formatSchoolTime(targetTime)} (school time)`);
+  } catch (error) {
+    logError(`Error scheduling absence marking: ${error.message}`);
+  }
+};
+
+// Pending auto-checkout timer, replaced when the school timezone changes
+let autoCheckoutTimer = null;
+
+/**
+ * Schedule the auto-mark attendance task to run at 6:45 PM school time daily
+ * Call again after the school timezone changes to move the next run
+ */
+export const scheduleAutoCheckout = () => {
+  if (autoCheckoutTimer) {
+    clearTimeout(autoCheckoutTimer);
+    autoCheckoutTimer = null;
+  }
+
+  const now = new Date();
+  const targetTime = nextRunAt('18:45', now);
+
+  autoCheckoutTimer = setTimeout(async () => {
+    autoCheckoutTimer = null;
+    try {
+      await autoMarkLeaveAttendance();
+    } catch (error) {
+      logError(`Error in scheduled auto-mark attendance task: ${error.message}`);
+    }
+
+    // Reschedule for next day after completion
+    scheduleAutoCheckout();
+  }, targetTime.getTime() - now.getTime());
+
+  logInfo(`Next auto-mark attendance task scheduled for: ${formatSchoolTime(targetTime)} (school time)`);
+};
 
 /**
  * Starts the scheduler for automating tasks
- * Currently handles automatic marking of student attendance at end of day
+ * Handles automatic leave marking and absence marking at end of day
  */
 export const startScheduler = () => {
   try {
     logInfo('Starting scheduler service...');
     
-    // Schedule the auto-mark attendance task to run at 6:45 PM daily
-    const scheduleAutoMarkAttendance = () => {
-      const now = new Date();
-      const targetTime = new Date();
-      targetTime.setHours(18, 45, 0, 0); 
-      
-      // If current time is past the target time, schedule for next day
-      if (now > targetTime) {
-        targetTime.setDate(targetTime.getDate() + 1);
-      }
-      
-      const timeUntilTarget = targetTime.getTime() - now.getTime();
-      
-      // Schedule the task with appropriate timeout
-      setTimeout(async () => {
-        try {
-          await autoMarkLeaveAttendance();
-        } catch (error) {
-          logError(`Error in scheduled auto-mark attendance task: ${error.message}`);
-        }
-        
-        // Reschedule for next day after completion
-        scheduleAutoMarkAttendance();
-      }, timeUntilTarget);
-      
-      logInfo(`Next auto-mark attendance task scheduled for: ${targetTime.toLocaleString()}`);
-    };
-    
     // Start the scheduling process
-    scheduleAutoMarkAttendance();
+    scheduleAutoCheckout();
+    scheduleAbsenceMarking();
     
     logInfo('Scheduler service started successfully');
   } catch (error) {
     logError(`Error starting scheduler service: ${error.message}`);
     throw error;
   }
-}; 
\ No newline at end of file
+};
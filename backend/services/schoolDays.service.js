@@ -0,0 +1,100 @@
+import AttendanceRecord from '../models/attendanceRecord.model.js';
+import CalendarEntry from '../models/calendarEntry.model.js';
+import EarlyDismissal from '../models/earlyDismissal.model.js';
+import LeaveRequest from '../models/leaveRequest.model.js';
+import LessonAttendance from '../models/lessonAttendance.model.js';
+import RejectedScan from '../models/rejectedScan.model.js';
+import SecurityEvent from '../models/securityEvent.model.js';
+import StaffAttendance from '../models/staffAttendance.model.js';
+import Visitor from '../models/visitor.model.js';
+import { moveDayToTimezone } from '../utils/dateUtils.js';
+import { logInfo, logError } from '../utils/terminal.js';
+
+// Fields stored as midnight of a day in the school timezone, by model
+const DAY_FIELDS = [
+  [AttendanceRecord, ['day']],
+  [CalendarEntry, ['startDate', 'endDate']],
+  [LeaveRequest, ['startDate', 'endDate']],
+  [LessonAttendance, ['day']],
+  [StaffAttendance, ['day']],
+  [EarlyDismissal, ['day']],
+  [Visitor, ['visitDate']],
+  [RejectedScan, ['day']],
+  [SecurityEvent, ['day']]
+];
+
+/**
+ * Rewrite the day fields of every document in a collection, soft-deleted ones included
+ * @param {Model} Model - Mongoose model
+ * @param {Array<string>} fields - Day fields of the model
+ * @param {Function} moveDay - Maps a stored day to the day to store instead
+ * @returns {Promise<number>} Number of documents changed
+ */
+export const moveDayFields = async (Model, fields, moveDay) => {
+  const cursor = Model.collection.find({}, { projection: Object.fromEntries(fields.map(field => [field, 1])) });
+  let operations = [];
+  let moved = 0;
+
+  for await (const doc of cursor) {
+    const update = {};
+    fields.forEach(field => {
+      if (!doc[field]) return;
+      const day = moveDay(doc[field]);
+      if (day.getTime() !== doc[field].getTime()) update[field] = day;
+    });
+
+    if (Object.keys(update).length > 0) {
+      operations.push({ updateOne: { filter: { _id: doc._id }, update: { $set: update } } });
+    }
+
+    if (operations.length === 1000) {
+      await Model.collection.bulkWrite(operations, { ordered: false });
+      moved += operations.length;
+      operations = [];
+    }
+  }
+
+  if (operations.length > 0) {
+    await Model.collection.bulkWrite(operations, { ordered: false });
+    moved += operations.length;
+  }
+
+  return moved;
+};
+
+// Move the days of every collection in DAY_FIELDS
+const moveAllDays = async (fromZone, toZone) => {
+  let moved = 0;
+  for (const [Model, fields] of DAY_FIELDS) {
+    moved += await moveDayFields(Model, fields, day => moveDayToTimezone(day, fromZone, toZone));
+  }
+  return moved;
+};
+
+/**
+ * Move every stored day to midnight in a new school timezone, keeping its date,
+ * so a record of the 18th is still on the 18th after the timezone changes
+ * Days already moved are left alone, so running it again finishes a move that
+ * stopped part way. When the move fails the days moved so far are moved back,
+ * unless undoOnError is false.
+ * @param {string} fromZone - Previous school timezone
+ * @param {string} toZone - New school timezone
+ * @param {Object} [options] - undoOnError (true)
+ * @returns {Promise<number>} Number of documents changed
+ */
+export const moveStoredDays = async (fromZone, toZone, { undoOnError = true } = {}) => {
+  let moved;
+  try {
+    moved = await moveAllDays(fromZone, toZone);
+  } catch (error) {
+    logError(`Error moving stored days from ${fromZone} to ${toZone}: ${error.message}`);
+    if (!undoOnError) throw error;
+    await moveAllDays(toZone, fromZone).catch(rollbackError => {
+      logError(`Error moving stored days back to ${fromZone}: ${rollbackError.message}`);
+    });
+    throw error;
+  }
+
+  logInfo(`Moved stored days on ${moved} documents from ${fromZone} to ${toZone}`);
+  return moved;
+};
@@ -0,0 +1,172 @@
+import Staff from '../models/staff.model.js';
+import StaffAttendance from '../models/staffAttendance.model.js';
+import { generateSignedQRCode } from './qrCode.service.js';
+import { getReportBranding, createReportWorkbook } from './branding.service.js';
+import {
+  startOfDay,
+  toDayKey,
+  getRecordSessions,
+  summarizeSessions,
+  formatSchoolTime,
+  formatDuration
+} from '../utils/dateUtils.js';
+
+/**
+ * Generate the QR code of a staff member
+ * The code carries a signed token; the gate scanner learns from the server
+ * that it belongs to a staff member.
+ * @param {Object} staff - The staff member document
+ * @returns {Promise<string>} Base64 data URL of the QR code
+ */
+export const generateStaffQRCode = (staff) => generateSignedQRCode('staff', staff);
+
+/**
+ * Record a staff member clocking in or out
+ * Clocking in opens a session and clocking out closes the open one.
+ * @param {Object} staff - The staff member
+ * @param {string} status - 'entered' or 'left', as getScanStatus decides for the gate
+ * @param {Object} [scan] - time, scanLocation (name), location id, device and deviceInfo
+ * @returns {Promise<Object>} The day's record
+ */
+export const clockStaff = async (staff, status, {
+  time = new Date(), scanLocation = null, location = null, device = null, deviceInfo = null
+} = {}) => {
+  const day = startOfDay(time);
+  const record = await StaffAttendance.findOne({ staff: staff._id, day })
+    || new StaffAttendance({ staff: staff._id, day });
+
+  if (status === 'entered') {
+    record.sessions.push({ entryTime: time, scanLocation, location });
+    if (!record.entryTime) record.entryTime = time;
+    record.leaveTime = null;
+  } else {
+    const open = record.sessions.at(-1);
+    if (open && open.entryTime && !open.leaveTime) {
+      open.leaveTime = time;
+      open.exitLocation = location;
+    } else {
+      // Clocking out without having clocked in, e.g. through an exit-only gate
+      record.sessions.push({ entryTime: null, leaveTime: time, scanLocation, exitLocation: location });
+    }
+    record.leaveTime = time;
+  }
+
+  record.device = device;
+  record.deviceInfo = deviceInfo;
+  return record.save();
+};
+
+/**
+ * Hours of staff over a period
+ * Only completed clock-in/clock-out pairs count towards hours; a staff member
+ * still clocked in is shown as on campus.
+ * @param {Date} start - Start of the period
+ * @param {Date} end - End of the period
+ * @param {Object} [filter] - type of staff ('teacher' or 'non_academic')
+ * @returns {Promise<Array>} { staff, days, totalMs, onCampus, daily: [{ day, firstIn, lastOut, totalMs, onCampus }] }
+ */
+export const getStaffHours = async (start, end, { type } = {}) => {
+  const staffQuery = type ? { type } : {};
+  const [staff, records] = await Promise.all([
+    Staff.find(staffQuery).select('name staffId type department position status').sort({ name: 1 }).lean(),
+    StaffAttendance.find({ day: { $gte: start, $lte: end } }).sort({ day: 1 }).lean()
+  ]);
+
+  const recordsByStaff = new Map();
+  records.forEach(record => {
+    const key = record.staff.toString();
+    if (!recordsByStaff.has(key)) recordsByStaff.set(key, []);
+    recordsByStaff.get(key).push(record);
+  });
+
+  return staff
+    .filter(member => member.status === 'active' || recordsByStaff.has(member._id.toString()))
+    .map(member => {
+      const daily = (recordsByStaff.get(member._id.toString()) || []).map(record => {
+        const summary = summarizeSessions(getRecordSessions(record));
+        return {
+          day: toDayKey(record.day),
+          firstIn: summary.firstIn,
+          lastOut: summary.lastOut,
+          totalMs: summary.totalMs,
+          onCampus: summary.onCampus
+        };
+      });
+
+      return {
+        staff: member,
+        days: daily.filter(day => day.firstIn).length,
+        totalMs: daily.reduce((total, day) => total + day.totalMs, 0),
+        onCampus: Boolean(daily.at(-1)?.onCampus && daily.at(-1).day === toDayKey(new Date())),
+        daily
+      };
+    });
+};
+
+/**
+ * Build the staff hours report as an Excel workbook
+ * @param {Array} hours - Result of getStaffHours
+ * @param {string} period - Description of the period, e.g. '2025-03-01 to 2025-03-31'
+ * @returns {Promise<Buffer>} The workbook
+ */
+export const buildStaffHoursReport = async (hours, period) => {
+  const branding = await getReportBranding();
+  const workbook = createReportWorkbook(branding);
+
+  const styleHeader = (worksheet) => {
+    const headerRow = worksheet.getRow(1);
+    headerRow.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+    headerRow.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: branding.headerColor } };
+  };
+
+  const summary = workbook.addWorksheet('Staff Hours');
+  summary.columns = [
+    { header: 'Staff ID', key: 'staffId', width: 14 },
+    { header: 'Name', key: 'name', width: 30 },
+    { header: 'Type', key: 'type', width: 14 },
+    { header: 'Department', key: 'department', width: 20 },
+    { header: 'Days On Campus', key: 'days', width: 16 },
+    { header: 'Total Hours', key: 'hours', width: 13 },
+    { header: 'Time On Campus', key: 'duration', width: 16 }
+  ];
+  styleHeader(summary);
+  hours.forEach(row => {
+    summary.addRow({
+      staffId: row.staff.staffId,
+      name: row.staff.name,
+      type: row.staff.type === 'teacher' ? 'Teacher' : 'Non-academic',
+      department: row.staff.department,
+      days: row.days,
+      hours: Math.round((row.totalMs / (60 * 60 * 1000)) * 100) / 100,
+      duration: formatDuration(row.totalMs)
+    });
+  });
+
+  const daily = workbook.addWorksheet('Daily');
+  daily.columns = [
+    { header: 'Date', key: 'day', width: 12 },
+    { header: 'Staff ID', key: 'staffId', width: 14 },
+    { header: 'Name', key: 'name', width: 30 },
+    { header: 'Clocked In', key: 'firstIn', width: 12 },
+    { header: 'Clocked Out', key: 'lastOut', width: 12 },
+    { header: 'Time On Campus', key: 'duration', width: 16 }
+  ];
+  styleHeader(daily);
+  hours.forEach(row => {
+    row.daily.forEach(day => {
+      daily.addRow({
+        day: day.day,
+        staffId: row.staff.staffId,
+        name: row.staff.name,
+        firstIn: day.firstIn ? formatSchoolTime(day.firstIn, 'hh:mm a') : '',
+        lastOut: day.lastOut ? formatSchoolTime(day.lastOut, 'hh:mm a') : day.onCampus ? 'Not clocked out' : '',
+        duration: formatDuration(day.totalMs)
+      });
+    });
+  });
+
+  summary.addRow([]);
+  summary.addRow([`Period: ${period}`]);
+
+  return workbook.xlsx.writeBuffer();
+};
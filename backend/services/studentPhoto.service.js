@@ -0,0 +1,85 @@
+import fs from 'fs';
+import path from 'path';
+import sharp from 'sharp';
+import { logError } from '../utils/terminal.js';
+import AppError from '../utils/appError.js';
+
+const PHOTO_DIR = path.join('uploads', 'students');
+
+// Passport-style portrait, large enough to compare faces at the gate
+const PHOTO_SIZE = { width: 480, height: 600 };
+const THUMBNAIL_SIZE = { width: 96, height: 120 };
+
+// Remove a photo file that is no longer needed
+const removeFile = (filePath) => {
+  if (!filePath) return;
+  fs.unlink(filePath, (err) => {
+    if (err && err.code !== 'ENOENT') {
+      logError(`Error deleting student photo ${filePath}: ${err.message}`);
+    }
+  });
+};
+
+const resizePhoto = (image, { width, height }, quality) => image.clone()
+  .resize(width, height, { fit: 'cover', position: 'attention' })
+  .jpeg({ quality, mozjpeg: true })
+  .toBuffer();
+
+/**
+ * Store a new photo of a student, replacing the one before
+ * The upload is turned upright, cropped to a portrait and saved as JPEG with
+ * a thumbnail. The caller saves the student.
+ * @param {Document} student - The student
+ * @param {Buffer} upload - The uploaded or captured image
+ * @throws {AppError} 400 when the upload is not an image
+ */
+export const saveStudentPhoto = async (student, upload) => {
+  let photo;
+  let thumbnail;
+  try {
+    const image = sharp(upload).rotate();
+    [photo, thumbnail] = await Promise.all([
+      resizePhoto(image, PHOTO_SIZE, 85),
+      resizePhoto(image, THUMBNAIL_SIZE, 75)
+    ]);
+  } catch (error) {
+    throw new AppError('The photo could not be read as an image', 400);
+  }
+
+  await fs.promises.mkdir(PHOTO_DIR, { recursive: true });
+  const baseName = `${student._id}-${Date.now()}`;
+  const photoPath = path.join(PHOTO_DIR, `${baseName}.jpg`);
+  const thumbnailPath = path.join(PHOTO_DIR, `${baseName}-thumb.jpg`);
+  await Promise.all([
+    fs.promises.writeFile(photoPath, photo),
+    fs.promises.writeFile(thumbnailPath, thumbnail)
+  ]);
+
+  removeFile(student.photo?.path);
+  removeFile(student.photo?.thumbnailPath);
+  student.photo = { path: photoPath, thumbnailPath, updatedAt: new Date() };
+};
+
+/**
+ * Remove a student's photo; the caller saves the student
+ * @param {Document} student - The student
+ */
+export const removeStudentPhoto = (student) => {
+  removeFile(student.photo?.path);
+  removeFile(student.photo?.thumbnailPath);
+  student.photo = { path: null, thumbnailPath: null, updatedAt: null };
+};
+
+/**
+ * Read a student's photo, for printing on ID cards
+ * @param {Object} student - The student
+ * @returns {Promise<Buffer|null>} The photo, or null when there is none
+ */
+export const readStudentPhoto = async (student) => {
+  if (!student.photo?.path) return null;
+  try {
+    return await fs.promises.readFile(student.photo.path);
+  } catch (error) {
+    return null;
+  }
+};
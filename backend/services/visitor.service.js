@@ -0,0 +1,186 @@
+import crypto from 'crypto';
+import Visitor from '../models/visitor.model.js';
+import { generateStylishQRCode } from '../utils/qrGenerator.js';
+import { getQrBranding, getReportBranding, createReportWorkbook } from './branding.service.js';
+import { startOfDay, endOfDay, formatSchoolTime, formatDuration } from '../utils/dateUtils.js';
+import AppError from '../utils/appError.js';
+
+// Populate a visitor with the gates they came and went through
+export const VISITOR_POPULATE = [
+  { path: 'signedInLocation', select: 'name' },
+  { path: 'signedOutLocation', select: 'name' }
+];
+
+/**
+ * A fresh visitor pass code
+ * @returns {string} Random code that cannot be guessed from other passes
+ */
+export const createPassCode = () => crypto.randomBytes(12).toString('hex');
+
+/**
+ * When a pass for a visit on a day stops working
+ * @param {Date} visitDate - Day of the visit
+ * @returns {Date} End of that school day
+ */
+export const getPassExpiry = (visitDate) => endOfDay(visitDate);
+
+/**
+ * Generate the QR code of a visitor's pass
+ * The gate scanner tells passes from student codes by their visitorPass field.
+ * @param {Object} visitor - The visitor
+ * @returns {Promise<string>} Base64 data URL of the QR code
+ */
+export const generateVisitorPass = async (visitor) => generateStylishQRCode(JSON.stringify({
+  visitorPass: visitor.passCode,
+  name: visitor.name
+}), {
+  errorCorrectionLevel: 'H',
+  margin: 1,
+  color: {
+    dark: '#000000',
+    light: '#FFFFFF'
+  },
+  width: 400,
+  ...await getQrBranding()
+});
+
+/**
+ * Sign a visitor in
+ * @param {Object} visitor - Visitor document
+ * @param {Object} [options] - time and location (a Location or null)
+ * @returns {Promise<Object>} The saved visitor
+ * @throws {AppError} When the visitor is already in, has left or the pass is not for today
+ */
+export const signInVisitor = async (visitor, { time = new Date(), location = null } = {}) => {
+  if (visitor.status === 'on_site') {
+    throw new AppError(`${visitor.name} is already signed in`, 409);
+  }
+  if (visitor.status === 'signed_out') {
+    throw new AppError(`${visitor.name} has already visited and signed out; register a new visit`, 409);
+  }
+  if (time < startOfDay(visitor.visitDate)) {
+    throw new AppError(`The pass of ${visitor.name} is for ${formatSchoolTime(visitor.visitDate, 'MMM d, yyyy')}`, 400);
+  }
+  if (time > visitor.passExpiresAt) {
+    throw new AppError(`The pass of ${visitor.name} was for ${formatSchoolTime(visitor.visitDate, 'MMM d, yyyy')} and has expired`, 400);
+  }
+
+  visitor.status = 'on_site';
+  visitor.signedInAt = time;
+  visitor.signedInLocation = location?._id || null;
+  return visitor.save();
+};
+
+/**
+ * Sign a visitor out
+ * Visitors still on site after their pass expired can always leave.
+ * @param {Object} visitor - Visitor document
+ * @param {Object} [options] - time, location (a Location or null) and method ('scan' or 'manual')
+ * @returns {Promise<Object>} The saved visitor
+ * @throws {AppError} When the visitor is not on site
+ */
+export const signOutVisitor = async (visitor, { time = new Date(), location = null, method = 'manual' } = {}) => {
+  if (visitor.status !== 'on_site') {
+    throw new AppError(visitor.status === 'signed_out'
+      ? `${visitor.name} has already signed out`
+      : `${visitor.name} has not signed in`, 409);
+  }
+
+  visitor.status = 'signed_out';
+  visitor.signedOutAt = time;
+  visitor.signedOutLocation = location?._id || null;
+  visitor.signOutMethod = method;
+  return visitor.save();
+};
+
+/**
+ * Sign a visitor in or out from a scan of their pass at a gate
+ * Expected visitors are signed in and visitors on site are signed out.
+ * Entry-only and exit-only gates turn away scans the other way.
+ * @param {string} passCode - Code read from the pass
+ * @param {Object} [options] - scanTime and location (a Location or null)
+ * @returns {Promise<Object>} { visitor, action } where action is 'signed_in' or 'signed_out'
+ * @throws {AppError} When the pass is unknown or cannot be used here and now
+ */
+export const scanVisitorPass = async (passCode, { scanTime = new Date(), location = null } = {}) => {
+  const visitor = typeof passCode === 'string' && await Visitor.findOne({ passCode });
+  if (!visitor) {
+    throw new AppError('Visitor pass not recognised', 404);
+  }
+
+  const direction = location?.direction || 'both';
+  if (visitor.status === 'on_site') {
+    if (direction === 'entry') {
+      throw new AppError(`${location.name} is entry only; ${visitor.name} must sign out at an exit`, 409);
+    }
+    await signOutVisitor(visitor, { time: scanTime, location, method: 'scan' });
+    return { visitor, action: 'signed_out' };
+  }
+
+  if (visitor.status === 'expected' && direction === 'exit') {
+    throw new AppError(`${location.name} is exit only; ${visitor.name} must sign in at an entrance`, 409);
+  }
+  await signInVisitor(visitor, { time: scanTime, location });
+  return { visitor, action: 'signed_in' };
+};
+
+const STATUS_LABELS = {
+  expected: 'Expected',
+  on_site: 'On site',
+  signed_out: 'Signed out'
+};
+
+/**
+ * Build the visitor log as an Excel workbook
+ * @param {Array} visitors - Visitors with their locations populated, in order
+ * @returns {Promise<Buffer>} The workbook
+ */
+export const buildVisitorLog = async (visitors) => {
+  const branding = await getReportBranding();
+  const workbook = createReportWorkbook(branding);
+
+  const worksheet = workbook.addWorksheet('Visitor Log');
+  worksheet.columns = [
+    { header: 'Date', key: 'date', width: 14 },
+    { header: 'Name', key: 'name', width: 28 },
+    { header: 'Type', key: 'type', width: 12 },
+    { header: 'Company', key: 'company', width: 20 },
+    { header: 'Phone', key: 'phone', width: 16 },
+    { header: 'Host', key: 'host', width: 24 },
+    { header: 'Purpose', key: 'purpose', width: 30 },
+    { header: 'Status', key: 'status', width: 12 },
+    { header: 'Signed In', key: 'signedInAt', width: 12 },
+    { header: 'In At', key: 'signedInLocation', width: 18 },
+    { header: 'Signed Out', key: 'signedOutAt', width: 12 },
+    { header: 'Out At', key: 'signedOutLocation', width: 18 },
+    { header: 'Time On Site', key: 'duration', width: 14 }
+  ];
+
+  const headerRow = worksheet.getRow(1);
+  headerRow.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+  headerRow.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: branding.headerColor } };
+
+  visitors.forEach(visitor => {
+    worksheet.addRow({
+      date: formatSchoolTime(visitor.visitDate, 'yyyy-MM-dd'),
+      name: visitor.name,
+      type: visitor.type,
+      company: visitor.company,
+      phone: visitor.phone,
+      host: visitor.host,
+      purpose: visitor.purpose,
+      status: STATUS_LABELS[visitor.status],
+      signedInAt: visitor.signedInAt ? formatSchoolTime(visitor.signedInAt, 'hh:mm a') : '',
+      signedInLocation: visitor.signedInLocation?.name || '',
+      signedOutAt: visitor.signedOutAt
+        ? `${formatSchoolTime(visitor.signedOutAt, 'hh:mm a')}${visitor.signOutMethod === 'manual' ? ' (by hand)' : ''}`
+        : '',
+      signedOutLocation: visitor.signedOutLocation?.name || '',
+      duration: visitor.signedInAt && visitor.signedOutAt
+        ? formatDuration(visitor.signedOutAt - visitor.signedInAt)
+        : ''
+    });
+  });
+
+  return workbook.xlsx.writeBuffer();
+};
@@ -1,6 +1,7 @@
 import pkg from 'whatsapp-web.js';
 const { Client, LocalAuth } = pkg;
 import qrcode from 'qrcode-terminal';
+import { formatSchoolTime } from '../utils/dateUtils.js';
 
 /**
  * WhatsApp Web client instance
@@ -304,16 +305,7 @@ export const sendAttendanceAlert = async (phoneNumber, student, status, timestam
       };
     }
 
-    const formattedTime = new Date(timestamp).toLocaleString('en-US', {
-      weekday: 'long',
-      year: 'numeric',
-      month: 'long',
-      day: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit',
-      hour12: true,
-      timeZone: 'Asia/Colombo' // Sri Lanka timezone
-    });
+    const formattedTime = formatSchoolTime(timestamp, "cccc, MMMM d, yyyy 'at' hh:mm a");
 
     // Format readable status
     const displayStatus = status === 'entered' ? 'Entered School' : 
@@ -327,12 +319,18 @@ export const sendAttendanceAlert = async (phoneNumber, student, status, timestam
     const parentPhone = student.parent_telephone || student.parentPhone || phoneNumber;
     const address = student.address || 'N/A';
 
+    // Late arrivals carry the number of minutes after the school start time
+    const lateLine = student.isLate && status !== 'left'
+      ? `Arrival: *Late by ${student.minutesLate} minute${student.minutesLate === 1 ? '' : 's'}*\n`
+      : '';
+
     // Create the message
     const message = `🏫 *Attendance Update*\n\n` +
       `Student: *${studentName}*\n` +
       `Index Number: *${indexNumber}*\n` +
       `Status: *${displayStatus}*\n` +
-      `Time: *${formattedTime}*\n\n` +
+      `Time: *${formattedTime}*\n` +
+      lateLine + `\n` +
       `Additional Details:\n` +
       `Email: ${email}\n` +
       `Parent Phone: ${parentPhone}\n` +
@@ -343,7 +341,8 @@ export const sendAttendanceAlert = async (phoneNumber, student, status, timestam
       to: phoneNumber,
       studentName,
       status: displayStatus,
-      time: formattedTime
+      time: formattedTime,
+      minutesLate: student.isLate ? student.minutesLate : 0
     });
 
     // Send the message
@@ -0,0 +1,163 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import AttendanceRecord from '../models/attendanceRecord.model.js';
+import Settings from '../models/settings.model.js';
+import { createSchoolCalendar } from '../services/calendar.service.js';
+import {
+  isPresentRecord,
+  isExcusedRecord,
+  getAttendancePercentage,
+  summarizeAttendance,
+  calculateStudentStats
+} from '../services/attendanceStats.service.js';
+import { parseDayString, atTimeOfDay, endOfDay, setSchoolTimezone } from '../utils/dateUtils.js';
+
+setSchoolTimezone('Asia/Colombo');
+
+const day = (value) => parseDayString(value);
+const record = (date, status, extra = {}) => ({ day: day(date), date: day(date), status, ...extra });
+
+// Monday 16 to Friday 20 March 2026, five school days
+const START = day('2026-03-16');
+const END = endOfDay(day('2026-03-20'));
+const calendar = createSchoolCalendar(new Settings());
+
+describe('isPresentRecord and isExcusedRecord', () => {
+  it('count a day present once the student came in, whether or not they left', () => {
+    for (const status of ['present', 'entered', 'left']) {
+      assert.equal(isPresentRecord({ status }), true, status);
+    }
+    assert.equal(isPresentRecord({ status: 'absent' }), false);
+    assert.equal(isPresentRecord({ status: 'excused' }), false);
+    assert.equal(isPresentRecord(null), false);
+  });
+
+  it('never count deleted records', () => {
+    assert.equal(isPresentRecord({ status: 'present', deletedAt: new Date() }), false);
+    assert.equal(isExcusedRecord({ status: 'excused', deletedAt: new Date() }), false);
+    assert.equal(isExcusedRecord({ status: 'excused', deletedAt: null }), true);
+  });
+});
+
+describe('getAttendancePercentage', () => {
+  it('is the share of school days present, at most 100', () => {
+    assert.equal(getAttendancePercentage(3, 4), 75);
+    assert.equal(getAttendancePercentage(6, 5), 100);
+  });
+
+  it('is 0 without school days', () => {
+    assert.equal(getAttendancePercentage(0, 0), 0);
+  });
+});
+
+describe('summarizeAttendance', () => {
+  it('counts present, late, excused and absent school days', () => {
+    const summary = summarizeAttendance(calendar, [
+      record('2026-03-16', 'left'),
+      record('2026-03-17', 'entered', { isLate: true }),
+      record('2026-03-18', 'excused'),
+      record('2026-03-19', 'absent')
+    ], START, END);
+
+    assert.deepEqual(summary, { schoolDays: 5, present: 2, late: 1, excused: 1, absent: 2, percentage: 40 });
+  });
+
+  it('leaves out records on days that are not school days', () => {
+    const summary = summarizeAttendance(calendar, [
+      record('2026-03-16', 'present'),
+      record('2026-03-21', 'present')
+    ], START, endOfDay(day('2026-03-22')));
+
+    assert.equal(summary.schoolDays, 5);
+    assert.equal(summary.present, 1);
+  });
+
+  it('counts a day with several records once', () => {
+    const summary = summarizeAttendance(calendar, [
+      record('2026-03-16', 'left'),
+      record('2026-03-16', 'entered')
+    ], START, END);
+
+    assert.equal(summary.present, 1);
+    assert.equal(summary.absent, 4);
+  });
+
+  it('counts a day the student came in as present even when it was excused too', () => {
+    const summary = summarizeAttendance(calendar, [
+      record('2026-03-16', 'excused'),
+      record('2026-03-16', 'left')
+    ], START, END);
+
+    assert.equal(summary.present, 1);
+    assert.equal(summary.excused, 0);
+  });
+
+  it('skips deleted records', () => {
+    const summary = summarizeAttendance(calendar, [
+      record('2026-03-16', 'present', { deletedAt: new Date() })
+    ], START, END);
+
+    assert.equal(summary.present, 0);
+    assert.equal(summary.absent, 5);
+  });
+
+  it('reads the day from the date of records written before days were stored', () => {
+    const summary = summarizeAttendance(calendar, [
+      { date: atTimeOfDay(day('2026-03-16'), '07:30'), status: 'present' }
+    ], START, END);
+
+    assert.equal(summary.present, 1);
+  });
+});
+
+describe('calculateStudentStats', () => {
+  let records = [];
+
+  before(() => {
+    const query = {
+      select: () => query,
+      sort: () => query,
+      lean: async () => records
+    };
+    mock.method(AttendanceRecord, 'find', () => query);
+  });
+
+  after(() => {
+    mock.restoreAll();
+  });
+
+  it('counts from the day the student was registered', async () => {
+    records = [record('2026-03-18', 'left', {
+      entryTime: atTimeOfDay(day('2026-03-18'), '07:20'),
+      leaveTime: atTimeOfDay(day('2026-03-18'), '13:40')
+    })];
+    const student = { _id: 'student', createdAt: atTimeOfDay(day('2026-03-18'), '10:00') };
+
+    const stats = await calculateStudentStats(student, { calendar, now: atTimeOfDay(day('2026-03-20'), '15:00') });
+
+    assert.deepEqual(stats, {
+      attendanceCount: 1,
+      attendancePercentage: (1 / 3) * 100,
+      lastAttendance: atTimeOfDay(day('2026-03-18'), '13:40')
+    });
+  });
+
+  it('counts from the first record when imported history is older than the student', async () => {
+    records = [record('2026-03-16', 'present'), record('2026-03-17', 'absent')];
+    const student = { _id: 'student', createdAt: day('2026-03-20') };
+
+    const stats = await calculateStudentStats(student, { calendar, now: atTimeOfDay(day('2026-03-20'), '15:00') });
+
+    assert.equal(stats.attendanceCount, 1);
+    assert.equal(stats.attendancePercentage, 20);
+  });
+
+  it('has no last attendance without a day present', async () => {
+    records = [record('2026-03-16', 'absent'), record('2026-03-17', 'excused')];
+    const student = { _id: 'student', createdAt: day('2026-03-16') };
+
+    const stats = await calculateStudentStats(student, { calendar, now: END });
+
+    assert.deepEqual(stats, { attendanceCount: 0, attendancePercentage: 0, lastAttendance: null });
+  });
+});
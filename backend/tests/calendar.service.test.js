@@ -0,0 +1,86 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Settings from '../models/settings.model.js';
+import { createSchoolCalendar } from '../services/calendar.service.js';
+import { parseDayString, endOfDay, setSchoolTimezone } from '../utils/dateUtils.js';
+
+const day = (value) => parseDayString(value);
+
+const entry = (type, startDate, endDate = startDate) => ({ type, startDate: day(startDate), endDate: day(endDate) });
+
+// Monday 16 to Sunday 22 March 2026
+const WEEK = [day('2026-03-16'), endOfDay(day('2026-03-22'))];
+
+describe('createSchoolCalendar', () => {
+  let settings;
+
+  beforeEach(() => {
+    setSchoolTimezone('Asia/Colombo');
+    settings = new Settings();
+  });
+
+  it('counts the school weekdays when there are no calendar entries', () => {
+    const calendar = createSchoolCalendar(settings);
+
+    assert.equal(calendar.countSchoolDays(...WEEK), 5);
+    assert.deepEqual(calendar.getDayInfo(day('2026-03-21')), {
+      date: day('2026-03-21'), isSchoolDay: false, reason: 'day_off', entry: null
+    });
+  });
+
+  it('leaves out holidays and closures', () => {
+    const holiday = entry('holiday', '2026-03-18');
+    const closure = entry('closure', '2026-03-19', '2026-03-20');
+    const calendar = createSchoolCalendar(settings, [holiday, closure]);
+
+    assert.equal(calendar.countSchoolDays(...WEEK), 2);
+    assert.equal(calendar.getDayInfo(day('2026-03-18')).reason, 'holiday');
+    assert.equal(calendar.getDayInfo(day('2026-03-20')).entry, closure);
+  });
+
+  it('counts make-up days, even on a weekend or inside a closure', () => {
+    const calendar = createSchoolCalendar(settings, [
+      entry('closure', '2026-03-16', '2026-03-22'),
+      entry('makeup_day', '2026-03-17'),
+      entry('makeup_day', '2026-03-21')
+    ]);
+
+    assert.deepEqual(calendar.getSchoolDays(...WEEK), [day('2026-03-17'), day('2026-03-21')]);
+    assert.equal(calendar.getDayInfo(day('2026-03-21')).reason, 'makeup_day');
+  });
+
+  it('only counts days inside a term once terms exist', () => {
+    const calendar = createSchoolCalendar(settings, [entry('term', '2026-03-16', '2026-03-18')], true);
+
+    assert.equal(calendar.countSchoolDays(...WEEK), 3);
+    assert.equal(calendar.getDayInfo(day('2026-03-19')).reason, 'term_break');
+  });
+
+  it('ignores terms while none have been defined for the school', () => {
+    const calendar = createSchoolCalendar(settings, [], false);
+
+    assert.equal(calendar.isSchoolDay(day('2026-03-19')), true);
+  });
+
+  it('follows the configured school weekdays', () => {
+    settings.schoolHours = settings.schoolHours.map(hours => ({
+      ...hours.toObject(),
+      isSchoolDay: hours.weekday >= 1 && hours.weekday <= 6
+    }));
+    const calendar = createSchoolCalendar(settings);
+
+    assert.equal(calendar.countSchoolDays(...WEEK), 6);
+    assert.equal(calendar.isSchoolDay(day('2026-03-21')), true);
+  });
+
+  it('reads days in the school timezone across a daylight saving change', () => {
+    setSchoolTimezone('America/New_York');
+    const calendar = createSchoolCalendar(settings);
+
+    // Clocks go forward on Sunday 8 March 2026
+    const days = calendar.getSchoolDays(day('2026-03-02'), endOfDay(day('2026-03-13')));
+
+    assert.equal(days.length, 10);
+    assert.deepEqual(days.slice(4, 6), [day('2026-03-06'), day('2026-03-09')]);
+  });
+});
@@ -0,0 +1,19 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { moveDayToTimezone } from '../utils/dateUtils.js';
+
+describe('moveDayToTimezone', () => {
+  // Midnight of 17 March 2026 in Colombo (UTC+5:30) and in New York (UTC-4)
+  const colomboDay = new Date('2026-03-16T18:30:00.000Z');
+  const newYorkDay = new Date('2026-03-17T04:00:00.000Z');
+
+  it('keeps the date of the day in the new timezone', () => {
+    assert.deepEqual(moveDayToTimezone(colomboDay, 'Asia/Colombo', 'America/New_York'), newYorkDay);
+    assert.deepEqual(moveDayToTimezone(newYorkDay, 'America/New_York', 'Asia/Colombo'), colomboDay);
+  });
+
+  it('leaves a day already moved as it is, so a move can be run again', () => {
+    assert.deepEqual(moveDayToTimezone(newYorkDay, 'Asia/Colombo', 'America/New_York'), newYorkDay);
+    assert.deepEqual(moveDayToTimezone(colomboDay, 'America/New_York', 'Asia/Colombo'), colomboDay);
+  });
+});
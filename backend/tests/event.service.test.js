@@ -0,0 +1,172 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Event from '../models/event.model.js';
+import EventAttendance from '../models/eventAttendance.model.js';
+import { getCheckInWindow, getCheckInLateness, isOnRoster, checkInByScan } from '../services/event.service.js';
+import { parseDayString, atTimeOfDay, setSchoolTimezone } from '../utils/dateUtils.js';
+import { isAppError, createStudent } from './helpers.js';
+
+setSchoolTimezone('Asia/Colombo');
+
+const DAY = parseDayString('2026-03-17');
+const at = (time) => atTimeOfDay(DAY, time);
+const id = () => new mongoose.Types.ObjectId();
+
+// Sports practice from 14:00 to 16:00; check-in opens 30 minutes early and
+// check-ins more than 5 minutes after the start are late
+const createEvent = (fields = {}) => new Event({
+  name: 'Cricket practice',
+  startTime: at('14:00'),
+  endTime: at('16:00'),
+  ...fields
+}).toObject();
+
+describe('getCheckInWindow', () => {
+  it('opens before the start, turns late after the grace period and closes at the end', () => {
+    assert.deepEqual(getCheckInWindow(createEvent()), {
+      opensAt: at('13:30'),
+      lateAfter: at('14:05'),
+      closesAt: at('16:00')
+    });
+  });
+
+  it('follows the minutes set on the event', () => {
+    const { opensAt, lateAfter } = getCheckInWindow(createEvent({ checkInOpensMinutes: 0, lateAfterMinutes: 15 }));
+
+    assert.deepEqual(opensAt, at('14:00'));
+    assert.deepEqual(lateAfter, at('14:15'));
+  });
+});
+
+describe('getCheckInLateness', () => {
+  const event = createEvent();
+
+  it('is present up to the end of the grace period', () => {
+    assert.deepEqual(getCheckInLateness(event, at('13:45')), { status: 'present', minutesLate: 0 });
+    assert.deepEqual(getCheckInLateness(event, at('14:05')), { status: 'present', minutesLate: 0 });
+  });
+
+  it('is late after it, counted from the start of the event', () => {
+    assert.deepEqual(getCheckInLateness(event, at('14:06')), { status: 'late', minutesLate: 6 });
+    assert.deepEqual(getCheckInLateness(event, at('15:30')), { status: 'late', minutesLate: 90 });
+  });
+});
+
+describe('isOnRoster', () => {
+  const section = id();
+
+  it('lets every student in when the event has no roster', () => {
+    assert.equal(isOnRoster(createEvent(), createStudent()), true);
+  });
+
+  it('lets in students of the sections and students named on the event', () => {
+    const named = createStudent();
+    const event = createEvent({ sections: [section], students: [named._id] });
+
+    assert.equal(isOnRoster(event, createStudent({ section })), true);
+    assert.equal(isOnRoster(event, named), true);
+    assert.equal(isOnRoster(event, createStudent({ section: id() })), false);
+    assert.equal(isOnRoster(event, createStudent()), false);
+  });
+
+  it('reads populated sections', () => {
+    const event = createEvent({ sections: [section] });
+    event.sections = [{ _id: section, name: 'A' }];
+
+    assert.equal(isOnRoster(event, createStudent({ section: { _id: section } })), true);
+  });
+});
+
+describe('checkInByScan', () => {
+  let existing;
+  let taken;
+  let inserted;
+
+  beforeEach(() => {
+    existing = null;
+    taken = 0;
+    inserted = null;
+    mock.method(EventAttendance, 'findOne', () => ({ lean: async () => existing || inserted }));
+    mock.method(EventAttendance, 'countDocuments', async () => taken);
+    mock.method(EventAttendance, 'findOneAndUpdate', (filter, update) => ({
+      lean: async () => {
+        inserted = { ...update.$setOnInsert, _id: id() };
+        return null;
+      }
+    }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('checks a student in on time within the window', async () => {
+    const { attendance, alreadyCheckedIn } = await checkInByScan(createEvent(), createStudent(), { checkInTime: at('13:50') });
+
+    assert.equal(alreadyCheckedIn, false);
+    assert.equal(attendance.status, 'present');
+    assert.equal(attendance.method, 'scan');
+    assert.deepEqual(attendance.checkedInAt, at('13:50'));
+  });
+
+  it('records a late check-in with the minutes late', async () => {
+    const { attendance } = await checkInByScan(createEvent(), createStudent(), { checkInTime: at('14:20') });
+
+    assert.equal(attendance.status, 'late');
+    assert.equal(attendance.minutesLate, 20);
+  });
+
+  it('refuses scans before check-in opens or after the event ends', async () => {
+    await assert.rejects(
+      checkInByScan(createEvent(), createStudent(), { checkInTime: at('13:29') }),
+      isAppError(400, /Check-in for Cricket practice opens at 01:30 PM/)
+    );
+    await assert.rejects(
+      checkInByScan(createEvent(), createStudent(), { checkInTime: at('16:01') }),
+      isAppError(400, /has ended/)
+    );
+  });
+
+  it('accepts scans right at the opening and the end', async () => {
+    for (const time of ['13:30', '16:00']) {
+      inserted = null;
+      const { alreadyCheckedIn } = await checkInByScan(createEvent(), createStudent(), { checkInTime: at(time) });
+      assert.equal(alreadyCheckedIn, false, time);
+    }
+  });
+
+  it('refuses cancelled events and students off the roster', async () => {
+    await assert.rejects(
+      checkInByScan(createEvent({ cancelledAt: at('09:00') }), createStudent(), { checkInTime: at('14:00') }),
+      isAppError(400, /has been cancelled/)
+    );
+    await assert.rejects(
+      checkInByScan(createEvent({ sections: [id()] }), createStudent(), { checkInTime: at('14:00') }),
+      isAppError(403, /is not on the roster/)
+    );
+    await assert.rejects(
+      checkInByScan(createEvent(), createStudent({ status: 'inactive' }), { checkInTime: at('14:00') }),
+      isAppError(403, /is not on the roster/)
+    );
+  });
+
+  it('refuses new check-ins once the event is full', async () => {
+    taken = 20;
+
+    await assert.rejects(
+      checkInByScan(createEvent({ capacity: 20 }), createStudent(), { checkInTime: at('14:00') }),
+      isAppError(409, /is full \(20 places\)/)
+    );
+  });
+
+  it('returns the first check-in for a repeat scan', async () => {
+    existing = { status: 'present', checkedInAt: at('13:40') };
+
+    const { attendance, alreadyCheckedIn } = await checkInByScan(createEvent(), createStudent(), { checkInTime: at('14:30') });
+
+    assert.equal(alreadyCheckedIn, true);
+    assert.equal(attendance, existing);
+    assert.equal(EventAttendance.findOneAndUpdate.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,26 @@
+import mongoose from 'mongoose';
+import AppError from '../utils/appError.js';
+
+/**
+ * Check for an AppError, for assert.rejects and assert.throws
+ * @param {number} statusCode - Expected status code
+ * @param {RegExp} message - Pattern the message must match
+ * @returns {Function} Validation function
+ */
+export const isAppError = (statusCode, message) => (error) =>
+  error instanceof AppError && error.statusCode === statusCode && message.test(error.message);
+
+/**
+ * An active student as a plain object, as read with lean()
+ * @param {Object} [fields] - Fields to set instead of the defaults
+ * @returns {Object} The student
+ */
+export const createStudent = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Nimal Perera',
+  indexNumber: '1001',
+  status: 'active',
+  section: null,
+  qrVersion: 1,
+  ...fields
+});
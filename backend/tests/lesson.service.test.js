@@ -0,0 +1,78 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import Settings from '../models/settings.model.js';
+import { getLessonTimes, getGateStatus, getLessonLateness } from '../services/lesson.service.js';
+import { parseDayString, atTimeOfDay, setSchoolTimezone } from '../utils/dateUtils.js';
+
+setSchoolTimezone('Asia/Colombo');
+
+// A Tuesday lesson from 09:00 to 09:40
+const DAY = parseDayString('2026-03-17');
+const LESSON = { period: { startTime: '09:00', endTime: '09:40' } };
+const at = (time) => atTimeOfDay(DAY, time);
+const session = (entry, leave = null) => ({ entryTime: entry && at(entry), leaveTime: leave && at(leave) });
+
+describe('getLessonTimes', () => {
+  it('places the period on the day in school time', () => {
+    assert.deepEqual(getLessonTimes(LESSON, DAY), { start: at('09:00'), end: at('09:40') });
+  });
+});
+
+describe('getGateStatus', () => {
+  const times = getLessonTimes(LESSON, DAY);
+
+  it('is not_scanned without a gate record', () => {
+    assert.equal(getGateStatus(null, times), 'not_scanned');
+  });
+
+  it('is excused for an excused day', () => {
+    assert.equal(getGateStatus({ status: 'excused', sessions: [] }, times), 'excused');
+  });
+
+  it('is absent when the record has no entry', () => {
+    assert.equal(getGateStatus({ status: 'absent', sessions: [] }, times), 'absent');
+    assert.equal(getGateStatus({ status: 'left', sessions: [session(null, '12:00')] }, times), 'absent');
+  });
+
+  it('is on_campus for a stay still open when the lesson starts', () => {
+    assert.equal(getGateStatus({ status: 'entered', sessions: [session('07:25')] }, times), 'on_campus');
+  });
+
+  it('is on_campus for a stay that only partly overlaps the lesson', () => {
+    assert.equal(getGateStatus({ status: 'left', sessions: [session('07:25', '09:10')] }, times), 'on_campus');
+    assert.equal(getGateStatus({ status: 'entered', sessions: [session('09:30')] }, times), 'on_campus');
+  });
+
+  it('counts a stay that ends or starts exactly on the lesson boundary', () => {
+    assert.equal(getGateStatus({ status: 'left', sessions: [session('07:25', '09:00')] }, times), 'on_campus');
+    assert.equal(getGateStatus({ status: 'entered', sessions: [session('09:40')] }, times), 'on_campus');
+  });
+
+  it('is off_campus when every stay misses the lesson', () => {
+    const record = { status: 'entered', sessions: [session('07:25', '08:55'), session('09:45')] };
+    assert.equal(getGateStatus(record, times), 'off_campus');
+  });
+
+  it('reads the entry and leave times of records from before sessions', () => {
+    assert.equal(getGateStatus({ status: 'left', entryTime: at('07:25'), leaveTime: at('08:30') }, times), 'off_campus');
+    assert.equal(getGateStatus({ status: 'entered', entryTime: at('07:25'), leaveTime: null }, times), 'on_campus');
+  });
+});
+
+describe('getLessonLateness', () => {
+  before(() => {
+    mock.method(Settings, 'getSettings', async () => new Settings());
+  });
+
+  after(() => {
+    mock.restoreAll();
+  });
+
+  it('is present within the grace period of the weekday', async () => {
+    assert.deepEqual(await getLessonLateness(LESSON, at('09:10')), { status: 'present', minutesLate: 0 });
+  });
+
+  it('is late after the grace period, counted from the start of the lesson', async () => {
+    assert.deepEqual(await getLessonLateness(LESSON, at('09:11')), { status: 'late', minutesLate: 11 });
+  });
+});
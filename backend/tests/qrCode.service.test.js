@@ -0,0 +1,167 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import QrSigningKey from '../models/qrSigningKey.model.js';
+import SecurityEvent from '../models/securityEvent.model.js';
+import Settings from '../models/settings.model.js';
+import Student from '../models/student.model.js';
+import { signQrToken, readScannedCode, rotateSigningKey, retireSigningKey } from '../services/qrCode.service.js';
+import { isAppError, createStudent } from './helpers.js';
+
+// Swap one character of a token part for another, keeping its length
+const tamper = (token, index) => {
+  const parts = token.split('.');
+  const part = parts[index];
+  parts[index] = `${part.slice(0, -1)}${part.at(-1) === 'A' ? 'B' : 'A'}`;
+  return parts.join('.');
+};
+
+describe('QR code tokens', () => {
+  let keys;
+  let students;
+  let securityEvents;
+  let rejectLegacy;
+
+  // A student that Student.findById finds
+  const addStudent = (fields = {}) => {
+    const student = createStudent(fields);
+    students.set(student._id.toString(), student);
+    return student;
+  };
+
+  beforeEach(async () => {
+    keys = [];
+    students = new Map();
+    securityEvents = [];
+    rejectLegacy = false;
+
+    // The signing keys live in memory, as they would in the collection
+    mock.method(QrSigningKey, 'find', () => {
+      const query = {
+        select: () => query,
+        sort: () => query,
+        lean: async () => keys.map(key => ({ ...key }))
+      };
+      return query;
+    });
+    mock.method(QrSigningKey, 'create', async (fields) => {
+      const key = { _id: new mongoose.Types.ObjectId(), retiredAt: null, createdAt: new Date(), ...fields };
+      keys.push(key);
+      return { ...key, toObject: () => ({ ...key }) };
+    });
+    mock.method(QrSigningKey, 'updateMany', async (filter, update) => {
+      keys.filter(key => !key._id.equals(filter._id.$ne)).forEach(key => Object.assign(key, update.$set));
+    });
+    mock.method(QrSigningKey, 'findOne', async ({ kid }) => {
+      const key = keys.find(candidate => candidate.kid === kid);
+      return key ? Object.assign(key, { save: async () => key }) : null;
+    });
+    mock.method(Student, 'findById', async (id) => students.get(id.toString()) || null);
+    mock.method(SecurityEvent, 'create', async (event) => securityEvents.push(event));
+    mock.method(Settings, 'getSettings', async () => ({ qrCodes: { rejectLegacy } }));
+
+    // Start every test from a single fresh key
+    await rotateSigningKey();
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('reads a signed code back to its student', async () => {
+    const student = addStudent();
+    const { token, kid } = await signQrToken('student', student);
+
+    assert.equal(kid, keys[0].kid);
+    assert.match(token, new RegExp(`^QA1\\.${kid}\\.s[\\w-]+\\.1\\.[\\w-]+$`));
+    assert.equal(token.includes(student.name), false);
+    assert.deepEqual(await readScannedCode(token), { kind: 'student', student, legacy: false });
+    assert.equal(securityEvents.length, 0);
+  });
+
+  it('refuses a code whose signature or subject was changed', async () => {
+    const { token } = await signQrToken('student', addStudent());
+
+    for (const forged of [tamper(token, 4), tamper(token, 2)]) {
+      await assert.rejects(readScannedCode(forged), isAppError(403, /Invalid QR code signature/));
+    }
+    assert.deepEqual(securityEvents.map(event => event.type), ['forged_code', 'forged_code']);
+  });
+
+  it('refuses a code signed with an unknown key', async () => {
+    const { token } = await signQrToken('student', addStudent());
+    const parts = token.split('.');
+    parts[1] = 'ffffff';
+    parts[4] = crypto.randomBytes(12).toString('base64url');
+
+    await assert.rejects(readScannedCode(parts.join('.')), isAppError(403, /unknown key/));
+    assert.equal(securityEvents[0].type, 'forged_code');
+    assert.equal(securityEvents[0].kid, 'ffffff');
+  });
+
+  it('refuses a code replaced by a newer version', async () => {
+    const student = addStudent();
+    const { token } = await signQrToken('student', student);
+    student.qrVersion = 2;
+
+    await assert.rejects(readScannedCode(token, { source: 'lesson' }), isAppError(403, /replaced by a newer one/));
+    assert.equal(securityEvents[0].type, 'revoked_code');
+    assert.equal(securityEvents[0].codeVersion, 1);
+    assert.equal(securityEvents[0].currentVersion, 2);
+    assert.equal(securityEvents[0].source, 'lesson');
+
+    const { token: newToken } = await signQrToken('student', student);
+    assert.equal((await readScannedCode(newToken)).student, student);
+  });
+
+  it('keeps codes of the old key working after a rotation', async () => {
+    const student = addStudent();
+    const { token: oldToken, kid: oldKid } = await signQrToken('student', student);
+
+    const rotated = await rotateSigningKey();
+    const { token: newToken, kid: newKid } = await signQrToken('student', student);
+
+    assert.equal(rotated.secret, undefined);
+    assert.equal(newKid, rotated.kid);
+    assert.notEqual(newKid, oldKid);
+    assert.equal((await readScannedCode(oldToken)).student, student);
+    assert.equal((await readScannedCode(newToken)).student, student);
+  });
+
+  it('refuses codes of a retired key', async () => {
+    const student = addStudent();
+    const { token: oldToken, kid: oldKid } = await signQrToken('student', student);
+    const { kid: newKid } = await rotateSigningKey();
+
+    await assert.rejects(retireSigningKey(newKid), isAppError(400, /Rotate to a new key/));
+    await retireSigningKey(oldKid);
+    await assert.rejects(retireSigningKey(oldKid), isAppError(400, /already retired/));
+
+    await assert.rejects(readScannedCode(oldToken), isAppError(403, /retired key/));
+    assert.equal(securityEvents[0].type, 'retired_key');
+    assert.equal(securityEvents[0].student, student._id.toString());
+
+    const { token: newToken } = await signQrToken('student', student);
+    assert.equal((await readScannedCode(newToken)).student, student);
+  });
+
+  it('accepts legacy JSON codes only until the school refuses them', async () => {
+    const student = addStudent();
+    const legacyCode = JSON.stringify({ id: student._id.toString(), indexNumber: student.indexNumber, name: student.name });
+
+    assert.deepEqual(await readScannedCode(legacyCode), { kind: 'student', student, legacy: true });
+
+    rejectLegacy = true;
+    await assert.rejects(readScannedCode(legacyCode), isAppError(403, /no longer accepted/));
+  });
+
+  it('refuses legacy codes of a student whose code was reissued', async () => {
+    const student = addStudent({ qrVersion: 2 });
+    const legacyCode = JSON.stringify({ id: student._id.toString(), indexNumber: student.indexNumber, name: student.name });
+
+    await assert.rejects(readScannedCode(legacyCode), isAppError(403, /replaced by a newer one/));
+    assert.equal(securityEvents[0].type, 'revoked_code');
+    assert.equal(securityEvents[0].legacy, true);
+  });
+});
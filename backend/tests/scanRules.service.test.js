@@ -0,0 +1,130 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkScanRules, getLastScanTime, resolveScanTime, MAX_SCAN_AGE_MS } from '../services/scanRules.service.js';
+import AppError from '../utils/appError.js';
+import { parseDayString, atTimeOfDay, setSchoolTimezone } from '../utils/dateUtils.js';
+
+setSchoolTimezone('Asia/Colombo');
+
+const DAY = parseDayString('2026-03-17');
+const at = (time) => atTimeOfDay(DAY, time);
+const student = { name: 'Nimal Perera' };
+
+// Inside since 07:30
+const onCampus = {
+  entryTime: at('07:30'),
+  leaveTime: null,
+  sessions: [{ entryTime: at('07:30'), leaveTime: null }]
+};
+
+// Came in at 07:30 and left at 13:30
+const offCampus = {
+  entryTime: at('07:30'),
+  leaveTime: at('13:30'),
+  sessions: [{ entryTime: at('07:30'), leaveTime: at('13:30') }]
+};
+
+const RULES = { minScanIntervalSeconds: 60, enforceDirection: false };
+const PASSBACK = { minScanIntervalSeconds: 60, enforceDirection: true };
+
+describe('getLastScanTime', () => {
+  it('is null before any scan', () => {
+    assert.equal(getLastScanTime(null), null);
+    assert.equal(getLastScanTime({ sessions: [] }), null);
+  });
+
+  it('is the latest entry or exit of the day', () => {
+    const record = {
+      sessions: [{ entryTime: at('07:30'), leaveTime: at('10:00') }, { entryTime: at('10:20'), leaveTime: null }]
+    };
+    assert.deepEqual(getLastScanTime(record), at('10:20'));
+    assert.deepEqual(getLastScanTime(offCampus), at('13:30'));
+  });
+});
+
+describe('checkScanRules', () => {
+  it('lets the first scan of the day through', () => {
+    assert.equal(checkScanRules({ student, record: null, status: 'entered', scanTime: at('07:30') }, PASSBACK), null);
+  });
+
+  it('turns away a scan within the minimum interval as a duplicate', () => {
+    const scanTime = new Date(at('07:30').getTime() + 30 * 1000);
+    const rejection = checkScanRules({ student, record: onCampus, status: 'left', scanTime }, RULES);
+
+    assert.equal(rejection.reason, 'duplicate');
+    assert.deepEqual(rejection.lastScanAt, at('07:30'));
+    assert.match(rejection.message, /Nimal Perera was already scanned in at 07:30 AM/);
+  });
+
+  it('lets a scan through once the interval has passed', () => {
+    const scanTime = new Date(at('07:30').getTime() + 60 * 1000);
+    assert.equal(checkScanRules({ student, record: onCampus, status: 'left', scanTime }, RULES), null);
+  });
+
+  it('never treats scans as duplicates when the interval is 0', () => {
+    const rules = { minScanIntervalSeconds: 0, enforceDirection: false };
+    assert.equal(checkScanRules({ student, record: onCampus, status: 'left', scanTime: at('07:30') }, rules), null);
+  });
+
+  it('turns away an offline scan older than the last recorded scan', () => {
+    const rejection = checkScanRules({ student, record: offCampus, status: 'entered', scanTime: at('12:00') }, RULES);
+
+    assert.equal(rejection.reason, 'out_of_order');
+    assert.deepEqual(rejection.lastScanAt, at('13:30'));
+  });
+
+  it('ignores gate directions while anti-passback is off', () => {
+    assert.equal(checkScanRules({ student, record: onCampus, status: 'entered', direction: 'entry', scanTime: at('09:00') }, RULES), null);
+    assert.equal(checkScanRules({ student, record: offCampus, status: 'left', direction: 'exit', scanTime: at('15:00') }, RULES), null);
+  });
+
+  it('turns away an entry of a student already on campus', () => {
+    const rejection = checkScanRules({ student, record: onCampus, status: 'entered', direction: 'entry', scanTime: at('09:00') }, PASSBACK);
+
+    assert.equal(rejection.reason, 'passback');
+    assert.deepEqual(rejection.lastScanAt, at('07:30'));
+  });
+
+  it('turns away an exit of a student who is not on campus', () => {
+    const left = checkScanRules({ student, record: offCampus, status: 'left', direction: 'exit', scanTime: at('15:00') }, PASSBACK);
+    const neverIn = checkScanRules({ student, record: null, status: 'left', direction: 'exit', scanTime: at('15:00') }, PASSBACK);
+
+    assert.equal(left.reason, 'passback');
+    assert.deepEqual(left.lastScanAt, at('13:30'));
+    assert.equal(neverIn.reason, 'passback');
+    assert.match(neverIn.message, /has not been scanned in today/);
+  });
+
+  it('lets scans through gates that go the right way or both ways', () => {
+    assert.equal(checkScanRules({ student, record: onCampus, status: 'left', direction: 'exit', scanTime: at('13:00') }, PASSBACK), null);
+    assert.equal(checkScanRules({ student, record: offCampus, status: 'entered', direction: 'entry', scanTime: at('15:00') }, PASSBACK), null);
+    assert.equal(checkScanRules({ student, record: onCampus, status: 'entered', direction: 'both', scanTime: at('09:00') }, PASSBACK), null);
+  });
+});
+
+describe('resolveScanTime', () => {
+  const now = at('10:00');
+
+  it('is now when the scanner sends no time', () => {
+    assert.equal(resolveScanTime(undefined, now), now);
+    assert.equal(resolveScanTime('', now), now);
+  });
+
+  it('keeps the time of a scan queued offline', () => {
+    assert.deepEqual(resolveScanTime(at('08:15').toISOString(), now), at('08:15'));
+  });
+
+  it('takes a scanner slightly ahead of the server to have scanned now', () => {
+    const ahead = new Date(now.getTime() + 60 * 1000);
+    assert.equal(resolveScanTime(ahead.toISOString(), now), now);
+  });
+
+  it('refuses scan times too far in the future, too old or unreadable', () => {
+    const future = new Date(now.getTime() + 10 * 60 * 1000).toISOString();
+    const old = new Date(now.getTime() - MAX_SCAN_AGE_MS - 1000).toISOString();
+
+    for (const scannedAt of [future, old, 'not a date']) {
+      assert.throws(() => resolveScanTime(scannedAt, now), (error) => error instanceof AppError && error.statusCode === 400);
+    }
+  });
+});
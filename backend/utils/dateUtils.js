@@ -1,3 +1,36 @@
+import { DateTime, IANAZone } from 'luxon';
+
+// Timezone used until the school settings are loaded
+export const DEFAULT_TIMEZONE = process.env.SCHOOL_TIMEZONE || 'Asia/Colombo';
+
+// Days, school hours and report dates are worked out in the school's timezone,
+// whatever timezone the server runs in. The settings model keeps this in sync.
+let schoolTimezone = DEFAULT_TIMEZONE;
+
+/**
+ * Check that a timezone is a known IANA zone, e.g. Asia/Colombo
+ * @param {string} zone - Timezone name
+ * @returns {boolean} Whether the zone is valid
+ */
+export const isValidTimezone = (zone) => typeof zone === 'string' && IANAZone.isValidZone(zone);
+
+/**
+ * Get the school timezone
+ * @returns {string} IANA timezone name
+ */
+export const getSchoolTimezone = () => schoolTimezone;
+
+/**
+ * Set the school timezone used by the date helpers
+ * @param {string} zone - IANA timezone name
+ */
+export const setSchoolTimezone = (zone) => {
+  if (!isValidTimezone(zone)) {
+    throw new Error(`Unknown timezone: ${zone}`);
+  }
+  schoolTimezone = zone;
+};
+
 /**
  * Comprehensive function to parse MongoDB date objects in various formats
  * @param {*} mongoDate - Date in various possible MongoDB formats
@@ -90,7 +123,8 @@ export const formatTimeFromDate = (date, options = {}) => {
       hour: '2-digit',
       minute: '2-digit',
       second: '2-digit',
-      hour12: true
+      hour12: true,
+      timeZone: schoolTimezone
     };
     
     return parsedDate.toLocaleTimeString('en-US', { ...defaultOptions, ...options });
@@ -101,37 +135,236 @@ export const formatTimeFromDate = (date, options = {}) => {
 };
 
 /**
- * Calculate duration between two dates with MongoDB format handling
- * @param {*} startDate - Start date in various formats
- * @param {*} endDate - End date in various formats
- * @returns {string} Formatted duration string or 'N/A' if invalid
+ * Format a duration in milliseconds as hours and minutes
+ * @param {number} durationMs - Duration in milliseconds
+ * @returns {string} Formatted duration string or 'N/A' if not positive
  */
-export const calculateDuration = (startDate, endDate) => {
-  if (!startDate || !endDate) return 'N/A';
+export const formatDuration = (durationMs) => {
+  if (!durationMs || durationMs <= 0) return 'N/A';
   
-  try {
-    const start = parseMongoDate(startDate);
-    const end = parseMongoDate(endDate);
+  const hours = Math.floor(durationMs / (1000 * 60 * 60));
+  const minutes = Math.floor((durationMs % (1000 * 60 * 60)) / (1000 * 60));
+  
+  return `${hours}h ${minutes}m`;
+};
+
+/**
+ * Get the in/out sessions of an attendance record
+ * Records written before sessions existed fall back to their single entry/leave pair
+ * @param {Object} record - Attendance record
+ * @returns {Array} Sessions with entryTime and leaveTime
+ */
+export const getRecordSessions = (record) => {
+  if (!record) return [];
+  
+  if (Array.isArray(record.sessions) && record.sessions.length > 0) {
+    return record.sessions;
+  }
+  
+  if (record.entryTime || record.leaveTime) {
+    return [{ entryTime: record.entryTime, leaveTime: record.leaveTime }];
+  }
+  
+  return [];
+};
+
+/**
+ * Summarise a day's sessions for reporting
+ * Only sessions with both an entry and a leave time count towards time on campus
+ * @param {Array} sessions - Sessions with entryTime and leaveTime in various formats
+ * @returns {Object} firstIn, lastOut, exitCount, totalMs and onCampus
+ */
+export const summarizeSessions = (sessions = []) => {
+  const summary = {
+    firstIn: null,
+    lastOut: null,
+    exitCount: 0,
+    totalMs: 0,
+    onCampus: false
+  };
+  
+  sessions.forEach(session => {
+    const entry = parseMongoDate(session.entryTime);
+    const leave = parseMongoDate(session.leaveTime);
     
-    if (!start || !end || isNaN(start.getTime()) || isNaN(end.getTime())) {
-      return 'N/A';
+    if (entry && (!summary.firstIn || entry < summary.firstIn)) {
+      summary.firstIn = entry;
     }
     
-    const durationMs = end - start;
-    if (durationMs <= 0) return 'N/A';
-    
-    const hours = Math.floor(durationMs / (1000 * 60 * 60));
-    const minutes = Math.floor((durationMs % (1000 * 60 * 60)) / (1000 * 60));
+    if (leave) {
+      summary.exitCount++;
+      if (!summary.lastOut || leave > summary.lastOut) {
+        summary.lastOut = leave;
+      }
+    }
     
-    return `${hours}h ${minutes}m`;
+    if (entry && leave && leave > entry) {
+      summary.totalMs += leave - entry;
+    }
+  });
+  
+  const lastSession = sessions[sessions.length - 1];
+  summary.onCampus = Boolean(lastSession && lastSession.entryTime && !lastSession.leaveTime);
+  
+  // Someone still inside has not made their last exit yet
+  if (summary.onCampus) {
+    summary.lastOut = null;
+  }
+  
+  return summary;
+};
+
+/**
+ * Calculate time on campus with MongoDB format handling
+ * @param {Array|*} sessionsOrStart - List of sessions, or a start date in various formats
+ * @param {*} endDate - End date in various formats when a start date is given
+ * @returns {string} Formatted duration string or 'N/A' if invalid
+ */
+export const calculateDuration = (sessionsOrStart, endDate) => {
+  const sessions = Array.isArray(sessionsOrStart)
+    ? sessionsOrStart
+    : [{ entryTime: sessionsOrStart, leaveTime: endDate }];
+  
+  try {
+    return formatDuration(summarizeSessions(sessions).totalMs);
   } catch (error) {
-    console.error('Error calculating duration:', error, { startDate, endDate });
+    console.error('Error calculating duration:', error, { sessionsOrStart, endDate });
     return 'N/A';
   }
 };
 
+/**
+ * Get a date as a luxon DateTime in the school timezone
+ * @param {*} date - Date in various formats, defaults to now
+ * @returns {DateTime} The same instant in the school timezone
+ */
+export const toSchoolTime = (date = new Date()) => {
+  const parsed = parseMongoDate(date) || new Date();
+  return DateTime.fromJSDate(parsed, { zone: schoolTimezone });
+};
+
+/**
+ * Get midnight (school time) of the day a date falls on
+ * @param {*} date - Date in various formats, defaults to now
+ * @returns {Date} New Date at 00:00:00.000 of that day
+ */
+export const startOfDay = (date = new Date()) => toSchoolTime(date).startOf('day').toJSDate();
+
+/**
+ * Get the last millisecond (school time) of the day a date falls on
+ * @param {*} date - Date in various formats, defaults to now
+ * @returns {Date} New Date at 23:59:59.999 of that day
+ */
+export const endOfDay = (date = new Date()) => toSchoolTime(date).endOf('day').toJSDate();
+
+/**
+ * Move a date by whole days in school time, keeping the time of day across DST changes
+ * @param {*} date - Date in various formats
+ * @param {number} days - Days to add, negative to go back
+ * @returns {Date} New Date
+ */
+export const addDays = (date, days) => toSchoolTime(date).plus({ days }).toJSDate();
+
+/**
+ * Get the weekday (school time) a date falls on
+ * @param {*} date - Date in various formats, defaults to now
+ * @returns {number} 0 = Sunday ... 6 = Saturday
+ */
+export const getWeekday = (date = new Date()) => toSchoolTime(date).weekday % 7;
+
+/**
+ * Get the instant a school clock time falls on, on the day of a date
+ * @param {*} date - Date in various formats, defaults to now
+ * @param {string} time - Time of day in HH:mm format
+ * @returns {Date} New Date at that time of day
+ */
+export const atTimeOfDay = (date = new Date(), time = '00:00') => {
+  const [hour, minute] = String(time).split(':').map(Number);
+  return toSchoolTime(date).set({ hour, minute, second: 0, millisecond: 0 }).toJSDate();
+};
+
+/**
+ * Get a YYYY-MM-DD key (school time) for the day a date falls on
+ * @param {*} date - Date in various formats
+ * @returns {string} Day key, e.g. 2024-03-18
+ */
+export const toDayKey = (date) => toSchoolTime(date).toISODate();
+
+/**
+ * Parse a YYYY-MM-DD string as midnight school time
+ * new Date('YYYY-MM-DD') would give UTC midnight instead
+ * @param {string} value - Day string
+ * @returns {Date|null} Midnight of that day, or null if invalid
+ */
+export const parseDayString = (value) => {
+  const trimmed = String(value || '').trim();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(trimmed)) return null;
+
+  const day = DateTime.fromISO(trimmed, { zone: schoolTimezone });
+  return day.isValid ? day.startOf('day').toJSDate() : null;
+};
+
+/**
+ * Move midnight of a day in one timezone to midnight of the same day in another
+ * A date that is not midnight in fromZone, such as a day already moved, is
+ * returned as it is, so moving the same days twice changes nothing.
+ * @param {Date} day - Midnight of the day in fromZone
+ * @param {string} fromZone - IANA timezone the day was stored in
+ * @param {string} toZone - IANA timezone to store it in
+ * @returns {Date} Midnight of that day in toZone, or day when it was not midnight in fromZone
+ */
+export const moveDayToTimezone = (day, fromZone, toZone) => {
+  const stored = DateTime.fromJSDate(day, { zone: fromZone });
+  if (stored.startOf('day').toMillis() !== stored.toMillis()) return day;
+  return DateTime.fromISO(stored.toISODate(), { zone: toZone }).startOf('day').toJSDate();
+};
+
+/**
+ * Read a date sent by the client
+ * Plain YYYY-MM-DD strings are that day in school time; anything else is read as an instant
+ * @param {*} value - Day string, ISO string, timestamp or Date
+ * @returns {Date|null} The date, or null if invalid
+ */
+export const parseDateParam = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const parsed = parseDayString(value) || parseMongoDate(value);
+  return parsed && !isNaN(parsed.getTime()) ? parsed : null;
+};
+
+/**
+ * Format a date in school time
+ * @param {*} date - Date in various formats
+ * @param {string|Object} format - luxon format string, or a DateTime preset such as DateTime.DATE_MED
+ * @returns {string} Formatted date, or 'N/A' if invalid
+ */
+export const formatSchoolTime = (date, format = 'yyyy-MM-dd HH:mm') => {
+  const parsed = parseMongoDate(date);
+  if (!parsed || isNaN(parsed.getTime())) return 'N/A';
+
+  const schoolTime = toSchoolTime(parsed);
+  return typeof format === 'string' ? schoolTime.toFormat(format) : schoolTime.toLocaleString(format);
+};
+
 export default {
   parseMongoDate,
   formatTimeFromDate,
-  calculateDuration
+  formatDuration,
+  getRecordSessions,
+  summarizeSessions,
+  calculateDuration,
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  getSchoolTimezone,
+  setSchoolTimezone,
+  toSchoolTime,
+  startOfDay,
+  endOfDay,
+  addDays,
+  getWeekday,
+  atTimeOfDay,
+  toDayKey,
+  parseDayString,
+  moveDayToTimezone,
+  parseDateParam,
+  formatSchoolTime
 }; 
\ No newline at end of file
@@ -1,13 +1,56 @@
 import QRCode from 'qrcode';
-import fs from 'fs';
-import path from 'path';
 import sharp from 'sharp';
 
+// Share of the code's width the logo may cover; error correction level H
+// recovers up to 30% of the code, so this leaves plenty to spare
+const LOGO_SCALE = 0.2;
+
+// The finder patterns are 7 modules square in three corners
+const FINDER_SIZE = 7;
+
+const isInFinder = (row, col, size) =>
+  (row < FINDER_SIZE && col < FINDER_SIZE) ||
+  (row < FINDER_SIZE && col >= size - FINDER_SIZE) ||
+  (row >= size - FINDER_SIZE && col < FINDER_SIZE);
+
+/**
+ * Draw the modules of a QR code as SVG
+ * The finder patterns stay solid squares whatever the style, as scanners find
+ * the code by them; with 'dots' the other modules are drawn as circles.
+ * @param {Object} modules - The modules of a code from QRCode.create
+ * @param {Object} config - Width in pixels, margin, colors and module style
+ * @returns {string} The SVG
+ */
+const drawModulesSvg = (modules, { width, margin, color, moduleStyle }) => {
+  const { size } = modules;
+  const fullSize = size + margin * 2;
+  const shapes = [];
+
+  for (let row = 0; row < size; row++) {
+    for (let col = 0; col < size; col++) {
+      if (!modules.get(row, col)) continue;
+      const x = col + margin;
+      const y = row + margin;
+      if (moduleStyle === 'dots' && !isInFinder(row, col, size)) {
+        shapes.push(`<circle cx="${x + 0.5}" cy="${y + 0.5}" r="0.45"/>`);
+      } else {
+        shapes.push(`<rect x="${x}" y="${y}" width="1" height="1"/>`);
+      }
+    }
+  }
+
+  // The pixel size makes the SVG render sharp rather than be scaled up
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${width}" viewBox="0 0 ${fullSize} ${fullSize}" shape-rendering="${moduleStyle === 'dots' ? 'geometricPrecision' : 'crispEdges'}">` +
+    `<rect width="${fullSize}" height="${fullSize}" fill="${color.light}"/>` +
+    `<g fill="${color.dark}">${shapes.join('')}</g></svg>`;
+};
+
 /**
- * Generates a QR code with a pixel art dinosaur logo in the center,
- * exactly matching the reference image
+ * Generates a QR code drawn in the school's style
  * @param {string} data - Data to encode in the QR code
- * @param {Object} options - Optional configuration
+ * @param {Object} options - Optional configuration: errorCorrectionLevel,
+ *   margin, width and color as for the qrcode package, moduleStyle ('dots' or
+ *   'squares') and logo (a PNG Buffer to put in the middle)
  * @returns {Promise<string>} - Base64 data URL of the QR code
  */
 export const generateStylishQRCode = async (data, options = {}) => {
@@ -21,61 +64,54 @@ export const generateStylishQRCode = async (data, options = {}) => {
         dark: '#000000',
         light: '#FFFFFF'
       },
-      // Make the QR code use dots instead of squares
-      type: 'svg',
-      rendererOpts: {
-        quality: 1
-      },
+      moduleStyle: 'dots',
+      logo: null,
       ...options
     };
 
-    // Generate the QR code as SVG first
-    const qrSvg = await QRCode.toString(data, {
-      ...config,
-      type: 'svg'
-    });
-    
-    // Convert SVG to use circles instead of rects for the modules
-    const circleQrSvg = qrSvg.replace(/<rect([^>]*)\/>/g, (match, attributes) => {
-      // Extract x, y, width, height from the attributes
-      const x = attributes.match(/x="([^"]*)"/)?.[1] || '0';
-      const y = attributes.match(/y="([^"]*)"/)?.[1] || '0';
-      const width = attributes.match(/width="([^"]*)"/)?.[1] || '1';
-      
-      // Calculate circle center and radius
-      const centerX = parseFloat(x) + parseFloat(width) / 2;
-      const centerY = parseFloat(y) + parseFloat(width) / 2;
-      const radius = parseFloat(width) / 2;
-      
-      // Return circle with the same fill and position
-      return `<circle cx="${centerX}" cy="${centerY}" r="${radius}" fill="black"/>`;
-    });
-    
-    // Convert modified SVG to PNG buffer
-    const qrBuffer = await sharp(Buffer.from(circleQrSvg))
+    const { modules } = QRCode.create(data, { errorCorrectionLevel: config.errorCorrectionLevel });
+    const qrSvg = drawModulesSvg(modules, config);
+
+    // Convert the SVG to a PNG buffer
+    const qrBuffer = await sharp(Buffer.from(qrSvg))
       .resize(config.width, config.width)
       .png()
       .toBuffer();
-      
-    // Now create the exact pixel art dino logo from the reference
-    const logoSize = Math.floor(config.width * 0.15); // 15% of QR code size
-    const logoBuffer = await createExactDinoLogo(logoSize);
-    
+
+    if (!config.logo) {
+      return `data:image/png;base64,${qrBuffer.toString('base64')}`;
+    }
+
+    // Set the logo on a light square so it stands clear of the modules
+    const logoSize = Math.floor(config.width * LOGO_SCALE);
+    const padding = Math.floor(logoSize * 0.1);
+    const backdropSize = logoSize + padding * 2;
+    const logoBuffer = await sharp(config.logo)
+      .resize(logoSize, logoSize, { fit: 'contain', background: { r: 0, g: 0, b: 0, alpha: 0 } })
+      .png()
+      .toBuffer();
+    const backdrop = await sharp({
+      create: { width: backdropSize, height: backdropSize, channels: 4, background: config.color.light }
+    })
+      .composite([{ input: logoBuffer, top: padding, left: padding }])
+      .png()
+      .toBuffer();
+
     // Calculate center position for the logo
-    const position = Math.floor((config.width - logoSize) / 2);
-    
-    // Overlay the pixel art dinosaur logo on the QR code
+    const position = Math.floor((config.width - backdropSize) / 2);
+
+    // Overlay the logo on the QR code
     const finalQR = await sharp(qrBuffer)
       .composite([
         {
-          input: logoBuffer,
+          input: backdrop,
           top: position,
           left: position
         }
       ])
       .png()
       .toBuffer();
-    
+
     // Convert to base64
     return `data:image/png;base64,${finalQR.toString('base64')}`;
   } catch (error) {
@@ -84,45 +120,4 @@ export const generateStylishQRCode = async (data, options = {}) => {
   }
 };
 
-/**
- * Creates the exact pixel art dinosaur logo matching the reference image
- * @param {number} size - Size of the logo in pixels
- * @returns {Promise<Buffer>} - Logo image buffer
- */
-const createExactDinoLogo = async (size) => {
-  // The exact pixel art dinosaur from the reference image
-  const pixelArtDino = `
-    <svg width="${size}" height="${size}" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
-      <rect width="24" height="24" fill="white" fill-opacity="0"/>
-      <!-- T-Rex Shape - Exact match to reference image -->
-      <!-- Head -->
-      <rect x="6" y="4" width="3" height="2" fill="black"/>
-      <rect x="9" y="3" width="2" height="3" fill="black"/>
-      <!-- Eye -->
-      <rect x="8" y="4" width="1" height="1" fill="white"/>
-      <!-- Jaw -->
-      <rect x="11" y="4" width="1" height="1" fill="black"/>
-      <!-- Body -->
-      <rect x="7" y="6" width="4" height="4" fill="black"/>
-      <rect x="11" y="7" width="1" height="2" fill="black"/>
-      <!-- Tail -->
-      <rect x="12" y="6" width="3" height="1" fill="black"/>
-      <!-- Arms -->
-      <rect x="6" y="7" width="1" height="1" fill="black"/>
-      <!-- Legs -->
-      <rect x="8" y="10" width="1" height="2" fill="black"/>
-      <rect x="10" y="10" width="1" height="2" fill="black"/>
-    </svg>
-  `;
-  
-  // Convert SVG to PNG with transparency
-  return await sharp(Buffer.from(pixelArtDino))
-    .resize(size, size, {
-      fit: 'contain',
-      background: { r: 0, g: 0, b: 0, alpha: 0 }
-    })
-    .png()
-    .toBuffer();
-};
-
 export default generateStylishQRCode;
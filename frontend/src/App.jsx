@@ -3,6 +3,7 @@ import { BrowserRouter as Router, Routes, Route, Navigate, useLocation } from 'r
 import { Toaster } from 'react-hot-toast';
 import { AuthProvider, useAuth } from './context/AuthContext';
 import { ThemeProvider, useTheme } from './context/ThemeContext';
+import { BrandingProvider } from './context/BrandingContext';
 import LoginPage from './pages/auth/LoginPage';
 import DashboardPage from './pages/DashboardPage';
 import StudentsPage from './pages/StudentsPage';
@@ -19,6 +20,12 @@ import ForgotPasswordPage from './pages/auth/ForgotPasswordPage';
 import ResetPasswordPage from './pages/auth/ResetPasswordPage';
 import AttendanceHistoryPage from './pages/AttendanceHistoryPage';
 import WhatsAppManagementPage from './pages/WhatsAppManagementPage';
+import LessonAttendancePage from './pages/LessonAttendancePage';
+import RollCallPage from './pages/RollCallPage';
+import EventsPage from './pages/EventsPage';
+import VisitorsPage from './pages/VisitorsPage';
+import StaffPage from './pages/StaffPage';
+import EarlyDismissalPage from './pages/EarlyDismissalPage';
 
 const ProtectedRoute = ({ children, adminOnly = false }) => {
   const { isAuthenticated, isAdmin, loading } = useAuth();
@@ -97,6 +104,7 @@ function App() {
     <Router>
       <AuthProvider>
         <ThemeProvider>
+          <BrandingProvider>
           <div className="min-h-screen bg-gray-50 dark:bg-slate-900 transition-colors duration-200">
             <ThemedToaster />
             <Routes>
@@ -116,6 +124,12 @@ function App() {
                 <Route path="attendance" element={<AttendanceByDatePage />} />
                 <Route path="attendance/history/:studentId" element={<AttendanceHistoryPage />} />
                 <Route path="scanner" element={<QRScannerPage />} />
+                <Route path="lessons" element={<LessonAttendancePage />} />
+                <Route path="roll-call" element={<RollCallPage />} />
+                <Route path="events" element={<EventsPage />} />
+                <Route path="visitors" element={<VisitorsPage />} />
+                <Route path="staff" element={<StaffPage />} />
+                <Route path="early-dismissal" element={<EarlyDismissalPage />} />
                 <Route path="reports" element={<ReportsPage />} />
                 <Route path="settings" element={<SettingsPage />} />
                 <Route path="profile" element={<ProfilePage />} />
@@ -133,6 +147,7 @@ function App() {
               <Route path="*" element={<NotFound />} />
             </Routes>
           </div>
+          </BrandingProvider>
         </ThemeProvider>
       </AuthProvider>
     </Router>
@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { attendanceService } from '../services/api';
+import { formatSchoolTime } from '../utils/schoolTime';
 
 const AttendanceMarking = () => {
   const [students, setStudents] = useState([]);
@@ -294,12 +295,10 @@ const AttendanceMarking = () => {
                         </span>
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                        {latestAttendance?.entryTime ? 
-                          new Date(latestAttendance.entryTime).toLocaleTimeString() : 'N/A'}
+                        {formatSchoolTime(latestAttendance?.entryTime, 'hh:mm:ss a')}
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                        {latestAttendance?.leaveTime ? 
-                          new Date(latestAttendance.leaveTime).toLocaleTimeString() : 'N/A'}
+                        {formatSchoolTime(latestAttendance?.leaveTime, 'hh:mm:ss a')}
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                         {latestAttendance?.remarks || 'N/A'}
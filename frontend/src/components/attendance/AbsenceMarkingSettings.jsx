@@ -0,0 +1,256 @@
+import React, { useState, useEffect } from 'react';
+import { Switch } from '@headlessui/react';
+import { Info } from 'lucide-react';
+import { attendanceService, settingsService } from '../../services/api';
+import { toast } from 'react-toastify';
+
+function classNames(...classes) {
+  return classes.filter(Boolean).join(' ');
+}
+
+// Today as YYYY-MM-DD in local time
+const today = () => {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+};
+
+const inputClassName = 'focus:ring-blue-500 focus:border-blue-500 block w-full sm:text-sm border-gray-300 dark:border-gray-600 rounded-md dark:bg-slate-700 dark:text-white';
+
+const AbsenceMarkingSettings = () => {
+  const [enabled, setEnabled] = useState(true);
+  const [markingTime, setMarkingTime] = useState('19:00');
+  const [notifyParents, setNotifyParents] = useState(false);
+  const [lastRun, setLastRun] = useState(null);
+  const [backfill, setBackfill] = useState({ startDate: today(), endDate: today(), notifyParents: false });
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [running, setRunning] = useState(false);
+  const [recomputing, setRecomputing] = useState(false);
+
+  // Load settings when component mounts
+  useEffect(() => {
+    const loadSettings = async () => {
+      try {
+        setLoading(true);
+        const settings = await settingsService.getAbsenceMarkingSettings();
+
+        if (settings) {
+          setEnabled(settings.enabled !== false);
+          setMarkingTime(settings.time || '19:00');
+          setNotifyParents(Boolean(settings.notifyParents));
+          setLastRun(settings.lastRun);
+        }
+      } catch (error) {
+        console.error('Error loading absence marking settings:', error);
+        toast.error('Failed to load absence marking settings');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadSettings();
+  }, []);
+
+  // Save settings
+  const saveSettings = async () => {
+    try {
+      setSaving(true);
+      await settingsService.updateAbsenceMarkingSettings({
+        enabled,
+        time: markingTime,
+        notifyParents
+      });
+      toast.success('Absence marking settings saved successfully');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save absence marking settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Mark absences for a past range, or today, straight away
+  const runBackfill = async () => {
+    try {
+      setRunning(true);
+      const summary = await attendanceService.markAbsences(backfill);
+      setLastRun(new Date().toISOString());
+      const excused = summary.excused ? `, ${summary.excused} excused on approved leave,` : '';
+      toast.success(`${summary.marked} students marked absent${excused} over ${summary.days.length} school days`);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to mark absences');
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  // Bring every student's stored percentage up to date with their records
+  const recomputeStats = async () => {
+    try {
+      setRecomputing(true);
+      const summary = await attendanceService.recomputeStats();
+      const failed = summary.failed ? `, ${summary.failed} failed` : '';
+      toast.success(`Attendance stats recalculated: ${summary.updated} of ${summary.checked} students updated${failed}`);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to recalculate attendance stats');
+    } finally {
+      setRecomputing(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="py-4 flex justify-center">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="mb-4 flex items-center justify-between bg-gray-50 dark:bg-slate-700/30 p-3 rounded-lg">
+        <div>
+          <p className="text-sm font-medium text-gray-700 dark:text-gray-300">
+            Mark Absences Automatically
+          </p>
+          <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+            Every school day, students who never scanned are recorded as absent
+          </p>
+        </div>
+        <Switch
+          checked={enabled}
+          onChange={setEnabled}
+          className={classNames(
+            enabled ? 'bg-blue-600 dark:bg-blue-700' : 'bg-gray-200 dark:bg-gray-600',
+            'relative inline-flex flex-shrink-0 h-6 w-11 border-2 border-transparent rounded-full cursor-pointer transition-colors ease-in-out duration-200 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 dark:focus:ring-offset-slate-800'
+          )}
+        >
+          <span className="sr-only">Mark Absences Automatically</span>
+          <span
+            className={classNames(
+              enabled ? 'translate-x-5' : 'translate-x-0',
+              'pointer-events-none relative inline-block h-5 w-5 rounded-full bg-white shadow transform ring-0 transition ease-in-out duration-200'
+            )}
+          />
+        </Switch>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-4">
+        <div>
+          <label htmlFor="absenceMarkingTime" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+            Run Time
+          </label>
+          <input
+            type="time"
+            id="absenceMarkingTime"
+            className={`mt-1 ${inputClassName}`}
+            value={markingTime}
+            onChange={(e) => setMarkingTime(e.target.value)}
+            disabled={!enabled}
+          />
+          <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+            {lastRun ? `Last run: ${new Date(lastRun).toLocaleString()}` : 'Has not run yet'}
+          </p>
+        </div>
+        <div className="flex items-center sm:mt-6">
+          <input
+            id="absenceNotifyParents"
+            type="checkbox"
+            className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 dark:border-gray-600 rounded dark:bg-slate-700"
+            checked={notifyParents}
+            onChange={(e) => setNotifyParents(e.target.checked)}
+            disabled={!enabled}
+          />
+          <label htmlFor="absenceNotifyParents" className="ml-2 block text-sm text-gray-700 dark:text-gray-300">
+            Send WhatsApp notification to parents
+          </label>
+        </div>
+      </div>
+
+      <div className="flex justify-end">
+        <button
+          onClick={saveSettings}
+          disabled={saving}
+          className={`px-3 py-1.5 text-sm rounded-md shadow-sm text-white ${
+            saving
+              ? 'bg-gray-400 dark:bg-gray-600 cursor-not-allowed'
+              : 'bg-blue-600 hover:bg-blue-700 dark:bg-blue-700 dark:hover:bg-blue-800'
+          }`}
+        >
+          {saving ? 'Saving...' : 'Save Settings'}
+        </button>
+      </div>
+
+      <div className="mt-6 bg-yellow-50 dark:bg-yellow-900/30 p-3 rounded-lg">
+        <div className="flex">
+          <div className="flex-shrink-0">
+            <Info className="h-5 w-5 text-yellow-400" aria-hidden="true" />
+          </div>
+          <div className="ml-3 flex-1">
+            <p className="text-sm text-yellow-700 dark:text-yellow-400">
+              <strong>Backfill Absences:</strong> Mark absences for past school days. Students who already have a record for a day are left as they are.
+            </p>
+            <div className="mt-2 grid grid-cols-1 sm:grid-cols-3 gap-2 items-end">
+              <div>
+                <label htmlFor="backfillStart" className="block text-xs font-medium text-yellow-700 dark:text-yellow-400">From</label>
+                <input
+                  type="date"
+                  id="backfillStart"
+                  className={`mt-1 ${inputClassName}`}
+                  value={backfill.startDate}
+                  max={today()}
+                  onChange={(e) => setBackfill({ ...backfill, startDate: e.target.value })}
+                />
+              </div>
+              <div>
+                <label htmlFor="backfillEnd" className="block text-xs font-medium text-yellow-700 dark:text-yellow-400">To</label>
+                <input
+                  type="date"
+                  id="backfillEnd"
+                  className={`mt-1 ${inputClassName}`}
+                  value={backfill.endDate}
+                  min={backfill.startDate}
+                  max={today()}
+                  onChange={(e) => setBackfill({ ...backfill, endDate: e.target.value })}
+                />
+              </div>
+              <button
+                className="inline-flex justify-center items-center px-3 py-2 border border-transparent text-xs font-medium rounded shadow-sm text-white bg-yellow-600 hover:bg-yellow-700 dark:bg-yellow-700 dark:hover:bg-yellow-800 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-yellow-500 dark:focus:ring-offset-slate-800 disabled:opacity-50"
+                onClick={runBackfill}
+                disabled={running || !backfill.startDate || !backfill.endDate}
+              >
+                {running ? 'Marking...' : 'Mark Absences'}
+              </button>
+            </div>
+            <div className="mt-2 flex items-center">
+              <input
+                id="backfillNotifyParents"
+                type="checkbox"
+                className="h-4 w-4 text-yellow-600 focus:ring-yellow-500 border-gray-300 dark:border-gray-600 rounded dark:bg-slate-700"
+                checked={backfill.notifyParents}
+                onChange={(e) => setBackfill({ ...backfill, notifyParents: e.target.checked })}
+              />
+              <label htmlFor="backfillNotifyParents" className="ml-2 block text-xs text-yellow-700 dark:text-yellow-400">
+                Notify parents of the new absences
+              </label>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <div className="mt-4 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+        <p className="text-xs text-gray-500 dark:text-gray-400">
+          Attendance percentages are recalculated every night after absence marking. Recalculate now after changing the school calendar.
+        </p>
+        <button
+          onClick={recomputeStats}
+          disabled={recomputing}
+          className="inline-flex justify-center items-center px-3 py-1.5 text-sm rounded-md border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-slate-700 disabled:opacity-50 flex-shrink-0"
+        >
+          {recomputing ? 'Recalculating...' : 'Recalculate Stats'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default AbsenceMarkingSettings;
@@ -0,0 +1,190 @@
+import React, { useState, useEffect } from 'react';
+import { Plus, Trash2, Info } from 'lucide-react';
+import { settingsService } from '../../services/api';
+import { toast } from 'react-toastify';
+
+const ENTRY_TYPES = [
+  { value: 'term', label: 'Term', badge: 'bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-300' },
+  { value: 'holiday', label: 'Public Holiday', badge: 'bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-300' },
+  { value: 'closure', label: 'Closure', badge: 'bg-orange-100 text-orange-800 dark:bg-orange-900/30 dark:text-orange-300' },
+  { value: 'makeup_day', label: 'Make-up Day', badge: 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300' }
+];
+
+const emptyEntry = {
+  type: 'term',
+  name: '',
+  startDate: '',
+  endDate: ''
+};
+
+const inputClassName = 'focus:ring-blue-500 focus:border-blue-500 block w-full sm:text-sm border-gray-300 dark:border-gray-600 rounded-md dark:bg-slate-700 dark:text-white';
+
+const AcademicCalendarSettings = () => {
+  const [entries, setEntries] = useState([]);
+  const [newEntry, setNewEntry] = useState(emptyEntry);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  // Load calendar entries when component mounts
+  useEffect(() => {
+    const loadEntries = async () => {
+      try {
+        setLoading(true);
+        setEntries(await settingsService.getCalendarEntries());
+      } catch (error) {
+        console.error('Error loading academic calendar:', error);
+        toast.error('Failed to load academic calendar');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadEntries();
+  }, []);
+
+  const addEntry = async (e) => {
+    e.preventDefault();
+
+    if (!newEntry.name.trim() || !newEntry.startDate) {
+      toast.error('Name and start date are required');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const entry = await settingsService.createCalendarEntry({
+        ...newEntry,
+        endDate: newEntry.endDate || newEntry.startDate
+      });
+      setEntries(prev => [...prev, entry].sort((a, b) => a.startDate.localeCompare(b.startDate)));
+      setNewEntry(prev => ({ ...emptyEntry, type: prev.type }));
+      toast.success('Calendar entry added');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to add calendar entry');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const removeEntry = async (entry) => {
+    if (!window.confirm(`Remove "${entry.name}" from the calendar?`)) return;
+
+    try {
+      await settingsService.deleteCalendarEntry(entry._id);
+      setEntries(prev => prev.filter(item => item._id !== entry._id));
+      toast.success('Calendar entry removed');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to remove calendar entry');
+    }
+  };
+
+  const getType = (value) => ENTRY_TYPES.find(type => type.value === value) || ENTRY_TYPES[0];
+
+  return (
+    <div>
+      <form onSubmit={addEntry} className="grid grid-cols-1 sm:grid-cols-5 gap-3 items-end">
+        <div>
+          <label htmlFor="calendarType" className="block text-xs font-medium text-gray-700 dark:text-gray-300">Type</label>
+          <select
+            id="calendarType"
+            className={`mt-1 ${inputClassName}`}
+            value={newEntry.type}
+            onChange={(e) => setNewEntry({ ...newEntry, type: e.target.value })}
+          >
+            {ENTRY_TYPES.map(type => (
+              <option key={type.value} value={type.value}>{type.label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="sm:col-span-2">
+          <label htmlFor="calendarName" className="block text-xs font-medium text-gray-700 dark:text-gray-300">Name</label>
+          <input
+            id="calendarName"
+            type="text"
+            className={`mt-1 ${inputClassName}`}
+            placeholder="e.g. First Term, Independence Day"
+            value={newEntry.name}
+            onChange={(e) => setNewEntry({ ...newEntry, name: e.target.value })}
+          />
+        </div>
+        <div>
+          <label htmlFor="calendarStart" className="block text-xs font-medium text-gray-700 dark:text-gray-300">From</label>
+          <input
+            id="calendarStart"
+            type="date"
+            className={`mt-1 ${inputClassName}`}
+            value={newEntry.startDate}
+            onChange={(e) => setNewEntry({ ...newEntry, startDate: e.target.value })}
+          />
+        </div>
+        <div>
+          <label htmlFor="calendarEnd" className="block text-xs font-medium text-gray-700 dark:text-gray-300">To</label>
+          <div className="mt-1 flex space-x-2">
+            <input
+              id="calendarEnd"
+              type="date"
+              className={inputClassName}
+              value={newEntry.endDate}
+              min={newEntry.startDate || undefined}
+              onChange={(e) => setNewEntry({ ...newEntry, endDate: e.target.value })}
+            />
+            <button
+              type="submit"
+              disabled={saving}
+              className={`inline-flex items-center px-2 rounded-md shadow-sm text-white ${
+                saving
+                  ? 'bg-gray-400 dark:bg-gray-600 cursor-not-allowed'
+                  : 'bg-blue-600 hover:bg-blue-700 dark:bg-blue-700 dark:hover:bg-blue-800'
+              }`}
+              title="Add to calendar"
+            >
+              <Plus className="h-4 w-4" />
+            </button>
+          </div>
+        </div>
+      </form>
+
+      <div className="mt-3 flex items-start text-xs text-gray-500 dark:text-gray-400">
+        <Info className="h-4 w-4 mr-1 flex-shrink-0 text-blue-400" />
+        Once any term is added, only days inside a term count as school days. Holidays and closures are never school days; make-up days always are.
+      </div>
+
+      <div className="mt-4">
+        {loading ? (
+          <div className="py-4 flex justify-center">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500"></div>
+          </div>
+        ) : entries.length === 0 ? (
+          <p className="text-sm text-gray-500 dark:text-gray-400 text-center py-4">
+            No terms or holidays yet. School days follow the weekly school hours.
+          </p>
+        ) : (
+          <ul className="divide-y divide-gray-200 dark:divide-slate-700">
+            {entries.map(entry => (
+              <li key={entry._id} className="py-2 flex items-center justify-between">
+                <div className="flex items-center min-w-0">
+                  <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${getType(entry.type).badge}`}>
+                    {getType(entry.type).label}
+                  </span>
+                  <span className="ml-3 text-sm font-medium text-gray-900 dark:text-white truncate">{entry.name}</span>
+                  <span className="ml-3 text-xs text-gray-500 dark:text-gray-400 whitespace-nowrap">
+                    {entry.startDate === entry.endDate ? entry.startDate : `${entry.startDate} – ${entry.endDate}`}
+                  </span>
+                </div>
+                <button
+                  onClick={() => removeEntry(entry)}
+                  className="ml-3 p-1 text-gray-400 hover:text-red-600 dark:hover:text-red-400"
+                  title="Remove"
+                >
+                  <Trash2 className="h-4 w-4" />
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AcademicCalendarSettings;
@@ -0,0 +1,104 @@
+import React, { useState, useEffect } from 'react';
+import { Info } from 'lucide-react';
+import { settingsService } from '../../services/api';
+import { useAuth } from '../../context/AuthContext';
+import { formatSchoolTime } from '../../utils/schoolTime';
+import { toast } from 'react-toastify';
+
+const ROLES = [
+  { value: 'gatekeeper', label: 'Gatekeeper' },
+  { value: 'admin', label: 'Admin' },
+  { value: 'superadmin', label: 'Superadmin' }
+];
+
+const AccountSettings = () => {
+  const { user, isSuperAdmin } = useAuth();
+  const [accounts, setAccounts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  // Id of the account whose role is being saved
+  const [busy, setBusy] = useState(null);
+
+  useEffect(() => {
+    const loadAccounts = async () => {
+      try {
+        setLoading(true);
+        setAccounts(await settingsService.getAccounts());
+      } catch (error) {
+        console.error('Error loading accounts:', error);
+        toast.error('Failed to load accounts');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadAccounts();
+  }, []);
+
+  const changeRole = async (account, role) => {
+    try {
+      setBusy(account._id);
+      const result = await settingsService.updateAccountRole(account._id, role);
+      setAccounts(prev => prev.map(item => (item._id === account._id ? { ...item, role: result.data.account.role } : item)));
+      toast.success(result.message);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to change the role');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="py-4 flex justify-center">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <ul className="divide-y divide-gray-200 dark:divide-slate-700">
+        {accounts.map(account => {
+          // Nobody changes their own role, and only superadmins touch superadmins
+          const locked = account._id === user?.id
+            || (!isSuperAdmin && account.role === 'superadmin');
+
+          return (
+            <li key={account._id} className="py-2 flex items-center justify-between gap-3">
+              <div>
+                <p className="text-sm text-gray-900 dark:text-white">
+                  {account.name}
+                  {account.isActive === false && (
+                    <span className="ml-2 text-xs text-gray-500 dark:text-gray-400">Inactive</span>
+                  )}
+                </p>
+                <p className="text-xs text-gray-500 dark:text-gray-400">
+                  {account.email}
+                  {' · '}{account.lastLogin ? `Last signed in ${formatSchoolTime(account.lastLogin, 'd LLL yyyy')}` : 'Never signed in'}
+                </p>
+              </div>
+              <select
+                aria-label={`Role of ${account.name}`}
+                value={account.role}
+                disabled={locked || busy === account._id}
+                onChange={(e) => changeRole(account, e.target.value)}
+                className="text-sm border-gray-300 dark:border-gray-600 rounded-md dark:bg-slate-700 dark:text-white disabled:opacity-50"
+              >
+                {ROLES.filter(role => isSuperAdmin || role.value !== 'superadmin' || account.role === 'superadmin').map(role => (
+                  <option key={role.value} value={role.value}>{role.label}</option>
+                ))}
+              </select>
+            </li>
+          );
+        })}
+      </ul>
+
+      <div className="mt-4 flex items-start text-xs text-gray-500 dark:text-gray-400">
+        <Info className="h-4 w-4 mr-1 flex-shrink-0 text-blue-400" />
+        New sign-ups are gatekeepers: they run the scanners and sign visitors in, but see no staff records and change no settings. Give an account more access here once you know who it belongs to.
+      </div>
+    </div>
+  );
+};
+
+export default AccountSettings;
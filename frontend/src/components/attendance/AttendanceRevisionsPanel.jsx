@@ -0,0 +1,205 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { History, RotateCcw, X } from 'lucide-react';
+import { studentService } from '../../services/api';
+import { toast } from 'react-toastify';
+import { formatDate } from '../../utils/formatters';
+import StatusBadge from './StatusBadge';
+
+const ACTION_BADGES = {
+  create: 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300',
+  update: 'bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-300',
+  delete: 'bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-300',
+  restore: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/30 dark:text-yellow-300'
+};
+
+// Fields shown in a revision's changes, in display order
+const FIELD_LABELS = {
+  status: 'Status',
+  entryTime: 'Entry time',
+  leaveTime: 'Leave time',
+  isLate: 'Late',
+  minutesLate: 'Minutes late',
+  sessions: 'Sessions',
+  scanLocation: 'Location',
+  deviceInfo: 'Device',
+  deletedAt: 'Deleted'
+};
+
+const formatValue = (field, value) => {
+  if (value === null || value === undefined || value === '') return '-';
+  if (field === 'sessions') return `${value.length}`;
+  if (field === 'isLate') return value ? 'Yes' : 'No';
+  if (['entryTime', 'leaveTime', 'deletedAt'].includes(field)) return formatDate(value);
+  return String(value);
+};
+
+// Fields whose value differs between the two snapshots of a revision
+const getChanges = (revision) => Object.keys(FIELD_LABELS)
+  .map(field => ({
+    field,
+    before: formatValue(field, revision.before?.[field]),
+    after: formatValue(field, revision.after?.[field])
+  }))
+  .filter(change => change.before !== change.after);
+
+/**
+ * Revision history of one attendance record, with restore
+ * Reverting a revision puts back the state the record had before it, so
+ * reverting a delete brings the record back.
+ *
+ * @param {Object} props
+ * @param {string} props.studentId - Student the record belongs to
+ * @param {string} props.recordId - Attendance record to show
+ * @param {Function} props.onClose - Called to hide the panel
+ * @param {Function} props.onRestored - Called after the record was restored
+ */
+const AttendanceRevisionsPanel = ({ studentId, recordId, onClose, onRestored }) => {
+  const [record, setRecord] = useState(null);
+  const [revisions, setRevisions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [restoring, setRestoring] = useState(false);
+
+  const loadRevisions = useCallback(async () => {
+    try {
+      setLoading(true);
+      const data = await studentService.getAttendanceRevisions(studentId, recordId);
+      setRecord(data.record);
+      setRevisions(data.revisions);
+    } catch (error) {
+      console.error('Error loading attendance record history:', error);
+      toast.error('Failed to load record history');
+    } finally {
+      setLoading(false);
+    }
+  }, [studentId, recordId]);
+
+  useEffect(() => {
+    loadRevisions();
+  }, [loadRevisions]);
+
+  const restore = async (revision = null) => {
+    const reason = window.prompt('Reason for restoring this record');
+    if (reason === null) return;
+    if (!reason.trim()) {
+      toast.error('A reason is required');
+      return;
+    }
+
+    try {
+      setRestoring(true);
+      const result = await studentService.restoreAttendanceRecord(studentId, recordId, reason.trim(), revision?._id);
+      toast.success(result.message || 'Attendance record restored');
+      await loadRevisions();
+      onRestored?.();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to restore attendance record');
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  return (
+    <div className="bg-white dark:bg-slate-800 p-4 rounded-lg shadow-md mt-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-semibold text-gray-900 dark:text-white flex items-center">
+          <History className="h-5 w-5 mr-2" />
+          Record History
+          {record && (
+            <span className="ml-2 text-sm font-normal text-gray-500 dark:text-gray-400">{formatDate(record.date)}</span>
+          )}
+        </h2>
+        <div className="flex items-center space-x-2">
+          {record?.deletedAt && (
+            <button
+              onClick={() => restore()}
+              disabled={restoring}
+              className="inline-flex items-center px-3 py-1.5 text-sm rounded-md shadow-sm text-white bg-blue-600 hover:bg-blue-700 dark:bg-blue-700 dark:hover:bg-blue-800 disabled:opacity-70"
+            >
+              <RotateCcw className="h-4 w-4 mr-1" />
+              Restore Record
+            </button>
+          )}
+          <button
+            onClick={onClose}
+            className="p-1 text-gray-400 hover:text-gray-600 dark:hover:text-gray-200"
+            title="Close"
+          >
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+      </div>
+
+      {record?.deletedAt && (
+        <p className="mb-3 text-sm text-red-600 dark:text-red-400">
+          Deleted {formatDate(record.deletedAt)}{record.deletedBy?.name ? ` by ${record.deletedBy.name}` : ''}
+        </p>
+      )}
+
+      {loading ? (
+        <div className="py-4 flex justify-center">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500"></div>
+        </div>
+      ) : revisions.length === 0 ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400 text-center py-4">
+          No changes recorded for this record.
+        </p>
+      ) : (
+        <ul className="divide-y divide-gray-200 dark:divide-slate-700">
+          {revisions.map((revision, index) => {
+            const changes = getChanges(revision);
+
+            return (
+              <li key={revision._id} className="py-3 flex items-start justify-between">
+                <div className="min-w-0">
+                  <div className="flex items-center flex-wrap gap-2">
+                    <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${ACTION_BADGES[revision.action]}`}>
+                      {revision.action.charAt(0).toUpperCase() + revision.action.slice(1)}
+                    </span>
+                    <span className="text-xs text-gray-500 dark:text-gray-400 whitespace-nowrap">
+                      {formatDate(revision.createdAt)} by {revision.changedBy?.name || 'System'}
+                    </span>
+                  </div>
+                  <p className="mt-1 text-sm text-gray-600 dark:text-gray-300">{revision.reason}</p>
+                  {changes.length > 0 && (
+                    <ul className="mt-1 space-y-0.5">
+                      {changes.map(change => (
+                        <li key={change.field} className="text-xs text-gray-500 dark:text-gray-400">
+                          <span className="font-medium">{FIELD_LABELS[change.field]}:</span>{' '}
+                          {change.field === 'status' ? (
+                            <>
+                              {revision.before?.status ? <StatusBadge status={revision.before.status} /> : '-'}
+                              {' → '}
+                              {revision.after?.status ? <StatusBadge status={revision.after.status} /> : '-'}
+                            </>
+                          ) : (
+                            <>
+                              <span className="line-through">{change.before}</span> → {change.after}
+                            </>
+                          )}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+                {/* The latest change is undone by Restore Record while the record is deleted */}
+                {!(index === 0 && record?.deletedAt) && (
+                  <button
+                    onClick={() => restore(revision)}
+                    disabled={restoring}
+                    className="ml-3 inline-flex items-center text-xs text-blue-600 dark:text-blue-400 hover:underline flex-shrink-0 disabled:opacity-70"
+                    title="Put the record back to how it was before this change"
+                  >
+                    <RotateCcw className="h-3 w-3 mr-1" />
+                    Revert
+                  </button>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default AttendanceRevisionsPanel;
@@ -0,0 +1,261 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Info, Upload, Trash } from 'lucide-react';
+import { settingsService } from '../../services/api';
+import useBranding from '../../hooks/useBranding';
+import { toast } from 'react-toastify';
+
+const inputClassName = 'focus:ring-blue-500 focus:border-blue-500 block w-full sm:text-sm border-gray-300 dark:border-gray-600 rounded-md dark:bg-slate-700 dark:text-white';
+const buttonClassName = 'inline-flex items-center px-3 py-1.5 text-sm rounded-md border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 bg-white dark:bg-gray-700 hover:bg-gray-50 dark:hover:bg-gray-600 disabled:opacity-50';
+
+const HEX_COLOR = /^#[0-9a-fA-F]{6}$/;
+
+const QR_MODULE_STYLES = [
+  { value: 'dots', label: 'Dots', description: 'Round modules; the corner squares stay solid' },
+  { value: 'squares', label: 'Squares', description: 'Classic square modules' }
+];
+
+// A color picker with the hex code beside it
+const ColorField = ({ id, label, value, onChange }) => (
+  <div>
+    <label htmlFor={id} className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+      {label}
+    </label>
+    <div className="mt-1 flex items-center gap-2">
+      <input
+        type="color"
+        aria-label={`${label} picker`}
+        value={HEX_COLOR.test(value) ? value : '#000000'}
+        onChange={(e) => onChange(e.target.value)}
+        className="h-9 w-12 rounded border border-gray-300 dark:border-gray-600 bg-transparent cursor-pointer"
+      />
+      <input
+        type="text"
+        id={id}
+        maxLength={7}
+        className={inputClassName}
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+      />
+    </div>
+  </div>
+);
+
+const BrandingSettings = () => {
+  const { logoUrl, refreshBranding } = useBranding();
+  const [form, setForm] = useState({
+    schoolName: '',
+    primaryColor: '#2563eb',
+    secondaryColor: '#0891b2',
+    qrModuleStyle: 'dots'
+  });
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [logoBusy, setLogoBusy] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const applyBranding = (data) => {
+    setForm({
+      schoolName: data?.schoolName || '',
+      primaryColor: data?.primaryColor || '#2563eb',
+      secondaryColor: data?.secondaryColor || '#0891b2',
+      qrModuleStyle: data?.qrModuleStyle || 'dots'
+    });
+  };
+
+  // Load settings when component mounts
+  useEffect(() => {
+    const loadBranding = async () => {
+      try {
+        setLoading(true);
+        applyBranding(await settingsService.getBrandingSettings());
+      } catch (error) {
+        console.error('Error loading branding settings:', error);
+        toast.error('Failed to load branding settings');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadBranding();
+  }, []);
+
+  const setField = (field) => (value) => setForm(prev => ({ ...prev, [field]: value }));
+
+  // Save settings
+  const saveBranding = async () => {
+    if (!HEX_COLOR.test(form.primaryColor) || !HEX_COLOR.test(form.secondaryColor)) {
+      toast.error('Colors must be hex codes like #2563eb');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const data = await settingsService.updateBrandingSettings({ ...form, schoolName: form.schoolName.trim() });
+      applyBranding(data);
+      await refreshBranding();
+      toast.success('Branding settings saved successfully');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save branding settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const uploadLogo = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      setLogoBusy(true);
+      await settingsService.uploadSchoolLogo(file);
+      await refreshBranding();
+      toast.success('School logo saved');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save school logo');
+    } finally {
+      setLogoBusy(false);
+    }
+  };
+
+  const removeLogo = async () => {
+    try {
+      setLogoBusy(true);
+      await settingsService.deleteSchoolLogo();
+      await refreshBranding();
+      toast.success('School logo removed');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to remove school logo');
+    } finally {
+      setLogoBusy(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="py-4 flex justify-center">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-4">
+        <div>
+          <label htmlFor="schoolName" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+            School Name
+          </label>
+          <input
+            type="text"
+            id="schoolName"
+            maxLength={100}
+            className={`mt-1 ${inputClassName}`}
+            placeholder="e.g. Royal College"
+            value={form.schoolName}
+            onChange={(e) => setField('schoolName')(e.target.value)}
+          />
+        </div>
+
+        <div>
+          <span className="block text-sm font-medium text-gray-700 dark:text-gray-300">School Logo</span>
+          <div className="mt-1 flex items-center gap-3">
+            <div className="h-14 w-14 flex-shrink-0 rounded-md border border-gray-200 dark:border-gray-600 bg-gray-50 dark:bg-slate-700 flex items-center justify-center overflow-hidden">
+              {logoUrl ? (
+                <img src={logoUrl} alt="School logo" className="h-full w-full object-contain" />
+              ) : (
+                <span className="text-xs text-gray-400">None</span>
+              )}
+            </div>
+            <button type="button" disabled={logoBusy} onClick={() => fileInputRef.current?.click()} className={buttonClassName}>
+              <Upload className="h-4 w-4 mr-1" />
+              {logoUrl ? 'Replace' : 'Upload'}
+            </button>
+            {logoUrl && (
+              <button type="button" disabled={logoBusy} onClick={removeLogo} className={buttonClassName}>
+                <Trash className="h-4 w-4 mr-1" />
+                Remove
+              </button>
+            )}
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept="image/png,image/jpeg,image/webp"
+              className="hidden"
+              onChange={uploadLogo}
+            />
+          </div>
+        </div>
+
+        <ColorField id="primaryColor" label="Primary Color" value={form.primaryColor} onChange={setField('primaryColor')} />
+        <ColorField id="secondaryColor" label="Secondary Color" value={form.secondaryColor} onChange={setField('secondaryColor')} />
+
+        {HEX_COLOR.test(form.primaryColor) && HEX_COLOR.test(form.secondaryColor) && (
+          <div
+            className="sm:col-span-2 h-3 rounded-full"
+            style={{ backgroundImage: `linear-gradient(to right, ${form.primaryColor}, ${form.secondaryColor})` }}
+            aria-hidden="true"
+          />
+        )}
+
+        <fieldset className="sm:col-span-2">
+          <legend className="block text-sm font-medium text-gray-700 dark:text-gray-300">QR Code Style</legend>
+          <div className="mt-2 grid grid-cols-1 sm:grid-cols-2 gap-2">
+            {QR_MODULE_STYLES.map(style => (
+              <label
+                key={style.value}
+                className={`flex items-start p-3 rounded-md border cursor-pointer ${
+                  form.qrModuleStyle === style.value
+                    ? 'border-blue-500 bg-blue-50 dark:bg-blue-900/30'
+                    : 'border-gray-200 dark:border-gray-600'
+                }`}
+              >
+                <input
+                  type="radio"
+                  name="qrModuleStyle"
+                  value={style.value}
+                  checked={form.qrModuleStyle === style.value}
+                  onChange={() => setField('qrModuleStyle')(style.value)}
+                  className="mt-1 h-4 w-4 text-blue-600 border-gray-300"
+                />
+                <span className="ml-2">
+                  <span className="block text-sm font-medium text-gray-800 dark:text-gray-200">{style.label}</span>
+                  <span className="block text-xs text-gray-500 dark:text-gray-400">{style.description}</span>
+                </span>
+              </label>
+            ))}
+          </div>
+        </fieldset>
+      </div>
+
+      <div className="flex justify-end">
+        <button
+          onClick={saveBranding}
+          disabled={saving}
+          className={`px-3 py-1.5 text-sm rounded-md shadow-sm text-white ${
+            saving
+              ? 'bg-gray-400 dark:bg-gray-600 cursor-not-allowed'
+              : 'bg-blue-600 hover:bg-blue-700 dark:bg-blue-700 dark:hover:bg-blue-800'
+          }`}
+        >
+          {saving ? 'Saving...' : 'Save Settings'}
+        </button>
+      </div>
+
+      <div className="mt-6 bg-yellow-50 dark:bg-yellow-900/30 p-3 rounded-lg">
+        <div className="flex">
+          <div className="flex-shrink-0">
+            <Info className="h-5 w-5 text-yellow-400" aria-hidden="true" />
+          </div>
+          <p className="ml-3 text-sm text-yellow-700 dark:text-yellow-400">
+            The name, logo and colors appear on the login page, the sidebar, Excel reports and student ID cards. QR codes
+            carry the logo in the middle and are drawn in the chosen style when they are next generated; codes already
+            printed keep working.
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BrandingSettings;
@@ -0,0 +1,42 @@
+import React, { useState, useEffect } from 'react';
+import { classService } from '../../services/api';
+
+// Dropdown of classes and their sections. The value is '' for all students,
+// 'class:<id>' or 'section:<id>'; pass it through toClassParams for requests.
+const ClassFilterSelect = ({ value, onChange, className = '', id = 'classFilter' }) => {
+  const [classes, setClasses] = useState([]);
+
+  useEffect(() => {
+    const loadClasses = async () => {
+      try {
+        const data = await classService.getClasses();
+        setClasses(data.classes || []);
+      } catch (error) {
+        console.error('Error loading classes:', error);
+      }
+    };
+
+    loadClasses();
+  }, []);
+
+  return (
+    <select
+      id={id}
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      className={`px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-slate-700 text-gray-700 dark:text-white text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 ${className}`}
+    >
+      <option value="">All Classes</option>
+      {classes.map(schoolClass => (
+        <optgroup key={schoolClass._id} label={schoolClass.name}>
+          <option value={`class:${schoolClass._id}`}>All of {schoolClass.name}</option>
+          {schoolClass.sections.map(section => (
+            <option key={section._id} value={`section:${section._id}`}>{section.label}</option>
+          ))}
+        </optgroup>
+      ))}
+    </select>
+  );
+};
+
+export default ClassFilterSelect;
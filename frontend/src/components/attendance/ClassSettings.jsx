@@ -0,0 +1,282 @@
+import React, { useState, useEffect } from 'react';
+import { Plus, Trash2, Info } from 'lucide-react';
+import { classService } from '../../services/api';
+import { toast } from 'react-toastify';
+
+const emptyClass = {
+  name: '',
+  gradeLevel: ''
+};
+
+const inputClassName = 'focus:ring-blue-500 focus:border-blue-500 block w-full sm:text-sm border-gray-300 dark:border-gray-600 rounded-md dark:bg-slate-700 dark:text-white';
+
+const ClassSettings = () => {
+  const [classes, setClasses] = useState([]);
+  const [unassignedCount, setUnassignedCount] = useState(0);
+  const [teachers, setTeachers] = useState([]);
+  const [newClass, setNewClass] = useState(emptyClass);
+  // New section name and teacher for each class, keyed by class id
+  const [newSections, setNewSections] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  const loadClasses = async () => {
+    const data = await classService.getClasses();
+    setClasses(data.classes || []);
+    setUnassignedCount(data.unassignedCount || 0);
+  };
+
+  // Load classes and the staff who can be homeroom teachers when component mounts
+  useEffect(() => {
+    const loadSettings = async () => {
+      try {
+        setLoading(true);
+        const [, teacherList] = await Promise.all([loadClasses(), classService.getTeachers()]);
+        setTeachers(teacherList);
+      } catch (error) {
+        console.error('Error loading classes:', error);
+        toast.error('Failed to load classes');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadSettings();
+  }, []);
+
+  const addClass = async (e) => {
+    e.preventDefault();
+
+    if (!newClass.name.trim() || newClass.gradeLevel === '') {
+      toast.error('Name and grade level are required');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      await classService.createClass({ ...newClass, gradeLevel: Number(newClass.gradeLevel) });
+      await loadClasses();
+      setNewClass(emptyClass);
+      toast.success('Class added');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to add class');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const removeClass = async (schoolClass) => {
+    if (!window.confirm(`Remove ${schoolClass.name} and its sections? Their students will be left without a class.`)) return;
+
+    try {
+      await classService.deleteClass(schoolClass._id);
+      await loadClasses();
+      toast.success('Class removed');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to remove class');
+    }
+  };
+
+  const updateNewSection = (classId, changes) => {
+    setNewSections(prev => ({ ...prev, [classId]: { ...prev[classId], ...changes } }));
+  };
+
+  const addSection = async (schoolClass) => {
+    const section = newSections[schoolClass._id] || {};
+    if (!section.name?.trim()) {
+      toast.error('Section name is required');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      await classService.createSection(schoolClass._id, {
+        name: section.name,
+        homeroomTeacher: section.homeroomTeacher || null
+      });
+      await loadClasses();
+      setNewSections(prev => ({ ...prev, [schoolClass._id]: {} }));
+      toast.success('Section added');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to add section');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const changeHomeroomTeacher = async (section, homeroomTeacher) => {
+    try {
+      await classService.updateSection(section._id, { homeroomTeacher: homeroomTeacher || null });
+      await loadClasses();
+      toast.success(`Homeroom teacher of ${section.label} updated`);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update homeroom teacher');
+    }
+  };
+
+  const removeSection = async (section) => {
+    if (!window.confirm(`Remove ${section.label}? Its ${section.studentCount} students will be left without a class.`)) return;
+
+    try {
+      await classService.deleteSection(section._id);
+      await loadClasses();
+      toast.success('Section removed');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to remove section');
+    }
+  };
+
+  return (
+    <div>
+      <form onSubmit={addClass} className="grid grid-cols-1 sm:grid-cols-4 gap-3 items-end">
+        <div className="sm:col-span-2">
+          <label htmlFor="className" className="block text-xs font-medium text-gray-700 dark:text-gray-300">Class</label>
+          <input
+            id="className"
+            type="text"
+            className={`mt-1 ${inputClassName}`}
+            placeholder="e.g. Grade 10"
+            value={newClass.name}
+            onChange={(e) => setNewClass({ ...newClass, name: e.target.value })}
+          />
+        </div>
+        <div>
+          <label htmlFor="classGradeLevel" className="block text-xs font-medium text-gray-700 dark:text-gray-300">Grade Level</label>
+          <div className="mt-1 flex space-x-2">
+            <input
+              id="classGradeLevel"
+              type="number"
+              min="0"
+              max="20"
+              className={inputClassName}
+              value={newClass.gradeLevel}
+              onChange={(e) => setNewClass({ ...newClass, gradeLevel: e.target.value })}
+            />
+            <button
+              type="submit"
+              disabled={saving}
+              className={`inline-flex items-center px-2 rounded-md shadow-sm text-white ${
+                saving
+                  ? 'bg-gray-400 dark:bg-gray-600 cursor-not-allowed'
+                  : 'bg-blue-600 hover:bg-blue-700 dark:bg-blue-700 dark:hover:bg-blue-800'
+              }`}
+              title="Add class"
+            >
+              <Plus className="h-4 w-4" />
+            </button>
+          </div>
+        </div>
+      </form>
+
+      <div className="mt-3 flex items-start text-xs text-gray-500 dark:text-gray-400">
+        <Info className="h-4 w-4 mr-1 flex-shrink-0 text-blue-400" />
+        Students are assigned to a section from the Students page. Removing a class or section leaves its students unassigned rather than deleting them.
+      </div>
+
+      <div className="mt-4">
+        {loading ? (
+          <div className="py-4 flex justify-center">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500"></div>
+          </div>
+        ) : classes.length === 0 ? (
+          <p className="text-sm text-gray-500 dark:text-gray-400 text-center py-4">
+            No classes yet. Reports and lists cover all students.
+          </p>
+        ) : (
+          <ul className="divide-y divide-gray-200 dark:divide-slate-700">
+            {classes.map(schoolClass => (
+              <li key={schoolClass._id} className="py-3">
+                <div className="flex items-center justify-between">
+                  <div className="flex items-center min-w-0">
+                    <span className="text-sm font-medium text-gray-900 dark:text-white truncate">{schoolClass.name}</span>
+                    <span className="ml-3 text-xs text-gray-500 dark:text-gray-400 whitespace-nowrap">
+                      Grade level {schoolClass.gradeLevel}
+                    </span>
+                  </div>
+                  <button
+                    onClick={() => removeClass(schoolClass)}
+                    className="ml-3 p-1 text-gray-400 hover:text-red-600 dark:hover:text-red-400"
+                    title="Remove class"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </div>
+
+                <ul className="mt-2 ml-4 space-y-1">
+                  {schoolClass.sections.map(section => (
+                    <li key={section._id} className="flex items-center justify-between">
+                      <div className="flex items-center min-w-0">
+                        <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-300">
+                          {section.label}
+                        </span>
+                        <span className="ml-3 text-xs text-gray-500 dark:text-gray-400 whitespace-nowrap">
+                          {section.studentCount} students
+                        </span>
+                      </div>
+                      <div className="flex items-center">
+                        <select
+                          aria-label={`Homeroom teacher of ${section.label}`}
+                          className={`${inputClassName} text-xs py-1`}
+                          value={section.homeroomTeacher?._id || ''}
+                          onChange={(e) => changeHomeroomTeacher(section, e.target.value)}
+                        >
+                          <option value="">No homeroom teacher</option>
+                          {teachers.map(teacher => (
+                            <option key={teacher._id} value={teacher._id}>{teacher.name}</option>
+                          ))}
+                        </select>
+                        <button
+                          onClick={() => removeSection(section)}
+                          className="ml-2 p-1 text-gray-400 hover:text-red-600 dark:hover:text-red-400"
+                          title="Remove section"
+                        >
+                          <Trash2 className="h-4 w-4" />
+                        </button>
+                      </div>
+                    </li>
+                  ))}
+                  <li className="flex items-center space-x-2 pt-1">
+                    <input
+                      type="text"
+                      aria-label={`New section of ${schoolClass.name}`}
+                      className={`${inputClassName} text-xs py-1 w-24`}
+                      placeholder="Section, e.g. B"
+                      value={newSections[schoolClass._id]?.name || ''}
+                      onChange={(e) => updateNewSection(schoolClass._id, { name: e.target.value })}
+                    />
+                    <select
+                      aria-label={`Homeroom teacher of the new section of ${schoolClass.name}`}
+                      className={`${inputClassName} text-xs py-1`}
+                      value={newSections[schoolClass._id]?.homeroomTeacher || ''}
+                      onChange={(e) => updateNewSection(schoolClass._id, { homeroomTeacher: e.target.value })}
+                    >
+                      <option value="">No homeroom teacher</option>
+                      {teachers.map(teacher => (
+                        <option key={teacher._id} value={teacher._id}>{teacher.name}</option>
+                      ))}
+                    </select>
+                    <button
+                      onClick={() => addSection(schoolClass)}
+                      disabled={saving}
+                      className="p-1 text-blue-600 hover:text-blue-800 dark:text-blue-400 dark:hover:text-blue-300"
+                      title="Add section"
+                    >
+                      <Plus className="h-4 w-4" />
+                    </button>
+                  </li>
+                </ul>
+              </li>
+            ))}
+          </ul>
+        )}
+        {!loading && unassignedCount > 0 && (
+          <p className="mt-3 text-xs text-gray-500 dark:text-gray-400">
+            {unassignedCount} students are not in any class yet.
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ClassSettings;
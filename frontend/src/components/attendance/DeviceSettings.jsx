@@ -0,0 +1,331 @@
+import React, { useState, useEffect } from 'react';
+import { Plus, Trash2, Info, KeyRound, Ban, Copy } from 'lucide-react';
+import { deviceService, locationService } from '../../services/api';
+import { setDeviceToken } from '../../utils/scannerDevice';
+import { formatSchoolTime } from '../../utils/schoolTime';
+import { toast } from 'react-toastify';
+
+const HEALTH_STYLES = {
+  online: { label: 'Online', className: 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300' },
+  offline: { label: 'Offline', className: 'bg-amber-100 text-amber-800 dark:bg-amber-900/30 dark:text-amber-300' },
+  never_seen: { label: 'Not seen yet', className: 'bg-gray-100 text-gray-700 dark:bg-slate-700 dark:text-gray-300' },
+  revoked: { label: 'Revoked', className: 'bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-300' }
+};
+
+const emptyDevice = {
+  name: '',
+  location: '',
+  scansPerMinute: 120
+};
+
+const inputClassName = 'focus:ring-blue-500 focus:border-blue-500 block w-full sm:text-sm border-gray-300 dark:border-gray-600 rounded-md dark:bg-slate-700 dark:text-white';
+
+const formatSeen = (date) => (date ? formatSchoolTime(date, 'd LLL, HH:mm') : 'never');
+
+const DeviceSettings = () => {
+  const [devices, setDevices] = useState([]);
+  const [locations, setLocations] = useState([]);
+  const [newDevice, setNewDevice] = useState(emptyDevice);
+  // Token just issued, shown once: { deviceName, token }
+  const [issuedToken, setIssuedToken] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  const loadDevices = async () => {
+    setDevices(await deviceService.getDevices());
+  };
+
+  // Load the enrolled devices and the locations they can be bound to
+  useEffect(() => {
+    const loadSettings = async () => {
+      try {
+        setLoading(true);
+        const [, locationList] = await Promise.all([
+          loadDevices(),
+          locationService.getLocations({ active: true })
+        ]);
+        setLocations(locationList);
+      } catch (error) {
+        console.error('Error loading scanner devices:', error);
+        toast.error('Failed to load scanner devices');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadSettings();
+  }, []);
+
+  const enrollDevice = async (e) => {
+    e.preventDefault();
+
+    if (!newDevice.name.trim()) {
+      toast.error('Device name is required');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const { device, token } = await deviceService.enrollDevice({
+        ...newDevice,
+        location: newDevice.location || null,
+        scansPerMinute: Number(newDevice.scansPerMinute)
+      });
+      await loadDevices();
+      setNewDevice(emptyDevice);
+      setIssuedToken({ deviceName: device.name, token });
+      toast.success(`${device.name} enrolled`);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to enroll device');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const changeDevice = async (device, changes) => {
+    try {
+      await deviceService.updateDevice(device._id, changes);
+      await loadDevices();
+      toast.success(`${device.name} updated`);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update device');
+    }
+  };
+
+  const rotateToken = async (device) => {
+    const action = device.revokedAt ? 'Re-enable' : 'Replace the token of';
+    if (!window.confirm(`${action} ${device.name}? Its current token will stop working.`)) return;
+
+    try {
+      const { token } = await deviceService.rotateToken(device._id);
+      await loadDevices();
+      setIssuedToken({ deviceName: device.name, token });
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to issue token');
+    }
+  };
+
+  const revokeDevice = async (device) => {
+    if (!window.confirm(`Revoke ${device.name}? It will no longer be able to scan.`)) return;
+
+    try {
+      await deviceService.revokeDevice(device._id);
+      await loadDevices();
+      toast.success(`${device.name} revoked`);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to revoke device');
+    }
+  };
+
+  const removeDevice = async (device) => {
+    if (!window.confirm(`Remove ${device.name}?`)) return;
+
+    try {
+      await deviceService.deleteDevice(device._id);
+      await loadDevices();
+      toast.success('Device removed');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to remove device');
+    }
+  };
+
+  const copyToken = async () => {
+    try {
+      await navigator.clipboard.writeText(issuedToken.token);
+      toast.success('Token copied');
+    } catch {
+      toast.error('Could not copy; select the token and copy it by hand');
+    }
+  };
+
+  const useOnThisBrowser = () => {
+    setDeviceToken(issuedToken.token);
+    toast.success(`This browser now scans as ${issuedToken.deviceName}`);
+    setIssuedToken(null);
+  };
+
+  return (
+    <div>
+      <form onSubmit={enrollDevice} className="grid grid-cols-1 sm:grid-cols-4 gap-3 items-end">
+        <div className="sm:col-span-2">
+          <label htmlFor="deviceName" className="block text-xs font-medium text-gray-700 dark:text-gray-300">Device</label>
+          <input
+            id="deviceName"
+            type="text"
+            className={`mt-1 ${inputClassName}`}
+            placeholder="e.g. North Gate Tablet"
+            value={newDevice.name}
+            onChange={(e) => setNewDevice({ ...newDevice, name: e.target.value })}
+          />
+        </div>
+        <div>
+          <label htmlFor="deviceLocation" className="block text-xs font-medium text-gray-700 dark:text-gray-300">Scans at</label>
+          <select
+            id="deviceLocation"
+            className={`mt-1 ${inputClassName}`}
+            value={newDevice.location}
+            onChange={(e) => setNewDevice({ ...newDevice, location: e.target.value })}
+          >
+            <option value="">Chosen on the device</option>
+            {locations.map(location => (
+              <option key={location._id} value={location._id}>{location.name}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="deviceRate" className="block text-xs font-medium text-gray-700 dark:text-gray-300">Scans per minute</label>
+          <div className="mt-1 flex space-x-2">
+            <input
+              id="deviceRate"
+              type="number"
+              min="1"
+              max="1000"
+              className={inputClassName}
+              value={newDevice.scansPerMinute}
+              onChange={(e) => setNewDevice({ ...newDevice, scansPerMinute: e.target.value })}
+            />
+            <button
+              type="submit"
+              disabled={saving}
+              className={`inline-flex items-center px-2 rounded-md shadow-sm text-white ${
+                saving
+                  ? 'bg-gray-400 dark:bg-gray-600 cursor-not-allowed'
+                  : 'bg-blue-600 hover:bg-blue-700 dark:bg-blue-700 dark:hover:bg-blue-800'
+              }`}
+              title="Enroll device"
+            >
+              <Plus className="h-4 w-4" />
+            </button>
+          </div>
+        </div>
+      </form>
+
+      {issuedToken && (
+        <div className="mt-4 p-3 rounded-md border border-amber-300 bg-amber-50 dark:border-amber-700 dark:bg-amber-900/20">
+          <p className="text-sm font-medium text-amber-800 dark:text-amber-200">
+            Token for {issuedToken.deviceName}. Copy it now; it will not be shown again.
+          </p>
+          <code className="mt-2 block text-xs break-all p-2 rounded bg-white dark:bg-slate-800 text-gray-800 dark:text-gray-200 select-all">
+            {issuedToken.token}
+          </code>
+          <div className="mt-2 flex flex-wrap gap-2">
+            <button
+              onClick={copyToken}
+              className="inline-flex items-center px-3 py-1 text-xs rounded-md border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-slate-700"
+            >
+              <Copy className="h-3 w-3 mr-1" />
+              Copy
+            </button>
+            <button
+              onClick={useOnThisBrowser}
+              className="inline-flex items-center px-3 py-1 text-xs rounded-md text-white bg-blue-600 hover:bg-blue-700 dark:bg-blue-700 dark:hover:bg-blue-800"
+            >
+              Use on this browser
+            </button>
+            <button
+              onClick={() => setIssuedToken(null)}
+              className="inline-flex items-center px-3 py-1 text-xs rounded-md text-gray-600 dark:text-gray-300 hover:underline"
+            >
+              Done
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div className="mt-3 flex items-start text-xs text-gray-500 dark:text-gray-400">
+        <Info className="h-4 w-4 mr-1 flex-shrink-0 text-blue-400" />
+        Enrolled devices sign their scans with their own token and report in every minute. A device bound to a location always scans there. Revoke a lost device to stop its token at once.
+      </div>
+
+      <div className="mt-4">
+        {loading ? (
+          <div className="py-4 flex justify-center">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500"></div>
+          </div>
+        ) : devices.length === 0 ? (
+          <p className="text-sm text-gray-500 dark:text-gray-400 text-center py-4">
+            No devices enrolled. Scans are made by signed-in admins.
+          </p>
+        ) : (
+          <ul className="divide-y divide-gray-200 dark:divide-slate-700">
+            {devices.map(device => {
+              const health = HEALTH_STYLES[device.health] || HEALTH_STYLES.never_seen;
+              return (
+                <li key={device._id} className="py-3 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+                  <div className="min-w-0">
+                    <div className="flex items-center">
+                      <span className={`text-sm font-medium truncate ${
+                        device.revokedAt ? 'text-gray-400 dark:text-gray-500 line-through' : 'text-gray-900 dark:text-white'
+                      }`}>
+                        {device.name}
+                      </span>
+                      <span className={`ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${health.className}`}>
+                        {health.label}
+                      </span>
+                    </div>
+                    <p className="mt-0.5 text-xs text-gray-500 dark:text-gray-400">
+                      Seen {formatSeen(device.lastHeartbeatAt)} · Last scan {formatSeen(device.lastScanAt)} · {device.scanCount} scans · {device.tokenPrefix}…
+                    </p>
+                  </div>
+                  <div className="flex items-center">
+                    <select
+                      aria-label={`Location of ${device.name}`}
+                      className={`${inputClassName} text-xs py-1`}
+                      value={device.location?._id || ''}
+                      onChange={(e) => changeDevice(device, { location: e.target.value || null })}
+                    >
+                      <option value="">Chosen on the device</option>
+                      {device.location && !locations.some(location => location._id === device.location._id) && (
+                        <option value={device.location._id}>{device.location.name}</option>
+                      )}
+                      {locations.map(location => (
+                        <option key={location._id} value={location._id}>{location.name}</option>
+                      ))}
+                    </select>
+                    <input
+                      type="number"
+                      min="1"
+                      max="1000"
+                      aria-label={`Scans per minute of ${device.name}`}
+                      title="Scans per minute"
+                      className={`ml-2 w-20 ${inputClassName} text-xs py-1`}
+                      defaultValue={device.scansPerMinute}
+                      onBlur={(e) => {
+                        const scansPerMinute = Number(e.target.value);
+                        if (scansPerMinute !== device.scansPerMinute) changeDevice(device, { scansPerMinute });
+                      }}
+                    />
+                    <button
+                      onClick={() => rotateToken(device)}
+                      className="ml-2 p-1 text-gray-400 hover:text-blue-600 dark:hover:text-blue-400"
+                      title={device.revokedAt ? 'Re-enable with a new token' : 'Issue a new token'}
+                    >
+                      <KeyRound className="h-4 w-4" />
+                    </button>
+                    <button
+                      onClick={() => revokeDevice(device)}
+                      disabled={Boolean(device.revokedAt)}
+                      className="ml-1 p-1 text-gray-400 hover:text-amber-600 dark:hover:text-amber-400 disabled:opacity-40 disabled:hover:text-gray-400"
+                      title="Revoke device"
+                    >
+                      <Ban className="h-4 w-4" />
+                    </button>
+                    <button
+                      onClick={() => removeDevice(device)}
+                      className="ml-1 p-1 text-gray-400 hover:text-red-600 dark:hover:text-red-400"
+                      title="Remove device"
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DeviceSettings;
@@ -0,0 +1,284 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Check, X, Trash2, Paperclip, FileCheck, Info } from 'lucide-react';
+import { leaveService } from '../../services/api';
+import { toast } from 'react-toastify';
+import { LEAVE_CATEGORIES } from './leaveCategories';
+
+const STATUS_BADGES = {
+  pending: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/30 dark:text-yellow-300',
+  approved: 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300',
+  rejected: 'bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-300'
+};
+
+const emptyRequest = {
+  category: 'medical',
+  startDate: '',
+  endDate: '',
+  note: '',
+  document: null
+};
+
+const inputClassName = 'focus:ring-blue-500 focus:border-blue-500 block w-full sm:text-sm border-gray-300 dark:border-gray-600 rounded-md dark:bg-slate-700 dark:text-white';
+
+const getCategoryLabel = (value) => LEAVE_CATEGORIES.find(category => category.value === value)?.label || value;
+
+/**
+ * Leave requests for one student: submit new requests with a supporting
+ * document, and approve or reject pending ones
+ *
+ * @param {Object} props
+ * @param {string} props.studentId - Student the requests belong to
+ * @param {number} props.refreshKey - Change to reload the list
+ * @param {Function} props.onChange - Called after a review or delete changes attendance
+ */
+const LeaveRequestsPanel = ({ studentId, refreshKey = 0, onChange }) => {
+  const [requests, setRequests] = useState([]);
+  const [newRequest, setNewRequest] = useState(emptyRequest);
+  const [fileInputKey, setFileInputKey] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  const loadRequests = useCallback(async () => {
+    try {
+      setLoading(true);
+      setRequests(await leaveService.getLeaveRequests({ studentId }));
+    } catch (error) {
+      console.error('Error loading leave requests:', error);
+      toast.error('Failed to load leave requests');
+    } finally {
+      setLoading(false);
+    }
+  }, [studentId]);
+
+  useEffect(() => {
+    loadRequests();
+  }, [loadRequests, refreshKey]);
+
+  const submitRequest = async (e) => {
+    e.preventDefault();
+
+    if (!newRequest.startDate) {
+      toast.error('Start date is required');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const request = await leaveService.createLeaveRequest({
+        ...newRequest,
+        studentId,
+        endDate: newRequest.endDate || newRequest.startDate
+      });
+      setRequests(prev => [request, ...prev]);
+      setNewRequest(emptyRequest);
+      setFileInputKey(key => key + 1);
+      toast.success('Leave request submitted');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to submit leave request');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const reviewRequest = async (request, status) => {
+    const reviewNote = status === 'rejected' ? window.prompt('Reason for rejecting (optional)') : '';
+    if (reviewNote === null) return;
+
+    try {
+      const { leaveRequest, excusedDays } = await leaveService.reviewLeaveRequest(request._id, status, reviewNote);
+      setRequests(prev => prev.map(item => (item._id === leaveRequest._id ? leaveRequest : item)));
+      toast.success(status === 'approved'
+        ? `Leave approved, ${excusedDays} school days marked excused`
+        : 'Leave request rejected');
+      onChange?.();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to review leave request');
+    }
+  };
+
+  const removeRequest = async (request) => {
+    if (!window.confirm('Delete this leave request? Any days it excused will count as absent again.')) return;
+
+    try {
+      await leaveService.deleteLeaveRequest(request._id);
+      setRequests(prev => prev.filter(item => item._id !== request._id));
+      toast.success('Leave request deleted');
+      onChange?.();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete leave request');
+    }
+  };
+
+  const downloadDocument = async (request) => {
+    try {
+      await leaveService.downloadDocument(request._id, request.document.originalName);
+    } catch (error) {
+      console.error('Error downloading leave document:', error);
+      toast.error('Failed to download document');
+    }
+  };
+
+  return (
+    <div className="bg-white dark:bg-slate-800 p-4 rounded-lg shadow-md mt-6">
+      <h2 className="text-lg font-semibold text-gray-900 dark:text-white flex items-center mb-4">
+        <FileCheck className="h-5 w-5 mr-2" />
+        Leave Requests
+      </h2>
+
+      <form onSubmit={submitRequest} className="grid grid-cols-1 sm:grid-cols-6 gap-3 items-end">
+        <div>
+          <label htmlFor="leaveRequestCategory" className="block text-xs font-medium text-gray-700 dark:text-gray-300">Reason</label>
+          <select
+            id="leaveRequestCategory"
+            className={`mt-1 ${inputClassName}`}
+            value={newRequest.category}
+            onChange={(e) => setNewRequest({ ...newRequest, category: e.target.value })}
+          >
+            {LEAVE_CATEGORIES.map(category => (
+              <option key={category.value} value={category.value}>{category.label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="leaveRequestStart" className="block text-xs font-medium text-gray-700 dark:text-gray-300">From</label>
+          <input
+            id="leaveRequestStart"
+            type="date"
+            className={`mt-1 ${inputClassName}`}
+            value={newRequest.startDate}
+            onChange={(e) => setNewRequest({ ...newRequest, startDate: e.target.value })}
+          />
+        </div>
+        <div>
+          <label htmlFor="leaveRequestEnd" className="block text-xs font-medium text-gray-700 dark:text-gray-300">To</label>
+          <input
+            id="leaveRequestEnd"
+            type="date"
+            className={`mt-1 ${inputClassName}`}
+            value={newRequest.endDate}
+            min={newRequest.startDate || undefined}
+            onChange={(e) => setNewRequest({ ...newRequest, endDate: e.target.value })}
+          />
+        </div>
+        <div className="sm:col-span-2">
+          <label htmlFor="leaveRequestNote" className="block text-xs font-medium text-gray-700 dark:text-gray-300">Note</label>
+          <input
+            id="leaveRequestNote"
+            type="text"
+            className={`mt-1 ${inputClassName}`}
+            placeholder="e.g. Doctor's appointment"
+            value={newRequest.note}
+            onChange={(e) => setNewRequest({ ...newRequest, note: e.target.value })}
+          />
+        </div>
+        <button
+          type="submit"
+          disabled={saving}
+          className={`px-3 py-2 text-sm rounded-md shadow-sm text-white ${
+            saving
+              ? 'bg-gray-400 dark:bg-gray-600 cursor-not-allowed'
+              : 'bg-blue-600 hover:bg-blue-700 dark:bg-blue-700 dark:hover:bg-blue-800'
+          }`}
+        >
+          {saving ? 'Submitting...' : 'Submit'}
+        </button>
+        <div className="sm:col-span-6">
+          <label htmlFor="leaveRequestDocument" className="block text-xs font-medium text-gray-700 dark:text-gray-300">
+            Supporting document (PDF or image, optional)
+          </label>
+          <input
+            key={fileInputKey}
+            id="leaveRequestDocument"
+            type="file"
+            accept=".pdf,.jpg,.jpeg,.png"
+            className="mt-1 block w-full text-sm text-gray-500 dark:text-gray-400"
+            onChange={(e) => setNewRequest({ ...newRequest, document: e.target.files[0] || null })}
+          />
+        </div>
+      </form>
+
+      <div className="mt-3 flex items-start text-xs text-gray-500 dark:text-gray-400">
+        <Info className="h-4 w-4 mr-1 flex-shrink-0 text-blue-400" />
+        Approved leave marks the school days it covers as excused. Excused days are reported separately and never count as absences.
+      </div>
+
+      <div className="mt-4">
+        {loading ? (
+          <div className="py-4 flex justify-center">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500"></div>
+          </div>
+        ) : requests.length === 0 ? (
+          <p className="text-sm text-gray-500 dark:text-gray-400 text-center py-4">
+            No leave requests for this student.
+          </p>
+        ) : (
+          <ul className="divide-y divide-gray-200 dark:divide-slate-700">
+            {requests.map(request => (
+              <li key={request._id} className="py-3 flex items-start justify-between">
+                <div className="min-w-0">
+                  <div className="flex items-center flex-wrap gap-2">
+                    <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${STATUS_BADGES[request.status]}`}>
+                      {request.status.charAt(0).toUpperCase() + request.status.slice(1)}
+                    </span>
+                    <span className="text-sm font-medium text-gray-900 dark:text-white">{getCategoryLabel(request.category)}</span>
+                    <span className="text-xs text-gray-500 dark:text-gray-400 whitespace-nowrap">
+                      {request.startDate === request.endDate ? request.startDate : `${request.startDate} – ${request.endDate}`}
+                    </span>
+                    {request.document && (
+                      <button
+                        onClick={() => downloadDocument(request)}
+                        className="inline-flex items-center text-xs text-blue-600 dark:text-blue-400 hover:underline"
+                        title="Download document"
+                      >
+                        <Paperclip className="h-3 w-3 mr-1" />
+                        {request.document.originalName || 'Document'}
+                      </button>
+                    )}
+                  </div>
+                  {request.note && (
+                    <p className="mt-1 text-sm text-gray-600 dark:text-gray-300">{request.note}</p>
+                  )}
+                  {request.reviewedBy && (
+                    <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                      {request.status === 'approved' ? 'Approved' : 'Reviewed'} by {request.reviewedBy.name}
+                      {request.reviewNote ? `: ${request.reviewNote}` : ''}
+                    </p>
+                  )}
+                </div>
+                <div className="ml-3 flex items-center space-x-1 flex-shrink-0">
+                  {request.status !== 'approved' && (
+                    <button
+                      onClick={() => reviewRequest(request, 'approved')}
+                      className="p-1 text-gray-400 hover:text-green-600 dark:hover:text-green-400"
+                      title="Approve"
+                    >
+                      <Check className="h-4 w-4" />
+                    </button>
+                  )}
+                  {request.status !== 'rejected' && (
+                    <button
+                      onClick={() => reviewRequest(request, 'rejected')}
+                      className="p-1 text-gray-400 hover:text-orange-600 dark:hover:text-orange-400"
+                      title="Reject"
+                    >
+                      <X className="h-4 w-4" />
+                    </button>
+                  )}
+                  <button
+                    onClick={() => removeRequest(request)}
+                    className="p-1 text-gray-400 hover:text-red-600 dark:hover:text-red-400"
+                    title="Delete"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default LeaveRequestsPanel;
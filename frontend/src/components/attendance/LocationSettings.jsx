@@ -0,0 +1,234 @@
+import React, { useState, useEffect } from 'react';
+import { Plus, Trash2, Info, Star } from 'lucide-react';
+import { locationService } from '../../services/api';
+import { toast } from 'react-toastify';
+
+const LOCATION_TYPES = [
+  { value: 'gate', label: 'Gate' },
+  { value: 'building', label: 'Building' },
+  { value: 'zone', label: 'Zone' }
+];
+
+const DIRECTIONS = [
+  { value: 'both', label: 'Entry and exit' },
+  { value: 'entry', label: 'Entry only' },
+  { value: 'exit', label: 'Exit only' }
+];
+
+const emptyLocation = {
+  name: '',
+  type: 'gate',
+  direction: 'both'
+};
+
+const inputClassName = 'focus:ring-blue-500 focus:border-blue-500 block w-full sm:text-sm border-gray-300 dark:border-gray-600 rounded-md dark:bg-slate-700 dark:text-white';
+
+const LocationSettings = () => {
+  const [locations, setLocations] = useState([]);
+  const [newLocation, setNewLocation] = useState(emptyLocation);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  const loadLocations = async () => {
+    setLocations(await locationService.getLocations());
+  };
+
+  // Load the registered locations when component mounts
+  useEffect(() => {
+    const loadSettings = async () => {
+      try {
+        setLoading(true);
+        await loadLocations();
+      } catch (error) {
+        console.error('Error loading locations:', error);
+        toast.error('Failed to load scan locations');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadSettings();
+  }, []);
+
+  const addLocation = async (e) => {
+    e.preventDefault();
+
+    if (!newLocation.name.trim()) {
+      toast.error('Location name is required');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      await locationService.createLocation(newLocation);
+      await loadLocations();
+      setNewLocation(emptyLocation);
+      toast.success('Location added');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to add location');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const changeLocation = async (location, changes, message) => {
+    try {
+      await locationService.updateLocation(location._id, changes);
+      await loadLocations();
+      toast.success(message);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update location');
+    }
+  };
+
+  const removeLocation = async (location) => {
+    if (!window.confirm(`Remove ${location.name}?`)) return;
+
+    try {
+      await locationService.deleteLocation(location._id);
+      await loadLocations();
+      toast.success('Location removed');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to remove location');
+    }
+  };
+
+  return (
+    <div>
+      <form onSubmit={addLocation} className="grid grid-cols-1 sm:grid-cols-4 gap-3 items-end">
+        <div className="sm:col-span-2">
+          <label htmlFor="locationName" className="block text-xs font-medium text-gray-700 dark:text-gray-300">Location</label>
+          <input
+            id="locationName"
+            type="text"
+            className={`mt-1 ${inputClassName}`}
+            placeholder="e.g. North Gate"
+            value={newLocation.name}
+            onChange={(e) => setNewLocation({ ...newLocation, name: e.target.value })}
+          />
+        </div>
+        <div>
+          <label htmlFor="locationType" className="block text-xs font-medium text-gray-700 dark:text-gray-300">Type</label>
+          <select
+            id="locationType"
+            className={`mt-1 ${inputClassName}`}
+            value={newLocation.type}
+            onChange={(e) => setNewLocation({ ...newLocation, type: e.target.value })}
+          >
+            {LOCATION_TYPES.map(type => (
+              <option key={type.value} value={type.value}>{type.label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="locationDirection" className="block text-xs font-medium text-gray-700 dark:text-gray-300">Direction</label>
+          <div className="mt-1 flex space-x-2">
+            <select
+              id="locationDirection"
+              className={inputClassName}
+              value={newLocation.direction}
+              onChange={(e) => setNewLocation({ ...newLocation, direction: e.target.value })}
+            >
+              {DIRECTIONS.map(direction => (
+                <option key={direction.value} value={direction.value}>{direction.label}</option>
+              ))}
+            </select>
+            <button
+              type="submit"
+              disabled={saving}
+              className={`inline-flex items-center px-2 rounded-md shadow-sm text-white ${
+                saving
+                  ? 'bg-gray-400 dark:bg-gray-600 cursor-not-allowed'
+                  : 'bg-blue-600 hover:bg-blue-700 dark:bg-blue-700 dark:hover:bg-blue-800'
+              }`}
+              title="Add location"
+            >
+              <Plus className="h-4 w-4" />
+            </button>
+          </div>
+        </div>
+      </form>
+
+      <div className="mt-3 flex items-start text-xs text-gray-500 dark:text-gray-400">
+        <Info className="h-4 w-4 mr-1 flex-shrink-0 text-blue-400" />
+        Scanners pick their location on the scanner page; scans that name none are made at the default location. Locations that have been scanned at can be deactivated but not removed.
+      </div>
+
+      <div className="mt-4">
+        {loading ? (
+          <div className="py-4 flex justify-center">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500"></div>
+          </div>
+        ) : locations.length === 0 ? (
+          <p className="text-sm text-gray-500 dark:text-gray-400 text-center py-4">
+            No locations yet. Scans are recorded at the Main Entrance.
+          </p>
+        ) : (
+          <ul className="divide-y divide-gray-200 dark:divide-slate-700">
+            {locations.map(location => (
+              <li key={location._id} className="py-3 flex items-center justify-between">
+                <div className="flex items-center min-w-0">
+                  <span className={`text-sm font-medium truncate ${
+                    location.active ? 'text-gray-900 dark:text-white' : 'text-gray-400 dark:text-gray-500 line-through'
+                  }`}>
+                    {location.name}
+                  </span>
+                  <span className="ml-3 text-xs text-gray-500 dark:text-gray-400 whitespace-nowrap capitalize">
+                    {location.type}
+                  </span>
+                  {location.isDefault && (
+                    <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-300">
+                      Default
+                    </span>
+                  )}
+                </div>
+                <div className="flex items-center">
+                  <select
+                    aria-label={`Direction of ${location.name}`}
+                    className={`${inputClassName} text-xs py-1`}
+                    value={location.direction}
+                    onChange={(e) => changeLocation(location, { direction: e.target.value }, `${location.name} updated`)}
+                  >
+                    {DIRECTIONS.map(direction => (
+                      <option key={direction.value} value={direction.value}>{direction.label}</option>
+                    ))}
+                  </select>
+                  <label className="ml-3 inline-flex items-center text-xs text-gray-600 dark:text-gray-300 whitespace-nowrap">
+                    <input
+                      type="checkbox"
+                      className="mr-1 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                      checked={location.active}
+                      onChange={(e) => changeLocation(
+                        location,
+                        { active: e.target.checked },
+                        `${location.name} ${e.target.checked ? 'activated' : 'deactivated'}`
+                      )}
+                    />
+                    In use
+                  </label>
+                  <button
+                    onClick={() => changeLocation(location, { isDefault: true }, `${location.name} is now the default location`)}
+                    disabled={location.isDefault || !location.active}
+                    className="ml-2 p-1 text-gray-400 hover:text-blue-600 dark:hover:text-blue-400 disabled:opacity-40 disabled:hover:text-gray-400"
+                    title="Make default"
+                  >
+                    <Star className="h-4 w-4" />
+                  </button>
+                  <button
+                    onClick={() => removeLocation(location)}
+                    className="ml-1 p-1 text-gray-400 hover:text-red-600 dark:hover:text-red-400"
+                    title="Remove location"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default LocationSettings;
@@ -8,8 +8,17 @@ import {
   UserCircle,
   Calendar,
   AlertTriangle,
-  XCircle
+  XCircle,
+  FileCheck
 } from 'lucide-react';
+import { LEAVE_CATEGORIES } from './leaveCategories';
+import { formatSchoolTime } from '../../utils/schoolTime';
+
+// Today as YYYY-MM-DD in local time
+const today = () => {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+};
 
 /**
  * Modal for manually marking attendance
@@ -19,12 +28,14 @@ import {
  * @param {Function} props.onClose - Function to close the modal
  * @param {Function} props.onConfirm - Function called when attendance is confirmed
  * @param {Object} props.student - Student object
- * @param {string} props.actionType - Type of attendance action (enter, leave, absent, present)
+ * @param {string} props.actionType - Type of attendance action (enter, leave, absent, present, excused)
  */
 const ManualAttendanceModal = ({ isOpen, onClose, onConfirm, student, actionType = 'enter' }) => {
   const [note, setNote] = useState('');
   const [sendNotification, setSendNotification] = useState(true);
+  const [leave, setLeave] = useState({ category: 'medical', startDate: today(), endDate: today() });
   const [loading, setLoading] = useState(false);
+  const isExcused = actionType === 'excused';
   
   if (!student) return null;
   
@@ -63,6 +74,14 @@ const ManualAttendanceModal = ({ isOpen, onClose, onConfirm, student, actionType
           confirmText: 'Mark Present',
           color: 'green'
         };
+      case 'excused':
+        return {
+          title: 'Excuse Student',
+          description: 'Record approved leave. School days in the range count as excused instead of absent.',
+          icon: <FileCheck className="h-5 w-5 text-purple-500" />,
+          confirmText: 'Mark Excused',
+          color: 'purple'
+        };
       default:
         return {
           title: 'Update Attendance',
@@ -75,15 +94,16 @@ const ManualAttendanceModal = ({ isOpen, onClose, onConfirm, student, actionType
   };
   
   const handleConfirm = async () => {
-    if (!student) return;
+    if (!student || !note.trim()) return;
     
     setLoading(true);
     try {
       await onConfirm({
         studentId: student._id,
         action: actionType,
-        note,
-        sendNotification
+        note: note.trim(),
+        sendNotification: isExcused ? false : sendNotification,
+        ...(isExcused ? leave : {})
       });
       onClose();
     } catch (error) {
@@ -142,59 +162,107 @@ const ManualAttendanceModal = ({ isOpen, onClose, onConfirm, student, actionType
                           <UserCircle className="h-6 w-6 text-gray-400 mr-2" />
                           <div>
                             <p className="text-sm font-medium text-gray-900 dark:text-white">
-                              {student.firstName} {student.lastName}
+                              {student.name || `${student.firstName} ${student.lastName}`}
                             </p>
                             <p className="text-xs text-gray-500 dark:text-gray-400">
-                              {student.studentId || 'No ID'} • {student.classRoom || 'No Class'}
+                              {student.indexNumber || student.studentId || 'No ID'} • {student.classRoom || 'No Class'}
                             </p>
                           </div>
                         </div>
 
-                        <div className="mt-3 flex items-center">
-                          <Calendar className="h-5 w-5 text-gray-400 mr-2" />
-                          <p className="text-xs text-gray-500 dark:text-gray-400">
-                            Marking attendance for today: {new Date().toLocaleDateString()}
-                          </p>
-                        </div>
+                        {isExcused ? (
+                          <div className="mt-3 grid grid-cols-1 sm:grid-cols-3 gap-2">
+                            <div>
+                              <label htmlFor="leaveCategory" className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">
+                                Reason
+                              </label>
+                              <select
+                                id="leaveCategory"
+                                value={leave.category}
+                                onChange={(e) => setLeave({ ...leave, category: e.target.value })}
+                                className="w-full rounded-md border-gray-300 dark:border-gray-600 shadow-sm focus:border-blue-500 focus:ring-blue-500 dark:bg-slate-700 dark:text-white text-sm"
+                              >
+                                {LEAVE_CATEGORIES.map(category => (
+                                  <option key={category.value} value={category.value}>{category.label}</option>
+                                ))}
+                              </select>
+                            </div>
+                            <div>
+                              <label htmlFor="leaveStart" className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">
+                                From
+                              </label>
+                              <input
+                                id="leaveStart"
+                                type="date"
+                                value={leave.startDate}
+                                onChange={(e) => setLeave({ ...leave, startDate: e.target.value, endDate: e.target.value > leave.endDate ? e.target.value : leave.endDate })}
+                                className="w-full rounded-md border-gray-300 dark:border-gray-600 shadow-sm focus:border-blue-500 focus:ring-blue-500 dark:bg-slate-700 dark:text-white text-sm"
+                              />
+                            </div>
+                            <div>
+                              <label htmlFor="leaveEnd" className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">
+                                To
+                              </label>
+                              <input
+                                id="leaveEnd"
+                                type="date"
+                                value={leave.endDate}
+                                min={leave.startDate}
+                                onChange={(e) => setLeave({ ...leave, endDate: e.target.value })}
+                                className="w-full rounded-md border-gray-300 dark:border-gray-600 shadow-sm focus:border-blue-500 focus:ring-blue-500 dark:bg-slate-700 dark:text-white text-sm"
+                              />
+                            </div>
+                          </div>
+                        ) : (
+                          <div className="mt-3 flex items-center">
+                            <Calendar className="h-5 w-5 text-gray-400 mr-2" />
+                            <p className="text-xs text-gray-500 dark:text-gray-400">
+                              Marking attendance for today: {formatSchoolTime(new Date(), 'MM/dd/yyyy')}
+                            </p>
+                          </div>
+                        )}
 
                         <div className="mt-2">
-                          <p className="text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">
-                            Note (optional)
-                          </p>
+                          <label htmlFor="attendanceChangeReason" className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">
+                            Reason (required)
+                          </label>
                           <textarea
+                            id="attendanceChangeReason"
                             value={note}
                             onChange={(e) => setNote(e.target.value)}
                             className="w-full rounded-md border-gray-300 dark:border-gray-600 shadow-sm focus:border-blue-500 focus:ring-blue-500 dark:bg-slate-700 dark:text-white text-sm"
-                            placeholder="Add a note about this attendance update..."
+                            placeholder="Why is this attendance being changed? Kept in the record's history."
                             rows="2"
                           />
                         </div>
                       </div>
 
-                      <div className="mt-4">
-                        <div className="flex items-center">
-                          <input
-                            id="sendNotification"
-                            name="sendNotification"
-                            type="checkbox"
-                            checked={sendNotification}
-                            onChange={(e) => setSendNotification(e.target.checked)}
-                            className="h-4 w-4 rounded border-gray-300 dark:border-gray-600 text-blue-600 focus:ring-blue-500 dark:bg-slate-700"
-                          />
-                          <label htmlFor="sendNotification" className="ml-2 block text-sm text-gray-700 dark:text-gray-300">
-                            Send WhatsApp notification to parent
-                          </label>
+                      {!isExcused && (
+                        <div className="mt-4">
+                          <div className="flex items-center">
+                            <input
+                              id="sendNotification"
+                              name="sendNotification"
+                              type="checkbox"
+                              checked={sendNotification}
+                              onChange={(e) => setSendNotification(e.target.checked)}
+                              className="h-4 w-4 rounded border-gray-300 dark:border-gray-600 text-blue-600 focus:ring-blue-500 dark:bg-slate-700"
+                            />
+                            <label htmlFor="sendNotification" className="ml-2 block text-sm text-gray-700 dark:text-gray-300">
+                              Send WhatsApp notification to parent
+                            </label>
+                          </div>
                         </div>
-                      </div>
+                      )}
                     </div>
                   </div>
                 </div>
                 <div className="bg-gray-50 dark:bg-slate-700/30 px-4 py-3 sm:flex sm:flex-row-reverse sm:px-6">
                   <button
                     type="button"
-                    className={`inline-flex w-full justify-center rounded-md border border-transparent bg-${actionContent.color}-600 dark:bg-${actionContent.color}-700 px-4 py-2 text-base font-medium text-white shadow-sm hover:bg-${actionContent.color}-700 dark:hover:bg-${actionContent.color}-800 focus:outline-none focus:ring-2 focus:ring-${actionContent.color}-500 focus:ring-offset-2 sm:ml-3 sm:w-auto sm:text-sm ${loading ? 'opacity-70 cursor-not-allowed' : ''}`}
+                    className={`inline-flex w-full justify-center rounded-md border border-transparent bg-${actionContent.color}-600 dark:bg-${actionContent.color}-700 px-4 py-2 text-base font-medium text-white shadow-sm hover:bg-${actionContent.color}-700 dark:hover:bg-${actionContent.color}-800 focus:outline-none focus:ring-2 focus:ring-${actionContent.color}-500 focus:ring-offset-2 sm:ml-3 sm:w-auto sm:text-sm ${loading || !note.trim() ? 'opacity-70 cursor-not-allowed' : ''}`}
                     onClick={handleConfirm}
-                    disabled={loading}
+                    disabled={loading || !note.trim()}
                   >
                     {loading ? (
                       <span className="flex items-center">
@@ -0,0 +1,235 @@
+import React, { useState, useEffect } from 'react';
+import { Switch } from '@headlessui/react';
+import { Info, KeyRound, RefreshCw, Ban, ShieldAlert } from 'lucide-react';
+import { settingsService } from '../../services/api';
+import { formatSchoolTime } from '../../utils/schoolTime';
+import { toast } from 'react-toastify';
+
+const EVENT_LABELS = {
+  revoked_code: 'Revoked code',
+  retired_key: 'Retired key',
+  forged_code: 'Forged code'
+};
+
+function classNames(...classes) {
+  return classes.filter(Boolean).join(' ');
+}
+
+const QrCodeSettings = () => {
+  const [rejectLegacy, setRejectLegacy] = useState(false);
+  const [keys, setKeys] = useState([]);
+  const [legacy, setLegacy] = useState({ students: 0, staff: 0 });
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  // Name of the action running: 'setting', 'rotate', 'reissue' or a key id
+  const [busy, setBusy] = useState(null);
+
+  const loadKeys = async () => {
+    const result = await settingsService.getQrSigningKeys();
+    setKeys(result.keys);
+    setLegacy(result.legacy);
+  };
+
+  useEffect(() => {
+    const loadSettings = async () => {
+      try {
+        setLoading(true);
+        const [settings, securityEvents] = await Promise.all([
+          settingsService.getQrCodeSettings(),
+          settingsService.getSecurityEvents(),
+          loadKeys()
+        ]);
+        setRejectLegacy(Boolean(settings?.rejectLegacy));
+        setEvents(securityEvents.events);
+      } catch (error) {
+        console.error('Error loading QR code settings:', error);
+        toast.error('Failed to load QR code settings');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadSettings();
+  }, []);
+
+  const toggleRejectLegacy = async (value) => {
+    if (value && (legacy.students || legacy.staff) && !window.confirm(
+      `${legacy.students} students and ${legacy.staff} staff still have old-style codes, which will stop working. Continue?`
+    )) {
+      return;
+    }
+    try {
+      setBusy('setting');
+      const settings = await settingsService.updateQrCodeSettings({ rejectLegacy: value });
+      setRejectLegacy(Boolean(settings.rejectLegacy));
+      toast.success(value ? 'Old-style QR codes are now refused' : 'Old-style QR codes are accepted again');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save QR code settings');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const runAction = async (name, action) => {
+    try {
+      setBusy(name);
+      const result = await action();
+      toast.success(result.message);
+      await loadKeys();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update signing keys');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const rotateKey = () => {
+    if (!window.confirm('Sign new QR codes with a fresh key? Codes already issued keep working until their key is retired.')) return;
+    runAction('rotate', settingsService.rotateQrSigningKey);
+  };
+
+  const retireKey = (key) => {
+    const count = key.students + key.staff;
+    if (!window.confirm(`Retire key ${key.kid}? ${count} codes signed with it will stop working.`)) return;
+    runAction(key.kid, () => settingsService.retireQrSigningKey(key.kid));
+  };
+
+  const reissueCodes = () => {
+    if (!window.confirm('Re-sign every QR code not signed with the current key? The new codes will need printing.')) return;
+    runAction('reissue', settingsService.reissueQrCodes);
+  };
+
+  if (loading) {
+    return (
+      <div className="py-4 flex justify-center">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500"></div>
+      </div>
+    );
+  }
+
+  const outdated = legacy.students + legacy.staff
+    + keys.filter(key => !key.current).reduce((total, key) => total + key.students + key.staff, 0);
+
+  return (
+    <div>
+      <div className="flex items-center justify-between bg-gray-50 dark:bg-slate-700/30 p-3 rounded-lg mb-4">
+        <div>
+          <p className="text-sm font-medium text-gray-700 dark:text-gray-300">
+            Refuse old-style QR codes
+          </p>
+          <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+            Cards printed before signed codes carry the student&apos;s details in plain text.
+            {' '}{legacy.students} students and {legacy.staff} staff still have one.
+          </p>
+        </div>
+        <Switch
+          checked={rejectLegacy}
+          onChange={toggleRejectLegacy}
+          disabled={busy === 'setting'}
+          className={classNames(
+            rejectLegacy ? 'bg-blue-600 dark:bg-blue-700' : 'bg-gray-200 dark:bg-gray-600',
+            'ml-3 relative inline-flex flex-shrink-0 h-6 w-11 border-2 border-transparent rounded-full cursor-pointer transition-colors ease-in-out duration-200 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 dark:focus:ring-offset-slate-800'
+          )}
+        >
+          <span className="sr-only">Refuse old-style QR codes</span>
+          <span
+            className={classNames(
+              rejectLegacy ? 'translate-x-5' : 'translate-x-0',
+              'pointer-events-none relative inline-block h-5 w-5 rounded-full bg-white shadow transform ring-0 transition ease-in-out duration-200'
+            )}
+          />
+        </Switch>
+      </div>
+
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+        <p className="text-sm font-medium text-gray-700 dark:text-gray-300">Signing Keys</p>
+        <div className="flex gap-2">
+          <button
+            onClick={reissueCodes}
+            disabled={Boolean(busy) || outdated === 0}
+            className="inline-flex items-center px-3 py-1.5 text-sm rounded-md border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-slate-700 disabled:opacity-50"
+          >
+            <RefreshCw className={`h-4 w-4 mr-1 ${busy === 'reissue' ? 'animate-spin' : ''}`} />
+            {busy === 'reissue' ? 'Reissuing...' : `Reissue ${outdated} outdated codes`}
+          </button>
+          <button
+            onClick={rotateKey}
+            disabled={Boolean(busy)}
+            className="inline-flex items-center px-3 py-1.5 text-sm rounded-md shadow-sm text-white bg-blue-600 hover:bg-blue-700 dark:bg-blue-700 dark:hover:bg-blue-800 disabled:opacity-50"
+          >
+            <KeyRound className="h-4 w-4 mr-1" />
+            Rotate key
+          </button>
+        </div>
+      </div>
+
+      <ul className="mt-3 divide-y divide-gray-200 dark:divide-slate-700">
+        {keys.map(key => (
+          <li key={key.kid} className="py-2 flex items-center justify-between gap-3">
+            <div>
+              <p className="text-sm text-gray-900 dark:text-white font-mono">
+                {key.kid}
+                {key.current && (
+                  <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-sans font-medium bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300">
+                    Current
+                  </span>
+                )}
+                {key.retiredAt && (
+                  <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-sans font-medium bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-300">
+                    Retired
+                  </span>
+                )}
+              </p>
+              <p className="text-xs text-gray-500 dark:text-gray-400">
+                Created {formatSchoolTime(key.createdAt, 'd LLL yyyy')}
+                {key.createdBy?.name ? ` by ${key.createdBy.name}` : ''}
+                {' · '}{key.students} students, {key.staff} staff
+              </p>
+            </div>
+            {!key.current && !key.retiredAt && (
+              <button
+                onClick={() => retireKey(key)}
+                disabled={Boolean(busy)}
+                className="inline-flex items-center px-2 py-1 text-xs rounded-md border border-red-300 text-red-700 dark:text-red-300 hover:bg-red-50 dark:hover:bg-red-900/20 disabled:opacity-50"
+              >
+                <Ban className="h-3 w-3 mr-1" />
+                Retire
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      <p className="mt-4 text-sm font-medium text-gray-700 dark:text-gray-300">Refused Codes Today</p>
+      {events.length === 0 ? (
+        <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">No revoked, retired or forged codes were scanned today.</p>
+      ) : (
+        <ul className="mt-1 divide-y divide-gray-200 dark:divide-slate-700 max-h-60 overflow-y-auto">
+          {events.map(event => (
+            <li key={event._id} className="py-2 flex items-start gap-2">
+              <ShieldAlert className="h-4 w-4 mt-0.5 flex-shrink-0 text-red-500" />
+              <div>
+                <p className="text-sm text-gray-900 dark:text-white">
+                  {event.student?.name || event.staff?.name || 'Unknown holder'}
+                  <span className="ml-2 text-xs text-red-600 dark:text-red-400">{EVENT_LABELS[event.type] || event.type}</span>
+                </p>
+                <p className="text-xs text-gray-500 dark:text-gray-400">
+                  {formatSchoolTime(event.scannedAt, 'HH:mm:ss')} · {event.scanLocation || (event.source === 'lesson' ? 'Lesson scan' : 'Unknown location')}
+                  {event.device?.name ? ` · ${event.device.name}` : ''}
+                  {event.codeVersion ? ` · version ${event.codeVersion}${event.currentVersion ? ` of ${event.currentVersion}` : ''}` : ''}
+                </p>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="mt-4 flex items-start text-xs text-gray-500 dark:text-gray-400">
+        <Info className="h-4 w-4 mr-1 flex-shrink-0 text-blue-400" />
+        QR codes carry a short signed token instead of personal details. After rotating the key, reissue and reprint the outdated codes, then retire the old key. A lost card is replaced from the student&apos;s QR code on the Students page.
+      </div>
+    </div>
+  );
+};
+
+export default QrCodeSettings;
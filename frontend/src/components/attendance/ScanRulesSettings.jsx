@@ -0,0 +1,231 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Switch } from '@headlessui/react';
+import { Info } from 'lucide-react';
+import { settingsService } from '../../services/api';
+import { toDayKey, formatSchoolTime } from '../../utils/schoolTime';
+import { toast } from 'react-toastify';
+
+function classNames(...classes) {
+  return classes.filter(Boolean).join(' ');
+}
+
+const REASON_LABELS = {
+  duplicate: 'Repeat scan',
+  passback: 'Wrong direction'
+};
+
+const inputClassName = 'focus:ring-blue-500 focus:border-blue-500 block w-full sm:text-sm border-gray-300 dark:border-gray-600 rounded-md dark:bg-slate-700 dark:text-white';
+
+const ScanRulesSettings = () => {
+  const [minScanIntervalSeconds, setMinScanIntervalSeconds] = useState(60);
+  const [enforceDirection, setEnforceDirection] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [reviewDate, setReviewDate] = useState(toDayKey(new Date()));
+  const [reviewReason, setReviewReason] = useState('');
+  const [rejected, setRejected] = useState({ scans: [], counts: {} });
+  const [reviewLoading, setReviewLoading] = useState(false);
+
+  // Load settings when component mounts
+  useEffect(() => {
+    const loadSettings = async () => {
+      try {
+        setLoading(true);
+        const rules = await settingsService.getScanRules();
+
+        if (rules) {
+          setMinScanIntervalSeconds(rules.minScanIntervalSeconds ?? 60);
+          setEnforceDirection(Boolean(rules.enforceDirection));
+        }
+      } catch (error) {
+        console.error('Error loading scan rules:', error);
+        toast.error('Failed to load scan rules');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadSettings();
+  }, []);
+
+  const loadRejectedScans = useCallback(async () => {
+    try {
+      setReviewLoading(true);
+      setRejected(await settingsService.getRejectedScans({
+        date: reviewDate,
+        reason: reviewReason || undefined
+      }));
+    } catch (error) {
+      console.error('Error loading rejected scans:', error);
+      toast.error('Failed to load rejected scans');
+    } finally {
+      setReviewLoading(false);
+    }
+  }, [reviewDate, reviewReason]);
+
+  useEffect(() => {
+    loadRejectedScans();
+  }, [loadRejectedScans]);
+
+  // Save settings
+  const saveSettings = async () => {
+    try {
+      setSaving(true);
+      await settingsService.updateScanRules({
+        minScanIntervalSeconds: Number(minScanIntervalSeconds),
+        enforceDirection
+      });
+      toast.success('Scan rules saved successfully');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save scan rules');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="py-4 flex justify-center">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-4">
+        <div>
+          <label htmlFor="minScanInterval" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+            Ignore Repeat Scans Within (seconds)
+          </label>
+          <input
+            type="number"
+            id="minScanInterval"
+            min="0"
+            max="3600"
+            className={`mt-1 ${inputClassName}`}
+            value={minScanIntervalSeconds}
+            onChange={(e) => setMinScanIntervalSeconds(e.target.value)}
+          />
+          <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+            A card held in front of the camera is scanned once. 0 accepts every scan.
+          </p>
+        </div>
+        <div className="flex items-center justify-between bg-gray-50 dark:bg-slate-700/30 p-3 rounded-lg">
+          <div>
+            <p className="text-sm font-medium text-gray-700 dark:text-gray-300">
+              Anti-passback
+            </p>
+            <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+              Entry gates turn away students already on campus; exit gates turn away students who are not
+            </p>
+          </div>
+          <Switch
+            checked={enforceDirection}
+            onChange={setEnforceDirection}
+            className={classNames(
+              enforceDirection ? 'bg-blue-600 dark:bg-blue-700' : 'bg-gray-200 dark:bg-gray-600',
+              'ml-3 relative inline-flex flex-shrink-0 h-6 w-11 border-2 border-transparent rounded-full cursor-pointer transition-colors ease-in-out duration-200 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 dark:focus:ring-offset-slate-800'
+            )}
+          >
+            <span className="sr-only">Anti-passback</span>
+            <span
+              className={classNames(
+                enforceDirection ? 'translate-x-5' : 'translate-x-0',
+                'pointer-events-none relative inline-block h-5 w-5 rounded-full bg-white shadow transform ring-0 transition ease-in-out duration-200'
+              )}
+            />
+          </Switch>
+        </div>
+      </div>
+
+      <div className="flex justify-end">
+        <button
+          onClick={saveSettings}
+          disabled={saving}
+          className={`px-3 py-1.5 text-sm rounded-md shadow-sm text-white ${
+            saving
+              ? 'bg-gray-400 dark:bg-gray-600 cursor-not-allowed'
+              : 'bg-blue-600 hover:bg-blue-700 dark:bg-blue-700 dark:hover:bg-blue-800'
+          }`}
+        >
+          {saving ? 'Saving...' : 'Save Settings'}
+        </button>
+      </div>
+
+      <div className="mt-6">
+        <div className="flex flex-col sm:flex-row sm:items-end sm:justify-between gap-3">
+          <div>
+            <p className="text-sm font-medium text-gray-700 dark:text-gray-300">Rejected Scans</p>
+            <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+              {rejected.counts.duplicate || 0} repeat, {rejected.counts.passback || 0} wrong direction
+            </p>
+          </div>
+          <div className="flex gap-2">
+            <input
+              type="date"
+              aria-label="Day to review"
+              className={inputClassName}
+              value={reviewDate}
+              max={toDayKey(new Date())}
+              onChange={(e) => setReviewDate(e.target.value)}
+            />
+            <select
+              aria-label="Reason"
+              className={inputClassName}
+              value={reviewReason}
+              onChange={(e) => setReviewReason(e.target.value)}
+            >
+              <option value="">All reasons</option>
+              {Object.entries(REASON_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        {reviewLoading ? (
+          <div className="py-4 flex justify-center">
+            <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-500"></div>
+          </div>
+        ) : rejected.scans.length === 0 ? (
+          <p className="text-sm text-gray-500 dark:text-gray-400 text-center py-4">
+            No scans were turned away on this day.
+          </p>
+        ) : (
+          <ul className="mt-3 divide-y divide-gray-200 dark:divide-slate-700 max-h-80 overflow-y-auto">
+            {rejected.scans.map(scan => (
+              <li key={scan._id} className="py-2 flex items-start justify-between gap-3">
+                <div className="min-w-0">
+                  <p className="text-sm text-gray-900 dark:text-white truncate">
+                    {scan.staff?.name || scan.student?.name || 'No longer registered'}
+                    <span className="ml-2 text-xs text-gray-500 dark:text-gray-400">
+                      {scan.staff ? `Staff ${scan.staff.staffId}` : scan.student?.indexNumber?.toUpperCase()}
+                    </span>
+                  </p>
+                  <p className="text-xs text-gray-500 dark:text-gray-400">{scan.message}</p>
+                </div>
+                <div className="text-right flex-shrink-0">
+                  <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-amber-100 text-amber-800 dark:bg-amber-900/30 dark:text-amber-300">
+                    {REASON_LABELS[scan.reason] || scan.reason}
+                  </span>
+                  <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                    {formatSchoolTime(scan.scannedAt, 'HH:mm:ss')} · {scan.location?.name || scan.scanLocation || 'Unknown location'}
+                    {scan.device?.name ? ` · ${scan.device.name}` : ''}
+                  </p>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      <div className="mt-4 flex items-start text-xs text-gray-500 dark:text-gray-400">
+        <Info className="h-4 w-4 mr-1 flex-shrink-0 text-blue-400" />
+        Rejected scans are not recorded as attendance and send no messages to parents; the scanner shows why the scan was turned away.
+      </div>
+    </div>
+  );
+};
+
+export default ScanRulesSettings;
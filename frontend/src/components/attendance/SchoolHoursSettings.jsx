@@ -0,0 +1,135 @@
+import React, { useState, useEffect } from 'react';
+import { Info } from 'lucide-react';
+import { settingsService } from '../../services/api';
+import { toast } from 'react-toastify';
+
+const SchoolHoursSettings = () => {
+  const [schoolHours, setSchoolHours] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  // Load school hours when component mounts
+  useEffect(() => {
+    const loadSchoolHours = async () => {
+      try {
+        setLoading(true);
+        const data = await settingsService.getSchoolHours();
+        setSchoolHours(data?.schoolHours || []);
+      } catch (error) {
+        console.error('Error loading school hours:', error);
+        toast.error('Failed to load school hours');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadSchoolHours();
+  }, []);
+
+  const updateDay = (weekday, changes) => {
+    setSchoolHours(prev => prev.map(day =>
+      day.weekday === weekday ? { ...day, ...changes } : day
+    ));
+  };
+
+  // Save school hours
+  const saveSchoolHours = async () => {
+    try {
+      setSaving(true);
+      const data = await settingsService.updateSchoolHours(
+        schoolHours.map(({ weekday, isSchoolDay, startTime, graceMinutes }) => ({
+          weekday,
+          isSchoolDay,
+          startTime,
+          graceMinutes: Number(graceMinutes) || 0
+        }))
+      );
+      setSchoolHours(data?.schoolHours || schoolHours);
+      toast.success('School hours saved successfully');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save school hours');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="py-4 flex justify-center">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200 dark:divide-slate-700">
+          <thead className="bg-gray-50 dark:bg-slate-700/30">
+            <tr>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Day</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">School Day</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Start Time</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">Grace (min)</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white dark:bg-slate-800 divide-y divide-gray-200 dark:divide-slate-700">
+            {schoolHours.map(day => (
+              <tr key={day.weekday}>
+                <td className="px-4 py-2 text-sm font-medium text-gray-900 dark:text-white">{day.name}</td>
+                <td className="px-4 py-2">
+                  <input
+                    type="checkbox"
+                    className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 dark:border-gray-600 rounded dark:bg-slate-700"
+                    checked={day.isSchoolDay}
+                    onChange={(e) => updateDay(day.weekday, { isSchoolDay: e.target.checked })}
+                  />
+                </td>
+                <td className="px-4 py-2">
+                  <input
+                    type="time"
+                    className="focus:ring-blue-500 focus:border-blue-500 block w-full sm:text-sm border-gray-300 dark:border-gray-600 rounded-md dark:bg-slate-700 dark:text-white disabled:opacity-50"
+                    value={day.startTime}
+                    onChange={(e) => updateDay(day.weekday, { startTime: e.target.value })}
+                    disabled={!day.isSchoolDay}
+                  />
+                </td>
+                <td className="px-4 py-2">
+                  <input
+                    type="number"
+                    min="0"
+                    max="240"
+                    className="focus:ring-blue-500 focus:border-blue-500 block w-24 sm:text-sm border-gray-300 dark:border-gray-600 rounded-md dark:bg-slate-700 dark:text-white disabled:opacity-50"
+                    value={day.graceMinutes}
+                    onChange={(e) => updateDay(day.weekday, { graceMinutes: e.target.value })}
+                    disabled={!day.isSchoolDay}
+                  />
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="mt-4 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+        <div className="flex items-start text-xs text-gray-500 dark:text-gray-400">
+          <Info className="h-4 w-4 mr-1 flex-shrink-0 text-blue-400" />
+          Students whose first entry is later than the start time plus the grace period are marked late.
+        </div>
+        <button
+          onClick={saveSchoolHours}
+          disabled={saving}
+          className={`px-3 py-1.5 text-sm rounded-md shadow-sm text-white ${
+            saving
+              ? 'bg-gray-400 dark:bg-gray-600 cursor-not-allowed'
+              : 'bg-blue-600 hover:bg-blue-700 dark:bg-blue-700 dark:hover:bg-blue-800'
+          }`}
+        >
+          {saving ? 'Saving...' : 'Save School Hours'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default SchoolHoursSettings;
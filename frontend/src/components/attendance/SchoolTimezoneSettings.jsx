@@ -0,0 +1,120 @@
+import React, { useState, useEffect } from 'react';
+import { Info } from 'lucide-react';
+import { settingsService } from '../../services/api';
+import { toast } from 'react-toastify';
+import { formatSchoolTime, setSchoolTimezone } from '../../utils/schoolTime';
+
+const inputClassName = 'focus:ring-blue-500 focus:border-blue-500 block w-full sm:text-sm border-gray-300 dark:border-gray-600 rounded-md dark:bg-slate-700 dark:text-white';
+
+// IANA zones known to the browser, for suggestions while typing
+const TIMEZONES = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+
+const SchoolTimezoneSettings = () => {
+  const [timezone, setTimezone] = useState('');
+  const [current, setCurrent] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  // Load settings when component mounts
+  useEffect(() => {
+    const loadTimezone = async () => {
+      try {
+        setLoading(true);
+        const data = await settingsService.getTimezone();
+        setTimezone(data.timezone);
+        setCurrent(data);
+      } catch (error) {
+        console.error('Error loading school timezone:', error);
+        toast.error('Failed to load school timezone');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadTimezone();
+  }, []);
+
+  // Save settings
+  const saveTimezone = async () => {
+    try {
+      setSaving(true);
+      const data = await settingsService.updateTimezone(timezone.trim());
+      setTimezone(data.timezone);
+      setCurrent(data);
+      setSchoolTimezone(data.timezone);
+      toast.success('School timezone saved successfully');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save school timezone');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="py-4 flex justify-center">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-4">
+        <div>
+          <label htmlFor="schoolTimezone" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+            Timezone
+          </label>
+          <input
+            type="text"
+            id="schoolTimezone"
+            list="schoolTimezoneOptions"
+            className={`mt-1 ${inputClassName}`}
+            placeholder="e.g. Asia/Colombo"
+            value={timezone}
+            onChange={(e) => setTimezone(e.target.value)}
+          />
+          <datalist id="schoolTimezoneOptions">
+            {TIMEZONES.map(zone => (
+              <option key={zone} value={zone} />
+            ))}
+          </datalist>
+        </div>
+        {current && (
+          <div className="sm:mt-6 text-sm text-gray-600 dark:text-gray-300">
+            School time now: <span className="font-medium">{formatSchoolTime(current.currentTime, 'cccc, MMM d, hh:mm a')}</span>
+            <span className="ml-1 text-xs text-gray-500 dark:text-gray-400">(UTC{current.utcOffset})</span>
+          </div>
+        )}
+      </div>
+
+      <div className="flex justify-end">
+        <button
+          onClick={saveTimezone}
+          disabled={saving || !timezone.trim()}
+          className={`px-3 py-1.5 text-sm rounded-md shadow-sm text-white ${
+            saving || !timezone.trim()
+              ? 'bg-gray-400 dark:bg-gray-600 cursor-not-allowed'
+              : 'bg-blue-600 hover:bg-blue-700 dark:bg-blue-700 dark:hover:bg-blue-800'
+          }`}
+        >
+          {saving ? 'Saving...' : 'Save Settings'}
+        </button>
+      </div>
+
+      <div className="mt-6 bg-yellow-50 dark:bg-yellow-900/30 p-3 rounded-lg">
+        <div className="flex">
+          <div className="flex-shrink-0">
+            <Info className="h-5 w-5 text-yellow-400" aria-hidden="true" />
+          </div>
+          <p className="ml-3 text-sm text-yellow-700 dark:text-yellow-400">
+            School days, late arrivals, scheduled absence marking and reports all follow this timezone, whatever the timezone of the server or this browser.
+            Days already recorded keep their dates when it changes.
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SchoolTimezoneSettings;
@@ -3,14 +3,15 @@ import {
   CheckCircle,
   XCircle,
   Clock,
-  AlertTriangle
+  AlertTriangle,
+  FileCheck
 } from 'lucide-react';
 
 /**
  * Component to display attendance status with an appropriate badge style and icon
  * 
  * @param {Object} props
- * @param {string} props.status - The attendance status ('present', 'absent', 'entered', 'left')
+ * @param {string} props.status - The attendance status ('present', 'absent', 'entered', 'left', 'excused')
  */
 const StatusBadge = ({ status }) => {
   // Get the appropriate styles based on status
@@ -24,6 +25,8 @@ const StatusBadge = ({ status }) => {
         return 'bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-400';
       case 'left':
         return 'bg-orange-100 text-orange-800 dark:bg-orange-900/30 dark:text-orange-400';
+      case 'excused':
+        return 'bg-purple-100 text-purple-800 dark:bg-purple-900/30 dark:text-purple-400';
       default:
         return 'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-400';
     }
@@ -40,6 +43,8 @@ const StatusBadge = ({ status }) => {
         return <Clock className="h-4 w-4 mr-1" />;
       case 'left':
         return <AlertTriangle className="h-4 w-4 mr-1" />;
+      case 'excused':
+        return <FileCheck className="h-4 w-4 mr-1" />;
       default:
         return <Clock className="h-4 w-4 mr-1" />;
     }
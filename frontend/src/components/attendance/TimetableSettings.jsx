@@ -0,0 +1,367 @@
+import React, { useState, useEffect } from 'react';
+import { Plus, Trash2, Info } from 'lucide-react';
+import { classService, timetableService } from '../../services/api';
+import { toast } from 'react-toastify';
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const emptyPeriod = {
+  name: '',
+  startTime: '08:00',
+  endTime: '08:45'
+};
+
+const emptyEntry = {
+  weekday: '1',
+  period: '',
+  subject: '',
+  teacher: '',
+  room: ''
+};
+
+const inputClassName = 'focus:ring-blue-500 focus:border-blue-500 block w-full sm:text-sm border-gray-300 dark:border-gray-600 rounded-md dark:bg-slate-700 dark:text-white';
+
+const TimetableSettings = () => {
+  const [periods, setPeriods] = useState([]);
+  const [sections, setSections] = useState([]);
+  const [teachers, setTeachers] = useState([]);
+  const [sectionId, setSectionId] = useState('');
+  const [entries, setEntries] = useState([]);
+  const [newPeriod, setNewPeriod] = useState(emptyPeriod);
+  const [newEntry, setNewEntry] = useState(emptyEntry);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  const loadPeriods = async () => {
+    setPeriods(await timetableService.getPeriods());
+  };
+
+  // Load the bell schedule, sections and teachers when component mounts
+  useEffect(() => {
+    const loadSettings = async () => {
+      try {
+        setLoading(true);
+        const [, classData, teacherList] = await Promise.all([
+          loadPeriods(),
+          classService.getClasses(),
+          classService.getTeachers()
+        ]);
+        const sectionList = (classData.classes || []).flatMap(schoolClass => schoolClass.sections);
+        setSections(sectionList);
+        setTeachers(teacherList);
+        if (sectionList.length > 0) setSectionId(sectionList[0]._id);
+      } catch (error) {
+        console.error('Error loading timetable settings:', error);
+        toast.error('Failed to load timetable');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadSettings();
+  }, []);
+
+  // Load the timetable of the selected section
+  useEffect(() => {
+    if (!sectionId) {
+      setEntries([]);
+      return;
+    }
+
+    timetableService.getTimetable({ sectionId })
+      .then(setEntries)
+      .catch(() => toast.error('Failed to load timetable'));
+  }, [sectionId]);
+
+  const addPeriod = async (e) => {
+    e.preventDefault();
+
+    if (!newPeriod.name.trim()) {
+      toast.error('Period name is required');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      await timetableService.createPeriod(newPeriod);
+      await loadPeriods();
+      setNewPeriod(emptyPeriod);
+      toast.success('Period added');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to add period');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const removePeriod = async (period) => {
+    if (!window.confirm(`Remove ${period.name} from the bell schedule?`)) return;
+
+    try {
+      await timetableService.deletePeriod(period._id);
+      await loadPeriods();
+      toast.success('Period removed');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to remove period');
+    }
+  };
+
+  const addEntry = async (e) => {
+    e.preventDefault();
+
+    if (!newEntry.period || !newEntry.subject.trim()) {
+      toast.error('Period and subject are required');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      await timetableService.createEntry({
+        ...newEntry,
+        section: sectionId,
+        weekday: Number(newEntry.weekday),
+        teacher: newEntry.teacher || null
+      });
+      setEntries(await timetableService.getTimetable({ sectionId }));
+      setNewEntry({ ...emptyEntry, weekday: newEntry.weekday });
+      toast.success('Lesson added');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to add lesson');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const removeEntry = async (entry) => {
+    if (!window.confirm(`Remove ${entry.subject} on ${WEEKDAYS[entry.weekday]} from the timetable?`)) return;
+
+    try {
+      await timetableService.deleteEntry(entry._id);
+      setEntries(prev => prev.filter(item => item._id !== entry._id));
+      toast.success('Lesson removed');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to remove lesson');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="py-4 flex justify-center">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <h4 className="text-sm font-medium text-gray-900 dark:text-white">Bell Schedule</h4>
+      <form onSubmit={addPeriod} className="mt-2 grid grid-cols-1 sm:grid-cols-4 gap-3 items-end">
+        <div className="sm:col-span-2">
+          <label htmlFor="periodName" className="block text-xs font-medium text-gray-700 dark:text-gray-300">Period</label>
+          <input
+            id="periodName"
+            type="text"
+            className={`mt-1 ${inputClassName}`}
+            placeholder="e.g. Period 1"
+            value={newPeriod.name}
+            onChange={(e) => setNewPeriod({ ...newPeriod, name: e.target.value })}
+          />
+        </div>
+        <div>
+          <label htmlFor="periodStart" className="block text-xs font-medium text-gray-700 dark:text-gray-300">Starts</label>
+          <input
+            id="periodStart"
+            type="time"
+            className={`mt-1 ${inputClassName}`}
+            value={newPeriod.startTime}
+            onChange={(e) => setNewPeriod({ ...newPeriod, startTime: e.target.value })}
+          />
+        </div>
+        <div>
+          <label htmlFor="periodEnd" className="block text-xs font-medium text-gray-700 dark:text-gray-300">Ends</label>
+          <div className="mt-1 flex space-x-2">
+            <input
+              id="periodEnd"
+              type="time"
+              className={inputClassName}
+              value={newPeriod.endTime}
+              onChange={(e) => setNewPeriod({ ...newPeriod, endTime: e.target.value })}
+            />
+            <button
+              type="submit"
+              disabled={saving}
+              className={`inline-flex items-center px-2 rounded-md shadow-sm text-white ${
+                saving
+                  ? 'bg-gray-400 dark:bg-gray-600 cursor-not-allowed'
+                  : 'bg-blue-600 hover:bg-blue-700 dark:bg-blue-700 dark:hover:bg-blue-800'
+              }`}
+              title="Add period"
+            >
+              <Plus className="h-4 w-4" />
+            </button>
+          </div>
+        </div>
+      </form>
+
+      {periods.length === 0 ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400 text-center py-4">
+          No periods yet. Add the bell schedule before timetabling lessons.
+        </p>
+      ) : (
+        <ul className="mt-3 divide-y divide-gray-200 dark:divide-slate-700">
+          {periods.map(period => (
+            <li key={period._id} className="py-2 flex items-center justify-between">
+              <div className="flex items-center min-w-0">
+                <span className="text-sm font-medium text-gray-900 dark:text-white truncate">{period.name}</span>
+                <span className="ml-3 text-xs text-gray-500 dark:text-gray-400 whitespace-nowrap">
+                  {period.startTime} – {period.endTime}
+                </span>
+              </div>
+              <button
+                onClick={() => removePeriod(period)}
+                className="ml-3 p-1 text-gray-400 hover:text-red-600 dark:hover:text-red-400"
+                title="Remove period"
+              >
+                <Trash2 className="h-4 w-4" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="mt-6 flex items-center justify-between">
+        <h4 className="text-sm font-medium text-gray-900 dark:text-white">Weekly Timetable</h4>
+        <select
+          aria-label="Section"
+          className={`${inputClassName} w-auto`}
+          value={sectionId}
+          onChange={(e) => setSectionId(e.target.value)}
+        >
+          {sections.length === 0 && <option value="">No sections</option>}
+          {sections.map(section => (
+            <option key={section._id} value={section._id}>{section.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {sectionId && periods.length > 0 && (
+        <form onSubmit={addEntry} className="mt-3 grid grid-cols-2 sm:grid-cols-6 gap-3 items-end">
+          <div>
+            <label htmlFor="entryWeekday" className="block text-xs font-medium text-gray-700 dark:text-gray-300">Day</label>
+            <select
+              id="entryWeekday"
+              className={`mt-1 ${inputClassName}`}
+              value={newEntry.weekday}
+              onChange={(e) => setNewEntry({ ...newEntry, weekday: e.target.value })}
+            >
+              {WEEKDAYS.map((day, index) => (
+                <option key={day} value={index}>{day}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="entryPeriod" className="block text-xs font-medium text-gray-700 dark:text-gray-300">Period</label>
+            <select
+              id="entryPeriod"
+              className={`mt-1 ${inputClassName}`}
+              value={newEntry.period}
+              onChange={(e) => setNewEntry({ ...newEntry, period: e.target.value })}
+            >
+              <option value="">Select…</option>
+              {periods.map(period => (
+                <option key={period._id} value={period._id}>{period.name}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="entrySubject" className="block text-xs font-medium text-gray-700 dark:text-gray-300">Subject</label>
+            <input
+              id="entrySubject"
+              type="text"
+              className={`mt-1 ${inputClassName}`}
+              placeholder="e.g. Maths"
+              value={newEntry.subject}
+              onChange={(e) => setNewEntry({ ...newEntry, subject: e.target.value })}
+            />
+          </div>
+          <div>
+            <label htmlFor="entryTeacher" className="block text-xs font-medium text-gray-700 dark:text-gray-300">Teacher</label>
+            <select
+              id="entryTeacher"
+              className={`mt-1 ${inputClassName}`}
+              value={newEntry.teacher}
+              onChange={(e) => setNewEntry({ ...newEntry, teacher: e.target.value })}
+            >
+              <option value="">No teacher</option>
+              {teachers.map(teacher => (
+                <option key={teacher._id} value={teacher._id}>{teacher.name}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="entryRoom" className="block text-xs font-medium text-gray-700 dark:text-gray-300">Room</label>
+            <input
+              id="entryRoom"
+              type="text"
+              className={`mt-1 ${inputClassName}`}
+              value={newEntry.room}
+              onChange={(e) => setNewEntry({ ...newEntry, room: e.target.value })}
+            />
+          </div>
+          <div>
+            <button
+              type="submit"
+              disabled={saving}
+              className={`w-full inline-flex justify-center items-center px-3 py-2 rounded-md shadow-sm text-sm text-white ${
+                saving
+                  ? 'bg-gray-400 dark:bg-gray-600 cursor-not-allowed'
+                  : 'bg-blue-600 hover:bg-blue-700 dark:bg-blue-700 dark:hover:bg-blue-800'
+              }`}
+            >
+              <Plus className="h-4 w-4 mr-1" /> Add
+            </button>
+          </div>
+        </form>
+      )}
+
+      <div className="mt-3 flex items-start text-xs text-gray-500 dark:text-gray-400">
+        <Info className="h-4 w-4 mr-1 flex-shrink-0 text-blue-400" />
+        Teachers take the register of their lessons from the Lessons page. Students the gate has on campus but who miss a lesson are flagged there.
+      </div>
+
+      {sectionId && (
+        entries.length === 0 ? (
+          <p className="text-sm text-gray-500 dark:text-gray-400 text-center py-4">
+            No lessons timetabled for this section.
+          </p>
+        ) : (
+          <ul className="mt-3 divide-y divide-gray-200 dark:divide-slate-700">
+            {entries.map(entry => (
+              <li key={entry._id} className="py-2 flex items-center justify-between">
+                <div className="flex items-center min-w-0 text-sm">
+                  <span className="w-24 text-gray-500 dark:text-gray-400">{WEEKDAYS[entry.weekday]}</span>
+                  <span className="w-28 text-xs text-gray-500 dark:text-gray-400 whitespace-nowrap">
+                    {entry.period?.name} ({entry.period?.startTime})
+                  </span>
+                  <span className="font-medium text-gray-900 dark:text-white truncate">{entry.subject}</span>
+                  <span className="ml-3 text-xs text-gray-500 dark:text-gray-400 truncate">
+                    {[entry.teacher?.name, entry.room].filter(Boolean).join(' · ')}
+                  </span>
+                </div>
+                <button
+                  onClick={() => removeEntry(entry)}
+                  className="ml-3 p-1 text-gray-400 hover:text-red-600 dark:hover:text-red-400"
+                  title="Remove lesson"
+                >
+                  <Trash2 className="h-4 w-4" />
+                </button>
+              </li>
+            ))}
+          </ul>
+        )
+      )}
+    </div>
+  );
+};
+
+export default TimetableSettings;
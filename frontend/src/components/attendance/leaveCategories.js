@@ -0,0 +1,8 @@
+// Reasons a student can be excused for, matching the leave request model
+export const LEAVE_CATEGORIES = [
+  { value: 'medical', label: 'Medical' },
+  { value: 'family', label: 'Family' },
+  { value: 'school_activity', label: 'School Activity' },
+  { value: 'religious', label: 'Religious' },
+  { value: 'other', label: 'Other' }
+];
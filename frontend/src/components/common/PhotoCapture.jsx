@@ -0,0 +1,125 @@
+import React, { useState, useRef, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import Webcam from 'react-webcam';
+import { Camera, Upload, X } from 'lucide-react';
+
+const buttonClassName = 'inline-flex items-center px-3 py-1.5 text-sm rounded-md border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 bg-white dark:bg-gray-700 hover:bg-gray-50 dark:hover:bg-gray-600 disabled:opacity-50';
+
+// Pick a photo from a file or take one with the webcam. The chosen photo is
+// passed to onChange as a Blob (null when cleared), with a preview shown.
+const PhotoCapture = ({ previewUrl, onChange, disabled }) => {
+  const [cameraOpen, setCameraOpen] = useState(false);
+  const [cameraError, setCameraError] = useState('');
+  const [localPreview, setLocalPreview] = useState(null);
+  const webcamRef = useRef(null);
+  const fileInputRef = useRef(null);
+
+  // Free the preview of the photo picked before
+  useEffect(() => () => {
+    if (localPreview) URL.revokeObjectURL(localPreview);
+  }, [localPreview]);
+
+  const choose = (blob) => {
+    setLocalPreview(blob ? URL.createObjectURL(blob) : null);
+    onChange(blob);
+  };
+
+  const chooseFile = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (file) choose(file);
+  };
+
+  const takePhoto = async () => {
+    const imageSrc = webcamRef.current?.getScreenshot();
+    if (!imageSrc) return;
+    const blob = await (await fetch(imageSrc)).blob();
+    setCameraOpen(false);
+    choose(new File([blob], 'webcam.jpg', { type: 'image/jpeg' }));
+  };
+
+  const shown = localPreview || previewUrl;
+
+  return (
+    <div className="flex flex-col sm:flex-row gap-4 items-start">
+      <div className="w-32 h-40 flex-shrink-0 rounded-lg overflow-hidden border border-gray-200 dark:border-gray-600 bg-gray-100 dark:bg-gray-700 flex items-center justify-center">
+        {cameraOpen ? (
+          <Webcam
+            ref={webcamRef}
+            audio={false}
+            screenshotFormat="image/jpeg"
+            screenshotQuality={0.92}
+            videoConstraints={{ facingMode: 'user', width: { ideal: 960 }, height: { ideal: 1200 } }}
+            className="w-full h-full object-cover"
+            onUserMediaError={(err) => {
+              console.error('Webcam error:', err);
+              setCameraError('Could not open the camera: ' + (err.message || err.name || 'permission denied'));
+              setCameraOpen(false);
+            }}
+          />
+        ) : shown ? (
+          <img src={shown} alt="Student" className="w-full h-full object-cover" />
+        ) : (
+          <Camera className="h-8 w-8 text-gray-400" />
+        )}
+      </div>
+
+      <div className="space-y-2">
+        <div className="flex flex-wrap gap-2">
+          {cameraOpen ? (
+            <>
+              <button type="button" onClick={takePhoto} className={buttonClassName}>
+                <Camera className="h-4 w-4 mr-1" />
+                Take Photo
+              </button>
+              <button type="button" onClick={() => setCameraOpen(false)} className={buttonClassName}>
+                Cancel
+              </button>
+            </>
+          ) : (
+            <>
+              <button
+                type="button"
+                disabled={disabled}
+                onClick={() => { setCameraError(''); setCameraOpen(true); }}
+                className={buttonClassName}
+              >
+                <Camera className="h-4 w-4 mr-1" />
+                Use Webcam
+              </button>
+              <button type="button" disabled={disabled} onClick={() => fileInputRef.current?.click()} className={buttonClassName}>
+                <Upload className="h-4 w-4 mr-1" />
+                Upload
+              </button>
+              {localPreview && (
+                <button type="button" disabled={disabled} onClick={() => choose(null)} className={buttonClassName}>
+                  <X className="h-4 w-4 mr-1" />
+                  Clear
+                </button>
+              )}
+            </>
+          )}
+        </div>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="image/jpeg,image/png,image/webp"
+          className="hidden"
+          onChange={chooseFile}
+        />
+        {cameraError && <p className="text-xs text-red-600 dark:text-red-400">{cameraError}</p>}
+        <p className="text-xs text-gray-500 dark:text-gray-400 max-w-xs">
+          A clear, front-facing photo. The gatekeeper sees it on every scan to check the card belongs to the student.
+        </p>
+      </div>
+    </div>
+  );
+};
+
+PhotoCapture.propTypes = {
+  previewUrl: PropTypes.string,
+  onChange: PropTypes.func.isRequired,
+  disabled: PropTypes.bool
+};
+
+export default PhotoCapture;
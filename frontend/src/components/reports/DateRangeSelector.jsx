@@ -2,26 +2,20 @@ import React, { useState, useEffect } from 'react';
 import { Calendar } from 'lucide-react';
 import DatePicker from 'react-datepicker';
 import 'react-datepicker/dist/react-datepicker.css';
-import { DateTime } from 'luxon';
+import { toSchoolTime, toDayKey } from '../../utils/schoolTime';
 import { useTheme } from '../../context/ThemeContext';
 
-// Helper function to format date for input
-const formatDate = (date) => {
-  if (!date) return '';
-  try {
-    return DateTime.fromJSDate(new Date(date)).toFormat('yyyy-MM-dd');
-  } catch (error) {
-    console.error('Date formatting error:', error);
-    return '';
-  }
-};
+// Helper function to format date for input, as the day in the school timezone
+const formatDate = (date) => (date ? toDayKey(date) : '');
+
+// Day picked in a date input, as midnight in the school timezone
+const fromDayInput = (value) => toSchoolTime(value).toJSDate();
 
 // DateRangeSelector component for Weekly and Monthly reports
 const DateRangeSelector = ({ reportType, selectedDate, setSelectedDate, startDate, setStartDate, endDate, setEndDate }) => {
   const { theme } = useTheme();
-  const todayDate = new Date();
-  const today = formatDate(todayDate);
-  const formattedToday = todayDate.toLocaleDateString('en-US', { year: 'numeric', month: '2-digit', day: '2-digit' });
+  const today = toDayKey();
+  const formattedToday = toSchoolTime().toFormat('MM/dd/yyyy');
   
   // For daily report, just show date picker
   if (reportType === 'daily') {
@@ -37,7 +31,7 @@ const DateRangeSelector = ({ reportType, selectedDate, setSelectedDate, startDat
             value={formatDate(selectedDate)}
             onChange={(e) => {
               if (e.target.value) {
-                setSelectedDate(new Date(e.target.value));
+                setSelectedDate(fromDayInput(e.target.value));
               }
             }}
             max={today}
@@ -66,7 +60,7 @@ const DateRangeSelector = ({ reportType, selectedDate, setSelectedDate, startDat
                 value={formatDate(startDate)}
                 onChange={(e) => {
                   if (e.target.value) {
-                    const newStartDate = new Date(e.target.value);
+                    const newStartDate = fromDayInput(e.target.value);
                     setStartDate(newStartDate);
                     
                     // If end date is before start date, set end date to start date
@@ -90,7 +84,7 @@ const DateRangeSelector = ({ reportType, selectedDate, setSelectedDate, startDat
                 value={formatDate(endDate)}
                 onChange={(e) => {
                   if (e.target.value) {
-                    setEndDate(new Date(e.target.value));
+                    setEndDate(fromDayInput(e.target.value));
                   }
                 }}
                 max={today}
@@ -123,7 +117,7 @@ const DateRangeSelector = ({ reportType, selectedDate, setSelectedDate, startDat
               value={formatDate(startDate)}
               onChange={(e) => {
                 if (e.target.value) {
-                  const newStartDate = new Date(e.target.value);
+                  const newStartDate = fromDayInput(e.target.value);
                   setStartDate(newStartDate);
                   
                   // If end date is before start date, set end date to start date
@@ -147,7 +141,7 @@ const DateRangeSelector = ({ reportType, selectedDate, setSelectedDate, startDat
               value={formatDate(endDate)}
               onChange={(e) => {
                 if (e.target.value) {
-                  setEndDate(new Date(e.target.value));
+                  setEndDate(fromDayInput(e.target.value));
                 }
               }}
               max={today}
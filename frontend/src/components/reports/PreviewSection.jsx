@@ -2,6 +2,7 @@ import React, { useMemo, useState } from 'react';
 import { AlertCircle, Eye } from 'lucide-react';
 import { calculateEnhancedDuration, formatTime } from '../../utils/formatters';
 import { DateTime } from 'luxon';
+import { getSchoolTimezone } from '../../utils/schoolTime';
 import { motion } from 'framer-motion';
 
 // Enhanced time formatting function to handle MongoDB $numberLong format
@@ -14,11 +15,11 @@ const formatEnhancedTime = (time) => {
       if (time.$date.$numberLong) {
         const timestamp = parseInt(time.$date.$numberLong);
         return DateTime.fromMillis(timestamp)
-          .setZone('Asia/Colombo')
+          .setZone(getSchoolTimezone())
           .toLocaleString(DateTime.TIME_WITH_SECONDS);
       } else if (typeof time.$date === 'string') {
         return DateTime.fromISO(time.$date)
-          .setZone('Asia/Colombo')
+          .setZone(getSchoolTimezone())
           .toLocaleString(DateTime.TIME_WITH_SECONDS);
       }
     }
@@ -26,14 +27,14 @@ const formatEnhancedTime = (time) => {
     // Handle standard MongoDB ISODate format
     if (typeof time === 'object' && time.$$date) {
       return DateTime.fromMillis(time.$$date)
-        .setZone('Asia/Colombo')
+        .setZone(getSchoolTimezone())
         .toLocaleString(DateTime.TIME_WITH_SECONDS);
     }
     
     // Handle Date object
     if (time instanceof Date) {
       return DateTime.fromJSDate(time)
-        .setZone('Asia/Colombo')
+        .setZone(getSchoolTimezone())
         .toLocaleString(DateTime.TIME_WITH_SECONDS);
     }
     
@@ -42,7 +43,7 @@ const formatEnhancedTime = (time) => {
       const parsedTime = DateTime.fromISO(time);
       if (parsedTime.isValid) {
         return parsedTime
-          .setZone('Asia/Colombo')
+          .setZone(getSchoolTimezone())
           .toLocaleString(DateTime.TIME_WITH_SECONDS);
       }
     }
@@ -50,7 +51,7 @@ const formatEnhancedTime = (time) => {
     // Handle timestamp (number)
     if (typeof time === 'number') {
       return DateTime.fromMillis(time)
-        .setZone('Asia/Colombo')
+        .setZone(getSchoolTimezone())
         .toLocaleString(DateTime.TIME_WITH_SECONDS);
     }
     
@@ -58,7 +59,7 @@ const formatEnhancedTime = (time) => {
     const fallbackDate = new Date(time);
     if (!isNaN(fallbackDate.getTime())) {
       return DateTime.fromJSDate(fallbackDate)
-        .setZone('Asia/Colombo')
+        .setZone(getSchoolTimezone())
         .toLocaleString(DateTime.TIME_WITH_SECONDS);
     }
     
@@ -80,11 +81,11 @@ const formatEnhancedDate = (date) => {
       if (date.$date.$numberLong) {
         const timestamp = parseInt(date.$date.$numberLong);
         return DateTime.fromMillis(timestamp)
-          .setZone('Asia/Colombo')
+          .setZone(getSchoolTimezone())
           .toLocaleString(DateTime.DATE_MED);
       } else if (typeof date.$date === 'string') {
         return DateTime.fromISO(date.$date)
-          .setZone('Asia/Colombo')
+          .setZone(getSchoolTimezone())
           .toLocaleString(DateTime.DATE_MED);
       }
     }
@@ -92,7 +93,7 @@ const formatEnhancedDate = (date) => {
     // Handle Date object
     if (date instanceof Date) {
       return DateTime.fromJSDate(date)
-        .setZone('Asia/Colombo')
+        .setZone(getSchoolTimezone())
         .toLocaleString(DateTime.DATE_MED);
     }
     
@@ -100,14 +101,14 @@ const formatEnhancedDate = (date) => {
     if (typeof date === 'string') {
       const parsedDate = DateTime.fromISO(date);
       if (parsedDate.isValid) {
-        return parsedDate.setZone('Asia/Colombo').toLocaleString(DateTime.DATE_MED);
+        return parsedDate.setZone(getSchoolTimezone()).toLocaleString(DateTime.DATE_MED);
       }
     }
     
     // Handle timestamp
     if (typeof date === 'number') {
       return DateTime.fromMillis(date)
-        .setZone('Asia/Colombo')
+        .setZone(getSchoolTimezone())
         .toLocaleString(DateTime.DATE_MED);
     }
     
@@ -115,7 +116,7 @@ const formatEnhancedDate = (date) => {
     const fallbackDate = new Date(date);
     if (!isNaN(fallbackDate.getTime())) {
       return DateTime.fromJSDate(fallbackDate)
-        .setZone('Asia/Colombo')
+        .setZone(getSchoolTimezone())
         .toLocaleString(DateTime.DATE_MED);
     }
     
@@ -195,9 +196,10 @@ const PreviewSection = ({ reportType, previewData, loading, error, selectedDate
             <th className="px-4 py-3 text-left text-xs font-medium text-white dark:text-white uppercase tracking-wider">Name</th>
             <th className="px-4 py-3 text-left text-xs font-medium text-white dark:text-white uppercase tracking-wider">Index Number</th>
             <th className="px-4 py-3 text-left text-xs font-medium text-white dark:text-white uppercase tracking-wider">Status</th>
-            <th className="px-4 py-3 text-left text-xs font-medium text-white dark:text-white uppercase tracking-wider">Entry Time</th>
-            <th className="px-4 py-3 text-left text-xs font-medium text-white dark:text-white uppercase tracking-wider">Leave Time</th>
-            <th className="px-4 py-3 text-left text-xs font-medium text-white dark:text-white uppercase tracking-wider">Duration</th>
+            <th className="px-4 py-3 text-left text-xs font-medium text-white dark:text-white uppercase tracking-wider">First In</th>
+            <th className="px-4 py-3 text-left text-xs font-medium text-white dark:text-white uppercase tracking-wider">Last Out</th>
+            <th className="px-4 py-3 text-left text-xs font-medium text-white dark:text-white uppercase tracking-wider">Exits</th>
+            <th className="px-4 py-3 text-left text-xs font-medium text-white dark:text-white uppercase tracking-wider">Time on Campus</th>
           </tr>
         );
       case 'weekly':
@@ -226,9 +228,10 @@ const PreviewSection = ({ reportType, previewData, loading, error, selectedDate
           <tr>
             <th className="px-4 py-3 text-left text-xs font-medium text-white dark:text-white uppercase tracking-wider">Date</th>
             <th className="px-4 py-3 text-left text-xs font-medium text-white dark:text-white uppercase tracking-wider">Status</th>
-            <th className="px-4 py-3 text-left text-xs font-medium text-white dark:text-white uppercase tracking-wider">Entry Time</th>
-            <th className="px-4 py-3 text-left text-xs font-medium text-white dark:text-white uppercase tracking-wider">Leave Time</th>
-            <th className="px-4 py-3 text-left text-xs font-medium text-white dark:text-white uppercase tracking-wider">Duration</th>
+            <th className="px-4 py-3 text-left text-xs font-medium text-white dark:text-white uppercase tracking-wider">First In</th>
+            <th className="px-4 py-3 text-left text-xs font-medium text-white dark:text-white uppercase tracking-wider">Last Out</th>
+            <th className="px-4 py-3 text-left text-xs font-medium text-white dark:text-white uppercase tracking-wider">Exits</th>
+            <th className="px-4 py-3 text-left text-xs font-medium text-white dark:text-white uppercase tracking-wider">Time on Campus</th>
           </tr>
         );
       default:
@@ -252,7 +255,7 @@ const PreviewSection = ({ reportType, previewData, loading, error, selectedDate
       if (!students || !Array.isArray(students) || students.length === 0) {
         return (
           <tr>
-            <td colSpan="6" className="px-4 py-3 text-center text-gray-500 dark:text-gray-400">
+            <td colSpan="7" className="px-4 py-3 text-center text-gray-500 dark:text-gray-400">
               No data available for selected date
             </td>
           </tr>
@@ -304,10 +307,11 @@ const PreviewSection = ({ reportType, previewData, loading, error, selectedDate
             </td>
             <td className="px-4 py-3 text-sm text-gray-900 dark:text-gray-100">{formatEnhancedTime(entryTime)}</td>
             <td className="px-4 py-3 text-sm text-gray-900 dark:text-gray-100">{formatEnhancedTime(leaveTime)}</td>
+            <td className="px-4 py-3 text-sm text-gray-900 dark:text-gray-100">{item.exitCount ?? 0}</td>
             <td className="px-4 py-3 text-sm text-gray-900 dark:text-gray-100">
-              {entryTime && leaveTime 
+              {item.timeOnCampus || (entryTime && leaveTime 
                 ? calculateEnhancedDuration(entryTime, leaveTime) 
-                : 'N/A'}
+                : 'N/A')}
             </td>
           </tr>
         );
@@ -400,7 +404,7 @@ const PreviewSection = ({ reportType, previewData, loading, error, selectedDate
       
       return records.length === 0 ? (
         <tr>
-          <td colSpan="5" className="px-4 py-3 text-center text-gray-500 dark:text-gray-400">
+          <td colSpan="6" className="px-4 py-3 text-center text-gray-500 dark:text-gray-400">
             No data available for selected student
           </td>
         </tr>
@@ -419,10 +423,11 @@ const PreviewSection = ({ reportType, previewData, loading, error, selectedDate
           </td>
           <td className="px-4 py-3 text-sm text-gray-900 dark:text-gray-100">{formatEnhancedTime(item.entryTime)}</td>
           <td className="px-4 py-3 text-sm text-gray-900 dark:text-gray-100">{formatEnhancedTime(item.leaveTime)}</td>
+          <td className="px-4 py-3 text-sm text-gray-900 dark:text-gray-100">{item.exitCount ?? 0}</td>
           <td className="px-4 py-3 text-sm text-gray-900 dark:text-gray-100">
-            {item.entryTime && item.leaveTime 
+            {item.timeOnCampus || (item.entryTime && item.leaveTime 
               ? calculateEnhancedDuration(item.entryTime, item.leaveTime) 
-              : 'N/A'}
+              : 'N/A')}
           </td>
         </tr>
       ));
@@ -1,31 +1,9 @@
 import React from 'react';
 import { DateTime } from 'luxon';
+import { formatSchoolTime } from '../../utils/schoolTime';
 
 // Helper to format dates in reports
-const formatReportDate = (date) => {
-  if (!date) return 'N/A';
-  
-  try {
-    if (date instanceof Date) {
-      return DateTime.fromJSDate(date).toLocaleString(DateTime.DATE_FULL);
-    }
-    
-    if (typeof date === 'string') {
-      return DateTime.fromISO(date).toLocaleString(DateTime.DATE_FULL);
-    }
-    
-    // Last resort
-    const fallbackDate = new Date(date);
-    if (!isNaN(fallbackDate.getTime())) {
-      return DateTime.fromJSDate(fallbackDate).toLocaleString(DateTime.DATE_FULL);
-    }
-    
-    return 'N/A';
-  } catch (e) {
-    console.warn(`Error formatting date: ${date}`, e);
-    return 'N/A';
-  }
-};
+const formatReportDate = (date) => formatSchoolTime(date, DateTime.DATE_FULL);
 
 // ReportTemplate component for generating downloadable reports
 const ReportTemplate = ({ 
@@ -103,10 +81,10 @@ const ReportTemplate = ({
               <td className="border border-gray-300 px-4 py-2">{student.indexNumber || 'N/A'}</td>
               <td className="border border-gray-300 px-4 py-2">{student.status || 'N/A'}</td>
               <td className="border border-gray-300 px-4 py-2">
-                {student.entryTime ? new Date(student.entryTime).toLocaleTimeString() : 'N/A'}
+                {formatSchoolTime(student.entryTime, 'hh:mm:ss a')}
               </td>
               <td className="border border-gray-300 px-4 py-2">
-                {student.leaveTime ? new Date(student.leaveTime).toLocaleTimeString() : 'N/A'}
+                {formatSchoolTime(student.leaveTime, 'hh:mm:ss a')}
               </td>
               <td className="border border-gray-300 px-4 py-2">
                 {student.duration || (
@@ -264,10 +242,10 @@ const ReportTemplate = ({
                 </td>
                 <td className="border border-gray-300 px-4 py-2">{record.status || 'N/A'}</td>
                 <td className="border border-gray-300 px-4 py-2">
-                  {record.entryTime ? new Date(record.entryTime).toLocaleTimeString() : 'N/A'}
+                  {formatSchoolTime(record.entryTime, 'hh:mm:ss a')}
                 </td>
                 <td className="border border-gray-300 px-4 py-2">
-                  {record.leaveTime ? new Date(record.leaveTime).toLocaleTimeString() : 'N/A'}
+                  {formatSchoolTime(record.leaveTime, 'hh:mm:ss a')}
                 </td>
                 <td className="border border-gray-300 px-4 py-2">
                   {record.duration || (
@@ -4,6 +4,7 @@ import ToastHelper from '../ToastHelper';
 import jsQR from 'jsqr';
 import { motion } from 'framer-motion';
 import { attendanceService, messagingService } from '../../services/api';
+import { parseScannedText, isScannableCode } from '../../utils/qrPayload';
 
 const DigitalQRScanner = ({ onScanSuccess, onScanError }) => {
   const [loading, setLoading] = useState(false);
@@ -187,10 +188,10 @@ const DigitalQRScanner = ({ onScanSuccess, onScanError }) => {
         setProcessingStatus('QR code found! Verifying...');
         
         try {
-          // Try to parse as JSON first
+          // A signed token or JSON first
           let qrData;
           try {
-            qrData = JSON.parse(code.data);
+            qrData = parseScannedText(code.data);
           } catch (e) {
             // If not valid JSON, try to handle URL format
             // Check if it's a URL with student data in query params
@@ -231,8 +232,8 @@ const DigitalQRScanner = ({ onScanSuccess, onScanError }) => {
     try {
       console.log('Processing QR data:', qrData);
       
-      // Validate QR data
-      if (!qrData.indexNumber) {
+      // Validate QR data: a student or staff code, or a visitor pass
+      if (!isScannableCode(qrData)) {
         throw new Error('Invalid QR code data. Missing student index number.');
       }
       
@@ -250,7 +251,10 @@ const DigitalQRScanner = ({ onScanSuccess, onScanError }) => {
       
       // Process the response data
       const processedData = {
+        visitorPass: qrData.visitorPass,
+        staffId: qrData.staffId || response.data.staffInfo?.staffId,
         id: response.data.studentInfo?.id,
+        hasPhoto: Boolean(response.data.studentInfo?.hasPhoto),
         indexNumber: response.data.studentInfo?.indexNumber || qrData.indexNumber,
         name: response.data.studentInfo?.name || qrData.name,
         status: response.data.attendanceStatus || 'entered',
@@ -266,8 +270,12 @@ const DigitalQRScanner = ({ onScanSuccess, onScanError }) => {
         onScanSuccess(processedData);
       }
       
-      // Show success message
-      ToastHelper.success(response.data.message || 'Attendance marked successfully');
+      // Show success message; a scan queued while offline is not marked yet
+      if (response.data.queued) {
+        ToastHelper.info(response.data.message);
+      } else {
+        ToastHelper.success(response.data.message || 'Attendance marked successfully');
+      }
       
       // Reset the scanner
       resetScanner();
@@ -275,11 +283,18 @@ const DigitalQRScanner = ({ onScanSuccess, onScanError }) => {
       console.error('Error processing QR code:', error);
       setLoading(false);
       
+      // Prefer the server's explanation, e.g. why a scan was turned away
+      const message = error.response?.data?.message || error.message || 'Failed to process attendance';
+      
       // Set API error
-      setApiError(error.message || 'Failed to process attendance');
+      setApiError(message);
       
-      // Show error message
-      ToastHelper.error(error.message || 'Failed to process attendance');
+      // Show error message; scans turned away by the scan rules are only a warning
+      if (error.response?.data?.rejected) {
+        ToastHelper.warning(message);
+      } else {
+        ToastHelper.error(message);
+      }
       
       // Call error callback if provided
       if (onScanError) {
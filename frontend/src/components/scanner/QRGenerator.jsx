@@ -1,6 +1,5 @@
 import { useState, useRef, useEffect, useCallback } from 'react';
-import { QRCodeCanvas } from 'qrcode.react';
-import { studentService } from '../../services/api';
+import { studentService, qrCodeService } from '../../services/api';
 import { toast } from 'react-toastify';
 import { motion } from 'framer-motion';
 import { 
@@ -32,6 +31,8 @@ const QRGenerator = () => {
   const [isOffline, setIsOffline] = useState(!navigator.onLine);
   const [isDownloading, setIsDownloading] = useState(false);
   const [isCopied, setIsCopied] = useState(false);
+  // Object URL of the selected student's code, signed by the server
+  const [qrImageUrl, setQrImageUrl] = useState(null);
   const MAX_RETRIES = 3;
   const searchTimeoutRef = useRef(null);
   const qrRef = useRef();
@@ -153,6 +154,33 @@ const QRGenerator = () => {
     }
   }, [studentData, apiError]);
 
+  // Codes carry a token only the server can sign, so the image comes from it
+  useEffect(() => {
+    if (!studentData._id) return undefined;
+    let url = null;
+    let cancelled = false;
+
+    qrCodeService.downloadStylishQRCode(studentData._id)
+      .then(response => {
+        url = URL.createObjectURL(response.data);
+        if (cancelled) {
+          URL.revokeObjectURL(url);
+        } else {
+          setQrImageUrl(url);
+        }
+      })
+      .catch(error => {
+        console.error('Error loading QR code:', error);
+        toast.error('Failed to load QR code');
+      });
+
+    return () => {
+      cancelled = true;
+      setQrImageUrl(null);
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [studentData._id]);
+
   const handleSelectStudent = (student) => {
     setStudentData({
       _id: student._id,
@@ -179,20 +207,16 @@ const QRGenerator = () => {
     setIsDownloading(true);
     
     try {
-      if (qrRef.current) {
-        const canvas = qrRef.current.querySelector('canvas');
-        if (canvas) {
-          const image = canvas.toDataURL('image/png');
-          const anchor = document.createElement('a');
-          anchor.href = image;
-          anchor.download = `${studentData.name}-${studentData.indexNumber}-QR.png`;
-          document.body.appendChild(anchor);
-          anchor.click();
-          document.body.removeChild(anchor);
-          toast.success('QR Code downloaded successfully');
-        } else {
-          toast.error('Could not find QR code canvas');
-        }
+      if (qrImageUrl) {
+        const anchor = document.createElement('a');
+        anchor.href = qrImageUrl;
+        anchor.download = `${studentData.name}-${studentData.indexNumber}-QR.png`;
+        document.body.appendChild(anchor);
+        anchor.click();
+        document.body.removeChild(anchor);
+        toast.success('QR Code downloaded successfully');
+      } else {
+        toast.error('The QR code has not loaded yet');
       }
     } catch (error) {
       console.error('Error downloading QR code:', error);
@@ -202,26 +226,22 @@ const QRGenerator = () => {
     }
   };
 
-  const copyQRCode = () => {
+  const copyQRCode = async () => {
     if (!studentData.name || !studentData.indexNumber) {
       toast.error('Please select a student first');
       return;
     }
     
     try {
-      if (qrRef.current) {
-        const canvas = qrRef.current.querySelector('canvas');
-        if (canvas) {
-          canvas.toBlob(async (blob) => {
-            const item = new ClipboardItem({ 'image/png': blob });
-            await navigator.clipboard.write([item]);
-            setIsCopied(true);
-            setTimeout(() => setIsCopied(false), 2000);
-            toast.success('QR Code copied to clipboard');
-          });
-        } else {
-          toast.error('Could not find QR code canvas');
-        }
+      if (qrImageUrl) {
+        const blob = await (await fetch(qrImageUrl)).blob();
+        const item = new ClipboardItem({ 'image/png': blob });
+        await navigator.clipboard.write([item]);
+        setIsCopied(true);
+        setTimeout(() => setIsCopied(false), 2000);
+        toast.success('QR Code copied to clipboard');
+      } else {
+        toast.error('The QR code has not loaded yet');
       }
     } catch (error) {
       console.error('Error copying QR code:', error);
@@ -339,22 +359,11 @@ const QRGenerator = () => {
                 ref={qrRef}
                 className="bg-white p-3 rounded-xl shadow-lg border-2 border-gray-100 dark:border-slate-700 mb-5"
               >
-                <QRCodeCanvas
-                  id="qrCode"
-                  value={JSON.stringify({
-                    _id: studentData._id,
-                    name: studentData.name,
-                    indexNumber: studentData.indexNumber,
-                    student_email: studentData.student_email,
-                    phone: studentData.phone,
-                    address: studentData.address
-                  })}
-                  size={220}
-                  bgColor="#ffffff"
-                  fgColor="#000000"
-                  level="H"
-                  includeMargin={true}
-                />
+                {qrImageUrl ? (
+                  <img src={qrImageUrl} alt={`QR code of ${studentData.name}`} className="w-56 h-56" />
+                ) : (
+                  <div className="w-56 h-56 bg-gray-100 dark:bg-slate-700 animate-pulse rounded" />
+                )}
               </div>
               
               <div className="flex flex-col sm:flex-row space-y-3 sm:space-y-0 sm:space-x-3 w-full sm:w-auto">
@@ -6,8 +6,11 @@ import jsQR from 'jsqr';
 import { motion, AnimatePresence } from 'framer-motion';
 import { AlertCircle, Camera, RefreshCw } from 'lucide-react';
 import { useTheme } from '../../context/ThemeContext';
+import { parseScannedText, isScannableCode } from '../../utils/qrPayload';
 
-const QRScanner = ({ onScanSuccess, onScanError }) => {
+// markScan records a scanned code; it marks gate attendance unless another
+// register, such as a lesson's, is passed in
+const QRScanner = ({ onScanSuccess, onScanError, markScan = qrCodeService.markAttendance }) => {
   const { theme } = useTheme();
   const [scanning, setScanning] = useState(false);
   const [loading, setLoading] = useState(false);
@@ -221,17 +224,11 @@ const QRScanner = ({ onScanSuccess, onScanError }) => {
         console.log("QR Code detected:", code.data);
         
         try {
-          // Parse the QR code data as JSON
-          let qrData;
-          try {
-            qrData = JSON.parse(code.data);
-          } catch (parseError) {
-            console.error("Failed to parse QR code data:", parseError);
-            throw new Error("Invalid QR code format. Please scan a valid QR code.");
-          }
+          // A signed token, or the JSON of an older code
+          const qrData = parseScannedText(code.data);
           
-          // Validate QR code data
-          if (!qrData || !qrData.indexNumber) {
+          // Validate QR code data: a student or staff code, or a visitor pass
+          if (!isScannableCode(qrData)) {
             throw new Error("Invalid QR code data. Missing required information.");
           }
           
@@ -270,21 +267,32 @@ const QRScanner = ({ onScanSuccess, onScanError }) => {
       setLoading(true);
       
       // Validate QR data before sending to API
-      if (!qrData || !qrData.indexNumber) {
+      if (!isScannableCode(qrData)) {
         throw new Error('Invalid QR code data. Missing student information.');
       }
       
       // Call the API to mark attendance
-      const response = await qrCodeService.markAttendance(qrData);
+      const response = await markScan(qrData);
       
       // Check if the response contains a message
       if (response && response.data) {
-        toast.success(response.data.message || 'Attendance marked successfully');
+        // A scan queued while offline is not marked yet
+        if (response.data.queued) {
+          toast.info(response.data.message);
+        } else {
+          toast.success(response.data.message || 'Attendance marked successfully');
+        }
         
         // Call the success callback if provided
         if (onScanSuccess) {
+          // Signed codes say nothing by themselves; who they belong to comes from the server
           onScanSuccess({
             ...qrData,
+            name: response.data.studentInfo?.name || qrData.name,
+            indexNumber: response.data.studentInfo?.indexNumber || qrData.indexNumber,
+            id: response.data.studentInfo?.id,
+            hasPhoto: Boolean(response.data.studentInfo?.hasPhoto),
+            staffId: qrData.staffId || response.data.staffInfo?.staffId,
             status: response.data.status || 'present',
             timestamp: response.data.timestamp || new Date().toISOString()
           });
@@ -301,13 +309,18 @@ const QRScanner = ({ onScanSuccess, onScanError }) => {
       if (err.response?.status === 404) {
         errorMessage = 'Student not found in the database';
       } else if (err.response?.status === 409) {
-        errorMessage = 'Attendance already marked for this student today';
+        errorMessage = err.response.data?.message || 'Attendance already marked for this student today';
       } else {
         errorMessage = err.response?.data?.message || 'Failed to mark attendance';
       }
       
       setError(errorMessage);
-      toast.error(errorMessage);
+      // Scans turned away by the scan rules are expected, not failures
+      if (err.response?.data?.rejected) {
+        toast.warning(errorMessage);
+      } else {
+        toast.error(errorMessage);
+      }
       
       if (onScanError) {
         onScanError(err);
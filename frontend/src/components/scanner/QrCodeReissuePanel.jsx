@@ -0,0 +1,142 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import { RefreshCw, ShieldAlert } from 'lucide-react';
+import { toast } from 'react-toastify';
+import { qrCodeService } from '../../services/api';
+import { formatSchoolTime } from '../../utils/schoolTime';
+
+const REASON_LABELS = {
+  issued: 'First issued',
+  lost: 'Card lost',
+  stolen: 'Card stolen',
+  damaged: 'Card damaged',
+  key_rotation: 'Signing key rotated',
+  other: 'Other'
+};
+
+// Reasons an admin can pick when replacing a card
+const REISSUE_REASONS = ['lost', 'stolen', 'damaged', 'other'];
+
+const inputClassName = 'block w-full rounded-md border-gray-300 dark:border-gray-600 dark:bg-slate-700 dark:text-white shadow-sm focus:border-blue-500 focus:ring-blue-500 text-sm';
+
+// Replace a student's card, revoking their earlier codes, and show the codes
+// issued to them with the refused scans of the old ones
+const QrCodeReissuePanel = ({ studentId, studentName, onReissued }) => {
+  const [history, setHistory] = useState([]);
+  const [events, setEvents] = useState([]);
+  const [qrVersion, setQrVersion] = useState(1);
+  const [reason, setReason] = useState('lost');
+  const [note, setNote] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [reissuing, setReissuing] = useState(false);
+
+  const loadHistory = useCallback(async () => {
+    try {
+      const result = await qrCodeService.getStudentQrHistory(studentId);
+      setHistory(result.history);
+      setEvents(result.events);
+      setQrVersion(result.qrVersion);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load QR code history');
+    } finally {
+      setLoading(false);
+    }
+  }, [studentId]);
+
+  useEffect(() => {
+    setLoading(true);
+    loadHistory();
+  }, [loadHistory]);
+
+  const reissue = async () => {
+    if (!window.confirm(`Issue a new QR code to ${studentName}? Every earlier code of this student will stop working.`)) return;
+    try {
+      setReissuing(true);
+      const result = await qrCodeService.reissueStudentQRCode(studentId, { reason, note: note.trim() });
+      toast.success(result.message);
+      setNote('');
+      onReissued(result.data.qrCode);
+      await loadHistory();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to reissue QR code');
+    } finally {
+      setReissuing(false);
+    }
+  };
+
+  return (
+    <div className="mt-5 text-left border-t border-gray-200 dark:border-slate-700 pt-4">
+      <p className="text-sm font-medium text-gray-700 dark:text-gray-300">Replace card</p>
+      <div className="mt-2 grid grid-cols-1 sm:grid-cols-3 gap-2">
+        <select value={reason} onChange={(e) => setReason(e.target.value)} className={inputClassName}>
+          {REISSUE_REASONS.map(value => (
+            <option key={value} value={value}>{REASON_LABELS[value]}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+          maxLength={200}
+          placeholder="Note (optional)"
+          className={`${inputClassName} sm:col-span-2`}
+        />
+      </div>
+      <button
+        type="button"
+        onClick={reissue}
+        disabled={reissuing}
+        className="mt-2 w-full inline-flex justify-center items-center px-3 py-2 text-sm rounded-md border border-red-300 text-red-700 dark:text-red-300 hover:bg-red-50 dark:hover:bg-red-900/20 disabled:opacity-50"
+      >
+        <RefreshCw className={`h-4 w-4 mr-1 ${reissuing ? 'animate-spin' : ''}`} />
+        {reissuing ? 'Reissuing...' : 'Reissue and revoke earlier codes'}
+      </button>
+
+      {loading ? (
+        <p className="mt-3 text-xs text-gray-500 dark:text-gray-400">Loading history...</p>
+      ) : (
+        <>
+          {events.length > 0 && (
+            <div className="mt-3 flex items-start p-2 rounded-md bg-red-50 dark:bg-red-900/20 text-xs text-red-700 dark:text-red-300">
+              <ShieldAlert className="h-4 w-4 mr-1 flex-shrink-0" />
+              <span>
+                {events.length} refused {events.length === 1 ? 'scan' : 'scans'} of old codes, the last
+                {' '}{formatSchoolTime(events[0].scannedAt, 'd LLL yyyy, HH:mm')}
+                {events[0].scanLocation ? ` at ${events[0].scanLocation}` : ''}
+              </span>
+            </div>
+          )}
+
+          <p className="mt-3 text-sm font-medium text-gray-700 dark:text-gray-300">Issued codes</p>
+          {history.length === 0 ? (
+            <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">No codes recorded yet.</p>
+          ) : (
+            <ul className="mt-1 divide-y divide-gray-200 dark:divide-slate-700 max-h-40 overflow-y-auto">
+              {history.map(entry => (
+                <li key={entry._id} className="py-1.5 flex justify-between gap-2 text-xs">
+                  <span className="text-gray-900 dark:text-white">
+                    Version {entry.version} · {REASON_LABELS[entry.reason] || entry.reason}
+                    {entry.note && <span className="text-gray-500 dark:text-gray-400"> · {entry.note}</span>}
+                  </span>
+                  <span className={entry.version === qrVersion ? 'text-green-600 dark:text-green-400' : 'text-gray-500 dark:text-gray-400'}>
+                    {entry.version === qrVersion ? 'Valid' : 'Revoked'}
+                    {' · '}{formatSchoolTime(entry.issuedAt, 'd LLL yyyy')}
+                    {entry.issuedBy?.name ? ` by ${entry.issuedBy.name}` : ''}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+QrCodeReissuePanel.propTypes = {
+  studentId: PropTypes.string.isRequired,
+  studentName: PropTypes.string,
+  onReissued: PropTypes.func.isRequired
+};
+
+export default QrCodeReissuePanel;
@@ -0,0 +1,58 @@
+import { createContext, useState, useEffect, useCallback } from 'react';
+import { brandingService } from '../services/api';
+
+// What the app looks like until the school sets its own branding
+const DEFAULT_BRANDING = {
+  schoolName: '',
+  primaryColor: '#2563eb',
+  secondaryColor: '#0891b2',
+  qrModuleStyle: 'dots',
+  hasLogo: false,
+  logoUpdatedAt: null
+};
+
+const DEFAULT_APP_NAME = 'Attendance System';
+
+// Read it through hooks/useBranding
+const BrandingContext = createContext();
+
+export const BrandingProvider = ({ children }) => {
+  const [branding, setBranding] = useState(DEFAULT_BRANDING);
+
+  const refreshBranding = useCallback(async () => {
+    try {
+      const data = await brandingService.getBranding();
+      setBranding({ ...DEFAULT_BRANDING, ...data });
+    } catch (error) {
+      // The app still works in its default look
+      console.error('Error loading branding:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    refreshBranding();
+  }, [refreshBranding]);
+
+  const appName = branding.schoolName || DEFAULT_APP_NAME;
+
+  // Expose the colors to CSS and name the browser tab after the school
+  useEffect(() => {
+    const root = window.document.documentElement;
+    root.style.setProperty('--brand-primary', branding.primaryColor);
+    root.style.setProperty('--brand-secondary', branding.secondaryColor);
+    document.title = appName;
+  }, [branding.primaryColor, branding.secondaryColor, appName]);
+
+  const value = {
+    branding,
+    appName,
+    logoUrl: branding.hasLogo ? brandingService.getLogoUrl(branding.logoUpdatedAt) : null,
+    // Gradient from the primary to the secondary color, for brand surfaces
+    brandGradient: `linear-gradient(to right, ${branding.primaryColor}, ${branding.secondaryColor})`,
+    refreshBranding
+  };
+
+  return <BrandingContext.Provider value={value}>{children}</BrandingContext.Provider>;
+};
+
+export default BrandingContext;
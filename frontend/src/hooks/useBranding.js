@@ -0,0 +1,10 @@
+import { useContext } from 'react';
+import BrandingContext from '../context/BrandingContext';
+
+/**
+ * The school's branding: name, colors and logo, and refreshBranding to load
+ * it again after it changes
+ */
+const useBranding = () => useContext(BrandingContext);
+
+export default useBranding;
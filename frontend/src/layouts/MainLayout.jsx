@@ -2,8 +2,11 @@ import { useState, useEffect, useRef } from 'react';
 import { Link, useLocation, useNavigate, Outlet } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import { useTheme } from '../context/ThemeContext';
+import useBranding from '../hooks/useBranding';
 import { motion, AnimatePresence } from 'framer-motion';
 import ThemeToggle from '../components/ui/ThemeToggle';
+import { settingsService } from '../services/api';
+import { getSchoolTimezone, setSchoolTimezone } from '../utils/schoolTime';
 import { 
   Menu, 
   X, 
@@ -17,22 +20,65 @@ import {
   ExternalLink,
   ChevronLeft,
   ChevronRight,
-  MessageCircle
+  MessageCircle,
+  BookOpen,
+  ClipboardCheck,
+  CalendarDays,
+  DoorOpen,
+  Briefcase,
+  UserCheck
 } from 'lucide-react';
 
+// The school's logo and name in its colors; collapsed shows the logo, or the
+// initials of the name when there is no logo
+const BrandTitle = ({ collapsed = false, className = 'text-xl' }) => {
+  const { appName, logoUrl, brandGradient } = useBranding();
+  const initials = appName.split(/\s+/).map(word => word[0]).join('').slice(0, 2).toUpperCase();
+
+  return (
+    <div className="flex items-center min-w-0">
+      {logoUrl && <img src={logoUrl} alt="" className="h-8 w-8 object-contain flex-shrink-0" />}
+      {!(collapsed && logoUrl) && (
+        <h1
+          className={`${className} font-bold bg-clip-text text-transparent truncate ${collapsed ? '' : 'logos'} ${logoUrl ? 'ml-2' : ''}`}
+          style={{ backgroundImage: brandGradient }}
+        >
+          {collapsed ? initials : appName}
+        </h1>
+      )}
+    </div>
+  );
+};
+
 const MainLayout = () => {
   const { user, isAuthenticated, isAdmin, logout } = useAuth();
   const { theme } = useTheme();
+  const { brandGradient } = useBranding();
   const [sidebarOpen, setSidebarOpen] = useState(false);
   const [sidebarCollapsed, setSidebarCollapsed] = useState(false);
   const [notifications, setNotifications] = useState([]);
   const [showUserDropdown, setShowUserDropdown] = useState(false);
   const [hoverTimeout, setHoverTimeout] = useState(null);
+  const [schoolTimezone, setSchoolTimezoneState] = useState(getSchoolTimezone());
   const userDropdownRef = useRef(null);
   const sidebarRef = useRef(null);
   const location = useLocation();
   const navigate = useNavigate();
 
+  // Use the school's configured timezone for every date shown once logged in
+  useEffect(() => {
+    if (!isAuthenticated) return;
+
+    settingsService.getTimezone()
+      .then(({ timezone }) => {
+        setSchoolTimezone(timezone);
+        setSchoolTimezoneState(getSchoolTimezone());
+      })
+      .catch(() => {
+        // Keep showing dates in the default timezone
+      });
+  }, [isAuthenticated]);
+
   // Load saved sidebar state from localStorage
   useEffect(() => {
     const savedState = localStorage.getItem('sidebarCollapsed');
@@ -82,6 +128,12 @@ const MainLayout = () => {
     { name: 'Students', href: '/students', icon: Users, admin: true },
     { name: 'QR Scanner', href: '/scanner', icon: QrCode, public: true },
     { name: 'Attendance', href: '/attendance', icon: Calendar, admin: true },
+    { name: 'Lessons', href: '/lessons', icon: BookOpen, admin: true },
+    { name: 'Roll Call', href: '/roll-call', icon: ClipboardCheck, admin: true },
+    { name: 'Events', href: '/events', icon: CalendarDays, admin: true },
+    { name: 'Visitors', href: '/visitors', icon: DoorOpen },
+    { name: 'Early Dismissal', href: '/early-dismissal', icon: UserCheck },
+    { name: 'Staff', href: '/staff', icon: Briefcase, admin: true },
     { name: 'Reports', href: '/reports', icon: BarChart, admin: true },
     { name: 'WhatsApp', href: '/whatsapp', icon: MessageCircle, admin: true },
     { name: 'Settings', href: '/settings', icon: Settings, admin: true },
@@ -90,7 +142,7 @@ const MainLayout = () => {
 
   // Add navigation guard for admin routes
   useEffect(() => {
-    const adminRoutes = ['/whatsapp', '/settings', '/reports'];
+    const adminRoutes = ['/whatsapp', '/settings', '/reports', '/staff'];
     if (isAuthenticated && !isAdmin && adminRoutes.includes(location.pathname)) {
       console.log('Non-admin accessing admin route, redirecting to dashboard');
       navigate('/');
@@ -267,7 +319,7 @@ const MainLayout = () => {
               
               {/* Logo */}
               <div className="flex flex-shrink-0 items-center px-6">
-                <h1 className="text-xl font-bold bg-clip-text text-transparent bg-gradient-to-r from-blue-600 to-blue-400 dark:from-blue-400 dark:to-blue-300 logos">Attendance System</h1>
+                <BrandTitle />
               </div>
               
               {/* Navigation */}
@@ -313,7 +365,7 @@ const MainLayout = () => {
                 {isAuthenticated ? (
                   <div className="flex items-center">
                     <div className="flex-shrink-0">
-                      <div className="h-10 w-10 rounded-full bg-gradient-to-br from-blue-500 to-indigo-600 flex items-center justify-center text-white ring-2 ring-white dark:ring-slate-700">
+                      <div style={{ backgroundImage: brandGradient }} className="h-10 w-10 rounded-full flex items-center justify-center text-white ring-2 ring-white dark:ring-slate-700">
                         {user?.name?.charAt(0)?.toUpperCase() || <UserCircle className="h-6 w-6" />}
                       </div>
                     </div>
@@ -384,11 +436,7 @@ const MainLayout = () => {
 
           {/* Logo */}
           <div className={`flex flex-shrink-0 items-center h-16 px-4 ${sidebarCollapsed ? 'justify-center' : 'justify-between'} overflow-hidden border-b border-gray-200 dark:border-slate-700`}>
-            {sidebarCollapsed ? (
-              <h1 className="text-xl font-bold bg-clip-text text-transparent bg-gradient-to-r from-blue-600 to-blue-400 dark:from-blue-400 dark:to-blue-300">AS</h1>
-            ) : (
-              <h1 className="text-xl font-bold bg-clip-text text-transparent bg-gradient-to-r from-blue-600 to-blue-400 dark:from-blue-400 dark:to-blue-300 logos">Attendance System</h1>
-            )}
+            <BrandTitle collapsed={sidebarCollapsed} />
           </div>
           
           {/* Navigation */}
@@ -451,7 +499,7 @@ const MainLayout = () => {
                   aria-haspopup="true"
                 >
                   <div className="flex-shrink-0">
-                    <div className="h-10 w-10 rounded-full bg-gradient-to-br from-blue-500 to-indigo-600 flex items-center justify-center text-white shadow-md ring-2 ring-white dark:ring-slate-700">
+                    <div style={{ backgroundImage: brandGradient }} className="h-10 w-10 rounded-full flex items-center justify-center text-white shadow-md ring-2 ring-white dark:ring-slate-700">
                       {user?.name?.charAt(0)?.toUpperCase() || <UserCircle className="h-6 w-6" />}
                     </div>
                   </div>
@@ -574,7 +622,7 @@ const MainLayout = () => {
             <Menu className="h-6 w-6" aria-hidden="true" />
           </button>
           <div className="flex flex-1 justify-between items-center px-4">
-            <h1 className="text-lg font-bold bg-clip-text text-transparent bg-gradient-to-r from-blue-600 to-blue-400 dark:from-blue-400 dark:to-blue-300">Attendance System</h1>
+            <BrandTitle className="text-lg" />
             <div className="flex items-center space-x-3">
               <ThemeToggle />
               {isAuthenticated && (
@@ -583,7 +631,7 @@ const MainLayout = () => {
                   onClick={() => navigate('/profile')}
                   aria-label="User profile"
                 >
-                  <div className="h-8 w-8 rounded-full bg-gradient-to-br from-blue-500 to-indigo-600 flex items-center justify-center text-white">
+                  <div style={{ backgroundImage: brandGradient }} className="h-8 w-8 rounded-full flex items-center justify-center text-white">
                     {user?.name?.charAt(0)?.toUpperCase() || <UserCircle className="h-5 w-5" />}
                   </div>
                 </button>
@@ -606,7 +654,8 @@ const MainLayout = () => {
             transition={{ duration: 0.4, type: "spring" }}
           >
             <div className="mx-auto max-w-7xl px-4 sm:px-6 md:px-8">
-              <Outlet />
+              {/* Remount the page when the timezone arrives so its dates are re-read */}
+              <Outlet key={schoolTimezone} />
             </div>
           </motion.div>
         </motion.main>
@@ -3,9 +3,11 @@ import { attendanceService } from '../services/api';
 import { toast } from 'react-toastify';
 import { DateTime } from 'luxon';
 import { Users, CheckCircle, ArrowRightCircle, XCircle, RefreshCw, AlertCircle, Calendar } from 'lucide-react';
-import dayjs from 'dayjs';
 import { motion } from 'framer-motion';
 import { useTheme } from '../context/ThemeContext';
+import { getSchoolTimezone, toSchoolTime, toDayKey } from '../utils/schoolTime';
+import ClassFilterSelect from '../components/attendance/ClassFilterSelect';
+import { toClassParams } from '../utils/classFilter';
 
 const formatTime = (time) => {
   if (!time) return 'N/A';
@@ -13,17 +15,17 @@ const formatTime = (time) => {
   try {
     if (time instanceof Date) {
       return DateTime.fromJSDate(time)
-        .setZone('Asia/Colombo')
+        .setZone(getSchoolTimezone())
         .toLocaleString(DateTime.TIME_WITH_SECONDS);
     }
     
     const parsedTime = DateTime.fromISO(time);
     if (parsedTime.isValid) {
-      return parsedTime.setZone('Asia/Colombo').toLocaleString(DateTime.TIME_WITH_SECONDS);
+      return parsedTime.setZone(getSchoolTimezone()).toLocaleString(DateTime.TIME_WITH_SECONDS);
     }
     
     return DateTime.fromJSDate(new Date(time))
-      .setZone('Asia/Colombo')
+      .setZone(getSchoolTimezone())
       .toLocaleString(DateTime.TIME_WITH_SECONDS);
   } catch (e) {
     console.warn(`Invalid time format: ${time}`, e);
@@ -72,6 +74,7 @@ const StudentTable = ({ students, loading }) => {
           <tr className="bg-gradient-to-r from-blue-600 to-blue-400 dark:from-blue-800 dark:to-blue-600">
             <th className="px-6 py-4 text-left text-xs font-semibold text-white uppercase tracking-wider">Student</th>
             <th className="px-6 py-4 text-left text-xs font-semibold text-white uppercase tracking-wider">Index Number</th>
+            <th className="px-6 py-4 text-left text-xs font-semibold text-white uppercase tracking-wider">Class</th>
             <th className="px-6 py-4 text-left text-xs font-semibold text-white uppercase tracking-wider">Email</th>
             <th className="px-6 py-4 text-left text-xs font-semibold text-white uppercase tracking-wider">Status</th>
             <th className="px-6 py-4 text-left text-xs font-semibold text-white uppercase tracking-wider">Entry Time</th>
@@ -95,6 +98,7 @@ const StudentTable = ({ students, loading }) => {
                 </div>
               </td>
               <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-blue-700 dark:text-blue-300 font-mono">{student.indexNumber || 'N/A'}</td>
+              <td className="px-6 py-4 whitespace-nowrap text-sm text-blue-600 dark:text-blue-300">{student.className || 'Unassigned'}</td>
               <td className="px-6 py-4 whitespace-nowrap text-sm text-blue-500 dark:text-blue-400">{student.student_email || student.email || 'N/A'}</td>
               <td className="px-6 py-4 whitespace-nowrap">
                 <span className={getStatusBadge(student.status)}>
@@ -128,6 +132,8 @@ const getStatusBadge = (status) => {
       return 'inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-yellow-100 dark:bg-yellow-900/70 text-yellow-800 dark:text-yellow-300';
     case 'absent':
       return 'inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-red-100 dark:bg-red-900/70 text-red-800 dark:text-red-300';
+    case 'excused':
+      return 'inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-purple-100 dark:bg-purple-900/70 text-purple-800 dark:text-purple-300';
     default:
       return 'inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-gray-100 dark:bg-gray-800 text-gray-800 dark:text-gray-300';
   }
@@ -158,6 +164,7 @@ const SearchFilter = ({ searchQuery, setSearchQuery, filterStatus, setFilterStat
       <option value="all">All Statuses</option>
       <option value="present">Present</option>
       <option value="absent">Absent</option>
+      <option value="excused">Excused</option>
       <option value="left">Left</option>
       <option value="late">Late</option>
     </select>
@@ -165,15 +172,16 @@ const SearchFilter = ({ searchQuery, setSearchQuery, filterStatus, setFilterStat
 );
 
 const DatePicker = ({ selectedDate, setSelectedDate, isValidDate }) => {
-  const today = DateTime.now().toFormat('yyyy-MM-dd');
-  const formattedSelectedDate = DateTime.fromJSDate(selectedDate).toFormat('yyyy-MM-dd');
+  const today = toDayKey();
+  const formattedSelectedDate = toDayKey(selectedDate);
   
   const handleDateChange = (e) => {
-    const newDate = new Date(e.target.value);
+    // The picked day starts at midnight in the school timezone
+    const newDate = DateTime.fromISO(e.target.value, { zone: getSchoolTimezone() });
     
     // If the date is valid, update the state
-    if (!isNaN(newDate.getTime())) {
-      setSelectedDate(newDate);
+    if (newDate.isValid) {
+      setSelectedDate(newDate.toJSDate());
     }
   };
   
@@ -254,17 +262,12 @@ const AttendanceByDatePage = () => {
   const [error, setError] = useState(null);
   const [searchQuery, setSearchQuery] = useState('');
   const [filterStatus, setFilterStatus] = useState('all');
+  const [classFilter, setClassFilter] = useState('');
 
   const errorToastRef = useRef(null);
 
   const isValidDate = useMemo(() => {
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    
-    const selected = new Date(selectedDate);
-    selected.setHours(0, 0, 0, 0);
-    
-    return selected <= today;
+    return toDayKey(selectedDate) <= toDayKey();
   }, [selectedDate]);
 
   const filteredStudents = useMemo(() => {
@@ -298,14 +301,14 @@ const AttendanceByDatePage = () => {
       setLoading(true);
       setError(null);
       
-      const formattedDate = dayjs(date).format('YYYY-MM-DD');
+      const formattedDate = toDayKey(date);
       console.log(`Fetching attendance for date: ${formattedDate}`);
       
-      const response = await attendanceService.getAttendanceByDate(formattedDate);
+      const response = await attendanceService.getAttendanceByDate(formattedDate, toClassParams(classFilter));
       console.log('Attendance response:', response);
       
       // This is the key change that will give us the leave time data
-      const fullDataResponse = await attendanceService.getTodayAttendance();
+      const fullDataResponse = await attendanceService.getTodayAttendance(toClassParams(classFilter));
       console.log('Full attendance data:', fullDataResponse);
       
 
@@ -364,18 +367,14 @@ const AttendanceByDatePage = () => {
         const attendanceRecord = student.attendanceHistory?.find(record => {
           if (!record.date) return false;
           
-          const recordDate = new Date(record.date);
-          const selectedDate = new Date(date);
-          return recordDate.toDateString() === selectedDate.toDateString();
+          return toDayKey(record.date) === toDayKey(date);
         });
         
         // Or use the attendance record from the full data if available
         const fullAttendanceRecord = !attendanceRecord && fullStudent.attendanceHistory?.find(record => {
           if (!record.date) return false;
           
-          const recordDate = new Date(record.date);
-          const selectedDate = new Date(date);
-          return recordDate.toDateString() === selectedDate.toDateString();
+          return toDayKey(record.date) === toDayKey(date);
         });
         
         const record = attendanceRecord || fullAttendanceRecord;
@@ -437,6 +436,9 @@ const AttendanceByDatePage = () => {
           case 'absent':
             displayStatus = 'Absent';
             break;
+          case 'excused':
+            displayStatus = 'Excused';
+            break;
           default:
             displayStatus = latestStatus?.charAt(0).toUpperCase() + latestStatus?.slice(1) || 'Unknown';
             normalizedStatus = 'unknown';
@@ -516,7 +518,7 @@ const AttendanceByDatePage = () => {
 
       const sortedData = mergedData.sort((a, b) => {
         // First sort by status priority
-        const statusPriority = { entered: 1, present: 1, left: 2, late: 3, absent: 4 };
+        const statusPriority = { entered: 1, present: 1, left: 2, late: 3, excused: 4, absent: 5 };
         const aPriority = statusPriority[a.status] || 5;
         const bPriority = statusPriority[b.status] || 5;
         const statusDiff = aPriority - bPriority;
@@ -584,7 +586,7 @@ const AttendanceByDatePage = () => {
     } finally {
       setLoading(false);
     }
-  }, [selectedDate, isValidDate]);
+  }, [selectedDate, isValidDate, classFilter]);
   
   useEffect(() => {
     fetchAttendanceByDate();
@@ -595,7 +597,7 @@ const AttendanceByDatePage = () => {
     toast.info('Refreshing attendance data...');
   };
 
-  const formattedDate = DateTime.fromJSDate(selectedDate).toFormat('MMMM d, yyyy');
+  const formattedDate = toSchoolTime(selectedDate).toFormat('MMMM d, yyyy');
 
   return (
     <div className="container mx-auto px-4 py-8 bg-transparent min-h-screen dark:bg-gray-900">
@@ -606,6 +608,7 @@ const AttendanceByDatePage = () => {
           </h1>
           <div className="flex flex-col md:flex-row gap-4 w-[200px] md:w-auto">
             <DatePicker selectedDate={selectedDate} setSelectedDate={setSelectedDate} isValidDate={isValidDate} />
+            <ClassFilterSelect value={classFilter} onChange={setClassFilter} className="h-10 self-end" />
             <button
               onClick={handleRefresh}
               disabled={!isValidDate || loading}
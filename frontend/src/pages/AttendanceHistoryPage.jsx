@@ -13,13 +13,18 @@ import {
   ChevronLeft,
   ChevronRight,
   Filter,
-  RefreshCw
+  RefreshCw,
+  FileCheck,
+  History,
+  RotateCcw
 } from 'lucide-react';
 import { studentService, attendanceService } from '../services/api';
 import Pagination from '../components/common/Pagination';
 import StatusBadge from '../components/attendance/StatusBadge';
 import LoadingSpinner from '../components/common/LoadingSpinner';
 import ManualAttendanceModal from '../components/attendance/ManualAttendanceModal';
+import LeaveRequestsPanel from '../components/attendance/LeaveRequestsPanel';
+import AttendanceRevisionsPanel from '../components/attendance/AttendanceRevisionsPanel';
 import AutoCheckoutSettings from '../components/attendance/AutoCheckoutSettings';
 import { toast } from 'react-toastify';
 import { formatDate } from '../utils/formatters';
@@ -46,15 +51,24 @@ const AttendanceHistoryPage = () => {
   const [sortField, setSortField] = useState('date');
   const [sortOrder, setSortOrder] = useState('desc');
   const [filtersApplied, setFiltersApplied] = useState(false);
+  const [showDeleted, setShowDeleted] = useState(false);
   
   // Stats state
   const [stats, setStats] = useState({
     totalCount: 0,
     presentCount: 0,
     absentCount: 0,
+    excusedCount: 0,
     attendancePercentage: 0
   });
   
+  // Excuse modal and leave request list state
+  const [isExcuseModalOpen, setIsExcuseModalOpen] = useState(false);
+  const [leaveRefreshKey, setLeaveRefreshKey] = useState(0);
+  
+  // Record whose revision history is open
+  const [historyRecordId, setHistoryRecordId] = useState(null);
+  
   // Fetch student attendance history
   const fetchAttendanceHistory = async () => {
     setLoading(true);
@@ -67,7 +81,8 @@ const AttendanceHistoryPage = () => {
         limit: recordsPerPage,
         offset,
         sortBy: sortField,
-        sortOrder
+        sortOrder,
+        includeDeleted: showDeleted
       };
       
       // Add date filters if provided
@@ -104,7 +119,7 @@ const AttendanceHistoryPage = () => {
     if (studentId) {
       fetchAttendanceHistory();
     }
-  }, [studentId, currentPage, recordsPerPage, sortField, sortOrder, filtersApplied]);
+  }, [studentId, currentPage, recordsPerPage, sortField, sortOrder, filtersApplied, showDeleted]);
   
   // Handle page changes
   const handlePageChange = (newPage) => {
@@ -124,6 +139,7 @@ const AttendanceHistoryPage = () => {
     setFilterStatus('');
     setSortField('date');
     setSortOrder('desc');
+    setShowDeleted(false);
     setCurrentPage(1);
     setFiltersApplied(!filtersApplied); // Toggle to trigger useEffect
   };
@@ -170,6 +186,48 @@ const AttendanceHistoryPage = () => {
     }
   };
   
+  // Bring back a deleted record by undoing its latest change
+  const handleRestoreRecord = async (recordId) => {
+    const reason = window.prompt('Reason for restoring this record');
+    if (reason === null) return;
+    if (!reason.trim()) {
+      toast.error('A reason is required');
+      return;
+    }
+    
+    try {
+      await studentService.restoreAttendanceRecord(studentId, recordId, reason.trim());
+      toast.success('Attendance record restored');
+      fetchAttendanceHistory();
+    } catch (err) {
+      console.error('Error restoring attendance record:', err);
+      toast.error(err.response?.data?.message || 'Failed to restore attendance record');
+    }
+  };
+  
+  // Excuse the student through an approved leave request
+  const handleExcuse = async ({ note, category, startDate, endDate }) => {
+    try {
+      const response = await attendanceService.markStudentAttendance({
+        studentId,
+        status: 'excused',
+        adminNote: note,
+        reason: note,
+        category,
+        startDate,
+        endDate
+      });
+      
+      toast.success(`${response.data.data.excusedDays} school days marked as excused`);
+      setLeaveRefreshKey(key => key + 1);
+      fetchAttendanceHistory();
+    } catch (err) {
+      console.error('Error excusing student:', err);
+      toast.error(err.response?.data?.message || 'Failed to mark student as excused');
+      throw err;
+    }
+  };
+  
   // Toggle sort order
   const toggleSort = (field) => {
     if (sortField === field) {
@@ -236,6 +294,15 @@ const AttendanceHistoryPage = () => {
             View Student Profile
           </button>
           
+          <button
+            onClick={() => setIsExcuseModalOpen(true)}
+            disabled={!student}
+            className="inline-flex items-center px-4 py-2 border border-purple-300 dark:border-purple-600 rounded-md shadow-sm text-sm font-medium text-purple-700 dark:text-purple-200 bg-white dark:bg-gray-700 hover:bg-purple-50 dark:hover:bg-purple-900/20"
+          >
+            <FileCheck className="h-5 w-5 mr-2" />
+            Mark Excused
+          </button>
+          
           <button
             onClick={handleClearHistory}
             className="inline-flex items-center px-4 py-2 border border-red-300 dark:border-red-600 rounded-md shadow-sm text-sm font-medium text-red-700 dark:text-red-200 bg-white dark:bg-gray-700 hover:bg-red-50 dark:hover:bg-red-900/20"
@@ -247,7 +314,7 @@ const AttendanceHistoryPage = () => {
       </div>
       
       {/* Stats cards */}
-      <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-6">
+      <div className="grid grid-cols-1 md:grid-cols-5 gap-4 mb-6">
         <div className="bg-white dark:bg-slate-800 p-4 rounded-lg shadow-md">
           <p className="text-sm text-gray-500 dark:text-gray-400">Total Records</p>
           <p className="text-2xl font-bold text-gray-900 dark:text-white">{stats.totalCount}</p>
@@ -263,6 +330,11 @@ const AttendanceHistoryPage = () => {
           <p className="text-2xl font-bold text-red-600 dark:text-red-400">{stats.absentCount}</p>
         </div>
         
+        <div className="bg-white dark:bg-slate-800 p-4 rounded-lg shadow-md">
+          <p className="text-sm text-gray-500 dark:text-gray-400">Excused</p>
+          <p className="text-2xl font-bold text-purple-600 dark:text-purple-400">{stats.excusedCount || 0}</p>
+        </div>
+        
         <div className="bg-white dark:bg-slate-800 p-4 rounded-lg shadow-md">
           <p className="text-sm text-gray-500 dark:text-gray-400">Attendance Rate</p>
           <p className="text-2xl font-bold text-blue-600 dark:text-blue-400">
@@ -328,9 +400,22 @@ const AttendanceHistoryPage = () => {
               <option value="">All Statuses</option>
               <option value="present">Present</option>
               <option value="absent">Absent</option>
+              <option value="excused">Excused</option>
               <option value="entered">Entered</option>
               <option value="left">Left</option>
             </select>
+            <label className="mt-2 flex items-center text-sm text-gray-700 dark:text-gray-300">
+              <input
+                type="checkbox"
+                checked={showDeleted}
+                onChange={e => {
+                  setShowDeleted(e.target.checked);
+                  setCurrentPage(1);
+                }}
+                className="h-4 w-4 mr-2 rounded border-gray-300 dark:border-gray-600 text-blue-600 focus:ring-blue-500 dark:bg-slate-700"
+              />
+              Show deleted records
+            </label>
           </div>
           
           <div>
@@ -454,13 +539,18 @@ const AttendanceHistoryPage = () => {
                 attendanceHistory.map((record) => (
                   <tr 
                     key={record._id}
-                    className="hover:bg-gray-50 dark:hover:bg-slate-700/50"
+                    className={`hover:bg-gray-50 dark:hover:bg-slate-700/50 ${record.deletedAt ? 'opacity-60' : ''}`}
                   >
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-white">
                       {formatDate(record.date)}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm">
                       <StatusBadge status={record.status} />
+                      {record.deletedAt && (
+                        <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-300">
+                          Deleted
+                        </span>
+                      )}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600 dark:text-gray-300">
                       {record.entryTime ? formatDate(record.entryTime) : '-'}
@@ -472,13 +562,32 @@ const AttendanceHistoryPage = () => {
                       {record.scanLocation || 'Main Entrance'}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
-                      <button
-                        onClick={() => handleDeleteRecord(record._id)}
-                        className="text-red-600 dark:text-red-400 hover:text-red-900 dark:hover:text-red-300"
-                        title="Delete Record"
-                      >
-                        <Trash className="h-5 w-5" />
-                      </button>
+                      <div className="flex justify-end space-x-2">
+                        <button
+                          onClick={() => setHistoryRecordId(record._id)}
+                          className="text-gray-500 dark:text-gray-400 hover:text-gray-900 dark:hover:text-gray-200"
+                          title="Record History"
+                        >
+                          <History className="h-5 w-5" />
+                        </button>
+                        {record.deletedAt ? (
+                          <button
+                            onClick={() => handleRestoreRecord(record._id)}
+                            className="text-blue-600 dark:text-blue-400 hover:text-blue-900 dark:hover:text-blue-300"
+                            title="Restore Record"
+                          >
+                            <RotateCcw className="h-5 w-5" />
+                          </button>
+                        ) : (
+                          <button
+                            onClick={() => handleDeleteRecord(record._id)}
+                            className="text-red-600 dark:text-red-400 hover:text-red-900 dark:hover:text-red-300"
+                            title="Delete Record"
+                          >
+                            <Trash className="h-5 w-5" />
+                          </button>
+                        )}
+                      </div>
                     </td>
                   </tr>
                 ))
@@ -498,6 +607,32 @@ const AttendanceHistoryPage = () => {
           />
         )}
       </div>
+      
+      {/* Revision history of the selected record */}
+      {historyRecordId && (
+        <AttendanceRevisionsPanel
+          key={historyRecordId}
+          studentId={studentId}
+          recordId={historyRecordId}
+          onClose={() => setHistoryRecordId(null)}
+          onRestored={fetchAttendanceHistory}
+        />
+      )}
+      
+      {/* Leave requests */}
+      <LeaveRequestsPanel
+        studentId={studentId}
+        refreshKey={leaveRefreshKey}
+        onChange={fetchAttendanceHistory}
+      />
+      
+      <ManualAttendanceModal
+        isOpen={isExcuseModalOpen}
+        onClose={() => setIsExcuseModalOpen(false)}
+        onConfirm={handleExcuse}
+        student={student}
+        actionType="excused"
+      />
     </div>
   );
 };
@@ -2,17 +2,20 @@ import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import { Link } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { useAuth } from '../context/AuthContext';
-import { Users, CheckCircle, ArrowRightCircle, XCircle, RefreshCw, Clock, QrCode } from 'lucide-react';
+import { Users, CheckCircle, ArrowRightCircle, XCircle, RefreshCw, Clock, QrCode, MapPin } from 'lucide-react';
 import { studentService, attendanceService } from '../services/api';
 import { toast } from 'react-toastify';
 import { DateTime } from 'luxon';
+import { getSchoolTimezone, toDayKey } from '../utils/schoolTime';
+import ClassFilterSelect from '../components/attendance/ClassFilterSelect';
+import { toClassParams } from '../utils/classFilter';
 import Chart from 'chart.js/auto';
 import { Bar, Doughnut } from 'react-chartjs-2';
 import ChartDataLabels from 'chartjs-plugin-datalabels';
 
 // Helper functions for date/time handling
 const getDateRange = () => {
-  const now = DateTime.now().setZone('Asia/Colombo');
+  const now = DateTime.now().setZone(getSchoolTimezone());
   const startOfDay = now.startOf('day').toJSDate();
   return { startOfDay };
 };
@@ -24,19 +27,19 @@ const formatTime = (time) => {
     // Try parsing as Date object first
     if (time instanceof Date) {
       return DateTime.fromJSDate(time)
-        .setZone('Asia/Colombo')
+        .setZone(getSchoolTimezone())
         .toLocaleString(DateTime.TIME_WITH_SECONDS);
     }
     
     // Then try as ISO string
     const parsedTime = DateTime.fromISO(time);
     if (parsedTime.isValid) {
-      return parsedTime.setZone('Asia/Colombo').toLocaleString(DateTime.TIME_WITH_SECONDS);
+      return parsedTime.setZone(getSchoolTimezone()).toLocaleString(DateTime.TIME_WITH_SECONDS);
     }
     
     // Last resort, try as JS Date constructor
   return DateTime.fromJSDate(new Date(time))
-      .setZone('Asia/Colombo')
+      .setZone(getSchoolTimezone())
     .toLocaleString(DateTime.TIME_WITH_SECONDS);
   } catch (e) {
     console.warn(`Invalid time format: ${time}`, e);
@@ -58,6 +61,8 @@ const getStatusBadge = (status) => {
     return `${baseClasses} bg-gradient-to-r from-yellow-100 to-yellow-200 dark:from-yellow-800 dark:to-yellow-900 text-yellow-800 dark:text-yellow-100`;
   } else if (statusLower === 'absent') {
       return `${baseClasses} bg-gradient-to-r from-red-100 to-red-200 dark:from-red-800 dark:to-red-900 text-red-800 dark:text-red-100`;
+  } else if (statusLower === 'excused') {
+      return `${baseClasses} bg-gradient-to-r from-purple-100 to-purple-200 dark:from-purple-800 dark:to-purple-900 text-purple-800 dark:text-purple-100`;
   }
   
   return `${baseClasses} bg-gray-100 dark:bg-gray-700 text-gray-800 dark:text-gray-200`;
@@ -375,6 +380,27 @@ const StudentTable = ({ students, loading, onShowQRCode }) => {
   );
 };
 
+// Today's entries and exits at each scan location
+const GateBreakdown = ({ locations }) => (
+  <div className="bg-white dark:bg-slate-800/90 rounded-xl shadow-xl p-6 mb-8 border border-gray-200 dark:border-slate-700">
+    <h2 className="text-xl font-semibold text-gray-800 dark:text-white mb-4 border-b border-gray-200 dark:border-slate-700 pb-2 flex items-center">
+      <MapPin className="h-5 w-5 mr-2 text-blue-600 dark:text-blue-400" />
+      By Gate
+    </h2>
+    <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+      {locations.map(location => (
+        <div key={location.locationId || location.name} className="rounded-lg border border-blue-100 dark:border-slate-600 p-4">
+          <p className="text-sm font-medium text-gray-800 dark:text-white truncate">{location.name}</p>
+          <div className="mt-2 flex justify-between text-sm">
+            <span className="text-green-600 dark:text-green-400">{location.entries} in</span>
+            <span className="text-orange-600 dark:text-orange-400">{location.exits} out</span>
+          </div>
+        </div>
+      ))}
+    </div>
+  </div>
+);
+
 const DashboardPage = () => {
   const [stats, setStats] = useState({
     totalStudents: 0,
@@ -384,10 +410,12 @@ const DashboardPage = () => {
     lateCount: 0
   });
   const [recentActivity, setRecentActivity] = useState([]);
+  const [gateBreakdown, setGateBreakdown] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [searchQuery, setSearchQuery] = useState('');
   const [filterStatus, setFilterStatus] = useState('all');
+  const [classFilter, setClassFilter] = useState('');
   
   // Add state for QR code modal
   const [qrModalOpen, setQrModalOpen] = useState(false);
@@ -432,7 +460,7 @@ const DashboardPage = () => {
       setError(null);
 
       // Get today's attendance
-      const attendanceResponse = await attendanceService.getTodayAttendance();
+      const attendanceResponse = await attendanceService.getTodayAttendance(toClassParams(classFilter));
       console.log('Dashboard attendance response:', attendanceResponse);
       
       // Handle potential undefined response
@@ -473,11 +501,11 @@ const DashboardPage = () => {
         try {
           // Find today's attendance record (if we have a valid student object with attendanceHistory)
           let todayRecord = null;
-          const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD
+          const today = toDayKey(); // YYYY-MM-DD in the school timezone
           
           if (student?.attendanceHistory && Array.isArray(student.attendanceHistory)) {
             todayRecord = student.attendanceHistory.find(record => 
-              record.date && record.date.startsWith(today)
+              record.date && toDayKey(record.date) === today
             );
           }
           
@@ -581,7 +609,16 @@ const DashboardPage = () => {
     } finally {
       setLoading(false);
     }
-  }, []);
+  }, [classFilter]);
+
+  const fetchGateBreakdown = useCallback(async () => {
+    try {
+      const dashboardStats = await attendanceService.getDashboardStats(toClassParams(classFilter));
+      setGateBreakdown(dashboardStats.byLocation || []);
+    } catch (error) {
+      console.error('Error fetching gate breakdown:', error);
+    }
+  }, [classFilter]);
 
   // Filtered students based on search and status filter
   const filteredStudents = useMemo(() => {
@@ -605,13 +642,18 @@ const DashboardPage = () => {
   };
 
   useEffect(() => {
-    fetchRecentActivity();
-    const interval = setInterval(fetchRecentActivity, 30000); // Refresh every 30 seconds
+    const refresh = () => {
+      fetchRecentActivity();
+      fetchGateBreakdown();
+    };
+    refresh();
+    const interval = setInterval(refresh, 30000); // Refresh every 30 seconds
     return () => clearInterval(interval);
-  }, [fetchRecentActivity]);
+  }, [fetchRecentActivity, fetchGateBreakdown]);
 
   const handleRefresh = () => {
     fetchRecentActivity();
+    fetchGateBreakdown();
     toast.info('Refreshing attendance data...');
   };
 
@@ -620,13 +662,16 @@ const DashboardPage = () => {
       <div className="container mx-auto px-4 py-8">
         <div className="flex justify-between items-center mb-8">
           <h1 className="text-3xl font-bold bg-clip-text text-transparent bg-gradient-to-r from-blue-600 to-blue-800">Dashboard</h1>
-          <button
-            onClick={handleRefresh}
-            className="flex items-center px-4 py-2.5 bg-gradient-to-r from-blue-600 to-blue-700 text-white rounded-lg hover:from-blue-700 hover:to-blue-800 shadow-md transition-all duration-300 transform hover:scale-105"
-          >
-            <RefreshCw className="h-5 w-5 mr-2 animate-pulse" />
-            Refresh Data
-          </button>
+          <div className="flex items-center gap-3">
+            <ClassFilterSelect value={classFilter} onChange={setClassFilter} />
+            <button
+              onClick={handleRefresh}
+              className="flex items-center px-4 py-2.5 bg-gradient-to-r from-blue-600 to-blue-700 text-white rounded-lg hover:from-blue-700 hover:to-blue-800 shadow-md transition-all duration-300 transform hover:scale-105"
+            >
+              <RefreshCw className="h-5 w-5 mr-2 animate-pulse" />
+              Refresh Data
+            </button>
+          </div>
         </div>
         
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-10">
@@ -659,6 +704,8 @@ const DashboardPage = () => {
           />
         </div>
 
+        {gateBreakdown.length > 0 && <GateBreakdown locations={gateBreakdown} />}
+
         <div className="bg-white dark:bg-slate-800/90 rounded-xl shadow-xl p-6 mb-8 border border-gray-200 dark:border-slate-700">
           <h2 className="text-xl font-semibold text-gray-800 dark:text-white mb-6 border-b border-gray-200 dark:border-slate-700 pb-2">Today's Attendance</h2>
           
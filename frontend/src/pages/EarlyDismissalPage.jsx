@@ -0,0 +1,505 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { studentService, pickupService, locationService } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import { toast } from 'react-toastify';
+import { DateTime } from 'luxon';
+import { AlertTriangle, CheckCircle, RefreshCw, Search, ShieldX, Trash2, UserCheck, UserPlus, X } from 'lucide-react';
+import { getSchoolTimezone, toDayKey } from '../utils/schoolTime';
+import { getScannerLocation } from '../utils/scanLocation';
+
+const ID_TYPES = {
+  national_id: 'National ID',
+  passport: 'Passport',
+  driving_licence: 'Driving licence',
+  other: 'Other'
+};
+
+const EMPTY_PERSON = {
+  name: '',
+  relationship: '',
+  phone: '',
+  idType: 'national_id',
+  idNumber: '',
+  photo: null
+};
+
+const EMPTY_COLLECTOR = { name: '', relationship: '', idNumber: '' };
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-slate-700 text-gray-700 dark:text-white text-sm';
+
+const formatTime = (time) => (time
+  ? DateTime.fromISO(time).setZone(getSchoolTimezone()).toLocaleString(DateTime.TIME_SIMPLE)
+  : '');
+
+const EarlyDismissalPage = () => {
+  const { isAdmin } = useAuth();
+  const [students, setStudents] = useState([]);
+  const [search, setSearch] = useState('');
+  const [student, setStudent] = useState(null);
+  const [persons, setPersons] = useState([]);
+  // Object URLs of the pickup persons' photos, by person id
+  const [photos, setPhotos] = useState({});
+  // Pickup person picked as the collector, or 'other' for someone not on the list
+  const [collectorId, setCollectorId] = useState(null);
+  const [collector, setCollector] = useState(EMPTY_COLLECTOR);
+  const [idVerified, setIdVerified] = useState(false);
+  const [reason, setReason] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [showPersonForm, setShowPersonForm] = useState(false);
+  const [personForm, setPersonForm] = useState(EMPTY_PERSON);
+  const [locations, setLocations] = useState([]);
+  const [locationId, setLocationId] = useState(getScannerLocation() || '');
+  const [date, setDate] = useState(toDayKey());
+  const [log, setLog] = useState({ dismissals: [], counts: { released: 0, refused: 0 } });
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    studentService.getAllStudents()
+      .then(response => setStudents((response.data.students || []).filter(s => s.status === 'active')))
+      .catch(error => console.error('Error loading students:', error));
+    locationService.getLocations({ active: true })
+      .then(setLocations)
+      .catch(error => console.error('Error loading locations:', error));
+  }, []);
+
+  const fetchLog = useCallback(async () => {
+    try {
+      setLoading(true);
+      setLog(await pickupService.getEarlyDismissals({ date }));
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load early dismissals');
+    } finally {
+      setLoading(false);
+    }
+  }, [date]);
+
+  useEffect(() => {
+    fetchLog();
+  }, [fetchLog]);
+
+  const fetchPersons = useCallback(async () => {
+    if (!student) {
+      setPersons([]);
+      return;
+    }
+    try {
+      setPersons(await pickupService.getPickupPersons(student._id));
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load pickup persons');
+    }
+  }, [student]);
+
+  useEffect(() => {
+    fetchPersons();
+  }, [fetchPersons]);
+
+  // Photos are loaded with the auth header and released when the list changes
+  useEffect(() => {
+    let cancelled = false;
+    const urls = {};
+
+    Promise.all(persons.filter(person => person.hasPhoto).map(async person => {
+      try {
+        urls[person._id] = await pickupService.getPhotoUrl(person._id);
+      } catch (error) {
+        console.error('Error loading pickup person photo:', error);
+      }
+    })).then(() => {
+      if (!cancelled) setPhotos({ ...urls });
+    });
+
+    return () => {
+      cancelled = true;
+      Object.values(urls).forEach(url => window.URL.revokeObjectURL(url));
+    };
+  }, [persons]);
+
+  const chooseStudent = (chosen) => {
+    setStudent(chosen);
+    setSearch('');
+    setCollectorId(null);
+    setCollector(EMPTY_COLLECTOR);
+    setIdVerified(false);
+    setReason('');
+    setShowPersonForm(false);
+  };
+
+  const chooseCollector = (id) => {
+    setCollectorId(id);
+    setIdVerified(false);
+  };
+
+  const matches = search.trim()
+    ? students.filter(s => `${s.name} ${s.indexNumber}`.toLowerCase().includes(search.trim().toLowerCase())).slice(0, 8)
+    : [];
+
+  const selectedPerson = persons.find(person => person._id === collectorId);
+
+  // release: false records a refusal, for a listed person whose ID does not match
+  const submit = async (release) => {
+    try {
+      setSubmitting(true);
+      const result = await pickupService.dismissEarly({
+        studentId: student._id,
+        ...(collectorId === 'other'
+          ? { collector }
+          : { pickupPersonId: collectorId, idVerified: release && idVerified }),
+        reason,
+        locationId: locationId || undefined
+      });
+      if (result.data.released) {
+        toast.success(result.message);
+      } else {
+        toast.error(result.message, { autoClose: 10000 });
+      }
+      chooseStudent(null);
+      await fetchLog();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to record early dismissal');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const setPersonField = (field, value) => setPersonForm(prev => ({ ...prev, [field]: value }));
+
+  const savePerson = async (e) => {
+    e.preventDefault();
+    try {
+      setSubmitting(true);
+      await pickupService.createPickupPerson(student._id, personForm);
+      toast.success(`${personForm.name} can now collect ${student.name}`);
+      setPersonForm(EMPTY_PERSON);
+      setShowPersonForm(false);
+      await fetchPersons();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to add pickup person');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const removePerson = async (person) => {
+    if (!window.confirm(`Remove ${person.name} from the pickup persons of ${student.name}?`)) return;
+    try {
+      const result = await pickupService.deletePickupPerson(person._id);
+      toast.success(result.message);
+      if (collectorId === person._id) setCollectorId(null);
+      await fetchPersons();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to remove pickup person');
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+        <h1 className="text-2xl font-bold text-gray-900 dark:text-white flex items-center">
+          <UserCheck className="h-6 w-6 mr-2 text-blue-600 dark:text-blue-400" />
+          Early Dismissal
+        </h1>
+        {locations.length > 0 && (
+          <select
+            aria-label="Gate"
+            value={locationId}
+            onChange={(e) => setLocationId(e.target.value)}
+            className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-slate-700 text-gray-700 dark:text-white text-sm"
+          >
+            <option value="">Default location</option>
+            {locations.map(location => <option key={location._id} value={location._id}>{location.name}</option>)}
+          </select>
+        )}
+      </div>
+
+      <div className="bg-white dark:bg-slate-800 shadow rounded-lg border border-gray-200 dark:border-slate-700 p-4 space-y-4">
+        {!student ? (
+          <div className="relative max-w-md">
+            <Search className="h-4 w-4 absolute left-2.5 top-2.5 text-gray-400" />
+            <input
+              type="text"
+              aria-label="Find student"
+              placeholder="Student name or index number"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              className="w-full pl-8 pr-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-slate-700 text-gray-700 dark:text-white text-sm"
+            />
+            {matches.length > 0 && (
+              <ul className="absolute z-10 mt-1 w-full bg-white dark:bg-slate-700 border border-gray-200 dark:border-slate-600 rounded-md shadow-lg">
+                {matches.map(match => (
+                  <li key={match._id}>
+                    <button
+                      onClick={() => chooseStudent(match)}
+                      className="w-full text-left px-3 py-2 text-sm text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-slate-600"
+                    >
+                      {match.name} <span className="text-gray-400">· {match.indexNumber}</span>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        ) : (
+          <>
+            <div className="flex items-center justify-between">
+              <div>
+                <h2 className="text-lg font-semibold text-gray-900 dark:text-white">{student.name}</h2>
+                <p className="text-sm text-gray-500 dark:text-gray-400">Index: {student.indexNumber}</p>
+              </div>
+              <div className="flex items-center gap-2">
+                {isAdmin && (
+                  <button
+                    onClick={() => setShowPersonForm(show => !show)}
+                    className="inline-flex items-center px-3 py-1.5 rounded-md text-sm border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-slate-700"
+                  >
+                    <UserPlus className="h-4 w-4 mr-1" />
+                    Add pickup person
+                  </button>
+                )}
+                <button onClick={() => chooseStudent(null)} className="text-gray-400 hover:text-gray-600" title="Choose another student">
+                  <X className="h-5 w-5" />
+                </button>
+              </div>
+            </div>
+
+            {showPersonForm && (
+              <form onSubmit={savePerson} className="p-3 rounded-md border border-gray-200 dark:border-slate-700 grid grid-cols-1 md:grid-cols-3 gap-3">
+                <label className="text-sm text-gray-700 dark:text-gray-300">
+                  Name
+                  <input required value={personForm.name} onChange={(e) => setPersonField('name', e.target.value)} className={inputClass} />
+                </label>
+                <label className="text-sm text-gray-700 dark:text-gray-300">
+                  Relationship
+                  <input required placeholder="e.g. Mother, Driver" value={personForm.relationship} onChange={(e) => setPersonField('relationship', e.target.value)} className={inputClass} />
+                </label>
+                <label className="text-sm text-gray-700 dark:text-gray-300">
+                  Phone
+                  <input value={personForm.phone} onChange={(e) => setPersonField('phone', e.target.value)} className={inputClass} />
+                </label>
+                <label className="text-sm text-gray-700 dark:text-gray-300">
+                  ID type
+                  <select value={personForm.idType} onChange={(e) => setPersonField('idType', e.target.value)} className={inputClass}>
+                    {Object.entries(ID_TYPES).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                  </select>
+                </label>
+                <label className="text-sm text-gray-700 dark:text-gray-300">
+                  ID number
+                  <input required value={personForm.idNumber} onChange={(e) => setPersonField('idNumber', e.target.value)} className={inputClass} />
+                </label>
+                <label className="text-sm text-gray-700 dark:text-gray-300">
+                  Photo
+                  <input type="file" accept="image/jpeg,image/png,image/webp" onChange={(e) => setPersonField('photo', e.target.files[0] || null)} className={inputClass} />
+                </label>
+                <div className="md:col-span-3 flex justify-end">
+                  <button
+                    type="submit"
+                    disabled={submitting}
+                    className="px-3 py-2 rounded-md text-sm text-white bg-blue-600 hover:bg-blue-700 dark:bg-blue-700 dark:hover:bg-blue-800 disabled:opacity-50"
+                  >
+                    {submitting ? 'Saving...' : 'Save pickup person'}
+                  </button>
+                </div>
+              </form>
+            )}
+
+            <div>
+              <h3 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Who is collecting?</h3>
+              <div className="grid grid-cols-1 sm:grid-cols-2 xl:grid-cols-4 gap-3">
+                {persons.map(person => (
+                  <div
+                    key={person._id}
+                    className={`p-3 rounded-md border cursor-pointer ${
+                      collectorId === person._id
+                        ? 'border-blue-500 ring-2 ring-blue-200 dark:ring-blue-900'
+                        : 'border-gray-200 dark:border-slate-700 hover:border-blue-300'
+                    }`}
+                    onClick={() => chooseCollector(person._id)}
+                  >
+                    {photos[person._id] ? (
+                      <img src={photos[person._id]} alt={person.name} className="w-full h-40 object-cover rounded-md mb-2" />
+                    ) : (
+                      <div className="w-full h-40 rounded-md mb-2 bg-gray-100 dark:bg-slate-700 flex items-center justify-center text-xs text-gray-400">
+                        No photo on file
+                      </div>
+                    )}
+                    <div className="flex items-start justify-between gap-2">
+                      <div>
+                        <p className="font-medium text-gray-900 dark:text-white">{person.name}</p>
+                        <p className="text-xs text-gray-500 dark:text-gray-400">{person.relationship}{person.phone && ` · ${person.phone}`}</p>
+                        <p className="text-xs text-gray-500 dark:text-gray-400">{ID_TYPES[person.idType]}: {person.idNumber}</p>
+                      </div>
+                      {isAdmin && (
+                        <button
+                          onClick={(e) => { e.stopPropagation(); removePerson(person); }}
+                          className="text-gray-400 hover:text-red-600"
+                          title="Remove pickup person"
+                        >
+                          <Trash2 className="h-4 w-4" />
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                ))}
+                <div
+                  className={`p-3 rounded-md border border-dashed cursor-pointer flex items-center justify-center text-sm ${
+                    collectorId === 'other'
+                      ? 'border-red-500 text-red-600 dark:text-red-400'
+                      : 'border-gray-300 dark:border-slate-600 text-gray-500 dark:text-gray-400 hover:border-red-300'
+                  }`}
+                  onClick={() => chooseCollector('other')}
+                >
+                  Someone not on this list
+                </div>
+              </div>
+              {persons.length === 0 && (
+                <p className="text-sm text-gray-500 dark:text-gray-400 mt-2">No authorized pickup persons for this student.</p>
+              )}
+            </div>
+
+            {collectorId && (
+              <div className="p-3 rounded-md bg-gray-50 dark:bg-slate-900/40 space-y-3">
+                {collectorId === 'other' ? (
+                  <>
+                    <p className="text-sm text-red-700 dark:text-red-300 flex items-center">
+                      <AlertTriangle className="h-4 w-4 mr-1" />
+                      This person may not collect {student.name}. The attempt is logged and the parent alerted.
+                    </p>
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                      <label className="text-sm text-gray-700 dark:text-gray-300">
+                        Collector name
+                        <input value={collector.name} onChange={(e) => setCollector(prev => ({ ...prev, name: e.target.value }))} className={inputClass} />
+                      </label>
+                      <label className="text-sm text-gray-700 dark:text-gray-300">
+                        Relationship they claim
+                        <input value={collector.relationship} onChange={(e) => setCollector(prev => ({ ...prev, relationship: e.target.value }))} className={inputClass} />
+                      </label>
+                      <label className="text-sm text-gray-700 dark:text-gray-300">
+                        ID number
+                        <input value={collector.idNumber} onChange={(e) => setCollector(prev => ({ ...prev, idNumber: e.target.value }))} className={inputClass} />
+                      </label>
+                    </div>
+                  </>
+                ) : (
+                  <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+                    <input type="checkbox" checked={idVerified} onChange={(e) => setIdVerified(e.target.checked)} />
+                    I checked the {ID_TYPES[selectedPerson?.idType]?.toLowerCase()} of {selectedPerson?.name} and it matches {selectedPerson?.idNumber}
+                  </label>
+                )}
+                <label className="block text-sm text-gray-700 dark:text-gray-300">
+                  Reason for leaving early
+                  <input value={reason} onChange={(e) => setReason(e.target.value)} className={inputClass} />
+                </label>
+                <div className="flex flex-wrap justify-end gap-2">
+                  {collectorId === 'other' ? (
+                    <button
+                      onClick={() => submit(false)}
+                      disabled={submitting || !collector.name.trim()}
+                      className="inline-flex items-center px-3 py-2 rounded-md text-sm text-white bg-red-600 hover:bg-red-700 disabled:opacity-50"
+                    >
+                      <ShieldX className="h-4 w-4 mr-1" />
+                      Refuse and alert parent
+                    </button>
+                  ) : (
+                    <>
+                      <button
+                        onClick={() => submit(false)}
+                        disabled={submitting}
+                        className="inline-flex items-center px-3 py-2 rounded-md text-sm border border-red-300 text-red-700 dark:text-red-300 hover:bg-red-50 dark:hover:bg-red-900/20 disabled:opacity-50"
+                      >
+                        <ShieldX className="h-4 w-4 mr-1" />
+                        ID does not match
+                      </button>
+                      <button
+                        onClick={() => submit(true)}
+                        disabled={submitting || !idVerified}
+                        className="inline-flex items-center px-3 py-2 rounded-md text-sm text-white bg-green-600 hover:bg-green-700 disabled:opacity-50"
+                      >
+                        <CheckCircle className="h-4 w-4 mr-1" />
+                        Release {student.name}
+                      </button>
+                    </>
+                  )}
+                </div>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+
+      <div className="bg-white dark:bg-slate-800 shadow rounded-lg border border-gray-200 dark:border-slate-700 p-4">
+        <div className="flex flex-wrap items-center gap-3">
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Dismissal log</h2>
+          <input
+            type="date"
+            aria-label="Day"
+            value={date}
+            onChange={(e) => setDate(e.target.value)}
+            className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-slate-700 text-gray-700 dark:text-white text-sm"
+          />
+          <button
+            onClick={fetchLog}
+            className="p-2 rounded-lg text-gray-500 hover:text-blue-600 dark:text-gray-400 dark:hover:text-blue-400"
+            title="Refresh"
+          >
+            <RefreshCw className={`h-5 w-5 ${loading ? 'animate-spin' : ''}`} />
+          </button>
+          <span className="text-sm text-gray-600 dark:text-gray-300">
+            {log.counts.released} released
+          </span>
+          {log.counts.refused > 0 && (
+            <span className="inline-flex items-center text-sm text-red-600 dark:text-red-400">
+              <AlertTriangle className="h-4 w-4 mr-1" />
+              {log.counts.refused} refused
+            </span>
+          )}
+        </div>
+        <div className="mt-3 overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200 dark:divide-slate-700 text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 dark:text-gray-400">
+                <th className="px-3 py-2 font-medium">Time</th>
+                <th className="px-3 py-2 font-medium">Student</th>
+                <th className="px-3 py-2 font-medium">Collector</th>
+                <th className="px-3 py-2 font-medium">Outcome</th>
+                <th className="px-3 py-2 font-medium">Reason</th>
+                <th className="px-3 py-2 font-medium">Gatekeeper</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100 dark:divide-slate-700">
+              {log.dismissals.map(dismissal => (
+                <tr key={dismissal._id} className={dismissal.outcome === 'refused' ? 'bg-red-50 dark:bg-red-900/20' : ''}>
+                  <td className="px-3 py-2 text-gray-700 dark:text-gray-300">{formatTime(dismissal.time)}</td>
+                  <td className="px-3 py-2 text-gray-900 dark:text-white">
+                    {dismissal.student?.name} <span className="text-gray-400">{dismissal.student?.indexNumber}</span>
+                  </td>
+                  <td className="px-3 py-2 text-gray-700 dark:text-gray-300">
+                    {dismissal.collector.name}
+                    {dismissal.collector.relationship && ` (${dismissal.collector.relationship})`}
+                    {dismissal.collector.idNumber && <span className="block text-xs text-gray-400">ID {dismissal.collector.idNumber}</span>}
+                  </td>
+                  <td className="px-3 py-2">
+                    {dismissal.outcome === 'released' ? (
+                      <span className="text-green-700 dark:text-green-400">Released</span>
+                    ) : (
+                      <span className="text-red-700 dark:text-red-400">Refused: {dismissal.refusalReason}</span>
+                    )}
+                    {!dismissal.parentNotified && <span className="block text-xs text-gray-400">Parent not notified</span>}
+                  </td>
+                  <td className="px-3 py-2 text-gray-700 dark:text-gray-300">{dismissal.reason}</td>
+                  <td className="px-3 py-2 text-gray-700 dark:text-gray-300">
+                    {dismissal.gatekeeper?.name}
+                    {dismissal.location && <span className="block text-xs text-gray-400">{dismissal.location.name}</span>}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {log.dismissals.length === 0 && (
+            <p className="text-sm text-gray-500 dark:text-gray-400 py-2">No early dismissals on this day.</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default EarlyDismissalPage;
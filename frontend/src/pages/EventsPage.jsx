@@ -0,0 +1,524 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { eventService, classService, locationService } from '../services/api';
+import { toast } from 'react-toastify';
+import { DateTime } from 'luxon';
+import { CalendarDays, Download, Plus, RefreshCw, Save, X } from 'lucide-react';
+import { getSchoolTimezone } from '../utils/schoolTime';
+
+const EVENT_TYPES = ['sports', 'exam', 'assembly', 'field_trip', 'club', 'other'];
+
+const CHECK_IN_STATUSES = ['present', 'late', 'excused'];
+
+const STATUS_LABELS = {
+  present: 'Present',
+  late: 'Late',
+  excused: 'Excused',
+  expected: 'Not checked in',
+  no_show: 'No-show'
+};
+
+const STATUS_STYLES = {
+  present: 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300',
+  late: 'bg-amber-100 text-amber-800 dark:bg-amber-900/30 dark:text-amber-300',
+  excused: 'bg-purple-100 text-purple-800 dark:bg-purple-900/30 dark:text-purple-300',
+  expected: 'bg-gray-100 text-gray-700 dark:bg-slate-700 dark:text-gray-300',
+  no_show: 'bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-300'
+};
+
+const EMPTY_FORM = {
+  name: '',
+  type: 'other',
+  description: '',
+  startTime: '',
+  endTime: '',
+  location: '',
+  venue: '',
+  sections: [],
+  capacity: '',
+  checkInOpensMinutes: 30,
+  lateAfterMinutes: 5
+};
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-slate-700 text-gray-700 dark:text-white text-sm';
+
+// Event times are entered and shown in school time
+const toInputTime = (time) => DateTime.fromISO(time).setZone(getSchoolTimezone()).toFormat("yyyy-MM-dd'T'HH:mm");
+
+const formatTime = (time, format = DateTime.TIME_SIMPLE) => (time
+  ? DateTime.fromISO(time).setZone(getSchoolTimezone()).toLocaleString(format)
+  : '');
+
+const formatTypeLabel = (type) => type.replace('_', ' ');
+
+const EventsPage = () => {
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [selectedId, setSelectedId] = useState(null);
+  const [detail, setDetail] = useState(null);
+  const [showNoShows, setShowNoShows] = useState(false);
+  // null when closed, otherwise the event being edited ({} for a new one)
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [classes, setClasses] = useState([]);
+  const [locations, setLocations] = useState([]);
+
+  const fetchEvents = useCallback(async () => {
+    try {
+      setLoading(true);
+      setEvents(await eventService.getEvents());
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load events');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const fetchDetail = useCallback(async (id) => {
+    try {
+      setDetail(await eventService.getEvent(id));
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load event');
+      setDetail(null);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchEvents();
+    classService.getClasses()
+      .then(data => setClasses(data.classes || []))
+      .catch(error => console.error('Error loading classes:', error));
+    locationService.getLocations({ active: true })
+      .then(setLocations)
+      .catch(error => console.error('Error loading locations:', error));
+  }, [fetchEvents]);
+
+  useEffect(() => {
+    if (selectedId) {
+      fetchDetail(selectedId);
+    } else {
+      setDetail(null);
+    }
+  }, [selectedId, fetchDetail]);
+
+  const refresh = async () => {
+    await fetchEvents();
+    if (selectedId) await fetchDetail(selectedId);
+  };
+
+  const openForm = (event = null) => {
+    setEditing(event || {});
+    setForm(event
+      ? {
+        name: event.name,
+        type: event.type,
+        description: event.description || '',
+        startTime: toInputTime(event.startTime),
+        endTime: toInputTime(event.endTime),
+        location: event.location?._id || '',
+        venue: event.venue || '',
+        sections: (event.sections || []).map(section => section._id),
+        capacity: event.capacity ?? '',
+        checkInOpensMinutes: event.checkInOpensMinutes,
+        lateAfterMinutes: event.lateAfterMinutes
+      }
+      : EMPTY_FORM);
+  };
+
+  const setField = (field, value) => setForm(prev => ({ ...prev, [field]: value }));
+
+  const toggleSection = (sectionId) => {
+    setForm(prev => ({
+      ...prev,
+      sections: prev.sections.includes(sectionId)
+        ? prev.sections.filter(id => id !== sectionId)
+        : [...prev.sections, sectionId]
+    }));
+  };
+
+  const saveEvent = async (e) => {
+    e.preventDefault();
+    const payload = {
+      ...form,
+      capacity: form.capacity === '' ? null : Number(form.capacity),
+      checkInOpensMinutes: Number(form.checkInOpensMinutes),
+      lateAfterMinutes: Number(form.lateAfterMinutes)
+    };
+
+    try {
+      setSaving(true);
+      const saved = editing._id
+        ? await eventService.updateEvent(editing._id, payload)
+        : await eventService.createEvent(payload);
+      toast.success(editing._id ? 'Event updated' : 'Event created');
+      setEditing(null);
+      setSelectedId(saved._id);
+      await fetchEvents();
+      if (saved._id === selectedId) await fetchDetail(saved._id);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save event');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const setCancelled = async (event, cancelled) => {
+    if (cancelled && !window.confirm(`Cancel ${event.name}? Scans will no longer check students in.`)) return;
+    try {
+      await eventService.updateEvent(event._id, { cancelled });
+      toast.success(cancelled ? 'Event cancelled' : 'Event reinstated');
+      await refresh();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update event');
+    }
+  };
+
+  const deleteEvent = async (event) => {
+    if (!window.confirm(`Delete ${event.name}?`)) return;
+    try {
+      const result = await eventService.deleteEvent(event._id);
+      toast.success(result.message);
+      if (!result.data.cancelled) setSelectedId(null);
+      await refresh();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete event');
+    }
+  };
+
+  const markCheckIn = async (row, status) => {
+    let minutesLate = 0;
+    if (status === 'late') {
+      const answer = window.prompt(`Minutes late for ${row.student.name}`, String(row.minutesLate || 0));
+      if (answer === null) return;
+      minutesLate = Math.max(0, Math.min(600, parseInt(answer, 10) || 0));
+    }
+
+    try {
+      await eventService.checkIn(selectedId, row.student._id, status, minutesLate);
+      await refresh();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to check student in');
+    }
+  };
+
+  const removeCheckIn = async (row) => {
+    if (!window.confirm(`Remove the check-in of ${row.student.name}?`)) return;
+    try {
+      await eventService.removeCheckIn(selectedId, row.student._id);
+      await refresh();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to remove check-in');
+    }
+  };
+
+  const downloadReport = async () => {
+    try {
+      const day = DateTime.fromISO(detail.event.startTime).setZone(getSchoolTimezone()).toISODate();
+      await eventService.downloadReport(selectedId, `${detail.event.name.replace(/[^A-Za-z0-9]+/g, '_')}_${day}.xlsx`);
+    } catch (error) {
+      toast.error('Failed to download report');
+    }
+  };
+
+  const event = detail?.event;
+  const rows = (detail?.rows || []).filter(row => !showNoShows || (row.onRoster && ['expected', 'no_show'].includes(row.status)));
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+        <h1 className="text-2xl font-bold text-gray-900 dark:text-white flex items-center">
+          <CalendarDays className="h-6 w-6 mr-2 text-blue-600 dark:text-blue-400" />
+          Events
+        </h1>
+        <div className="flex items-center gap-3">
+          <button
+            onClick={refresh}
+            className="p-2 rounded-lg text-gray-500 hover:text-blue-600 dark:text-gray-400 dark:hover:text-blue-400"
+            title="Refresh"
+          >
+            <RefreshCw className={`h-5 w-5 ${loading ? 'animate-spin' : ''}`} />
+          </button>
+          <button
+            onClick={() => openForm()}
+            className="inline-flex items-center px-3 py-2 rounded-md text-sm text-white bg-blue-600 hover:bg-blue-700 dark:bg-blue-700 dark:hover:bg-blue-800"
+          >
+            <Plus className="h-4 w-4 mr-1" />
+            New event
+          </button>
+        </div>
+      </div>
+
+      {editing && (
+        <form
+          onSubmit={saveEvent}
+          className="bg-white dark:bg-slate-800 shadow rounded-lg border border-gray-200 dark:border-slate-700 p-4 space-y-4"
+        >
+          <div className="flex items-center justify-between">
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+              {editing._id ? `Edit ${editing.name}` : 'New event'}
+            </h2>
+            <button type="button" onClick={() => setEditing(null)} className="text-gray-400 hover:text-gray-600" title="Close">
+              <X className="h-5 w-5" />
+            </button>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <label className="text-sm text-gray-700 dark:text-gray-300 md:col-span-2">
+              Name
+              <input required value={form.name} onChange={(e) => setField('name', e.target.value)} className={inputClass} />
+            </label>
+            <label className="text-sm text-gray-700 dark:text-gray-300">
+              Type
+              <select value={form.type} onChange={(e) => setField('type', e.target.value)} className={`${inputClass} capitalize`}>
+                {EVENT_TYPES.map(type => <option key={type} value={type}>{formatTypeLabel(type)}</option>)}
+              </select>
+            </label>
+            <label className="text-sm text-gray-700 dark:text-gray-300">
+              Starts
+              <input type="datetime-local" required value={form.startTime} onChange={(e) => setField('startTime', e.target.value)} className={inputClass} />
+            </label>
+            <label className="text-sm text-gray-700 dark:text-gray-300">
+              Ends
+              <input type="datetime-local" required value={form.endTime} onChange={(e) => setField('endTime', e.target.value)} className={inputClass} />
+            </label>
+            <label className="text-sm text-gray-700 dark:text-gray-300">
+              Capacity
+              <input type="number" min="1" placeholder="No limit" value={form.capacity} onChange={(e) => setField('capacity', e.target.value)} className={inputClass} />
+            </label>
+            <label className="text-sm text-gray-700 dark:text-gray-300">
+              Location
+              <select value={form.location} onChange={(e) => setField('location', e.target.value)} className={inputClass}>
+                <option value="">None</option>
+                {locations.map(location => <option key={location._id} value={location._id}>{location.name}</option>)}
+              </select>
+            </label>
+            <label className="text-sm text-gray-700 dark:text-gray-300">
+              Venue
+              <input placeholder="e.g. City stadium" value={form.venue} onChange={(e) => setField('venue', e.target.value)} className={inputClass} />
+            </label>
+            <div className="grid grid-cols-2 gap-2">
+              <label className="text-sm text-gray-700 dark:text-gray-300">
+                Check-in opens (min before)
+                <input type="number" min="0" max="240" value={form.checkInOpensMinutes} onChange={(e) => setField('checkInOpensMinutes', e.target.value)} className={inputClass} />
+              </label>
+              <label className="text-sm text-gray-700 dark:text-gray-300">
+                Late after (min)
+                <input type="number" min="0" max="240" value={form.lateAfterMinutes} onChange={(e) => setField('lateAfterMinutes', e.target.value)} className={inputClass} />
+              </label>
+            </div>
+            <label className="text-sm text-gray-700 dark:text-gray-300 md:col-span-3">
+              Description
+              <input value={form.description} onChange={(e) => setField('description', e.target.value)} className={inputClass} />
+            </label>
+          </div>
+
+          <div>
+            <p className="text-sm text-gray-700 dark:text-gray-300">Roster</p>
+            <p className="text-xs text-gray-500 dark:text-gray-400 mb-2">
+              Students of the sections picked may check in. With none picked, every active student may.
+            </p>
+            <div className="flex flex-wrap gap-x-6 gap-y-2">
+              {classes.map(schoolClass => (
+                <div key={schoolClass._id} className="text-sm">
+                  <span className="font-medium text-gray-900 dark:text-white mr-2">{schoolClass.name}</span>
+                  {schoolClass.sections.map(section => (
+                    <label key={section._id} className="inline-flex items-center mr-3 text-gray-700 dark:text-gray-300">
+                      <input
+                        type="checkbox"
+                        checked={form.sections.includes(section._id)}
+                        onChange={() => toggleSection(section._id)}
+                        className="mr-1 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                      />
+                      {section.name}
+                    </label>
+                  ))}
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <div className="flex justify-end">
+            <button
+              type="submit"
+              disabled={saving}
+              className="inline-flex items-center px-3 py-2 rounded-md text-sm text-white bg-blue-600 hover:bg-blue-700 dark:bg-blue-700 dark:hover:bg-blue-800 disabled:opacity-50"
+            >
+              <Save className="h-4 w-4 mr-1" />
+              {saving ? 'Saving...' : 'Save event'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div className="bg-white dark:bg-slate-800 shadow rounded-lg border border-gray-200 dark:border-slate-700 divide-y divide-gray-200 dark:divide-slate-700">
+          {events.map(item => (
+            <button
+              key={item._id}
+              onClick={() => setSelectedId(item._id)}
+              className={`w-full text-left p-4 hover:bg-gray-50 dark:hover:bg-slate-700/50 ${
+                item._id === selectedId ? 'bg-blue-50 dark:bg-slate-700/50' : ''
+              }`}
+            >
+              <div className="flex items-center justify-between gap-2">
+                <span className="font-medium text-gray-900 dark:text-white">{item.name}</span>
+                {item.cancelledAt && (
+                  <span className="px-2 py-0.5 rounded-full text-xs bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-300">Cancelled</span>
+                )}
+              </div>
+              <p className="text-xs text-gray-500 dark:text-gray-400 capitalize">
+                {formatTypeLabel(item.type)} · {formatTime(item.startTime, DateTime.DATETIME_MED)}
+                {(item.location?.name || item.venue) && ` · ${item.location?.name || item.venue}`}
+              </p>
+              <p className="text-xs text-gray-500 dark:text-gray-400">
+                {item.checkIns.present + item.checkIns.late} checked in
+                {item.capacity ? ` of ${item.capacity}` : ''}
+                {item.checkIns.excused > 0 && ` · ${item.checkIns.excused} excused`}
+              </p>
+            </button>
+          ))}
+          {events.length === 0 && (
+            <p className="text-sm text-gray-500 dark:text-gray-400 text-center p-4">
+              {loading ? 'Loading events...' : 'No recent or upcoming events.'}
+            </p>
+          )}
+        </div>
+
+        <div className="lg:col-span-2 bg-white dark:bg-slate-800 shadow rounded-lg border border-gray-200 dark:border-slate-700 p-4">
+          {!event ? (
+            <p className="text-sm text-gray-500 dark:text-gray-400 text-center py-8">
+              Pick an event to see its roster.
+            </p>
+          ) : (
+            <>
+              <div className="flex flex-col md:flex-row md:items-start md:justify-between gap-3">
+                <div>
+                  <h2 className="text-lg font-semibold text-gray-900 dark:text-white">{event.name}</h2>
+                  <p className="text-xs text-gray-500 dark:text-gray-400">
+                    {formatTime(event.startTime, DateTime.DATETIME_MED)} – {formatTime(event.endTime)}
+                    {(event.location?.name || event.venue) && ` · ${event.location?.name || event.venue}`}
+                    {' · '}{event.sections.length > 0
+                      ? event.sections.map(section => `${section.schoolClass?.name || ''} ${section.name}`.trim()).join(', ')
+                      : 'All students'}
+                  </p>
+                  <p className="text-xs text-gray-500 dark:text-gray-400">
+                    {detail.counts.roster} on roster · {detail.counts.present} present · {detail.counts.late} late
+                    {' · '}{detail.counts.excused} excused · {detail.counts.expected + detail.counts.no_show} {detail.ended ? 'no-shows' : 'not checked in'}
+                  </p>
+                </div>
+                <div className="flex flex-wrap items-center gap-2">
+                  <button
+                    onClick={downloadReport}
+                    className="inline-flex items-center px-3 py-1.5 rounded-md text-sm border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-slate-700"
+                  >
+                    <Download className="h-4 w-4 mr-1" />
+                    Report
+                  </button>
+                  <button
+                    onClick={() => openForm(event)}
+                    className="px-3 py-1.5 rounded-md text-sm border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-slate-700"
+                  >
+                    Edit
+                  </button>
+                  <button
+                    onClick={() => setCancelled(event, !event.cancelledAt)}
+                    className="px-3 py-1.5 rounded-md text-sm border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-slate-700"
+                  >
+                    {event.cancelledAt ? 'Reinstate' : 'Cancel event'}
+                  </button>
+                  <button
+                    onClick={() => deleteEvent(event)}
+                    className="px-3 py-1.5 rounded-md text-sm text-red-600 border border-red-300 hover:bg-red-50 dark:text-red-400 dark:border-red-800 dark:hover:bg-red-900/20"
+                  >
+                    Delete
+                  </button>
+                </div>
+              </div>
+
+              <div className="mt-4 flex gap-2">
+                {[['Roster', false], [detail.ended ? 'No-shows' : 'Not checked in', true]].map(([label, value]) => (
+                  <button
+                    key={label}
+                    onClick={() => setShowNoShows(value)}
+                    className={`px-3 py-1 rounded-full text-xs ${
+                      showNoShows === value
+                        ? 'bg-blue-600 text-white'
+                        : 'bg-gray-100 text-gray-700 dark:bg-slate-700 dark:text-gray-300'
+                    }`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+
+              <div className="mt-3 overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200 dark:divide-slate-700 text-sm">
+                  <thead>
+                    <tr className="text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase">
+                      <th className="px-3 py-2">Student</th>
+                      <th className="px-3 py-2">Class</th>
+                      <th className="px-3 py-2">Status</th>
+                      <th className="px-3 py-2">Check-in</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200 dark:divide-slate-700">
+                    {rows.map(row => (
+                      <tr key={row.student._id}>
+                        <td className="px-3 py-2">
+                          <div className="font-medium text-gray-900 dark:text-white">{row.student.name}</div>
+                          <div className="text-xs text-gray-500 dark:text-gray-400">
+                            {row.student.indexNumber}{!row.onRoster && ' · added'}
+                          </div>
+                        </td>
+                        <td className="px-3 py-2 text-gray-700 dark:text-gray-300">{row.student.classLabel}</td>
+                        <td className="px-3 py-2">
+                          <span className={`px-2 py-0.5 rounded-full text-xs ${STATUS_STYLES[row.status]}`}>
+                            {STATUS_LABELS[row.status]}{row.status === 'late' && ` (${row.minutesLate} min)`}
+                          </span>
+                          {row.checkedInAt && row.status !== 'excused' && (
+                            <span className="ml-2 text-xs text-gray-500 dark:text-gray-400">
+                              {formatTime(row.checkedInAt)}{row.method === 'manual' && ' · by hand'}
+                            </span>
+                          )}
+                        </td>
+                        <td className="px-3 py-2">
+                          <div className="flex items-center gap-1">
+                            {CHECK_IN_STATUSES.filter(status => status !== row.status).map(status => (
+                              <button
+                                key={status}
+                                onClick={() => markCheckIn(row, status)}
+                                disabled={Boolean(event.cancelledAt)}
+                                className="px-2 py-1 text-xs capitalize rounded-md border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-slate-600 disabled:opacity-50"
+                              >
+                                {status}
+                              </button>
+                            ))}
+                            {row.checkedInAt && (
+                              <button
+                                onClick={() => removeCheckIn(row)}
+                                className="px-2 py-1 text-xs rounded-md text-red-600 hover:bg-red-50 dark:text-red-400 dark:hover:bg-red-900/20"
+                              >
+                                Remove
+                              </button>
+                            )}
+                          </div>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                {rows.length === 0 && (
+                  <p className="text-sm text-gray-500 dark:text-gray-400 text-center py-4">
+                    {showNoShows ? 'Everyone on the roster has checked in.' : 'Nobody is on the roster.'}
+                  </p>
+                )}
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default EventsPage;
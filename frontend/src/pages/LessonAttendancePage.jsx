@@ -0,0 +1,361 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { lessonService } from '../services/api';
+import { toast } from 'react-toastify';
+import { DateTime } from 'luxon';
+import { BookOpen, QrCode, ClipboardList, AlertTriangle, RefreshCw, Save } from 'lucide-react';
+import QRScanner from '../components/scanner/QRScanner';
+import ClassFilterSelect from '../components/attendance/ClassFilterSelect';
+import { toClassParams } from '../utils/classFilter';
+import { getSchoolTimezone, toDayKey } from '../utils/schoolTime';
+
+const LESSON_STATUSES = ['present', 'late', 'absent', 'excused'];
+
+const STATUS_STYLES = {
+  present: 'bg-green-600 text-white',
+  late: 'bg-amber-500 text-white',
+  absent: 'bg-red-600 text-white',
+  excused: 'bg-purple-600 text-white'
+};
+
+// Where the gate had the student while the lesson was on
+const GATE_LABELS = {
+  on_campus: { label: 'On campus', className: 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-400' },
+  off_campus: { label: 'Off campus', className: 'bg-orange-100 text-orange-800 dark:bg-orange-900/30 dark:text-orange-400' },
+  absent: { label: 'Absent', className: 'bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-400' },
+  excused: { label: 'Excused', className: 'bg-purple-100 text-purple-800 dark:bg-purple-900/30 dark:text-purple-400' },
+  not_scanned: { label: 'Not scanned', className: 'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-400' }
+};
+
+const formatTime = (time) => (time
+  ? DateTime.fromISO(time).setZone(getSchoolTimezone()).toLocaleString(DateTime.TIME_SIMPLE)
+  : '');
+
+const LessonAttendancePage = () => {
+  const [date, setDate] = useState(toDayKey());
+  const [mine, setMine] = useState(true);
+  const [classFilter, setClassFilter] = useState('');
+  const [lessons, setLessons] = useState([]);
+  const [missed, setMissed] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [register, setRegister] = useState(null);
+  // Statuses changed in the roll call and not saved yet, keyed by student id
+  const [changes, setChanges] = useState({});
+  const [scanning, setScanning] = useState(false);
+  // Bumped after every scan to remount the scanner, which stops once it reads a code
+  const [scanCount, setScanCount] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const isToday = date === toDayKey();
+
+  const fetchLessons = useCallback(async () => {
+    try {
+      setLoading(true);
+      const params = { date, ...toClassParams(classFilter) };
+      const [lessonList, flags] = await Promise.all([
+        lessonService.getLessons({ ...params, mine: mine ? 'true' : undefined }),
+        lessonService.getMissedLessons(params)
+      ]);
+      setLessons(lessonList);
+      setMissed(flags);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load lessons');
+    } finally {
+      setLoading(false);
+    }
+  }, [date, mine, classFilter]);
+
+  const fetchRegister = useCallback(async () => {
+    if (!selectedId) {
+      setRegister(null);
+      return;
+    }
+
+    try {
+      setRegister(await lessonService.getRegister(selectedId, date));
+      setChanges({});
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load register');
+    }
+  }, [selectedId, date]);
+
+  useEffect(() => {
+    fetchLessons();
+  }, [fetchLessons]);
+
+  useEffect(() => {
+    fetchRegister();
+  }, [fetchRegister]);
+
+  const selectLesson = (id) => {
+    setSelectedId(id);
+    setScanning(false);
+  };
+
+  const changeDate = (value) => {
+    setDate(value);
+    setSelectedId(null);
+    setScanning(false);
+  };
+
+  const handleScanSuccess = () => {
+    setScanCount(count => count + 1);
+    fetchRegister();
+  };
+
+  // Mark every student nobody has marked yet as present
+  const markRestPresent = () => {
+    const rest = {};
+    register.rows
+      .filter(row => !row.lessonStatus && !changes[row.student._id])
+      .forEach(row => { rest[row.student._id] = row.gateStatus === 'excused' ? 'excused' : 'present'; });
+    setChanges(prev => ({ ...prev, ...rest }));
+  };
+
+  const saveRollCall = async () => {
+    const records = Object.entries(changes).map(([studentId, status]) => ({ studentId, status }));
+    if (records.length === 0) {
+      toast.info('No changes to save');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      setRegister(await lessonService.submitRollCall(selectedId, date, records));
+      setChanges({});
+      toast.success('Register saved');
+      fetchLessons();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save register');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const flaggedCount = register?.rows.filter(row => row.flagged).length || 0;
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+        <h1 className="text-2xl font-bold text-gray-900 dark:text-white flex items-center">
+          <BookOpen className="h-6 w-6 mr-2 text-blue-600 dark:text-blue-400" />
+          Lessons
+        </h1>
+        <div className="flex flex-wrap items-center gap-3">
+          <input
+            type="date"
+            aria-label="Date"
+            value={date}
+            max={toDayKey()}
+            onChange={(e) => changeDate(e.target.value)}
+            className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-slate-700 text-gray-700 dark:text-white text-sm"
+          />
+          <label className="inline-flex items-center text-sm text-gray-700 dark:text-gray-300">
+            <input
+              type="checkbox"
+              checked={mine}
+              onChange={(e) => setMine(e.target.checked)}
+              className="mr-2 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+            />
+            My lessons
+          </label>
+          <ClassFilterSelect value={classFilter} onChange={setClassFilter} />
+          <button
+            onClick={fetchLessons}
+            className="p-2 rounded-lg text-gray-500 hover:text-blue-600 dark:text-gray-400 dark:hover:text-blue-400"
+            title="Refresh"
+          >
+            <RefreshCw className={`h-5 w-5 ${loading ? 'animate-spin' : ''}`} />
+          </button>
+        </div>
+      </div>
+
+      {missed.length > 0 && (
+        <div className="bg-amber-50 dark:bg-amber-900/20 border border-amber-200 dark:border-amber-800 rounded-lg p-4">
+          <h2 className="text-sm font-semibold text-amber-800 dark:text-amber-300 flex items-center">
+            <AlertTriangle className="h-4 w-4 mr-2" />
+            {missed.length} missed {missed.length === 1 ? 'lesson' : 'lessons'} by students on campus
+          </h2>
+          <ul className="mt-2 space-y-1 text-sm text-amber-900 dark:text-amber-200">
+            {missed.map(flag => (
+              <li key={`${flag.lesson._id}-${flag.student._id}`}>
+                <span className="font-medium">{flag.student.name}</span> ({flag.student.indexNumber}) missed{' '}
+                {flag.lesson.subject} with {flag.lesson.sectionLabel}, {flag.lesson.period?.name}
+                {flag.lesson.teacher ? ` · ${flag.lesson.teacher.name}` : ''}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div className="bg-white dark:bg-slate-800 shadow rounded-lg border border-gray-200 dark:border-slate-700">
+          {loading && lessons.length === 0 ? (
+            <div className="py-8 flex justify-center">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500"></div>
+            </div>
+          ) : lessons.length === 0 ? (
+            <p className="text-sm text-gray-500 dark:text-gray-400 text-center py-8 px-4">
+              No lessons on this day.
+            </p>
+          ) : (
+            <ul className="divide-y divide-gray-200 dark:divide-slate-700">
+              {lessons.map(lesson => {
+                const markedCount = Object.values(lesson.marked).reduce((sum, count) => sum + count, 0);
+                return (
+                  <li key={lesson._id}>
+                    <button
+                      onClick={() => selectLesson(lesson._id)}
+                      className={`w-full text-left px-4 py-3 hover:bg-gray-50 dark:hover:bg-slate-700 ${
+                        selectedId === lesson._id ? 'bg-blue-50 dark:bg-slate-700' : ''
+                      }`}
+                    >
+                      <div className="flex items-center justify-between">
+                        <span className="text-sm font-medium text-gray-900 dark:text-white">{lesson.subject}</span>
+                        <span className="text-xs text-gray-500 dark:text-gray-400">
+                          {lesson.period.startTime} – {lesson.period.endTime}
+                        </span>
+                      </div>
+                      <div className="mt-1 flex items-center justify-between text-xs text-gray-500 dark:text-gray-400">
+                        <span>{[lesson.sectionLabel, lesson.room, lesson.teacher?.name].filter(Boolean).join(' · ')}</span>
+                        <span>{markedCount > 0 ? `${markedCount} marked` : 'Not taken'}</span>
+                      </div>
+                    </button>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </div>
+
+        <div className="lg:col-span-2 bg-white dark:bg-slate-800 shadow rounded-lg border border-gray-200 dark:border-slate-700 p-4">
+          {!register ? (
+            <p className="text-sm text-gray-500 dark:text-gray-400 text-center py-8">
+              Select a lesson to take its register.
+            </p>
+          ) : (
+            <>
+              <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+                <div>
+                  <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+                    {register.lesson.subject} · {register.lesson.sectionLabel}
+                  </h2>
+                  <p className="text-xs text-gray-500 dark:text-gray-400">
+                    {register.lesson.period.name}, {formatTime(register.startTime)} – {formatTime(register.endTime)}
+                    {flaggedCount > 0 && ` · ${flaggedCount} on campus but absent`}
+                  </p>
+                </div>
+                <div className="flex items-center gap-2">
+                  {isToday && (
+                    <button
+                      onClick={() => setScanning(!scanning)}
+                      className="inline-flex items-center px-3 py-2 rounded-md text-sm border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-slate-700"
+                    >
+                      {scanning ? <ClipboardList className="h-4 w-4 mr-1" /> : <QrCode className="h-4 w-4 mr-1" />}
+                      {scanning ? 'Roll call' : 'Scan'}
+                    </button>
+                  )}
+                  {!scanning && (
+                    <>
+                      <button
+                        onClick={markRestPresent}
+                        className="inline-flex items-center px-3 py-2 rounded-md text-sm border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-slate-700"
+                      >
+                        Mark rest present
+                      </button>
+                      <button
+                        onClick={saveRollCall}
+                        disabled={saving || Object.keys(changes).length === 0}
+                        className={`inline-flex items-center px-3 py-2 rounded-md text-sm text-white ${
+                          saving || Object.keys(changes).length === 0
+                            ? 'bg-gray-400 dark:bg-gray-600 cursor-not-allowed'
+                            : 'bg-blue-600 hover:bg-blue-700 dark:bg-blue-700 dark:hover:bg-blue-800'
+                        }`}
+                      >
+                        <Save className="h-4 w-4 mr-1" />
+                        Save
+                      </button>
+                    </>
+                  )}
+                </div>
+              </div>
+
+              {scanning && (
+                <div className="mt-4">
+                  <QRScanner
+                    key={scanCount}
+                    markScan={(qrData) => lessonService.scan(selectedId, qrData)}
+                    onScanSuccess={handleScanSuccess}
+                  />
+                </div>
+              )}
+
+              <div className="mt-4 overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200 dark:divide-slate-700 text-sm">
+                  <thead>
+                    <tr className="text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase">
+                      <th className="px-3 py-2">Student</th>
+                      <th className="px-3 py-2">Gate</th>
+                      <th className="px-3 py-2">Lesson</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200 dark:divide-slate-700">
+                    {register.rows.map(row => {
+                      const gate = GATE_LABELS[row.gateStatus] || GATE_LABELS.not_scanned;
+                      const status = changes[row.student._id] || row.lessonStatus;
+                      return (
+                        <tr key={row.student._id} className={row.flagged ? 'bg-amber-50 dark:bg-amber-900/20' : ''}>
+                          <td className="px-3 py-2">
+                            <div className="font-medium text-gray-900 dark:text-white flex items-center">
+                              {row.flagged && <AlertTriangle className="h-4 w-4 mr-1 text-amber-500" aria-label="On campus but absent" />}
+                              {row.student.name}
+                            </div>
+                            <div className="text-xs text-gray-500 dark:text-gray-400">
+                              {row.student.indexNumber}
+                              {row.method === 'scan' && row.markedAt && ` · scanned ${formatTime(row.markedAt)}`}
+                              {row.minutesLate > 0 && ` · ${row.minutesLate} min late`}
+                            </div>
+                          </td>
+                          <td className="px-3 py-2">
+                            <span className={`inline-flex px-2 py-0.5 rounded-full text-xs font-medium ${gate.className}`}>
+                              {gate.label}
+                            </span>
+                          </td>
+                          <td className="px-3 py-2">
+                            <div className="inline-flex rounded-md shadow-sm">
+                              {LESSON_STATUSES.map(option => (
+                                <button
+                                  key={option}
+                                  onClick={() => setChanges(prev => ({ ...prev, [row.student._id]: option }))}
+                                  disabled={scanning}
+                                  className={`px-2 py-1 text-xs capitalize border border-gray-300 dark:border-gray-600 first:rounded-l-md last:rounded-r-md ${
+                                    status === option
+                                      ? STATUS_STYLES[option]
+                                      : 'bg-white dark:bg-slate-700 text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-slate-600'
+                                  }`}
+                                >
+                                  {option}
+                                </button>
+                              ))}
+                            </div>
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+                {register.rows.length === 0 && (
+                  <p className="text-sm text-gray-500 dark:text-gray-400 text-center py-4">
+                    No students in this section.
+                  </p>
+                )}
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LessonAttendancePage;
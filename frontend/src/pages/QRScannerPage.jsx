@@ -1,18 +1,27 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
 import { Link } from 'react-router-dom';
 import QRScanner from '../components/scanner/QRScanner';
 import QRGenerator from '../components/scanner/QRGenerator';
 import DigitalQRScanner from '../components/scanner/DigitalQRScanner';
-import { attendanceService } from '../services/api';
+import { attendanceService, locationService, deviceService, qrCodeService, eventService, studentService } from '../services/api';
 import { toast } from 'react-toastify';
 import { DateTime } from 'luxon';
+import { getSchoolTimezone } from '../utils/schoolTime';
+import { getScannerLocation, setScannerLocation, getScannerEvent, setScannerEvent } from '../utils/scanLocation';
+import { getDeviceToken, setDeviceToken } from '../utils/scannerDevice';
+import { isOfflineQueueAvailable, countQueuedScans } from '../utils/offlineScanQueue';
 import { 
   AlertCircle, 
   CheckCircle, 
   Clock, 
   LogIn,
   AlertTriangle,
-  Info
+  Info,
+  MapPin,
+  CalendarDays,
+  Tablet,
+  CloudOff,
+  UserRound
 } from 'lucide-react';
 import { Tab } from '@headlessui/react';
 import { motion, AnimatePresence } from 'framer-motion';
@@ -23,7 +32,7 @@ const formatTime = (timestamp) => {
   try {
     if (timestamp instanceof Date) {
       return DateTime.fromJSDate(timestamp)
-        .setZone('Asia/Colombo')
+        .setZone(getSchoolTimezone())
         .toLocaleString({
           hour: '2-digit',
           minute: '2-digit',
@@ -33,7 +42,7 @@ const formatTime = (timestamp) => {
     
     const parsedTime = DateTime.fromISO(timestamp);
     if (parsedTime.isValid) {
-      return parsedTime.setZone('Asia/Colombo').toLocaleString({
+      return parsedTime.setZone(getSchoolTimezone()).toLocaleString({
         hour: '2-digit',
         minute: '2-digit',
         hour12: true
@@ -41,7 +50,7 @@ const formatTime = (timestamp) => {
     }
     
     return DateTime.fromJSDate(new Date(timestamp))
-      .setZone('Asia/Colombo')
+      .setZone(getSchoolTimezone())
       .toLocaleString({
         hour: '2-digit',
         minute: '2-digit',
@@ -64,6 +73,19 @@ const QRScannerPage = () => {
   const [error, setError] = useState('');
   const [scanResult, setScanResult] = useState(null);
   const [scanSuccess, setScanSuccess] = useState(false);
+  // Photo of the scanned student, for the gatekeeper to compare faces
+  const [scanPhotoUrl, setScanPhotoUrl] = useState(null);
+  const [locations, setLocations] = useState([]);
+  const [locationId, setLocationId] = useState(getScannerLocation() || '');
+  // Events taking check-ins now; with one picked, scans check students in to it
+  const [openEvents, setOpenEvents] = useState([]);
+  const [eventId, setEventId] = useState(getScannerEvent() || '');
+  // Set when this browser is an enrolled scanner device
+  const [device, setDevice] = useState(null);
+  // Scans taken while offline and not yet sent
+  const [queuedCount, setQueuedCount] = useState(0);
+  const [syncing, setSyncing] = useState(false);
+  const syncingRef = useRef(false);
   const [attendanceStats, setAttendanceStats] = useState({
     totalCount: 0,
     presentCount: 0,
@@ -133,6 +155,123 @@ const QRScannerPage = () => {
     }
   }, [scanSuccess, fetchRecentAttendance]);
 
+  // Load the locations in use; forget a saved location that no longer is
+  useEffect(() => {
+    locationService.getLocations({ active: true })
+      .then(list => {
+        setLocations(list);
+        if (!list.some(location => location._id === getScannerLocation())) {
+          setScannerLocation(null);
+          setLocationId('');
+        }
+      })
+      .catch(error => console.error('Error loading scan locations:', error));
+  }, []);
+
+  // Load the events taking check-ins every minute; go back to gate attendance
+  // once the saved event has closed
+  useEffect(() => {
+    const loadEvents = () => {
+      eventService.getEvents({ open: true })
+        .then(list => {
+          setOpenEvents(list);
+          if (getScannerEvent() && !list.some(event => event._id === getScannerEvent())) {
+            setScannerEvent(null);
+            setEventId('');
+          }
+        })
+        .catch(error => console.error('Error loading open events:', error));
+    };
+
+    loadEvents();
+    const interval = setInterval(loadEvents, 60000);
+    return () => clearInterval(interval);
+  }, []);
+
+  // An enrolled device reports in every minute and learns its name and location
+  useEffect(() => {
+    if (!getDeviceToken()) return undefined;
+
+    const sendHeartbeat = () => {
+      deviceService.heartbeat()
+        .then(setDevice)
+        .catch(error => {
+          if (error.response?.status === 401) {
+            // Revoked or replaced; scan as the signed-in admin from now on
+            setDeviceToken(null);
+            setDevice(null);
+            toast.error(error.response.data?.message || 'This scanner is no longer enrolled');
+          } else {
+            console.error('Error sending device heartbeat:', error);
+          }
+        });
+    };
+
+    sendHeartbeat();
+    const interval = setInterval(sendHeartbeat, 60000);
+    return () => clearInterval(interval);
+  }, []);
+
+  const refreshQueuedCount = useCallback(async () => {
+    if (!isOfflineQueueAvailable()) return 0;
+    try {
+      const count = await countQueuedScans();
+      setQueuedCount(count);
+      return count;
+    } catch (error) {
+      console.error('Error reading offline scan queue:', error);
+      return 0;
+    }
+  }, []);
+
+  // Send the scans queued while offline
+  const syncQueuedScans = useCallback(async ({ quiet = false } = {}) => {
+    if (syncingRef.current || !navigator.onLine) return;
+    syncingRef.current = true;
+
+    try {
+      if (!await refreshQueuedCount()) return;
+      setSyncing(true);
+      const { sent, rejected, remaining } = await qrCodeService.syncQueuedScans();
+      if (sent > 0) {
+        toast.success(`${sent} offline ${sent === 1 ? 'scan' : 'scans'} recorded`);
+        fetchRecentAttendance();
+      }
+      rejected.forEach(message => toast.warning(message));
+      if (remaining > 0 && !quiet) {
+        toast.info(`${remaining} ${remaining === 1 ? 'scan is' : 'scans are'} still waiting for the connection`);
+      }
+    } catch (error) {
+      console.error('Error syncing offline scans:', error);
+    } finally {
+      syncingRef.current = false;
+      setSyncing(false);
+      refreshQueuedCount();
+    }
+  }, [refreshQueuedCount, fetchRecentAttendance]);
+
+  // Sync on opening the scanner, when the connection comes back and every half minute
+  useEffect(() => {
+    const syncQuietly = () => syncQueuedScans({ quiet: true });
+    syncQuietly();
+    window.addEventListener('online', syncQuietly);
+    const interval = setInterval(syncQuietly, 30000);
+    return () => {
+      window.removeEventListener('online', syncQuietly);
+      clearInterval(interval);
+    };
+  }, [syncQueuedScans]);
+
+  const changeLocation = (id) => {
+    setScannerLocation(id || null);
+    setLocationId(id);
+  };
+
+  const changeEvent = (id) => {
+    setScannerEvent(id || null);
+    setEventId(id);
+  };
+
   // Reset scan result after delay
   useEffect(() => {
     let timer;
@@ -147,6 +286,30 @@ const QRScannerPage = () => {
     };
   }, [scanResult]);
 
+  // Load the photo of each scanned student that has one
+  useEffect(() => {
+    if (!scanResult?.id || !scanResult.hasPhoto) return undefined;
+
+    let photoUrl = null;
+    let cancelled = false;
+    studentService.getPhotoUrl(scanResult.id)
+      .then((url) => {
+        if (cancelled) {
+          URL.revokeObjectURL(url);
+          return;
+        }
+        photoUrl = url;
+        setScanPhotoUrl(url);
+      })
+      .catch(() => {});
+
+    return () => {
+      cancelled = true;
+      if (photoUrl) URL.revokeObjectURL(photoUrl);
+      setScanPhotoUrl(null);
+    };
+  }, [scanResult]);
+
   const handleScanSuccess = useCallback(async (result) => {
     try {
       let parsedData = result;
@@ -159,6 +322,9 @@ const QRScannerPage = () => {
         }
       }
       
+      // Visitor passes and staff codes sign in or out; the scanner has said which
+      if (parsedData.visitorPass || parsedData.staffId) return;
+
       if (parsedData.student) {
         parsedData = {
           ...parsedData.student,
@@ -169,15 +335,29 @@ const QRScannerPage = () => {
         };
       }
       
+      // Queued while offline; the scanner has said so and it is sent later.
+      // A signed code says who it belongs to only once the server reads it.
+      if (parsedData?.status === 'queued' && !parsedData.indexNumber) {
+        refreshQueuedCount();
+        return;
+      }
+
       if (!parsedData || !parsedData.indexNumber) {
         throw new Error('Invalid QR code data. Missing student information.');
       }
       
       setScanResult(parsedData);
       setScanSuccess(true);
+
+      if (parsedData.status === 'queued') {
+        refreshQueuedCount();
+        return;
+      }
       
       const statusDisplay = parsedData.status || 'present';
-      toast.success(`Attendance marked for ${parsedData.name || 'Student'} as ${statusDisplay}`);
+      if (!getScannerEvent()) {
+        toast.success(`Attendance marked for ${parsedData.name || 'Student'} as ${statusDisplay}`);
+      }
       
       await fetchRecentAttendance();
       
@@ -187,11 +367,14 @@ const QRScannerPage = () => {
       setScanSuccess(false);
       setScanResult(null);
     }
-  }, [fetchRecentAttendance]);
+  }, [fetchRecentAttendance, refreshQueuedCount]);
 
   const handleScanError = useCallback((error) => {
     console.error('Scan error:', error);
-    toast.error(error.message || 'Failed to scan QR code');
+    // The scanner has already shown why a scan was turned away
+    if (!error.response?.data?.rejected) {
+      toast.error(error.message || 'Failed to scan QR code');
+    }
     setScanSuccess(false);
     setScanResult(null);
   }, []);
@@ -321,7 +504,67 @@ const QRScannerPage = () => {
         <div className="lg:col-span-3">
           <div className="bg-white dark:bg-slate-800 rounded-lg shadow-md overflow-hidden">
             <div className="p-6">
-              <h1 className="text-2xl font-bold text-gray-800 dark:text-white mb-4">QR Code Scanner</h1>
+              <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mb-4">
+                <div className="flex items-center gap-3">
+                  <h1 className="text-2xl font-bold text-gray-800 dark:text-white">QR Code Scanner</h1>
+                  {device && (
+                    <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-cyan-100 text-cyan-800 dark:bg-cyan-900/30 dark:text-cyan-300">
+                      <Tablet className="h-3 w-3 mr-1" />
+                      {device.name}
+                    </span>
+                  )}
+                  {queuedCount > 0 && (
+                    <button
+                      onClick={() => syncQueuedScans()}
+                      disabled={syncing}
+                      className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-amber-100 text-amber-800 hover:bg-amber-200 dark:bg-amber-900/30 dark:text-amber-300 disabled:opacity-60"
+                      title="Send the scans taken while offline now"
+                    >
+                      <CloudOff className="h-3 w-3 mr-1" />
+                      {syncing ? 'Syncing...' : `${queuedCount} waiting to sync`}
+                    </button>
+                  )}
+                </div>
+                {device?.location ? (
+                  <span className="inline-flex items-center text-sm text-gray-700 dark:text-gray-300">
+                    <MapPin className="h-4 w-4 mr-2 text-blue-500" />
+                    Scanning at {device.location.name}
+                  </span>
+                ) : locations.length > 0 && (
+                  <label className="inline-flex items-center text-sm text-gray-700 dark:text-gray-300">
+                    <MapPin className="h-4 w-4 mr-2 text-blue-500" />
+                    <span className="mr-2">Scanning at</span>
+                    <select
+                      value={locationId}
+                      onChange={(e) => changeLocation(e.target.value)}
+                      className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-slate-700 text-gray-700 dark:text-white text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                      <option value="">Default location</option>
+                      {locations.map(location => (
+                        <option key={location._id} value={location._id}>
+                          {location.name}{location.direction !== 'both' ? ` (${location.direction} only)` : ''}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                )}
+                {(openEvents.length > 0 || eventId) && (
+                  <label className="inline-flex items-center text-sm text-gray-700 dark:text-gray-300">
+                    <CalendarDays className="h-4 w-4 mr-2 text-purple-500" />
+                    <span className="mr-2">Checking in to</span>
+                    <select
+                      value={eventId}
+                      onChange={(e) => changeEvent(e.target.value)}
+                      className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-slate-700 text-gray-700 dark:text-white text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                      <option value="">Gate attendance</option>
+                      {openEvents.map(event => (
+                        <option key={event._id} value={event._id}>{event.name}</option>
+                      ))}
+                    </select>
+                  </label>
+                )}
+              </div>
               
           
               {scanResult && (
@@ -344,7 +587,18 @@ const QRScannerPage = () => {
                     </h3>
                     <div className={`mt-2 text-sm ${scanSuccess ? 'text-green-700 dark:text-green-300' : 'text-red-700 dark:text-red-300'}`}>
                       {scanSuccess ? (
-                        <div className="space-y-2">
+                        <div className="flex flex-col sm:flex-row gap-4">
+                        <div className="w-48 h-60 flex-shrink-0 mx-auto sm:mx-0 rounded-lg overflow-hidden border-2 border-green-300 dark:border-green-700 bg-gray-100 dark:bg-slate-700 flex items-center justify-center">
+                          {scanPhotoUrl ? (
+                            <img src={scanPhotoUrl} alt={scanResult.name || 'Student'} className="w-full h-full object-cover" />
+                          ) : (
+                            <div className="text-center text-gray-400 dark:text-gray-500">
+                              <UserRound className="h-12 w-12 mx-auto" />
+                              <p className="text-xs mt-1">{scanResult.hasPhoto ? 'Loading photo...' : 'No photo on file'}</p>
+                            </div>
+                          )}
+                        </div>
+                        <div className="flex-1 space-y-2">
                           <p className="font-semibold">Student Details:</p>
                           <div className="bg-white dark:bg-slate-700 p-3 rounded-md border border-green-200 dark:border-green-800 grid grid-cols-1 md:grid-cols-2 gap-2">
                             <div>
@@ -381,6 +635,7 @@ const QRScannerPage = () => {
                                 }`}>
                                   {scanResult.status === 'entered' ? 'Present' : 
                                    scanResult.status === 'left' ? 'Left' : 
+                                   scanResult.status === 'queued' ? 'Waiting to sync' :
                                    scanResult.status || 'Present'}
                                 </span>
                               </p>
@@ -415,6 +670,7 @@ const QRScannerPage = () => {
                             </div>
                           </div>
                         </div>
+                        </div>
                       ) : (
                         <p>Failed to process QR code. Please try again.</p>
                       )}
@@ -17,6 +17,9 @@ import {
   Users
 } from 'lucide-react';
 import { DateTime } from 'luxon';
+import { getSchoolTimezone, toDayKey } from '../utils/schoolTime';
+import ClassFilterSelect from '../components/attendance/ClassFilterSelect';
+import { toClassParams } from '../utils/classFilter';
 import { motion, AnimatePresence } from 'framer-motion';
 import { useTheme } from '../context/ThemeContext';
 import PreviewSection from '../components/reports/PreviewSection';
@@ -25,15 +28,7 @@ import DateRangeSelector from '../components/reports/DateRangeSelector';
 import ReportTemplate from '../components/reports/ReportTemplate';
 
 // Date formatting helper
-const formatDate = (date) => {
-  if (!date) return '';
-  try {
-    return DateTime.fromJSDate(new Date(date)).toFormat('yyyy-MM-dd');
-  } catch (error) {
-    console.error('Date formatting error:', error);
-    return '';
-  }
-};
+const formatDate = (date) => (date ? toDayKey(date) : '');
 
 // Helper function to format time, handling MongoDB date formats
 const formatTime = (time) => {
@@ -46,7 +41,8 @@ const formatTime = (time) => {
         return new Date(parseInt(time.$date.$numberLong)).toLocaleTimeString('en-US', {
           hour: '2-digit',
           minute: '2-digit',
-          hour12: true
+          hour12: true,
+          timeZone: getSchoolTimezone()
         });
       }
       return new Date(time.$date).toLocaleTimeString('en-US', {
@@ -60,7 +56,8 @@ const formatTime = (time) => {
     return new Date(time).toLocaleTimeString('en-US', {
       hour: '2-digit',
       minute: '2-digit',
-      hour12: true
+      hour12: true,
+      timeZone: getSchoolTimezone()
     });
   } catch (e) {
     console.error('Error formatting time:', e, time);
@@ -79,7 +76,8 @@ const formatMongoDate = (dateValue) => {
         return new Date(parseInt(dateValue.$date.$numberLong)).toLocaleTimeString('en-US', {
           hour: '2-digit',
           minute: '2-digit',
-          hour12: true
+          hour12: true,
+          timeZone: getSchoolTimezone()
         });
       }
       return new Date(dateValue.$date).toLocaleTimeString('en-US', {
@@ -93,7 +91,8 @@ const formatMongoDate = (dateValue) => {
     return new Date(dateValue).toLocaleTimeString('en-US', {
       hour: '2-digit',
       minute: '2-digit',
-      hour12: true
+      hour12: true,
+      timeZone: getSchoolTimezone()
     });
   } catch (e) {
     console.error('Error formatting MongoDB date:', e, dateValue);
@@ -213,6 +212,7 @@ const ReportsPage = () => {
   const [startDate, setStartDate] = useState(weekAgo);
   const [endDate, setEndDate] = useState(validDate);
   const [selectedStudent, setSelectedStudent] = useState('');
+  const [classFilter, setClassFilter] = useState('');
   const [students, setStudents] = useState([]);
   const [loading, setLoading] = useState(false);
   const [previewLoading, setPreviewLoading] = useState(false);
@@ -239,15 +239,13 @@ const ReportsPage = () => {
   
   // Date validation helper to prevent future dates
   const isValidDateRange = () => {
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
+    const today = toDayKey();
     
     // For daily report
     if (selectedReportType === 'daily') {
-      const selectedDay = new Date(selectedDate);
-      selectedDay.setHours(0, 0, 0, 0);
+      const selectedDay = formatDate(selectedDate);
       
-      if (isNaN(selectedDay.getTime())) {
+      if (!selectedDay) {
         toast.error('Invalid date format');
         return false;
       }
@@ -261,18 +259,15 @@ const ReportsPage = () => {
     }
     
     // For other report types with date ranges
-    const start = new Date(startDate);
-    const end = new Date(endDate);
+    const start = formatDate(startDate);
+    const end = formatDate(endDate);
     
     // Check if dates are valid
-    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+    if (!start || !end) {
       toast.error('Invalid date format');
       return false;
     }
     
-    start.setHours(0, 0, 0, 0);
-    end.setHours(0, 0, 0, 0);
-    
     // Validate date range
     if (start > end) {
       toast.error('Start date must be before end date');
@@ -345,7 +340,8 @@ const ReportsPage = () => {
         case 'daily':
           console.log(`Generating daily report for date: ${formattedSelectedDate}`);
           response = await reportService.generateReport('daily', { 
-            date: formattedSelectedDate 
+            date: formattedSelectedDate,
+            ...toClassParams(classFilter)
           }, headers);
           filename = `daily_attendance_report_${formattedSelectedDate}.xlsx`;
           break;
@@ -354,7 +350,8 @@ const ReportsPage = () => {
           console.log(`Generating weekly report for date range: ${formattedStartDate} to ${formattedEndDate}`);
           response = await reportService.generateReport('weekly', { 
             startDate: formattedStartDate, 
-            endDate: formattedEndDate 
+            endDate: formattedEndDate,
+            ...toClassParams(classFilter)
           }, headers);
           filename = `weekly_attendance_report_${formattedStartDate}_to_${formattedEndDate}.xlsx`;
           break;
@@ -363,7 +360,8 @@ const ReportsPage = () => {
           console.log(`Generating monthly report for date range: ${formattedStartDate} to ${formattedEndDate}`);
           response = await reportService.generateReport('monthly', { 
             startDate: formattedStartDate, 
-            endDate: formattedEndDate 
+            endDate: formattedEndDate,
+            ...toClassParams(classFilter)
           }, headers);
           filename = `monthly_attendance_report_${formattedStartDate}_to_${formattedEndDate}.xlsx`;
           break;
@@ -456,21 +454,24 @@ const ReportsPage = () => {
         case 'daily':
           console.log(`Getting daily report preview for date: ${formattedSelectedDate}`);
           response = await reportService.getDailyReportPreview({ 
-            date: formattedSelectedDate 
+            date: formattedSelectedDate,
+            ...toClassParams(classFilter)
           }, headers);
           break;
         case 'weekly':
           console.log(`Getting weekly report preview for date range: ${formattedStartDate} to ${formattedEndDate}`);
           response = await reportService.getWeeklyReportPreview({ 
             startDate: formattedStartDate, 
-            endDate: formattedEndDate 
+            endDate: formattedEndDate,
+            ...toClassParams(classFilter)
           }, headers);
           break;
         case 'monthly':
           console.log(`Getting monthly report preview for date range: ${formattedStartDate} to ${formattedEndDate}`);
           response = await reportService.getMonthlyReportPreview({ 
             startDate: formattedStartDate, 
-            endDate: formattedEndDate 
+            endDate: formattedEndDate,
+            ...toClassParams(classFilter)
           }, headers);
           break;
         case 'individual':
@@ -531,7 +532,7 @@ const ReportsPage = () => {
         return `${studentName.replace(/\s+/g, '_')}_Attendance_${params.startDate}_to_${params.endDate}.xlsx`;
       }
       default:
-        return `Attendance_Report_${new Date().toISOString().split('T')[0]}.xlsx`;
+        return `Attendance_Report_${toDayKey()}.xlsx`;
     }
   };
 
@@ -656,6 +657,16 @@ const ReportsPage = () => {
                 />
               </motion.div>
               
+              {/* Class Selection; an individual report is already limited to one student */}
+              {selectedReportType !== 'individual' && (
+                <motion.div variants={sectionVariants}>
+                  <label htmlFor="reportClassFilter" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                    Class
+                  </label>
+                  <ClassFilterSelect id="reportClassFilter" value={classFilter} onChange={setClassFilter} className="w-full" />
+                </motion.div>
+              )}
+              
               {/* Student Selection for Individual Report */}
               <AnimatePresence>
                 {selectedReportType === 'individual' && (
@@ -0,0 +1,292 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { rollCallService } from '../services/api';
+import { toast } from 'react-toastify';
+import { DateTime } from 'luxon';
+import { ClipboardCheck, RefreshCw, Save, Search } from 'lucide-react';
+import ClassFilterSelect from '../components/attendance/ClassFilterSelect';
+import { toClassParams } from '../utils/classFilter';
+import { getSchoolTimezone, toDayKey } from '../utils/schoolTime';
+
+const ROLL_CALL_STATUSES = ['present', 'late', 'absent', 'excused'];
+
+const STATUS_STYLES = {
+  present: 'bg-green-600 text-white',
+  late: 'bg-amber-500 text-white',
+  absent: 'bg-red-600 text-white',
+  excused: 'bg-purple-600 text-white'
+};
+
+const formatTime = (time) => (time
+  ? DateTime.fromISO(time).setZone(getSchoolTimezone()).toLocaleString(DateTime.TIME_SIMPLE)
+  : '');
+
+const RollCallPage = () => {
+  const [date, setDate] = useState(toDayKey());
+  const [classFilter, setClassFilter] = useState('');
+  const [search, setSearch] = useState('');
+  const [sheet, setSheet] = useState(null);
+  // Marks changed and not saved yet, keyed by student id: { status, minutesLate }
+  const [changes, setChanges] = useState({});
+  const [reason, setReason] = useState('');
+  const [notifyParents, setNotifyParents] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const fetchSheet = useCallback(async () => {
+    try {
+      setLoading(true);
+      setSheet(await rollCallService.getRollCall({
+        date,
+        search: search.trim() || undefined,
+        ...toClassParams(classFilter)
+      }));
+      setChanges({});
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load roll call');
+    } finally {
+      setLoading(false);
+    }
+  }, [date, classFilter, search]);
+
+  // Reload when the day or class changes; searches wait for a pause in typing
+  useEffect(() => {
+    const timer = setTimeout(fetchSheet, search ? 300 : 0);
+    return () => clearTimeout(timer);
+  }, [fetchSheet, search]);
+
+  const changeCount = Object.keys(changes).length;
+
+  const confirmDiscard = () => changeCount === 0 || window.confirm('Discard the marks you have not saved?');
+
+  const setMark = (row, status) => {
+    setChanges(prev => {
+      const next = { ...prev };
+      if (status === row.status && status !== 'late') {
+        delete next[row.student._id];
+      } else {
+        next[row.student._id] = { status, minutesLate: prev[row.student._id]?.minutesLate };
+      }
+      return next;
+    });
+  };
+
+  const setMinutesLate = (row, value) => {
+    const minutesLate = value === '' ? undefined : Math.max(0, Math.min(600, parseInt(value, 10) || 0));
+    setChanges(prev => ({ ...prev, [row.student._id]: { status: 'late', minutesLate } }));
+  };
+
+  // Mark every student without a record, and not marked yet, as present
+  const markRestPresent = () => {
+    const rest = {};
+    sheet.rows
+      .filter(row => !row.status && !changes[row.student._id])
+      .forEach(row => { rest[row.student._id] = { status: 'present' }; });
+    setChanges(prev => ({ ...prev, ...rest }));
+  };
+
+  const saveRollCall = async () => {
+    const records = Object.entries(changes).map(([studentId, mark]) => ({
+      studentId,
+      status: mark.status,
+      ...(mark.status === 'late' && mark.minutesLate !== undefined ? { minutesLate: mark.minutesLate } : {})
+    }));
+    if (records.length === 0) {
+      toast.info('No changes to save');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const result = await rollCallService.saveRollCall(date, records, {
+        reason: reason.trim() || undefined,
+        notifyParents
+      });
+      toast.success(result.data.notifying
+        ? `${result.message}. Parents are being notified.`
+        : result.message);
+      setReason('');
+      await fetchSheet();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save roll call');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const rows = sheet?.rows || [];
+  const counts = rows.reduce((totals, row) => {
+    const status = changes[row.student._id]?.status || row.status || 'unmarked';
+    return { ...totals, [status]: (totals[status] || 0) + 1 };
+  }, {});
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+        <h1 className="text-2xl font-bold text-gray-900 dark:text-white flex items-center">
+          <ClipboardCheck className="h-6 w-6 mr-2 text-blue-600 dark:text-blue-400" />
+          Roll Call
+        </h1>
+        <div className="flex flex-wrap items-center gap-3">
+          <input
+            type="date"
+            aria-label="Date"
+            value={date}
+            max={toDayKey()}
+            onChange={(e) => confirmDiscard() && setDate(e.target.value)}
+            className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-slate-700 text-gray-700 dark:text-white text-sm"
+          />
+          <ClassFilterSelect value={classFilter} onChange={(value) => confirmDiscard() && setClassFilter(value)} />
+          <div className="relative">
+            <Search className="h-4 w-4 absolute left-2.5 top-2.5 text-gray-400" />
+            <input
+              type="text"
+              aria-label="Search students"
+              placeholder="Name or index"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              className="pl-8 pr-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-slate-700 text-gray-700 dark:text-white text-sm"
+            />
+          </div>
+          <button
+            onClick={() => confirmDiscard() && fetchSheet()}
+            className="p-2 rounded-lg text-gray-500 hover:text-blue-600 dark:text-gray-400 dark:hover:text-blue-400"
+            title="Refresh"
+          >
+            <RefreshCw className={`h-5 w-5 ${loading ? 'animate-spin' : ''}`} />
+          </button>
+        </div>
+      </div>
+
+      <div className="bg-white dark:bg-slate-800 shadow rounded-lg border border-gray-200 dark:border-slate-700 p-4">
+        <div className="flex flex-col lg:flex-row lg:items-center lg:justify-between gap-3">
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+              {sheet?.classLabel || 'All students'}
+            </h2>
+            <p className="text-xs text-gray-500 dark:text-gray-400">
+              {rows.length} students · {counts.present || 0} present · {counts.late || 0} late · {counts.absent || 0} absent
+              {' · '}{counts.excused || 0} excused · {counts.unmarked || 0} unmarked
+              {changeCount > 0 && ` · ${changeCount} unsaved`}
+            </p>
+          </div>
+          <div className="flex flex-wrap items-center gap-2">
+            <input
+              type="text"
+              aria-label="Note for the attendance history"
+              placeholder="Note (optional)"
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-slate-700 text-gray-700 dark:text-white text-sm"
+            />
+            <label className="inline-flex items-center text-sm text-gray-700 dark:text-gray-300">
+              <input
+                type="checkbox"
+                checked={notifyParents}
+                onChange={(e) => setNotifyParents(e.target.checked)}
+                className="mr-2 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+              />
+              Notify parents
+            </label>
+            <button
+              onClick={markRestPresent}
+              disabled={rows.length === 0}
+              className="inline-flex items-center px-3 py-2 rounded-md text-sm border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-slate-700 disabled:opacity-50"
+            >
+              Mark rest present
+            </button>
+            <button
+              onClick={saveRollCall}
+              disabled={saving || changeCount === 0}
+              className={`inline-flex items-center px-3 py-2 rounded-md text-sm text-white ${
+                saving || changeCount === 0
+                  ? 'bg-gray-400 dark:bg-gray-600 cursor-not-allowed'
+                  : 'bg-blue-600 hover:bg-blue-700 dark:bg-blue-700 dark:hover:bg-blue-800'
+              }`}
+            >
+              <Save className="h-4 w-4 mr-1" />
+              {saving ? 'Saving...' : `Save${changeCount > 0 ? ` (${changeCount})` : ''}`}
+            </button>
+          </div>
+        </div>
+
+        {loading && !sheet ? (
+          <div className="py-8 flex justify-center">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500"></div>
+          </div>
+        ) : (
+          <div className="mt-4 overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 dark:divide-slate-700 text-sm">
+              <thead>
+                <tr className="text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase">
+                  <th className="px-3 py-2">Student</th>
+                  <th className="px-3 py-2">Class</th>
+                  <th className="px-3 py-2">Gate</th>
+                  <th className="px-3 py-2">Attendance</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200 dark:divide-slate-700">
+                {rows.map(row => {
+                  const change = changes[row.student._id];
+                  const status = change?.status || row.status;
+                  return (
+                    <tr key={row.student._id} className={change ? 'bg-blue-50 dark:bg-slate-700/50' : ''}>
+                      <td className="px-3 py-2">
+                        <div className="font-medium text-gray-900 dark:text-white">{row.student.name}</div>
+                        <div className="text-xs text-gray-500 dark:text-gray-400">{row.student.indexNumber}</div>
+                      </td>
+                      <td className="px-3 py-2 text-gray-700 dark:text-gray-300">{row.student.classLabel}</td>
+                      <td className="px-3 py-2 text-xs text-gray-500 dark:text-gray-400">
+                        {row.scanned
+                          ? `In ${formatTime(row.entryTime)}${row.leaveTime ? ` · out ${formatTime(row.leaveTime)}` : ''}`
+                          : 'Not scanned'}
+                      </td>
+                      <td className="px-3 py-2">
+                        <div className="flex items-center gap-2">
+                          <div className="inline-flex rounded-md shadow-sm">
+                            {ROLL_CALL_STATUSES.map(option => (
+                              <button
+                                key={option}
+                                onClick={() => setMark(row, option)}
+                                className={`px-2 py-1 text-xs capitalize border border-gray-300 dark:border-gray-600 first:rounded-l-md last:rounded-r-md ${
+                                  status === option
+                                    ? STATUS_STYLES[option]
+                                    : 'bg-white dark:bg-slate-700 text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-slate-600'
+                                }`}
+                              >
+                                {option}
+                              </button>
+                            ))}
+                          </div>
+                          {status === 'late' && (
+                            <input
+                              type="number"
+                              min="0"
+                              max="600"
+                              aria-label={`Minutes late for ${row.student.name}`}
+                              title="Minutes late"
+                              placeholder="min"
+                              value={change?.minutesLate ?? (change ? '' : row.minutesLate)}
+                              onChange={(e) => setMinutesLate(row, e.target.value)}
+                              className="w-16 px-2 py-1 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-slate-700 text-gray-700 dark:text-white text-xs"
+                            />
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+            {rows.length === 0 && (
+              <p className="text-sm text-gray-500 dark:text-gray-400 text-center py-4">
+                No students match.
+              </p>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RollCallPage;
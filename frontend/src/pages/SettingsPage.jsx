@@ -4,7 +4,19 @@ import { useTheme } from '../context/ThemeContext';
 import { toast } from 'react-toastify';
 import { motion } from 'framer-motion';
 import ThemeToggle from '../components/ui/ThemeToggle';
-import { User, Key, Settings } from 'lucide-react';
+import SchoolHoursSettings from '../components/attendance/SchoolHoursSettings';
+import AcademicCalendarSettings from '../components/attendance/AcademicCalendarSettings';
+import AbsenceMarkingSettings from '../components/attendance/AbsenceMarkingSettings';
+import SchoolTimezoneSettings from '../components/attendance/SchoolTimezoneSettings';
+import ClassSettings from '../components/attendance/ClassSettings';
+import TimetableSettings from '../components/attendance/TimetableSettings';
+import LocationSettings from '../components/attendance/LocationSettings';
+import DeviceSettings from '../components/attendance/DeviceSettings';
+import ScanRulesSettings from '../components/attendance/ScanRulesSettings';
+import QrCodeSettings from '../components/attendance/QrCodeSettings';
+import BrandingSettings from '../components/attendance/BrandingSettings';
+import AccountSettings from '../components/attendance/AccountSettings';
+import { User, Key, Settings, Clock, CalendarDays, UserX, Globe, School, BookOpen, MapPin, Tablet, ShieldCheck, QrCode, Palette, Users } from 'lucide-react';
 
 const SettingsPage = () => {
   const { user, updateProfile, updatePassword } = useAuth();
@@ -313,6 +325,294 @@ const SettingsPage = () => {
             </div>
           </motion.div>
           
+          {/* Accounts */}
+          <motion.div 
+            variants={itemVariants}
+            className="bg-white dark:bg-slate-800 shadow overflow-hidden sm:rounded-lg border border-gray-200 dark:border-slate-700 transition-colors duration-200"
+          >
+            <div className="px-4 py-4 sm:py-5 sm:px-6 border-b border-gray-200 dark:border-slate-700">
+              <div className="flex items-center">
+                <div className="flex-shrink-0 bg-sky-100 dark:bg-sky-900/30 p-2 rounded-full">
+                  <Users className="h-5 w-5 sm:h-6 sm:w-6 text-sky-600 dark:text-sky-400" />
+                </div>
+                <div className="ml-3">
+                  <h3 className="text-base sm:text-lg leading-6 font-medium text-gray-900 dark:text-white">Accounts</h3>
+                  <p className="mt-1 max-w-2xl text-xs sm:text-sm text-gray-500 dark:text-gray-400">
+                    Who can sign in, and whether they are a gatekeeper or an admin
+                  </p>
+                </div>
+              </div>
+            </div>
+            
+            <div className="px-4 py-4 sm:py-5 sm:px-6">
+              <AccountSettings />
+            </div>
+          </motion.div>
+          
+          {/* Branding */}
+          <motion.div 
+            variants={itemVariants}
+            className="bg-white dark:bg-slate-800 shadow overflow-hidden sm:rounded-lg border border-gray-200 dark:border-slate-700 transition-colors duration-200"
+          >
+            <div className="px-4 py-4 sm:py-5 sm:px-6 border-b border-gray-200 dark:border-slate-700">
+              <div className="flex items-center">
+                <div className="flex-shrink-0 bg-pink-100 dark:bg-pink-900/30 p-2 rounded-full">
+                  <Palette className="h-5 w-5 sm:h-6 sm:w-6 text-pink-600 dark:text-pink-400" />
+                </div>
+                <div className="ml-3">
+                  <h3 className="text-base sm:text-lg leading-6 font-medium text-gray-900 dark:text-white">Branding</h3>
+                  <p className="mt-1 max-w-2xl text-xs sm:text-sm text-gray-500 dark:text-gray-400">
+                    School name, logo, colors and QR code style
+                  </p>
+                </div>
+              </div>
+            </div>
+            
+            <div className="px-4 py-4 sm:py-5 sm:px-6">
+              <BrandingSettings />
+            </div>
+          </motion.div>
+          
+          {/* School Timezone */}
+          <motion.div 
+            variants={itemVariants}
+            className="bg-white dark:bg-slate-800 shadow overflow-hidden sm:rounded-lg border border-gray-200 dark:border-slate-700 transition-colors duration-200"
+          >
+            <div className="px-4 py-4 sm:py-5 sm:px-6 border-b border-gray-200 dark:border-slate-700">
+              <div className="flex items-center">
+                <div className="flex-shrink-0 bg-indigo-100 dark:bg-indigo-900/30 p-2 rounded-full">
+                  <Globe className="h-5 w-5 sm:h-6 sm:w-6 text-indigo-600 dark:text-indigo-400" />
+                </div>
+                <div className="ml-3">
+                  <h3 className="text-base sm:text-lg leading-6 font-medium text-gray-900 dark:text-white">School Timezone</h3>
+                  <p className="mt-1 max-w-2xl text-xs sm:text-sm text-gray-500 dark:text-gray-400">
+                    The timezone school days and attendance times are counted in
+                  </p>
+                </div>
+              </div>
+            </div>
+            
+            <div className="px-4 py-4 sm:py-5 sm:px-6">
+              <SchoolTimezoneSettings />
+            </div>
+          </motion.div>
+          
+          {/* School Hours */}
+          <motion.div 
+            variants={itemVariants}
+            className="bg-white dark:bg-slate-800 shadow overflow-hidden sm:rounded-lg border border-gray-200 dark:border-slate-700 transition-colors duration-200"
+          >
+            <div className="px-4 py-4 sm:py-5 sm:px-6 border-b border-gray-200 dark:border-slate-700">
+              <div className="flex items-center">
+                <div className="flex-shrink-0 bg-amber-100 dark:bg-amber-900/30 p-2 rounded-full">
+                  <Clock className="h-5 w-5 sm:h-6 sm:w-6 text-amber-600 dark:text-amber-400" />
+                </div>
+                <div className="ml-3">
+                  <h3 className="text-base sm:text-lg leading-6 font-medium text-gray-900 dark:text-white">School Hours</h3>
+                  <p className="mt-1 max-w-2xl text-xs sm:text-sm text-gray-500 dark:text-gray-400">
+                    Set the start time and late grace period for each day of the week
+                  </p>
+                </div>
+              </div>
+            </div>
+            
+            <div className="px-4 py-4 sm:py-5 sm:px-6">
+              <SchoolHoursSettings />
+            </div>
+          </motion.div>
+          
+          {/* Academic Calendar */}
+          <motion.div 
+            variants={itemVariants}
+            className="bg-white dark:bg-slate-800 shadow overflow-hidden sm:rounded-lg border border-gray-200 dark:border-slate-700 transition-colors duration-200"
+          >
+            <div className="px-4 py-4 sm:py-5 sm:px-6 border-b border-gray-200 dark:border-slate-700">
+              <div className="flex items-center">
+                <div className="flex-shrink-0 bg-emerald-100 dark:bg-emerald-900/30 p-2 rounded-full">
+                  <CalendarDays className="h-5 w-5 sm:h-6 sm:w-6 text-emerald-600 dark:text-emerald-400" />
+                </div>
+                <div className="ml-3">
+                  <h3 className="text-base sm:text-lg leading-6 font-medium text-gray-900 dark:text-white">Academic Calendar</h3>
+                  <p className="mt-1 max-w-2xl text-xs sm:text-sm text-gray-500 dark:text-gray-400">
+                    Terms, public holidays, closures and make-up days used to count school days
+                  </p>
+                </div>
+              </div>
+            </div>
+            
+            <div className="px-4 py-4 sm:py-5 sm:px-6">
+              <AcademicCalendarSettings />
+            </div>
+          </motion.div>
+          
+          {/* Classes and Sections */}
+          <motion.div 
+            variants={itemVariants}
+            className="bg-white dark:bg-slate-800 shadow overflow-hidden sm:rounded-lg border border-gray-200 dark:border-slate-700 transition-colors duration-200"
+          >
+            <div className="px-4 py-4 sm:py-5 sm:px-6 border-b border-gray-200 dark:border-slate-700">
+              <div className="flex items-center">
+                <div className="flex-shrink-0 bg-sky-100 dark:bg-sky-900/30 p-2 rounded-full">
+                  <School className="h-5 w-5 sm:h-6 sm:w-6 text-sky-600 dark:text-sky-400" />
+                </div>
+                <div className="ml-3">
+                  <h3 className="text-base sm:text-lg leading-6 font-medium text-gray-900 dark:text-white">Classes and Sections</h3>
+                  <p className="mt-1 max-w-2xl text-xs sm:text-sm text-gray-500 dark:text-gray-400">
+                    Grades, their sections and homeroom teachers, used to filter lists and reports
+                  </p>
+                </div>
+              </div>
+            </div>
+            
+            <div className="px-4 py-4 sm:py-5 sm:px-6">
+              <ClassSettings />
+            </div>
+          </motion.div>
+          
+          {/* Timetable */}
+          <motion.div 
+            variants={itemVariants}
+            className="bg-white dark:bg-slate-800 shadow overflow-hidden sm:rounded-lg border border-gray-200 dark:border-slate-700 transition-colors duration-200"
+          >
+            <div className="px-4 py-4 sm:py-5 sm:px-6 border-b border-gray-200 dark:border-slate-700">
+              <div className="flex items-center">
+                <div className="flex-shrink-0 bg-violet-100 dark:bg-violet-900/30 p-2 rounded-full">
+                  <BookOpen className="h-5 w-5 sm:h-6 sm:w-6 text-violet-600 dark:text-violet-400" />
+                </div>
+                <div className="ml-3">
+                  <h3 className="text-base sm:text-lg leading-6 font-medium text-gray-900 dark:text-white">Timetable</h3>
+                  <p className="mt-1 max-w-2xl text-xs sm:text-sm text-gray-500 dark:text-gray-400">
+                    Bell schedule periods and the weekly lessons of each section
+                  </p>
+                </div>
+              </div>
+            </div>
+            
+            <div className="px-4 py-4 sm:py-5 sm:px-6">
+              <TimetableSettings />
+            </div>
+          </motion.div>
+          
+          {/* Scan Locations */}
+          <motion.div 
+            variants={itemVariants}
+            className="bg-white dark:bg-slate-800 shadow overflow-hidden sm:rounded-lg border border-gray-200 dark:border-slate-700 transition-colors duration-200"
+          >
+            <div className="px-4 py-4 sm:py-5 sm:px-6 border-b border-gray-200 dark:border-slate-700">
+              <div className="flex items-center">
+                <div className="flex-shrink-0 bg-teal-100 dark:bg-teal-900/30 p-2 rounded-full">
+                  <MapPin className="h-5 w-5 sm:h-6 sm:w-6 text-teal-600 dark:text-teal-400" />
+                </div>
+                <div className="ml-3">
+                  <h3 className="text-base sm:text-lg leading-6 font-medium text-gray-900 dark:text-white">Scan Locations</h3>
+                  <p className="mt-1 max-w-2xl text-xs sm:text-sm text-gray-500 dark:text-gray-400">
+                    Gates, buildings and checkpoints where attendance is scanned, and which way each one counts
+                  </p>
+                </div>
+              </div>
+            </div>
+            
+            <div className="px-4 py-4 sm:py-5 sm:px-6">
+              <LocationSettings />
+            </div>
+          </motion.div>
+          
+          {/* Scanner Devices */}
+          <motion.div 
+            variants={itemVariants}
+            className="bg-white dark:bg-slate-800 shadow overflow-hidden sm:rounded-lg border border-gray-200 dark:border-slate-700 transition-colors duration-200"
+          >
+            <div className="px-4 py-4 sm:py-5 sm:px-6 border-b border-gray-200 dark:border-slate-700">
+              <div className="flex items-center">
+                <div className="flex-shrink-0 bg-cyan-100 dark:bg-cyan-900/30 p-2 rounded-full">
+                  <Tablet className="h-5 w-5 sm:h-6 sm:w-6 text-cyan-600 dark:text-cyan-400" />
+                </div>
+                <div className="ml-3">
+                  <h3 className="text-base sm:text-lg leading-6 font-medium text-gray-900 dark:text-white">Scanner Devices</h3>
+                  <p className="mt-1 max-w-2xl text-xs sm:text-sm text-gray-500 dark:text-gray-400">
+                    Kiosks and phones enrolled to scan, their tokens, scan limits and whether they are online
+                  </p>
+                </div>
+              </div>
+            </div>
+            
+            <div className="px-4 py-4 sm:py-5 sm:px-6">
+              <DeviceSettings />
+            </div>
+          </motion.div>
+          
+          {/* Scan Rules */}
+          <motion.div 
+            variants={itemVariants}
+            className="bg-white dark:bg-slate-800 shadow overflow-hidden sm:rounded-lg border border-gray-200 dark:border-slate-700 transition-colors duration-200"
+          >
+            <div className="px-4 py-4 sm:py-5 sm:px-6 border-b border-gray-200 dark:border-slate-700">
+              <div className="flex items-center">
+                <div className="flex-shrink-0 bg-amber-100 dark:bg-amber-900/30 p-2 rounded-full">
+                  <ShieldCheck className="h-5 w-5 sm:h-6 sm:w-6 text-amber-600 dark:text-amber-400" />
+                </div>
+                <div className="ml-3">
+                  <h3 className="text-base sm:text-lg leading-6 font-medium text-gray-900 dark:text-white">Scan Rules</h3>
+                  <p className="mt-1 max-w-2xl text-xs sm:text-sm text-gray-500 dark:text-gray-400">
+                    Ignore repeat scans, keep gate directions and review the scans that were turned away
+                  </p>
+                </div>
+              </div>
+            </div>
+            
+            <div className="px-4 py-4 sm:py-5 sm:px-6">
+              <ScanRulesSettings />
+            </div>
+          </motion.div>
+          
+          {/* QR Codes */}
+          <motion.div 
+            variants={itemVariants}
+            className="bg-white dark:bg-slate-800 shadow overflow-hidden sm:rounded-lg border border-gray-200 dark:border-slate-700 transition-colors duration-200"
+          >
+            <div className="px-4 py-4 sm:py-5 sm:px-6 border-b border-gray-200 dark:border-slate-700">
+              <div className="flex items-center">
+                <div className="flex-shrink-0 bg-violet-100 dark:bg-violet-900/30 p-2 rounded-full">
+                  <QrCode className="h-5 w-5 sm:h-6 sm:w-6 text-violet-600 dark:text-violet-400" />
+                </div>
+                <div className="ml-3">
+                  <h3 className="text-base sm:text-lg leading-6 font-medium text-gray-900 dark:text-white">QR Codes</h3>
+                  <p className="mt-1 max-w-2xl text-xs sm:text-sm text-gray-500 dark:text-gray-400">
+                    Keys that sign student and staff codes, reissuing codes and the refused scans of revoked ones
+                  </p>
+                </div>
+              </div>
+            </div>
+            
+            <div className="px-4 py-4 sm:py-5 sm:px-6">
+              <QrCodeSettings />
+            </div>
+          </motion.div>
+          
+          {/* Absence Marking */}
+          <motion.div 
+            variants={itemVariants}
+            className="bg-white dark:bg-slate-800 shadow overflow-hidden sm:rounded-lg border border-gray-200 dark:border-slate-700 transition-colors duration-200"
+          >
+            <div className="px-4 py-4 sm:py-5 sm:px-6 border-b border-gray-200 dark:border-slate-700">
+              <div className="flex items-center">
+                <div className="flex-shrink-0 bg-rose-100 dark:bg-rose-900/30 p-2 rounded-full">
+                  <UserX className="h-5 w-5 sm:h-6 sm:w-6 text-rose-600 dark:text-rose-400" />
+                </div>
+                <div className="ml-3">
+                  <h3 className="text-base sm:text-lg leading-6 font-medium text-gray-900 dark:text-white">Absence Marking</h3>
+                  <p className="mt-1 max-w-2xl text-xs sm:text-sm text-gray-500 dark:text-gray-400">
+                    Record students who never scanned on a school day as absent
+                  </p>
+                </div>
+              </div>
+            </div>
+            
+            <div className="px-4 py-4 sm:py-5 sm:px-6">
+              <AbsenceMarkingSettings />
+            </div>
+          </motion.div>
+          
           {/* Application Settings */}
           <motion.div 
             variants={itemVariants}
@@ -0,0 +1,429 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { staffService } from '../services/api';
+import { toast } from 'react-toastify';
+import { DateTime } from 'luxon';
+import { Briefcase, Download, Plus, QrCode, RefreshCw, Save, X } from 'lucide-react';
+import { getSchoolTimezone, toDayKey } from '../utils/schoolTime';
+
+const TABS = [
+  { id: 'day', name: 'Clock-ins' },
+  { id: 'hours', name: 'Hours' },
+  { id: 'staff', name: 'Staff' }
+];
+
+const TYPE_LABELS = {
+  teacher: 'Teacher',
+  non_academic: 'Non-academic'
+};
+
+const EMPTY_FORM = {
+  name: '',
+  staffId: '',
+  type: 'teacher',
+  department: '',
+  position: '',
+  email: '',
+  phone: '',
+  status: 'active'
+};
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-slate-700 text-gray-700 dark:text-white text-sm';
+const filterClass = 'px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-slate-700 text-gray-700 dark:text-white text-sm';
+
+const formatTime = (time) => (time
+  ? DateTime.fromISO(time).setZone(getSchoolTimezone()).toLocaleString(DateTime.TIME_SIMPLE)
+  : '');
+
+const formatHours = (ms) => {
+  if (!ms) return '0h 0m';
+  const minutes = Math.floor(ms / 60000);
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+};
+
+const StaffPage = () => {
+  const [tab, setTab] = useState('day');
+  const [date, setDate] = useState(toDayKey());
+  const [day, setDay] = useState(null);
+  const [from, setFrom] = useState(DateTime.now().setZone(getSchoolTimezone()).startOf('month').toISODate());
+  const [to, setTo] = useState(toDayKey());
+  const [type, setType] = useState('');
+  const [hours, setHours] = useState(null);
+  const [staff, setStaff] = useState([]);
+  const [loading, setLoading] = useState(false);
+  // null when closed, otherwise the staff member being edited ({} for a new one)
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+
+  const fetchTab = useCallback(async () => {
+    try {
+      setLoading(true);
+      if (tab === 'day') {
+        setDay(await staffService.getDay(date));
+      } else if (tab === 'hours') {
+        setHours(await staffService.getHours({ from, to, type: type || undefined }));
+      } else {
+        setStaff(await staffService.getStaff());
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load staff attendance');
+    } finally {
+      setLoading(false);
+    }
+  }, [tab, date, from, to, type]);
+
+  useEffect(() => {
+    fetchTab();
+  }, [fetchTab]);
+
+  const openForm = (member = null) => {
+    setEditing(member || {});
+    setForm(member
+      ? Object.fromEntries(Object.keys(EMPTY_FORM).map(field => [field, member[field] ?? '']))
+      : EMPTY_FORM);
+  };
+
+  const setField = (field, value) => setForm(prev => ({ ...prev, [field]: value }));
+
+  const saveStaff = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      if (editing._id) {
+        await staffService.updateStaff(editing._id, form);
+        toast.success('Staff member updated');
+      } else {
+        await staffService.createStaff(form);
+        toast.success('Staff member added');
+      }
+      setEditing(null);
+      await fetchTab();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save staff member');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const deleteStaff = async (member) => {
+    if (!window.confirm(`Delete ${member.name}? Staff with recorded hours are made inactive instead.`)) return;
+    try {
+      const result = await staffService.deleteStaff(member._id);
+      toast.success(result.message);
+      await fetchTab();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete staff member');
+    }
+  };
+
+  const downloadQRCode = async (member) => {
+    try {
+      await staffService.downloadQRCode(member._id, `staff-qrcode-${member.staffId}.png`);
+    } catch (error) {
+      toast.error('Failed to download QR code');
+    }
+  };
+
+  const downloadHours = async () => {
+    try {
+      await staffService.downloadHours({ from, to, type: type || undefined });
+    } catch (error) {
+      toast.error('Failed to download staff hours');
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+        <h1 className="text-2xl font-bold text-gray-900 dark:text-white flex items-center">
+          <Briefcase className="h-6 w-6 mr-2 text-blue-600 dark:text-blue-400" />
+          Staff Attendance
+        </h1>
+        <div className="flex flex-wrap items-center gap-3">
+          {tab === 'day' && (
+            <input
+              type="date"
+              aria-label="Date"
+              value={date}
+              max={toDayKey()}
+              onChange={(e) => setDate(e.target.value)}
+              className={filterClass}
+            />
+          )}
+          {tab === 'hours' && (
+            <>
+              <input type="date" aria-label="From" value={from} onChange={(e) => setFrom(e.target.value)} className={filterClass} />
+              <input type="date" aria-label="To" value={to} min={from} onChange={(e) => setTo(e.target.value)} className={filterClass} />
+              <select aria-label="Staff type" value={type} onChange={(e) => setType(e.target.value)} className={filterClass}>
+                <option value="">All staff</option>
+                {Object.entries(TYPE_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+              </select>
+              <button
+                onClick={downloadHours}
+                className="inline-flex items-center px-3 py-2 rounded-md text-sm border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-slate-700"
+              >
+                <Download className="h-4 w-4 mr-1" />
+                Excel
+              </button>
+            </>
+          )}
+          {tab === 'staff' && (
+            <button
+              onClick={() => openForm()}
+              className="inline-flex items-center px-3 py-2 rounded-md text-sm text-white bg-blue-600 hover:bg-blue-700 dark:bg-blue-700 dark:hover:bg-blue-800"
+            >
+              <Plus className="h-4 w-4 mr-1" />
+              Add staff
+            </button>
+          )}
+          <button
+            onClick={fetchTab}
+            className="p-2 rounded-lg text-gray-500 hover:text-blue-600 dark:text-gray-400 dark:hover:text-blue-400"
+            title="Refresh"
+          >
+            <RefreshCw className={`h-5 w-5 ${loading ? 'animate-spin' : ''}`} />
+          </button>
+        </div>
+      </div>
+
+      <div className="flex gap-2 border-b border-gray-200 dark:border-slate-700">
+        {TABS.map(item => (
+          <button
+            key={item.id}
+            onClick={() => setTab(item.id)}
+            className={`px-4 py-2 text-sm font-medium border-b-2 -mb-px ${
+              tab === item.id
+                ? 'border-blue-600 text-blue-600 dark:text-blue-400 dark:border-blue-400'
+                : 'border-transparent text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200'
+            }`}
+          >
+            {item.name}
+          </button>
+        ))}
+      </div>
+
+      {tab === 'day' && day && (
+        <div className="bg-white dark:bg-slate-800 shadow rounded-lg border border-gray-200 dark:border-slate-700 p-4">
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            {day.counts.staff} staff · {day.counts.clockedIn} clocked in · {day.counts.onCampus} on campus now
+          </p>
+          <div className="mt-3 overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 dark:divide-slate-700 text-sm">
+              <thead>
+                <tr className="text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase">
+                  <th className="px-3 py-2">Staff</th>
+                  <th className="px-3 py-2">Department</th>
+                  <th className="px-3 py-2">Clocked in</th>
+                  <th className="px-3 py-2">Clocked out</th>
+                  <th className="px-3 py-2">Time on campus</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200 dark:divide-slate-700">
+                {day.rows.map(row => (
+                  <tr key={row.staff._id}>
+                    <td className="px-3 py-2">
+                      <div className="font-medium text-gray-900 dark:text-white">{row.staff.name}</div>
+                      <div className="text-xs text-gray-500 dark:text-gray-400">{row.staff.staffId} · {TYPE_LABELS[row.staff.type]}</div>
+                    </td>
+                    <td className="px-3 py-2 text-gray-700 dark:text-gray-300">{row.staff.department}</td>
+                    <td className="px-3 py-2 text-gray-700 dark:text-gray-300">
+                      {row.clockedIn ? formatTime(row.firstIn) : <span className="text-xs text-gray-400">Not clocked in</span>}
+                    </td>
+                    <td className="px-3 py-2 text-gray-700 dark:text-gray-300">
+                      {row.onCampus
+                        ? <span className="px-2 py-0.5 rounded-full text-xs bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300">On campus</span>
+                        : formatTime(row.lastOut)}
+                    </td>
+                    <td className="px-3 py-2 text-gray-700 dark:text-gray-300">
+                      {row.clockedIn ? formatHours(row.totalMs) : ''}
+                      {row.sessions.length > 1 && (
+                        <span className="ml-2 text-xs text-gray-500 dark:text-gray-400">{row.sessions.length} stretches</span>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {day.rows.length === 0 && (
+              <p className="text-sm text-gray-500 dark:text-gray-400 text-center py-4">No active staff yet.</p>
+            )}
+          </div>
+        </div>
+      )}
+
+      {tab === 'hours' && hours && (
+        <div className="bg-white dark:bg-slate-800 shadow rounded-lg border border-gray-200 dark:border-slate-700 p-4">
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            Hours count completed clock-in and clock-out pairs from {hours.from} to {hours.to}.
+          </p>
+          <div className="mt-3 overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 dark:divide-slate-700 text-sm">
+              <thead>
+                <tr className="text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase">
+                  <th className="px-3 py-2">Staff</th>
+                  <th className="px-3 py-2">Type</th>
+                  <th className="px-3 py-2">Days on campus</th>
+                  <th className="px-3 py-2">Total hours</th>
+                  <th className="px-3 py-2">Average a day</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200 dark:divide-slate-700">
+                {hours.hours.map(row => (
+                  <tr key={row.staff._id}>
+                    <td className="px-3 py-2">
+                      <div className="font-medium text-gray-900 dark:text-white">{row.staff.name}</div>
+                      <div className="text-xs text-gray-500 dark:text-gray-400">
+                        {row.staff.staffId}{row.staff.status === 'inactive' && ' · inactive'}
+                      </div>
+                    </td>
+                    <td className="px-3 py-2 text-gray-700 dark:text-gray-300">{TYPE_LABELS[row.staff.type]}</td>
+                    <td className="px-3 py-2 text-gray-700 dark:text-gray-300">{row.days}</td>
+                    <td className="px-3 py-2 text-gray-700 dark:text-gray-300">{formatHours(row.totalMs)}</td>
+                    <td className="px-3 py-2 text-gray-700 dark:text-gray-300">{row.days ? formatHours(row.totalMs / row.days) : ''}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {hours.hours.length === 0 && (
+              <p className="text-sm text-gray-500 dark:text-gray-400 text-center py-4">No staff hours in this period.</p>
+            )}
+          </div>
+        </div>
+      )}
+
+      {tab === 'staff' && (
+        <>
+          {editing && (
+            <form
+              onSubmit={saveStaff}
+              className="bg-white dark:bg-slate-800 shadow rounded-lg border border-gray-200 dark:border-slate-700 p-4 space-y-4"
+            >
+              <div className="flex items-center justify-between">
+                <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+                  {editing._id ? `Edit ${editing.name}` : 'Add staff member'}
+                </h2>
+                <button type="button" onClick={() => setEditing(null)} className="text-gray-400 hover:text-gray-600" title="Close">
+                  <X className="h-5 w-5" />
+                </button>
+              </div>
+              <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+                <label className="text-sm text-gray-700 dark:text-gray-300 md:col-span-2">
+                  Name
+                  <input required value={form.name} onChange={(e) => setField('name', e.target.value)} className={inputClass} />
+                </label>
+                <label className="text-sm text-gray-700 dark:text-gray-300">
+                  Staff ID
+                  <input required value={form.staffId} onChange={(e) => setField('staffId', e.target.value)} className={inputClass} />
+                </label>
+                <label className="text-sm text-gray-700 dark:text-gray-300">
+                  Type
+                  <select value={form.type} onChange={(e) => setField('type', e.target.value)} className={inputClass}>
+                    {Object.entries(TYPE_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                  </select>
+                </label>
+                <label className="text-sm text-gray-700 dark:text-gray-300">
+                  Department
+                  <input value={form.department} onChange={(e) => setField('department', e.target.value)} className={inputClass} />
+                </label>
+                <label className="text-sm text-gray-700 dark:text-gray-300">
+                  Position
+                  <input value={form.position} onChange={(e) => setField('position', e.target.value)} className={inputClass} />
+                </label>
+                <label className="text-sm text-gray-700 dark:text-gray-300">
+                  Email
+                  <input type="email" value={form.email} onChange={(e) => setField('email', e.target.value)} className={inputClass} />
+                </label>
+                <label className="text-sm text-gray-700 dark:text-gray-300">
+                  Phone
+                  <input value={form.phone} onChange={(e) => setField('phone', e.target.value)} className={inputClass} />
+                </label>
+                {editing._id && (
+                  <label className="text-sm text-gray-700 dark:text-gray-300">
+                    Status
+                    <select value={form.status} onChange={(e) => setField('status', e.target.value)} className={inputClass}>
+                      <option value="active">Active</option>
+                      <option value="inactive">Inactive</option>
+                    </select>
+                  </label>
+                )}
+              </div>
+              <div className="flex justify-end">
+                <button
+                  type="submit"
+                  disabled={saving}
+                  className="inline-flex items-center px-3 py-2 rounded-md text-sm text-white bg-blue-600 hover:bg-blue-700 dark:bg-blue-700 dark:hover:bg-blue-800 disabled:opacity-50"
+                >
+                  <Save className="h-4 w-4 mr-1" />
+                  {saving ? 'Saving...' : 'Save'}
+                </button>
+              </div>
+            </form>
+          )}
+
+          <div className="bg-white dark:bg-slate-800 shadow rounded-lg border border-gray-200 dark:border-slate-700 p-4 overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 dark:divide-slate-700 text-sm">
+              <thead>
+                <tr className="text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase">
+                  <th className="px-3 py-2">Staff</th>
+                  <th className="px-3 py-2">Type</th>
+                  <th className="px-3 py-2">Department</th>
+                  <th className="px-3 py-2">Contact</th>
+                  <th className="px-3 py-2"></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200 dark:divide-slate-700">
+                {staff.map(member => (
+                  <tr key={member._id} className={member.status === 'inactive' ? 'opacity-60' : ''}>
+                    <td className="px-3 py-2">
+                      <div className="font-medium text-gray-900 dark:text-white">{member.name}</div>
+                      <div className="text-xs text-gray-500 dark:text-gray-400">
+                        {member.staffId}{member.status === 'inactive' && ' · inactive'}
+                      </div>
+                    </td>
+                    <td className="px-3 py-2 text-gray-700 dark:text-gray-300">{TYPE_LABELS[member.type]}</td>
+                    <td className="px-3 py-2 text-gray-700 dark:text-gray-300">
+                      {member.department}{member.position && ` · ${member.position}`}
+                    </td>
+                    <td className="px-3 py-2 text-xs text-gray-500 dark:text-gray-400">
+                      {[member.email, member.phone].filter(Boolean).join(' · ')}
+                    </td>
+                    <td className="px-3 py-2">
+                      <div className="flex items-center justify-end gap-1">
+                        <button
+                          onClick={() => downloadQRCode(member)}
+                          className="p-1.5 rounded-md text-gray-500 hover:text-blue-600 dark:text-gray-400 dark:hover:text-blue-400"
+                          title="Download QR code"
+                        >
+                          <QrCode className="h-4 w-4" />
+                        </button>
+                        <button
+                          onClick={() => openForm(member)}
+                          className="px-2 py-1 text-xs rounded-md border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-slate-600"
+                        >
+                          Edit
+                        </button>
+                        <button
+                          onClick={() => deleteStaff(member)}
+                          className="px-2 py-1 text-xs rounded-md text-red-600 hover:bg-red-50 dark:text-red-400 dark:hover:bg-red-900/20"
+                        >
+                          Delete
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {staff.length === 0 && (
+              <p className="text-sm text-gray-500 dark:text-gray-400 text-center py-4">
+                {loading ? 'Loading staff...' : 'No staff added yet.'}
+              </p>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default StaffPage;
@@ -4,8 +4,8 @@ import { useTheme } from '../context/ThemeContext';
 import { motion } from 'framer-motion';
 import { AlertCircle, Info, ArrowLeft, ArrowRight, CheckCircle } from 'lucide-react';
 import { toast } from 'react-toastify';
-import { QRCodeCanvas } from 'qrcode.react';
 import { studentService } from '../services/api';
+import PhotoCapture from '../components/common/PhotoCapture';
 
 const StudentRegistrationPage = () => {
   const navigate = useNavigate();
@@ -32,6 +32,10 @@ const StudentRegistrationPage = () => {
   });
   const [apiError, setApiError] = useState('');
   const [registeredStudent, setRegisteredStudent] = useState(null);
+  // Signed QR code the server made for the new student, as a data URL
+  const [qrCode, setQrCode] = useState(null);
+  const [photo, setPhoto] = useState(null);
+  const [photoKey, setPhotoKey] = useState(0);
 
   // Clear API error when form changes
   useEffect(() => {
@@ -182,7 +186,18 @@ const StudentRegistrationPage = () => {
       console.log('Registration response:', response);
       
       toast.success('Student registered successfully');
+
+      // The student is registered either way; a failed photo can be added later
+      if (photo && response.data.student?._id) {
+        try {
+          await studentService.uploadPhoto(response.data.student._id, photo);
+        } catch (photoError) {
+          toast.warning(photoError.response?.data?.message || 'The photo could not be saved; add it from the student list');
+        }
+      }
+
       setRegisteredStudent(response.data.student || formData);
+      setQrCode(response.data.qrCode || null);
       setStep(2); // Move to QR code step
     } catch (error) {
       console.error('Error registering student:', error);
@@ -198,15 +213,13 @@ const StudentRegistrationPage = () => {
   // Download QR code
   const downloadQRCode = () => {
     try {
-      const canvas = document.getElementById('student-qr-code');
-      if (!canvas) {
-        toast.error('QR code canvas not found. Please try again.');
+      if (!qrCode) {
+        toast.error('QR code not found. Please try again.');
         return;
       }
       
-      const image = canvas.toDataURL("image/png");
       const link = document.createElement('a');
-      link.href = image;
+      link.href = qrCode;
       link.download = `qrcode-${registeredStudent?.indexNumber || formData.indexNumber}.png`;
       document.body.appendChild(link);
       link.click();
@@ -219,18 +232,6 @@ const StudentRegistrationPage = () => {
     }
   };
 
-  // Generate QR code data
-  const getQRCodeData = () => {
-    const qrData = {
-      name: registeredStudent?.name || formData.name,
-      indexNumber: registeredStudent?.indexNumber || formData.indexNumber,
-      student_email: registeredStudent?.student_email || formData.student_email,
-      address: registeredStudent?.address || formData.address
-    };
-    
-    return JSON.stringify(qrData);
-  };
-
   // Register another student
   const registerAnother = () => {
     setFormData({
@@ -243,6 +244,9 @@ const StudentRegistrationPage = () => {
       age: 0
     });
     setRegisteredStudent(null);
+    setQrCode(null);
+    setPhoto(null);
+    setPhotoKey(key => key + 1);
     setErrors({});
     setTouched({
       name: false,
@@ -399,6 +403,13 @@ const StudentRegistrationPage = () => {
                   {renderTextField("address", "Address", "text", false, "123 Street, City", "street-address")}
                 </div>
 
+                <div className="border-b border-gray-200 dark:border-gray-700 pb-4 mb-6">
+                  <h2 className="text-lg font-medium text-gray-800 dark:text-gray-100">Photo</h2>
+                  <p className="text-sm text-gray-500 dark:text-gray-400 mt-1">Upload a photo or take one with the webcam (optional)</p>
+                </div>
+
+                <PhotoCapture key={photoKey} onChange={setPhoto} disabled={loading} />
+
                 <div className="border-b border-gray-200 dark:border-gray-700 pb-4 mb-6">
                   <h2 className="text-lg font-medium text-gray-800 dark:text-gray-100">Parent/Guardian Information</h2>
                   <p className="text-sm text-gray-500 dark:text-gray-400 mt-1">Enter parent or guardian contact details</p>
@@ -527,18 +538,16 @@ const StudentRegistrationPage = () => {
                   className="flex flex-col items-center"
                 >
                   <div className="p-6 bg-white dark:bg-gray-700 border border-gray-200 dark:border-gray-600 rounded-lg shadow-sm mb-4">
-                    <QRCodeCanvas 
-                      id="student-qr-code"
-                      value={getQRCodeData()} 
-                      size={220}
-                      level="H"
-                      includeMargin={true}
-                      bgColor="#FFFFFF"
-                      fgColor="#000000"
-                    />
+                    {qrCode ? (
+                      <img id="student-qr-code" src={qrCode} alt="Student QR code" className="h-56 w-56 object-contain" />
+                    ) : (
+                      <p className="h-56 w-56 flex items-center justify-center text-sm text-gray-500 dark:text-gray-400 text-center">
+                        The QR code could not be made; open it from the Students page
+                      </p>
+                    )}
                   </div>
                   <p className="text-sm text-gray-500 dark:text-gray-400 max-w-xs text-center mb-5">
-                    This QR code contains the student's information and can be used for attendance tracking.
+                    This QR code carries a signed reference to the student, not their details, and is used for attendance tracking.
                   </p>
                   <motion.button
                     whileHover={{ scale: 1.05 }}
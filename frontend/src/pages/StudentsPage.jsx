@@ -1,15 +1,28 @@
 import React, { useState, useEffect, useMemo, useCallback } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
-import { Pencil, Trash, Plus, QrCode, Users, X, Clock } from 'lucide-react';
-import { studentService } from '../services/api';
+import { Pencil, Trash, Plus, QrCode, Users, X, Clock, IdCard } from 'lucide-react';
+import { studentService, classService, qrCodeService } from '../services/api';
 import { toast } from 'react-toastify';
 import { motion, AnimatePresence } from 'framer-motion';
 import { useTheme } from '../context/ThemeContext';
+import { useAuth } from '../context/AuthContext';
+import { formatSchoolTime } from '../utils/schoolTime';
 import StylishQRCode from '../components/scanner/StylishQRCode';
 import QRCodeWithLoading from '../components/scanner/QRCodeWithLoading';
+import QrCodeReissuePanel from '../components/scanner/QrCodeReissuePanel';
+import ClassFilterSelect from '../components/attendance/ClassFilterSelect';
+import PhotoCapture from '../components/common/PhotoCapture';
+import { toClassParams } from '../utils/classFilter';
+
+// Class label of a student's populated section, e.g. "Grade 10-B"
+const getClassLabel = (student) => {
+  if (!student.section) return 'Unassigned';
+  return student.section.schoolClass ? `${student.section.schoolClass.name}-${student.section.name}` : student.section.name;
+};
 
 const StudentsPage = () => {
   const { theme } = useTheme();
+  const { isAdmin } = useAuth();
   const navigate = useNavigate();
   const [students, setStudents] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -23,15 +36,29 @@ const StudentsPage = () => {
     parent_email: '',
     parent_telephone: ''
   });
+  const [sectionId, setSectionId] = useState('');
+  // New photo picked in the edit modal, and the one on file
+  const [editPhoto, setEditPhoto] = useState(null);
+  const [editPhotoUrl, setEditPhotoUrl] = useState(null);
+  const [classes, setClasses] = useState([]);
+  const [classFilter, setClassFilter] = useState('');
   const [searchTerm, setSearchTerm] = useState('');
   const [showQRCode, setShowQRCode] = useState(false);
   const [selectedStudentForQR, setSelectedStudentForQR] = useState(null);
+  const [qrImageUrl, setQrImageUrl] = useState(null);
+  const [qrImageLoading, setQrImageLoading] = useState(false);
+  const [qrImageError, setQrImageError] = useState(null);
+  // Students ticked in the table, to print ID cards for
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [printingCards, setPrintingCards] = useState(false);
   const [showDeleteModal, setShowDeleteModal] = useState(false);
   const [studentToDelete, setStudentToDelete] = useState(null);
 
-  // Fetch students on component mount
+  // Sections students can be assigned to from the edit modal
   useEffect(() => {
-    fetchStudents();
+    classService.getClasses()
+      .then(data => setClasses(data.classes || []))
+      .catch(error => console.error('Error loading classes:', error));
   }, []);
 
   // Memoized filtered students based on search term
@@ -72,11 +99,11 @@ const StudentsPage = () => {
     exit: { opacity: 0, y: 20 }
   };
 
-  // Fetch all students from API
-  const fetchStudents = async () => {
+  // Fetch all students, or those of the selected class, from API
+  const fetchStudents = useCallback(async () => {
     try {
       setLoading(true);
-      const response = await studentService.getAllStudents();
+      const response = await studentService.getAllStudents(toClassParams(classFilter));
       setStudents(response.data.students || []);
     } catch (error) {
       console.error('Error fetching students:', error);
@@ -84,6 +111,38 @@ const StudentsPage = () => {
     } finally {
       setLoading(false);
     }
+  }, [classFilter]);
+
+  // Fetch students on mount and whenever the class filter changes
+  useEffect(() => {
+    fetchStudents();
+    setSelectedIds([]);
+  }, [fetchStudents]);
+
+  const toggleSelected = (studentId) => {
+    setSelectedIds(prev => (prev.includes(studentId)
+      ? prev.filter(id => id !== studentId)
+      : [...prev, studentId]));
+  };
+
+  const allSelected = filteredStudents.length > 0 && filteredStudents.every(student => selectedIds.includes(student._id));
+
+  const toggleAllSelected = () => {
+    setSelectedIds(allSelected ? [] : filteredStudents.map(student => student._id));
+  };
+
+  // ID cards for the ticked students, or else for the whole class picked
+  const printIdCards = async () => {
+    try {
+      setPrintingCards(true);
+      await qrCodeService.downloadIdCards(selectedIds.length
+        ? { studentIds: selectedIds }
+        : { params: toClassParams(classFilter) });
+    } catch (error) {
+      toast.error('Failed to generate ID cards');
+    } finally {
+      setPrintingCards(false);
+    }
   };
 
   // Handle form input changes
@@ -103,9 +162,77 @@ const StudentsPage = () => {
       parent_email: student.parent_email || '',
       parent_telephone: student.parent_telephone || ''
     });
+    setSectionId(student.section?._id || '');
+    setEditPhoto(null);
     setShowEditModal(true);
   };
 
+  // Load the photo on file of the student being edited
+  useEffect(() => {
+    if (!showEditModal || !currentStudent?.photo?.path) return undefined;
+
+    let photoUrl = null;
+    let cancelled = false;
+    studentService.getPhotoUrl(currentStudent._id)
+      .then((url) => {
+        if (cancelled) {
+          URL.revokeObjectURL(url);
+          return;
+        }
+        photoUrl = url;
+        setEditPhotoUrl(url);
+      })
+      .catch(() => {});
+
+    return () => {
+      cancelled = true;
+      if (photoUrl) URL.revokeObjectURL(photoUrl);
+      setEditPhotoUrl(null);
+    };
+  }, [showEditModal, currentStudent]);
+
+  // Remove the photo on file of the student being edited
+  const removePhoto = async () => {
+    if (!currentStudent) return;
+
+    try {
+      await studentService.deletePhoto(currentStudent._id);
+      toast.success('Photo removed');
+      setShowEditModal(false);
+      fetchStudents();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to remove photo');
+    }
+  };
+
+  // Load the QR code image of the student in the QR code modal from the server
+  useEffect(() => {
+    if (!selectedStudentForQR) return undefined;
+
+    let imageUrl = null;
+    let cancelled = false;
+    setQrImageLoading(true);
+    setQrImageError(null);
+    qrCodeService.downloadStylishQRCode(selectedStudentForQR._id)
+      .then((response) => {
+        if (cancelled) return;
+        imageUrl = URL.createObjectURL(response.data);
+        setQrImageUrl(imageUrl);
+      })
+      .catch(() => {
+        if (!cancelled) setQrImageError('Could not load the QR code');
+      })
+      .finally(() => {
+        if (!cancelled) setQrImageLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+      if (imageUrl) URL.revokeObjectURL(imageUrl);
+      setQrImageUrl(null);
+    };
+  }, [selectedStudentForQR]);
+
   // Open QR code modal
   const openQRCodeModal = (student) => {
     setSelectedStudentForQR(student);
@@ -152,6 +279,12 @@ const StudentsPage = () => {
     try {
       setLoading(true);
       await studentService.updateStudent(currentStudent._id, formData);
+      if (sectionId !== (currentStudent.section?._id || '')) {
+        await classService.assignStudents([currentStudent._id], sectionId || null);
+      }
+      if (editPhoto) {
+        await studentService.uploadPhoto(currentStudent._id, editPhoto);
+      }
       toast.success('Student updated successfully');
       setShowEditModal(false);
       fetchStudents();
@@ -218,7 +351,21 @@ const StudentsPage = () => {
             </div>
           </div>
           
-          <div className="mt-4 sm:mt-0 sm:ml-16 sm:flex-none space-x-2">
+          <ClassFilterSelect value={classFilter} onChange={setClassFilter} className="w-full sm:w-auto mb-4 sm:mb-0 sm:ml-4" />
+          
+          <div className="mt-4 sm:mt-0 sm:ml-auto sm:flex-none flex space-x-2">
+            <button
+              type="button"
+              onClick={printIdCards}
+              disabled={printingCards || (!selectedIds.length && !classFilter)}
+              title={selectedIds.length || classFilter ? 'Download ID cards as a PDF' : 'Pick a class or tick students first'}
+              className="inline-flex items-center px-4 py-2 border border-gray-300 dark:border-slate-600 text-sm font-medium rounded-md shadow-sm text-gray-700 dark:text-gray-200 bg-white dark:bg-slate-700 hover:bg-gray-50 dark:hover:bg-slate-600 disabled:opacity-50 transition-colors duration-200"
+            >
+              <IdCard className="-ml-1 mr-2 h-5 w-5" aria-hidden="true" />
+              {printingCards
+                ? 'Generating...'
+                : selectedIds.length ? `Print ${selectedIds.length} ID Cards` : 'Print Class ID Cards'}
+            </button>
             <motion.div whileHover={{ scale: 1.02 }} whileTap={{ scale: 0.98 }}>
               <Link
                 to="/students/register"
@@ -242,12 +389,24 @@ const StudentsPage = () => {
                 <table className="min-w-full divide-y divide-gray-300 dark:divide-slate-700">
                   <thead className="bg-gray-50 dark:bg-slate-800">
                     <tr>
-                      <th scope="col" className="py-3.5 pl-4 pr-3 text-left text-sm font-semibold text-gray-900 dark:text-white sm:pl-6">
+                      <th scope="col" className="py-3.5 pl-4 pr-1 sm:pl-6 w-8">
+                        <input
+                          type="checkbox"
+                          checked={allSelected}
+                          onChange={toggleAllSelected}
+                          className="rounded border-gray-300 dark:border-slate-600 text-blue-600 focus:ring-blue-500"
+                          aria-label="Select all students"
+                        />
+                      </th>
+                      <th scope="col" className="py-3.5 pl-3 pr-3 text-left text-sm font-semibold text-gray-900 dark:text-white">
                         Name
                       </th>
                       <th scope="col" className="px-3 py-3.5 text-left text-sm font-semibold text-gray-900 dark:text-white">
                         Index Number
                       </th>
+                      <th scope="col" className="px-3 py-3.5 text-left text-sm font-semibold text-gray-900 dark:text-white">
+                        Class
+                      </th>
                       <th scope="col" className="px-3 py-3.5 text-left text-sm font-semibold text-gray-900 dark:text-white">
                         Email
                       </th>
@@ -265,7 +424,7 @@ const StudentsPage = () => {
                   <tbody className="divide-y divide-gray-200 dark:divide-slate-700 bg-white dark:bg-slate-800">
                     {loading ? (
                       <tr>
-                        <td colSpan="6" className="px-3 py-4 text-sm text-gray-500 dark:text-gray-400 text-center">
+                        <td colSpan="8" className="px-3 py-4 text-sm text-gray-500 dark:text-gray-400 text-center">
                           <div className="flex justify-center items-center">
                             <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-blue-500" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
                               <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
@@ -277,7 +436,7 @@ const StudentsPage = () => {
                       </tr>
                     ) : filteredStudents.length === 0 ? (
                       <tr>
-                        <td colSpan="6" className="px-3 py-4 text-sm text-gray-500 dark:text-gray-400 text-center">
+                        <td colSpan="8" className="px-3 py-4 text-sm text-gray-500 dark:text-gray-400 text-center">
                           No students found
                         </td>
                       </tr>
@@ -290,12 +449,24 @@ const StudentsPage = () => {
                           transition={{ delay: index * 0.05 }}
                           className="hover:bg-gray-50 dark:hover:bg-slate-700/50 transition-colors duration-150"
                         >
-                          <td className="whitespace-nowrap py-4 pl-4 pr-3 text-sm font-medium text-gray-900 dark:text-white sm:pl-6">
+                          <td className="py-4 pl-4 pr-1 sm:pl-6">
+                            <input
+                              type="checkbox"
+                              checked={selectedIds.includes(student._id)}
+                              onChange={() => toggleSelected(student._id)}
+                              className="rounded border-gray-300 dark:border-slate-600 text-blue-600 focus:ring-blue-500"
+                              aria-label={`Select ${student.name}`}
+                            />
+                          </td>
+                          <td className="whitespace-nowrap py-4 pl-3 pr-3 text-sm font-medium text-gray-900 dark:text-white">
                             {student.name}
                           </td>
                           <td className="whitespace-nowrap px-3 py-4 text-sm text-gray-500 dark:text-gray-300">
                             {student.indexNumber}
                           </td>
+                          <td className="whitespace-nowrap px-3 py-4 text-sm text-gray-500 dark:text-gray-300">
+                            {getClassLabel(student)}
+                          </td>
                           <td className="whitespace-nowrap px-3 py-4 text-sm text-gray-500 dark:text-gray-300">
                             {student.student_email}
                           </td>
@@ -311,15 +482,7 @@ const StudentsPage = () => {
                             </span>
                           </td>
                           <td className="whitespace-nowrap px-3 py-4 text-sm text-gray-500 dark:text-gray-300">
-                            {student.lastAttendance
-                              ? new Date(student.lastAttendance).toLocaleString(undefined, {
-                                  year: 'numeric',
-                                  month: 'short',
-                                  day: 'numeric',
-                                  hour: '2-digit',
-                                  minute: '2-digit'
-                                })
-                              : 'Never'}
+                            {formatSchoolTime(student.lastAttendance, 'MMM d, yyyy, hh:mm a', 'Never')}
                           </td>
                           <td className="relative whitespace-nowrap py-4 pl-3 pr-4 text-right text-sm font-medium sm:pr-6">
                             <div className="flex justify-end space-x-2">
@@ -483,6 +646,46 @@ const StudentsPage = () => {
                           className="mt-1 block w-full border border-gray-300 dark:border-slate-600 rounded-lg shadow-sm py-2 px-3 focus:outline-none focus:ring-blue-500 focus:border-blue-500 dark:bg-slate-700 dark:text-white sm:text-sm transition-colors duration-200"
                         />
                       </div>
+                      <div>
+                        <label htmlFor="edit-section" className="block text-sm font-medium text-gray-700 dark:text-gray-300 text-left">
+                          Class
+                        </label>
+                        <select
+                          id="edit-section"
+                          value={sectionId}
+                          onChange={(e) => setSectionId(e.target.value)}
+                          className="mt-1 block w-full border border-gray-300 dark:border-slate-600 rounded-lg shadow-sm py-2 px-3 focus:outline-none focus:ring-blue-500 focus:border-blue-500 dark:bg-slate-700 dark:text-white sm:text-sm transition-colors duration-200"
+                        >
+                          <option value="">Unassigned</option>
+                          {classes.map(schoolClass => (
+                            <optgroup key={schoolClass._id} label={schoolClass.name}>
+                              {schoolClass.sections.map(section => (
+                                <option key={section._id} value={section._id}>{section.label}</option>
+                              ))}
+                            </optgroup>
+                          ))}
+                        </select>
+                      </div>
+                      <div>
+                        <span className="block text-sm font-medium text-gray-700 dark:text-gray-300 text-left mb-1">
+                          Photo
+                        </span>
+                        <PhotoCapture
+                          key={currentStudent?._id}
+                          previewUrl={editPhotoUrl}
+                          onChange={setEditPhoto}
+                          disabled={loading}
+                        />
+                        {currentStudent?.photo?.path && !editPhoto && (
+                          <button
+                            type="button"
+                            onClick={removePhoto}
+                            className="mt-2 text-sm text-red-600 dark:text-red-400 hover:underline"
+                          >
+                            Remove photo
+                          </button>
+                        )}
+                      </div>
                     </form>
                   </div>
                 </div>
@@ -574,7 +777,7 @@ const StudentsPage = () => {
                     className="flex justify-center"
                   >
                     <div className="p-1 bg-white rounded-xl shadow-lg border-2 border-gray-100 dark:border-slate-700">
-                      <QRCodeWithLoading studentId={selectedStudentForQR._id} studentName={selectedStudentForQR.name} size={220} />
+                      <QRCodeWithLoading qrCodeUrl={qrImageUrl} loading={qrImageLoading} error={qrImageError} />
                     </div>
                   </div>
                   
@@ -585,6 +788,14 @@ const StudentsPage = () => {
                       Scan this QR code using the attendance system to mark attendance for this student.
                     </p>
                   </div>
+
+                  {isAdmin && (
+                    <QrCodeReissuePanel
+                      studentId={selectedStudentForQR._id}
+                      studentName={selectedStudentForQR.name}
+                      onReissued={setQrImageUrl}
+                    />
+                  )}
                 </div>
               </div>
               
@@ -0,0 +1,520 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { visitorService, locationService } from '../services/api';
+import { toast } from 'react-toastify';
+import { DateTime } from 'luxon';
+import { DoorOpen, Download, LogIn, LogOut, Printer, QrCode, RefreshCw, Search, X } from 'lucide-react';
+import { getSchoolTimezone, toDayKey } from '../utils/schoolTime';
+import { getScannerLocation } from '../utils/scanLocation';
+
+const VISITOR_TYPES = ['parent', 'contractor', 'guest', 'other'];
+
+const STATUS_LABELS = {
+  expected: 'Expected',
+  on_site: 'On site',
+  signed_out: 'Signed out'
+};
+
+const STATUS_STYLES = {
+  expected: 'bg-gray-100 text-gray-700 dark:bg-slate-700 dark:text-gray-300',
+  on_site: 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300',
+  signed_out: 'bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-300'
+};
+
+const EMPTY_FORM = {
+  name: '',
+  type: 'guest',
+  phone: '',
+  company: '',
+  host: '',
+  purpose: '',
+  notes: '',
+  visitDate: ''
+};
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-slate-700 text-gray-700 dark:text-white text-sm';
+
+const formatTime = (time) => (time
+  ? DateTime.fromISO(time).setZone(getSchoolTimezone()).toLocaleString(DateTime.TIME_SIMPLE)
+  : '');
+
+const formatDay = (time) => DateTime.fromISO(time).setZone(getSchoolTimezone()).toLocaleString(DateTime.DATE_MED);
+
+const VisitorsPage = () => {
+  const [date, setDate] = useState(toDayKey());
+  const [search, setSearch] = useState('');
+  const [visitors, setVisitors] = useState([]);
+  const [onSite, setOnSite] = useState([]);
+  const [loading, setLoading] = useState(false);
+  // 'walk_in' or 'pre_register' while the form is open
+  const [formMode, setFormMode] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [locations, setLocations] = useState([]);
+  const [locationId, setLocationId] = useState(getScannerLocation() || '');
+  // Pass being shown: { visitor, qrCode }
+  const [pass, setPass] = useState(null);
+  const [exportFrom, setExportFrom] = useState(toDayKey());
+  const [exportTo, setExportTo] = useState(toDayKey());
+
+  const fetchOnSite = useCallback(async () => {
+    try {
+      setOnSite(await visitorService.getOnSite());
+    } catch (error) {
+      console.error('Error loading visitors on site:', error);
+    }
+  }, []);
+
+  const fetchVisitors = useCallback(async () => {
+    try {
+      setLoading(true);
+      setVisitors(await visitorService.getVisitors({ date, search: search.trim() || undefined }));
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load visitors');
+    } finally {
+      setLoading(false);
+    }
+  }, [date, search]);
+
+  const refresh = useCallback(() => Promise.all([fetchVisitors(), fetchOnSite()]), [fetchVisitors, fetchOnSite]);
+
+  // Searches wait for a pause in typing
+  useEffect(() => {
+    const timer = setTimeout(fetchVisitors, search ? 300 : 0);
+    return () => clearTimeout(timer);
+  }, [fetchVisitors, search]);
+
+  // The on-site list follows the gate scanners
+  useEffect(() => {
+    fetchOnSite();
+    const interval = setInterval(fetchOnSite, 30000);
+    return () => clearInterval(interval);
+  }, [fetchOnSite]);
+
+  useEffect(() => {
+    locationService.getLocations({ active: true })
+      .then(setLocations)
+      .catch(error => console.error('Error loading locations:', error));
+  }, []);
+
+  const openForm = (mode) => {
+    setFormMode(mode);
+    setForm({ ...EMPTY_FORM, visitDate: toDayKey() });
+  };
+
+  const setField = (field, value) => setForm(prev => ({ ...prev, [field]: value }));
+
+  const saveVisitor = async (e) => {
+    e.preventDefault();
+    const walkIn = formMode === 'walk_in';
+
+    try {
+      setSaving(true);
+      const result = await visitorService.createVisitor({
+        ...form,
+        visitDate: walkIn ? undefined : form.visitDate,
+        signIn: walkIn,
+        locationId: walkIn ? locationId || undefined : undefined
+      });
+      toast.success(result.message);
+      setFormMode(null);
+      setPass(result.data);
+      await refresh();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to register visitor');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const showPass = async (visitor) => {
+    try {
+      const { qrCode } = await visitorService.getPass(visitor._id);
+      setPass({ visitor, qrCode });
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load pass');
+    }
+  };
+
+  const printPass = () => {
+    const printWindow = window.open('', '_blank', 'width=420,height=600');
+    if (!printWindow) {
+      toast.error('Allow pop-ups to print the pass');
+      return;
+    }
+    const doc = printWindow.document;
+    doc.title = `Visitor pass - ${pass.visitor.name}`;
+    doc.body.style.fontFamily = 'sans-serif';
+    doc.body.style.textAlign = 'center';
+    [
+      ['h2', 'VISITOR'],
+      ['h3', pass.visitor.name],
+      ['p', `Host: ${pass.visitor.host}`],
+      ['p', `Valid ${formatDay(pass.visitor.visitDate)} only`]
+    ].forEach(([tag, text]) => {
+      const element = doc.createElement(tag);
+      element.textContent = text;
+      doc.body.appendChild(element);
+    });
+    const image = doc.createElement('img');
+    image.src = pass.qrCode;
+    image.width = 300;
+    image.onload = () => printWindow.print();
+    doc.body.insertBefore(image, doc.body.children[2]);
+  };
+
+  const signIn = async (visitor) => {
+    try {
+      const result = await visitorService.signIn(visitor._id, locationId || undefined);
+      toast.success(result.message);
+      await refresh();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to sign visitor in');
+    }
+  };
+
+  const signOut = async (visitor) => {
+    try {
+      const result = await visitorService.signOut(visitor._id, locationId || undefined);
+      toast.success(result.message);
+      await refresh();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to sign visitor out');
+    }
+  };
+
+  const deleteVisitor = async (visitor) => {
+    if (!window.confirm(`Delete the visit of ${visitor.name}?`)) return;
+    try {
+      const result = await visitorService.deleteVisitor(visitor._id);
+      toast.success(result.message);
+      await refresh();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete visitor');
+    }
+  };
+
+  const exportLog = async () => {
+    try {
+      await visitorService.exportLog(exportFrom, exportTo);
+    } catch (error) {
+      toast.error('Failed to export visitor log');
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+        <h1 className="text-2xl font-bold text-gray-900 dark:text-white flex items-center">
+          <DoorOpen className="h-6 w-6 mr-2 text-blue-600 dark:text-blue-400" />
+          Visitors
+        </h1>
+        <div className="flex flex-wrap items-center gap-3">
+          {locations.length > 0 && (
+            <select
+              aria-label="Desk location"
+              value={locationId}
+              onChange={(e) => setLocationId(e.target.value)}
+              className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-slate-700 text-gray-700 dark:text-white text-sm"
+            >
+              <option value="">No location</option>
+              {locations.map(location => <option key={location._id} value={location._id}>{location.name}</option>)}
+            </select>
+          )}
+          <button
+            onClick={() => openForm('pre_register')}
+            className="px-3 py-2 rounded-md text-sm border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-slate-700"
+          >
+            Pre-register
+          </button>
+          <button
+            onClick={() => openForm('walk_in')}
+            className="inline-flex items-center px-3 py-2 rounded-md text-sm text-white bg-blue-600 hover:bg-blue-700 dark:bg-blue-700 dark:hover:bg-blue-800"
+          >
+            <LogIn className="h-4 w-4 mr-1" />
+            Sign in walk-in
+          </button>
+        </div>
+      </div>
+
+      {formMode && (
+        <form
+          onSubmit={saveVisitor}
+          className="bg-white dark:bg-slate-800 shadow rounded-lg border border-gray-200 dark:border-slate-700 p-4 space-y-4"
+        >
+          <div className="flex items-center justify-between">
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+              {formMode === 'walk_in' ? 'Sign in a walk-in visitor' : 'Pre-register a visitor'}
+            </h2>
+            <button type="button" onClick={() => setFormMode(null)} className="text-gray-400 hover:text-gray-600" title="Close">
+              <X className="h-5 w-5" />
+            </button>
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <label className="text-sm text-gray-700 dark:text-gray-300">
+              Name
+              <input required value={form.name} onChange={(e) => setField('name', e.target.value)} className={inputClass} />
+            </label>
+            <label className="text-sm text-gray-700 dark:text-gray-300">
+              Type
+              <select value={form.type} onChange={(e) => setField('type', e.target.value)} className={`${inputClass} capitalize`}>
+                {VISITOR_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+              </select>
+            </label>
+            <label className="text-sm text-gray-700 dark:text-gray-300">
+              Phone
+              <input value={form.phone} onChange={(e) => setField('phone', e.target.value)} className={inputClass} />
+            </label>
+            <label className="text-sm text-gray-700 dark:text-gray-300">
+              Company
+              <input value={form.company} onChange={(e) => setField('company', e.target.value)} className={inputClass} />
+            </label>
+            <label className="text-sm text-gray-700 dark:text-gray-300">
+              Host
+              <input required placeholder="Who they are here to see" value={form.host} onChange={(e) => setField('host', e.target.value)} className={inputClass} />
+            </label>
+            {formMode === 'pre_register' && (
+              <label className="text-sm text-gray-700 dark:text-gray-300">
+                Visit date
+                <input type="date" required min={toDayKey()} value={form.visitDate} onChange={(e) => setField('visitDate', e.target.value)} className={inputClass} />
+              </label>
+            )}
+            <label className="text-sm text-gray-700 dark:text-gray-300 md:col-span-2">
+              Purpose
+              <input required value={form.purpose} onChange={(e) => setField('purpose', e.target.value)} className={inputClass} />
+            </label>
+            <label className="text-sm text-gray-700 dark:text-gray-300 md:col-span-3">
+              Notes
+              <input value={form.notes} onChange={(e) => setField('notes', e.target.value)} className={inputClass} />
+            </label>
+          </div>
+          <div className="flex justify-end">
+            <button
+              type="submit"
+              disabled={saving}
+              className="inline-flex items-center px-3 py-2 rounded-md text-sm text-white bg-blue-600 hover:bg-blue-700 dark:bg-blue-700 dark:hover:bg-blue-800 disabled:opacity-50"
+            >
+              <QrCode className="h-4 w-4 mr-1" />
+              {saving ? 'Saving...' : formMode === 'walk_in' ? 'Sign in and issue pass' : 'Register and issue pass'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {pass && (
+        <div className="bg-white dark:bg-slate-800 shadow rounded-lg border border-gray-200 dark:border-slate-700 p-4 flex flex-col sm:flex-row items-center gap-6">
+          <img src={pass.qrCode} alt={`Visitor pass for ${pass.visitor.name}`} className="w-48 h-48" />
+          <div className="flex-1 space-y-1">
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-white">{pass.visitor.name}</h2>
+            <p className="text-sm text-gray-600 dark:text-gray-300">Host: {pass.visitor.host} · {pass.visitor.purpose}</p>
+            <p className="text-sm text-gray-600 dark:text-gray-300">
+              Valid {formatDay(pass.visitor.visitDate)} only. Scan it at the gate scanner to sign in and out.
+            </p>
+            <div className="flex gap-2 pt-2">
+              <button
+                onClick={printPass}
+                className="inline-flex items-center px-3 py-1.5 rounded-md text-sm border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-slate-700"
+              >
+                <Printer className="h-4 w-4 mr-1" />
+                Print
+              </button>
+              <a
+                href={pass.qrCode}
+                download={`visitor-pass-${pass.visitor.name.replace(/[^A-Za-z0-9]+/g, '_')}.png`}
+                className="inline-flex items-center px-3 py-1.5 rounded-md text-sm border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-slate-700"
+              >
+                <Download className="h-4 w-4 mr-1" />
+                Download
+              </a>
+            </div>
+          </div>
+          <button onClick={() => setPass(null)} className="self-start text-gray-400 hover:text-gray-600" title="Close">
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+      )}
+
+      <div className="bg-white dark:bg-slate-800 shadow rounded-lg border border-gray-200 dark:border-slate-700 p-4">
+        <h2 className="text-lg font-semibold text-gray-900 dark:text-white">On site now ({onSite.length})</h2>
+        <div className="mt-3 grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-3">
+          {onSite.map(visitor => (
+            <div
+              key={visitor._id}
+              className={`p-3 rounded-md border ${
+                visitor.overstayed
+                  ? 'border-red-300 bg-red-50 dark:border-red-800 dark:bg-red-900/20'
+                  : 'border-gray-200 dark:border-slate-700'
+              }`}
+            >
+              <div className="flex items-start justify-between gap-2">
+                <div>
+                  <p className="font-medium text-gray-900 dark:text-white">{visitor.name}</p>
+                  <p className="text-xs text-gray-500 dark:text-gray-400">
+                    <span className="capitalize">{visitor.type}</span>{visitor.company && ` · ${visitor.company}`} · seeing {visitor.host}
+                  </p>
+                  <p className="text-xs text-gray-500 dark:text-gray-400">
+                    In since {formatTime(visitor.signedInAt)}
+                    {visitor.signedInLocation && ` at ${visitor.signedInLocation.name}`}
+                    {visitor.overstayed && ` on ${formatDay(visitor.signedInAt)}; pass expired`}
+                  </p>
+                </div>
+                <button
+                  onClick={() => signOut(visitor)}
+                  className="inline-flex items-center px-2 py-1 rounded-md text-xs border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-slate-700"
+                >
+                  <LogOut className="h-3 w-3 mr-1" />
+                  Sign out
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+        {onSite.length === 0 && (
+          <p className="text-sm text-gray-500 dark:text-gray-400 py-2">No visitors on site.</p>
+        )}
+      </div>
+
+      <div className="bg-white dark:bg-slate-800 shadow rounded-lg border border-gray-200 dark:border-slate-700 p-4">
+        <div className="flex flex-col lg:flex-row lg:items-center lg:justify-between gap-3">
+          <div className="flex flex-wrap items-center gap-3">
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Visitor log</h2>
+            <input
+              type="date"
+              aria-label="Day"
+              value={date}
+              onChange={(e) => setDate(e.target.value)}
+              className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-slate-700 text-gray-700 dark:text-white text-sm"
+            />
+            <div className="relative">
+              <Search className="h-4 w-4 absolute left-2.5 top-2.5 text-gray-400" />
+              <input
+                type="text"
+                aria-label="Search visitors"
+                placeholder="Name, company or host"
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+                className="pl-8 pr-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-slate-700 text-gray-700 dark:text-white text-sm"
+              />
+            </div>
+            <button
+              onClick={refresh}
+              className="p-2 rounded-lg text-gray-500 hover:text-blue-600 dark:text-gray-400 dark:hover:text-blue-400"
+              title="Refresh"
+            >
+              <RefreshCw className={`h-5 w-5 ${loading ? 'animate-spin' : ''}`} />
+            </button>
+          </div>
+          <div className="flex flex-wrap items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+            <span>Export</span>
+            <input
+              type="date"
+              aria-label="Export from"
+              value={exportFrom}
+              onChange={(e) => setExportFrom(e.target.value)}
+              className="px-2 py-1.5 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-slate-700 text-gray-700 dark:text-white text-sm"
+            />
+            <span>to</span>
+            <input
+              type="date"
+              aria-label="Export to"
+              value={exportTo}
+              min={exportFrom}
+              onChange={(e) => setExportTo(e.target.value)}
+              className="px-2 py-1.5 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-slate-700 text-gray-700 dark:text-white text-sm"
+            />
+            <button
+              onClick={exportLog}
+              className="inline-flex items-center px-3 py-1.5 rounded-md text-sm border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-slate-700"
+            >
+              <Download className="h-4 w-4 mr-1" />
+              Excel
+            </button>
+          </div>
+        </div>
+
+        <div className="mt-4 overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200 dark:divide-slate-700 text-sm">
+            <thead>
+              <tr className="text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase">
+                <th className="px-3 py-2">Visitor</th>
+                <th className="px-3 py-2">Host and purpose</th>
+                <th className="px-3 py-2">Status</th>
+                <th className="px-3 py-2">In / out</th>
+                <th className="px-3 py-2"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200 dark:divide-slate-700">
+              {visitors.map(visitor => (
+                <tr key={visitor._id}>
+                  <td className="px-3 py-2">
+                    <div className="font-medium text-gray-900 dark:text-white">{visitor.name}</div>
+                    <div className="text-xs text-gray-500 dark:text-gray-400">
+                      <span className="capitalize">{visitor.type}</span>
+                      {visitor.company && ` · ${visitor.company}`}
+                      {visitor.phone && ` · ${visitor.phone}`}
+                    </div>
+                  </td>
+                  <td className="px-3 py-2 text-gray-700 dark:text-gray-300">
+                    <div>{visitor.host}</div>
+                    <div className="text-xs text-gray-500 dark:text-gray-400">{visitor.purpose}</div>
+                  </td>
+                  <td className="px-3 py-2">
+                    <span className={`px-2 py-0.5 rounded-full text-xs ${STATUS_STYLES[visitor.status]}`}>
+                      {STATUS_LABELS[visitor.status]}
+                    </span>
+                  </td>
+                  <td className="px-3 py-2 text-xs text-gray-500 dark:text-gray-400">
+                    {visitor.signedInAt ? `In ${formatTime(visitor.signedInAt)}` : 'Not arrived'}
+                    {visitor.signedOutAt && ` · out ${formatTime(visitor.signedOutAt)}${visitor.signOutMethod === 'manual' ? ' (by hand)' : ''}`}
+                  </td>
+                  <td className="px-3 py-2">
+                    <div className="flex items-center justify-end gap-1">
+                      {visitor.status !== 'signed_out' && (
+                        <button
+                          onClick={() => showPass(visitor)}
+                          className="px-2 py-1 text-xs rounded-md border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-slate-600"
+                        >
+                          Pass
+                        </button>
+                      )}
+                      {visitor.status === 'expected' && (
+                        <>
+                          <button
+                            onClick={() => signIn(visitor)}
+                            className="px-2 py-1 text-xs rounded-md border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-slate-600"
+                          >
+                            Sign in
+                          </button>
+                          <button
+                            onClick={() => deleteVisitor(visitor)}
+                            className="px-2 py-1 text-xs rounded-md text-red-600 hover:bg-red-50 dark:text-red-400 dark:hover:bg-red-900/20"
+                          >
+                            Delete
+                          </button>
+                        </>
+                      )}
+                      {visitor.status === 'on_site' && (
+                        <button
+                          onClick={() => signOut(visitor)}
+                          className="px-2 py-1 text-xs rounded-md border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-slate-600"
+                        >
+                          Sign out
+                        </button>
+                      )}
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {visitors.length === 0 && (
+            <p className="text-sm text-gray-500 dark:text-gray-400 text-center py-4">
+              {loading ? 'Loading visitors...' : 'No visitors on this day.'}
+            </p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VisitorsPage;
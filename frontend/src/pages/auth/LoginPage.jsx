@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
 import { useTheme } from '../../context/ThemeContext';
+import useBranding from '../../hooks/useBranding';
 import ToastHelper from '../../components/ToastHelper';
 import { AnimatePresence, motion } from 'framer-motion';
 import { AlertCircle } from 'lucide-react';
@@ -9,6 +10,7 @@ import useFormSubmit from '../../hooks/useFormSubmit';
 
 const LoginPage = () => {
   const { theme } = useTheme();
+  const { branding, appName, logoUrl, brandGradient } = useBranding();
   const isDark = theme === 'dark';
   const [formData, setFormData] = useState({
     email: '',
@@ -268,6 +270,10 @@ const LoginPage = () => {
         {/* Left side - Login Form */}
         <div className="w-full md:w-3/5 lg:w-1/2 p-6 sm:p-8 md:p-10">
           <motion.div variants={itemVariants} className="mb-6 sm:mb-8">
+            <div className="flex items-center mb-4">
+              {logoUrl && <img src={logoUrl} alt="" className="h-10 w-10 object-contain mr-3" />}
+              <span className="text-lg font-bold" style={{ color: branding.primaryColor }}>{appName}</span>
+            </div>
             <h2 className={`text-2xl sm:text-3xl font-extrabold ${
               isDark ? 'text-white' : 'text-gray-900'
             } mb-2`}>
@@ -455,11 +461,8 @@ const LoginPage = () => {
               <motion.button
                 type="submit"
                 disabled={loading || Object.keys(errors).length > 0 || loginDisabled}
-                className={`group relative flex w-full justify-center rounded-md ${
-                  isDark
-                    ? 'bg-gradient-to-r from-blue-600 to-cyan-600 hover:from-blue-500 hover:to-cyan-500'
-                    : 'bg-gradient-to-r from-blue-600 to-cyan-600 hover:from-blue-500 hover:to-cyan-500'
-                } py-2.5 sm:py-3 px-4 text-sm font-semibold text-white shadow-sm focus-visible:outline focus-visible:outline-2 focus-visible:outline-offset-2 focus-visible:outline-blue-600 disabled:opacity-50 transition-all duration-300 ${
+                style={{ backgroundImage: brandGradient }}
+                className={`group relative flex w-full justify-center rounded-md hover:brightness-110 py-2.5 sm:py-3 px-4 text-sm font-semibold text-white shadow-sm focus-visible:outline focus-visible:outline-2 focus-visible:outline-offset-2 focus-visible:outline-blue-600 disabled:opacity-50 transition-all duration-300 ${
                   loading || Object.keys(errors).length > 0 || loginDisabled
                     ? 'bg-blue-400 cursor-not-allowed'
                     : 'bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500'
@@ -533,7 +536,9 @@ const LoginPage = () => {
         </div>
 
         {/* Right side - Image and Info */}
-        <div className="hidden md:block md:w-2/5 lg:w-1/2 bg-gradient-to-br from-blue-600 to-cyan-600 p-8 md:p-10 lg:p-12 text-white relative overflow-hidden">
+        <div
+          style={{ backgroundImage: `linear-gradient(to bottom right, ${branding.primaryColor}, ${branding.secondaryColor})` }}
+          className="hidden md:block md:w-2/5 lg:w-1/2 p-8 md:p-10 lg:p-12 text-white relative overflow-hidden">
           {/* Background Grid Pattern */}
           <div className="absolute top-0 left-0 w-full h-full opacity-10 pointer-events-none">
             <svg className="w-full h-full" viewBox="0 0 100 100" preserveAspectRatio="none">
@@ -549,13 +554,14 @@ const LoginPage = () => {
           {/* Content */}
           <div className="relative z-10 h-full flex flex-col justify-between">
             <div>
+              {logoUrl && <img src={logoUrl} alt="" className="h-16 w-16 object-contain mb-4 rounded-lg bg-white/90 p-1" />}
               <motion.h2
                 className="text-2xl md:text-3xl font-bold mb-4 md:mb-6 text-white"
                 initial={{ x: 50, opacity: 0 }}
                 animate={{ x: 0, opacity: 1 }}
                 transition={{ delay: 0.2, duration: 0.8 }}
               >
-                Welcome to Attendance System
+                Welcome to {appName}
               </motion.h2>
 
               <motion.p
@@ -596,7 +602,7 @@ const LoginPage = () => {
               animate={{ y: 0, opacity: 1 }}
               transition={{ delay: 1, duration: 0.8 }}
             >
-              <p>© 2025 Attendance System. All rights reserved.</p>
+              <p>© {new Date().getFullYear()} {appName}. All rights reserved.</p>
               <p className="mt-1">Powered by Ransilu Samarasekara.</p>
             </motion.div>
           </div>
@@ -15,7 +15,6 @@ const RegisterPage = () => {
     email: '',
     password: '',
     confirmPassword: '',
-    role: 'admin',
     agreeToTerms: false
   });
   const [touched, setTouched] = useState({
@@ -255,7 +254,8 @@ const RegisterPage = () => {
             <p className={`text-sm ${
               isDark ? 'text-gray-300' : 'text-gray-600'
             }`}>
-              Join us to start managing attendance efficiently
+              Join us to start managing attendance efficiently. New accounts run the gate scanner until an
+              administrator gives them more access.
             </p>
           </motion.div>
 
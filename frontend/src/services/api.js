@@ -1,5 +1,16 @@
 import axios from 'axios';
 import { toast } from 'react-toastify';
+import { getSchoolTimezone, toDayKey } from '../utils/schoolTime';
+import { getScannerLocation, getScannerEvent } from '../utils/scanLocation';
+import { getDeviceHeaders, DEVICE_TOKEN_HEADER } from '../utils/scannerDevice';
+import {
+  isOfflineQueueAvailable,
+  createScanKey,
+  queueScan,
+  getQueuedScans,
+  updateQueuedScan,
+  removeQueuedScan
+} from '../utils/offlineScanQueue';
 
 const API_URL = 'http://localhost:5001/api';
 
@@ -32,7 +43,9 @@ api.interceptors.request.use(
     // Check server connectivity before making any request
     const isServerUp = await checkServerConnectivity();
     if (!isServerUp) {
-      throw new Error('Server is not responding. Please check if the server is running.');
+      const error = new Error('Server is not responding. Please check if the server is running.');
+      error.config = config;
+      throw error;
     }
 
     // First look for token in localStorage (persistent login)
@@ -55,6 +68,11 @@ api.interceptors.request.use(
 api.interceptors.response.use(
   (response) => response,
   async (error) => {
+    // Scans made while offline are queued by the caller instead
+    if (error.config?.queueOffline && !error.response) {
+      return Promise.reject(error);
+    }
+
     // Handle network errors and server connectivity issues
     if (!error.response || error.response.status === 0) {
       toast.error('Cannot connect to server. Please check your connection and try again.');
@@ -63,6 +81,11 @@ api.interceptors.response.use(
 
     const { response: errorResponse } = error;
 
+    // A scanner device whose token was refused has not lost the admin login
+    if (errorResponse.status === 401 && error.config?.headers?.[DEVICE_TOKEN_HEADER]) {
+      return Promise.reject(error);
+    }
+
     // Handle unauthorized errors (401)
     if (errorResponse.status === 401) {
       localStorage.removeItem('token');
@@ -360,11 +383,23 @@ export const authService = {
   },
 };
 
+// Ask for the reason behind an attendance change; null when cancelled or left blank
+const promptForReason = (message) => {
+  const reason = window.prompt(message);
+  if (reason === null) return null;
+  if (!reason.trim()) {
+    toast.error('A reason is required');
+    return null;
+  }
+  return reason.trim();
+};
+
 // Student services with validation handling
 export const studentService = {
-  getAllStudents: async () => {
+  // Optional classId or sectionId params limit the list to one class
+  getAllStudents: async (params = {}) => {
     try {
-      const response = await api.get('/admin/students');
+      const response = await api.get('/admin/students', { params });
       return response;
     } catch (error) {
       if (!error.response) {
@@ -397,6 +432,47 @@ export const studentService = {
       'Content-Type': 'multipart/form-data',
     },
   }),
+
+  // Upload a chosen file or a webcam capture (a Blob) as the student's photo
+  uploadPhoto: async (studentId, photo) => {
+    try {
+      const formData = new FormData();
+      formData.append('photo', photo, photo.name || 'photo.jpg');
+      const response = await api.post(`/admin/students/${studentId}/photo`, formData, {
+        headers: { 'Content-Type': 'multipart/form-data' }
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error uploading student photo:', error);
+      throw error;
+    }
+  },
+
+  deletePhoto: async (studentId) => {
+    try {
+      const response = await api.delete(`/admin/students/${studentId}/photo`);
+      return response.data;
+    } catch (error) {
+      console.error('Error removing student photo:', error);
+      throw error;
+    }
+  },
+
+  // The photo needs the auth or device header, so it is loaded as an object URL;
+  // revoke it when done. { thumb: true } loads the small thumbnail.
+  getPhotoUrl: async (studentId, { thumb = false } = {}) => {
+    try {
+      const response = await api.get(`/students/${studentId}/photo`, {
+        params: thumb ? { size: 'thumb' } : {},
+        headers: getDeviceHeaders(),
+        responseType: 'blob'
+      });
+      return window.URL.createObjectURL(response.data);
+    } catch (error) {
+      console.error('Error getting student photo:', error);
+      throw error;
+    }
+  },
   
   // New attendance history management methods
   getStudentAttendanceHistory: async (studentId, params = {}) => {
@@ -410,6 +486,7 @@ export const studentService = {
       if (params.offset) queryParams.append('offset', params.offset);
       if (params.sortBy) queryParams.append('sortBy', params.sortBy);
       if (params.sortOrder) queryParams.append('sortOrder', params.sortOrder);
+      if (params.includeDeleted) queryParams.append('includeDeleted', 'true');
       
       const queryString = queryParams.toString();
       const url = `/admin/students/${studentId}/attendance${queryString ? `?${queryString}` : ''}`;
@@ -425,12 +502,13 @@ export const studentService = {
   
   clearAttendanceHistory: async (studentId) => {
     try {
-      // Request confirmation from the user
-      if (!window.confirm('Are you sure you want to clear all attendance history for this student? This action cannot be undone.')) {
+      // Every change needs a reason; cancelling the prompt cancels the clear
+      const reason = promptForReason('Why are you clearing all attendance history for this student? Records can be restored from their history.');
+      if (!reason) {
         return { cancelled: true };
       }
       
-      const response = await api.delete(`/admin/students/${studentId}/attendance/clear`);
+      const response = await api.delete(`/admin/students/${studentId}/attendance/clear`, { data: { reason } });
       toast.success('Successfully cleared attendance history');
       return response.data;
     } catch (error) {
@@ -442,12 +520,13 @@ export const studentService = {
   
   deleteAttendanceRecord: async (studentId, recordId) => {
     try {
-      // Request confirmation from the user
-      if (!window.confirm('Are you sure you want to delete this attendance record? This action cannot be undone.')) {
+      // Every change needs a reason; cancelling the prompt cancels the delete
+      const reason = promptForReason('Why are you deleting this attendance record? It can be restored from its history.');
+      if (!reason) {
         return { cancelled: true };
       }
       
-      const response = await api.delete(`/admin/students/${studentId}/attendance/${recordId}`);
+      const response = await api.delete(`/admin/students/${studentId}/attendance/${recordId}`, { data: { reason } });
       toast.success('Successfully deleted attendance record');
       return response.data;
     } catch (error) {
@@ -455,6 +534,17 @@ export const studentService = {
       toast.error('Failed to delete attendance record. Please try again.');
       throw error;
     }
+  },
+
+  getAttendanceRevisions: async (studentId, recordId) => {
+    const response = await api.get(`/admin/students/${studentId}/attendance/${recordId}/revisions`);
+    return response.data.data;
+  },
+
+  // Without a revisionId the record's latest change is undone
+  restoreAttendanceRecord: async (studentId, recordId, reason, revisionId = null) => {
+    const response = await api.post(`/admin/students/${studentId}/attendance/${recordId}/restore`, { reason, revisionId });
+    return response.data;
   }
 };
 
@@ -473,8 +563,55 @@ export const qrCodeService = {
       throw error;
     }
   },
+
+  // Replace a lost, stolen or damaged card; every earlier code of the student stops working.
+  // Returns { qrCode, qrVersion } with the new code as a data URL
+  reissueStudentQRCode: async (studentId, { reason, note }) => {
+    try {
+      const response = await api.post(`/admin/students/${studentId}/qr-code/reissue`, { reason, note });
+      return response.data;
+    } catch (error) {
+      console.error('Error reissuing QR code:', error);
+      throw error;
+    }
+  },
+
+  // Download printable ID cards as a PDF, for the given students or else for the class in params
+  downloadIdCards: async ({ studentIds = [], params = {} } = {}) => {
+    try {
+      const response = await api.post('/admin/id-cards', { studentIds }, {
+        params,
+        responseType: 'blob',
+        timeout: 5 * 60 * 1000
+      });
+      const url = window.URL.createObjectURL(new Blob([response.data], { type: 'application/pdf' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', 'id_cards.pdf');
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error downloading ID cards:', error);
+      throw error;
+    }
+  },
+
+  // Codes issued to a student, latest first, with refused scans of the old ones
+  getStudentQrHistory: async (studentId) => {
+    try {
+      const response = await api.get(`/admin/students/${studentId}/qr-history`);
+      return response.data.data;
+    } catch (error) {
+      console.error('Error getting QR code history:', error);
+      throw error;
+    }
+  },
   
-  markAttendance: async (qrData) => {
+  // Scans are made at the location picked for this device unless one is given,
+  // and check the student in to the event picked for it if there is one
+  markAttendance: async (qrData, { locationId = getScannerLocation(), eventId = getScannerEvent() } = {}) => {
     try {
       // Make sure parent_telephone is present and properly formatted
       const sanitizedQrData = {
@@ -482,25 +619,92 @@ export const qrCodeService = {
         parent_telephone: qrData.parent_telephone ? qrData.parent_telephone.replace(/\s+/g, '') : ''
       };
       
-      // Add device info and location to the QR data
+      // Add device info and location to the QR data, with the scan time and
+      // a key that make it safe to send again from the offline queue
       const enrichedData = {
         qrCodeData: sanitizedQrData,
         deviceInfo: navigator.userAgent,
-        scanLocation: 'QR Scanner App'
+        locationId,
+        ...(eventId && { eventId }),
+        scannedAt: new Date().toISOString(),
+        idempotencyKey: createScanKey()
       };
       
-      // Call the API to mark attendance
-      const response = await api.post('/students/mark-attendance', enrichedData);
-      
-      // Log the complete response for debugging
-      console.log('Full attendance API response:', JSON.stringify(response.data));
-      
-      return response;
+      try {
+        // Call the API to mark attendance, signed by this device if it is enrolled
+        const response = await api.post('/students/mark-attendance', enrichedData, {
+          headers: getDeviceHeaders(),
+          queueOffline: true
+        });
+        
+        // Log the complete response for debugging
+        console.log('Full attendance API response:', JSON.stringify(response.data));
+        
+        return response;
+      } catch (error) {
+        // No answer from the server: keep the scan and send it once the connection is back
+        if (error.response || !isOfflineQueueAvailable()) throw error;
+
+        await queueScan(enrichedData);
+        return {
+          data: {
+            queued: true,
+            status: 'queued',
+            attendanceStatus: 'queued',
+            message: `No connection. Scan of ${sanitizedQrData.name || 'student'} saved and will be sent when the connection is back`,
+            studentInfo: {
+              name: sanitizedQrData.name,
+              indexNumber: sanitizedQrData.indexNumber
+            }
+          }
+        };
+      }
     } catch (error) {
       console.error('Error marking attendance via QR code:', error);
       throw error;
     }
   },
+
+  // Send the scans queued while offline, oldest first. A scan the server
+  // answers, even to turn it away, leaves the queue; the sync stops at the
+  // first scan that still cannot get through or is still being processed
+  // from an earlier attempt.
+  // Returns { sent, rejected, remaining } with the rejected scans' messages
+  syncQueuedScans: async () => {
+    const queued = await getQueuedScans();
+    const result = { sent: 0, rejected: [], remaining: queued.length };
+
+    for (const scan of queued) {
+      const body = {
+        qrCodeData: scan.qrCodeData,
+        deviceInfo: scan.deviceInfo,
+        locationId: scan.locationId,
+        ...(scan.eventId && { eventId: scan.eventId }),
+        scannedAt: scan.scannedAt,
+        idempotencyKey: scan.idempotencyKey
+      };
+      try {
+        await api.post('/students/mark-attendance', body, {
+          headers: getDeviceHeaders(),
+          queueOffline: true
+        });
+        result.sent += 1;
+      } catch (error) {
+        const status = error.response?.status;
+        const stillProcessing = status === 409 && error.response.data?.processing;
+        if (!status || status >= 500 || status === 401 || status === 429 || stillProcessing) {
+          await updateQueuedScan({ ...scan, attempts: scan.attempts + 1, lastError: error.response?.data?.message || error.message });
+          break;
+        }
+        result.rejected.push(error.response.data?.message || `Scan of ${body.qrCodeData?.name || 'student'} was not accepted`);
+      }
+
+      await removeQueuedScan(scan.idempotencyKey);
+      result.remaining -= 1;
+    }
+
+    return result;
+  },
   
   searchQRCode: async (searchParams) => {
     try {
@@ -529,11 +733,10 @@ export const qrCodeService = {
 // Attendance service
 export const attendanceService = {
   markAttendance: (data) => {
-    // Add deviceInfo and scanLocation if not provided
+    // Add deviceInfo if not provided
     const attendanceData = {
       ...data,
-      deviceInfo: data.deviceInfo || navigator.userAgent,
-      scanLocation: data.scanLocation || 'Main Entrance'
+      deviceInfo: data.deviceInfo || navigator.userAgent
     };
     return api.post('/admin/attendance', attendanceData);
   },
@@ -545,8 +748,9 @@ export const attendanceService = {
         studentId,
         status,
         deviceInfo: navigator.userAgent,
-        scanLocation: options.location || 'Manual Entry',
+        locationId: options.locationId,
         adminNote: options.adminNote || 'Manually marked by admin',
+        reason: options.reason,
         sendNotification: options.sendNotification !== false, // Default to true
         date: options.date || new Date().toISOString()
       };
@@ -616,37 +820,63 @@ export const attendanceService = {
     }
   },
   
+  // Mark students with no scan as absent, for today or a past date range
+  markAbsences: async ({ startDate, endDate, notifyParents = false } = {}) => {
+    try {
+      const response = await api.post('/admin/attendance/mark-absences', { startDate, endDate, notifyParents });
+      return response.data.data;
+    } catch (error) {
+      console.error('Error marking absences:', error);
+      throw error;
+    }
+  },
+
+  // Recalculate the attendance stats stored on every student, or on one
+  recomputeStats: async (studentId) => {
+    try {
+      const response = await api.post('/admin/attendance/recompute-stats', studentId ? { studentId } : {});
+      return response.data.data;
+    } catch (error) {
+      console.error('Error recalculating attendance stats:', error);
+      throw error;
+    }
+  },
+  
   markStudentAttendance: (data) => {
-    // Ensure we pass deviceInfo and scanLocation if available
+    // Ensure we pass deviceInfo if available
     const attendanceData = {
       ...data,
-      deviceInfo: data.deviceInfo || navigator.userAgent,
-      scanLocation: data.scanLocation || 'Main Entrance'
+      deviceInfo: data.deviceInfo || navigator.userAgent
     };
-    return api.post('/admin/attendance/student', attendanceData);
+    return api.post('/admin/attendance', attendanceData);
   },
   
   // QR code scan attendance marking
-  markAttendanceByQR: (qrData) => {
+  markAttendanceByQR: (qrData, locationId = getScannerLocation()) => {
     // Add device and location info to QR data
     const enrichedData = {
       qrCodeData: qrData,
       deviceInfo: navigator.userAgent,
-      scanLocation: 'QR Scanner'
+      locationId
     };
-    return api.post('/students/mark-attendance', enrichedData);
+    return api.post('/students/mark-attendance', enrichedData, { headers: getDeviceHeaders() });
   },
   
-  getTodayAttendance: () => api.get('/admin/attendance/today'),
+  getTodayAttendance: (params = {}) => api.get('/admin/attendance/today', { params }),
+  // Totals for the dashboard, including entries and exits at each gate
+  getDashboardStats: async (params = {}) => {
+    const response = await api.get('/students/dashboard-stats', { params });
+    return response.data;
+  },
   getRecentAttendance: () => api.get('/admin/attendance/recent'),
-  getAttendanceByDate: (date) => {
-    // Format date as YYYY-MM-DD
-    const formattedDate = new Date(date).toISOString().split('T')[0];
-    return api.get(`/admin/attendance/${formattedDate}`);
+  getAttendanceByDate: (date, params = {}) => {
+    // Format date as YYYY-MM-DD in the school timezone
+    const formattedDate = toDayKey(date);
+    return api.get(`/admin/attendance/${formattedDate}`, { params });
   },
   getAttendanceReport: (date) => {
-    // Format date as YYYY-MM-DD
-    const formattedDate = new Date(date).toISOString().split('T')[0];
+    // Format date as YYYY-MM-DD in the school timezone
+    const formattedDate = toDayKey(date);
     return api.get(`/admin/attendance/report?date=${formattedDate}`, {
       responseType: 'arraybuffer',
       headers: {
@@ -704,9 +934,7 @@ export const attendanceService = {
   // Helper methods for formatting Excel reports
   getFormattedDate: (date) => {
     if (!date) return '';
-    const d = new Date(date);
-    if (isNaN(d.getTime())) return '';
-    return d.toISOString().split('T')[0]; // YYYY-MM-DD format
+    return toDayKey(date); // YYYY-MM-DD in the school timezone
   },
   
   getDateRange: (startDate, endDate) => {
@@ -758,14 +986,9 @@ export const attendanceService = {
     if (!student) return false;
     
     // Get today's attendance record if it exists
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
+    const today = toDayKey();
     
-    const todayRecord = student.attendanceHistory?.find(record => {
-      const recordDate = new Date(record.date);
-      recordDate.setHours(0, 0, 0, 0);
-      return recordDate.getTime() === today.getTime();
-    });
+    const todayRecord = student.attendanceHistory?.find(record => toDayKey(record.date) === today);
     
     // Can check out if student is entered but not yet left
     return todayRecord && 
@@ -800,7 +1023,7 @@ export const messagingService = {
       hour: 'numeric',
       minute: 'numeric',
       hour12: true,
-      timeZone: 'Asia/Colombo'
+      timeZone: getSchoolTimezone()
     });
 
     return `🏫 Attendance Update
@@ -992,6 +1215,1174 @@ Address: ${studentData.address}`;
   }
 };
 
+// School settings service
+export const settingsService = {
+  // Get start time and grace period for each weekday
+  getSchoolHours: async () => {
+    try {
+      const response = await api.get('/admin/settings/school-hours');
+      return response.data.data;
+    } catch (error) {
+      console.error('Error getting school hours:', error);
+      throw error;
+    }
+  },
+
+  // Update start time and grace period for one or more weekdays
+  updateSchoolHours: async (schoolHours) => {
+    try {
+      const response = await api.put('/admin/settings/school-hours', { schoolHours });
+      return response.data.data;
+    } catch (error) {
+      console.error('Error updating school hours:', error);
+      throw error;
+    }
+  },
+
+  // Get the school timezone used for days, lateness and reports
+  getTimezone: async () => {
+    try {
+      const response = await api.get('/admin/settings/timezone');
+      return response.data.data;
+    } catch (error) {
+      console.error('Error getting school timezone:', error);
+      throw error;
+    }
+  },
+
+  // Update the school timezone
+  updateTimezone: async (timezone) => {
+    try {
+      const response = await api.put('/admin/settings/timezone', { timezone });
+      return response.data.data;
+    } catch (error) {
+      console.error('Error updating school timezone:', error);
+      throw error;
+    }
+  },
+
+  // Get the end-of-day absence marking settings
+  getAbsenceMarkingSettings: async () => {
+    try {
+      const response = await api.get('/admin/settings/absence-marking');
+      return response.data.data;
+    } catch (error) {
+      console.error('Error getting absence marking settings:', error);
+      throw error;
+    }
+  },
+
+  // Update the end-of-day absence marking settings
+  updateAbsenceMarkingSettings: async (settings) => {
+    try {
+      const response = await api.put('/admin/settings/absence-marking', settings);
+      return response.data.data;
+    } catch (error) {
+      console.error('Error updating absence marking settings:', error);
+      throw error;
+    }
+  },
+
+  // Get the duplicate-scan and anti-passback rules
+  getScanRules: async () => {
+    try {
+      const response = await api.get('/admin/settings/scan-rules');
+      return response.data.data;
+    } catch (error) {
+      console.error('Error getting scan rules:', error);
+      throw error;
+    }
+  },
+
+  // Update the duplicate-scan and anti-passback rules
+  updateScanRules: async (rules) => {
+    try {
+      const response = await api.put('/admin/settings/scan-rules', rules);
+      return response.data.data;
+    } catch (error) {
+      console.error('Error updating scan rules:', error);
+      throw error;
+    }
+  },
+
+  // Gate scans turned away by the scan rules on a day; returns { scans, counts }
+  getRejectedScans: async (params = {}) => {
+    try {
+      const response = await api.get('/admin/rejected-scans', { params });
+      return response.data.data;
+    } catch (error) {
+      console.error('Error getting rejected scans:', error);
+      throw error;
+    }
+  },
+
+  // Refused scans of revoked, retired and forged QR codes on a day
+  getSecurityEvents: async (params = {}) => {
+    try {
+      const response = await api.get('/admin/security-events', { params });
+      return response.data.data;
+    } catch (error) {
+      console.error('Error getting security events:', error);
+      throw error;
+    }
+  },
+
+  // School name printed on ID cards
+  getBrandingSettings: async () => {
+    try {
+      const response = await api.get('/admin/settings/branding');
+      return response.data.data;
+    } catch (error) {
+      console.error('Error getting branding settings:', error);
+      throw error;
+    }
+  },
+
+  updateBrandingSettings: async (settings) => {
+    try {
+      const response = await api.put('/admin/settings/branding', settings);
+      return response.data.data;
+    } catch (error) {
+      console.error('Error updating branding settings:', error);
+      throw error;
+    }
+  },
+
+  uploadSchoolLogo: async (logo) => {
+    try {
+      const formData = new FormData();
+      formData.append('logo', logo);
+      const response = await api.post('/admin/settings/branding/logo', formData, {
+        headers: { 'Content-Type': 'multipart/form-data' }
+      });
+      return response.data.data;
+    } catch (error) {
+      console.error('Error uploading school logo:', error);
+      throw error;
+    }
+  },
+
+  deleteSchoolLogo: async () => {
+    try {
+      const response = await api.delete('/admin/settings/branding/logo');
+      return response.data.data;
+    } catch (error) {
+      console.error('Error removing school logo:', error);
+      throw error;
+    }
+  },
+
+  // Whether plain JSON QR codes from before signed tokens are refused
+  getQrCodeSettings: async () => {
+    try {
+      const response = await api.get('/admin/settings/qr-codes');
+      return response.data.data;
+    } catch (error) {
+      console.error('Error getting QR code settings:', error);
+      throw error;
+    }
+  },
+
+  updateQrCodeSettings: async (settings) => {
+    try {
+      const response = await api.put('/admin/settings/qr-codes', settings);
+      return response.data.data;
+    } catch (error) {
+      console.error('Error updating QR code settings:', error);
+      throw error;
+    }
+  },
+
+  // Keys that sign QR codes; returns { keys, legacy } with counts of the codes each signed
+  getQrSigningKeys: async () => {
+    try {
+      const response = await api.get('/admin/qr-keys');
+      return response.data.data;
+    } catch (error) {
+      console.error('Error getting QR signing keys:', error);
+      throw error;
+    }
+  },
+
+  rotateQrSigningKey: async () => {
+    try {
+      const response = await api.post('/admin/qr-keys/rotate');
+      return response.data;
+    } catch (error) {
+      console.error('Error rotating QR signing key:', error);
+      throw error;
+    }
+  },
+
+  // Codes signed with a retired key stop working
+  retireQrSigningKey: async (kid) => {
+    try {
+      const response = await api.delete(`/admin/qr-keys/${kid}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error retiring QR signing key:', error);
+      throw error;
+    }
+  },
+
+  // Re-sign every code not signed with the current key; this can take a while
+  reissueQrCodes: async () => {
+    try {
+      const response = await api.post('/admin/qr-codes/reissue', null, { timeout: 10 * 60 * 1000 });
+      return response.data;
+    } catch (error) {
+      console.error('Error reissuing QR codes:', error);
+      throw error;
+    }
+  },
+
+  // Accounts that can sign in, with their roles
+  getAccounts: async () => {
+    try {
+      const response = await api.get('/admin/accounts');
+      return response.data.data.accounts;
+    } catch (error) {
+      console.error('Error getting accounts:', error);
+      throw error;
+    }
+  },
+
+  updateAccountRole: async (id, role) => {
+    try {
+      const response = await api.patch(`/admin/accounts/${id}/role`, { role });
+      return response.data;
+    } catch (error) {
+      console.error('Error updating account role:', error);
+      throw error;
+    }
+  },
+
+  // Get terms, holidays, closures and make-up days, optionally within a date range
+  getCalendarEntries: async (params = {}) => {
+    try {
+      const response = await api.get('/admin/calendar', { params });
+      return response.data.data.entries;
+    } catch (error) {
+      console.error('Error getting calendar entries:', error);
+      throw error;
+    }
+  },
+
+  // Add a calendar entry
+  createCalendarEntry: async (entry) => {
+    try {
+      const response = await api.post('/admin/calendar', entry);
+      return response.data.data.entry;
+    } catch (error) {
+      console.error('Error creating calendar entry:', error);
+      throw error;
+    }
+  },
+
+  // Update a calendar entry
+  updateCalendarEntry: async (id, changes) => {
+    try {
+      const response = await api.patch(`/admin/calendar/${id}`, changes);
+      return response.data.data.entry;
+    } catch (error) {
+      console.error('Error updating calendar entry:', error);
+      throw error;
+    }
+  },
+
+  // Remove a calendar entry
+  deleteCalendarEntry: async (id) => {
+    try {
+      const response = await api.delete(`/admin/calendar/${id}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error deleting calendar entry:', error);
+      throw error;
+    }
+  },
+
+  // List each day in a range with whether it is a school day
+  getSchoolDays: async (from, to) => {
+    try {
+      const response = await api.get('/admin/calendar/school-days', { params: { from, to } });
+      return response.data.data;
+    } catch (error) {
+      console.error('Error getting school days:', error);
+      throw error;
+    }
+  }
+};
+
+// Leave request services
+// School name, colors and logo, readable before signing in
+export const brandingService = {
+  getBranding: async () => {
+    try {
+      const response = await api.get('/admin/branding');
+      return response.data.data;
+    } catch (error) {
+      console.error('Error getting branding:', error);
+      throw error;
+    }
+  },
+
+  // The logo is public, so it loads straight into an <img>; the version makes
+  // browsers fetch it again after it changes
+  getLogoUrl: (version) => `${API_URL}/admin/branding/logo${version ? `?v=${encodeURIComponent(version)}` : ''}`
+};
+
+export const leaveService = {
+  // List leave requests, optionally by status, studentId and from/to dates
+  getLeaveRequests: async (params = {}) => {
+    try {
+      const response = await api.get('/admin/leave-requests', { params });
+      return response.data.data.leaveRequests;
+    } catch (error) {
+      console.error('Error getting leave requests:', error);
+      throw error;
+    }
+  },
+
+  // Submit a leave request; the optional document is sent as multipart form data
+  createLeaveRequest: async ({ document: file, ...request }) => {
+    try {
+      const formData = new FormData();
+      Object.entries(request).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') formData.append(key, value);
+      });
+      if (file) formData.append('document', file);
+
+      const response = await api.post('/admin/leave-requests', formData, {
+        headers: { 'Content-Type': 'multipart/form-data' }
+      });
+      return response.data.data.leaveRequest;
+    } catch (error) {
+      console.error('Error creating leave request:', error);
+      throw error;
+    }
+  },
+
+  // Approve or reject a leave request
+  reviewLeaveRequest: async (id, status, reviewNote = '') => {
+    try {
+      const response = await api.patch(`/admin/leave-requests/${id}/review`, { status, reviewNote });
+      return response.data.data;
+    } catch (error) {
+      console.error('Error reviewing leave request:', error);
+      throw error;
+    }
+  },
+
+  // Delete a leave request
+  deleteLeaveRequest: async (id) => {
+    try {
+      const response = await api.delete(`/admin/leave-requests/${id}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error deleting leave request:', error);
+      throw error;
+    }
+  },
+
+  // Download the document attached to a leave request
+  downloadDocument: async (id, fileName = 'leave-document') => {
+    try {
+      const response = await api.get(`/admin/leave-requests/${id}/document`, { responseType: 'blob' });
+      const url = window.URL.createObjectURL(new Blob([response.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', fileName);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error downloading leave document:', error);
+      throw error;
+    }
+  }
+};
+
+// Class and section services
+export const classService = {
+  // List classes with their sections, homeroom teachers and student counts
+  getClasses: async () => {
+    try {
+      const response = await api.get('/admin/classes');
+      return response.data.data;
+    } catch (error) {
+      console.error('Error getting classes:', error);
+      throw error;
+    }
+  },
+
+  // Staff accounts that can be homeroom teachers
+  getTeachers: async () => {
+    try {
+      const response = await api.get('/admin/classes/teachers');
+      return response.data.data.teachers;
+    } catch (error) {
+      console.error('Error getting homeroom teachers:', error);
+      throw error;
+    }
+  },
+
+  createClass: async (schoolClass) => {
+    try {
+      const response = await api.post('/admin/classes', schoolClass);
+      return response.data.data.schoolClass;
+    } catch (error) {
+      console.error('Error creating class:', error);
+      throw error;
+    }
+  },
+
+  updateClass: async (id, changes) => {
+    try {
+      const response = await api.patch(`/admin/classes/${id}`, changes);
+      return response.data.data.schoolClass;
+    } catch (error) {
+      console.error('Error updating class:', error);
+      throw error;
+    }
+  },
+
+  deleteClass: async (id) => {
+    try {
+      const response = await api.delete(`/admin/classes/${id}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error deleting class:', error);
+      throw error;
+    }
+  },
+
+  createSection: async (classId, section) => {
+    try {
+      const response = await api.post(`/admin/classes/${classId}/sections`, section);
+      return response.data.data.section;
+    } catch (error) {
+      console.error('Error creating section:', error);
+      throw error;
+    }
+  },
+
+  updateSection: async (id, changes) => {
+    try {
+      const response = await api.patch(`/admin/sections/${id}`, changes);
+      return response.data.data.section;
+    } catch (error) {
+      console.error('Error updating section:', error);
+      throw error;
+    }
+  },
+
+  deleteSection: async (id) => {
+    try {
+      const response = await api.delete(`/admin/sections/${id}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error deleting section:', error);
+      throw error;
+    }
+  },
+
+  // Move students into a section, or out of their section when sectionId is null
+  assignStudents: async (studentIds, sectionId) => {
+    try {
+      const response = await api.put('/admin/classes/assignments', { studentIds, sectionId });
+      return response.data;
+    } catch (error) {
+      console.error('Error assigning students:', error);
+      throw error;
+    }
+  }
+};
+
+// Scan location services: gates, buildings and zones
+export const locationService = {
+  // params.active = true lists only the locations in use
+  getLocations: async (params = {}) => {
+    try {
+      const response = await api.get('/admin/locations', { params });
+      return response.data.data.locations;
+    } catch (error) {
+      console.error('Error getting locations:', error);
+      throw error;
+    }
+  },
+
+  createLocation: async (location) => {
+    try {
+      const response = await api.post('/admin/locations', location);
+      return response.data.data.location;
+    } catch (error) {
+      console.error('Error creating location:', error);
+      throw error;
+    }
+  },
+
+  updateLocation: async (id, changes) => {
+    try {
+      const response = await api.patch(`/admin/locations/${id}`, changes);
+      return response.data.data.location;
+    } catch (error) {
+      console.error('Error updating location:', error);
+      throw error;
+    }
+  },
+
+  deleteLocation: async (id) => {
+    try {
+      const response = await api.delete(`/admin/locations/${id}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error deleting location:', error);
+      throw error;
+    }
+  }
+};
+
+// Scanner device services
+export const deviceService = {
+  getDevices: async () => {
+    try {
+      const response = await api.get('/admin/devices');
+      return response.data.data.devices;
+    } catch (error) {
+      console.error('Error getting devices:', error);
+      throw error;
+    }
+  },
+
+  // Returns { device, token }; the token is only shown this once
+  enrollDevice: async (device) => {
+    try {
+      const response = await api.post('/admin/devices', device);
+      return response.data.data;
+    } catch (error) {
+      console.error('Error enrolling device:', error);
+      throw error;
+    }
+  },
+
+  updateDevice: async (id, changes) => {
+    try {
+      const response = await api.patch(`/admin/devices/${id}`, changes);
+      return response.data.data.device;
+    } catch (error) {
+      console.error('Error updating device:', error);
+      throw error;
+    }
+  },
+
+  // Returns { device, token }; the old token stops working
+  rotateToken: async (id) => {
+    try {
+      const response = await api.post(`/admin/devices/${id}/token`);
+      return response.data.data;
+    } catch (error) {
+      console.error('Error issuing device token:', error);
+      throw error;
+    }
+  },
+
+  revokeDevice: async (id) => {
+    try {
+      const response = await api.post(`/admin/devices/${id}/revoke`);
+      return response.data.data.device;
+    } catch (error) {
+      console.error('Error revoking device:', error);
+      throw error;
+    }
+  },
+
+  deleteDevice: async (id) => {
+    try {
+      const response = await api.delete(`/admin/devices/${id}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error removing device:', error);
+      throw error;
+    }
+  },
+
+  // Report that this browser, enrolled as a scanner, is up; returns its setup
+  heartbeat: async () => {
+    const response = await api.post('/devices/heartbeat', {}, { headers: getDeviceHeaders() });
+    return response.data.data.device;
+  }
+};
+
+// Bell schedule and weekly timetable services
+export const timetableService = {
+  getPeriods: async () => {
+    try {
+      const response = await api.get('/admin/periods');
+      return response.data.data.periods;
+    } catch (error) {
+      console.error('Error getting periods:', error);
+      throw error;
+    }
+  },
+
+  createPeriod: async (period) => {
+    try {
+      const response = await api.post('/admin/periods', period);
+      return response.data.data.period;
+    } catch (error) {
+      console.error('Error creating period:', error);
+      throw error;
+    }
+  },
+
+  updatePeriod: async (id, changes) => {
+    try {
+      const response = await api.patch(`/admin/periods/${id}`, changes);
+      return response.data.data.period;
+    } catch (error) {
+      console.error('Error updating period:', error);
+      throw error;
+    }
+  },
+
+  deletePeriod: async (id) => {
+    try {
+      const response = await api.delete(`/admin/periods/${id}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error deleting period:', error);
+      throw error;
+    }
+  },
+
+  // Timetabled lessons, optionally by sectionId, teacherId and weekday
+  getTimetable: async (params = {}) => {
+    try {
+      const response = await api.get('/admin/timetable', { params });
+      return response.data.data.entries;
+    } catch (error) {
+      console.error('Error getting timetable:', error);
+      throw error;
+    }
+  },
+
+  createEntry: async (entry) => {
+    try {
+      const response = await api.post('/admin/timetable', entry);
+      return response.data.data.entry;
+    } catch (error) {
+      console.error('Error adding lesson:', error);
+      throw error;
+    }
+  },
+
+  updateEntry: async (id, changes) => {
+    try {
+      const response = await api.patch(`/admin/timetable/${id}`, changes);
+      return response.data.data.entry;
+    } catch (error) {
+      console.error('Error updating lesson:', error);
+      throw error;
+    }
+  },
+
+  deleteEntry: async (id) => {
+    try {
+      const response = await api.delete(`/admin/timetable/${id}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error removing lesson:', error);
+      throw error;
+    }
+  }
+};
+
+// Lesson attendance services
+export const lessonService = {
+  // Lessons of a day; params are date, mine and the class filter params
+  getLessons: async (params = {}) => {
+    try {
+      const response = await api.get('/admin/lessons', { params });
+      return response.data.data.lessons;
+    } catch (error) {
+      console.error('Error getting lessons:', error);
+      throw error;
+    }
+  },
+
+  getRegister: async (id, date) => {
+    try {
+      const response = await api.get(`/admin/lessons/${id}/register`, { params: { date: toDayKey(date) } });
+      return response.data.data;
+    } catch (error) {
+      console.error('Error getting register:', error);
+      throw error;
+    }
+  },
+
+  // Mark a student present from their QR code, scanned in class; returns the
+  // raw response as the QR scanner expects
+  scan: (id, qrData) => api.post(`/admin/lessons/${id}/scan`, { qrCodeData: qrData }),
+
+  // Save a roll call: records are { studentId, status }
+  submitRollCall: async (id, date, records) => {
+    try {
+      const response = await api.post(`/admin/lessons/${id}/roll-call`, { date: toDayKey(date), records });
+      return response.data.data;
+    } catch (error) {
+      console.error('Error saving register:', error);
+      throw error;
+    }
+  },
+
+  // Students seen at the gate but absent from a lesson
+  getMissedLessons: async (params = {}) => {
+    try {
+      const response = await api.get('/admin/lessons/missed', { params });
+      return response.data.data.flags;
+    } catch (error) {
+      console.error('Error getting missed lessons:', error);
+      throw error;
+    }
+  }
+};
+
+// Daily roll call for a class or any group of students
+export const rollCallService = {
+  // Students with their attendance for a day; params are date, search and the class filter params
+  getRollCall: async (params = {}) => {
+    try {
+      const response = await api.get('/admin/roll-call', { params });
+      return response.data.data;
+    } catch (error) {
+      console.error('Error getting roll call:', error);
+      throw error;
+    }
+  },
+
+  // Save a roll call in one request: records are { studentId, status, minutesLate }
+  saveRollCall: async (date, records, { reason, notifyParents = false } = {}) => {
+    try {
+      const response = await api.post('/admin/roll-call', {
+        date: toDayKey(date),
+        records,
+        reason,
+        notifyParents
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error saving roll call:', error);
+      throw error;
+    }
+  }
+};
+
+// Events with their own check-in, such as practices, exams and trips
+export const eventService = {
+  // Events listed by date, from/to, or open=true for those taking check-ins now
+  getEvents: async (params = {}) => {
+    try {
+      const response = await api.get('/admin/events', { params });
+      return response.data.data.events;
+    } catch (error) {
+      console.error('Error getting events:', error);
+      throw error;
+    }
+  },
+
+  // An event with its roster: { event, rows, counts, ended }
+  getEvent: async (id) => {
+    try {
+      const response = await api.get(`/admin/events/${id}`);
+      return response.data.data;
+    } catch (error) {
+      console.error('Error getting event:', error);
+      throw error;
+    }
+  },
+
+  createEvent: async (event) => {
+    try {
+      const response = await api.post('/admin/events', event);
+      return response.data.data.event;
+    } catch (error) {
+      console.error('Error creating event:', error);
+      throw error;
+    }
+  },
+
+  // Change an event; { cancelled: true } cancels it
+  updateEvent: async (id, changes) => {
+    try {
+      const response = await api.patch(`/admin/events/${id}`, changes);
+      return response.data.data.event;
+    } catch (error) {
+      console.error('Error updating event:', error);
+      throw error;
+    }
+  },
+
+  // Events with check-ins are cancelled rather than deleted
+  deleteEvent: async (id) => {
+    try {
+      const response = await api.delete(`/admin/events/${id}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error deleting event:', error);
+      throw error;
+    }
+  },
+
+  getNoShows: async (id) => {
+    try {
+      const response = await api.get(`/admin/events/${id}/no-shows`);
+      return response.data.data;
+    } catch (error) {
+      console.error('Error getting no-shows:', error);
+      throw error;
+    }
+  },
+
+  // Download the roster report of an event as an Excel workbook
+  downloadReport: async (id, fileName = 'event-report.xlsx') => {
+    try {
+      const response = await api.get(`/admin/events/${id}/report`, { responseType: 'blob' });
+      const url = window.URL.createObjectURL(new Blob([response.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', fileName);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error downloading event report:', error);
+      throw error;
+    }
+  },
+
+  // Check a student in by hand: status is present, late or excused
+  checkIn: async (id, studentId, status, minutesLate = 0) => {
+    try {
+      const response = await api.post(`/admin/events/${id}/check-ins`, { studentId, status, minutesLate });
+      return response.data;
+    } catch (error) {
+      console.error('Error checking student in:', error);
+      throw error;
+    }
+  },
+
+  removeCheckIn: async (id, studentId) => {
+    try {
+      const response = await api.delete(`/admin/events/${id}/check-ins/${studentId}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error removing check-in:', error);
+      throw error;
+    }
+  }
+};
+
+// Visitor sign-in log with day passes
+export const visitorService = {
+  // Visitors of a day (today by default) or from/to range; also status and search
+  getVisitors: async (params = {}) => {
+    try {
+      const response = await api.get('/admin/visitors', { params });
+      return response.data.data.visitors;
+    } catch (error) {
+      console.error('Error getting visitors:', error);
+      throw error;
+    }
+  },
+
+  getOnSite: async () => {
+    try {
+      const response = await api.get('/admin/visitors/on-site');
+      return response.data.data.visitors;
+    } catch (error) {
+      console.error('Error getting visitors on site:', error);
+      throw error;
+    }
+  },
+
+  // Pre-register a visitor, or sign in a walk-in with signIn: true; returns { visitor, qrCode }
+  createVisitor: async (visitor) => {
+    try {
+      const response = await api.post('/admin/visitors', visitor);
+      return response.data;
+    } catch (error) {
+      console.error('Error registering visitor:', error);
+      throw error;
+    }
+  },
+
+  updateVisitor: async (id, changes) => {
+    try {
+      const response = await api.patch(`/admin/visitors/${id}`, changes);
+      return response.data.data.visitor;
+    } catch (error) {
+      console.error('Error updating visitor:', error);
+      throw error;
+    }
+  },
+
+  deleteVisitor: async (id) => {
+    try {
+      const response = await api.delete(`/admin/visitors/${id}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error deleting visitor:', error);
+      throw error;
+    }
+  },
+
+  signIn: async (id, locationId) => {
+    try {
+      const response = await api.post(`/admin/visitors/${id}/sign-in`, { locationId });
+      return response.data;
+    } catch (error) {
+      console.error('Error signing visitor in:', error);
+      throw error;
+    }
+  },
+
+  signOut: async (id, locationId) => {
+    try {
+      const response = await api.post(`/admin/visitors/${id}/sign-out`, { locationId });
+      return response.data;
+    } catch (error) {
+      console.error('Error signing visitor out:', error);
+      throw error;
+    }
+  },
+
+  // The QR code of a visitor's pass: { qrCode, expiresAt }
+  getPass: async (id) => {
+    try {
+      const response = await api.get(`/admin/visitors/${id}/pass`);
+      return response.data.data;
+    } catch (error) {
+      console.error('Error getting visitor pass:', error);
+      throw error;
+    }
+  },
+
+  // Download the visitor log of the from/to days as an Excel workbook
+  exportLog: async (from, to) => {
+    try {
+      const response = await api.get('/admin/visitors/export', { params: { from, to }, responseType: 'blob' });
+      const url = window.URL.createObjectURL(new Blob([response.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `visitor_log_${from}${to && to !== from ? `_to_${to}` : ''}.xlsx`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error exporting visitor log:', error);
+      throw error;
+    }
+  }
+};
+
+// Staff clock-ins and hours; admin accounts only
+export const staffService = {
+  // Staff, optionally by type and status
+  getStaff: async (params = {}) => {
+    try {
+      const response = await api.get('/admin/staff', { params });
+      return response.data.data.staff;
+    } catch (error) {
+      console.error('Error getting staff:', error);
+      throw error;
+    }
+  },
+
+  createStaff: async (staff) => {
+    try {
+      const response = await api.post('/admin/staff', staff);
+      return response.data.data.staff;
+    } catch (error) {
+      console.error('Error adding staff member:', error);
+      throw error;
+    }
+  },
+
+  updateStaff: async (id, changes) => {
+    try {
+      const response = await api.patch(`/admin/staff/${id}`, changes);
+      return response.data.data.staff;
+    } catch (error) {
+      console.error('Error updating staff member:', error);
+      throw error;
+    }
+  },
+
+  // Staff with recorded hours are made inactive instead of deleted
+  deleteStaff: async (id) => {
+    try {
+      const response = await api.delete(`/admin/staff/${id}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error deleting staff member:', error);
+      throw error;
+    }
+  },
+
+  downloadQRCode: async (id, fileName = 'staff-qrcode.png') => {
+    try {
+      const response = await api.get(`/admin/staff/${id}/qr-code`, { responseType: 'blob' });
+      const url = window.URL.createObjectURL(new Blob([response.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', fileName);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error downloading staff QR code:', error);
+      throw error;
+    }
+  },
+
+  // Clock-ins of a day: { date, rows, counts }
+  getDay: async (date) => {
+    try {
+      const response = await api.get('/admin/staff/attendance', { params: { date: toDayKey(date) } });
+      return response.data.data;
+    } catch (error) {
+      console.error('Error getting staff attendance:', error);
+      throw error;
+    }
+  },
+
+  // Hours of each staff member over from/to days, optionally for one type
+  getHours: async (params = {}) => {
+    try {
+      const response = await api.get('/admin/staff/hours', { params });
+      return response.data.data;
+    } catch (error) {
+      console.error('Error getting staff hours:', error);
+      throw error;
+    }
+  },
+
+  downloadHours: async (params = {}) => {
+    try {
+      const response = await api.get('/admin/staff/hours/download', { params, responseType: 'blob' });
+      const url = window.URL.createObjectURL(new Blob([response.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `staff_hours_${params.from}${params.to && params.to !== params.from ? `_to_${params.to}` : ''}.xlsx`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error downloading staff hours:', error);
+      throw error;
+    }
+  }
+};
+
+// Pickup persons are sent as multipart form data so a photo can go with them
+const toPickupFormData = ({ photo, ...person }) => {
+  const formData = new FormData();
+  Object.entries(person).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) formData.append(key, value);
+  });
+  if (photo) formData.append('photo', photo);
+  return formData;
+};
+
+export const pickupService = {
+  // Active pickup persons of a student; all of them with { all: true }
+  getPickupPersons: async (studentId, params = {}) => {
+    try {
+      const response = await api.get(`/admin/students/${studentId}/pickup-persons`, { params });
+      return response.data.data.pickupPersons;
+    } catch (error) {
+      console.error('Error getting pickup persons:', error);
+      throw error;
+    }
+  },
+
+  createPickupPerson: async (studentId, person) => {
+    try {
+      const response = await api.post(`/admin/students/${studentId}/pickup-persons`, toPickupFormData(person), {
+        headers: { 'Content-Type': 'multipart/form-data' }
+      });
+      return response.data.data.pickupPerson;
+    } catch (error) {
+      console.error('Error adding pickup person:', error);
+      throw error;
+    }
+  },
+
+  updatePickupPerson: async (id, changes) => {
+    try {
+      const response = await api.patch(`/admin/pickup-persons/${id}`, toPickupFormData(changes), {
+        headers: { 'Content-Type': 'multipart/form-data' }
+      });
+      return response.data.data.pickupPerson;
+    } catch (error) {
+      console.error('Error updating pickup person:', error);
+      throw error;
+    }
+  },
+
+  // Persons in the dismissal log are made inactive instead of deleted
+  deletePickupPerson: async (id) => {
+    try {
+      const response = await api.delete(`/admin/pickup-persons/${id}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error deleting pickup person:', error);
+      throw error;
+    }
+  },
+
+  // The photo needs the auth header, so it is loaded as an object URL; revoke it when done
+  getPhotoUrl: async (id) => {
+    try {
+      const response = await api.get(`/admin/pickup-persons/${id}/photo`, { responseType: 'blob' });
+      return window.URL.createObjectURL(response.data);
+    } catch (error) {
+      console.error('Error getting pickup person photo:', error);
+      throw error;
+    }
+  },
+
+  // Dismissals and refused attempts of a day (today by default); also outcome and studentId
+  getEarlyDismissals: async (params = {}) => {
+    try {
+      const response = await api.get('/admin/early-dismissals', { params });
+      return response.data.data;
+    } catch (error) {
+      console.error('Error getting early dismissals:', error);
+      throw error;
+    }
+  },
+
+  // Release a student to pickupPersonId with idVerified, or record an attempt by another collector
+  dismissEarly: async ({ locationId = getScannerLocation(), ...dismissal }) => {
+    try {
+      const response = await api.post('/admin/early-dismissals', {
+        ...dismissal,
+        ...(locationId && { locationId })
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error recording early dismissal:', error);
+      throw error;
+    }
+  }
+};
+
 // Report Services
 const reportService = {
   getDailyReportPreview: async (params, headers = {}) => {
@@ -1080,6 +2471,19 @@ export default {
   attendanceService,
   studentService,
   messagingService,
+  settingsService,
+  brandingService,
+  leaveService,
+  classService,
+  locationService,
+  deviceService,
+  timetableService,
+  lessonService,
+  rollCallService,
+  eventService,
+  visitorService,
+  staffService,
+  pickupService,
   reportService
 };
 
@@ -0,0 +1,11 @@
+/**
+ * Request params for a ClassFilterSelect value: {} for all students,
+ * { classId } for a whole class or { sectionId } for one section
+ * @param {string} value - '', 'class:<id>' or 'section:<id>'
+ * @returns {Object} Query params to send with the request
+ */
+export const toClassParams = (value) => {
+  if (!value) return {};
+  const [type, id] = value.split(':');
+  return type === 'section' ? { sectionId: id } : { classId: id };
+};
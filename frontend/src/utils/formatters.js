@@ -3,6 +3,7 @@
  */
 
 import { DateTime } from 'luxon';
+import { toSchoolTime } from './schoolTime';
 
 /**
  * Format a date object or date string to a readable format
@@ -17,10 +18,10 @@ import { DateTime } from 'luxon';
 export const formatDate = (date, options = {}) => {
   if (!date) return '';
   
-  const dateObj = typeof date === 'string' ? new Date(date) : date;
+  const dateTime = toSchoolTime(date);
   
   // Check if date is valid
-  if (isNaN(dateObj.getTime())) {
+  if (!dateTime) {
     return '';
   }
   
@@ -30,24 +31,12 @@ export const formatDate = (date, options = {}) => {
     separator = '/'
   } = options;
   
-  // Get date components
-  const day = dateObj.getDate();
-  const month = dateObj.getMonth() + 1;
-  const year = dateObj.getFullYear();
-  
-  // Format the date part
-  let formattedDate = `${padZero(day)}${separator}${padZero(month)}${separator}${year}`;
+  // Format the date part in the school timezone
+  let formattedDate = dateTime.toFormat(`dd${separator}MM${separator}yyyy`);
   
   // Format the time part if requested
   if (includeTime) {
-    const hours = dateObj.getHours();
-    const minutes = dateObj.getMinutes();
-    
-    const isPM = hours >= 12;
-    const hour12 = hours % 12 || 12;
-    const ampm = isPM ? 'PM' : 'AM';
-    
-    formattedDate += ` ${padZero(hour12)}:${padZero(minutes)} ${ampm}`;
+    formattedDate += ` ${dateTime.toFormat('hh:mm a')}`;
   }
   
   return formattedDate;
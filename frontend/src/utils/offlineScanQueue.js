@@ -0,0 +1,95 @@
+/**
+ * Offline scan queue
+ *
+ * Gate scans that cannot reach the server are kept in IndexedDB on the
+ * scanner, with the time they were taken and an idempotency key, and sent
+ * once the connection is back. The key lets the server recognise a scan it
+ * already recorded when a sync is retried.
+ */
+
+const DB_NAME = 'qr-attendance';
+const DB_VERSION = 1;
+const STORE = 'scanQueue';
+
+let dbPromise = null;
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE, { keyPath: 'idempotencyKey' });
+        store.createIndex('scannedAt', 'scannedAt');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+// Run one request against the queue store and resolve with its result
+const withStore = async (mode, action) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE, mode);
+    const request = action(transaction.objectStore(STORE));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+/**
+ * @returns {boolean} Whether this browser can queue scans
+ */
+export const isOfflineQueueAvailable = () => typeof indexedDB !== 'undefined';
+
+/**
+ * @returns {string} A new idempotency key for a scan
+ */
+export const createScanKey = () => (
+  typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`
+);
+
+/**
+ * Keep a scan to send later
+ *
+ * @param {Object} scan - Request body of the scan, with idempotencyKey and scannedAt,
+ *   and eventId for an event check-in
+ * @returns {Promise<Object>} The queued scan
+ */
+export const queueScan = async (scan) => {
+  const entry = { ...scan, queuedAt: new Date().toISOString(), attempts: 0, lastError: null };
+  await withStore('readwrite', store => store.put(entry));
+  return entry;
+};
+
+/**
+ * @returns {Promise<Array>} Queued scans, oldest first
+ */
+export const getQueuedScans = () => withStore('readonly', store => store.index('scannedAt').getAll());
+
+/**
+ * @returns {Promise<number>} Number of scans waiting to be sent
+ */
+export const countQueuedScans = () => withStore('readonly', store => store.count());
+
+/**
+ * Update a queued scan, e.g. after a failed attempt to send it
+ *
+ * @param {Object} scan - The queued scan with its changes
+ */
+export const updateQueuedScan = (scan) => withStore('readwrite', store => store.put(scan));
+
+/**
+ * Forget a scan once the server has answered it
+ *
+ * @param {string} idempotencyKey - Key of the queued scan
+ */
+export const removeQueuedScan = (idempotencyKey) => withStore('readwrite', store => store.delete(idempotencyKey));
@@ -0,0 +1,39 @@
+/**
+ * Scanned QR code helpers
+ *
+ * Student and staff cards carry a short signed token that only the server
+ * can read; cards printed before tokens carry plain JSON, as do visitor
+ * passes. Scanners send either to the server as they are and show who the
+ * code belonged to from its answer.
+ */
+
+const TOKEN_PREFIX = 'QA1.';
+
+/**
+ * Read the text of a scanned QR code
+ *
+ * @param {string} text - Text decoded from the QR code
+ * @returns {Object} { token } for a signed code, or the parsed JSON of an older code
+ * @throws {Error} When the text is neither
+ */
+export const parseScannedText = (text) => {
+  const trimmed = text?.trim() || '';
+  if (trimmed.startsWith(TOKEN_PREFIX)) {
+    return { token: trimmed };
+  }
+
+  try {
+    return JSON.parse(trimmed);
+  } catch {
+    throw new Error('Invalid QR code format. Please scan a valid QR code.');
+  }
+};
+
+/**
+ * @param {Object} qrData - Result of parseScannedText
+ * @returns {boolean} Whether the code is one the scanner can send: a signed
+ *   token, a student or staff code, or a visitor pass
+ */
+export const isScannableCode = (qrData) => Boolean(
+  qrData && (qrData.token || qrData.indexNumber || qrData.staffId || qrData.visitorPass)
+);
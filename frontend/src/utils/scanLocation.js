@@ -0,0 +1,48 @@
+/**
+ * Scanner location helpers
+ *
+ * Each device running the scanner stands at one gate or checkpoint. The
+ * location picked on the scanner page is remembered on the device and sent
+ * with every scan; with none picked the server uses its default location.
+ * A device can also be set to check students in to an event instead of
+ * taking gate attendance.
+ */
+
+const STORAGE_KEY = 'scanLocationId';
+const EVENT_STORAGE_KEY = 'scanEventId';
+
+/**
+ * @returns {string|null} Id of the location this device scans at
+ */
+export const getScannerLocation = () => localStorage.getItem(STORAGE_KEY);
+
+/**
+ * Remember the location this device scans at
+ *
+ * @param {string|null} locationId - Location id, or null for the default location
+ */
+export const setScannerLocation = (locationId) => {
+  if (locationId) {
+    localStorage.setItem(STORAGE_KEY, locationId);
+  } else {
+    localStorage.removeItem(STORAGE_KEY);
+  }
+};
+
+/**
+ * @returns {string|null} Id of the event this device checks students in to, or null for gate attendance
+ */
+export const getScannerEvent = () => localStorage.getItem(EVENT_STORAGE_KEY);
+
+/**
+ * Remember the event this device checks students in to
+ *
+ * @param {string|null} eventId - Event id, or null to go back to gate attendance
+ */
+export const setScannerEvent = (eventId) => {
+  if (eventId) {
+    localStorage.setItem(EVENT_STORAGE_KEY, eventId);
+  } else {
+    localStorage.removeItem(EVENT_STORAGE_KEY);
+  }
+};
@@ -0,0 +1,37 @@
+/**
+ * Scanner device helpers
+ *
+ * A browser enrolled as a scanner kiosk keeps its device token here and signs
+ * its scans with it instead of the admin login. Tokens are issued from the
+ * Scanner Devices settings and can be revoked there.
+ */
+
+const STORAGE_KEY = 'deviceToken';
+
+export const DEVICE_TOKEN_HEADER = 'X-Device-Token';
+
+/**
+ * @returns {string|null} Device token of this browser, if it is enrolled
+ */
+export const getDeviceToken = () => localStorage.getItem(STORAGE_KEY);
+
+/**
+ * Enroll this browser with a device token, or stop using one
+ *
+ * @param {string|null} token - Device token, or null to scan as the signed-in admin
+ */
+export const setDeviceToken = (token) => {
+  if (token) {
+    localStorage.setItem(STORAGE_KEY, token);
+  } else {
+    localStorage.removeItem(STORAGE_KEY);
+  }
+};
+
+/**
+ * @returns {Object} Request headers that sign a scan as this device
+ */
+export const getDeviceHeaders = () => {
+  const token = getDeviceToken();
+  return token ? { [DEVICE_TOKEN_HEADER]: token } : {};
+};
@@ -0,0 +1,81 @@
+/**
+ * School timezone helpers
+ *
+ * Every date shown or sent by the app is read in the school's timezone, not
+ * the browser's. The zone comes from the school settings once the admin has
+ * logged in; until then the default is used.
+ */
+
+import { DateTime } from 'luxon';
+
+export const DEFAULT_TIMEZONE = 'Asia/Colombo';
+
+let schoolTimezone = DEFAULT_TIMEZONE;
+
+/**
+ * @returns {string} IANA name of the school timezone
+ */
+export const getSchoolTimezone = () => schoolTimezone;
+
+/**
+ * Use a new school timezone for all later formatting
+ * Unknown zones are ignored so a bad value never breaks the UI.
+ *
+ * @param {string} timezone - IANA zone name, e.g. 'Asia/Colombo'
+ */
+export const setSchoolTimezone = (timezone) => {
+  if (timezone && DateTime.now().setZone(timezone).isValid) {
+    schoolTimezone = timezone;
+  }
+};
+
+/**
+ * Read a date in the school timezone
+ * Accepts Date objects, ISO strings, timestamps and MongoDB export
+ * formats ({ $date } and { $date: { $numberLong } }).
+ *
+ * @param {Date|string|number|Object} [value] - Date to read, now when left out
+ * @returns {DateTime|null} Luxon DateTime in the school zone, or null when invalid
+ */
+export const toSchoolTime = (value = new Date()) => {
+  let dateTime;
+
+  if (value && typeof value === 'object' && value.$date) {
+    return toSchoolTime(value.$date.$numberLong ? parseInt(value.$date.$numberLong, 10) : value.$date);
+  }
+
+  if (value instanceof Date) {
+    dateTime = DateTime.fromJSDate(value);
+  } else if (typeof value === 'number') {
+    dateTime = DateTime.fromMillis(value);
+  } else if (typeof value === 'string') {
+    // Plain days such as '2024-05-01' are midnight in the school timezone
+    dateTime = DateTime.fromISO(value, { zone: schoolTimezone });
+    if (!dateTime.isValid) dateTime = DateTime.fromJSDate(new Date(value));
+  } else {
+    return null;
+  }
+
+  return dateTime.isValid ? dateTime.setZone(schoolTimezone) : null;
+};
+
+/**
+ * @param {Date|string|number|Object} [value] - Date to read, now when left out
+ * @returns {string} YYYY-MM-DD of the school day the date falls on, or '' when invalid
+ */
+export const toDayKey = (value) => toSchoolTime(value)?.toISODate() || '';
+
+/**
+ * Format a date in the school timezone
+ *
+ * @param {Date|string|number|Object} value - Date to format
+ * @param {string|Object} format - Luxon format string or preset such as DateTime.TIME_WITH_SECONDS
+ * @param {string} [fallback] - Returned when the date is missing or invalid
+ * @returns {string} Formatted date
+ */
+export const formatSchoolTime = (value, format, fallback = 'N/A') => {
+  const dateTime = value ? toSchoolTime(value) : null;
+  if (!dateTime) return fallback;
+
+  return typeof format === 'string' ? dateTime.toFormat(format) : dateTime.toLocaleString(format);
+};